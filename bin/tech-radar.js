@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+// tech-radar command line tool (see src/cli/cli.js, or run `tech-radar --help`)
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import * as d3 from 'd3';
+import { runCli } from '../src/cli/cli.js';
+
+process.exitCode = runCli(process.argv.slice(2), {
+  readFile: path => readFileSync(path, 'utf-8'),
+  writeFile: (path, text) => writeFileSync(path, text),
+  stdout: text => process.stdout.write(text),
+  stderr: text => process.stderr.write(text),
+  d3,
+});
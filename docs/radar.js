@@ -1,15 +1,331 @@
 // Tech Radar Visualization - Bundled from ES6 modules
-// Version: 0.0.1-dev+893b19d
+// Version: 0.0.1-dev+197496f
 // License: MIT
 // Source: https://github.com/OleksandrKucherenko/tech-radar
 
-var radar_visualization = (function() {
+(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['d3'], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('d3'));
+  } else {
+    var library = factory(null);
+    var radar_visualization = library.default;
+    for (var name in library) {
+      if (name !== 'default' && !(name in radar_visualization)) {
+        radar_visualization[name] = library[name];
+      }
+    }
+    root.radar_visualization = radar_visualization;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (d3) {
   'use strict';
 
-  // src/rendering/helpers.js
+  var module = { exports: {} };
+
+var __defProp = Object.defineProperty;
+var __getOwnPropNames = Object.getOwnPropertyNames;
+var __getOwnPropDesc = Object.getOwnPropertyDescriptor;
+var __hasOwnProp = Object.prototype.hasOwnProperty;
+function __accessProp(key) {
+  return this[key];
+}
+var __toCommonJS = (from) => {
+  var entry = (__moduleCache ??= new WeakMap).get(from), desc;
+  if (entry)
+    return entry;
+  entry = __defProp({}, "__esModule", { value: true });
+  if (from && typeof from === "object" || typeof from === "function") {
+    for (var key of __getOwnPropNames(from))
+      if (!__hasOwnProp.call(entry, key))
+        __defProp(entry, key, {
+          get: __accessProp.bind(from, key),
+          enumerable: !(desc = __getOwnPropDesc(from, key)) || desc.enumerable
+        });
+  }
+  __moduleCache.set(from, entry);
+  return entry;
+};
+var __moduleCache;
+var __returnValue = (v) => v;
+function __exportSetter(name, newValue) {
+  this[name] = __returnValue.bind(null, newValue);
+}
+var __export = (target, all) => {
+  for (var name in all)
+    __defProp(target, name, {
+      get: all[name],
+      enumerable: true,
+      configurable: true,
+      set: __exportSetter.bind(all, name)
+    });
+};
+
+// src/index.js
+var exports_src = {};
+__export(exports_src, {
+  CONFIG_SCHEMA: () => CONFIG_SCHEMA,
+  ConfigValidationError: () => ConfigValidationError,
+  EntryProcessor: () => EntryProcessor,
+  RADAR_EVENTS: () => RADAR_EVENTS,
+  THEMES: () => THEMES,
+  compareConfigs: () => compareConfigs,
+  computeRadarStats: () => computeRadarStats,
+  createComparisonConfig: () => createComparisonConfig,
+  createPluginHost: () => createPluginHost,
+  default: () => src_default,
+  exportByor: () => exportByor,
+  filterPlugin: () => filterPlugin,
+  formatComparisonReport: () => formatComparisonReport,
+  importByor: () => importByor,
+  importExportPlugin: () => importExportPlugin,
+  initDemoToolbar: () => initDemoToolbar,
+  initializePlugins: () => initializePlugins,
+  jsonIO: () => jsonIO,
+  parseYamlConfig: () => parseYamlConfig,
+  radar_visualization: () => radar_visualization2,
+  registerPlugin: () => registerPlugin,
+  renderToString: () => renderToString,
+  setD3: () => setD3,
+  storagePlugin: () => storagePlugin,
+  stringifyYamlConfig: () => stringifyYamlConfig,
+  toolbarPlugin: () => toolbarPlugin,
+  validateConfig: () => validateConfig,
+  validateConfigAll: () => validateConfigAll,
+  validateConfigReport: () => validateConfigReport
+});
+module.exports = __toCommonJS(exports_src);
+
+// src/config/themes.js
+var THEMES = {
+  light: {
+    color_scheme: "light",
+    background: "#fff",
+    text: "#000",
+    muted_text: "#999",
+    grid: "#dddde0",
+    ring_fill: "rgba(0, 0, 0, 0.015)",
+    ring_fill_alternate: "rgba(0, 0, 0, 0.01)",
+    inactive: "#ddd",
+    blip_text: "#fff",
+    bubble_background: "#333",
+    bubble_text: "#fff",
+    title_font_size: 34,
+    ring_colors: null
+  },
+  dark: {
+    color_scheme: "dark",
+    background: "#1e1f22",
+    text: "#e8e8ea",
+    muted_text: "#8b8d93",
+    grid: "#5c5f66",
+    ring_fill: "rgba(255, 255, 255, 0.035)",
+    ring_fill_alternate: "rgba(255, 255, 255, 0.02)",
+    inactive: "#4a4c52",
+    blip_text: "#fff",
+    bubble_background: "#e8e8ea",
+    bubble_text: "#1e1f22",
+    title_font_size: 34,
+    ring_colors: null
+  },
+  "high-contrast": {
+    color_scheme: "light",
+    background: "#fff",
+    text: "#000",
+    muted_text: "#000",
+    grid: "#000",
+    ring_fill: "rgba(0, 0, 0, 0.06)",
+    ring_fill_alternate: "transparent",
+    inactive: "#767676",
+    blip_text: "#fff",
+    bubble_background: "#000",
+    bubble_text: "#fff",
+    title_font_size: 38,
+    ring_colors: ["#005a00", "#00529b", "#8a4b00", "#b00020", "#6a1b9a", "#00574b", "#4e342e", "#000"]
+  },
+  "print-grayscale": {
+    color_scheme: "light",
+    background: "#fff",
+    text: "#000",
+    muted_text: "#555",
+    grid: "#888",
+    ring_fill: "rgba(0, 0, 0, 0.04)",
+    ring_fill_alternate: "transparent",
+    inactive: "#ccc",
+    blip_text: "#fff",
+    bubble_background: "#000",
+    bubble_text: "#fff",
+    title_font_size: 34,
+    ring_colors: ["#000", "#3d3d3d", "#666", "#8a8a8a", "#1f1f1f", "#525252", "#777", "#999"]
+  }
+};
+var THEME_NAMES = Object.keys(THEMES);
+var COLOR_SCHEMES = ["auto", "light", "dark"];
+var DARK_SCHEME_QUERY = "(prefers-color-scheme: dark)";
+var RING_CONTRAST = 3;
+var PIXEL_VALUES = ["title_font_size"];
+function themePreset(theme) {
+  return (typeof theme === "string" ? theme : theme?.preset) || "light";
+}
+function activeColorScheme(config) {
+  if (config.color_scheme === "auto") {
+    return globalThis.matchMedia?.(DARK_SCHEME_QUERY).matches ? "dark" : "light";
+  }
+  return config.color_scheme === "dark" ? "dark" : "light";
+}
+function resolveTheme(config) {
+  const { theme, colors } = config;
+  const name = themePreset(theme);
+  const preset = name === "light" && activeColorScheme(config) === "dark" ? THEMES.dark : THEMES[name] || THEMES.light;
+  const { preset: _preset, ...values } = typeof theme === "object" && theme !== null ? theme : {};
+  const overrides = Object.entries({ ...values, ...colors }).filter(([, value]) => value !== undefined && value !== null);
+  return { ...preset, ...Object.fromEntries(overrides) };
+}
+function parseColor(color) {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+  if (hex) {
+    const digits = hex[1].length === 3 ? [...hex[1]].map((digit) => digit + digit) : hex[1].match(/../g);
+    return digits.map((pair) => Number.parseInt(pair, 16));
+  }
+  const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(String(color).trim());
+  return rgb ? rgb.slice(1, 4).map(Number) : null;
+}
+function luminance(rgb) {
+  const [r, g, b] = rgb.map((channel) => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+function contrastRatio(color, background) {
+  const foreground = parseColor(color);
+  const back = parseColor(background);
+  if (!foreground || !back) {
+    return null;
+  }
+  const [lighter, darker] = [luminance(foreground), luminance(back)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+function readableOnDark(color, background) {
+  const rgb = parseColor(color);
+  if (!rgb || (contrastRatio(color, background) ?? RING_CONTRAST) >= RING_CONTRAST) {
+    return color;
+  }
+  let lighter = color;
+  for (let step = 1;step <= 10 && contrastRatio(lighter, background) < RING_CONTRAST; step++) {
+    const mixed = rgb.map((channel) => Math.round(channel + (255 - channel) * step / 10));
+    lighter = `#${mixed.map((channel) => channel.toString(16).padStart(2, "0")).join("")}`;
+  }
+  return lighter;
+}
+function ringColor(theme, rings, index) {
+  const color = theme.ring_colors?.[index % theme.ring_colors.length] || rings[index].color;
+  return theme.color_scheme === "dark" ? readableOnDark(color, theme.background) : color;
+}
+function entryColor(theme, config, entry) {
+  return entry.active || config.print_layout ? ringColor(theme, config.rings, entry.ring) : theme.inactive;
+}
+function themeProperty(key) {
+  return `--radar-${key.replace(/_/g, "-")}`;
+}
+function cssValue(theme, key) {
+  return PIXEL_VALUES.includes(key) ? `${theme[key]}px` : String(theme[key]);
+}
+function themeVar(theme, key) {
+  return `var(${themeProperty(key)}, ${cssValue(theme, key)})`;
+}
+function ringColorVar(theme, rings, index) {
+  return `var(${themeProperty(`ring_color_${index}`)}, ${ringColor(theme, rings, index)})`;
+}
+function entryColorVar(theme, config, entry) {
+  return entry.active || config.print_layout ? ringColorVar(theme, config.rings, entry.ring) : themeVar(theme, "inactive");
+}
+function themeProperties(theme, rings) {
+  const properties = Object.keys(THEMES.light).filter((key) => key !== "ring_colors" && key !== "color_scheme").map((key) => [themeProperty(key), cssValue(theme, key)]);
+  properties.push(["color-scheme", theme.color_scheme]);
+  rings.forEach((_ring, index) => {
+    properties.push([themeProperty(`ring_color_${index}`), ringColor(theme, rings, index)]);
+  });
+  return properties;
+}
+
+// src/events/event-emitter.js
+var RADAR_EVENTS = [
+  "blipClick",
+  "blipHover",
+  "legendClick",
+  "render",
+  "renderError",
+  "configChange",
+  "filterChange"
+];
+function createEventEmitter(eventNames) {
+  const handlers = new Map(eventNames.map((name) => [name, new Set]));
+  function handlersOf(name) {
+    const registered = handlers.get(name);
+    if (!registered) {
+      throw new Error(`Unknown event "${name}" (expected one of: ${eventNames.join(", ")})`);
+    }
+    return registered;
+  }
+  return {
+    on(name, handler) {
+      if (typeof handler !== "function") {
+        throw new Error(`Handler for "${name}" must be a function`);
+      }
+      handlersOf(name).add(handler);
+      return () => handlersOf(name).delete(handler);
+    },
+    off(name, handler) {
+      handlersOf(name).delete(handler);
+    },
+    emit(name, payload) {
+      for (const handler of Array.from(handlersOf(name))) {
+        try {
+          handler(payload);
+        } catch (error) {
+          console.error(`Error in "${name}" event handler:`, error);
+        }
+      }
+    },
+    clear() {
+      for (const registered of handlers.values()) {
+        registered.clear();
+      }
+    }
+  };
+}
+
+// src/rendering/helpers.js
+var injectedD3 = null;
+function setD3(d3) {
+  const previous = injectedD3;
+  injectedD3 = d3;
+  return previous;
+}
+function getD3() {
+  const d3 = injectedD3 || globalThis.d3;
+  if (!d3) {
+    throw new Error("d3 is not available: load it globally or pass it to the renderer");
+  }
+  return d3;
+}
 function translate(x, y) {
   return `translate(${x},${y})`;
 }
+function radarRoot(config) {
+  return config.root || document;
+}
+function scopedId(config, name) {
+  return `${config.svg_id}-${name}`;
+}
+function legendItemId(entry, config) {
+  const safeKey = String(entryKey(entry)).replace(/[^A-Za-z0-9-]/g, (char) => `_${char.codePointAt(0).toString(16)}`);
+  return scopedId(config, `legendItem-${safeKey}`);
+}
+function entryKey(entry) {
+  return entry.key ?? entry.id ?? entry.label;
+}
 function viewbox(quadrantIndex, quadrants, rings) {
   const outer_radius = rings[rings.length - 1].radius;
   const padding = 20;
@@ -57,14 +373,17 @@ function computeLegendOffsets(numQuadrants, outerRadius, config) {
   return offsets;
 }
 function ensureLayoutStructure(svgSelection) {
-  const existing = svgSelection.node().closest(".radar-layout");
+  const svgNode = svgSelection.node();
+  const existing = svgNode.closest(".radar-layout");
   if (existing) {
+    existing.dataset.radarId = svgNode.id;
     return svgSelection.select(() => existing);
   }
-  const svgNode = svgSelection.node();
   const parent = svgNode.parentNode;
   const wrapper = document.createElement("div");
   wrapper.className = "radar-layout";
+  wrapper.dataset.generated = "true";
+  wrapper.dataset.radarId = svgNode.id;
   const leftColumn = document.createElement("div");
   leftColumn.className = "radar-legend-column left";
   const svgContainer = document.createElement("div");
@@ -78,282 +397,7345 @@ function ensureLayoutStructure(svgSelection) {
   wrapper.appendChild(rightColumn);
   return svgSelection.select(() => wrapper);
 }
+function removeLayoutStructure(svgNode) {
+  const wrapper = svgNode.closest(".radar-layout");
+  if (!wrapper) {
+    return;
+  }
+  if (wrapper.dataset.generated !== "true") {
+    delete wrapper.dataset.radarId;
+    return;
+  }
+  wrapper.parentNode.insertBefore(svgNode, wrapper);
+  wrapper.remove();
+}
 
-// src/config/config-defaults.js
-function applyConfigDefaults(config) {
-  config.svg_id = config.svg || "radar";
-  config.width = config.width || 1450;
-  config.height = config.height || 1000;
-  config.colors = "colors" in config ? config.colors : {
-    background: "#fff",
-    grid: "#dddde0",
-    inactive: "#ddd"
-  };
-  config.print_layout = "print_layout" in config ? config.print_layout : true;
-  config.links_in_new_tabs = "links_in_new_tabs" in config ? config.links_in_new_tabs : true;
-  config.repo_url = config.repo_url || "#";
-  config.print_ring_descriptions_table = "print_ring_descriptions_table" in config ? config.print_ring_descriptions_table : false;
-  config.legend_column_width = config.legend_column_width || 140;
-  config.legend_line_height = config.legend_line_height || 10;
-  config.segment_radial_padding = "segment_radial_padding" in config ? config.segment_radial_padding : 16;
-  config.segment_angular_padding = "segment_angular_padding" in config ? config.segment_angular_padding : 12;
-  config.chart_padding = "chart_padding" in config ? config.chart_padding : 60;
-  config.blip_collision_radius = "blip_collision_radius" in config ? config.blip_collision_radius : 14;
-  config.legend_vertical_spacing = config.legend_vertical_spacing || 20;
-  config.radar_horizontal_offset = "radar_horizontal_offset" in config ? config.radar_horizontal_offset : Math.round(config.legend_column_width * 0.25);
-  config.debug_geometry = "debug_geometry" in config ? config.debug_geometry : false;
-  const viewport_width = window.innerWidth || document.documentElement.clientWidth;
-  const viewport_height = window.innerHeight || document.documentElement.clientHeight;
-  if (viewport_width < 1024 && !config.scale) {
-    const scale_factor = Math.min(viewport_width / 1450, viewport_height / 1000);
-    config.scale = Math.max(0.5, Math.min(1, scale_factor));
+// src/processing/entry-references.js
+function resolveReference(items, reference) {
+  if (typeof reference === "number") {
+    return reference;
   }
-  const grid_quadrants = config.quadrants.length;
-  const grid_rings = config.rings.length;
-  if (grid_quadrants >= 5 || grid_rings >= 6) {
-    const complexity_multiplier = 1 + (grid_quadrants - 4) * 0.05 + (grid_rings - 4) * 0.03;
-    if (!config.width_override) {
-      config.width = Math.round(config.width * Math.min(complexity_multiplier, 1.3));
+  if (typeof reference !== "string" || !Array.isArray(items)) {
+    return -1;
+  }
+  const byId = items.findIndex((item) => item?.id !== undefined && String(item.id) === reference);
+  if (byId !== -1) {
+    return byId;
+  }
+  const byName = items.findIndex((item) => item?.name === reference);
+  if (byName !== -1) {
+    return byName;
+  }
+  const lowercase = reference.toLowerCase();
+  return items.findIndex((item) => typeof item?.name === "string" && item.name.toLowerCase() === lowercase);
+}
+function resolveEntryReferences(entries, quadrants, rings) {
+  for (const entry of entries) {
+    const quadrant = resolveReference(quadrants, entry.quadrant);
+    if (quadrant !== -1) {
+      entry.quadrant = quadrant;
     }
-    if (!config.height_override) {
-      config.height = Math.round(config.height * Math.min(complexity_multiplier, 1.3));
+    const ring = resolveReference(rings, entry.ring);
+    if (ring !== -1) {
+      entry.ring = ring;
     }
-    if (grid_quadrants >= 7 || grid_rings >= 7) {
-      config.blip_collision_radius = Math.max(10, config.blip_collision_radius * 0.9);
+  }
+  return entries;
+}
+function normalizeEntryReferences(config) {
+  if (Array.isArray(config.entries)) {
+    resolveEntryReferences(config.entries, config.quadrants, config.rings);
+  }
+  return config;
+}
+
+// src/processing/edition-history.js
+function editionIndex(editions, edition) {
+  if (!Array.isArray(editions) || editions.length === 0) {
+    return -1;
+  }
+  if (edition === undefined || edition === null) {
+    return editions.length - 1;
+  }
+  if (typeof edition === "number") {
+    return Number.isInteger(edition) && edition >= 0 && edition < editions.length ? edition : -1;
+  }
+  return editions.findIndex((candidate) => candidate?.date === edition);
+}
+function createEntryLookup(entries) {
+  const byKey = new Map(entries.map((entry) => [entryKey(entry), entry]));
+  const byLabel = new Map(entries.map((entry) => [entry.label, entry]));
+  return (entry) => byKey.get(entryKey(entry)) ?? byLabel.get(entry.label);
+}
+function entryHistories(editions, entries, rings) {
+  const lookups = editions.map((edition) => ({
+    date: edition?.date,
+    find: createEntryLookup(edition?.entries || [])
+  }));
+  return entries.map((entry) => {
+    const history = [];
+    for (const { date, find } of lookups) {
+      const match = find(entry);
+      if (!match) {
+        continue;
+      }
+      const resolved = resolveReference(rings, match.ring);
+      const ring = resolved === -1 ? match.ring : resolved;
+      if (history[history.length - 1]?.ring !== ring) {
+        history.push({ date, ring });
+      }
     }
+    return history;
+  });
+}
+function formatHistoryStep(step, rings) {
+  return `${rings[step.ring]?.name ?? step.ring} ${step.date}`;
+}
+function formatEntryHistory(history, rings) {
+  return (history || []).map((step) => formatHistoryStep(step, rings)).join(" → ");
+}
+function withEditionEntries(config, entries) {
+  const index = editionIndex(config.editions, config.edition);
+  if (!Array.isArray(config.editions?.[index]?.entries)) {
+    return { ...config, entries };
   }
+  const editions = config.editions.map((edition, i) => i === index ? { ...edition, entries } : edition);
+  return { ...config, editions, entries };
 }
-function calculateDimensions(config) {
-  const title_height = config.print_layout && config.title ? 60 : 0;
-  const footer_height = config.print_layout ? 40 : 0;
-  const minimum_chart_height = 2 * config.chart_padding + 40;
-  const available_height = Math.max(minimum_chart_height, config.height - title_height - footer_height);
-  const available_width = Math.max(2 * config.chart_padding + 40, config.width);
-  const raw_outer_radius = Math.min(available_width, available_height) / 2 - config.chart_padding;
-  const target_outer_radius = Math.max(10, raw_outer_radius);
+function applyEditionHistory(config) {
+  const index = editionIndex(config.editions, config.edition);
+  const edition = config.editions?.[index];
+  if (!Array.isArray(edition?.entries)) {
+    return config;
+  }
+  const { editions } = config;
+  config.entries = edition.entries.map((entry) => ({ ...entry }));
+  config.date = edition.date;
+  config.previous = index > 0 ? { rings: config.rings, entries: editions[index - 1]?.entries } : undefined;
+  const histories = entryHistories(editions.slice(0, index + 1), config.entries, config.rings);
+  config.entries.forEach((entry, i) => {
+    entry.history = histories[i];
+  });
+  return config;
+}
+
+// src/rendering/interactions.js
+function createBubble(radarSelection, config) {
+  const bubble = radarSelection.append("g").attr("id", scopedId(config, "bubble")).attr("class", "bubble").attr("role", "tooltip").attr("aria-hidden", "true").attr("x", 0).attr("y", 0).style("opacity", 0).style("pointer-events", "none").style("user-select", "none");
+  const theme = resolveTheme(config);
+  bubble.append("rect").attr("rx", 4).attr("ry", 4).style("fill", themeVar(theme, "bubble_background"));
+  bubble.append("text").style("font-family", config.font_family).style("font-size", "10px").style("fill", themeVar(theme, "bubble_text"));
+  bubble.append("path").attr("d", "M 0,0 10,0 5,8 z").style("fill", themeVar(theme, "bubble_background"));
+  return bubble;
+}
+function bubbleText(d, config) {
+  const side = d.comparison === "right" ? 1 : 0;
+  const label = d.comparison && config.comparison ? `${d.label} (${config.comparison.labels[side]})` : d.label;
+  return d.history?.length > 1 ? `${label}: ${formatEntryHistory(d.history, config.rings)}` : label;
+}
+function showBubble(d, config) {
+  if (d.active || config.print_layout) {
+    const bubble = selectBubble(config);
+    const tooltip = bubble.select("text").text(bubbleText(d, config));
+    const bbox = tooltip.node().getBBox();
+    const x = d.rendered_x !== undefined ? d.rendered_x : d.x;
+    const y = d.rendered_y !== undefined ? d.rendered_y : d.y;
+    bubble.attr("transform", translate(x - bbox.width / 2, y - 16)).attr("aria-hidden", "false").style("opacity", 0.8);
+    bubble.select("rect").attr("x", -5).attr("y", -bbox.height).attr("width", bbox.width + 10).attr("height", bbox.height + 4);
+    bubble.select("path").attr("transform", translate(bbox.width / 2 - 5, 3));
+  }
+}
+function hideBubble(config) {
+  selectBubble(config).attr("transform", translate(0, 0)).attr("aria-hidden", "true").style("opacity", 0);
+}
+function selectBubble(config) {
+  const d3 = getD3();
+  return d3.select(radarRoot(config).getElementById(scopedId(config, "bubble")));
+}
+function highlightLegendItem(d, config) {
+  const legendItem = radarRoot(config).getElementById(legendItemId(d, config));
+  if (legendItem) {
+    legendItem.classList.add("legend-highlight");
+  }
+}
+function unhighlightLegendItem(d, config) {
+  const legendItem = radarRoot(config).getElementById(legendItemId(d, config));
+  if (legendItem) {
+    legendItem.classList.remove("legend-highlight");
+  }
+}
+var EVENT_NAMESPACE = "radar-events";
+function entryEventPayload(d, config, event) {
   return {
-    title_height,
-    footer_height,
-    available_height,
-    available_width,
-    target_outer_radius
+    entry: d,
+    quadrant: config.quadrants[d.quadrant],
+    ring: config.rings[d.ring],
+    element: event.currentTarget,
+    event
   };
 }
-function configureOffsets(config, outerRadius, numQuadrants) {
-  if (!config.title_offset) {
-    config.title_offset = {
-      x: -outerRadius,
-      y: -outerRadius - 40
-    };
+function bindEntryEvents(selection, config, emit, { click, hover }) {
+  selection.on(`click.${EVENT_NAMESPACE}`, (event, d) => emit(click, entryEventPayload(d, config, event)));
+  if (hover) {
+    selection.on(`mouseover.${EVENT_NAMESPACE}`, (event, d) => emit(hover, { ...entryEventPayload(d, config, event), hovered: true })).on(`mouseout.${EVENT_NAMESPACE}`, (event, d) => emit(hover, { ...entryEventPayload(d, config, event), hovered: false }));
   }
-  if (!config.footer_offset) {
-    config.footer_offset = {
-      x: -outerRadius,
-      y: outerRadius + 60
-    };
+}
+
+// src/rendering/accessibility.js
+var MOVEMENT_DESCRIPTIONS = {
+  "-1": "moved out",
+  1: "moved in",
+  2: "new"
+};
+var VISUALLY_HIDDEN_STYLE = "position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0; " + "overflow: hidden; clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap;";
+function entryDescription(d, config) {
+  return [
+    bubbleText(d, config),
+    `${config.rings[d.ring].name} ring`,
+    config.quadrants[d.quadrant].name,
+    MOVEMENT_DESCRIPTIONS[d.moved],
+    d.active || config.print_layout ? null : "inactive"
+  ].filter(Boolean).join(", ");
+}
+function logicalOrder(a, b) {
+  return a.quadrant - b.quadrant || a.ring - b.ring || a.label.localeCompare(b.label);
+}
+function focusableBlips(rinkNode) {
+  const blips = [];
+  getD3().select(rinkNode).selectAll(".blip").each(function(d) {
+    if (d && this.style.display !== "none") {
+      blips.push({ node: this, entry: d });
+    }
+  });
+  return blips.sort((a, b) => logicalOrder(a.entry, b.entry)).map((blip) => blip.node);
+}
+function updateBlipTabStop(rinkNode, current) {
+  if (!rinkNode) {
+    return;
   }
-  config.legend_offset = computeLegendOffsets(numQuadrants, outerRadius, config);
+  const blips = focusableBlips(rinkNode);
+  const tabStop = blips.includes(current) ? current : blips.find((node) => node.getAttribute("tabindex") === "0") || blips[0];
+  for (const node of rinkNode.querySelectorAll(".blip")) {
+    node.setAttribute("tabindex", node === tabStop ? "0" : "-1");
+  }
+}
+function navigationTarget(blips, current, key) {
+  const index = blips.indexOf(current);
+  switch (key) {
+    case "ArrowRight":
+    case "ArrowDown":
+      return blips[Math.min(index + 1, blips.length - 1)];
+    case "ArrowLeft":
+    case "ArrowUp":
+      return blips[Math.max(index - 1, 0)];
+    case "Home":
+      return blips[0];
+    case "End":
+      return blips[blips.length - 1];
+    default:
+      return null;
+  }
+}
+function bindBlipKeyboard(blips, config) {
+  const rinkNode = blips.node()?.parentNode;
+  if (!rinkNode) {
+    return;
+  }
+  blips.selectAll("a").attr("tabindex", -1);
+  updateBlipTabStop(rinkNode);
+  blips.on("focus", function(_event, d) {
+    updateBlipTabStop(rinkNode, this);
+    showBubble(d, config);
+    highlightLegendItem(d, config);
+  }).on("blur", (_event, d) => {
+    hideBubble(config);
+    unhighlightLegendItem(d, config);
+  }).on("keydown", function(event, d) {
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      const target = this.querySelector("a") || this;
+      target.dispatchEvent(new MouseEvent("click", { bubbles: true, cancelable: true, view: window }));
+      return;
+    }
+    if (event.key === "Escape") {
+      hideBubble(config);
+      unhighlightLegendItem(d, config);
+      return;
+    }
+    const target = navigationTarget(focusableBlips(rinkNode), this, event.key);
+    if (target) {
+      event.preventDefault();
+      target.focus();
+    }
+  });
+}
+function renderRadarDescription(config, segmented) {
+  const d3 = getD3();
+  const svg = radarRoot(config).getElementById(config.svg_id);
+  if (!svg?.parentNode) {
+    return null;
+  }
+  const id = scopedId(config, "description");
+  const description = d3.select(svg.parentNode).insert("div", () => svg.nextSibling).attr("id", id).attr("class", "radar-description").attr("style", VISUALLY_HIDDEN_STYLE);
+  const count = segmented.flat(2).length;
+  const heading = [config.title, config.date].filter(Boolean).join(", ");
+  description.append("p").text(`${heading ? `${heading}: ` : ""}${count === 1 ? "1 entry" : `${count} entries`}`);
+  const quadrantList = description.append("ul");
+  segmented.forEach((rings, quadrant) => {
+    const quadrantItem = quadrantList.append("li").text(config.quadrants[quadrant].name);
+    const ringList = quadrantItem.append("ul");
+    rings.forEach((entries, ring) => {
+      if (!entries.length) {
+        return;
+      }
+      const ringItem = ringList.append("li").text(`${config.rings[ring].name} ring`);
+      ringItem.append("ul").selectAll("li").data(entries).enter().append("li").text((d) => [bubbleText(d, config), MOVEMENT_DESCRIPTIONS[d.moved]].filter(Boolean).join(", "));
+    });
+  });
+  svg.setAttribute("aria-describedby", id);
+  return description.node();
 }
 
-// src/geometry/quadrant-calculator.js
-function generateQuadrants(numQuadrants) {
-  const quadrants = [];
-  const anglePerQuadrant = 2 / numQuadrants;
-  const rotationOffset = numQuadrants === 2 ? -0.5 : 0;
-  for (let i = 0;i < numQuadrants; i++) {
-    const startAngle = -1 + i * anglePerQuadrant + rotationOffset;
-    const endAngle = -1 + (i + 1) * anglePerQuadrant + rotationOffset;
-    const midAngle = -Math.PI + (i + 0.5) * anglePerQuadrant * Math.PI + rotationOffset * Math.PI;
-    quadrants.push({
-      radial_min: startAngle,
-      radial_max: endAngle,
-      factor_x: Math.cos(midAngle),
-      factor_y: Math.sin(midAngle)
+// src/rendering/filter-renderer.js
+var FILTER_MODES = ["dim", "hide"];
+var DIMMED_OPACITY = 0.15;
+function markElement(element, styled, matches, mode) {
+  element.classList.toggle("filtered-out", !matches);
+  element.style.display = !matches && mode === "hide" ? "none" : "";
+  for (const node of styled) {
+    node.style.opacity = !matches && mode === "dim" ? String(DIMMED_OPACITY) : "";
+  }
+}
+function applyEntryFilter(config, predicate) {
+  const d3 = getD3();
+  const mode = config.filter_mode || "dim";
+  const test = predicate || (() => true);
+  const matches = (config.entries || []).filter((entry) => test(entry));
+  const matching = new Set(matches);
+  const rink = radarRoot(config).getElementById(scopedId(config, "rink"));
+  d3.select(rink).selectAll(".blip").each(function(d) {
+    markElement(this, Array.from(this.children), matching.has(d), mode);
+  });
+  updateBlipTabStop(rink);
+  const svg = radarRoot(config).getElementById(config.svg_id);
+  const layout = svg?.closest(".radar-layout");
+  if (layout) {
+    d3.select(layout).selectAll(".legend-entry").each(function(d) {
+      markElement(this, [this], matching.has(d), mode);
     });
+    for (const ring of layout.querySelectorAll(".legend-ring")) {
+      const empty = mode === "hide" && !ring.querySelector(".legend-entry:not(.filtered-out)");
+      ring.style.display = empty ? "none" : "";
+    }
   }
-  return quadrants;
+  return matches;
 }
-function computeQuadrantBounds(startAngle, endAngle, radius) {
-  const twoPi = 2 * Math.PI;
-  const normalizedStart = startAngle;
-  let normalizedEnd = endAngle;
-  while (normalizedEnd <= normalizedStart) {
-    normalizedEnd += twoPi;
+
+// src/validation/config-schema.js
+var reference = {
+  description: "Index, name or id",
+  type: ["integer", "string"]
+};
+var entry = {
+  type: "object",
+  required: ["label", "quadrant", "ring"],
+  properties: {
+    label: { type: "string", minLength: 1, description: "Name shown in the legend and tooltip" },
+    quadrant: { ...reference, description: "Quadrant: index, name or id" },
+    ring: { ...reference, description: "Ring: index, name or id" },
+    moved: {
+      type: "integer",
+      description: "Movement since the previous edition: -1 out, 0 none, 1 in, 2 new"
+    },
+    active: { type: "boolean", description: "Inactive entries are drawn in the inactive color" },
+    link: { type: "string", description: "Page opened when the entry is clicked" },
+    key: { type: ["string", "number"], description: "Stable identifier, kept across renames" },
+    id: { type: ["string", "number"], description: "Stable identifier, used when there is no key" },
+    number: { type: ["integer", "string"], description: "Display number with explicit numbering" },
+    description: { type: "string" },
+    owner: { type: "string" },
+    since: { type: "string" },
+    tags: { type: "array", items: { type: "string" } }
   }
-  const axisAngles = [
-    -Math.PI,
-    -Math.PI / 2,
-    0,
-    Math.PI / 2,
-    Math.PI,
-    3 * Math.PI / 2,
-    2 * Math.PI
-  ];
-  const candidates = [normalizedStart, normalizedEnd];
-  axisAngles.forEach((axisAngle) => {
-    let candidate = axisAngle;
-    while (candidate < normalizedStart) {
-      candidate += twoPi;
+};
+var entries = { type: "array", items: { $ref: "#/$defs/entry" } };
+var quadrant = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: { type: "string" },
+    id: { type: ["string", "number"], description: "Stable id entries can reference" }
+  }
+};
+var ring = {
+  type: "object",
+  required: ["name"],
+  properties: {
+    name: { type: "string" },
+    id: { type: ["string", "number"], description: "Stable id entries can reference" },
+    color: { type: "string", description: "Color of the ring name and its blips" },
+    description: { type: "string", description: "Shown in the ring descriptions table" }
+  }
+};
+var offset = {
+  type: "object",
+  properties: { x: { type: "number" }, y: { type: "number" } }
+};
+var nonNegative = { type: "number", minimum: 0 };
+var color = { type: "string" };
+var theme = {
+  description: `Theme preset (${THEME_NAMES.join(", ")}), or an object with a preset and the values to override`,
+  anyOf: [
+    { type: "string", enum: THEME_NAMES },
+    {
+      type: "object",
+      properties: {
+        preset: { enum: THEME_NAMES },
+        ...Object.fromEntries(Object.keys(THEMES.light).map((key) => [key, color])),
+        color_scheme: { enum: ["light", "dark"], description: "Color scheme the theme is made for" },
+        title_font_size: { type: "number", exclusiveMinimum: 0 },
+        ring_colors: { type: "array", minItems: 1, items: color, description: "Replace the ring colors" }
+      }
+    }
+  ]
+};
+var CONFIG_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "Tech Radar configuration",
+  type: "object",
+  required: ["quadrants", "rings"],
+  properties: {
+    svg_id: { type: "string", description: "Id of the SVG element to render into" },
+    svg: { type: "string", description: "Alias of svg_id" },
+    width: { type: "number", exclusiveMinimum: 0 },
+    height: { type: "number", exclusiveMinimum: 0 },
+    width_override: { type: "boolean", description: "Keep the width for complex grids" },
+    height_override: { type: "boolean", description: "Keep the height for complex grids" },
+    scale: { type: "number", exclusiveMinimum: 0 },
+    title: { type: "string" },
+    date: { type: "string" },
+    footer: { type: "string" },
+    font_family: { type: "string" },
+    repo_url: { type: "string" },
+    theme,
+    color_scheme: {
+      enum: COLOR_SCHEMES,
+      description: "Show the dark variant of the theme: light (never), dark (always) or auto (with the system)"
+    },
+    colors: {
+      type: "object",
+      description: "Override the background, grid and inactive colors of the theme",
+      properties: {
+        background: { type: "string" },
+        grid: { type: "string" },
+        inactive: { type: "string" }
+      }
+    },
+    quadrants: { type: "array", minItems: 2, maxItems: 8, items: { $ref: "#/$defs/quadrant" } },
+    rings: { type: "array", minItems: 4, maxItems: 8, items: { $ref: "#/$defs/ring" } },
+    entries,
+    print_layout: { type: "boolean" },
+    links_in_new_tabs: { type: "boolean" },
+    print_ring_descriptions_table: { type: "boolean" },
+    legend_column_width: nonNegative,
+    legend_line_height: nonNegative,
+    legend_vertical_spacing: nonNegative,
+    segment_radial_padding: nonNegative,
+    segment_angular_padding: nonNegative,
+    chart_padding: nonNegative,
+    blip_collision_radius: nonNegative,
+    radar_horizontal_offset: { type: "number" },
+    title_offset: offset,
+    footer_offset: offset,
+    legend_offset: { type: "array", items: offset },
+    zoomed_quadrant: { type: "integer", minimum: 0 },
+    debug_geometry: { type: "boolean" },
+    seed: { type: "number" },
+    transition_duration: nonNegative,
+    numbering: { enum: ["alphabetical", "insertion", "explicit"] },
+    detail_panel: { type: "boolean" },
+    detail_template: {
+      description: "Detail panel template: a string, or a function in code",
+      anyOf: [{ type: "string" }, { instanceof: "Function" }]
+    },
+    filter_mode: { enum: FILTER_MODES },
+    error_mode: { enum: ["throw", "overlay"], description: "Throw invalid configurations, or show an error overlay" },
+    previous: {
+      type: "object",
+      description: "Previous edition that moved statuses are derived from",
+      required: ["entries"],
+      properties: { rings: { type: "array", items: { $ref: "#/$defs/ring" } }, entries }
+    },
+    editions: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["date", "entries"],
+        properties: { date: { type: "string", minLength: 1 }, entries }
+      }
+    },
+    edition: { type: ["integer", "string"], description: "Shown edition: index or date" },
+    timeline: { type: "boolean" },
+    plugins: { type: "object", description: "Plugin name to plugin configuration" },
+    demoSlug: { type: "string", description: "Prefix of exported file names" }
+  },
+  $defs: { entry, quadrant, ring }
+};
+
+// src/geometry/ring-calculator.js
+var BASE_PATTERN = [130, 220, 310, 400];
+var MAX_BASE_RADIUS = 400;
+function generateRings(numRings, targetOuterRadius) {
+  const ringTemplate = [];
+  if (numRings === 4) {
+    for (let i = 0;i < 4; i++) {
+      ringTemplate.push(BASE_PATTERN[i]);
+    }
+  } else {
+    for (let i = 0;i < numRings; i++) {
+      const patternPosition = i / (numRings - 1) * 3;
+      const patternIndex = Math.floor(patternPosition);
+      const fraction = patternPosition - patternIndex;
+      let radius;
+      if (patternIndex >= 3) {
+        radius = MAX_BASE_RADIUS;
+      } else {
+        radius = BASE_PATTERN[patternIndex] + (BASE_PATTERN[patternIndex + 1] - BASE_PATTERN[patternIndex]) * fraction;
+      }
+      ringTemplate.push(radius);
+    }
+  }
+  const radiusScale = targetOuterRadius / MAX_BASE_RADIUS;
+  return ringTemplate.map((r) => ({ radius: Math.max(10, Math.round(r * radiusScale)) }));
+}
+
+// src/validation/config-warnings.js
+var MOVED_VALUES = [-1, 0, 1, 2];
+var LINK_SCHEMES = ["http:", "https:"];
+var REFERENCE_OUTER_RADIUS = 400;
+var DEFAULT_COLLISION_RADIUS = 14;
+function warning(message, field, value) {
+  return new ConfigValidationError(message, field, value, "warning");
+}
+function segmentCapacities(config) {
+  const rings = generateRings(config.rings.length, REFERENCE_OUTER_RADIUS);
+  const angle = 2 * Math.PI / config.quadrants.length;
+  const blipSize = (2 * (config.blip_collision_radius ?? DEFAULT_COLLISION_RADIUS)) ** 2;
+  return rings.map((ring, index) => {
+    const inner = index === 0 ? 0 : rings[index - 1].radius;
+    const area = angle / 2 * (ring.radius ** 2 - inner ** 2);
+    return Math.max(1, Math.floor(area / blipSize));
+  });
+}
+function entryWarnings(entries) {
+  const warnings = [];
+  const labels = new Set;
+  entries.forEach((entry, index) => {
+    if (labels.has(entry.label)) {
+      warnings.push(warning(`Duplicate entry label: "${entry.label}"`, `entries[${index}].label`, entry.label));
+    }
+    labels.add(entry.label);
+    if (entry.moved !== undefined && !MOVED_VALUES.includes(entry.moved)) {
+      warnings.push(warning(`Entry '${entry.label}' has invalid moved value: ${entry.moved} (expected -1, 0, 1 or 2)`, `entries[${index}].moved`, entry.moved));
+    }
+    const scheme = typeof entry.link === "string" ? entry.link.match(/^([a-z][a-z0-9+.-]*:)/i)?.[1] : undefined;
+    if (scheme && !LINK_SCHEMES.includes(scheme.toLowerCase())) {
+      warnings.push(warning(`Entry '${entry.label}' links to a non-http URL: ${entry.link}`, `entries[${index}].link`, entry.link));
+    }
+  });
+  return warnings;
+}
+function segmentWarnings(config) {
+  const { quadrants, rings, entries } = config;
+  const counts = quadrants.map(() => rings.map(() => 0));
+  for (const entry of entries) {
+    const quadrant = resolveReference(quadrants, entry.quadrant);
+    const ring = resolveReference(rings, entry.ring);
+    if (counts[quadrant]?.[ring] !== undefined) {
+      counts[quadrant][ring]++;
+    }
+  }
+  const capacities = segmentCapacities(config);
+  const warnings = [];
+  counts.forEach((ringCounts, quadrant) => {
+    ringCounts.forEach((count, ring) => {
+      const segment = `${quadrants[quadrant].name} / ${rings[ring].name}`;
+      if (count === 0) {
+        warnings.push(warning(`Segment ${segment} has no entries`, "entries", { quadrant, ring, count }));
+      } else if (count > capacities[ring]) {
+        warnings.push(warning(`Segment ${segment} is overcrowded: ${count} entries, about ${capacities[ring]} fit`, "entries", {
+          quadrant,
+          ring,
+          count
+        }));
+      }
+    });
+  });
+  return warnings;
+}
+function collectWarnings(config) {
+  const warnings = [];
+  const entries = Array.isArray(config.entries) ? config.entries : [];
+  const rings = Array.isArray(config.rings) ? config.rings : [];
+  rings.forEach((ring, index) => {
+    if (ring && !ring.color) {
+      warnings.push(warning(`Ring '${ring.name}' has no color`, `rings[${index}].color`, ring.color));
+    }
+  });
+  warnings.push(...entryWarnings(entries));
+  if (entries.length > 0 && Array.isArray(config.quadrants) && rings.length >= 4 && config.quadrants.length >= 2) {
+    warnings.push(...segmentWarnings(config));
+  }
+  return warnings;
+}
+
+// src/validation/schema-validator.js
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (typeof value === "number") {
+    return Number.isInteger(value) ? "integer" : Number.isFinite(value) ? "number" : "non-finite";
+  }
+  return typeof value;
+}
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return [].concat(types).some((type) => type === actual || type === "number" && actual === "integer");
+}
+function resolveRef(root, ref) {
+  return ref.replace(/^#\//, "").split("/").reduce((schema, key) => schema?.[key], root);
+}
+function formatValue(value) {
+  const text = typeof value === "string" ? `"${value}"` : typeof value === "number" ? String(value) : JSON.stringify(value);
+  return text === undefined ? String(value) : text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+var BOUNDS = [
+  ["number", "minimum", (value, bound) => value < bound, (bound) => `must be at least ${bound}`],
+  ["number", "exclusiveMinimum", (value, bound) => value <= bound, (bound) => `must be greater than ${bound}`],
+  ["number", "maximum", (value, bound) => value > bound, (bound) => `must be at most ${bound}`],
+  ["string", "minLength", (value, bound) => value.length < bound, () => "must not be empty"],
+  [
+    "array",
+    "minItems",
+    (value, bound) => value.length < bound,
+    (bound, value) => `must have at least ${bound} ${bound === 1 ? "item" : "items"} (found: ${value.length})`
+  ],
+  [
+    "array",
+    "maxItems",
+    (value, bound) => value.length > bound,
+    (bound, value) => `must have at most ${bound} items (found: ${value.length})`
+  ]
+];
+function checkCountRange(count, schema, path) {
+  const { minItems, maxItems } = schema;
+  if (minItems === undefined || maxItems === undefined || count >= minItems && count <= maxItems) {
+    return null;
+  }
+  return {
+    path,
+    message: `Number of ${path} must be between ${minItems} and ${maxItems} (found: ${count})`,
+    value: count
+  };
+}
+function checkBounds(value, schema) {
+  const violated = BOUNDS.find(([type, keyword, violates]) => schema[keyword] !== undefined && matchesType(value, type) && violates(value, schema[keyword]));
+  return violated ? violated[3](schema[violated[1]], value) : null;
+}
+function checkKind(value, schema) {
+  const found = `(found: ${formatValue(value)})`;
+  if (schema.type && !matchesType(value, schema.type)) {
+    return `must be ${[].concat(schema.type).join(" or ")} ${found}`;
+  }
+  if (schema.instanceof === "Function" && typeof value !== "function") {
+    return `must be a function ${found}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of ${schema.enum.join(", ")} ${found}`;
+  }
+  return null;
+}
+function alternativeTypes(alternatives) {
+  return alternatives.flatMap((alternative) => alternative.type ?? String(alternative.instanceof).toLowerCase()).join(" or ");
+}
+function pickAlternative(value, alternatives) {
+  return alternatives.find((alternative) => alternative.type ? matchesType(value, alternative.type) : alternative.instanceof === "Function" && typeof value === "function");
+}
+function validateChildren(value, schema, path, root) {
+  const problems = [];
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validateSchema(item, schema.items, { path: `${path}[${index}]`, root }));
+    });
+  }
+  if (typeOf(value) !== "object") {
+    return problems;
+  }
+  const prefix = path ? `${path}.` : "";
+  const isSet = (key) => value[key] !== undefined && value[key] !== null;
+  for (const key of (schema.required || []).filter((required) => !isSet(required))) {
+    const propertySchema = schema.properties?.[key] ?? {};
+    const resolved = propertySchema.$ref ? resolveRef(root, propertySchema.$ref) : propertySchema;
+    problems.push(checkCountRange(0, resolved, `${prefix}${key}`) ?? {
+      path: `${prefix}${key}`,
+      message: `${prefix}${key} is required`,
+      value: undefined
+    });
+  }
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    if (isSet(key)) {
+      problems.push(...validateSchema(value[key], propertySchema, { path: `${prefix}${key}`, root }));
+    }
+  }
+  return problems;
+}
+function validateSchema(value, schema, options = {}) {
+  const path = options.path ?? "";
+  const root = options.root ?? schema;
+  const resolved = schema.$ref ? resolveRef(root, schema.$ref) : schema;
+  const name = path || "Configuration";
+  const problem = (message) => [{ path, message: `${name} ${message}`, value }];
+  if (resolved.anyOf) {
+    const alternative = pickAlternative(value, resolved.anyOf);
+    return alternative ? validateSchema(value, alternative, { path, root }) : problem(`must be ${alternativeTypes(resolved.anyOf)} (found: ${formatValue(value)})`);
+  }
+  const kind = checkKind(value, resolved);
+  if (kind) {
+    return problem(kind);
+  }
+  const count = Array.isArray(value) ? checkCountRange(value.length, resolved, path) : null;
+  if (count) {
+    return [count];
+  }
+  const bounds = checkBounds(value, resolved);
+  if (bounds) {
+    return problem(bounds);
+  }
+  return validateChildren(value, resolved, path, root);
+}
+
+// src/validation/config-validator.js
+class ConfigValidationError extends Error {
+  constructor(message, field, value, severity = "error") {
+    super(message);
+    this.name = "ConfigValidationError";
+    this.field = field;
+    this.value = value;
+    this.severity = severity;
+  }
+  toJSON() {
+    return { severity: this.severity, field: this.field, message: this.message };
+  }
+}
+function validateConfig(config) {
+  const errors = validateConfigAll(config);
+  if (errors.length > 0) {
+    throw errors[0];
+  }
+  return true;
+}
+function validateConfigAll(config) {
+  const errors = validateSchema(config, CONFIG_SCHEMA).map((problem) => new ConfigValidationError(problem.message, problem.path, problem.value));
+  errors.push(...validateEntryIndexes(config));
+  errors.push(...validateEntryReferences(config));
+  errors.push(...validateEntryIdentity(config));
+  errors.push(...validateEditions(config));
+  return errors;
+}
+function validateConfigReport(config) {
+  const errors = validateConfigAll(config);
+  const warnings = collectWarnings(config);
+  return { valid: errors.length === 0, errors, warnings };
+}
+function validateEntryIndexes(config) {
+  const errors = [];
+  if (!config.entries || !config.quadrants || !config.rings) {
+    return errors;
+  }
+  config.entries.forEach((entry, index) => {
+    if (entry.quadrant < 0 || entry.quadrant >= config.quadrants.length) {
+      errors.push(new ConfigValidationError(`Entry '${entry.label}' has invalid quadrant: ${entry.quadrant} (must be 0-${config.quadrants.length - 1})`, `entries[${index}].quadrant`, entry.quadrant));
+    }
+    if (entry.ring < 0 || entry.ring >= config.rings.length) {
+      errors.push(new ConfigValidationError(`Entry '${entry.label}' has invalid ring: ${entry.ring} (must be 0-${config.rings.length - 1})`, `entries[${index}].ring`, entry.ring));
+    }
+  });
+  return errors;
+}
+function validateEntryReferences(config) {
+  const errors = [];
+  const kinds = [
+    ["quadrant", config.quadrants],
+    ["ring", config.rings]
+  ];
+  for (const [kind, items] of kinds) {
+    const ids = new Set;
+    (Array.isArray(items) ? items : []).forEach((item, index) => {
+      if (item?.id === undefined) {
+        return;
+      }
+      if (ids.has(String(item.id))) {
+        errors.push(new ConfigValidationError(`Duplicate ${kind} id: "${item.id}"`, `${kind}s[${index}].id`, item.id));
+      }
+      ids.add(String(item.id));
+    });
+    (config.entries || []).forEach((entry, index) => {
+      const reference = entry[kind];
+      if (typeof reference === "string" && resolveReference(items, reference) === -1) {
+        errors.push(new ConfigValidationError(`Entry '${entry.label}' references unknown ${kind}: "${reference}"`, `entries[${index}].${kind}`, reference));
+      }
+    });
+  }
+  return errors;
+}
+function validateEntryIdentity(config) {
+  const errors = [];
+  const keys = new Set;
+  const numbers = new Set;
+  (config.entries || []).forEach((entry, index) => {
+    const key = entry.key ?? entry.id;
+    if (key !== undefined) {
+      if (keys.has(key)) {
+        errors.push(new ConfigValidationError(`Duplicate entry key: "${key}"`, `entries[${index}].key`, key));
+      }
+      keys.add(key);
+    }
+    if (config.numbering === "explicit") {
+      const number = Number(entry.number);
+      if (!Number.isInteger(number) || number < 1) {
+        errors.push(new ConfigValidationError(`Entry '${entry.label}' needs a positive integer number with explicit numbering (found: ${entry.number})`, `entries[${index}].number`, entry.number));
+      } else if (numbers.has(number)) {
+        errors.push(new ConfigValidationError(`Entry '${entry.label}' has duplicate number: ${entry.number}`, `entries[${index}].number`, entry.number));
+      }
+      numbers.add(number);
+    }
+  });
+  return errors;
+}
+function validateEditions(config) {
+  const { editions, edition } = config;
+  const isEdition = (candidate) => typeof candidate?.date === "string" && Array.isArray(candidate.entries);
+  if (!Array.isArray(editions) || editions.length === 0 || !editions.every(isEdition)) {
+    return [];
+  }
+  const errors = [];
+  const dates = new Set;
+  editions.forEach((candidate, index) => {
+    if (dates.has(candidate.date)) {
+      errors.push(new ConfigValidationError(`Duplicate edition date: "${candidate.date}"`, `editions[${index}].date`, candidate.date));
+    }
+    dates.add(candidate.date);
+  });
+  if (errors.length === 0 && editionIndex(editions, edition) === -1) {
+    errors.push(new ConfigValidationError(`Unknown edition: ${edition}`, "edition", edition));
+  }
+  return errors;
+}
+
+// src/integration/csv-io.js
+var FIELD_ALIASES = {
+  label: ["label", "name"],
+  quadrant: ["quadrant"],
+  ring: ["ring"],
+  moved: ["moved"],
+  active: ["active"],
+  link: ["link", "url"],
+  key: ["key"],
+  id: ["id"],
+  description: ["description"],
+  owner: ["owner"],
+  since: ["since"],
+  tags: ["tags"],
+  number: ["number"]
+};
+var REQUIRED_FIELDS = ["label", "quadrant", "ring"];
+var EXPORT_COLUMNS = ["label", "quadrant", "ring", "moved", "active", "link"];
+var OPTIONAL_EXPORT_COLUMNS = ["key", "id", "description", "owner", "since", "tags"];
+var MOVED_VALUES2 = {
+  "": 0,
+  0: 0,
+  none: 0,
+  unchanged: 0,
+  "no change": 0,
+  1: 1,
+  in: 1,
+  up: 1,
+  "moved in": 1,
+  "-1": -1,
+  out: -1,
+  down: -1,
+  "moved out": -1,
+  2: 2,
+  new: 2
+};
+var BOOLEAN_VALUES = {
+  "": true,
+  true: true,
+  yes: true,
+  y: true,
+  1: true,
+  x: true,
+  false: false,
+  no: false,
+  n: false,
+  0: false
+};
+function rowError(row, message, field, value) {
+  return new ConfigValidationError(`CSV row ${row}: ${message}`, field, value);
+}
+function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const counts = [",", ";", "\t"].map((delimiter) => [delimiter, header.split(delimiter).length]);
+  return counts.reduce((best, candidate) => candidate[1] > best[1] ? candidate : best)[0];
+}
+function readField(text, start, delimiter, row) {
+  if (text[start] !== '"') {
+    let end = start;
+    while (end < text.length && text[end] !== delimiter && text[end] !== `
+` && text[end] !== "\r") {
+      end++;
+    }
+    return { value: text.slice(start, end), end };
+  }
+  let value = "";
+  let position = start + 1;
+  for (;; ) {
+    const quote = text.indexOf('"', position);
+    if (quote === -1) {
+      throw rowError(row, "Unterminated quoted field", "csv", text.slice(start));
+    }
+    value += text.slice(position, quote);
+    position = quote + 1;
+    if (text[position] !== '"') {
+      return { value, end: position };
+    }
+    value += '"';
+    position++;
+  }
+}
+function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const source = text.replace(/^\uFEFF/, "");
+  const records = [];
+  let cells = [];
+  let position = 0;
+  let line = 1;
+  let row = 1;
+  for (;; ) {
+    const field = readField(source, position, delimiter, row);
+    cells.push(field.value);
+    line += (source.slice(position, field.end).match(/\n/g) || []).length;
+    position = field.end;
+    const char = source[position];
+    if (char === delimiter) {
+      position++;
+      continue;
+    }
+    if (char !== undefined && char !== `
+` && char !== "\r") {
+      throw rowError(row, "Unexpected text after a quoted field", "csv", source.slice(position, position + 10));
+    }
+    records.push({ row, cells });
+    cells = [];
+    position += source.startsWith(`\r
+`, position) ? 2 : 1;
+    line++;
+    row = line;
+    if (position >= source.length) {
+      break;
+    }
+  }
+  return records.filter((record) => record.cells.some((cell) => cell.trim() !== ""));
+}
+function mapHeader(header, columns = {}) {
+  const explicit = new Map(Object.entries(columns).map(([name, field]) => [name.trim().toLowerCase(), field]));
+  const fields = header.map((cell) => {
+    const name = cell.trim().toLowerCase();
+    if (explicit.has(name)) {
+      return explicit.get(name);
+    }
+    return Object.keys(FIELD_ALIASES).find((field) => FIELD_ALIASES[field].includes(name)) ?? null;
+  });
+  for (const field of REQUIRED_FIELDS) {
+    if (!fields.includes(field)) {
+      throw rowError(1, `Missing column "${field}"`, "csv", header);
+    }
+  }
+  return fields;
+}
+function resolveIndex(value, items, kind, row, index) {
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+  if (!trimmed) {
+    throw rowError(row, `Missing ${kind}`, `entries[${index}].${kind}`, trimmed);
+  }
+  const name = trimmed.toLowerCase();
+  const found = (items || []).findIndex((item) => String(item.name).toLowerCase() === name);
+  if (found === -1) {
+    throw rowError(row, `Unknown ${kind} "${trimmed}"`, `entries[${index}].${kind}`, trimmed);
+  }
+  return found;
+}
+function lookupValue(values, value, description, row, field) {
+  const normalized = value.trim().toLowerCase();
+  if (!Object.hasOwn(values, normalized)) {
+    throw rowError(row, `Invalid ${field.split(".").pop()} value "${value.trim()}" (expected ${description})`, field, value);
+  }
+  return values[normalized];
+}
+function parseCell(field, value, config, row, index) {
+  const path = `entries[${index}].${field}`;
+  switch (field) {
+    case "quadrant":
+      return resolveIndex(value, config.quadrants, "quadrant", row, index);
+    case "ring":
+      return resolveIndex(value, config.rings, "ring", row, index);
+    case "moved":
+      return lookupValue(MOVED_VALUES2, value, "in, out, new, none or -1 to 2", row, path);
+    case "active":
+      return lookupValue(BOOLEAN_VALUES, value, "true/false, yes/no or 1/0", row, path);
+    case "tags": {
+      const tags = value.split(/[;,]/).map((tag) => tag.trim()).filter(Boolean);
+      return tags.length ? tags : undefined;
+    }
+    case "number": {
+      const trimmed = value.trim();
+      if (trimmed && !/^\d+$/.test(trimmed)) {
+        throw rowError(row, `Invalid number "${trimmed}"`, path, trimmed);
+      }
+      return trimmed ? Number(trimmed) : undefined;
+    }
+    default:
+      return value.trim() || undefined;
+  }
+}
+function parseEntriesCsv(text, config = {}, options = {}) {
+  const [header, ...records] = parseCsv(text, options.delimiter);
+  if (!header) {
+    throw rowError(1, "Missing header row", "csv", text);
+  }
+  const fields = mapHeader(header.cells, options.columns);
+  return records.map(({ row, cells }, index) => {
+    const entry = { moved: 0, active: true };
+    fields.forEach((field, column) => {
+      const value = field ? parseCell(field, cells[column] ?? "", config, row, index) : undefined;
+      if (value !== undefined) {
+        entry[field] = value;
+      }
+    });
+    if (!entry.label) {
+      throw rowError(row, "Missing label", `entries[${index}].label`, entry.label);
+    }
+    return entry;
+  });
+}
+function formatField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+function stringifyCsv(rows) {
+  return `${rows.map((cells) => cells.map(formatField).join(",")).join(`\r
+`)}\r
+`;
+}
+function stringifyEntriesCsv(config, options = {}) {
+  const names = options.names !== false;
+  const entries = config.entries || [];
+  const columns = [
+    ...EXPORT_COLUMNS,
+    ...OPTIONAL_EXPORT_COLUMNS.filter((column) => entries.some((entry) => entry[column] !== undefined))
+  ];
+  if (config.numbering === "explicit") {
+    columns.push("number");
+  }
+  const value = (entry, column) => {
+    if (names && column === "quadrant") {
+      return config.quadrants?.[entry.quadrant]?.name ?? entry.quadrant;
+    }
+    if (names && column === "ring") {
+      return config.rings?.[entry.ring]?.name ?? entry.ring;
+    }
+    return Array.isArray(entry[column]) ? entry[column].join(", ") : entry[column];
+  };
+  return stringifyCsv([columns, ...entries.map((entry) => columns.map((column) => value(entry, column)))]);
+}
+
+// src/integration/byor-io.js
+var BYOR_FIELDS = ["name", "ring", "quadrant", "isNew", "status", "description"];
+var REQUIRED_FIELDS2 = ["name", "ring", "quadrant"];
+var BYOR_RINGS = ["Adopt", "Trial", "Assess", "Hold"];
+var DEFAULT_RING_COLORS = ["#5ba300", "#009eb0", "#c7ba00", "#e09b96", "#cc6699", "#993333", "#666666", "#999999"];
+var STATUS_MOVED = {
+  new: 2,
+  "moved in": 1,
+  "moved out": -1,
+  "no change": 0
+};
+var MOVED_STATUS = {
+  2: "New",
+  1: "Moved In",
+  "-1": "Moved Out",
+  0: "No Change"
+};
+function blipError(row, message, field, value) {
+  return new ConfigValidationError(`BYOR row ${row}: ${message}`, field, value);
+}
+function parseByor(text) {
+  if (/^\s*[[{]/.test(text)) {
+    const blips = JSON.parse(text);
+    if (!Array.isArray(blips)) {
+      throw new ConfigValidationError("BYOR JSON must be an array of blips", "byor", blips);
+    }
+    return blips.map((blip, index) => ({ ...blip, row: index + 1 }));
+  }
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw blipError(1, "Missing header row", "byor", text);
+  }
+  const columns = header.cells.map((cell) => BYOR_FIELDS.find((field) => field.toLowerCase() === cell.trim().toLowerCase()));
+  for (const field of REQUIRED_FIELDS2) {
+    if (!columns.includes(field)) {
+      throw blipError(1, `Missing column "${field}"`, "byor", header.cells);
+    }
+  }
+  return records.map(({ row, cells }) => {
+    const blip = { row };
+    columns.forEach((field, column) => {
+      if (field) {
+        blip[field] = cells[column] ?? "";
+      }
+    });
+    return blip;
+  });
+}
+function textField(blip, field) {
+  const value = blip[field];
+  return value === undefined || value === null ? "" : String(value).trim();
+}
+function blipMoved(blip) {
+  const status = textField(blip, "status").toLowerCase();
+  if (status) {
+    if (!Object.hasOwn(STATUS_MOVED, status)) {
+      throw blipError(blip.row, `Unknown status "${textField(blip, "status")}" (expected New, Moved In, Moved Out or No Change)`, "status", blip.status);
+    }
+    return STATUS_MOVED[status];
+  }
+  return ["true", "yes", "1"].includes(textField(blip, "isNew").toLowerCase()) ? 2 : 0;
+}
+function nameIndex(names, name) {
+  const index = names.findIndex((candidate) => candidate.toLowerCase() === name.toLowerCase());
+  return index === -1 ? names.push(name) - 1 : index;
+}
+function byorToConfig(blips) {
+  const quadrants = [];
+  const rings = [...BYOR_RINGS];
+  const entries = blips.map((blip) => {
+    for (const field of REQUIRED_FIELDS2) {
+      if (!textField(blip, field)) {
+        throw blipError(blip.row, `Missing ${field}`, field, blip[field]);
+      }
+    }
+    const entry = {
+      label: textField(blip, "name"),
+      quadrant: nameIndex(quadrants, textField(blip, "quadrant")),
+      ring: nameIndex(rings, textField(blip, "ring")),
+      moved: blipMoved(blip),
+      active: true
+    };
+    const description = textField(blip, "description");
+    if (description) {
+      entry.description = description;
+    }
+    return entry;
+  });
+  return {
+    quadrants: quadrants.map((name) => ({ name })),
+    rings: rings.map((name, index) => ({
+      name: name.toUpperCase(),
+      color: DEFAULT_RING_COLORS[index % DEFAULT_RING_COLORS.length]
+    })),
+    entries
+  };
+}
+function importByor(text) {
+  return byorToConfig(parseByor(text));
+}
+function configToByor(config) {
+  return (config.entries || []).map((entry) => ({
+    name: entry.label,
+    ring: config.rings?.[entry.ring]?.name ?? String(entry.ring),
+    quadrant: config.quadrants?.[entry.quadrant]?.name ?? String(entry.quadrant),
+    isNew: entry.moved === 2 ? "TRUE" : "FALSE",
+    status: MOVED_STATUS[entry.moved] ?? MOVED_STATUS[0],
+    description: entry.description ?? ""
+  }));
+}
+function exportByor(config, options = {}) {
+  const blips = configToByor(config);
+  if (options.format === "json") {
+    return JSON.stringify(blips, null, 2);
+  }
+  return stringifyCsv([BYOR_FIELDS, ...blips.map((blip) => BYOR_FIELDS.map((field) => blip[field]))]);
+}
+
+// node_modules/yaml/browser/dist/nodes/identity.js
+var ALIAS = Symbol.for("yaml.alias");
+var DOC = Symbol.for("yaml.document");
+var MAP = Symbol.for("yaml.map");
+var PAIR = Symbol.for("yaml.pair");
+var SCALAR = Symbol.for("yaml.scalar");
+var SEQ = Symbol.for("yaml.seq");
+var NODE_TYPE = Symbol.for("yaml.node.type");
+var isAlias = (node) => !!node && typeof node === "object" && node[NODE_TYPE] === ALIAS;
+var isDocument = (node) => !!node && typeof node === "object" && node[NODE_TYPE] === DOC;
+var isMap = (node) => !!node && typeof node === "object" && node[NODE_TYPE] === MAP;
+var isPair = (node) => !!node && typeof node === "object" && node[NODE_TYPE] === PAIR;
+var isScalar = (node) => !!node && typeof node === "object" && node[NODE_TYPE] === SCALAR;
+var isSeq = (node) => !!node && typeof node === "object" && node[NODE_TYPE] === SEQ;
+function isCollection(node) {
+  if (node && typeof node === "object")
+    switch (node[NODE_TYPE]) {
+      case MAP:
+      case SEQ:
+        return true;
+    }
+  return false;
+}
+function isNode(node) {
+  if (node && typeof node === "object")
+    switch (node[NODE_TYPE]) {
+      case ALIAS:
+      case MAP:
+      case SCALAR:
+      case SEQ:
+        return true;
+    }
+  return false;
+}
+var hasAnchor = (node) => (isScalar(node) || isCollection(node)) && !!node.anchor;
+
+// node_modules/yaml/browser/dist/visit.js
+var BREAK = Symbol("break visit");
+var SKIP = Symbol("skip children");
+var REMOVE = Symbol("remove node");
+function visit(node, visitor) {
+  const visitor_ = initVisitor(visitor);
+  if (isDocument(node)) {
+    const cd = visit_(null, node.contents, visitor_, Object.freeze([node]));
+    if (cd === REMOVE)
+      node.contents = null;
+  } else
+    visit_(null, node, visitor_, Object.freeze([]));
+}
+visit.BREAK = BREAK;
+visit.SKIP = SKIP;
+visit.REMOVE = REMOVE;
+function visit_(key, node, visitor, path) {
+  const ctrl = callVisitor(key, node, visitor, path);
+  if (isNode(ctrl) || isPair(ctrl)) {
+    replaceNode(key, path, ctrl);
+    return visit_(key, ctrl, visitor, path);
+  }
+  if (typeof ctrl !== "symbol") {
+    if (isCollection(node)) {
+      path = Object.freeze(path.concat(node));
+      for (let i = 0;i < node.items.length; ++i) {
+        const ci = visit_(i, node.items[i], visitor, path);
+        if (typeof ci === "number")
+          i = ci - 1;
+        else if (ci === BREAK)
+          return BREAK;
+        else if (ci === REMOVE) {
+          node.items.splice(i, 1);
+          i -= 1;
+        }
+      }
+    } else if (isPair(node)) {
+      path = Object.freeze(path.concat(node));
+      const ck = visit_("key", node.key, visitor, path);
+      if (ck === BREAK)
+        return BREAK;
+      else if (ck === REMOVE)
+        node.key = null;
+      const cv = visit_("value", node.value, visitor, path);
+      if (cv === BREAK)
+        return BREAK;
+      else if (cv === REMOVE)
+        node.value = null;
+    }
+  }
+  return ctrl;
+}
+async function visitAsync(node, visitor) {
+  const visitor_ = initVisitor(visitor);
+  if (isDocument(node)) {
+    const cd = await visitAsync_(null, node.contents, visitor_, Object.freeze([node]));
+    if (cd === REMOVE)
+      node.contents = null;
+  } else
+    await visitAsync_(null, node, visitor_, Object.freeze([]));
+}
+visitAsync.BREAK = BREAK;
+visitAsync.SKIP = SKIP;
+visitAsync.REMOVE = REMOVE;
+async function visitAsync_(key, node, visitor, path) {
+  const ctrl = await callVisitor(key, node, visitor, path);
+  if (isNode(ctrl) || isPair(ctrl)) {
+    replaceNode(key, path, ctrl);
+    return visitAsync_(key, ctrl, visitor, path);
+  }
+  if (typeof ctrl !== "symbol") {
+    if (isCollection(node)) {
+      path = Object.freeze(path.concat(node));
+      for (let i = 0;i < node.items.length; ++i) {
+        const ci = await visitAsync_(i, node.items[i], visitor, path);
+        if (typeof ci === "number")
+          i = ci - 1;
+        else if (ci === BREAK)
+          return BREAK;
+        else if (ci === REMOVE) {
+          node.items.splice(i, 1);
+          i -= 1;
+        }
+      }
+    } else if (isPair(node)) {
+      path = Object.freeze(path.concat(node));
+      const ck = await visitAsync_("key", node.key, visitor, path);
+      if (ck === BREAK)
+        return BREAK;
+      else if (ck === REMOVE)
+        node.key = null;
+      const cv = await visitAsync_("value", node.value, visitor, path);
+      if (cv === BREAK)
+        return BREAK;
+      else if (cv === REMOVE)
+        node.value = null;
+    }
+  }
+  return ctrl;
+}
+function initVisitor(visitor) {
+  if (typeof visitor === "object" && (visitor.Collection || visitor.Node || visitor.Value)) {
+    return Object.assign({
+      Alias: visitor.Node,
+      Map: visitor.Node,
+      Scalar: visitor.Node,
+      Seq: visitor.Node
+    }, visitor.Value && {
+      Map: visitor.Value,
+      Scalar: visitor.Value,
+      Seq: visitor.Value
+    }, visitor.Collection && {
+      Map: visitor.Collection,
+      Seq: visitor.Collection
+    }, visitor);
+  }
+  return visitor;
+}
+function callVisitor(key, node, visitor, path) {
+  if (typeof visitor === "function")
+    return visitor(key, node, path);
+  if (isMap(node))
+    return visitor.Map?.(key, node, path);
+  if (isSeq(node))
+    return visitor.Seq?.(key, node, path);
+  if (isPair(node))
+    return visitor.Pair?.(key, node, path);
+  if (isScalar(node))
+    return visitor.Scalar?.(key, node, path);
+  if (isAlias(node))
+    return visitor.Alias?.(key, node, path);
+  return;
+}
+function replaceNode(key, path, node) {
+  const parent = path[path.length - 1];
+  if (isCollection(parent)) {
+    parent.items[key] = node;
+  } else if (isPair(parent)) {
+    if (key === "key")
+      parent.key = node;
+    else
+      parent.value = node;
+  } else if (isDocument(parent)) {
+    parent.contents = node;
+  } else {
+    const pt = isAlias(parent) ? "alias" : "scalar";
+    throw new Error(`Cannot replace node with ${pt} parent`);
+  }
+}
+
+// node_modules/yaml/browser/dist/doc/directives.js
+var escapeChars = {
+  "!": "%21",
+  ",": "%2C",
+  "[": "%5B",
+  "]": "%5D",
+  "{": "%7B",
+  "}": "%7D"
+};
+var escapeTagName = (tn) => tn.replace(/[!,[\]{}]/g, (ch) => escapeChars[ch]);
+
+class Directives {
+  constructor(yaml, tags) {
+    this.docStart = null;
+    this.docEnd = false;
+    this.yaml = Object.assign({}, Directives.defaultYaml, yaml);
+    this.tags = Object.assign({}, Directives.defaultTags, tags);
+  }
+  clone() {
+    const copy = new Directives(this.yaml, this.tags);
+    copy.docStart = this.docStart;
+    return copy;
+  }
+  atDocument() {
+    const res = new Directives(this.yaml, this.tags);
+    switch (this.yaml.version) {
+      case "1.1":
+        this.atNextDocument = true;
+        break;
+      case "1.2":
+        this.atNextDocument = false;
+        this.yaml = {
+          explicit: Directives.defaultYaml.explicit,
+          version: "1.2"
+        };
+        this.tags = Object.assign({}, Directives.defaultTags);
+        break;
+    }
+    return res;
+  }
+  add(line, onError) {
+    if (this.atNextDocument) {
+      this.yaml = { explicit: Directives.defaultYaml.explicit, version: "1.1" };
+      this.tags = Object.assign({}, Directives.defaultTags);
+      this.atNextDocument = false;
+    }
+    const parts = line.trim().split(/[ \t]+/);
+    const name = parts.shift();
+    switch (name) {
+      case "%TAG": {
+        if (parts.length !== 2) {
+          onError(0, "%TAG directive should contain exactly two parts");
+          if (parts.length < 2)
+            return false;
+        }
+        const [handle, prefix] = parts;
+        this.tags[handle] = prefix;
+        return true;
+      }
+      case "%YAML": {
+        this.yaml.explicit = true;
+        if (parts.length !== 1) {
+          onError(0, "%YAML directive should contain exactly one part");
+          return false;
+        }
+        const [version] = parts;
+        if (version === "1.1" || version === "1.2") {
+          this.yaml.version = version;
+          return true;
+        } else {
+          const isValid = /^\d+\.\d+$/.test(version);
+          onError(6, `Unsupported YAML version ${version}`, isValid);
+          return false;
+        }
+      }
+      default:
+        onError(0, `Unknown directive ${name}`, true);
+        return false;
+    }
+  }
+  tagName(source, onError) {
+    if (source === "!")
+      return "!";
+    if (source[0] !== "!") {
+      onError(`Not a valid tag: ${source}`);
+      return null;
+    }
+    if (source[1] === "<") {
+      const verbatim = source.slice(2, -1);
+      if (verbatim === "!" || verbatim === "!!") {
+        onError(`Verbatim tags aren't resolved, so ${source} is invalid.`);
+        return null;
+      }
+      if (source[source.length - 1] !== ">")
+        onError("Verbatim tags must end with a >");
+      return verbatim;
+    }
+    const [, handle, suffix] = source.match(/^(.*!)([^!]*)$/s);
+    if (!suffix)
+      onError(`The ${source} tag has no suffix`);
+    const prefix = this.tags[handle];
+    if (prefix) {
+      try {
+        return prefix + decodeURIComponent(suffix);
+      } catch (error) {
+        onError(String(error));
+        return null;
+      }
+    }
+    if (handle === "!")
+      return source;
+    onError(`Could not resolve tag: ${source}`);
+    return null;
+  }
+  tagString(tag) {
+    for (const [handle, prefix] of Object.entries(this.tags)) {
+      if (tag.startsWith(prefix))
+        return handle + escapeTagName(tag.substring(prefix.length));
+    }
+    return tag[0] === "!" ? tag : `!<${tag}>`;
+  }
+  toString(doc) {
+    const lines = this.yaml.explicit ? [`%YAML ${this.yaml.version || "1.2"}`] : [];
+    const tagEntries = Object.entries(this.tags);
+    let tagNames;
+    if (doc && tagEntries.length > 0 && isNode(doc.contents)) {
+      const tags = {};
+      visit(doc.contents, (_key, node) => {
+        if (isNode(node) && node.tag)
+          tags[node.tag] = true;
+      });
+      tagNames = Object.keys(tags);
+    } else
+      tagNames = [];
+    for (const [handle, prefix] of tagEntries) {
+      if (handle === "!!" && prefix === "tag:yaml.org,2002:")
+        continue;
+      if (!doc || tagNames.some((tn) => tn.startsWith(prefix)))
+        lines.push(`%TAG ${handle} ${prefix}`);
+    }
+    return lines.join(`
+`);
+  }
+}
+Directives.defaultYaml = { explicit: false, version: "1.2" };
+Directives.defaultTags = { "!!": "tag:yaml.org,2002:" };
+
+// node_modules/yaml/browser/dist/doc/anchors.js
+function anchorIsValid(anchor) {
+  if (/[\x00-\x19\s,[\]{}]/.test(anchor)) {
+    const sa = JSON.stringify(anchor);
+    const msg = `Anchor must not contain whitespace or control characters: ${sa}`;
+    throw new Error(msg);
+  }
+  return true;
+}
+function anchorNames(root) {
+  const anchors = new Set;
+  visit(root, {
+    Value(_key, node) {
+      if (node.anchor)
+        anchors.add(node.anchor);
+    }
+  });
+  return anchors;
+}
+function findNewAnchor(prefix, exclude) {
+  for (let i = 1;; ++i) {
+    const name = `${prefix}${i}`;
+    if (!exclude.has(name))
+      return name;
+  }
+}
+function createNodeAnchors(doc, prefix) {
+  const aliasObjects = [];
+  const sourceObjects = new Map;
+  let prevAnchors = null;
+  return {
+    onAnchor: (source) => {
+      aliasObjects.push(source);
+      prevAnchors ?? (prevAnchors = anchorNames(doc));
+      const anchor = findNewAnchor(prefix, prevAnchors);
+      prevAnchors.add(anchor);
+      return anchor;
+    },
+    setAnchors: () => {
+      for (const source of aliasObjects) {
+        const ref = sourceObjects.get(source);
+        if (typeof ref === "object" && ref.anchor && (isScalar(ref.node) || isCollection(ref.node))) {
+          ref.node.anchor = ref.anchor;
+        } else {
+          const error = new Error("Failed to resolve repeated object (this should not happen)");
+          error.source = source;
+          throw error;
+        }
+      }
+    },
+    sourceObjects
+  };
+}
+
+// node_modules/yaml/browser/dist/doc/applyReviver.js
+function applyReviver(reviver, obj, key, val) {
+  if (val && typeof val === "object") {
+    if (Array.isArray(val)) {
+      for (let i = 0, len = val.length;i < len; ++i) {
+        const v0 = val[i];
+        const v1 = applyReviver(reviver, val, String(i), v0);
+        if (v1 === undefined)
+          delete val[i];
+        else if (v1 !== v0)
+          val[i] = v1;
+      }
+    } else if (val instanceof Map) {
+      for (const k of Array.from(val.keys())) {
+        const v0 = val.get(k);
+        const v1 = applyReviver(reviver, val, k, v0);
+        if (v1 === undefined)
+          val.delete(k);
+        else if (v1 !== v0)
+          val.set(k, v1);
+      }
+    } else if (val instanceof Set) {
+      for (const v0 of Array.from(val)) {
+        const v1 = applyReviver(reviver, val, v0, v0);
+        if (v1 === undefined)
+          val.delete(v0);
+        else if (v1 !== v0) {
+          val.delete(v0);
+          val.add(v1);
+        }
+      }
+    } else {
+      for (const [k, v0] of Object.entries(val)) {
+        const v1 = applyReviver(reviver, val, k, v0);
+        if (v1 === undefined)
+          delete val[k];
+        else if (v1 !== v0)
+          val[k] = v1;
+      }
+    }
+  }
+  return reviver.call(obj, key, val);
+}
+
+// node_modules/yaml/browser/dist/nodes/toJS.js
+function toJS(value, arg, ctx) {
+  if (Array.isArray(value))
+    return value.map((v, i) => toJS(v, String(i), ctx));
+  if (value && typeof value.toJSON === "function") {
+    if (!ctx || !hasAnchor(value))
+      return value.toJSON(arg, ctx);
+    const data = { aliasCount: 0, count: 1, res: undefined };
+    ctx.anchors.set(value, data);
+    ctx.onCreate = (res) => {
+      data.res = res;
+      delete ctx.onCreate;
+    };
+    const res = value.toJSON(arg, ctx);
+    if (ctx.onCreate)
+      ctx.onCreate(res);
+    return res;
+  }
+  if (typeof value === "bigint" && !ctx?.keep)
+    return Number(value);
+  return value;
+}
+
+// node_modules/yaml/browser/dist/nodes/Node.js
+class NodeBase {
+  constructor(type) {
+    Object.defineProperty(this, NODE_TYPE, { value: type });
+  }
+  clone() {
+    const copy = Object.create(Object.getPrototypeOf(this), Object.getOwnPropertyDescriptors(this));
+    if (this.range)
+      copy.range = this.range.slice();
+    return copy;
+  }
+  toJS(doc, { mapAsMap, maxAliasCount, onAnchor, reviver } = {}) {
+    if (!isDocument(doc))
+      throw new TypeError("A document argument is required");
+    const ctx = {
+      anchors: new Map,
+      doc,
+      keep: true,
+      mapAsMap: mapAsMap === true,
+      mapKeyWarned: false,
+      maxAliasCount: typeof maxAliasCount === "number" ? maxAliasCount : 100
+    };
+    const res = toJS(this, "", ctx);
+    if (typeof onAnchor === "function")
+      for (const { count, res } of ctx.anchors.values())
+        onAnchor(res, count);
+    return typeof reviver === "function" ? applyReviver(reviver, { "": res }, "", res) : res;
+  }
+}
+
+// node_modules/yaml/browser/dist/nodes/Alias.js
+class Alias extends NodeBase {
+  constructor(source) {
+    super(ALIAS);
+    this.source = source;
+    Object.defineProperty(this, "tag", {
+      set() {
+        throw new Error("Alias nodes cannot have tags");
+      }
+    });
+  }
+  resolve(doc, ctx) {
+    let nodes;
+    if (ctx?.aliasResolveCache) {
+      nodes = ctx.aliasResolveCache;
+    } else {
+      nodes = [];
+      visit(doc, {
+        Node: (_key, node) => {
+          if (isAlias(node) || hasAnchor(node))
+            nodes.push(node);
+        }
+      });
+      if (ctx)
+        ctx.aliasResolveCache = nodes;
+    }
+    let found = undefined;
+    for (const node of nodes) {
+      if (node === this)
+        break;
+      if (node.anchor === this.source)
+        found = node;
+    }
+    return found;
+  }
+  toJSON(_arg, ctx) {
+    if (!ctx)
+      return { source: this.source };
+    const { anchors, doc, maxAliasCount } = ctx;
+    const source = this.resolve(doc, ctx);
+    if (!source) {
+      const msg = `Unresolved alias (the anchor must be set before the alias): ${this.source}`;
+      throw new ReferenceError(msg);
+    }
+    let data = anchors.get(source);
+    if (!data) {
+      toJS(source, null, ctx);
+      data = anchors.get(source);
+    }
+    if (!data || data.res === undefined) {
+      const msg = "This should not happen: Alias anchor was not resolved?";
+      throw new ReferenceError(msg);
+    }
+    if (maxAliasCount >= 0) {
+      data.count += 1;
+      if (data.aliasCount === 0)
+        data.aliasCount = getAliasCount(doc, source, anchors);
+      if (data.count * data.aliasCount > maxAliasCount) {
+        const msg = "Excessive alias count indicates a resource exhaustion attack";
+        throw new ReferenceError(msg);
+      }
+    }
+    return data.res;
+  }
+  toString(ctx, _onComment, _onChompKeep) {
+    const src = `*${this.source}`;
+    if (ctx) {
+      anchorIsValid(this.source);
+      if (ctx.options.verifyAliasOrder && !ctx.anchors.has(this.source)) {
+        const msg = `Unresolved alias (the anchor must be set before the alias): ${this.source}`;
+        throw new Error(msg);
+      }
+      if (ctx.implicitKey)
+        return `${src} `;
+    }
+    return src;
+  }
+}
+function getAliasCount(doc, node, anchors) {
+  if (isAlias(node)) {
+    const source = node.resolve(doc);
+    const anchor = anchors && source && anchors.get(source);
+    return anchor ? anchor.count * anchor.aliasCount : 0;
+  } else if (isCollection(node)) {
+    let count = 0;
+    for (const item of node.items) {
+      const c = getAliasCount(doc, item, anchors);
+      if (c > count)
+        count = c;
+    }
+    return count;
+  } else if (isPair(node)) {
+    const kc = getAliasCount(doc, node.key, anchors);
+    const vc = getAliasCount(doc, node.value, anchors);
+    return Math.max(kc, vc);
+  }
+  return 1;
+}
+
+// node_modules/yaml/browser/dist/nodes/Scalar.js
+var isScalarValue = (value) => !value || typeof value !== "function" && typeof value !== "object";
+
+class Scalar extends NodeBase {
+  constructor(value) {
+    super(SCALAR);
+    this.value = value;
+  }
+  toJSON(arg, ctx) {
+    return ctx?.keep ? this.value : toJS(this.value, arg, ctx);
+  }
+  toString() {
+    return String(this.value);
+  }
+}
+Scalar.BLOCK_FOLDED = "BLOCK_FOLDED";
+Scalar.BLOCK_LITERAL = "BLOCK_LITERAL";
+Scalar.PLAIN = "PLAIN";
+Scalar.QUOTE_DOUBLE = "QUOTE_DOUBLE";
+Scalar.QUOTE_SINGLE = "QUOTE_SINGLE";
+
+// node_modules/yaml/browser/dist/doc/createNode.js
+var defaultTagPrefix = "tag:yaml.org,2002:";
+function findTagObject(value, tagName, tags) {
+  if (tagName) {
+    const match = tags.filter((t) => t.tag === tagName);
+    const tagObj = match.find((t) => !t.format) ?? match[0];
+    if (!tagObj)
+      throw new Error(`Tag ${tagName} not found`);
+    return tagObj;
+  }
+  return tags.find((t) => t.identify?.(value) && !t.format);
+}
+function createNode(value, tagName, ctx) {
+  if (isDocument(value))
+    value = value.contents;
+  if (isNode(value))
+    return value;
+  if (isPair(value)) {
+    const map = ctx.schema[MAP].createNode?.(ctx.schema, null, ctx);
+    map.items.push(value);
+    return map;
+  }
+  if (value instanceof String || value instanceof Number || value instanceof Boolean || typeof BigInt !== "undefined" && value instanceof BigInt) {
+    value = value.valueOf();
+  }
+  const { aliasDuplicateObjects, onAnchor, onTagObj, schema, sourceObjects } = ctx;
+  let ref = undefined;
+  if (aliasDuplicateObjects && value && typeof value === "object") {
+    ref = sourceObjects.get(value);
+    if (ref) {
+      ref.anchor ?? (ref.anchor = onAnchor(value));
+      return new Alias(ref.anchor);
+    } else {
+      ref = { anchor: null, node: null };
+      sourceObjects.set(value, ref);
+    }
+  }
+  if (tagName?.startsWith("!!"))
+    tagName = defaultTagPrefix + tagName.slice(2);
+  let tagObj = findTagObject(value, tagName, schema.tags);
+  if (!tagObj) {
+    if (value && typeof value.toJSON === "function") {
+      value = value.toJSON();
+    }
+    if (!value || typeof value !== "object") {
+      const node = new Scalar(value);
+      if (ref)
+        ref.node = node;
+      return node;
+    }
+    tagObj = value instanceof Map ? schema[MAP] : (Symbol.iterator in Object(value)) ? schema[SEQ] : schema[MAP];
+  }
+  if (onTagObj) {
+    onTagObj(tagObj);
+    delete ctx.onTagObj;
+  }
+  const node = tagObj?.createNode ? tagObj.createNode(ctx.schema, value, ctx) : typeof tagObj?.nodeClass?.from === "function" ? tagObj.nodeClass.from(ctx.schema, value, ctx) : new Scalar(value);
+  if (tagName)
+    node.tag = tagName;
+  else if (!tagObj.default)
+    node.tag = tagObj.tag;
+  if (ref)
+    ref.node = node;
+  return node;
+}
+
+// node_modules/yaml/browser/dist/nodes/Collection.js
+function collectionFromPath(schema, path, value) {
+  let v = value;
+  for (let i = path.length - 1;i >= 0; --i) {
+    const k = path[i];
+    if (typeof k === "number" && Number.isInteger(k) && k >= 0) {
+      const a = [];
+      a[k] = v;
+      v = a;
+    } else {
+      v = new Map([[k, v]]);
+    }
+  }
+  return createNode(v, undefined, {
+    aliasDuplicateObjects: false,
+    keepUndefined: false,
+    onAnchor: () => {
+      throw new Error("This should not happen, please report a bug.");
+    },
+    schema,
+    sourceObjects: new Map
+  });
+}
+var isEmptyPath = (path) => path == null || typeof path === "object" && !!path[Symbol.iterator]().next().done;
+
+class Collection extends NodeBase {
+  constructor(type, schema) {
+    super(type);
+    Object.defineProperty(this, "schema", {
+      value: schema,
+      configurable: true,
+      enumerable: false,
+      writable: true
+    });
+  }
+  clone(schema) {
+    const copy = Object.create(Object.getPrototypeOf(this), Object.getOwnPropertyDescriptors(this));
+    if (schema)
+      copy.schema = schema;
+    copy.items = copy.items.map((it) => isNode(it) || isPair(it) ? it.clone(schema) : it);
+    if (this.range)
+      copy.range = this.range.slice();
+    return copy;
+  }
+  addIn(path, value) {
+    if (isEmptyPath(path))
+      this.add(value);
+    else {
+      const [key, ...rest] = path;
+      const node = this.get(key, true);
+      if (isCollection(node))
+        node.addIn(rest, value);
+      else if (node === undefined && this.schema)
+        this.set(key, collectionFromPath(this.schema, rest, value));
+      else
+        throw new Error(`Expected YAML collection at ${key}. Remaining path: ${rest}`);
+    }
+  }
+  deleteIn(path) {
+    const [key, ...rest] = path;
+    if (rest.length === 0)
+      return this.delete(key);
+    const node = this.get(key, true);
+    if (isCollection(node))
+      return node.deleteIn(rest);
+    else
+      throw new Error(`Expected YAML collection at ${key}. Remaining path: ${rest}`);
+  }
+  getIn(path, keepScalar) {
+    const [key, ...rest] = path;
+    const node = this.get(key, true);
+    if (rest.length === 0)
+      return !keepScalar && isScalar(node) ? node.value : node;
+    else
+      return isCollection(node) ? node.getIn(rest, keepScalar) : undefined;
+  }
+  hasAllNullValues(allowScalar) {
+    return this.items.every((node) => {
+      if (!isPair(node))
+        return false;
+      const n = node.value;
+      return n == null || allowScalar && isScalar(n) && n.value == null && !n.commentBefore && !n.comment && !n.tag;
+    });
+  }
+  hasIn(path) {
+    const [key, ...rest] = path;
+    if (rest.length === 0)
+      return this.has(key);
+    const node = this.get(key, true);
+    return isCollection(node) ? node.hasIn(rest) : false;
+  }
+  setIn(path, value) {
+    const [key, ...rest] = path;
+    if (rest.length === 0) {
+      this.set(key, value);
+    } else {
+      const node = this.get(key, true);
+      if (isCollection(node))
+        node.setIn(rest, value);
+      else if (node === undefined && this.schema)
+        this.set(key, collectionFromPath(this.schema, rest, value));
+      else
+        throw new Error(`Expected YAML collection at ${key}. Remaining path: ${rest}`);
+    }
+  }
+}
+
+// node_modules/yaml/browser/dist/stringify/stringifyComment.js
+var stringifyComment = (str) => str.replace(/^(?!$)(?: $)?/gm, "#");
+function indentComment(comment, indent) {
+  if (/^\n+$/.test(comment))
+    return comment.substring(1);
+  return indent ? comment.replace(/^(?! *$)/gm, indent) : comment;
+}
+var lineComment = (str, indent, comment) => str.endsWith(`
+`) ? indentComment(comment, indent) : comment.includes(`
+`) ? `
+` + indentComment(comment, indent) : (str.endsWith(" ") ? "" : " ") + comment;
+
+// node_modules/yaml/browser/dist/stringify/foldFlowLines.js
+var FOLD_FLOW = "flow";
+var FOLD_BLOCK = "block";
+var FOLD_QUOTED = "quoted";
+function foldFlowLines(text, indent, mode = "flow", { indentAtStart, lineWidth = 80, minContentWidth = 20, onFold, onOverflow } = {}) {
+  if (!lineWidth || lineWidth < 0)
+    return text;
+  if (lineWidth < minContentWidth)
+    minContentWidth = 0;
+  const endStep = Math.max(1 + minContentWidth, 1 + lineWidth - indent.length);
+  if (text.length <= endStep)
+    return text;
+  const folds = [];
+  const escapedFolds = {};
+  let end = lineWidth - indent.length;
+  if (typeof indentAtStart === "number") {
+    if (indentAtStart > lineWidth - Math.max(2, minContentWidth))
+      folds.push(0);
+    else
+      end = lineWidth - indentAtStart;
+  }
+  let split = undefined;
+  let prev = undefined;
+  let overflow = false;
+  let i = -1;
+  let escStart = -1;
+  let escEnd = -1;
+  if (mode === FOLD_BLOCK) {
+    i = consumeMoreIndentedLines(text, i, indent.length);
+    if (i !== -1)
+      end = i + endStep;
+  }
+  for (let ch;ch = text[i += 1]; ) {
+    if (mode === FOLD_QUOTED && ch === "\\") {
+      escStart = i;
+      switch (text[i + 1]) {
+        case "x":
+          i += 3;
+          break;
+        case "u":
+          i += 5;
+          break;
+        case "U":
+          i += 9;
+          break;
+        default:
+          i += 1;
+      }
+      escEnd = i;
+    }
+    if (ch === `
+`) {
+      if (mode === FOLD_BLOCK)
+        i = consumeMoreIndentedLines(text, i, indent.length);
+      end = i + indent.length + endStep;
+      split = undefined;
+    } else {
+      if (ch === " " && prev && prev !== " " && prev !== `
+` && prev !== "\t") {
+        const next = text[i + 1];
+        if (next && next !== " " && next !== `
+` && next !== "\t")
+          split = i;
+      }
+      if (i >= end) {
+        if (split) {
+          folds.push(split);
+          end = split + endStep;
+          split = undefined;
+        } else if (mode === FOLD_QUOTED) {
+          while (prev === " " || prev === "\t") {
+            prev = ch;
+            ch = text[i += 1];
+            overflow = true;
+          }
+          const j = i > escEnd + 1 ? i - 2 : escStart - 1;
+          if (escapedFolds[j])
+            return text;
+          folds.push(j);
+          escapedFolds[j] = true;
+          end = j + endStep;
+          split = undefined;
+        } else {
+          overflow = true;
+        }
+      }
+    }
+    prev = ch;
+  }
+  if (overflow && onOverflow)
+    onOverflow();
+  if (folds.length === 0)
+    return text;
+  if (onFold)
+    onFold();
+  let res = text.slice(0, folds[0]);
+  for (let i = 0;i < folds.length; ++i) {
+    const fold = folds[i];
+    const end = folds[i + 1] || text.length;
+    if (fold === 0)
+      res = `
+${indent}${text.slice(0, end)}`;
+    else {
+      if (mode === FOLD_QUOTED && escapedFolds[fold])
+        res += `${text[fold]}\\`;
+      res += `
+${indent}${text.slice(fold + 1, end)}`;
+    }
+  }
+  return res;
+}
+function consumeMoreIndentedLines(text, i, indent) {
+  let end = i;
+  let start = i + 1;
+  let ch = text[start];
+  while (ch === " " || ch === "\t") {
+    if (i < start + indent) {
+      ch = text[++i];
+    } else {
+      do {
+        ch = text[++i];
+      } while (ch && ch !== `
+`);
+      end = i;
+      start = i + 1;
+      ch = text[start];
+    }
+  }
+  return end;
+}
+
+// node_modules/yaml/browser/dist/stringify/stringifyString.js
+var getFoldOptions = (ctx, isBlock) => ({
+  indentAtStart: isBlock ? ctx.indent.length : ctx.indentAtStart,
+  lineWidth: ctx.options.lineWidth,
+  minContentWidth: ctx.options.minContentWidth
+});
+var containsDocumentMarker = (str) => /^(%|---|\.\.\.)/m.test(str);
+function lineLengthOverLimit(str, lineWidth, indentLength) {
+  if (!lineWidth || lineWidth < 0)
+    return false;
+  const limit = lineWidth - indentLength;
+  const strLen = str.length;
+  if (strLen <= limit)
+    return false;
+  for (let i = 0, start = 0;i < strLen; ++i) {
+    if (str[i] === `
+`) {
+      if (i - start > limit)
+        return true;
+      start = i + 1;
+      if (strLen - start <= limit)
+        return false;
+    }
+  }
+  return true;
+}
+function doubleQuotedString(value, ctx) {
+  const json = JSON.stringify(value);
+  if (ctx.options.doubleQuotedAsJSON)
+    return json;
+  const { implicitKey } = ctx;
+  const minMultiLineLength = ctx.options.doubleQuotedMinMultiLineLength;
+  const indent = ctx.indent || (containsDocumentMarker(value) ? "  " : "");
+  let str = "";
+  let start = 0;
+  for (let i = 0, ch = json[i];ch; ch = json[++i]) {
+    if (ch === " " && json[i + 1] === "\\" && json[i + 2] === "n") {
+      str += json.slice(start, i) + "\\ ";
+      i += 1;
+      start = i;
+      ch = "\\";
+    }
+    if (ch === "\\")
+      switch (json[i + 1]) {
+        case "u":
+          {
+            str += json.slice(start, i);
+            const code = json.substr(i + 2, 4);
+            switch (code) {
+              case "0000":
+                str += "\\0";
+                break;
+              case "0007":
+                str += "\\a";
+                break;
+              case "000b":
+                str += "\\v";
+                break;
+              case "001b":
+                str += "\\e";
+                break;
+              case "0085":
+                str += "\\N";
+                break;
+              case "00a0":
+                str += "\\_";
+                break;
+              case "2028":
+                str += "\\L";
+                break;
+              case "2029":
+                str += "\\P";
+                break;
+              default:
+                if (code.substr(0, 2) === "00")
+                  str += "\\x" + code.substr(2);
+                else
+                  str += json.substr(i, 6);
+            }
+            i += 5;
+            start = i + 1;
+          }
+          break;
+        case "n":
+          if (implicitKey || json[i + 2] === '"' || json.length < minMultiLineLength) {
+            i += 1;
+          } else {
+            str += json.slice(start, i) + `
+
+`;
+            while (json[i + 2] === "\\" && json[i + 3] === "n" && json[i + 4] !== '"') {
+              str += `
+`;
+              i += 2;
+            }
+            str += indent;
+            if (json[i + 2] === " ")
+              str += "\\";
+            i += 1;
+            start = i + 1;
+          }
+          break;
+        default:
+          i += 1;
+      }
+  }
+  str = start ? str + json.slice(start) : json;
+  return implicitKey ? str : foldFlowLines(str, indent, FOLD_QUOTED, getFoldOptions(ctx, false));
+}
+function singleQuotedString(value, ctx) {
+  if (ctx.options.singleQuote === false || ctx.implicitKey && value.includes(`
+`) || /[ \t]\n|\n[ \t]/.test(value))
+    return doubleQuotedString(value, ctx);
+  const indent = ctx.indent || (containsDocumentMarker(value) ? "  " : "");
+  const res = "'" + value.replace(/'/g, "''").replace(/\n+/g, `$&
+${indent}`) + "'";
+  return ctx.implicitKey ? res : foldFlowLines(res, indent, FOLD_FLOW, getFoldOptions(ctx, false));
+}
+function quotedString(value, ctx) {
+  const { singleQuote } = ctx.options;
+  let qs;
+  if (singleQuote === false)
+    qs = doubleQuotedString;
+  else {
+    const hasDouble = value.includes('"');
+    const hasSingle = value.includes("'");
+    if (hasDouble && !hasSingle)
+      qs = singleQuotedString;
+    else if (hasSingle && !hasDouble)
+      qs = doubleQuotedString;
+    else
+      qs = singleQuote ? singleQuotedString : doubleQuotedString;
+  }
+  return qs(value, ctx);
+}
+var blockEndNewlines;
+try {
+  blockEndNewlines = new RegExp(`(^|(?<!
+))
++(?!
+|$)`, "g");
+} catch {
+  blockEndNewlines = /\n+(?!\n|$)/g;
+}
+function blockString({ comment, type, value }, ctx, onComment, onChompKeep) {
+  const { blockQuote, commentString, lineWidth } = ctx.options;
+  if (!blockQuote || /\n[\t ]+$/.test(value)) {
+    return quotedString(value, ctx);
+  }
+  const indent = ctx.indent || (ctx.forceBlockIndent || containsDocumentMarker(value) ? "  " : "");
+  const literal = blockQuote === "literal" ? true : blockQuote === "folded" || type === Scalar.BLOCK_FOLDED ? false : type === Scalar.BLOCK_LITERAL ? true : !lineLengthOverLimit(value, lineWidth, indent.length);
+  if (!value)
+    return literal ? `|
+` : `>
+`;
+  let chomp;
+  let endStart;
+  for (endStart = value.length;endStart > 0; --endStart) {
+    const ch = value[endStart - 1];
+    if (ch !== `
+` && ch !== "\t" && ch !== " ")
+      break;
+  }
+  let end = value.substring(endStart);
+  const endNlPos = end.indexOf(`
+`);
+  if (endNlPos === -1) {
+    chomp = "-";
+  } else if (value === end || endNlPos !== end.length - 1) {
+    chomp = "+";
+    if (onChompKeep)
+      onChompKeep();
+  } else {
+    chomp = "";
+  }
+  if (end) {
+    value = value.slice(0, -end.length);
+    if (end[end.length - 1] === `
+`)
+      end = end.slice(0, -1);
+    end = end.replace(blockEndNewlines, `$&${indent}`);
+  }
+  let startWithSpace = false;
+  let startEnd;
+  let startNlPos = -1;
+  for (startEnd = 0;startEnd < value.length; ++startEnd) {
+    const ch = value[startEnd];
+    if (ch === " ")
+      startWithSpace = true;
+    else if (ch === `
+`)
+      startNlPos = startEnd;
+    else
+      break;
+  }
+  let start = value.substring(0, startNlPos < startEnd ? startNlPos + 1 : startEnd);
+  if (start) {
+    value = value.substring(start.length);
+    start = start.replace(/\n+/g, `$&${indent}`);
+  }
+  const indentSize = indent ? "2" : "1";
+  let header = (startWithSpace ? indentSize : "") + chomp;
+  if (comment) {
+    header += " " + commentString(comment.replace(/ ?[\r\n]+/g, " "));
+    if (onComment)
+      onComment();
+  }
+  if (!literal) {
+    const foldedValue = value.replace(/\n+/g, `
+$&`).replace(/(?:^|\n)([\t ].*)(?:([\n\t ]*)\n(?![\n\t ]))?/g, "$1$2").replace(/\n+/g, `$&${indent}`);
+    let literalFallback = false;
+    const foldOptions = getFoldOptions(ctx, true);
+    if (blockQuote !== "folded" && type !== Scalar.BLOCK_FOLDED) {
+      foldOptions.onOverflow = () => {
+        literalFallback = true;
+      };
+    }
+    const body = foldFlowLines(`${start}${foldedValue}${end}`, indent, FOLD_BLOCK, foldOptions);
+    if (!literalFallback)
+      return `>${header}
+${indent}${body}`;
+  }
+  value = value.replace(/\n+/g, `$&${indent}`);
+  return `|${header}
+${indent}${start}${value}${end}`;
+}
+function plainString(item, ctx, onComment, onChompKeep) {
+  const { type, value } = item;
+  const { actualString, implicitKey, indent, indentStep, inFlow } = ctx;
+  if (implicitKey && value.includes(`
+`) || inFlow && /[[\]{},]/.test(value)) {
+    return quotedString(value, ctx);
+  }
+  if (/^[\n\t ,[\]{}#&*!|>'"%@`]|^[?-]$|^[?-][ \t]|[\n:][ \t]|[ \t]\n|[\n\t ]#|[\n\t :]$/.test(value)) {
+    return implicitKey || inFlow || !value.includes(`
+`) ? quotedString(value, ctx) : blockString(item, ctx, onComment, onChompKeep);
+  }
+  if (!implicitKey && !inFlow && type !== Scalar.PLAIN && value.includes(`
+`)) {
+    return blockString(item, ctx, onComment, onChompKeep);
+  }
+  if (containsDocumentMarker(value)) {
+    if (indent === "") {
+      ctx.forceBlockIndent = true;
+      return blockString(item, ctx, onComment, onChompKeep);
+    } else if (implicitKey && indent === indentStep) {
+      return quotedString(value, ctx);
+    }
+  }
+  const str = value.replace(/\n+/g, `$&
+${indent}`);
+  if (actualString) {
+    const test = (tag) => tag.default && tag.tag !== "tag:yaml.org,2002:str" && tag.test?.test(str);
+    const { compat, tags } = ctx.doc.schema;
+    if (tags.some(test) || compat?.some(test))
+      return quotedString(value, ctx);
+  }
+  return implicitKey ? str : foldFlowLines(str, indent, FOLD_FLOW, getFoldOptions(ctx, false));
+}
+function stringifyString(item, ctx, onComment, onChompKeep) {
+  const { implicitKey, inFlow } = ctx;
+  const ss = typeof item.value === "string" ? item : Object.assign({}, item, { value: String(item.value) });
+  let { type } = item;
+  if (type !== Scalar.QUOTE_DOUBLE) {
+    if (/[\x00-\x08\x0b-\x1f\x7f-\x9f\u{D800}-\u{DFFF}]/u.test(ss.value))
+      type = Scalar.QUOTE_DOUBLE;
+  }
+  const _stringify = (_type) => {
+    switch (_type) {
+      case Scalar.BLOCK_FOLDED:
+      case Scalar.BLOCK_LITERAL:
+        return implicitKey || inFlow ? quotedString(ss.value, ctx) : blockString(ss, ctx, onComment, onChompKeep);
+      case Scalar.QUOTE_DOUBLE:
+        return doubleQuotedString(ss.value, ctx);
+      case Scalar.QUOTE_SINGLE:
+        return singleQuotedString(ss.value, ctx);
+      case Scalar.PLAIN:
+        return plainString(ss, ctx, onComment, onChompKeep);
+      default:
+        return null;
+    }
+  };
+  let res = _stringify(type);
+  if (res === null) {
+    const { defaultKeyType, defaultStringType } = ctx.options;
+    const t = implicitKey && defaultKeyType || defaultStringType;
+    res = _stringify(t);
+    if (res === null)
+      throw new Error(`Unsupported default string type ${t}`);
+  }
+  return res;
+}
+
+// node_modules/yaml/browser/dist/stringify/stringify.js
+function createStringifyContext(doc, options) {
+  const opt = Object.assign({
+    blockQuote: true,
+    commentString: stringifyComment,
+    defaultKeyType: null,
+    defaultStringType: "PLAIN",
+    directives: null,
+    doubleQuotedAsJSON: false,
+    doubleQuotedMinMultiLineLength: 40,
+    falseStr: "false",
+    flowCollectionPadding: true,
+    indentSeq: true,
+    lineWidth: 80,
+    minContentWidth: 20,
+    nullStr: "null",
+    simpleKeys: false,
+    singleQuote: null,
+    trueStr: "true",
+    verifyAliasOrder: true
+  }, doc.schema.toStringOptions, options);
+  let inFlow;
+  switch (opt.collectionStyle) {
+    case "block":
+      inFlow = false;
+      break;
+    case "flow":
+      inFlow = true;
+      break;
+    default:
+      inFlow = null;
+  }
+  return {
+    anchors: new Set,
+    doc,
+    flowCollectionPadding: opt.flowCollectionPadding ? " " : "",
+    indent: "",
+    indentStep: typeof opt.indent === "number" ? " ".repeat(opt.indent) : "  ",
+    inFlow,
+    options: opt
+  };
+}
+function getTagObject(tags, item) {
+  if (item.tag) {
+    const match = tags.filter((t) => t.tag === item.tag);
+    if (match.length > 0)
+      return match.find((t) => t.format === item.format) ?? match[0];
+  }
+  let tagObj = undefined;
+  let obj;
+  if (isScalar(item)) {
+    obj = item.value;
+    let match = tags.filter((t) => t.identify?.(obj));
+    if (match.length > 1) {
+      const testMatch = match.filter((t) => t.test);
+      if (testMatch.length > 0)
+        match = testMatch;
+    }
+    tagObj = match.find((t) => t.format === item.format) ?? match.find((t) => !t.format);
+  } else {
+    obj = item;
+    tagObj = tags.find((t) => t.nodeClass && obj instanceof t.nodeClass);
+  }
+  if (!tagObj) {
+    const name = obj?.constructor?.name ?? (obj === null ? "null" : typeof obj);
+    throw new Error(`Tag not resolved for ${name} value`);
+  }
+  return tagObj;
+}
+function stringifyProps(node, tagObj, { anchors, doc }) {
+  if (!doc.directives)
+    return "";
+  const props = [];
+  const anchor = (isScalar(node) || isCollection(node)) && node.anchor;
+  if (anchor && anchorIsValid(anchor)) {
+    anchors.add(anchor);
+    props.push(`&${anchor}`);
+  }
+  const tag = node.tag ?? (tagObj.default ? null : tagObj.tag);
+  if (tag)
+    props.push(doc.directives.tagString(tag));
+  return props.join(" ");
+}
+function stringify(item, ctx, onComment, onChompKeep) {
+  if (isPair(item))
+    return item.toString(ctx, onComment, onChompKeep);
+  if (isAlias(item)) {
+    if (ctx.doc.directives)
+      return item.toString(ctx);
+    if (ctx.resolvedAliases?.has(item)) {
+      throw new TypeError(`Cannot stringify circular structure without alias nodes`);
+    } else {
+      if (ctx.resolvedAliases)
+        ctx.resolvedAliases.add(item);
+      else
+        ctx.resolvedAliases = new Set([item]);
+      item = item.resolve(ctx.doc);
+    }
+  }
+  let tagObj = undefined;
+  const node = isNode(item) ? item : ctx.doc.createNode(item, { onTagObj: (o) => tagObj = o });
+  tagObj ?? (tagObj = getTagObject(ctx.doc.schema.tags, node));
+  const props = stringifyProps(node, tagObj, ctx);
+  if (props.length > 0)
+    ctx.indentAtStart = (ctx.indentAtStart ?? 0) + props.length + 1;
+  const str = typeof tagObj.stringify === "function" ? tagObj.stringify(node, ctx, onComment, onChompKeep) : isScalar(node) ? stringifyString(node, ctx, onComment, onChompKeep) : node.toString(ctx, onComment, onChompKeep);
+  if (!props)
+    return str;
+  return isScalar(node) || str[0] === "{" || str[0] === "[" ? `${props} ${str}` : `${props}
+${ctx.indent}${str}`;
+}
+
+// node_modules/yaml/browser/dist/stringify/stringifyPair.js
+function stringifyPair({ key, value }, ctx, onComment, onChompKeep) {
+  const { allNullValues, doc, indent, indentStep, options: { commentString, indentSeq, simpleKeys } } = ctx;
+  let keyComment = isNode(key) && key.comment || null;
+  if (simpleKeys) {
+    if (keyComment) {
+      throw new Error("With simple keys, key nodes cannot have comments");
+    }
+    if (isCollection(key) || !isNode(key) && typeof key === "object") {
+      const msg = "With simple keys, collection cannot be used as a key value";
+      throw new Error(msg);
+    }
+  }
+  let explicitKey = !simpleKeys && (!key || keyComment && value == null && !ctx.inFlow || isCollection(key) || (isScalar(key) ? key.type === Scalar.BLOCK_FOLDED || key.type === Scalar.BLOCK_LITERAL : typeof key === "object"));
+  ctx = Object.assign({}, ctx, {
+    allNullValues: false,
+    implicitKey: !explicitKey && (simpleKeys || !allNullValues),
+    indent: indent + indentStep
+  });
+  let keyCommentDone = false;
+  let chompKeep = false;
+  let str = stringify(key, ctx, () => keyCommentDone = true, () => chompKeep = true);
+  if (!explicitKey && !ctx.inFlow && str.length > 1024) {
+    if (simpleKeys)
+      throw new Error("With simple keys, single line scalar must not span more than 1024 characters");
+    explicitKey = true;
+  }
+  if (ctx.inFlow) {
+    if (allNullValues || value == null) {
+      if (keyCommentDone && onComment)
+        onComment();
+      return str === "" ? "?" : explicitKey ? `? ${str}` : str;
+    }
+  } else if (allNullValues && !simpleKeys || value == null && explicitKey) {
+    str = `? ${str}`;
+    if (keyComment && !keyCommentDone) {
+      str += lineComment(str, ctx.indent, commentString(keyComment));
+    } else if (chompKeep && onChompKeep)
+      onChompKeep();
+    return str;
+  }
+  if (keyCommentDone)
+    keyComment = null;
+  if (explicitKey) {
+    if (keyComment)
+      str += lineComment(str, ctx.indent, commentString(keyComment));
+    str = `? ${str}
+${indent}:`;
+  } else {
+    str = `${str}:`;
+    if (keyComment)
+      str += lineComment(str, ctx.indent, commentString(keyComment));
+  }
+  let vsb, vcb, valueComment;
+  if (isNode(value)) {
+    vsb = !!value.spaceBefore;
+    vcb = value.commentBefore;
+    valueComment = value.comment;
+  } else {
+    vsb = false;
+    vcb = null;
+    valueComment = null;
+    if (value && typeof value === "object")
+      value = doc.createNode(value);
+  }
+  ctx.implicitKey = false;
+  if (!explicitKey && !keyComment && isScalar(value))
+    ctx.indentAtStart = str.length + 1;
+  chompKeep = false;
+  if (!indentSeq && indentStep.length >= 2 && !ctx.inFlow && !explicitKey && isSeq(value) && !value.flow && !value.tag && !value.anchor) {
+    ctx.indent = ctx.indent.substring(2);
+  }
+  let valueCommentDone = false;
+  const valueStr = stringify(value, ctx, () => valueCommentDone = true, () => chompKeep = true);
+  let ws = " ";
+  if (keyComment || vsb || vcb) {
+    ws = vsb ? `
+` : "";
+    if (vcb) {
+      const cs = commentString(vcb);
+      ws += `
+${indentComment(cs, ctx.indent)}`;
+    }
+    if (valueStr === "" && !ctx.inFlow) {
+      if (ws === `
+`)
+        ws = `
+
+`;
+    } else {
+      ws += `
+${ctx.indent}`;
+    }
+  } else if (!explicitKey && isCollection(value)) {
+    const vs0 = valueStr[0];
+    const nl0 = valueStr.indexOf(`
+`);
+    const hasNewline = nl0 !== -1;
+    const flow = ctx.inFlow ?? value.flow ?? value.items.length === 0;
+    if (hasNewline || !flow) {
+      let hasPropsLine = false;
+      if (hasNewline && (vs0 === "&" || vs0 === "!")) {
+        let sp0 = valueStr.indexOf(" ");
+        if (vs0 === "&" && sp0 !== -1 && sp0 < nl0 && valueStr[sp0 + 1] === "!") {
+          sp0 = valueStr.indexOf(" ", sp0 + 1);
+        }
+        if (sp0 === -1 || nl0 < sp0)
+          hasPropsLine = true;
+      }
+      if (!hasPropsLine)
+        ws = `
+${ctx.indent}`;
+    }
+  } else if (valueStr === "" || valueStr[0] === `
+`) {
+    ws = "";
+  }
+  str += ws + valueStr;
+  if (ctx.inFlow) {
+    if (valueCommentDone && onComment)
+      onComment();
+  } else if (valueComment && !valueCommentDone) {
+    str += lineComment(str, ctx.indent, commentString(valueComment));
+  } else if (chompKeep && onChompKeep) {
+    onChompKeep();
+  }
+  return str;
+}
+
+// node_modules/yaml/browser/dist/log.js
+function warn(logLevel, warning) {
+  if (logLevel === "debug" || logLevel === "warn") {
+    console.warn(warning);
+  }
+}
+
+// node_modules/yaml/browser/dist/schema/yaml-1.1/merge.js
+var MERGE_KEY = "<<";
+var merge = {
+  identify: (value) => value === MERGE_KEY || typeof value === "symbol" && value.description === MERGE_KEY,
+  default: "key",
+  tag: "tag:yaml.org,2002:merge",
+  test: /^<<$/,
+  resolve: () => Object.assign(new Scalar(Symbol(MERGE_KEY)), {
+    addToJSMap: addMergeToJSMap
+  }),
+  stringify: () => MERGE_KEY
+};
+var isMergeKey = (ctx, key) => (merge.identify(key) || isScalar(key) && (!key.type || key.type === Scalar.PLAIN) && merge.identify(key.value)) && ctx?.doc.schema.tags.some((tag) => tag.tag === merge.tag && tag.default);
+function addMergeToJSMap(ctx, map, value) {
+  value = ctx && isAlias(value) ? value.resolve(ctx.doc) : value;
+  if (isSeq(value))
+    for (const it of value.items)
+      mergeValue(ctx, map, it);
+  else if (Array.isArray(value))
+    for (const it of value)
+      mergeValue(ctx, map, it);
+  else
+    mergeValue(ctx, map, value);
+}
+function mergeValue(ctx, map, value) {
+  const source = ctx && isAlias(value) ? value.resolve(ctx.doc) : value;
+  if (!isMap(source))
+    throw new Error("Merge sources must be maps or map aliases");
+  const srcMap = source.toJSON(null, ctx, Map);
+  for (const [key, value] of srcMap) {
+    if (map instanceof Map) {
+      if (!map.has(key))
+        map.set(key, value);
+    } else if (map instanceof Set) {
+      map.add(key);
+    } else if (!Object.prototype.hasOwnProperty.call(map, key)) {
+      Object.defineProperty(map, key, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true
+      });
+    }
+  }
+  return map;
+}
+
+// node_modules/yaml/browser/dist/nodes/addPairToJSMap.js
+function addPairToJSMap(ctx, map, { key, value }) {
+  if (isNode(key) && key.addToJSMap)
+    key.addToJSMap(ctx, map, value);
+  else if (isMergeKey(ctx, key))
+    addMergeToJSMap(ctx, map, value);
+  else {
+    const jsKey = toJS(key, "", ctx);
+    if (map instanceof Map) {
+      map.set(jsKey, toJS(value, jsKey, ctx));
+    } else if (map instanceof Set) {
+      map.add(jsKey);
+    } else {
+      const stringKey = stringifyKey(key, jsKey, ctx);
+      const jsValue = toJS(value, stringKey, ctx);
+      if (stringKey in map)
+        Object.defineProperty(map, stringKey, {
+          value: jsValue,
+          writable: true,
+          enumerable: true,
+          configurable: true
+        });
+      else
+        map[stringKey] = jsValue;
+    }
+  }
+  return map;
+}
+function stringifyKey(key, jsKey, ctx) {
+  if (jsKey === null)
+    return "";
+  if (typeof jsKey !== "object")
+    return String(jsKey);
+  if (isNode(key) && ctx?.doc) {
+    const strCtx = createStringifyContext(ctx.doc, {});
+    strCtx.anchors = new Set;
+    for (const node of ctx.anchors.keys())
+      strCtx.anchors.add(node.anchor);
+    strCtx.inFlow = true;
+    strCtx.inStringifyKey = true;
+    const strKey = key.toString(strCtx);
+    if (!ctx.mapKeyWarned) {
+      let jsonStr = JSON.stringify(strKey);
+      if (jsonStr.length > 40)
+        jsonStr = jsonStr.substring(0, 36) + '..."';
+      warn(ctx.doc.options.logLevel, `Keys with collection values will be stringified due to JS Object restrictions: ${jsonStr}. Set mapAsMap: true to use object keys.`);
+      ctx.mapKeyWarned = true;
+    }
+    return strKey;
+  }
+  return JSON.stringify(jsKey);
+}
+
+// node_modules/yaml/browser/dist/nodes/Pair.js
+function createPair(key, value, ctx) {
+  const k = createNode(key, undefined, ctx);
+  const v = createNode(value, undefined, ctx);
+  return new Pair(k, v);
+}
+
+class Pair {
+  constructor(key, value = null) {
+    Object.defineProperty(this, NODE_TYPE, { value: PAIR });
+    this.key = key;
+    this.value = value;
+  }
+  clone(schema) {
+    let { key, value } = this;
+    if (isNode(key))
+      key = key.clone(schema);
+    if (isNode(value))
+      value = value.clone(schema);
+    return new Pair(key, value);
+  }
+  toJSON(_, ctx) {
+    const pair = ctx?.mapAsMap ? new Map : {};
+    return addPairToJSMap(ctx, pair, this);
+  }
+  toString(ctx, onComment, onChompKeep) {
+    return ctx?.doc ? stringifyPair(this, ctx, onComment, onChompKeep) : JSON.stringify(this);
+  }
+}
+
+// node_modules/yaml/browser/dist/stringify/stringifyCollection.js
+function stringifyCollection(collection, ctx, options) {
+  const flow = ctx.inFlow ?? collection.flow;
+  const stringify = flow ? stringifyFlowCollection : stringifyBlockCollection;
+  return stringify(collection, ctx, options);
+}
+function stringifyBlockCollection({ comment, items }, ctx, { blockItemPrefix, flowChars, itemIndent, onChompKeep, onComment }) {
+  const { indent, options: { commentString } } = ctx;
+  const itemCtx = Object.assign({}, ctx, { indent: itemIndent, type: null });
+  let chompKeep = false;
+  const lines = [];
+  for (let i = 0;i < items.length; ++i) {
+    const item = items[i];
+    let comment = null;
+    if (isNode(item)) {
+      if (!chompKeep && item.spaceBefore)
+        lines.push("");
+      addCommentBefore(ctx, lines, item.commentBefore, chompKeep);
+      if (item.comment)
+        comment = item.comment;
+    } else if (isPair(item)) {
+      const ik = isNode(item.key) ? item.key : null;
+      if (ik) {
+        if (!chompKeep && ik.spaceBefore)
+          lines.push("");
+        addCommentBefore(ctx, lines, ik.commentBefore, chompKeep);
+      }
+    }
+    chompKeep = false;
+    let str = stringify(item, itemCtx, () => comment = null, () => chompKeep = true);
+    if (comment)
+      str += lineComment(str, itemIndent, commentString(comment));
+    if (chompKeep && comment)
+      chompKeep = false;
+    lines.push(blockItemPrefix + str);
+  }
+  let str;
+  if (lines.length === 0) {
+    str = flowChars.start + flowChars.end;
+  } else {
+    str = lines[0];
+    for (let i = 1;i < lines.length; ++i) {
+      const line = lines[i];
+      str += line ? `
+${indent}${line}` : `
+`;
+    }
+  }
+  if (comment) {
+    str += `
+` + indentComment(commentString(comment), indent);
+    if (onComment)
+      onComment();
+  } else if (chompKeep && onChompKeep)
+    onChompKeep();
+  return str;
+}
+function stringifyFlowCollection({ items }, ctx, { flowChars, itemIndent }) {
+  const { indent, indentStep, flowCollectionPadding: fcPadding, options: { commentString } } = ctx;
+  itemIndent += indentStep;
+  const itemCtx = Object.assign({}, ctx, {
+    indent: itemIndent,
+    inFlow: true,
+    type: null
+  });
+  let reqNewline = false;
+  let linesAtValue = 0;
+  const lines = [];
+  for (let i = 0;i < items.length; ++i) {
+    const item = items[i];
+    let comment = null;
+    if (isNode(item)) {
+      if (item.spaceBefore)
+        lines.push("");
+      addCommentBefore(ctx, lines, item.commentBefore, false);
+      if (item.comment)
+        comment = item.comment;
+    } else if (isPair(item)) {
+      const ik = isNode(item.key) ? item.key : null;
+      if (ik) {
+        if (ik.spaceBefore)
+          lines.push("");
+        addCommentBefore(ctx, lines, ik.commentBefore, false);
+        if (ik.comment)
+          reqNewline = true;
+      }
+      const iv = isNode(item.value) ? item.value : null;
+      if (iv) {
+        if (iv.comment)
+          comment = iv.comment;
+        if (iv.commentBefore)
+          reqNewline = true;
+      } else if (item.value == null && ik?.comment) {
+        comment = ik.comment;
+      }
+    }
+    if (comment)
+      reqNewline = true;
+    let str = stringify(item, itemCtx, () => comment = null);
+    if (i < items.length - 1)
+      str += ",";
+    if (comment)
+      str += lineComment(str, itemIndent, commentString(comment));
+    if (!reqNewline && (lines.length > linesAtValue || str.includes(`
+`)))
+      reqNewline = true;
+    lines.push(str);
+    linesAtValue = lines.length;
+  }
+  const { start, end } = flowChars;
+  if (lines.length === 0) {
+    return start + end;
+  } else {
+    if (!reqNewline) {
+      const len = lines.reduce((sum, line) => sum + line.length + 2, 2);
+      reqNewline = ctx.options.lineWidth > 0 && len > ctx.options.lineWidth;
+    }
+    if (reqNewline) {
+      let str = start;
+      for (const line of lines)
+        str += line ? `
+${indentStep}${indent}${line}` : `
+`;
+      return `${str}
+${indent}${end}`;
+    } else {
+      return `${start}${fcPadding}${lines.join(" ")}${fcPadding}${end}`;
+    }
+  }
+}
+function addCommentBefore({ indent, options: { commentString } }, lines, comment, chompKeep) {
+  if (comment && chompKeep)
+    comment = comment.replace(/^\n+/, "");
+  if (comment) {
+    const ic = indentComment(commentString(comment), indent);
+    lines.push(ic.trimStart());
+  }
+}
+
+// node_modules/yaml/browser/dist/nodes/YAMLMap.js
+function findPair(items, key) {
+  const k = isScalar(key) ? key.value : key;
+  for (const it of items) {
+    if (isPair(it)) {
+      if (it.key === key || it.key === k)
+        return it;
+      if (isScalar(it.key) && it.key.value === k)
+        return it;
+    }
+  }
+  return;
+}
+
+class YAMLMap extends Collection {
+  static get tagName() {
+    return "tag:yaml.org,2002:map";
+  }
+  constructor(schema) {
+    super(MAP, schema);
+    this.items = [];
+  }
+  static from(schema, obj, ctx) {
+    const { keepUndefined, replacer } = ctx;
+    const map = new this(schema);
+    const add = (key, value) => {
+      if (typeof replacer === "function")
+        value = replacer.call(obj, key, value);
+      else if (Array.isArray(replacer) && !replacer.includes(key))
+        return;
+      if (value !== undefined || keepUndefined)
+        map.items.push(createPair(key, value, ctx));
+    };
+    if (obj instanceof Map) {
+      for (const [key, value] of obj)
+        add(key, value);
+    } else if (obj && typeof obj === "object") {
+      for (const key of Object.keys(obj))
+        add(key, obj[key]);
+    }
+    if (typeof schema.sortMapEntries === "function") {
+      map.items.sort(schema.sortMapEntries);
+    }
+    return map;
+  }
+  add(pair, overwrite) {
+    let _pair;
+    if (isPair(pair))
+      _pair = pair;
+    else if (!pair || typeof pair !== "object" || !("key" in pair)) {
+      _pair = new Pair(pair, pair?.value);
+    } else
+      _pair = new Pair(pair.key, pair.value);
+    const prev = findPair(this.items, _pair.key);
+    const sortEntries = this.schema?.sortMapEntries;
+    if (prev) {
+      if (!overwrite)
+        throw new Error(`Key ${_pair.key} already set`);
+      if (isScalar(prev.value) && isScalarValue(_pair.value))
+        prev.value.value = _pair.value;
+      else
+        prev.value = _pair.value;
+    } else if (sortEntries) {
+      const i = this.items.findIndex((item) => sortEntries(_pair, item) < 0);
+      if (i === -1)
+        this.items.push(_pair);
+      else
+        this.items.splice(i, 0, _pair);
+    } else {
+      this.items.push(_pair);
+    }
+  }
+  delete(key) {
+    const it = findPair(this.items, key);
+    if (!it)
+      return false;
+    const del = this.items.splice(this.items.indexOf(it), 1);
+    return del.length > 0;
+  }
+  get(key, keepScalar) {
+    const it = findPair(this.items, key);
+    const node = it?.value;
+    return (!keepScalar && isScalar(node) ? node.value : node) ?? undefined;
+  }
+  has(key) {
+    return !!findPair(this.items, key);
+  }
+  set(key, value) {
+    this.add(new Pair(key, value), true);
+  }
+  toJSON(_, ctx, Type) {
+    const map = Type ? new Type : ctx?.mapAsMap ? new Map : {};
+    if (ctx?.onCreate)
+      ctx.onCreate(map);
+    for (const item of this.items)
+      addPairToJSMap(ctx, map, item);
+    return map;
+  }
+  toString(ctx, onComment, onChompKeep) {
+    if (!ctx)
+      return JSON.stringify(this);
+    for (const item of this.items) {
+      if (!isPair(item))
+        throw new Error(`Map items must all be pairs; found ${JSON.stringify(item)} instead`);
+    }
+    if (!ctx.allNullValues && this.hasAllNullValues(false))
+      ctx = Object.assign({}, ctx, { allNullValues: true });
+    return stringifyCollection(this, ctx, {
+      blockItemPrefix: "",
+      flowChars: { start: "{", end: "}" },
+      itemIndent: ctx.indent || "",
+      onChompKeep,
+      onComment
+    });
+  }
+}
+
+// node_modules/yaml/browser/dist/schema/common/map.js
+var map = {
+  collection: "map",
+  default: true,
+  nodeClass: YAMLMap,
+  tag: "tag:yaml.org,2002:map",
+  resolve(map, onError) {
+    if (!isMap(map))
+      onError("Expected a mapping for this tag");
+    return map;
+  },
+  createNode: (schema, obj, ctx) => YAMLMap.from(schema, obj, ctx)
+};
+
+// node_modules/yaml/browser/dist/nodes/YAMLSeq.js
+class YAMLSeq extends Collection {
+  static get tagName() {
+    return "tag:yaml.org,2002:seq";
+  }
+  constructor(schema) {
+    super(SEQ, schema);
+    this.items = [];
+  }
+  add(value) {
+    this.items.push(value);
+  }
+  delete(key) {
+    const idx = asItemIndex(key);
+    if (typeof idx !== "number")
+      return false;
+    const del = this.items.splice(idx, 1);
+    return del.length > 0;
+  }
+  get(key, keepScalar) {
+    const idx = asItemIndex(key);
+    if (typeof idx !== "number")
+      return;
+    const it = this.items[idx];
+    return !keepScalar && isScalar(it) ? it.value : it;
+  }
+  has(key) {
+    const idx = asItemIndex(key);
+    return typeof idx === "number" && idx < this.items.length;
+  }
+  set(key, value) {
+    const idx = asItemIndex(key);
+    if (typeof idx !== "number")
+      throw new Error(`Expected a valid index, not ${key}.`);
+    const prev = this.items[idx];
+    if (isScalar(prev) && isScalarValue(value))
+      prev.value = value;
+    else
+      this.items[idx] = value;
+  }
+  toJSON(_, ctx) {
+    const seq = [];
+    if (ctx?.onCreate)
+      ctx.onCreate(seq);
+    let i = 0;
+    for (const item of this.items)
+      seq.push(toJS(item, String(i++), ctx));
+    return seq;
+  }
+  toString(ctx, onComment, onChompKeep) {
+    if (!ctx)
+      return JSON.stringify(this);
+    return stringifyCollection(this, ctx, {
+      blockItemPrefix: "- ",
+      flowChars: { start: "[", end: "]" },
+      itemIndent: (ctx.indent || "") + "  ",
+      onChompKeep,
+      onComment
+    });
+  }
+  static from(schema, obj, ctx) {
+    const { replacer } = ctx;
+    const seq = new this(schema);
+    if (obj && Symbol.iterator in Object(obj)) {
+      let i = 0;
+      for (let it of obj) {
+        if (typeof replacer === "function") {
+          const key = obj instanceof Set ? it : String(i++);
+          it = replacer.call(obj, key, it);
+        }
+        seq.items.push(createNode(it, undefined, ctx));
+      }
+    }
+    return seq;
+  }
+}
+function asItemIndex(key) {
+  let idx = isScalar(key) ? key.value : key;
+  if (idx && typeof idx === "string")
+    idx = Number(idx);
+  return typeof idx === "number" && Number.isInteger(idx) && idx >= 0 ? idx : null;
+}
+
+// node_modules/yaml/browser/dist/schema/common/seq.js
+var seq = {
+  collection: "seq",
+  default: true,
+  nodeClass: YAMLSeq,
+  tag: "tag:yaml.org,2002:seq",
+  resolve(seq, onError) {
+    if (!isSeq(seq))
+      onError("Expected a sequence for this tag");
+    return seq;
+  },
+  createNode: (schema, obj, ctx) => YAMLSeq.from(schema, obj, ctx)
+};
+
+// node_modules/yaml/browser/dist/schema/common/string.js
+var string = {
+  identify: (value) => typeof value === "string",
+  default: true,
+  tag: "tag:yaml.org,2002:str",
+  resolve: (str) => str,
+  stringify(item, ctx, onComment, onChompKeep) {
+    ctx = Object.assign({ actualString: true }, ctx);
+    return stringifyString(item, ctx, onComment, onChompKeep);
+  }
+};
+
+// node_modules/yaml/browser/dist/schema/common/null.js
+var nullTag = {
+  identify: (value) => value == null,
+  createNode: () => new Scalar(null),
+  default: true,
+  tag: "tag:yaml.org,2002:null",
+  test: /^(?:~|[Nn]ull|NULL)?$/,
+  resolve: () => new Scalar(null),
+  stringify: ({ source }, ctx) => typeof source === "string" && nullTag.test.test(source) ? source : ctx.options.nullStr
+};
+
+// node_modules/yaml/browser/dist/schema/core/bool.js
+var boolTag = {
+  identify: (value) => typeof value === "boolean",
+  default: true,
+  tag: "tag:yaml.org,2002:bool",
+  test: /^(?:[Tt]rue|TRUE|[Ff]alse|FALSE)$/,
+  resolve: (str) => new Scalar(str[0] === "t" || str[0] === "T"),
+  stringify({ source, value }, ctx) {
+    if (source && boolTag.test.test(source)) {
+      const sv = source[0] === "t" || source[0] === "T";
+      if (value === sv)
+        return source;
+    }
+    return value ? ctx.options.trueStr : ctx.options.falseStr;
+  }
+};
+
+// node_modules/yaml/browser/dist/stringify/stringifyNumber.js
+function stringifyNumber({ format, minFractionDigits, tag, value }) {
+  if (typeof value === "bigint")
+    return String(value);
+  const num = typeof value === "number" ? value : Number(value);
+  if (!isFinite(num))
+    return isNaN(num) ? ".nan" : num < 0 ? "-.inf" : ".inf";
+  let n = JSON.stringify(value);
+  if (!format && minFractionDigits && (!tag || tag === "tag:yaml.org,2002:float") && /^\d/.test(n)) {
+    let i = n.indexOf(".");
+    if (i < 0) {
+      i = n.length;
+      n += ".";
+    }
+    let d = minFractionDigits - (n.length - i - 1);
+    while (d-- > 0)
+      n += "0";
+  }
+  return n;
+}
+
+// node_modules/yaml/browser/dist/schema/core/float.js
+var floatNaN = {
+  identify: (value) => typeof value === "number",
+  default: true,
+  tag: "tag:yaml.org,2002:float",
+  test: /^(?:[-+]?\.(?:inf|Inf|INF)|\.nan|\.NaN|\.NAN)$/,
+  resolve: (str) => str.slice(-3).toLowerCase() === "nan" ? NaN : str[0] === "-" ? Number.NEGATIVE_INFINITY : Number.POSITIVE_INFINITY,
+  stringify: stringifyNumber
+};
+var floatExp = {
+  identify: (value) => typeof value === "number",
+  default: true,
+  tag: "tag:yaml.org,2002:float",
+  format: "EXP",
+  test: /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)[eE][-+]?[0-9]+$/,
+  resolve: (str) => parseFloat(str),
+  stringify(node) {
+    const num = Number(node.value);
+    return isFinite(num) ? num.toExponential() : stringifyNumber(node);
+  }
+};
+var float = {
+  identify: (value) => typeof value === "number",
+  default: true,
+  tag: "tag:yaml.org,2002:float",
+  test: /^[-+]?(?:\.[0-9]+|[0-9]+\.[0-9]*)$/,
+  resolve(str) {
+    const node = new Scalar(parseFloat(str));
+    const dot = str.indexOf(".");
+    if (dot !== -1 && str[str.length - 1] === "0")
+      node.minFractionDigits = str.length - dot - 1;
+    return node;
+  },
+  stringify: stringifyNumber
+};
+
+// node_modules/yaml/browser/dist/schema/core/int.js
+var intIdentify = (value) => typeof value === "bigint" || Number.isInteger(value);
+var intResolve = (str, offset, radix, { intAsBigInt }) => intAsBigInt ? BigInt(str) : parseInt(str.substring(offset), radix);
+function intStringify(node, radix, prefix) {
+  const { value } = node;
+  if (intIdentify(value) && value >= 0)
+    return prefix + value.toString(radix);
+  return stringifyNumber(node);
+}
+var intOct = {
+  identify: (value) => intIdentify(value) && value >= 0,
+  default: true,
+  tag: "tag:yaml.org,2002:int",
+  format: "OCT",
+  test: /^0o[0-7]+$/,
+  resolve: (str, _onError, opt) => intResolve(str, 2, 8, opt),
+  stringify: (node) => intStringify(node, 8, "0o")
+};
+var int = {
+  identify: intIdentify,
+  default: true,
+  tag: "tag:yaml.org,2002:int",
+  test: /^[-+]?[0-9]+$/,
+  resolve: (str, _onError, opt) => intResolve(str, 0, 10, opt),
+  stringify: stringifyNumber
+};
+var intHex = {
+  identify: (value) => intIdentify(value) && value >= 0,
+  default: true,
+  tag: "tag:yaml.org,2002:int",
+  format: "HEX",
+  test: /^0x[0-9a-fA-F]+$/,
+  resolve: (str, _onError, opt) => intResolve(str, 2, 16, opt),
+  stringify: (node) => intStringify(node, 16, "0x")
+};
+
+// node_modules/yaml/browser/dist/schema/core/schema.js
+var schema = [
+  map,
+  seq,
+  string,
+  nullTag,
+  boolTag,
+  intOct,
+  int,
+  intHex,
+  floatNaN,
+  floatExp,
+  float
+];
+
+// node_modules/yaml/browser/dist/schema/json/schema.js
+function intIdentify2(value) {
+  return typeof value === "bigint" || Number.isInteger(value);
+}
+var stringifyJSON = ({ value }) => JSON.stringify(value);
+var jsonScalars = [
+  {
+    identify: (value) => typeof value === "string",
+    default: true,
+    tag: "tag:yaml.org,2002:str",
+    resolve: (str) => str,
+    stringify: stringifyJSON
+  },
+  {
+    identify: (value) => value == null,
+    createNode: () => new Scalar(null),
+    default: true,
+    tag: "tag:yaml.org,2002:null",
+    test: /^null$/,
+    resolve: () => null,
+    stringify: stringifyJSON
+  },
+  {
+    identify: (value) => typeof value === "boolean",
+    default: true,
+    tag: "tag:yaml.org,2002:bool",
+    test: /^true$|^false$/,
+    resolve: (str) => str === "true",
+    stringify: stringifyJSON
+  },
+  {
+    identify: intIdentify2,
+    default: true,
+    tag: "tag:yaml.org,2002:int",
+    test: /^-?(?:0|[1-9][0-9]*)$/,
+    resolve: (str, _onError, { intAsBigInt }) => intAsBigInt ? BigInt(str) : parseInt(str, 10),
+    stringify: ({ value }) => intIdentify2(value) ? value.toString() : JSON.stringify(value)
+  },
+  {
+    identify: (value) => typeof value === "number",
+    default: true,
+    tag: "tag:yaml.org,2002:float",
+    test: /^-?(?:0|[1-9][0-9]*)(?:\.[0-9]*)?(?:[eE][-+]?[0-9]+)?$/,
+    resolve: (str) => parseFloat(str),
+    stringify: stringifyJSON
+  }
+];
+var jsonError = {
+  default: true,
+  tag: "",
+  test: /^/,
+  resolve(str, onError) {
+    onError(`Unresolved plain scalar ${JSON.stringify(str)}`);
+    return str;
+  }
+};
+var schema2 = [map, seq].concat(jsonScalars, jsonError);
+
+// node_modules/yaml/browser/dist/schema/yaml-1.1/binary.js
+var binary = {
+  identify: (value) => value instanceof Uint8Array,
+  default: false,
+  tag: "tag:yaml.org,2002:binary",
+  resolve(src, onError) {
+    if (typeof atob === "function") {
+      const str = atob(src.replace(/[\n\r]/g, ""));
+      const buffer = new Uint8Array(str.length);
+      for (let i = 0;i < str.length; ++i)
+        buffer[i] = str.charCodeAt(i);
+      return buffer;
+    } else {
+      onError("This environment does not support reading binary tags; either Buffer or atob is required");
+      return src;
+    }
+  },
+  stringify({ comment, type, value }, ctx, onComment, onChompKeep) {
+    if (!value)
+      return "";
+    const buf = value;
+    let str;
+    if (typeof btoa === "function") {
+      let s = "";
+      for (let i = 0;i < buf.length; ++i)
+        s += String.fromCharCode(buf[i]);
+      str = btoa(s);
+    } else {
+      throw new Error("This environment does not support writing binary tags; either Buffer or btoa is required");
+    }
+    type ?? (type = Scalar.BLOCK_LITERAL);
+    if (type !== Scalar.QUOTE_DOUBLE) {
+      const lineWidth = Math.max(ctx.options.lineWidth - ctx.indent.length, ctx.options.minContentWidth);
+      const n = Math.ceil(str.length / lineWidth);
+      const lines = new Array(n);
+      for (let i = 0, o = 0;i < n; ++i, o += lineWidth) {
+        lines[i] = str.substr(o, lineWidth);
+      }
+      str = lines.join(type === Scalar.BLOCK_LITERAL ? `
+` : " ");
+    }
+    return stringifyString({ comment, type, value: str }, ctx, onComment, onChompKeep);
+  }
+};
+
+// node_modules/yaml/browser/dist/schema/yaml-1.1/pairs.js
+function resolvePairs(seq, onError) {
+  if (isSeq(seq)) {
+    for (let i = 0;i < seq.items.length; ++i) {
+      let item = seq.items[i];
+      if (isPair(item))
+        continue;
+      else if (isMap(item)) {
+        if (item.items.length > 1)
+          onError("Each pair must have its own sequence indicator");
+        const pair = item.items[0] || new Pair(new Scalar(null));
+        if (item.commentBefore)
+          pair.key.commentBefore = pair.key.commentBefore ? `${item.commentBefore}
+${pair.key.commentBefore}` : item.commentBefore;
+        if (item.comment) {
+          const cn = pair.value ?? pair.key;
+          cn.comment = cn.comment ? `${item.comment}
+${cn.comment}` : item.comment;
+        }
+        item = pair;
+      }
+      seq.items[i] = isPair(item) ? item : new Pair(item);
+    }
+  } else
+    onError("Expected a sequence for this tag");
+  return seq;
+}
+function createPairs(schema, iterable, ctx) {
+  const { replacer } = ctx;
+  const pairs = new YAMLSeq(schema);
+  pairs.tag = "tag:yaml.org,2002:pairs";
+  let i = 0;
+  if (iterable && Symbol.iterator in Object(iterable))
+    for (let it of iterable) {
+      if (typeof replacer === "function")
+        it = replacer.call(iterable, String(i++), it);
+      let key, value;
+      if (Array.isArray(it)) {
+        if (it.length === 2) {
+          key = it[0];
+          value = it[1];
+        } else
+          throw new TypeError(`Expected [key, value] tuple: ${it}`);
+      } else if (it && it instanceof Object) {
+        const keys = Object.keys(it);
+        if (keys.length === 1) {
+          key = keys[0];
+          value = it[key];
+        } else {
+          throw new TypeError(`Expected tuple with one key, not ${keys.length} keys`);
+        }
+      } else {
+        key = it;
+      }
+      pairs.items.push(createPair(key, value, ctx));
+    }
+  return pairs;
+}
+var pairs = {
+  collection: "seq",
+  default: false,
+  tag: "tag:yaml.org,2002:pairs",
+  resolve: resolvePairs,
+  createNode: createPairs
+};
+
+// node_modules/yaml/browser/dist/schema/yaml-1.1/omap.js
+class YAMLOMap extends YAMLSeq {
+  constructor() {
+    super();
+    this.add = YAMLMap.prototype.add.bind(this);
+    this.delete = YAMLMap.prototype.delete.bind(this);
+    this.get = YAMLMap.prototype.get.bind(this);
+    this.has = YAMLMap.prototype.has.bind(this);
+    this.set = YAMLMap.prototype.set.bind(this);
+    this.tag = YAMLOMap.tag;
+  }
+  toJSON(_, ctx) {
+    if (!ctx)
+      return super.toJSON(_);
+    const map = new Map;
+    if (ctx?.onCreate)
+      ctx.onCreate(map);
+    for (const pair of this.items) {
+      let key, value;
+      if (isPair(pair)) {
+        key = toJS(pair.key, "", ctx);
+        value = toJS(pair.value, key, ctx);
+      } else {
+        key = toJS(pair, "", ctx);
+      }
+      if (map.has(key))
+        throw new Error("Ordered maps must not include duplicate keys");
+      map.set(key, value);
+    }
+    return map;
+  }
+  static from(schema, iterable, ctx) {
+    const pairs = createPairs(schema, iterable, ctx);
+    const omap = new this;
+    omap.items = pairs.items;
+    return omap;
+  }
+}
+YAMLOMap.tag = "tag:yaml.org,2002:omap";
+var omap = {
+  collection: "seq",
+  identify: (value) => value instanceof Map,
+  nodeClass: YAMLOMap,
+  default: false,
+  tag: "tag:yaml.org,2002:omap",
+  resolve(seq, onError) {
+    const pairs = resolvePairs(seq, onError);
+    const seenKeys = [];
+    for (const { key } of pairs.items) {
+      if (isScalar(key)) {
+        if (seenKeys.includes(key.value)) {
+          onError(`Ordered maps must not include duplicate keys: ${key.value}`);
+        } else {
+          seenKeys.push(key.value);
+        }
+      }
+    }
+    return Object.assign(new YAMLOMap, pairs);
+  },
+  createNode: (schema, iterable, ctx) => YAMLOMap.from(schema, iterable, ctx)
+};
+
+// node_modules/yaml/browser/dist/schema/yaml-1.1/bool.js
+function boolStringify({ value, source }, ctx) {
+  const boolObj = value ? trueTag : falseTag;
+  if (source && boolObj.test.test(source))
+    return source;
+  return value ? ctx.options.trueStr : ctx.options.falseStr;
+}
+var trueTag = {
+  identify: (value) => value === true,
+  default: true,
+  tag: "tag:yaml.org,2002:bool",
+  test: /^(?:Y|y|[Yy]es|YES|[Tt]rue|TRUE|[Oo]n|ON)$/,
+  resolve: () => new Scalar(true),
+  stringify: boolStringify
+};
+var falseTag = {
+  identify: (value) => value === false,
+  default: true,
+  tag: "tag:yaml.org,2002:bool",
+  test: /^(?:N|n|[Nn]o|NO|[Ff]alse|FALSE|[Oo]ff|OFF)$/,
+  resolve: () => new Scalar(false),
+  stringify: boolStringify
+};
+
+// node_modules/yaml/browser/dist/schema/yaml-1.1/float.js
+var floatNaN2 = {
+  identify: (value) => typeof value === "number",
+  default: true,
+  tag: "tag:yaml.org,2002:float",
+  test: /^(?:[-+]?\.(?:inf|Inf|INF)|\.nan|\.NaN|\.NAN)$/,
+  resolve: (str) => str.slice(-3).toLowerCase() === "nan" ? NaN : str[0] === "-" ? Number.NEGATIVE_INFINITY : Number.POSITIVE_INFINITY,
+  stringify: stringifyNumber
+};
+var floatExp2 = {
+  identify: (value) => typeof value === "number",
+  default: true,
+  tag: "tag:yaml.org,2002:float",
+  format: "EXP",
+  test: /^[-+]?(?:[0-9][0-9_]*)?(?:\.[0-9_]*)?[eE][-+]?[0-9]+$/,
+  resolve: (str) => parseFloat(str.replace(/_/g, "")),
+  stringify(node) {
+    const num = Number(node.value);
+    return isFinite(num) ? num.toExponential() : stringifyNumber(node);
+  }
+};
+var float2 = {
+  identify: (value) => typeof value === "number",
+  default: true,
+  tag: "tag:yaml.org,2002:float",
+  test: /^[-+]?(?:[0-9][0-9_]*)?\.[0-9_]*$/,
+  resolve(str) {
+    const node = new Scalar(parseFloat(str.replace(/_/g, "")));
+    const dot = str.indexOf(".");
+    if (dot !== -1) {
+      const f = str.substring(dot + 1).replace(/_/g, "");
+      if (f[f.length - 1] === "0")
+        node.minFractionDigits = f.length;
+    }
+    return node;
+  },
+  stringify: stringifyNumber
+};
+
+// node_modules/yaml/browser/dist/schema/yaml-1.1/int.js
+var intIdentify3 = (value) => typeof value === "bigint" || Number.isInteger(value);
+function intResolve2(str, offset, radix, { intAsBigInt }) {
+  const sign = str[0];
+  if (sign === "-" || sign === "+")
+    offset += 1;
+  str = str.substring(offset).replace(/_/g, "");
+  if (intAsBigInt) {
+    switch (radix) {
+      case 2:
+        str = `0b${str}`;
+        break;
+      case 8:
+        str = `0o${str}`;
+        break;
+      case 16:
+        str = `0x${str}`;
+        break;
+    }
+    const n = BigInt(str);
+    return sign === "-" ? BigInt(-1) * n : n;
+  }
+  const n = parseInt(str, radix);
+  return sign === "-" ? -1 * n : n;
+}
+function intStringify2(node, radix, prefix) {
+  const { value } = node;
+  if (intIdentify3(value)) {
+    const str = value.toString(radix);
+    return value < 0 ? "-" + prefix + str.substr(1) : prefix + str;
+  }
+  return stringifyNumber(node);
+}
+var intBin = {
+  identify: intIdentify3,
+  default: true,
+  tag: "tag:yaml.org,2002:int",
+  format: "BIN",
+  test: /^[-+]?0b[0-1_]+$/,
+  resolve: (str, _onError, opt) => intResolve2(str, 2, 2, opt),
+  stringify: (node) => intStringify2(node, 2, "0b")
+};
+var intOct2 = {
+  identify: intIdentify3,
+  default: true,
+  tag: "tag:yaml.org,2002:int",
+  format: "OCT",
+  test: /^[-+]?0[0-7_]+$/,
+  resolve: (str, _onError, opt) => intResolve2(str, 1, 8, opt),
+  stringify: (node) => intStringify2(node, 8, "0")
+};
+var int2 = {
+  identify: intIdentify3,
+  default: true,
+  tag: "tag:yaml.org,2002:int",
+  test: /^[-+]?[0-9][0-9_]*$/,
+  resolve: (str, _onError, opt) => intResolve2(str, 0, 10, opt),
+  stringify: stringifyNumber
+};
+var intHex2 = {
+  identify: intIdentify3,
+  default: true,
+  tag: "tag:yaml.org,2002:int",
+  format: "HEX",
+  test: /^[-+]?0x[0-9a-fA-F_]+$/,
+  resolve: (str, _onError, opt) => intResolve2(str, 2, 16, opt),
+  stringify: (node) => intStringify2(node, 16, "0x")
+};
+
+// node_modules/yaml/browser/dist/schema/yaml-1.1/set.js
+class YAMLSet extends YAMLMap {
+  constructor(schema) {
+    super(schema);
+    this.tag = YAMLSet.tag;
+  }
+  add(key) {
+    let pair;
+    if (isPair(key))
+      pair = key;
+    else if (key && typeof key === "object" && "key" in key && "value" in key && key.value === null)
+      pair = new Pair(key.key, null);
+    else
+      pair = new Pair(key, null);
+    const prev = findPair(this.items, pair.key);
+    if (!prev)
+      this.items.push(pair);
+  }
+  get(key, keepPair) {
+    const pair = findPair(this.items, key);
+    return !keepPair && isPair(pair) ? isScalar(pair.key) ? pair.key.value : pair.key : pair;
+  }
+  set(key, value) {
+    if (typeof value !== "boolean")
+      throw new Error(`Expected boolean value for set(key, value) in a YAML set, not ${typeof value}`);
+    const prev = findPair(this.items, key);
+    if (prev && !value) {
+      this.items.splice(this.items.indexOf(prev), 1);
+    } else if (!prev && value) {
+      this.items.push(new Pair(key));
+    }
+  }
+  toJSON(_, ctx) {
+    return super.toJSON(_, ctx, Set);
+  }
+  toString(ctx, onComment, onChompKeep) {
+    if (!ctx)
+      return JSON.stringify(this);
+    if (this.hasAllNullValues(true))
+      return super.toString(Object.assign({}, ctx, { allNullValues: true }), onComment, onChompKeep);
+    else
+      throw new Error("Set items must all have null values");
+  }
+  static from(schema, iterable, ctx) {
+    const { replacer } = ctx;
+    const set = new this(schema);
+    if (iterable && Symbol.iterator in Object(iterable))
+      for (let value of iterable) {
+        if (typeof replacer === "function")
+          value = replacer.call(iterable, value, value);
+        set.items.push(createPair(value, null, ctx));
+      }
+    return set;
+  }
+}
+YAMLSet.tag = "tag:yaml.org,2002:set";
+var set = {
+  collection: "map",
+  identify: (value) => value instanceof Set,
+  nodeClass: YAMLSet,
+  default: false,
+  tag: "tag:yaml.org,2002:set",
+  createNode: (schema, iterable, ctx) => YAMLSet.from(schema, iterable, ctx),
+  resolve(map, onError) {
+    if (isMap(map)) {
+      if (map.hasAllNullValues(true))
+        return Object.assign(new YAMLSet, map);
+      else
+        onError("Set items must all have null values");
+    } else
+      onError("Expected a mapping for this tag");
+    return map;
+  }
+};
+
+// node_modules/yaml/browser/dist/schema/yaml-1.1/timestamp.js
+function parseSexagesimal(str, asBigInt) {
+  const sign = str[0];
+  const parts = sign === "-" || sign === "+" ? str.substring(1) : str;
+  const num = (n) => asBigInt ? BigInt(n) : Number(n);
+  const res = parts.replace(/_/g, "").split(":").reduce((res, p) => res * num(60) + num(p), num(0));
+  return sign === "-" ? num(-1) * res : res;
+}
+function stringifySexagesimal(node) {
+  let { value } = node;
+  let num = (n) => n;
+  if (typeof value === "bigint")
+    num = (n) => BigInt(n);
+  else if (isNaN(value) || !isFinite(value))
+    return stringifyNumber(node);
+  let sign = "";
+  if (value < 0) {
+    sign = "-";
+    value *= num(-1);
+  }
+  const _60 = num(60);
+  const parts = [value % _60];
+  if (value < 60) {
+    parts.unshift(0);
+  } else {
+    value = (value - parts[0]) / _60;
+    parts.unshift(value % _60);
+    if (value >= 60) {
+      value = (value - parts[0]) / _60;
+      parts.unshift(value);
+    }
+  }
+  return sign + parts.map((n) => String(n).padStart(2, "0")).join(":").replace(/000000\d*$/, "");
+}
+var intTime = {
+  identify: (value) => typeof value === "bigint" || Number.isInteger(value),
+  default: true,
+  tag: "tag:yaml.org,2002:int",
+  format: "TIME",
+  test: /^[-+]?[0-9][0-9_]*(?::[0-5]?[0-9])+$/,
+  resolve: (str, _onError, { intAsBigInt }) => parseSexagesimal(str, intAsBigInt),
+  stringify: stringifySexagesimal
+};
+var floatTime = {
+  identify: (value) => typeof value === "number",
+  default: true,
+  tag: "tag:yaml.org,2002:float",
+  format: "TIME",
+  test: /^[-+]?[0-9][0-9_]*(?::[0-5]?[0-9])+\.[0-9_]*$/,
+  resolve: (str) => parseSexagesimal(str, false),
+  stringify: stringifySexagesimal
+};
+var timestamp = {
+  identify: (value) => value instanceof Date,
+  default: true,
+  tag: "tag:yaml.org,2002:timestamp",
+  test: RegExp("^([0-9]{4})-([0-9]{1,2})-([0-9]{1,2})" + "(?:" + "(?:t|T|[ \\t]+)" + "([0-9]{1,2}):([0-9]{1,2}):([0-9]{1,2}(\\.[0-9]+)?)" + "(?:[ \\t]*(Z|[-+][012]?[0-9](?::[0-9]{2})?))?" + ")?$"),
+  resolve(str) {
+    const match = str.match(timestamp.test);
+    if (!match)
+      throw new Error("!!timestamp expects a date, starting with yyyy-mm-dd");
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    const millisec = match[7] ? Number((match[7] + "00").substr(1, 3)) : 0;
+    let date = Date.UTC(year, month - 1, day, hour || 0, minute || 0, second || 0, millisec);
+    const tz = match[8];
+    if (tz && tz !== "Z") {
+      let d = parseSexagesimal(tz, false);
+      if (Math.abs(d) < 30)
+        d *= 60;
+      date -= 60000 * d;
+    }
+    return new Date(date);
+  },
+  stringify: ({ value }) => value?.toISOString().replace(/(T00:00:00)?\.000Z$/, "") ?? ""
+};
+
+// node_modules/yaml/browser/dist/schema/yaml-1.1/schema.js
+var schema3 = [
+  map,
+  seq,
+  string,
+  nullTag,
+  trueTag,
+  falseTag,
+  intBin,
+  intOct2,
+  int2,
+  intHex2,
+  floatNaN2,
+  floatExp2,
+  float2,
+  binary,
+  merge,
+  omap,
+  pairs,
+  set,
+  intTime,
+  floatTime,
+  timestamp
+];
+
+// node_modules/yaml/browser/dist/schema/tags.js
+var schemas = new Map([
+  ["core", schema],
+  ["failsafe", [map, seq, string]],
+  ["json", schema2],
+  ["yaml11", schema3],
+  ["yaml-1.1", schema3]
+]);
+var tagsByName = {
+  binary,
+  bool: boolTag,
+  float,
+  floatExp,
+  floatNaN,
+  floatTime,
+  int,
+  intHex,
+  intOct,
+  intTime,
+  map,
+  merge,
+  null: nullTag,
+  omap,
+  pairs,
+  seq,
+  set,
+  timestamp
+};
+var coreKnownTags = {
+  "tag:yaml.org,2002:binary": binary,
+  "tag:yaml.org,2002:merge": merge,
+  "tag:yaml.org,2002:omap": omap,
+  "tag:yaml.org,2002:pairs": pairs,
+  "tag:yaml.org,2002:set": set,
+  "tag:yaml.org,2002:timestamp": timestamp
+};
+function getTags(customTags, schemaName, addMergeTag) {
+  const schemaTags = schemas.get(schemaName);
+  if (schemaTags && !customTags) {
+    return addMergeTag && !schemaTags.includes(merge) ? schemaTags.concat(merge) : schemaTags.slice();
+  }
+  let tags = schemaTags;
+  if (!tags) {
+    if (Array.isArray(customTags))
+      tags = [];
+    else {
+      const keys = Array.from(schemas.keys()).filter((key) => key !== "yaml11").map((key) => JSON.stringify(key)).join(", ");
+      throw new Error(`Unknown schema "${schemaName}"; use one of ${keys} or define customTags array`);
+    }
+  }
+  if (Array.isArray(customTags)) {
+    for (const tag of customTags)
+      tags = tags.concat(tag);
+  } else if (typeof customTags === "function") {
+    tags = customTags(tags.slice());
+  }
+  if (addMergeTag)
+    tags = tags.concat(merge);
+  return tags.reduce((tags, tag) => {
+    const tagObj = typeof tag === "string" ? tagsByName[tag] : tag;
+    if (!tagObj) {
+      const tagName = JSON.stringify(tag);
+      const keys = Object.keys(tagsByName).map((key) => JSON.stringify(key)).join(", ");
+      throw new Error(`Unknown custom tag ${tagName}; use one of ${keys}`);
+    }
+    if (!tags.includes(tagObj))
+      tags.push(tagObj);
+    return tags;
+  }, []);
+}
+
+// node_modules/yaml/browser/dist/schema/Schema.js
+var sortMapEntriesByKey = (a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+
+class Schema {
+  constructor({ compat, customTags, merge, resolveKnownTags, schema, sortMapEntries, toStringDefaults }) {
+    this.compat = Array.isArray(compat) ? getTags(compat, "compat") : compat ? getTags(null, compat) : null;
+    this.name = typeof schema === "string" && schema || "core";
+    this.knownTags = resolveKnownTags ? coreKnownTags : {};
+    this.tags = getTags(customTags, this.name, merge);
+    this.toStringOptions = toStringDefaults ?? null;
+    Object.defineProperty(this, MAP, { value: map });
+    Object.defineProperty(this, SCALAR, { value: string });
+    Object.defineProperty(this, SEQ, { value: seq });
+    this.sortMapEntries = typeof sortMapEntries === "function" ? sortMapEntries : sortMapEntries === true ? sortMapEntriesByKey : null;
+  }
+  clone() {
+    const copy = Object.create(Schema.prototype, Object.getOwnPropertyDescriptors(this));
+    copy.tags = this.tags.slice();
+    return copy;
+  }
+}
+
+// node_modules/yaml/browser/dist/stringify/stringifyDocument.js
+function stringifyDocument(doc, options) {
+  const lines = [];
+  let hasDirectives = options.directives === true;
+  if (options.directives !== false && doc.directives) {
+    const dir = doc.directives.toString(doc);
+    if (dir) {
+      lines.push(dir);
+      hasDirectives = true;
+    } else if (doc.directives.docStart)
+      hasDirectives = true;
+  }
+  if (hasDirectives)
+    lines.push("---");
+  const ctx = createStringifyContext(doc, options);
+  const { commentString } = ctx.options;
+  if (doc.commentBefore) {
+    if (lines.length !== 1)
+      lines.unshift("");
+    const cs = commentString(doc.commentBefore);
+    lines.unshift(indentComment(cs, ""));
+  }
+  let chompKeep = false;
+  let contentComment = null;
+  if (doc.contents) {
+    if (isNode(doc.contents)) {
+      if (doc.contents.spaceBefore && hasDirectives)
+        lines.push("");
+      if (doc.contents.commentBefore) {
+        const cs = commentString(doc.contents.commentBefore);
+        lines.push(indentComment(cs, ""));
+      }
+      ctx.forceBlockIndent = !!doc.comment;
+      contentComment = doc.contents.comment;
+    }
+    const onChompKeep = contentComment ? undefined : () => chompKeep = true;
+    let body = stringify(doc.contents, ctx, () => contentComment = null, onChompKeep);
+    if (contentComment)
+      body += lineComment(body, "", commentString(contentComment));
+    if ((body[0] === "|" || body[0] === ">") && lines[lines.length - 1] === "---") {
+      lines[lines.length - 1] = `--- ${body}`;
+    } else
+      lines.push(body);
+  } else {
+    lines.push(stringify(doc.contents, ctx));
+  }
+  if (doc.directives?.docEnd) {
+    if (doc.comment) {
+      const cs = commentString(doc.comment);
+      if (cs.includes(`
+`)) {
+        lines.push("...");
+        lines.push(indentComment(cs, ""));
+      } else {
+        lines.push(`... ${cs}`);
+      }
+    } else {
+      lines.push("...");
+    }
+  } else {
+    let dc = doc.comment;
+    if (dc && chompKeep)
+      dc = dc.replace(/^\n+/, "");
+    if (dc) {
+      if ((!chompKeep || contentComment) && lines[lines.length - 1] !== "")
+        lines.push("");
+      lines.push(indentComment(commentString(dc), ""));
+    }
+  }
+  return lines.join(`
+`) + `
+`;
+}
+
+// node_modules/yaml/browser/dist/doc/Document.js
+class Document {
+  constructor(value, replacer, options) {
+    this.commentBefore = null;
+    this.comment = null;
+    this.errors = [];
+    this.warnings = [];
+    Object.defineProperty(this, NODE_TYPE, { value: DOC });
+    let _replacer = null;
+    if (typeof replacer === "function" || Array.isArray(replacer)) {
+      _replacer = replacer;
+    } else if (options === undefined && replacer) {
+      options = replacer;
+      replacer = undefined;
+    }
+    const opt = Object.assign({
+      intAsBigInt: false,
+      keepSourceTokens: false,
+      logLevel: "warn",
+      prettyErrors: true,
+      strict: true,
+      stringKeys: false,
+      uniqueKeys: true,
+      version: "1.2"
+    }, options);
+    this.options = opt;
+    let { version } = opt;
+    if (options?._directives) {
+      this.directives = options._directives.atDocument();
+      if (this.directives.yaml.explicit)
+        version = this.directives.yaml.version;
+    } else
+      this.directives = new Directives({ version });
+    this.setSchema(version, options);
+    this.contents = value === undefined ? null : this.createNode(value, _replacer, options);
+  }
+  clone() {
+    const copy = Object.create(Document.prototype, {
+      [NODE_TYPE]: { value: DOC }
+    });
+    copy.commentBefore = this.commentBefore;
+    copy.comment = this.comment;
+    copy.errors = this.errors.slice();
+    copy.warnings = this.warnings.slice();
+    copy.options = Object.assign({}, this.options);
+    if (this.directives)
+      copy.directives = this.directives.clone();
+    copy.schema = this.schema.clone();
+    copy.contents = isNode(this.contents) ? this.contents.clone(copy.schema) : this.contents;
+    if (this.range)
+      copy.range = this.range.slice();
+    return copy;
+  }
+  add(value) {
+    if (assertCollection(this.contents))
+      this.contents.add(value);
+  }
+  addIn(path, value) {
+    if (assertCollection(this.contents))
+      this.contents.addIn(path, value);
+  }
+  createAlias(node, name) {
+    if (!node.anchor) {
+      const prev = anchorNames(this);
+      node.anchor = !name || prev.has(name) ? findNewAnchor(name || "a", prev) : name;
+    }
+    return new Alias(node.anchor);
+  }
+  createNode(value, replacer, options) {
+    let _replacer = undefined;
+    if (typeof replacer === "function") {
+      value = replacer.call({ "": value }, "", value);
+      _replacer = replacer;
+    } else if (Array.isArray(replacer)) {
+      const keyToStr = (v) => typeof v === "number" || v instanceof String || v instanceof Number;
+      const asStr = replacer.filter(keyToStr).map(String);
+      if (asStr.length > 0)
+        replacer = replacer.concat(asStr);
+      _replacer = replacer;
+    } else if (options === undefined && replacer) {
+      options = replacer;
+      replacer = undefined;
+    }
+    const { aliasDuplicateObjects, anchorPrefix, flow, keepUndefined, onTagObj, tag } = options ?? {};
+    const { onAnchor, setAnchors, sourceObjects } = createNodeAnchors(this, anchorPrefix || "a");
+    const ctx = {
+      aliasDuplicateObjects: aliasDuplicateObjects ?? true,
+      keepUndefined: keepUndefined ?? false,
+      onAnchor,
+      onTagObj,
+      replacer: _replacer,
+      schema: this.schema,
+      sourceObjects
+    };
+    const node = createNode(value, tag, ctx);
+    if (flow && isCollection(node))
+      node.flow = true;
+    setAnchors();
+    return node;
+  }
+  createPair(key, value, options = {}) {
+    const k = this.createNode(key, null, options);
+    const v = this.createNode(value, null, options);
+    return new Pair(k, v);
+  }
+  delete(key) {
+    return assertCollection(this.contents) ? this.contents.delete(key) : false;
+  }
+  deleteIn(path) {
+    if (isEmptyPath(path)) {
+      if (this.contents == null)
+        return false;
+      this.contents = null;
+      return true;
+    }
+    return assertCollection(this.contents) ? this.contents.deleteIn(path) : false;
+  }
+  get(key, keepScalar) {
+    return isCollection(this.contents) ? this.contents.get(key, keepScalar) : undefined;
+  }
+  getIn(path, keepScalar) {
+    if (isEmptyPath(path))
+      return !keepScalar && isScalar(this.contents) ? this.contents.value : this.contents;
+    return isCollection(this.contents) ? this.contents.getIn(path, keepScalar) : undefined;
+  }
+  has(key) {
+    return isCollection(this.contents) ? this.contents.has(key) : false;
+  }
+  hasIn(path) {
+    if (isEmptyPath(path))
+      return this.contents !== undefined;
+    return isCollection(this.contents) ? this.contents.hasIn(path) : false;
+  }
+  set(key, value) {
+    if (this.contents == null) {
+      this.contents = collectionFromPath(this.schema, [key], value);
+    } else if (assertCollection(this.contents)) {
+      this.contents.set(key, value);
+    }
+  }
+  setIn(path, value) {
+    if (isEmptyPath(path)) {
+      this.contents = value;
+    } else if (this.contents == null) {
+      this.contents = collectionFromPath(this.schema, Array.from(path), value);
+    } else if (assertCollection(this.contents)) {
+      this.contents.setIn(path, value);
+    }
+  }
+  setSchema(version, options = {}) {
+    if (typeof version === "number")
+      version = String(version);
+    let opt;
+    switch (version) {
+      case "1.1":
+        if (this.directives)
+          this.directives.yaml.version = "1.1";
+        else
+          this.directives = new Directives({ version: "1.1" });
+        opt = { resolveKnownTags: false, schema: "yaml-1.1" };
+        break;
+      case "1.2":
+      case "next":
+        if (this.directives)
+          this.directives.yaml.version = version;
+        else
+          this.directives = new Directives({ version });
+        opt = { resolveKnownTags: true, schema: "core" };
+        break;
+      case null:
+        if (this.directives)
+          delete this.directives;
+        opt = null;
+        break;
+      default: {
+        const sv = JSON.stringify(version);
+        throw new Error(`Expected '1.1', '1.2' or null as first argument, but found: ${sv}`);
+      }
+    }
+    if (options.schema instanceof Object)
+      this.schema = options.schema;
+    else if (opt)
+      this.schema = new Schema(Object.assign(opt, options));
+    else
+      throw new Error(`With a null YAML version, the { schema: Schema } option is required`);
+  }
+  toJS({ json, jsonArg, mapAsMap, maxAliasCount, onAnchor, reviver } = {}) {
+    const ctx = {
+      anchors: new Map,
+      doc: this,
+      keep: !json,
+      mapAsMap: mapAsMap === true,
+      mapKeyWarned: false,
+      maxAliasCount: typeof maxAliasCount === "number" ? maxAliasCount : 100
+    };
+    const res = toJS(this.contents, jsonArg ?? "", ctx);
+    if (typeof onAnchor === "function")
+      for (const { count, res } of ctx.anchors.values())
+        onAnchor(res, count);
+    return typeof reviver === "function" ? applyReviver(reviver, { "": res }, "", res) : res;
+  }
+  toJSON(jsonArg, onAnchor) {
+    return this.toJS({ json: true, jsonArg, mapAsMap: false, onAnchor });
+  }
+  toString(options = {}) {
+    if (this.errors.length > 0)
+      throw new Error("Document with errors cannot be stringified");
+    if ("indent" in options && (!Number.isInteger(options.indent) || Number(options.indent) <= 0)) {
+      const s = JSON.stringify(options.indent);
+      throw new Error(`"indent" option must be a positive integer, not ${s}`);
+    }
+    return stringifyDocument(this, options);
+  }
+}
+function assertCollection(contents) {
+  if (isCollection(contents))
+    return true;
+  throw new Error("Expected a YAML collection as document contents");
+}
+
+// node_modules/yaml/browser/dist/errors.js
+class YAMLError extends Error {
+  constructor(name, pos, code, message) {
+    super();
+    this.name = name;
+    this.code = code;
+    this.message = message;
+    this.pos = pos;
+  }
+}
+
+class YAMLParseError extends YAMLError {
+  constructor(pos, code, message) {
+    super("YAMLParseError", pos, code, message);
+  }
+}
+
+class YAMLWarning extends YAMLError {
+  constructor(pos, code, message) {
+    super("YAMLWarning", pos, code, message);
+  }
+}
+var prettifyError = (src, lc) => (error) => {
+  if (error.pos[0] === -1)
+    return;
+  error.linePos = error.pos.map((pos) => lc.linePos(pos));
+  const { line, col } = error.linePos[0];
+  error.message += ` at line ${line}, column ${col}`;
+  let ci = col - 1;
+  let lineStr = src.substring(lc.lineStarts[line - 1], lc.lineStarts[line]).replace(/[\n\r]+$/, "");
+  if (ci >= 60 && lineStr.length > 80) {
+    const trimStart = Math.min(ci - 39, lineStr.length - 79);
+    lineStr = "…" + lineStr.substring(trimStart);
+    ci -= trimStart - 1;
+  }
+  if (lineStr.length > 80)
+    lineStr = lineStr.substring(0, 79) + "…";
+  if (line > 1 && /^ *$/.test(lineStr.substring(0, ci))) {
+    let prev = src.substring(lc.lineStarts[line - 2], lc.lineStarts[line - 1]);
+    if (prev.length > 80)
+      prev = prev.substring(0, 79) + `…
+`;
+    lineStr = prev + lineStr;
+  }
+  if (/[^ ]/.test(lineStr)) {
+    let count = 1;
+    const end = error.linePos[1];
+    if (end && end.line === line && end.col > col) {
+      count = Math.max(1, Math.min(end.col - col, 80 - ci));
+    }
+    const pointer = " ".repeat(ci) + "^".repeat(count);
+    error.message += `:
+
+${lineStr}
+${pointer}
+`;
+  }
+};
+
+// node_modules/yaml/browser/dist/compose/resolve-props.js
+function resolveProps(tokens, { flow, indicator, next, offset, onError, parentIndent, startOnNewline }) {
+  let spaceBefore = false;
+  let atNewline = startOnNewline;
+  let hasSpace = startOnNewline;
+  let comment = "";
+  let commentSep = "";
+  let hasNewline = false;
+  let reqSpace = false;
+  let tab = null;
+  let anchor = null;
+  let tag = null;
+  let newlineAfterProp = null;
+  let comma = null;
+  let found = null;
+  let start = null;
+  for (const token of tokens) {
+    if (reqSpace) {
+      if (token.type !== "space" && token.type !== "newline" && token.type !== "comma")
+        onError(token.offset, "MISSING_CHAR", "Tags and anchors must be separated from the next token by white space");
+      reqSpace = false;
+    }
+    if (tab) {
+      if (atNewline && token.type !== "comment" && token.type !== "newline") {
+        onError(tab, "TAB_AS_INDENT", "Tabs are not allowed as indentation");
+      }
+      tab = null;
+    }
+    switch (token.type) {
+      case "space":
+        if (!flow && (indicator !== "doc-start" || next?.type !== "flow-collection") && token.source.includes("\t")) {
+          tab = token;
+        }
+        hasSpace = true;
+        break;
+      case "comment": {
+        if (!hasSpace)
+          onError(token, "MISSING_CHAR", "Comments must be separated from other tokens by white space characters");
+        const cb = token.source.substring(1) || " ";
+        if (!comment)
+          comment = cb;
+        else
+          comment += commentSep + cb;
+        commentSep = "";
+        atNewline = false;
+        break;
+      }
+      case "newline":
+        if (atNewline) {
+          if (comment)
+            comment += token.source;
+          else if (!found || indicator !== "seq-item-ind")
+            spaceBefore = true;
+        } else
+          commentSep += token.source;
+        atNewline = true;
+        hasNewline = true;
+        if (anchor || tag)
+          newlineAfterProp = token;
+        hasSpace = true;
+        break;
+      case "anchor":
+        if (anchor)
+          onError(token, "MULTIPLE_ANCHORS", "A node can have at most one anchor");
+        if (token.source.endsWith(":"))
+          onError(token.offset + token.source.length - 1, "BAD_ALIAS", "Anchor ending in : is ambiguous", true);
+        anchor = token;
+        start ?? (start = token.offset);
+        atNewline = false;
+        hasSpace = false;
+        reqSpace = true;
+        break;
+      case "tag": {
+        if (tag)
+          onError(token, "MULTIPLE_TAGS", "A node can have at most one tag");
+        tag = token;
+        start ?? (start = token.offset);
+        atNewline = false;
+        hasSpace = false;
+        reqSpace = true;
+        break;
+      }
+      case indicator:
+        if (anchor || tag)
+          onError(token, "BAD_PROP_ORDER", `Anchors and tags must be after the ${token.source} indicator`);
+        if (found)
+          onError(token, "UNEXPECTED_TOKEN", `Unexpected ${token.source} in ${flow ?? "collection"}`);
+        found = token;
+        atNewline = indicator === "seq-item-ind" || indicator === "explicit-key-ind";
+        hasSpace = false;
+        break;
+      case "comma":
+        if (flow) {
+          if (comma)
+            onError(token, "UNEXPECTED_TOKEN", `Unexpected , in ${flow}`);
+          comma = token;
+          atNewline = false;
+          hasSpace = false;
+          break;
+        }
+      default:
+        onError(token, "UNEXPECTED_TOKEN", `Unexpected ${token.type} token`);
+        atNewline = false;
+        hasSpace = false;
+    }
+  }
+  const last = tokens[tokens.length - 1];
+  const end = last ? last.offset + last.source.length : offset;
+  if (reqSpace && next && next.type !== "space" && next.type !== "newline" && next.type !== "comma" && (next.type !== "scalar" || next.source !== "")) {
+    onError(next.offset, "MISSING_CHAR", "Tags and anchors must be separated from the next token by white space");
+  }
+  if (tab && (atNewline && tab.indent <= parentIndent || next?.type === "block-map" || next?.type === "block-seq"))
+    onError(tab, "TAB_AS_INDENT", "Tabs are not allowed as indentation");
+  return {
+    comma,
+    found,
+    spaceBefore,
+    comment,
+    hasNewline,
+    anchor,
+    tag,
+    newlineAfterProp,
+    end,
+    start: start ?? end
+  };
+}
+
+// node_modules/yaml/browser/dist/compose/util-contains-newline.js
+function containsNewline(key) {
+  if (!key)
+    return null;
+  switch (key.type) {
+    case "alias":
+    case "scalar":
+    case "double-quoted-scalar":
+    case "single-quoted-scalar":
+      if (key.source.includes(`
+`))
+        return true;
+      if (key.end) {
+        for (const st of key.end)
+          if (st.type === "newline")
+            return true;
+      }
+      return false;
+    case "flow-collection":
+      for (const it of key.items) {
+        for (const st of it.start)
+          if (st.type === "newline")
+            return true;
+        if (it.sep) {
+          for (const st of it.sep)
+            if (st.type === "newline")
+              return true;
+        }
+        if (containsNewline(it.key) || containsNewline(it.value))
+          return true;
+      }
+      return false;
+    default:
+      return true;
+  }
+}
+
+// node_modules/yaml/browser/dist/compose/util-flow-indent-check.js
+function flowIndentCheck(indent, fc, onError) {
+  if (fc?.type === "flow-collection") {
+    const end = fc.end[0];
+    if (end.indent === indent && (end.source === "]" || end.source === "}") && containsNewline(fc)) {
+      const msg = "Flow end indicator should be more indented than parent";
+      onError(end, "BAD_INDENT", msg, true);
+    }
+  }
+}
+
+// node_modules/yaml/browser/dist/compose/util-map-includes.js
+function mapIncludes(ctx, items, search) {
+  const { uniqueKeys } = ctx.options;
+  if (uniqueKeys === false)
+    return false;
+  const isEqual = typeof uniqueKeys === "function" ? uniqueKeys : (a, b) => a === b || isScalar(a) && isScalar(b) && a.value === b.value;
+  return items.some((pair) => isEqual(pair.key, search));
+}
+
+// node_modules/yaml/browser/dist/compose/resolve-block-map.js
+var startColMsg = "All mapping items must start at the same column";
+function resolveBlockMap({ composeNode, composeEmptyNode }, ctx, bm, onError, tag) {
+  const NodeClass = tag?.nodeClass ?? YAMLMap;
+  const map = new NodeClass(ctx.schema);
+  if (ctx.atRoot)
+    ctx.atRoot = false;
+  let offset = bm.offset;
+  let commentEnd = null;
+  for (const collItem of bm.items) {
+    const { start, key, sep, value } = collItem;
+    const keyProps = resolveProps(start, {
+      indicator: "explicit-key-ind",
+      next: key ?? sep?.[0],
+      offset,
+      onError,
+      parentIndent: bm.indent,
+      startOnNewline: true
+    });
+    const implicitKey = !keyProps.found;
+    if (implicitKey) {
+      if (key) {
+        if (key.type === "block-seq")
+          onError(offset, "BLOCK_AS_IMPLICIT_KEY", "A block sequence may not be used as an implicit map key");
+        else if ("indent" in key && key.indent !== bm.indent)
+          onError(offset, "BAD_INDENT", startColMsg);
+      }
+      if (!keyProps.anchor && !keyProps.tag && !sep) {
+        commentEnd = keyProps.end;
+        if (keyProps.comment) {
+          if (map.comment)
+            map.comment += `
+` + keyProps.comment;
+          else
+            map.comment = keyProps.comment;
+        }
+        continue;
+      }
+      if (keyProps.newlineAfterProp || containsNewline(key)) {
+        onError(key ?? start[start.length - 1], "MULTILINE_IMPLICIT_KEY", "Implicit keys need to be on a single line");
+      }
+    } else if (keyProps.found?.indent !== bm.indent) {
+      onError(offset, "BAD_INDENT", startColMsg);
+    }
+    ctx.atKey = true;
+    const keyStart = keyProps.end;
+    const keyNode = key ? composeNode(ctx, key, keyProps, onError) : composeEmptyNode(ctx, keyStart, start, null, keyProps, onError);
+    if (ctx.schema.compat)
+      flowIndentCheck(bm.indent, key, onError);
+    ctx.atKey = false;
+    if (mapIncludes(ctx, map.items, keyNode))
+      onError(keyStart, "DUPLICATE_KEY", "Map keys must be unique");
+    const valueProps = resolveProps(sep ?? [], {
+      indicator: "map-value-ind",
+      next: value,
+      offset: keyNode.range[2],
+      onError,
+      parentIndent: bm.indent,
+      startOnNewline: !key || key.type === "block-scalar"
+    });
+    offset = valueProps.end;
+    if (valueProps.found) {
+      if (implicitKey) {
+        if (value?.type === "block-map" && !valueProps.hasNewline)
+          onError(offset, "BLOCK_AS_IMPLICIT_KEY", "Nested mappings are not allowed in compact mappings");
+        if (ctx.options.strict && keyProps.start < valueProps.found.offset - 1024)
+          onError(keyNode.range, "KEY_OVER_1024_CHARS", "The : indicator must be at most 1024 chars after the start of an implicit block mapping key");
+      }
+      const valueNode = value ? composeNode(ctx, value, valueProps, onError) : composeEmptyNode(ctx, offset, sep, null, valueProps, onError);
+      if (ctx.schema.compat)
+        flowIndentCheck(bm.indent, value, onError);
+      offset = valueNode.range[2];
+      const pair = new Pair(keyNode, valueNode);
+      if (ctx.options.keepSourceTokens)
+        pair.srcToken = collItem;
+      map.items.push(pair);
+    } else {
+      if (implicitKey)
+        onError(keyNode.range, "MISSING_CHAR", "Implicit map keys need to be followed by map values");
+      if (valueProps.comment) {
+        if (keyNode.comment)
+          keyNode.comment += `
+` + valueProps.comment;
+        else
+          keyNode.comment = valueProps.comment;
+      }
+      const pair = new Pair(keyNode);
+      if (ctx.options.keepSourceTokens)
+        pair.srcToken = collItem;
+      map.items.push(pair);
+    }
+  }
+  if (commentEnd && commentEnd < offset)
+    onError(commentEnd, "IMPOSSIBLE", "Map comment with trailing content");
+  map.range = [bm.offset, offset, commentEnd ?? offset];
+  return map;
+}
+
+// node_modules/yaml/browser/dist/compose/resolve-block-seq.js
+function resolveBlockSeq({ composeNode, composeEmptyNode }, ctx, bs, onError, tag) {
+  const NodeClass = tag?.nodeClass ?? YAMLSeq;
+  const seq = new NodeClass(ctx.schema);
+  if (ctx.atRoot)
+    ctx.atRoot = false;
+  if (ctx.atKey)
+    ctx.atKey = false;
+  let offset = bs.offset;
+  let commentEnd = null;
+  for (const { start, value } of bs.items) {
+    const props = resolveProps(start, {
+      indicator: "seq-item-ind",
+      next: value,
+      offset,
+      onError,
+      parentIndent: bs.indent,
+      startOnNewline: true
+    });
+    if (!props.found) {
+      if (props.anchor || props.tag || value) {
+        if (value && value.type === "block-seq")
+          onError(props.end, "BAD_INDENT", "All sequence items must start at the same column");
+        else
+          onError(offset, "MISSING_CHAR", "Sequence item without - indicator");
+      } else {
+        commentEnd = props.end;
+        if (props.comment)
+          seq.comment = props.comment;
+        continue;
+      }
+    }
+    const node = value ? composeNode(ctx, value, props, onError) : composeEmptyNode(ctx, props.end, start, null, props, onError);
+    if (ctx.schema.compat)
+      flowIndentCheck(bs.indent, value, onError);
+    offset = node.range[2];
+    seq.items.push(node);
+  }
+  seq.range = [bs.offset, offset, commentEnd ?? offset];
+  return seq;
+}
+
+// node_modules/yaml/browser/dist/compose/resolve-end.js
+function resolveEnd(end, offset, reqSpace, onError) {
+  let comment = "";
+  if (end) {
+    let hasSpace = false;
+    let sep = "";
+    for (const token of end) {
+      const { source, type } = token;
+      switch (type) {
+        case "space":
+          hasSpace = true;
+          break;
+        case "comment": {
+          if (reqSpace && !hasSpace)
+            onError(token, "MISSING_CHAR", "Comments must be separated from other tokens by white space characters");
+          const cb = source.substring(1) || " ";
+          if (!comment)
+            comment = cb;
+          else
+            comment += sep + cb;
+          sep = "";
+          break;
+        }
+        case "newline":
+          if (comment)
+            sep += source;
+          hasSpace = true;
+          break;
+        default:
+          onError(token, "UNEXPECTED_TOKEN", `Unexpected ${type} at node end`);
+      }
+      offset += source.length;
+    }
+  }
+  return { comment, offset };
+}
+
+// node_modules/yaml/browser/dist/compose/resolve-flow-collection.js
+var blockMsg = "Block collections are not allowed within flow collections";
+var isBlock = (token) => token && (token.type === "block-map" || token.type === "block-seq");
+function resolveFlowCollection({ composeNode, composeEmptyNode }, ctx, fc, onError, tag) {
+  const isMap = fc.start.source === "{";
+  const fcName = isMap ? "flow map" : "flow sequence";
+  const NodeClass = tag?.nodeClass ?? (isMap ? YAMLMap : YAMLSeq);
+  const coll = new NodeClass(ctx.schema);
+  coll.flow = true;
+  const atRoot = ctx.atRoot;
+  if (atRoot)
+    ctx.atRoot = false;
+  if (ctx.atKey)
+    ctx.atKey = false;
+  let offset = fc.offset + fc.start.source.length;
+  for (let i = 0;i < fc.items.length; ++i) {
+    const collItem = fc.items[i];
+    const { start, key, sep, value } = collItem;
+    const props = resolveProps(start, {
+      flow: fcName,
+      indicator: "explicit-key-ind",
+      next: key ?? sep?.[0],
+      offset,
+      onError,
+      parentIndent: fc.indent,
+      startOnNewline: false
+    });
+    if (!props.found) {
+      if (!props.anchor && !props.tag && !sep && !value) {
+        if (i === 0 && props.comma)
+          onError(props.comma, "UNEXPECTED_TOKEN", `Unexpected , in ${fcName}`);
+        else if (i < fc.items.length - 1)
+          onError(props.start, "UNEXPECTED_TOKEN", `Unexpected empty item in ${fcName}`);
+        if (props.comment) {
+          if (coll.comment)
+            coll.comment += `
+` + props.comment;
+          else
+            coll.comment = props.comment;
+        }
+        offset = props.end;
+        continue;
+      }
+      if (!isMap && ctx.options.strict && containsNewline(key))
+        onError(key, "MULTILINE_IMPLICIT_KEY", "Implicit keys of flow sequence pairs need to be on a single line");
+    }
+    if (i === 0) {
+      if (props.comma)
+        onError(props.comma, "UNEXPECTED_TOKEN", `Unexpected , in ${fcName}`);
+    } else {
+      if (!props.comma)
+        onError(props.start, "MISSING_CHAR", `Missing , between ${fcName} items`);
+      if (props.comment) {
+        let prevItemComment = "";
+        loop:
+          for (const st of start) {
+            switch (st.type) {
+              case "comma":
+              case "space":
+                break;
+              case "comment":
+                prevItemComment = st.source.substring(1);
+                break loop;
+              default:
+                break loop;
+            }
+          }
+        if (prevItemComment) {
+          let prev = coll.items[coll.items.length - 1];
+          if (isPair(prev))
+            prev = prev.value ?? prev.key;
+          if (prev.comment)
+            prev.comment += `
+` + prevItemComment;
+          else
+            prev.comment = prevItemComment;
+          props.comment = props.comment.substring(prevItemComment.length + 1);
+        }
+      }
+    }
+    if (!isMap && !sep && !props.found) {
+      const valueNode = value ? composeNode(ctx, value, props, onError) : composeEmptyNode(ctx, props.end, sep, null, props, onError);
+      coll.items.push(valueNode);
+      offset = valueNode.range[2];
+      if (isBlock(value))
+        onError(valueNode.range, "BLOCK_IN_FLOW", blockMsg);
+    } else {
+      ctx.atKey = true;
+      const keyStart = props.end;
+      const keyNode = key ? composeNode(ctx, key, props, onError) : composeEmptyNode(ctx, keyStart, start, null, props, onError);
+      if (isBlock(key))
+        onError(keyNode.range, "BLOCK_IN_FLOW", blockMsg);
+      ctx.atKey = false;
+      const valueProps = resolveProps(sep ?? [], {
+        flow: fcName,
+        indicator: "map-value-ind",
+        next: value,
+        offset: keyNode.range[2],
+        onError,
+        parentIndent: fc.indent,
+        startOnNewline: false
+      });
+      if (valueProps.found) {
+        if (!isMap && !props.found && ctx.options.strict) {
+          if (sep)
+            for (const st of sep) {
+              if (st === valueProps.found)
+                break;
+              if (st.type === "newline") {
+                onError(st, "MULTILINE_IMPLICIT_KEY", "Implicit keys of flow sequence pairs need to be on a single line");
+                break;
+              }
+            }
+          if (props.start < valueProps.found.offset - 1024)
+            onError(valueProps.found, "KEY_OVER_1024_CHARS", "The : indicator must be at most 1024 chars after the start of an implicit flow sequence key");
+        }
+      } else if (value) {
+        if ("source" in value && value.source && value.source[0] === ":")
+          onError(value, "MISSING_CHAR", `Missing space after : in ${fcName}`);
+        else
+          onError(valueProps.start, "MISSING_CHAR", `Missing , or : between ${fcName} items`);
+      }
+      const valueNode = value ? composeNode(ctx, value, valueProps, onError) : valueProps.found ? composeEmptyNode(ctx, valueProps.end, sep, null, valueProps, onError) : null;
+      if (valueNode) {
+        if (isBlock(value))
+          onError(valueNode.range, "BLOCK_IN_FLOW", blockMsg);
+      } else if (valueProps.comment) {
+        if (keyNode.comment)
+          keyNode.comment += `
+` + valueProps.comment;
+        else
+          keyNode.comment = valueProps.comment;
+      }
+      const pair = new Pair(keyNode, valueNode);
+      if (ctx.options.keepSourceTokens)
+        pair.srcToken = collItem;
+      if (isMap) {
+        const map = coll;
+        if (mapIncludes(ctx, map.items, keyNode))
+          onError(keyStart, "DUPLICATE_KEY", "Map keys must be unique");
+        map.items.push(pair);
+      } else {
+        const map = new YAMLMap(ctx.schema);
+        map.flow = true;
+        map.items.push(pair);
+        const endRange = (valueNode ?? keyNode).range;
+        map.range = [keyNode.range[0], endRange[1], endRange[2]];
+        coll.items.push(map);
+      }
+      offset = valueNode ? valueNode.range[2] : valueProps.end;
+    }
+  }
+  const expectedEnd = isMap ? "}" : "]";
+  const [ce, ...ee] = fc.end;
+  let cePos = offset;
+  if (ce && ce.source === expectedEnd)
+    cePos = ce.offset + ce.source.length;
+  else {
+    const name = fcName[0].toUpperCase() + fcName.substring(1);
+    const msg = atRoot ? `${name} must end with a ${expectedEnd}` : `${name} in block collection must be sufficiently indented and end with a ${expectedEnd}`;
+    onError(offset, atRoot ? "MISSING_CHAR" : "BAD_INDENT", msg);
+    if (ce && ce.source.length !== 1)
+      ee.unshift(ce);
+  }
+  if (ee.length > 0) {
+    const end = resolveEnd(ee, cePos, ctx.options.strict, onError);
+    if (end.comment) {
+      if (coll.comment)
+        coll.comment += `
+` + end.comment;
+      else
+        coll.comment = end.comment;
+    }
+    coll.range = [fc.offset, cePos, end.offset];
+  } else {
+    coll.range = [fc.offset, cePos, cePos];
+  }
+  return coll;
+}
+
+// node_modules/yaml/browser/dist/compose/compose-collection.js
+function resolveCollection(CN, ctx, token, onError, tagName, tag) {
+  const coll = token.type === "block-map" ? resolveBlockMap(CN, ctx, token, onError, tag) : token.type === "block-seq" ? resolveBlockSeq(CN, ctx, token, onError, tag) : resolveFlowCollection(CN, ctx, token, onError, tag);
+  const Coll = coll.constructor;
+  if (tagName === "!" || tagName === Coll.tagName) {
+    coll.tag = Coll.tagName;
+    return coll;
+  }
+  if (tagName)
+    coll.tag = tagName;
+  return coll;
+}
+function composeCollection(CN, ctx, token, props, onError) {
+  const tagToken = props.tag;
+  const tagName = !tagToken ? null : ctx.directives.tagName(tagToken.source, (msg) => onError(tagToken, "TAG_RESOLVE_FAILED", msg));
+  if (token.type === "block-seq") {
+    const { anchor, newlineAfterProp: nl } = props;
+    const lastProp = anchor && tagToken ? anchor.offset > tagToken.offset ? anchor : tagToken : anchor ?? tagToken;
+    if (lastProp && (!nl || nl.offset < lastProp.offset)) {
+      const message = "Missing newline after block sequence props";
+      onError(lastProp, "MISSING_CHAR", message);
+    }
+  }
+  const expType = token.type === "block-map" ? "map" : token.type === "block-seq" ? "seq" : token.start.source === "{" ? "map" : "seq";
+  if (!tagToken || !tagName || tagName === "!" || tagName === YAMLMap.tagName && expType === "map" || tagName === YAMLSeq.tagName && expType === "seq") {
+    return resolveCollection(CN, ctx, token, onError, tagName);
+  }
+  let tag = ctx.schema.tags.find((t) => t.tag === tagName && t.collection === expType);
+  if (!tag) {
+    const kt = ctx.schema.knownTags[tagName];
+    if (kt && kt.collection === expType) {
+      ctx.schema.tags.push(Object.assign({}, kt, { default: false }));
+      tag = kt;
+    } else {
+      if (kt) {
+        onError(tagToken, "BAD_COLLECTION_TYPE", `${kt.tag} used for ${expType} collection, but expects ${kt.collection ?? "scalar"}`, true);
+      } else {
+        onError(tagToken, "TAG_RESOLVE_FAILED", `Unresolved tag: ${tagName}`, true);
+      }
+      return resolveCollection(CN, ctx, token, onError, tagName);
+    }
+  }
+  const coll = resolveCollection(CN, ctx, token, onError, tagName, tag);
+  const res = tag.resolve?.(coll, (msg) => onError(tagToken, "TAG_RESOLVE_FAILED", msg), ctx.options) ?? coll;
+  const node = isNode(res) ? res : new Scalar(res);
+  node.range = coll.range;
+  node.tag = tagName;
+  if (tag?.format)
+    node.format = tag.format;
+  return node;
+}
+
+// node_modules/yaml/browser/dist/compose/resolve-block-scalar.js
+function resolveBlockScalar(ctx, scalar, onError) {
+  const start = scalar.offset;
+  const header = parseBlockScalarHeader(scalar, ctx.options.strict, onError);
+  if (!header)
+    return { value: "", type: null, comment: "", range: [start, start, start] };
+  const type = header.mode === ">" ? Scalar.BLOCK_FOLDED : Scalar.BLOCK_LITERAL;
+  const lines = scalar.source ? splitLines(scalar.source) : [];
+  let chompStart = lines.length;
+  for (let i = lines.length - 1;i >= 0; --i) {
+    const content = lines[i][1];
+    if (content === "" || content === "\r")
+      chompStart = i;
+    else
+      break;
+  }
+  if (chompStart === 0) {
+    const value = header.chomp === "+" && lines.length > 0 ? `
+`.repeat(Math.max(1, lines.length - 1)) : "";
+    let end = start + header.length;
+    if (scalar.source)
+      end += scalar.source.length;
+    return { value, type, comment: header.comment, range: [start, end, end] };
+  }
+  let trimIndent = scalar.indent + header.indent;
+  let offset = scalar.offset + header.length;
+  let contentStart = 0;
+  for (let i = 0;i < chompStart; ++i) {
+    const [indent, content] = lines[i];
+    if (content === "" || content === "\r") {
+      if (header.indent === 0 && indent.length > trimIndent)
+        trimIndent = indent.length;
+    } else {
+      if (indent.length < trimIndent) {
+        const message = "Block scalars with more-indented leading empty lines must use an explicit indentation indicator";
+        onError(offset + indent.length, "MISSING_CHAR", message);
+      }
+      if (header.indent === 0)
+        trimIndent = indent.length;
+      contentStart = i;
+      if (trimIndent === 0 && !ctx.atRoot) {
+        const message = "Block scalar values in collections must be indented";
+        onError(offset, "BAD_INDENT", message);
+      }
+      break;
+    }
+    offset += indent.length + content.length + 1;
+  }
+  for (let i = lines.length - 1;i >= chompStart; --i) {
+    if (lines[i][0].length > trimIndent)
+      chompStart = i + 1;
+  }
+  let value = "";
+  let sep = "";
+  let prevMoreIndented = false;
+  for (let i = 0;i < contentStart; ++i)
+    value += lines[i][0].slice(trimIndent) + `
+`;
+  for (let i = contentStart;i < chompStart; ++i) {
+    let [indent, content] = lines[i];
+    offset += indent.length + content.length + 1;
+    const crlf = content[content.length - 1] === "\r";
+    if (crlf)
+      content = content.slice(0, -1);
+    if (content && indent.length < trimIndent) {
+      const src = header.indent ? "explicit indentation indicator" : "first line";
+      const message = `Block scalar lines must not be less indented than their ${src}`;
+      onError(offset - content.length - (crlf ? 2 : 1), "BAD_INDENT", message);
+      indent = "";
+    }
+    if (type === Scalar.BLOCK_LITERAL) {
+      value += sep + indent.slice(trimIndent) + content;
+      sep = `
+`;
+    } else if (indent.length > trimIndent || content[0] === "\t") {
+      if (sep === " ")
+        sep = `
+`;
+      else if (!prevMoreIndented && sep === `
+`)
+        sep = `
+
+`;
+      value += sep + indent.slice(trimIndent) + content;
+      sep = `
+`;
+      prevMoreIndented = true;
+    } else if (content === "") {
+      if (sep === `
+`)
+        value += `
+`;
+      else
+        sep = `
+`;
+    } else {
+      value += sep + content;
+      sep = " ";
+      prevMoreIndented = false;
+    }
+  }
+  switch (header.chomp) {
+    case "-":
+      break;
+    case "+":
+      for (let i = chompStart;i < lines.length; ++i)
+        value += `
+` + lines[i][0].slice(trimIndent);
+      if (value[value.length - 1] !== `
+`)
+        value += `
+`;
+      break;
+    default:
+      value += `
+`;
+  }
+  const end = start + header.length + scalar.source.length;
+  return { value, type, comment: header.comment, range: [start, end, end] };
+}
+function parseBlockScalarHeader({ offset, props }, strict, onError) {
+  if (props[0].type !== "block-scalar-header") {
+    onError(props[0], "IMPOSSIBLE", "Block scalar header not found");
+    return null;
+  }
+  const { source } = props[0];
+  const mode = source[0];
+  let indent = 0;
+  let chomp = "";
+  let error = -1;
+  for (let i = 1;i < source.length; ++i) {
+    const ch = source[i];
+    if (!chomp && (ch === "-" || ch === "+"))
+      chomp = ch;
+    else {
+      const n = Number(ch);
+      if (!indent && n)
+        indent = n;
+      else if (error === -1)
+        error = offset + i;
+    }
+  }
+  if (error !== -1)
+    onError(error, "UNEXPECTED_TOKEN", `Block scalar header includes extra characters: ${source}`);
+  let hasSpace = false;
+  let comment = "";
+  let length = source.length;
+  for (let i = 1;i < props.length; ++i) {
+    const token = props[i];
+    switch (token.type) {
+      case "space":
+        hasSpace = true;
+      case "newline":
+        length += token.source.length;
+        break;
+      case "comment":
+        if (strict && !hasSpace) {
+          const message = "Comments must be separated from other tokens by white space characters";
+          onError(token, "MISSING_CHAR", message);
+        }
+        length += token.source.length;
+        comment = token.source.substring(1);
+        break;
+      case "error":
+        onError(token, "UNEXPECTED_TOKEN", token.message);
+        length += token.source.length;
+        break;
+      default: {
+        const message = `Unexpected token in block scalar header: ${token.type}`;
+        onError(token, "UNEXPECTED_TOKEN", message);
+        const ts = token.source;
+        if (ts && typeof ts === "string")
+          length += ts.length;
+      }
+    }
+  }
+  return { mode, indent, chomp, comment, length };
+}
+function splitLines(source) {
+  const split = source.split(/\n( *)/);
+  const first = split[0];
+  const m = first.match(/^( *)/);
+  const line0 = m?.[1] ? [m[1], first.slice(m[1].length)] : ["", first];
+  const lines = [line0];
+  for (let i = 1;i < split.length; i += 2)
+    lines.push([split[i], split[i + 1]]);
+  return lines;
+}
+
+// node_modules/yaml/browser/dist/compose/resolve-flow-scalar.js
+function resolveFlowScalar(scalar, strict, onError) {
+  const { offset, type, source, end } = scalar;
+  let _type;
+  let value;
+  const _onError = (rel, code, msg) => onError(offset + rel, code, msg);
+  switch (type) {
+    case "scalar":
+      _type = Scalar.PLAIN;
+      value = plainValue(source, _onError);
+      break;
+    case "single-quoted-scalar":
+      _type = Scalar.QUOTE_SINGLE;
+      value = singleQuotedValue(source, _onError);
+      break;
+    case "double-quoted-scalar":
+      _type = Scalar.QUOTE_DOUBLE;
+      value = doubleQuotedValue(source, _onError);
+      break;
+    default:
+      onError(scalar, "UNEXPECTED_TOKEN", `Expected a flow scalar value, but found: ${type}`);
+      return {
+        value: "",
+        type: null,
+        comment: "",
+        range: [offset, offset + source.length, offset + source.length]
+      };
+  }
+  const valueEnd = offset + source.length;
+  const re = resolveEnd(end, valueEnd, strict, onError);
+  return {
+    value,
+    type: _type,
+    comment: re.comment,
+    range: [offset, valueEnd, re.offset]
+  };
+}
+function plainValue(source, onError) {
+  let badChar = "";
+  switch (source[0]) {
+    case "\t":
+      badChar = "a tab character";
+      break;
+    case ",":
+      badChar = "flow indicator character ,";
+      break;
+    case "%":
+      badChar = "directive indicator character %";
+      break;
+    case "|":
+    case ">": {
+      badChar = `block scalar indicator ${source[0]}`;
+      break;
+    }
+    case "@":
+    case "`": {
+      badChar = `reserved character ${source[0]}`;
+      break;
+    }
+  }
+  if (badChar)
+    onError(0, "BAD_SCALAR_START", `Plain value cannot start with ${badChar}`);
+  return foldLines(source);
+}
+function singleQuotedValue(source, onError) {
+  if (source[source.length - 1] !== "'" || source.length === 1)
+    onError(source.length, "MISSING_CHAR", "Missing closing 'quote");
+  return foldLines(source.slice(1, -1)).replace(/''/g, "'");
+}
+function foldLines(source) {
+  let first, line;
+  try {
+    first = new RegExp(`(.*?)(?<![ 	])[ 	]*\r?
+`, "sy");
+    line = new RegExp(`[ 	]*(.*?)(?:(?<![ 	])[ 	]*)?\r?
+`, "sy");
+  } catch {
+    first = /(.*?)[ \t]*\r?\n/sy;
+    line = /[ \t]*(.*?)[ \t]*\r?\n/sy;
+  }
+  let match = first.exec(source);
+  if (!match)
+    return source;
+  let res = match[1];
+  let sep = " ";
+  let pos = first.lastIndex;
+  line.lastIndex = pos;
+  while (match = line.exec(source)) {
+    if (match[1] === "") {
+      if (sep === `
+`)
+        res += sep;
+      else
+        sep = `
+`;
+    } else {
+      res += sep + match[1];
+      sep = " ";
+    }
+    pos = line.lastIndex;
+  }
+  const last = /[ \t]*(.*)/sy;
+  last.lastIndex = pos;
+  match = last.exec(source);
+  return res + sep + (match?.[1] ?? "");
+}
+function doubleQuotedValue(source, onError) {
+  let res = "";
+  for (let i = 1;i < source.length - 1; ++i) {
+    const ch = source[i];
+    if (ch === "\r" && source[i + 1] === `
+`)
+      continue;
+    if (ch === `
+`) {
+      const { fold, offset } = foldNewline(source, i);
+      res += fold;
+      i = offset;
+    } else if (ch === "\\") {
+      let next = source[++i];
+      const cc = escapeCodes[next];
+      if (cc)
+        res += cc;
+      else if (next === `
+`) {
+        next = source[i + 1];
+        while (next === " " || next === "\t")
+          next = source[++i + 1];
+      } else if (next === "\r" && source[i + 1] === `
+`) {
+        next = source[++i + 1];
+        while (next === " " || next === "\t")
+          next = source[++i + 1];
+      } else if (next === "x" || next === "u" || next === "U") {
+        const length = { x: 2, u: 4, U: 8 }[next];
+        res += parseCharCode(source, i + 1, length, onError);
+        i += length;
+      } else {
+        const raw = source.substr(i - 1, 2);
+        onError(i - 1, "BAD_DQ_ESCAPE", `Invalid escape sequence ${raw}`);
+        res += raw;
+      }
+    } else if (ch === " " || ch === "\t") {
+      const wsStart = i;
+      let next = source[i + 1];
+      while (next === " " || next === "\t")
+        next = source[++i + 1];
+      if (next !== `
+` && !(next === "\r" && source[i + 2] === `
+`))
+        res += i > wsStart ? source.slice(wsStart, i + 1) : ch;
+    } else {
+      res += ch;
+    }
+  }
+  if (source[source.length - 1] !== '"' || source.length === 1)
+    onError(source.length, "MISSING_CHAR", 'Missing closing "quote');
+  return res;
+}
+function foldNewline(source, offset) {
+  let fold = "";
+  let ch = source[offset + 1];
+  while (ch === " " || ch === "\t" || ch === `
+` || ch === "\r") {
+    if (ch === "\r" && source[offset + 2] !== `
+`)
+      break;
+    if (ch === `
+`)
+      fold += `
+`;
+    offset += 1;
+    ch = source[offset + 1];
+  }
+  if (!fold)
+    fold = " ";
+  return { fold, offset };
+}
+var escapeCodes = {
+  "0": "\x00",
+  a: "\x07",
+  b: "\b",
+  e: "\x1B",
+  f: "\f",
+  n: `
+`,
+  r: "\r",
+  t: "\t",
+  v: "\v",
+  N: "",
+  _: " ",
+  L: "\u2028",
+  P: "\u2029",
+  " ": " ",
+  '"': '"',
+  "/": "/",
+  "\\": "\\",
+  "\t": "\t"
+};
+function parseCharCode(source, offset, length, onError) {
+  const cc = source.substr(offset, length);
+  const ok = cc.length === length && /^[0-9a-fA-F]+$/.test(cc);
+  const code = ok ? parseInt(cc, 16) : NaN;
+  if (isNaN(code)) {
+    const raw = source.substr(offset - 2, length + 2);
+    onError(offset - 2, "BAD_DQ_ESCAPE", `Invalid escape sequence ${raw}`);
+    return raw;
+  }
+  return String.fromCodePoint(code);
+}
+
+// node_modules/yaml/browser/dist/compose/compose-scalar.js
+function composeScalar(ctx, token, tagToken, onError) {
+  const { value, type, comment, range } = token.type === "block-scalar" ? resolveBlockScalar(ctx, token, onError) : resolveFlowScalar(token, ctx.options.strict, onError);
+  const tagName = tagToken ? ctx.directives.tagName(tagToken.source, (msg) => onError(tagToken, "TAG_RESOLVE_FAILED", msg)) : null;
+  let tag;
+  if (ctx.options.stringKeys && ctx.atKey) {
+    tag = ctx.schema[SCALAR];
+  } else if (tagName)
+    tag = findScalarTagByName(ctx.schema, value, tagName, tagToken, onError);
+  else if (token.type === "scalar")
+    tag = findScalarTagByTest(ctx, value, token, onError);
+  else
+    tag = ctx.schema[SCALAR];
+  let scalar;
+  try {
+    const res = tag.resolve(value, (msg) => onError(tagToken ?? token, "TAG_RESOLVE_FAILED", msg), ctx.options);
+    scalar = isScalar(res) ? res : new Scalar(res);
+  } catch (error) {
+    const msg = error instanceof Error ? error.message : String(error);
+    onError(tagToken ?? token, "TAG_RESOLVE_FAILED", msg);
+    scalar = new Scalar(value);
+  }
+  scalar.range = range;
+  scalar.source = value;
+  if (type)
+    scalar.type = type;
+  if (tagName)
+    scalar.tag = tagName;
+  if (tag.format)
+    scalar.format = tag.format;
+  if (comment)
+    scalar.comment = comment;
+  return scalar;
+}
+function findScalarTagByName(schema, value, tagName, tagToken, onError) {
+  if (tagName === "!")
+    return schema[SCALAR];
+  const matchWithTest = [];
+  for (const tag of schema.tags) {
+    if (!tag.collection && tag.tag === tagName) {
+      if (tag.default && tag.test)
+        matchWithTest.push(tag);
+      else
+        return tag;
+    }
+  }
+  for (const tag of matchWithTest)
+    if (tag.test?.test(value))
+      return tag;
+  const kt = schema.knownTags[tagName];
+  if (kt && !kt.collection) {
+    schema.tags.push(Object.assign({}, kt, { default: false, test: undefined }));
+    return kt;
+  }
+  onError(tagToken, "TAG_RESOLVE_FAILED", `Unresolved tag: ${tagName}`, tagName !== "tag:yaml.org,2002:str");
+  return schema[SCALAR];
+}
+function findScalarTagByTest({ atKey, directives, schema }, value, token, onError) {
+  const tag = schema.tags.find((tag) => (tag.default === true || atKey && tag.default === "key") && tag.test?.test(value)) || schema[SCALAR];
+  if (schema.compat) {
+    const compat = schema.compat.find((tag) => tag.default && tag.test?.test(value)) ?? schema[SCALAR];
+    if (tag.tag !== compat.tag) {
+      const ts = directives.tagString(tag.tag);
+      const cs = directives.tagString(compat.tag);
+      const msg = `Value may be parsed as either ${ts} or ${cs}`;
+      onError(token, "TAG_RESOLVE_FAILED", msg, true);
+    }
+  }
+  return tag;
+}
+
+// node_modules/yaml/browser/dist/compose/util-empty-scalar-position.js
+function emptyScalarPosition(offset, before, pos) {
+  if (before) {
+    pos ?? (pos = before.length);
+    for (let i = pos - 1;i >= 0; --i) {
+      let st = before[i];
+      switch (st.type) {
+        case "space":
+        case "comment":
+        case "newline":
+          offset -= st.source.length;
+          continue;
+      }
+      st = before[++i];
+      while (st?.type === "space") {
+        offset += st.source.length;
+        st = before[++i];
+      }
+      break;
+    }
+  }
+  return offset;
+}
+
+// node_modules/yaml/browser/dist/compose/compose-node.js
+var CN = { composeNode, composeEmptyNode };
+function composeNode(ctx, token, props, onError) {
+  const atKey = ctx.atKey;
+  const { spaceBefore, comment, anchor, tag } = props;
+  let node;
+  let isSrcToken = true;
+  switch (token.type) {
+    case "alias":
+      node = composeAlias(ctx, token, onError);
+      if (anchor || tag)
+        onError(token, "ALIAS_PROPS", "An alias node must not specify any properties");
+      break;
+    case "scalar":
+    case "single-quoted-scalar":
+    case "double-quoted-scalar":
+    case "block-scalar":
+      node = composeScalar(ctx, token, tag, onError);
+      if (anchor)
+        node.anchor = anchor.source.substring(1);
+      break;
+    case "block-map":
+    case "block-seq":
+    case "flow-collection":
+      node = composeCollection(CN, ctx, token, props, onError);
+      if (anchor)
+        node.anchor = anchor.source.substring(1);
+      break;
+    default: {
+      const message = token.type === "error" ? token.message : `Unsupported token (type: ${token.type})`;
+      onError(token, "UNEXPECTED_TOKEN", message);
+      node = composeEmptyNode(ctx, token.offset, undefined, null, props, onError);
+      isSrcToken = false;
+    }
+  }
+  if (anchor && node.anchor === "")
+    onError(anchor, "BAD_ALIAS", "Anchor cannot be an empty string");
+  if (atKey && ctx.options.stringKeys && (!isScalar(node) || typeof node.value !== "string" || node.tag && node.tag !== "tag:yaml.org,2002:str")) {
+    const msg = "With stringKeys, all keys must be strings";
+    onError(tag ?? token, "NON_STRING_KEY", msg);
+  }
+  if (spaceBefore)
+    node.spaceBefore = true;
+  if (comment) {
+    if (token.type === "scalar" && token.source === "")
+      node.comment = comment;
+    else
+      node.commentBefore = comment;
+  }
+  if (ctx.options.keepSourceTokens && isSrcToken)
+    node.srcToken = token;
+  return node;
+}
+function composeEmptyNode(ctx, offset, before, pos, { spaceBefore, comment, anchor, tag, end }, onError) {
+  const token = {
+    type: "scalar",
+    offset: emptyScalarPosition(offset, before, pos),
+    indent: -1,
+    source: ""
+  };
+  const node = composeScalar(ctx, token, tag, onError);
+  if (anchor) {
+    node.anchor = anchor.source.substring(1);
+    if (node.anchor === "")
+      onError(anchor, "BAD_ALIAS", "Anchor cannot be an empty string");
+  }
+  if (spaceBefore)
+    node.spaceBefore = true;
+  if (comment) {
+    node.comment = comment;
+    node.range[2] = end;
+  }
+  return node;
+}
+function composeAlias({ options }, { offset, source, end }, onError) {
+  const alias = new Alias(source.substring(1));
+  if (alias.source === "")
+    onError(offset, "BAD_ALIAS", "Alias cannot be an empty string");
+  if (alias.source.endsWith(":"))
+    onError(offset + source.length - 1, "BAD_ALIAS", "Alias ending in : is ambiguous", true);
+  const valueEnd = offset + source.length;
+  const re = resolveEnd(end, valueEnd, options.strict, onError);
+  alias.range = [offset, valueEnd, re.offset];
+  if (re.comment)
+    alias.comment = re.comment;
+  return alias;
+}
+
+// node_modules/yaml/browser/dist/compose/compose-doc.js
+function composeDoc(options, directives, { offset, start, value, end }, onError) {
+  const opts = Object.assign({ _directives: directives }, options);
+  const doc = new Document(undefined, opts);
+  const ctx = {
+    atKey: false,
+    atRoot: true,
+    directives: doc.directives,
+    options: doc.options,
+    schema: doc.schema
+  };
+  const props = resolveProps(start, {
+    indicator: "doc-start",
+    next: value ?? end?.[0],
+    offset,
+    onError,
+    parentIndent: 0,
+    startOnNewline: true
+  });
+  if (props.found) {
+    doc.directives.docStart = true;
+    if (value && (value.type === "block-map" || value.type === "block-seq") && !props.hasNewline)
+      onError(props.end, "MISSING_CHAR", "Block collection cannot start on same line with directives-end marker");
+  }
+  doc.contents = value ? composeNode(ctx, value, props, onError) : composeEmptyNode(ctx, props.end, start, null, props, onError);
+  const contentEnd = doc.contents.range[2];
+  const re = resolveEnd(end, contentEnd, false, onError);
+  if (re.comment)
+    doc.comment = re.comment;
+  doc.range = [offset, contentEnd, re.offset];
+  return doc;
+}
+
+// node_modules/yaml/browser/dist/compose/composer.js
+function getErrorPos(src) {
+  if (typeof src === "number")
+    return [src, src + 1];
+  if (Array.isArray(src))
+    return src.length === 2 ? src : [src[0], src[1]];
+  const { offset, source } = src;
+  return [offset, offset + (typeof source === "string" ? source.length : 1)];
+}
+function parsePrelude(prelude) {
+  let comment = "";
+  let atComment = false;
+  let afterEmptyLine = false;
+  for (let i = 0;i < prelude.length; ++i) {
+    const source = prelude[i];
+    switch (source[0]) {
+      case "#":
+        comment += (comment === "" ? "" : afterEmptyLine ? `
+
+` : `
+`) + (source.substring(1) || " ");
+        atComment = true;
+        afterEmptyLine = false;
+        break;
+      case "%":
+        if (prelude[i + 1]?.[0] !== "#")
+          i += 1;
+        atComment = false;
+        break;
+      default:
+        if (!atComment)
+          afterEmptyLine = true;
+        atComment = false;
+    }
+  }
+  return { comment, afterEmptyLine };
+}
+
+class Composer {
+  constructor(options = {}) {
+    this.doc = null;
+    this.atDirectives = false;
+    this.prelude = [];
+    this.errors = [];
+    this.warnings = [];
+    this.onError = (source, code, message, warning) => {
+      const pos = getErrorPos(source);
+      if (warning)
+        this.warnings.push(new YAMLWarning(pos, code, message));
+      else
+        this.errors.push(new YAMLParseError(pos, code, message));
+    };
+    this.directives = new Directives({ version: options.version || "1.2" });
+    this.options = options;
+  }
+  decorate(doc, afterDoc) {
+    const { comment, afterEmptyLine } = parsePrelude(this.prelude);
+    if (comment) {
+      const dc = doc.contents;
+      if (afterDoc) {
+        doc.comment = doc.comment ? `${doc.comment}
+${comment}` : comment;
+      } else if (afterEmptyLine || doc.directives.docStart || !dc) {
+        doc.commentBefore = comment;
+      } else if (isCollection(dc) && !dc.flow && dc.items.length > 0) {
+        let it = dc.items[0];
+        if (isPair(it))
+          it = it.key;
+        const cb = it.commentBefore;
+        it.commentBefore = cb ? `${comment}
+${cb}` : comment;
+      } else {
+        const cb = dc.commentBefore;
+        dc.commentBefore = cb ? `${comment}
+${cb}` : comment;
+      }
+    }
+    if (afterDoc) {
+      Array.prototype.push.apply(doc.errors, this.errors);
+      Array.prototype.push.apply(doc.warnings, this.warnings);
+    } else {
+      doc.errors = this.errors;
+      doc.warnings = this.warnings;
+    }
+    this.prelude = [];
+    this.errors = [];
+    this.warnings = [];
+  }
+  streamInfo() {
+    return {
+      comment: parsePrelude(this.prelude).comment,
+      directives: this.directives,
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
+  *compose(tokens, forceDoc = false, endOffset = -1) {
+    for (const token of tokens)
+      yield* this.next(token);
+    yield* this.end(forceDoc, endOffset);
+  }
+  *next(token) {
+    switch (token.type) {
+      case "directive":
+        this.directives.add(token.source, (offset, message, warning) => {
+          const pos = getErrorPos(token);
+          pos[0] += offset;
+          this.onError(pos, "BAD_DIRECTIVE", message, warning);
+        });
+        this.prelude.push(token.source);
+        this.atDirectives = true;
+        break;
+      case "document": {
+        const doc = composeDoc(this.options, this.directives, token, this.onError);
+        if (this.atDirectives && !doc.directives.docStart)
+          this.onError(token, "MISSING_CHAR", "Missing directives-end/doc-start indicator line");
+        this.decorate(doc, false);
+        if (this.doc)
+          yield this.doc;
+        this.doc = doc;
+        this.atDirectives = false;
+        break;
+      }
+      case "byte-order-mark":
+      case "space":
+        break;
+      case "comment":
+      case "newline":
+        this.prelude.push(token.source);
+        break;
+      case "error": {
+        const msg = token.source ? `${token.message}: ${JSON.stringify(token.source)}` : token.message;
+        const error = new YAMLParseError(getErrorPos(token), "UNEXPECTED_TOKEN", msg);
+        if (this.atDirectives || !this.doc)
+          this.errors.push(error);
+        else
+          this.doc.errors.push(error);
+        break;
+      }
+      case "doc-end": {
+        if (!this.doc) {
+          const msg = "Unexpected doc-end without preceding document";
+          this.errors.push(new YAMLParseError(getErrorPos(token), "UNEXPECTED_TOKEN", msg));
+          break;
+        }
+        this.doc.directives.docEnd = true;
+        const end = resolveEnd(token.end, token.offset + token.source.length, this.doc.options.strict, this.onError);
+        this.decorate(this.doc, true);
+        if (end.comment) {
+          const dc = this.doc.comment;
+          this.doc.comment = dc ? `${dc}
+${end.comment}` : end.comment;
+        }
+        this.doc.range[2] = end.offset;
+        break;
+      }
+      default:
+        this.errors.push(new YAMLParseError(getErrorPos(token), "UNEXPECTED_TOKEN", `Unsupported token ${token.type}`));
+    }
+  }
+  *end(forceDoc = false, endOffset = -1) {
+    if (this.doc) {
+      this.decorate(this.doc, true);
+      yield this.doc;
+      this.doc = null;
+    } else if (forceDoc) {
+      const opts = Object.assign({ _directives: this.directives }, this.options);
+      const doc = new Document(undefined, opts);
+      if (this.atDirectives)
+        this.onError(endOffset, "MISSING_CHAR", "Missing directives-end indicator line");
+      doc.range = [0, endOffset, endOffset];
+      this.decorate(doc, false);
+      yield doc;
+    }
+  }
+}
+// node_modules/yaml/browser/dist/parse/cst-visit.js
+var BREAK2 = Symbol("break visit");
+var SKIP2 = Symbol("skip children");
+var REMOVE2 = Symbol("remove item");
+function visit2(cst, visitor) {
+  if ("type" in cst && cst.type === "document")
+    cst = { start: cst.start, value: cst.value };
+  _visit(Object.freeze([]), cst, visitor);
+}
+visit2.BREAK = BREAK2;
+visit2.SKIP = SKIP2;
+visit2.REMOVE = REMOVE2;
+visit2.itemAtPath = (cst, path) => {
+  let item = cst;
+  for (const [field, index] of path) {
+    const tok = item?.[field];
+    if (tok && "items" in tok) {
+      item = tok.items[index];
+    } else
+      return;
+  }
+  return item;
+};
+visit2.parentCollection = (cst, path) => {
+  const parent = visit2.itemAtPath(cst, path.slice(0, -1));
+  const field = path[path.length - 1][0];
+  const coll = parent?.[field];
+  if (coll && "items" in coll)
+    return coll;
+  throw new Error("Parent collection not found");
+};
+function _visit(path, item, visitor) {
+  let ctrl = visitor(item, path);
+  if (typeof ctrl === "symbol")
+    return ctrl;
+  for (const field of ["key", "value"]) {
+    const token = item[field];
+    if (token && "items" in token) {
+      for (let i = 0;i < token.items.length; ++i) {
+        const ci = _visit(Object.freeze(path.concat([[field, i]])), token.items[i], visitor);
+        if (typeof ci === "number")
+          i = ci - 1;
+        else if (ci === BREAK2)
+          return BREAK2;
+        else if (ci === REMOVE2) {
+          token.items.splice(i, 1);
+          i -= 1;
+        }
+      }
+      if (typeof ctrl === "function" && field === "key")
+        ctrl = ctrl(item, path);
+    }
+  }
+  return typeof ctrl === "function" ? ctrl(item, path) : ctrl;
+}
+
+// node_modules/yaml/browser/dist/parse/cst.js
+var BOM = "\uFEFF";
+var DOCUMENT = "\x02";
+var FLOW_END = "\x18";
+var SCALAR2 = "\x1F";
+function tokenType(source) {
+  switch (source) {
+    case BOM:
+      return "byte-order-mark";
+    case DOCUMENT:
+      return "doc-mode";
+    case FLOW_END:
+      return "flow-error-end";
+    case SCALAR2:
+      return "scalar";
+    case "---":
+      return "doc-start";
+    case "...":
+      return "doc-end";
+    case "":
+    case `
+`:
+    case `\r
+`:
+      return "newline";
+    case "-":
+      return "seq-item-ind";
+    case "?":
+      return "explicit-key-ind";
+    case ":":
+      return "map-value-ind";
+    case "{":
+      return "flow-map-start";
+    case "}":
+      return "flow-map-end";
+    case "[":
+      return "flow-seq-start";
+    case "]":
+      return "flow-seq-end";
+    case ",":
+      return "comma";
+  }
+  switch (source[0]) {
+    case " ":
+    case "\t":
+      return "space";
+    case "#":
+      return "comment";
+    case "%":
+      return "directive-line";
+    case "*":
+      return "alias";
+    case "&":
+      return "anchor";
+    case "!":
+      return "tag";
+    case "'":
+      return "single-quoted-scalar";
+    case '"':
+      return "double-quoted-scalar";
+    case "|":
+    case ">":
+      return "block-scalar-header";
+  }
+  return null;
+}
+
+// node_modules/yaml/browser/dist/parse/lexer.js
+function isEmpty(ch) {
+  switch (ch) {
+    case undefined:
+    case " ":
+    case `
+`:
+    case "\r":
+    case "\t":
+      return true;
+    default:
+      return false;
+  }
+}
+var hexDigits = new Set("0123456789ABCDEFabcdef");
+var tagChars = new Set("0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz-#;/?:@&=+$_.!~*'()");
+var flowIndicatorChars = new Set(",[]{}");
+var invalidAnchorChars = new Set(` ,[]{}
+\r	`);
+var isNotAnchorChar = (ch) => !ch || invalidAnchorChars.has(ch);
+
+class Lexer {
+  constructor() {
+    this.atEnd = false;
+    this.blockScalarIndent = -1;
+    this.blockScalarKeep = false;
+    this.buffer = "";
+    this.flowKey = false;
+    this.flowLevel = 0;
+    this.indentNext = 0;
+    this.indentValue = 0;
+    this.lineEndPos = null;
+    this.next = null;
+    this.pos = 0;
+  }
+  *lex(source, incomplete = false) {
+    if (source) {
+      if (typeof source !== "string")
+        throw TypeError("source is not a string");
+      this.buffer = this.buffer ? this.buffer + source : source;
+      this.lineEndPos = null;
+    }
+    this.atEnd = !incomplete;
+    let next = this.next ?? "stream";
+    while (next && (incomplete || this.hasChars(1)))
+      next = yield* this.parseNext(next);
+  }
+  atLineEnd() {
+    let i = this.pos;
+    let ch = this.buffer[i];
+    while (ch === " " || ch === "\t")
+      ch = this.buffer[++i];
+    if (!ch || ch === "#" || ch === `
+`)
+      return true;
+    if (ch === "\r")
+      return this.buffer[i + 1] === `
+`;
+    return false;
+  }
+  charAt(n) {
+    return this.buffer[this.pos + n];
+  }
+  continueScalar(offset) {
+    let ch = this.buffer[offset];
+    if (this.indentNext > 0) {
+      let indent = 0;
+      while (ch === " ")
+        ch = this.buffer[++indent + offset];
+      if (ch === "\r") {
+        const next = this.buffer[indent + offset + 1];
+        if (next === `
+` || !next && !this.atEnd)
+          return offset + indent + 1;
+      }
+      return ch === `
+` || indent >= this.indentNext || !ch && !this.atEnd ? offset + indent : -1;
+    }
+    if (ch === "-" || ch === ".") {
+      const dt = this.buffer.substr(offset, 3);
+      if ((dt === "---" || dt === "...") && isEmpty(this.buffer[offset + 3]))
+        return -1;
+    }
+    return offset;
+  }
+  getLine() {
+    let end = this.lineEndPos;
+    if (typeof end !== "number" || end !== -1 && end < this.pos) {
+      end = this.buffer.indexOf(`
+`, this.pos);
+      this.lineEndPos = end;
+    }
+    if (end === -1)
+      return this.atEnd ? this.buffer.substring(this.pos) : null;
+    if (this.buffer[end - 1] === "\r")
+      end -= 1;
+    return this.buffer.substring(this.pos, end);
+  }
+  hasChars(n) {
+    return this.pos + n <= this.buffer.length;
+  }
+  setNext(state) {
+    this.buffer = this.buffer.substring(this.pos);
+    this.pos = 0;
+    this.lineEndPos = null;
+    this.next = state;
+    return null;
+  }
+  peek(n) {
+    return this.buffer.substr(this.pos, n);
+  }
+  *parseNext(next) {
+    switch (next) {
+      case "stream":
+        return yield* this.parseStream();
+      case "line-start":
+        return yield* this.parseLineStart();
+      case "block-start":
+        return yield* this.parseBlockStart();
+      case "doc":
+        return yield* this.parseDocument();
+      case "flow":
+        return yield* this.parseFlowCollection();
+      case "quoted-scalar":
+        return yield* this.parseQuotedScalar();
+      case "block-scalar":
+        return yield* this.parseBlockScalar();
+      case "plain-scalar":
+        return yield* this.parsePlainScalar();
+    }
+  }
+  *parseStream() {
+    let line = this.getLine();
+    if (line === null)
+      return this.setNext("stream");
+    if (line[0] === BOM) {
+      yield* this.pushCount(1);
+      line = line.substring(1);
+    }
+    if (line[0] === "%") {
+      let dirEnd = line.length;
+      let cs = line.indexOf("#");
+      while (cs !== -1) {
+        const ch = line[cs - 1];
+        if (ch === " " || ch === "\t") {
+          dirEnd = cs - 1;
+          break;
+        } else {
+          cs = line.indexOf("#", cs + 1);
+        }
+      }
+      while (true) {
+        const ch = line[dirEnd - 1];
+        if (ch === " " || ch === "\t")
+          dirEnd -= 1;
+        else
+          break;
+      }
+      const n = (yield* this.pushCount(dirEnd)) + (yield* this.pushSpaces(true));
+      yield* this.pushCount(line.length - n);
+      this.pushNewline();
+      return "stream";
+    }
+    if (this.atLineEnd()) {
+      const sp = yield* this.pushSpaces(true);
+      yield* this.pushCount(line.length - sp);
+      yield* this.pushNewline();
+      return "stream";
+    }
+    yield DOCUMENT;
+    return yield* this.parseLineStart();
+  }
+  *parseLineStart() {
+    const ch = this.charAt(0);
+    if (!ch && !this.atEnd)
+      return this.setNext("line-start");
+    if (ch === "-" || ch === ".") {
+      if (!this.atEnd && !this.hasChars(4))
+        return this.setNext("line-start");
+      const s = this.peek(3);
+      if ((s === "---" || s === "...") && isEmpty(this.charAt(3))) {
+        yield* this.pushCount(3);
+        this.indentValue = 0;
+        this.indentNext = 0;
+        return s === "---" ? "doc" : "stream";
+      }
+    }
+    this.indentValue = yield* this.pushSpaces(false);
+    if (this.indentNext > this.indentValue && !isEmpty(this.charAt(1)))
+      this.indentNext = this.indentValue;
+    return yield* this.parseBlockStart();
+  }
+  *parseBlockStart() {
+    const [ch0, ch1] = this.peek(2);
+    if (!ch1 && !this.atEnd)
+      return this.setNext("block-start");
+    if ((ch0 === "-" || ch0 === "?" || ch0 === ":") && isEmpty(ch1)) {
+      const n = (yield* this.pushCount(1)) + (yield* this.pushSpaces(true));
+      this.indentNext = this.indentValue + 1;
+      this.indentValue += n;
+      return yield* this.parseBlockStart();
+    }
+    return "doc";
+  }
+  *parseDocument() {
+    yield* this.pushSpaces(true);
+    const line = this.getLine();
+    if (line === null)
+      return this.setNext("doc");
+    let n = yield* this.pushIndicators();
+    switch (line[n]) {
+      case "#":
+        yield* this.pushCount(line.length - n);
+      case undefined:
+        yield* this.pushNewline();
+        return yield* this.parseLineStart();
+      case "{":
+      case "[":
+        yield* this.pushCount(1);
+        this.flowKey = false;
+        this.flowLevel = 1;
+        return "flow";
+      case "}":
+      case "]":
+        yield* this.pushCount(1);
+        return "doc";
+      case "*":
+        yield* this.pushUntil(isNotAnchorChar);
+        return "doc";
+      case '"':
+      case "'":
+        return yield* this.parseQuotedScalar();
+      case "|":
+      case ">":
+        n += yield* this.parseBlockScalarHeader();
+        n += yield* this.pushSpaces(true);
+        yield* this.pushCount(line.length - n);
+        yield* this.pushNewline();
+        return yield* this.parseBlockScalar();
+      default:
+        return yield* this.parsePlainScalar();
+    }
+  }
+  *parseFlowCollection() {
+    let nl, sp;
+    let indent = -1;
+    do {
+      nl = yield* this.pushNewline();
+      if (nl > 0) {
+        sp = yield* this.pushSpaces(false);
+        this.indentValue = indent = sp;
+      } else {
+        sp = 0;
+      }
+      sp += yield* this.pushSpaces(true);
+    } while (nl + sp > 0);
+    const line = this.getLine();
+    if (line === null)
+      return this.setNext("flow");
+    if (indent !== -1 && indent < this.indentNext && line[0] !== "#" || indent === 0 && (line.startsWith("---") || line.startsWith("...")) && isEmpty(line[3])) {
+      const atFlowEndMarker = indent === this.indentNext - 1 && this.flowLevel === 1 && (line[0] === "]" || line[0] === "}");
+      if (!atFlowEndMarker) {
+        this.flowLevel = 0;
+        yield FLOW_END;
+        return yield* this.parseLineStart();
+      }
+    }
+    let n = 0;
+    while (line[n] === ",") {
+      n += yield* this.pushCount(1);
+      n += yield* this.pushSpaces(true);
+      this.flowKey = false;
+    }
+    n += yield* this.pushIndicators();
+    switch (line[n]) {
+      case undefined:
+        return "flow";
+      case "#":
+        yield* this.pushCount(line.length - n);
+        return "flow";
+      case "{":
+      case "[":
+        yield* this.pushCount(1);
+        this.flowKey = false;
+        this.flowLevel += 1;
+        return "flow";
+      case "}":
+      case "]":
+        yield* this.pushCount(1);
+        this.flowKey = true;
+        this.flowLevel -= 1;
+        return this.flowLevel ? "flow" : "doc";
+      case "*":
+        yield* this.pushUntil(isNotAnchorChar);
+        return "flow";
+      case '"':
+      case "'":
+        this.flowKey = true;
+        return yield* this.parseQuotedScalar();
+      case ":": {
+        const next = this.charAt(1);
+        if (this.flowKey || isEmpty(next) || next === ",") {
+          this.flowKey = false;
+          yield* this.pushCount(1);
+          yield* this.pushSpaces(true);
+          return "flow";
+        }
+      }
+      default:
+        this.flowKey = false;
+        return yield* this.parsePlainScalar();
+    }
+  }
+  *parseQuotedScalar() {
+    const quote = this.charAt(0);
+    let end = this.buffer.indexOf(quote, this.pos + 1);
+    if (quote === "'") {
+      while (end !== -1 && this.buffer[end + 1] === "'")
+        end = this.buffer.indexOf("'", end + 2);
+    } else {
+      while (end !== -1) {
+        let n = 0;
+        while (this.buffer[end - 1 - n] === "\\")
+          n += 1;
+        if (n % 2 === 0)
+          break;
+        end = this.buffer.indexOf('"', end + 1);
+      }
+    }
+    const qb = this.buffer.substring(0, end);
+    let nl = qb.indexOf(`
+`, this.pos);
+    if (nl !== -1) {
+      while (nl !== -1) {
+        const cs = this.continueScalar(nl + 1);
+        if (cs === -1)
+          break;
+        nl = qb.indexOf(`
+`, cs);
+      }
+      if (nl !== -1) {
+        end = nl - (qb[nl - 1] === "\r" ? 2 : 1);
+      }
+    }
+    if (end === -1) {
+      if (!this.atEnd)
+        return this.setNext("quoted-scalar");
+      end = this.buffer.length;
+    }
+    yield* this.pushToIndex(end + 1, false);
+    return this.flowLevel ? "flow" : "doc";
+  }
+  *parseBlockScalarHeader() {
+    this.blockScalarIndent = -1;
+    this.blockScalarKeep = false;
+    let i = this.pos;
+    while (true) {
+      const ch = this.buffer[++i];
+      if (ch === "+")
+        this.blockScalarKeep = true;
+      else if (ch > "0" && ch <= "9")
+        this.blockScalarIndent = Number(ch) - 1;
+      else if (ch !== "-")
+        break;
+    }
+    return yield* this.pushUntil((ch) => isEmpty(ch) || ch === "#");
+  }
+  *parseBlockScalar() {
+    let nl = this.pos - 1;
+    let indent = 0;
+    let ch;
+    loop:
+      for (let i = this.pos;ch = this.buffer[i]; ++i) {
+        switch (ch) {
+          case " ":
+            indent += 1;
+            break;
+          case `
+`:
+            nl = i;
+            indent = 0;
+            break;
+          case "\r": {
+            const next = this.buffer[i + 1];
+            if (!next && !this.atEnd)
+              return this.setNext("block-scalar");
+            if (next === `
+`)
+              break;
+          }
+          default:
+            break loop;
+        }
+      }
+    if (!ch && !this.atEnd)
+      return this.setNext("block-scalar");
+    if (indent >= this.indentNext) {
+      if (this.blockScalarIndent === -1)
+        this.indentNext = indent;
+      else {
+        this.indentNext = this.blockScalarIndent + (this.indentNext === 0 ? 1 : this.indentNext);
+      }
+      do {
+        const cs = this.continueScalar(nl + 1);
+        if (cs === -1)
+          break;
+        nl = this.buffer.indexOf(`
+`, cs);
+      } while (nl !== -1);
+      if (nl === -1) {
+        if (!this.atEnd)
+          return this.setNext("block-scalar");
+        nl = this.buffer.length;
+      }
+    }
+    let i = nl + 1;
+    ch = this.buffer[i];
+    while (ch === " ")
+      ch = this.buffer[++i];
+    if (ch === "\t") {
+      while (ch === "\t" || ch === " " || ch === "\r" || ch === `
+`)
+        ch = this.buffer[++i];
+      nl = i - 1;
+    } else if (!this.blockScalarKeep) {
+      do {
+        let i = nl - 1;
+        let ch = this.buffer[i];
+        if (ch === "\r")
+          ch = this.buffer[--i];
+        const lastChar = i;
+        while (ch === " ")
+          ch = this.buffer[--i];
+        if (ch === `
+` && i >= this.pos && i + 1 + indent > lastChar)
+          nl = i;
+        else
+          break;
+      } while (true);
+    }
+    yield SCALAR2;
+    yield* this.pushToIndex(nl + 1, true);
+    return yield* this.parseLineStart();
+  }
+  *parsePlainScalar() {
+    const inFlow = this.flowLevel > 0;
+    let end = this.pos - 1;
+    let i = this.pos - 1;
+    let ch;
+    while (ch = this.buffer[++i]) {
+      if (ch === ":") {
+        const next = this.buffer[i + 1];
+        if (isEmpty(next) || inFlow && flowIndicatorChars.has(next))
+          break;
+        end = i;
+      } else if (isEmpty(ch)) {
+        let next = this.buffer[i + 1];
+        if (ch === "\r") {
+          if (next === `
+`) {
+            i += 1;
+            ch = `
+`;
+            next = this.buffer[i + 1];
+          } else
+            end = i;
+        }
+        if (next === "#" || inFlow && flowIndicatorChars.has(next))
+          break;
+        if (ch === `
+`) {
+          const cs = this.continueScalar(i + 1);
+          if (cs === -1)
+            break;
+          i = Math.max(i, cs - 2);
+        }
+      } else {
+        if (inFlow && flowIndicatorChars.has(ch))
+          break;
+        end = i;
+      }
+    }
+    if (!ch && !this.atEnd)
+      return this.setNext("plain-scalar");
+    yield SCALAR2;
+    yield* this.pushToIndex(end + 1, true);
+    return inFlow ? "flow" : "doc";
+  }
+  *pushCount(n) {
+    if (n > 0) {
+      yield this.buffer.substr(this.pos, n);
+      this.pos += n;
+      return n;
+    }
+    return 0;
+  }
+  *pushToIndex(i, allowEmpty) {
+    const s = this.buffer.slice(this.pos, i);
+    if (s) {
+      yield s;
+      this.pos += s.length;
+      return s.length;
+    } else if (allowEmpty)
+      yield "";
+    return 0;
+  }
+  *pushIndicators() {
+    switch (this.charAt(0)) {
+      case "!":
+        return (yield* this.pushTag()) + (yield* this.pushSpaces(true)) + (yield* this.pushIndicators());
+      case "&":
+        return (yield* this.pushUntil(isNotAnchorChar)) + (yield* this.pushSpaces(true)) + (yield* this.pushIndicators());
+      case "-":
+      case "?":
+      case ":": {
+        const inFlow = this.flowLevel > 0;
+        const ch1 = this.charAt(1);
+        if (isEmpty(ch1) || inFlow && flowIndicatorChars.has(ch1)) {
+          if (!inFlow)
+            this.indentNext = this.indentValue + 1;
+          else if (this.flowKey)
+            this.flowKey = false;
+          return (yield* this.pushCount(1)) + (yield* this.pushSpaces(true)) + (yield* this.pushIndicators());
+        }
+      }
+    }
+    return 0;
+  }
+  *pushTag() {
+    if (this.charAt(1) === "<") {
+      let i = this.pos + 2;
+      let ch = this.buffer[i];
+      while (!isEmpty(ch) && ch !== ">")
+        ch = this.buffer[++i];
+      return yield* this.pushToIndex(ch === ">" ? i + 1 : i, false);
+    } else {
+      let i = this.pos + 1;
+      let ch = this.buffer[i];
+      while (ch) {
+        if (tagChars.has(ch))
+          ch = this.buffer[++i];
+        else if (ch === "%" && hexDigits.has(this.buffer[i + 1]) && hexDigits.has(this.buffer[i + 2])) {
+          ch = this.buffer[i += 3];
+        } else
+          break;
+      }
+      return yield* this.pushToIndex(i, false);
+    }
+  }
+  *pushNewline() {
+    const ch = this.buffer[this.pos];
+    if (ch === `
+`)
+      return yield* this.pushCount(1);
+    else if (ch === "\r" && this.charAt(1) === `
+`)
+      return yield* this.pushCount(2);
+    else
+      return 0;
+  }
+  *pushSpaces(allowTabs) {
+    let i = this.pos - 1;
+    let ch;
+    do {
+      ch = this.buffer[++i];
+    } while (ch === " " || allowTabs && ch === "\t");
+    const n = i - this.pos;
+    if (n > 0) {
+      yield this.buffer.substr(this.pos, n);
+      this.pos = i;
+    }
+    return n;
+  }
+  *pushUntil(test) {
+    let i = this.pos;
+    let ch = this.buffer[i];
+    while (!test(ch))
+      ch = this.buffer[++i];
+    return yield* this.pushToIndex(i, false);
+  }
+}
+// node_modules/yaml/browser/dist/parse/line-counter.js
+class LineCounter {
+  constructor() {
+    this.lineStarts = [];
+    this.addNewLine = (offset) => this.lineStarts.push(offset);
+    this.linePos = (offset) => {
+      let low = 0;
+      let high = this.lineStarts.length;
+      while (low < high) {
+        const mid = low + high >> 1;
+        if (this.lineStarts[mid] < offset)
+          low = mid + 1;
+        else
+          high = mid;
+      }
+      if (this.lineStarts[low] === offset)
+        return { line: low + 1, col: 1 };
+      if (low === 0)
+        return { line: 0, col: offset };
+      const start = this.lineStarts[low - 1];
+      return { line: low, col: offset - start + 1 };
+    };
+  }
+}
+// node_modules/yaml/browser/dist/parse/parser.js
+function includesToken(list, type) {
+  for (let i = 0;i < list.length; ++i)
+    if (list[i].type === type)
+      return true;
+  return false;
+}
+function findNonEmptyIndex(list) {
+  for (let i = 0;i < list.length; ++i) {
+    switch (list[i].type) {
+      case "space":
+      case "comment":
+      case "newline":
+        break;
+      default:
+        return i;
+    }
+  }
+  return -1;
+}
+function isFlowToken(token) {
+  switch (token?.type) {
+    case "alias":
+    case "scalar":
+    case "single-quoted-scalar":
+    case "double-quoted-scalar":
+    case "flow-collection":
+      return true;
+    default:
+      return false;
+  }
+}
+function getPrevProps(parent) {
+  switch (parent.type) {
+    case "document":
+      return parent.start;
+    case "block-map": {
+      const it = parent.items[parent.items.length - 1];
+      return it.sep ?? it.start;
+    }
+    case "block-seq":
+      return parent.items[parent.items.length - 1].start;
+    default:
+      return [];
+  }
+}
+function getFirstKeyStartProps(prev) {
+  if (prev.length === 0)
+    return [];
+  let i = prev.length;
+  loop:
+    while (--i >= 0) {
+      switch (prev[i].type) {
+        case "doc-start":
+        case "explicit-key-ind":
+        case "map-value-ind":
+        case "seq-item-ind":
+        case "newline":
+          break loop;
+      }
+    }
+  while (prev[++i]?.type === "space") {}
+  return prev.splice(i, prev.length);
+}
+function fixFlowSeqItems(fc) {
+  if (fc.start.type === "flow-seq-start") {
+    for (const it of fc.items) {
+      if (it.sep && !it.value && !includesToken(it.start, "explicit-key-ind") && !includesToken(it.sep, "map-value-ind")) {
+        if (it.key)
+          it.value = it.key;
+        delete it.key;
+        if (isFlowToken(it.value)) {
+          if (it.value.end)
+            Array.prototype.push.apply(it.value.end, it.sep);
+          else
+            it.value.end = it.sep;
+        } else
+          Array.prototype.push.apply(it.start, it.sep);
+        delete it.sep;
+      }
+    }
+  }
+}
+
+class Parser {
+  constructor(onNewLine) {
+    this.atNewLine = true;
+    this.atScalar = false;
+    this.indent = 0;
+    this.offset = 0;
+    this.onKeyLine = false;
+    this.stack = [];
+    this.source = "";
+    this.type = "";
+    this.lexer = new Lexer;
+    this.onNewLine = onNewLine;
+  }
+  *parse(source, incomplete = false) {
+    if (this.onNewLine && this.offset === 0)
+      this.onNewLine(0);
+    for (const lexeme of this.lexer.lex(source, incomplete))
+      yield* this.next(lexeme);
+    if (!incomplete)
+      yield* this.end();
+  }
+  *next(source) {
+    this.source = source;
+    if (this.atScalar) {
+      this.atScalar = false;
+      yield* this.step();
+      this.offset += source.length;
+      return;
+    }
+    const type = tokenType(source);
+    if (!type) {
+      const message = `Not a YAML token: ${source}`;
+      yield* this.pop({ type: "error", offset: this.offset, message, source });
+      this.offset += source.length;
+    } else if (type === "scalar") {
+      this.atNewLine = false;
+      this.atScalar = true;
+      this.type = "scalar";
+    } else {
+      this.type = type;
+      yield* this.step();
+      switch (type) {
+        case "newline":
+          this.atNewLine = true;
+          this.indent = 0;
+          if (this.onNewLine)
+            this.onNewLine(this.offset + source.length);
+          break;
+        case "space":
+          if (this.atNewLine && source[0] === " ")
+            this.indent += source.length;
+          break;
+        case "explicit-key-ind":
+        case "map-value-ind":
+        case "seq-item-ind":
+          if (this.atNewLine)
+            this.indent += source.length;
+          break;
+        case "doc-mode":
+        case "flow-error-end":
+          return;
+        default:
+          this.atNewLine = false;
+      }
+      this.offset += source.length;
+    }
+  }
+  *end() {
+    while (this.stack.length > 0)
+      yield* this.pop();
+  }
+  get sourceToken() {
+    const st = {
+      type: this.type,
+      offset: this.offset,
+      indent: this.indent,
+      source: this.source
+    };
+    return st;
+  }
+  *step() {
+    const top = this.peek(1);
+    if (this.type === "doc-end" && (!top || top.type !== "doc-end")) {
+      while (this.stack.length > 0)
+        yield* this.pop();
+      this.stack.push({
+        type: "doc-end",
+        offset: this.offset,
+        source: this.source
+      });
+      return;
+    }
+    if (!top)
+      return yield* this.stream();
+    switch (top.type) {
+      case "document":
+        return yield* this.document(top);
+      case "alias":
+      case "scalar":
+      case "single-quoted-scalar":
+      case "double-quoted-scalar":
+        return yield* this.scalar(top);
+      case "block-scalar":
+        return yield* this.blockScalar(top);
+      case "block-map":
+        return yield* this.blockMap(top);
+      case "block-seq":
+        return yield* this.blockSequence(top);
+      case "flow-collection":
+        return yield* this.flowCollection(top);
+      case "doc-end":
+        return yield* this.documentEnd(top);
+    }
+    yield* this.pop();
+  }
+  peek(n) {
+    return this.stack[this.stack.length - n];
+  }
+  *pop(error) {
+    const token = error ?? this.stack.pop();
+    if (!token) {
+      const message = "Tried to pop an empty stack";
+      yield { type: "error", offset: this.offset, source: "", message };
+    } else if (this.stack.length === 0) {
+      yield token;
+    } else {
+      const top = this.peek(1);
+      if (token.type === "block-scalar") {
+        token.indent = "indent" in top ? top.indent : 0;
+      } else if (token.type === "flow-collection" && top.type === "document") {
+        token.indent = 0;
+      }
+      if (token.type === "flow-collection")
+        fixFlowSeqItems(token);
+      switch (top.type) {
+        case "document":
+          top.value = token;
+          break;
+        case "block-scalar":
+          top.props.push(token);
+          break;
+        case "block-map": {
+          const it = top.items[top.items.length - 1];
+          if (it.value) {
+            top.items.push({ start: [], key: token, sep: [] });
+            this.onKeyLine = true;
+            return;
+          } else if (it.sep) {
+            it.value = token;
+          } else {
+            Object.assign(it, { key: token, sep: [] });
+            this.onKeyLine = !it.explicitKey;
+            return;
+          }
+          break;
+        }
+        case "block-seq": {
+          const it = top.items[top.items.length - 1];
+          if (it.value)
+            top.items.push({ start: [], value: token });
+          else
+            it.value = token;
+          break;
+        }
+        case "flow-collection": {
+          const it = top.items[top.items.length - 1];
+          if (!it || it.value)
+            top.items.push({ start: [], key: token, sep: [] });
+          else if (it.sep)
+            it.value = token;
+          else
+            Object.assign(it, { key: token, sep: [] });
+          return;
+        }
+        default:
+          yield* this.pop();
+          yield* this.pop(token);
+      }
+      if ((top.type === "document" || top.type === "block-map" || top.type === "block-seq") && (token.type === "block-map" || token.type === "block-seq")) {
+        const last = token.items[token.items.length - 1];
+        if (last && !last.sep && !last.value && last.start.length > 0 && findNonEmptyIndex(last.start) === -1 && (token.indent === 0 || last.start.every((st) => st.type !== "comment" || st.indent < token.indent))) {
+          if (top.type === "document")
+            top.end = last.start;
+          else
+            top.items.push({ start: last.start });
+          token.items.splice(-1, 1);
+        }
+      }
+    }
+  }
+  *stream() {
+    switch (this.type) {
+      case "directive-line":
+        yield { type: "directive", offset: this.offset, source: this.source };
+        return;
+      case "byte-order-mark":
+      case "space":
+      case "comment":
+      case "newline":
+        yield this.sourceToken;
+        return;
+      case "doc-mode":
+      case "doc-start": {
+        const doc = {
+          type: "document",
+          offset: this.offset,
+          start: []
+        };
+        if (this.type === "doc-start")
+          doc.start.push(this.sourceToken);
+        this.stack.push(doc);
+        return;
+      }
+    }
+    yield {
+      type: "error",
+      offset: this.offset,
+      message: `Unexpected ${this.type} token in YAML stream`,
+      source: this.source
+    };
+  }
+  *document(doc) {
+    if (doc.value)
+      return yield* this.lineEnd(doc);
+    switch (this.type) {
+      case "doc-start": {
+        if (findNonEmptyIndex(doc.start) !== -1) {
+          yield* this.pop();
+          yield* this.step();
+        } else
+          doc.start.push(this.sourceToken);
+        return;
+      }
+      case "anchor":
+      case "tag":
+      case "space":
+      case "comment":
+      case "newline":
+        doc.start.push(this.sourceToken);
+        return;
+    }
+    const bv = this.startBlockValue(doc);
+    if (bv)
+      this.stack.push(bv);
+    else {
+      yield {
+        type: "error",
+        offset: this.offset,
+        message: `Unexpected ${this.type} token in YAML document`,
+        source: this.source
+      };
+    }
+  }
+  *scalar(scalar) {
+    if (this.type === "map-value-ind") {
+      const prev = getPrevProps(this.peek(2));
+      const start = getFirstKeyStartProps(prev);
+      let sep;
+      if (scalar.end) {
+        sep = scalar.end;
+        sep.push(this.sourceToken);
+        delete scalar.end;
+      } else
+        sep = [this.sourceToken];
+      const map = {
+        type: "block-map",
+        offset: scalar.offset,
+        indent: scalar.indent,
+        items: [{ start, key: scalar, sep }]
+      };
+      this.onKeyLine = true;
+      this.stack[this.stack.length - 1] = map;
+    } else
+      yield* this.lineEnd(scalar);
+  }
+  *blockScalar(scalar) {
+    switch (this.type) {
+      case "space":
+      case "comment":
+      case "newline":
+        scalar.props.push(this.sourceToken);
+        return;
+      case "scalar":
+        scalar.source = this.source;
+        this.atNewLine = true;
+        this.indent = 0;
+        if (this.onNewLine) {
+          let nl = this.source.indexOf(`
+`) + 1;
+          while (nl !== 0) {
+            this.onNewLine(this.offset + nl);
+            nl = this.source.indexOf(`
+`, nl) + 1;
+          }
+        }
+        yield* this.pop();
+        break;
+      default:
+        yield* this.pop();
+        yield* this.step();
+    }
+  }
+  *blockMap(map) {
+    const it = map.items[map.items.length - 1];
+    switch (this.type) {
+      case "newline":
+        this.onKeyLine = false;
+        if (it.value) {
+          const end = "end" in it.value ? it.value.end : undefined;
+          const last = Array.isArray(end) ? end[end.length - 1] : undefined;
+          if (last?.type === "comment")
+            end?.push(this.sourceToken);
+          else
+            map.items.push({ start: [this.sourceToken] });
+        } else if (it.sep) {
+          it.sep.push(this.sourceToken);
+        } else {
+          it.start.push(this.sourceToken);
+        }
+        return;
+      case "space":
+      case "comment":
+        if (it.value) {
+          map.items.push({ start: [this.sourceToken] });
+        } else if (it.sep) {
+          it.sep.push(this.sourceToken);
+        } else {
+          if (this.atIndentedComment(it.start, map.indent)) {
+            const prev = map.items[map.items.length - 2];
+            const end = prev?.value?.end;
+            if (Array.isArray(end)) {
+              Array.prototype.push.apply(end, it.start);
+              end.push(this.sourceToken);
+              map.items.pop();
+              return;
+            }
+          }
+          it.start.push(this.sourceToken);
+        }
+        return;
+    }
+    if (this.indent >= map.indent) {
+      const atMapIndent = !this.onKeyLine && this.indent === map.indent;
+      const atNextItem = atMapIndent && (it.sep || it.explicitKey) && this.type !== "seq-item-ind";
+      let start = [];
+      if (atNextItem && it.sep && !it.value) {
+        const nl = [];
+        for (let i = 0;i < it.sep.length; ++i) {
+          const st = it.sep[i];
+          switch (st.type) {
+            case "newline":
+              nl.push(i);
+              break;
+            case "space":
+              break;
+            case "comment":
+              if (st.indent > map.indent)
+                nl.length = 0;
+              break;
+            default:
+              nl.length = 0;
+          }
+        }
+        if (nl.length >= 2)
+          start = it.sep.splice(nl[1]);
+      }
+      switch (this.type) {
+        case "anchor":
+        case "tag":
+          if (atNextItem || it.value) {
+            start.push(this.sourceToken);
+            map.items.push({ start });
+            this.onKeyLine = true;
+          } else if (it.sep) {
+            it.sep.push(this.sourceToken);
+          } else {
+            it.start.push(this.sourceToken);
+          }
+          return;
+        case "explicit-key-ind":
+          if (!it.sep && !it.explicitKey) {
+            it.start.push(this.sourceToken);
+            it.explicitKey = true;
+          } else if (atNextItem || it.value) {
+            start.push(this.sourceToken);
+            map.items.push({ start, explicitKey: true });
+          } else {
+            this.stack.push({
+              type: "block-map",
+              offset: this.offset,
+              indent: this.indent,
+              items: [{ start: [this.sourceToken], explicitKey: true }]
+            });
+          }
+          this.onKeyLine = true;
+          return;
+        case "map-value-ind":
+          if (it.explicitKey) {
+            if (!it.sep) {
+              if (includesToken(it.start, "newline")) {
+                Object.assign(it, { key: null, sep: [this.sourceToken] });
+              } else {
+                const start = getFirstKeyStartProps(it.start);
+                this.stack.push({
+                  type: "block-map",
+                  offset: this.offset,
+                  indent: this.indent,
+                  items: [{ start, key: null, sep: [this.sourceToken] }]
+                });
+              }
+            } else if (it.value) {
+              map.items.push({ start: [], key: null, sep: [this.sourceToken] });
+            } else if (includesToken(it.sep, "map-value-ind")) {
+              this.stack.push({
+                type: "block-map",
+                offset: this.offset,
+                indent: this.indent,
+                items: [{ start, key: null, sep: [this.sourceToken] }]
+              });
+            } else if (isFlowToken(it.key) && !includesToken(it.sep, "newline")) {
+              const start = getFirstKeyStartProps(it.start);
+              const key = it.key;
+              const sep = it.sep;
+              sep.push(this.sourceToken);
+              delete it.key;
+              delete it.sep;
+              this.stack.push({
+                type: "block-map",
+                offset: this.offset,
+                indent: this.indent,
+                items: [{ start, key, sep }]
+              });
+            } else if (start.length > 0) {
+              it.sep = it.sep.concat(start, this.sourceToken);
+            } else {
+              it.sep.push(this.sourceToken);
+            }
+          } else {
+            if (!it.sep) {
+              Object.assign(it, { key: null, sep: [this.sourceToken] });
+            } else if (it.value || atNextItem) {
+              map.items.push({ start, key: null, sep: [this.sourceToken] });
+            } else if (includesToken(it.sep, "map-value-ind")) {
+              this.stack.push({
+                type: "block-map",
+                offset: this.offset,
+                indent: this.indent,
+                items: [{ start: [], key: null, sep: [this.sourceToken] }]
+              });
+            } else {
+              it.sep.push(this.sourceToken);
+            }
+          }
+          this.onKeyLine = true;
+          return;
+        case "alias":
+        case "scalar":
+        case "single-quoted-scalar":
+        case "double-quoted-scalar": {
+          const fs = this.flowScalar(this.type);
+          if (atNextItem || it.value) {
+            map.items.push({ start, key: fs, sep: [] });
+            this.onKeyLine = true;
+          } else if (it.sep) {
+            this.stack.push(fs);
+          } else {
+            Object.assign(it, { key: fs, sep: [] });
+            this.onKeyLine = true;
+          }
+          return;
+        }
+        default: {
+          const bv = this.startBlockValue(map);
+          if (bv) {
+            if (bv.type === "block-seq") {
+              if (!it.explicitKey && it.sep && !includesToken(it.sep, "newline")) {
+                yield* this.pop({
+                  type: "error",
+                  offset: this.offset,
+                  message: "Unexpected block-seq-ind on same line with key",
+                  source: this.source
+                });
+                return;
+              }
+            } else if (atMapIndent) {
+              map.items.push({ start });
+            }
+            this.stack.push(bv);
+            return;
+          }
+        }
+      }
+    }
+    yield* this.pop();
+    yield* this.step();
+  }
+  *blockSequence(seq) {
+    const it = seq.items[seq.items.length - 1];
+    switch (this.type) {
+      case "newline":
+        if (it.value) {
+          const end = "end" in it.value ? it.value.end : undefined;
+          const last = Array.isArray(end) ? end[end.length - 1] : undefined;
+          if (last?.type === "comment")
+            end?.push(this.sourceToken);
+          else
+            seq.items.push({ start: [this.sourceToken] });
+        } else
+          it.start.push(this.sourceToken);
+        return;
+      case "space":
+      case "comment":
+        if (it.value)
+          seq.items.push({ start: [this.sourceToken] });
+        else {
+          if (this.atIndentedComment(it.start, seq.indent)) {
+            const prev = seq.items[seq.items.length - 2];
+            const end = prev?.value?.end;
+            if (Array.isArray(end)) {
+              Array.prototype.push.apply(end, it.start);
+              end.push(this.sourceToken);
+              seq.items.pop();
+              return;
+            }
+          }
+          it.start.push(this.sourceToken);
+        }
+        return;
+      case "anchor":
+      case "tag":
+        if (it.value || this.indent <= seq.indent)
+          break;
+        it.start.push(this.sourceToken);
+        return;
+      case "seq-item-ind":
+        if (this.indent !== seq.indent)
+          break;
+        if (it.value || includesToken(it.start, "seq-item-ind"))
+          seq.items.push({ start: [this.sourceToken] });
+        else
+          it.start.push(this.sourceToken);
+        return;
+    }
+    if (this.indent > seq.indent) {
+      const bv = this.startBlockValue(seq);
+      if (bv) {
+        this.stack.push(bv);
+        return;
+      }
+    }
+    yield* this.pop();
+    yield* this.step();
+  }
+  *flowCollection(fc) {
+    const it = fc.items[fc.items.length - 1];
+    if (this.type === "flow-error-end") {
+      let top;
+      do {
+        yield* this.pop();
+        top = this.peek(1);
+      } while (top && top.type === "flow-collection");
+    } else if (fc.end.length === 0) {
+      switch (this.type) {
+        case "comma":
+        case "explicit-key-ind":
+          if (!it || it.sep)
+            fc.items.push({ start: [this.sourceToken] });
+          else
+            it.start.push(this.sourceToken);
+          return;
+        case "map-value-ind":
+          if (!it || it.value)
+            fc.items.push({ start: [], key: null, sep: [this.sourceToken] });
+          else if (it.sep)
+            it.sep.push(this.sourceToken);
+          else
+            Object.assign(it, { key: null, sep: [this.sourceToken] });
+          return;
+        case "space":
+        case "comment":
+        case "newline":
+        case "anchor":
+        case "tag":
+          if (!it || it.value)
+            fc.items.push({ start: [this.sourceToken] });
+          else if (it.sep)
+            it.sep.push(this.sourceToken);
+          else
+            it.start.push(this.sourceToken);
+          return;
+        case "alias":
+        case "scalar":
+        case "single-quoted-scalar":
+        case "double-quoted-scalar": {
+          const fs = this.flowScalar(this.type);
+          if (!it || it.value)
+            fc.items.push({ start: [], key: fs, sep: [] });
+          else if (it.sep)
+            this.stack.push(fs);
+          else
+            Object.assign(it, { key: fs, sep: [] });
+          return;
+        }
+        case "flow-map-end":
+        case "flow-seq-end":
+          fc.end.push(this.sourceToken);
+          return;
+      }
+      const bv = this.startBlockValue(fc);
+      if (bv)
+        this.stack.push(bv);
+      else {
+        yield* this.pop();
+        yield* this.step();
+      }
+    } else {
+      const parent = this.peek(2);
+      if (parent.type === "block-map" && (this.type === "map-value-ind" && parent.indent === fc.indent || this.type === "newline" && !parent.items[parent.items.length - 1].sep)) {
+        yield* this.pop();
+        yield* this.step();
+      } else if (this.type === "map-value-ind" && parent.type !== "flow-collection") {
+        const prev = getPrevProps(parent);
+        const start = getFirstKeyStartProps(prev);
+        fixFlowSeqItems(fc);
+        const sep = fc.end.splice(1, fc.end.length);
+        sep.push(this.sourceToken);
+        const map = {
+          type: "block-map",
+          offset: fc.offset,
+          indent: fc.indent,
+          items: [{ start, key: fc, sep }]
+        };
+        this.onKeyLine = true;
+        this.stack[this.stack.length - 1] = map;
+      } else {
+        yield* this.lineEnd(fc);
+      }
     }
-    if (candidate <= normalizedEnd) {
-      candidates.push(candidate);
+  }
+  flowScalar(type) {
+    if (this.onNewLine) {
+      let nl = this.source.indexOf(`
+`) + 1;
+      while (nl !== 0) {
+        this.onNewLine(this.offset + nl);
+        nl = this.source.indexOf(`
+`, nl) + 1;
+      }
     }
-  });
-  let min_x = Infinity;
-  let max_x = -Infinity;
-  let min_y = Infinity;
-  let max_y = -Infinity;
-  candidates.forEach((angle) => {
-    const cosA = Math.cos(angle);
-    const sinA = Math.sin(angle);
-    min_x = Math.min(min_x, cosA);
-    max_x = Math.max(max_x, cosA);
-    min_y = Math.min(min_y, sinA);
-    max_y = Math.max(max_y, sinA);
-  });
-  const padding = 20;
-  return {
-    min: {
-      x: min_x * radius - padding,
-      y: min_y * radius - padding
-    },
-    max: {
-      x: max_x * radius + padding,
-      y: max_y * radius + padding
+    return {
+      type,
+      offset: this.offset,
+      indent: this.indent,
+      source: this.source
+    };
+  }
+  startBlockValue(parent) {
+    switch (this.type) {
+      case "alias":
+      case "scalar":
+      case "single-quoted-scalar":
+      case "double-quoted-scalar":
+        return this.flowScalar(this.type);
+      case "block-scalar-header":
+        return {
+          type: "block-scalar",
+          offset: this.offset,
+          indent: this.indent,
+          props: [this.sourceToken],
+          source: ""
+        };
+      case "flow-map-start":
+      case "flow-seq-start":
+        return {
+          type: "flow-collection",
+          offset: this.offset,
+          indent: this.indent,
+          start: this.sourceToken,
+          items: [],
+          end: []
+        };
+      case "seq-item-ind":
+        return {
+          type: "block-seq",
+          offset: this.offset,
+          indent: this.indent,
+          items: [{ start: [this.sourceToken] }]
+        };
+      case "explicit-key-ind": {
+        this.onKeyLine = true;
+        const prev = getPrevProps(parent);
+        const start = getFirstKeyStartProps(prev);
+        start.push(this.sourceToken);
+        return {
+          type: "block-map",
+          offset: this.offset,
+          indent: this.indent,
+          items: [{ start, explicitKey: true }]
+        };
+      }
+      case "map-value-ind": {
+        this.onKeyLine = true;
+        const prev = getPrevProps(parent);
+        const start = getFirstKeyStartProps(prev);
+        return {
+          type: "block-map",
+          offset: this.offset,
+          indent: this.indent,
+          items: [{ start, key: null, sep: [this.sourceToken] }]
+        };
+      }
     }
-  };
-}
-function generateQuadrantOrder(numQuadrants) {
-  if (numQuadrants === 4) {
-    return [2, 3, 1, 0];
+    return null;
   }
-  const quadrantOrder = [];
-  const startIndex = Math.floor(numQuadrants / 2);
-  for (let i = 0;i < numQuadrants; i++) {
-    quadrantOrder.push((startIndex + i) % numQuadrants);
+  atIndentedComment(start, indent) {
+    if (this.type !== "comment")
+      return false;
+    if (this.indent <= indent)
+      return false;
+    return start.every((st) => st.type === "newline" || st.type === "space");
   }
-  return quadrantOrder;
-}
-
-// src/geometry/ring-calculator.js
-var BASE_PATTERN = [130, 220, 310, 400];
-var MAX_BASE_RADIUS = 400;
-function generateRings(numRings, targetOuterRadius) {
-  const ringTemplate = [];
-  if (numRings === 4) {
-    for (let i = 0;i < 4; i++) {
-      ringTemplate.push(BASE_PATTERN[i]);
+  *documentEnd(docEnd) {
+    if (this.type !== "doc-mode") {
+      if (docEnd.end)
+        docEnd.end.push(this.sourceToken);
+      else
+        docEnd.end = [this.sourceToken];
+      if (this.type === "newline")
+        yield* this.pop();
     }
-  } else {
-    for (let i = 0;i < numRings; i++) {
-      const patternPosition = i / (numRings - 1) * 3;
-      const patternIndex = Math.floor(patternPosition);
-      const fraction = patternPosition - patternIndex;
-      let radius;
-      if (patternIndex >= 3) {
-        radius = MAX_BASE_RADIUS;
-      } else {
-        radius = BASE_PATTERN[patternIndex] + (BASE_PATTERN[patternIndex + 1] - BASE_PATTERN[patternIndex]) * fraction;
-      }
-      ringTemplate.push(radius);
+  }
+  *lineEnd(token) {
+    switch (this.type) {
+      case "comma":
+      case "doc-start":
+      case "doc-end":
+      case "flow-seq-end":
+      case "flow-map-end":
+      case "map-value-ind":
+        yield* this.pop();
+        yield* this.step();
+        break;
+      case "newline":
+        this.onKeyLine = false;
+      case "space":
+      case "comment":
+      default:
+        if (token.end)
+          token.end.push(this.sourceToken);
+        else
+          token.end = [this.sourceToken];
+        if (this.type === "newline")
+          yield* this.pop();
     }
   }
-  const radiusScale = targetOuterRadius / MAX_BASE_RADIUS;
-  return ringTemplate.map((r) => ({ radius: Math.max(10, Math.round(r * radiusScale)) }));
 }
-
-// src/math/coordinates.js
-function polar(cartesian) {
-  const { x, y } = cartesian;
-  return {
-    t: Math.atan2(y, x),
-    r: Math.sqrt(x * x + y * y)
-  };
+// node_modules/yaml/browser/dist/public-api.js
+function parseOptions(options) {
+  const prettyErrors = options.prettyErrors !== false;
+  const lineCounter = options.lineCounter || prettyErrors && new LineCounter || null;
+  return { lineCounter, prettyErrors };
 }
-function cartesian(polar2) {
-  const { r, t } = polar2;
-  return {
-    x: r * Math.cos(t),
-    y: r * Math.sin(t)
-  };
+function parseDocument(source, options = {}) {
+  const { lineCounter, prettyErrors } = parseOptions(options);
+  const parser = new Parser(lineCounter?.addNewLine);
+  const composer = new Composer(options);
+  let doc = null;
+  for (const _doc of composer.compose(parser.parse(source), true, source.length)) {
+    if (!doc)
+      doc = _doc;
+    else if (doc.options.logLevel !== "silent") {
+      doc.errors.push(new YAMLParseError(_doc.range.slice(0, 2), "MULTIPLE_DOCS", "Source contains multiple documents; please use YAML.parseAllDocuments()"));
+      break;
+    }
+  }
+  if (prettyErrors && lineCounter) {
+    doc.errors.forEach(prettifyError(source, lineCounter));
+    doc.warnings.forEach(prettifyError(source, lineCounter));
+  }
+  return doc;
 }
-function boundedInterval(value, min, max) {
-  const low = Math.min(min, max);
-  const high = Math.max(min, max);
-  return Math.min(Math.max(value, low), high);
+// src/integration/yaml-io.js
+function parseYamlDocument(text) {
+  const document2 = parseDocument(text);
+  const [error] = document2.errors;
+  if (error) {
+    const message = error.message.split(`
+`)[0].replace(/ at line \d+, column \d+:?$/, "");
+    const line = error.linePos?.[0]?.line;
+    throw new ConfigValidationError(line ? `YAML line ${line}: ${message}` : `YAML: ${message}`, "yaml", text);
+  }
+  return document2;
 }
-function boundedRing(polar2, r_min, r_max) {
-  return {
-    t: polar2.t,
-    r: boundedInterval(polar2.r, r_min, r_max)
-  };
+function parseYamlConfig(text) {
+  const config = parseYamlDocument(text).toJS();
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new ConfigValidationError("YAML: Expected a radar configuration (a mapping)", "yaml", config);
+  }
+  return config;
 }
-function boundedBox(point, min, max) {
-  return {
-    x: boundedInterval(point.x, min.x, max.x),
-    y: boundedInterval(point.y, min.y, max.y)
-  };
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
 }
-
-// src/geometry/segment-calculator.js
-function createSegment(quadrantIndex, ringIndex, quadrants, rings, config, randomBetween) {
-  const min_angle = quadrants[quadrantIndex].radial_min * Math.PI;
-  const max_angle = quadrants[quadrantIndex].radial_max * Math.PI;
-  const base_inner_radius = ringIndex === 0 ? 30 : rings[ringIndex - 1].radius;
-  const base_outer_radius = rings[ringIndex].radius;
-  let inner_radius = base_inner_radius + config.segment_radial_padding;
-  let outer_radius = base_outer_radius - config.segment_radial_padding;
-  if (outer_radius <= inner_radius) {
-    const midpoint = (base_inner_radius + base_outer_radius) / 2;
-    inner_radius = Math.max(0, midpoint - 1);
-    outer_radius = midpoint + 1;
+function itemKey(value) {
+  return isPlainObject(value) && value.label !== undefined ? String(entryKey(value)) : undefined;
+}
+function updateNode(document2, node, value) {
+  if (isMap(node) && isPlainObject(value)) {
+    updateMap(document2, node, value);
+    return node;
   }
-  const ring_center = (inner_radius + outer_radius) / 2;
-  let angular_padding = config.segment_angular_padding / Math.max(ring_center, 1);
-  const angular_limit = Math.max(0, (max_angle - min_angle) / 2 - 0.01);
-  angular_padding = Math.min(angular_padding, angular_limit);
-  let angle_min = min_angle + angular_padding;
-  let angle_max = max_angle - angular_padding;
-  if (angle_max <= angle_min) {
-    angle_min = min_angle;
-    angle_max = max_angle;
+  if (isSeq(node) && Array.isArray(value)) {
+    updateSeq(document2, node, value);
+    return node;
   }
-  const segment_bounds = computeQuadrantBounds(angle_min, angle_max, outer_radius);
-  const cartesian_min = segment_bounds.min;
-  const cartesian_max = segment_bounds.max;
-  function clampPoint(point) {
-    const c = boundedBox(point, cartesian_min, cartesian_max);
-    const p = polar(c);
-    p.r = boundedInterval(p.r, inner_radius, outer_radius);
-    p.t = boundedInterval(p.t, angle_min, angle_max);
-    return cartesian(p);
+  if (isScalar(node) && (value === null || typeof value !== "object")) {
+    node.value = value;
+    return node;
   }
-  function clampAndAssign(d) {
-    const clipped = clampPoint({ x: d.x, y: d.y });
-    d.x = clipped.x;
-    d.y = clipped.y;
-    return clipped;
+  return document2.createNode(value);
+}
+function updateMap(document2, node, value) {
+  const keys = Object.keys(value).filter((key) => value[key] !== undefined);
+  node.items = node.items.filter((pair) => keys.includes(String(isScalar(pair.key) ? pair.key.value : pair.key)));
+  for (const key of keys) {
+    const pair = node.items.find((item) => String(isScalar(item.key) ? item.key.value : item.key) === key);
+    if (pair) {
+      pair.value = updateNode(document2, pair.value, value[key]);
+    } else {
+      node.items.push(document2.createPair(key, value[key]));
+    }
   }
-  return {
-    clipx: (d) => {
-      const clipped = clampAndAssign(d);
-      return clipped.x;
-    },
-    clipy: (d) => {
-      const clipped = clampAndAssign(d);
-      return clipped.y;
-    },
-    clip: (d) => {
-      const clipped = clampPoint({ x: d.x, y: d.y });
-      d.x = clipped.x;
-      d.y = clipped.y;
-      return clipped;
-    },
-    random: () => cartesian({
-      t: randomBetween(angle_min, angle_max),
-      r: randomBetween(inner_radius, outer_radius)
-    })
-  };
+}
+function updateSeq(document2, node, value) {
+  const existing = node.items.map((item) => ({ item, key: itemKey(item?.toJSON?.() ?? item) }));
+  const byKey = new Map(existing.filter(({ key }) => key !== undefined).map(({ item, key }) => [key, item]));
+  const used = new Set;
+  node.items = value.map((itemValue, index) => {
+    const key = itemKey(itemValue);
+    let item = key === undefined ? existing[index]?.item : byKey.get(key);
+    if (item === undefined && key !== undefined && existing[index]?.key === undefined) {
+      item = existing[index]?.item;
+    }
+    if (item === undefined || used.has(item)) {
+      return document2.createNode(itemValue);
+    }
+    used.add(item);
+    return updateNode(document2, item, itemValue);
+  });
+}
+function stringifyYamlConfig(config, options = {}) {
+  const value = JSON.parse(JSON.stringify(config));
+  let document2;
+  try {
+    document2 = options.source ? parseYamlDocument(options.source) : null;
+  } catch {
+    document2 = null;
+  }
+  if (!document2 || !isMap(document2.contents)) {
+    document2 = new Document(value);
+  } else {
+    updateMap(document2, document2.contents, value);
+  }
+  return document2.toString({ lineWidth: 0 });
 }
 
 // src/integration/json-io.js
@@ -370,6 +7752,7 @@ var defaultOptions = {
   sanitizeData: true,
   mergeOnImport: true
 };
+var YAML_FILE_PATTERN = /\.ya?ml$/i;
 var readerErrorMessages = {
   read: "Failed to read the selected file. Please try again.",
   parse: "The selected file is not valid JSON. Please choose a valid radar configuration."
@@ -393,8 +7776,8 @@ function formatTimestamp(date = new Date) {
   const seconds = date.getSeconds();
   return `${year}${pad(month)}${pad(day)}-${pad(hours)}${pad(minutes)}${pad(seconds)}`;
 }
-function buildDownloadLink(json, fileName) {
-  const blob = new Blob([json], { type: "application/json" });
+function buildDownloadLink(content, fileName, type = "application/json") {
+  const blob = new Blob([content], { type });
   const linkCreator = typeof window !== "undefined" && window.URL ? window.URL : URL;
   const url = linkCreator.createObjectURL(blob);
   const link = document.createElement("a");
@@ -405,36 +7788,71 @@ function buildDownloadLink(json, fileName) {
 function handleError(message, options) {
   options.onError(message);
 }
+var OPTIONAL_ENTRY_FIELDS = ["key", "id", "description", "owner", "since"];
+function sanitizeEntry(entry, config) {
+  const clean = {
+    label: entry.label,
+    quadrant: entry.quadrant,
+    ring: entry.ring,
+    moved: entry.moved,
+    active: entry.active
+  };
+  if (entry.link) {
+    clean.link = entry.link;
+  }
+  for (const field of OPTIONAL_ENTRY_FIELDS) {
+    if (entry[field] !== undefined) {
+      clean[field] = entry[field];
+    }
+  }
+  if (Array.isArray(entry.tags)) {
+    clean.tags = [...entry.tags];
+  }
+  if (config.numbering === "explicit" && entry.number !== undefined) {
+    clean.number = entry.number;
+  }
+  return clean;
+}
 function sanitizeConfigForExport(config) {
   if (!config)
     return config;
   const sanitized = { ...config };
   if (Array.isArray(config.entries)) {
-    sanitized.entries = config.entries.map((entry) => {
-      const clean = {
-        label: entry.label,
-        quadrant: entry.quadrant,
-        ring: entry.ring,
-        moved: entry.moved,
-        active: entry.active
-      };
-      if (entry.link) {
-        clean.link = entry.link;
-      }
-      return clean;
-    });
+    sanitized.entries = config.entries.map((entry) => sanitizeEntry(entry, config));
+  }
+  if (config.previous) {
+    sanitized.previous = sanitizeConfigForExport(config.previous);
   }
-  const { _pluginInstances, _internalState, ...cleanConfig } = sanitized;
+  if (Array.isArray(config.editions)) {
+    sanitized.editions = config.editions.map((edition) => ({
+      ...edition,
+      entries: Array.isArray(edition?.entries) ? edition.entries.map((entry) => sanitizeEntry(entry, config)) : edition?.entries
+    }));
+    sanitized.entries = undefined;
+    sanitized.previous = undefined;
+  }
+  const { _pluginInstances, _internalState, archived: _archived, root: _root, ...cleanConfig } = sanitized;
   return cleanConfig;
 }
+function withPreviousEdition(importedConfig, previousConfig) {
+  if (!importedConfig || !previousConfig || importedConfig.previous || importedConfig.editions) {
+    return importedConfig;
+  }
+  const { previous: _older, ...previous } = sanitizeConfigForExport(previousConfig);
+  return { ...importedConfig, previous };
+}
 function mergeConfigs(baseConfig, importedConfig) {
   if (!baseConfig)
     return importedConfig;
   if (!importedConfig)
     return baseConfig;
   const merged = { ...baseConfig };
-  if (importedConfig.entries) {
+  if (importedConfig.entries || importedConfig.editions) {
     merged.entries = importedConfig.entries;
+    merged.previous = importedConfig.previous;
+    merged.archived = undefined;
+    merged.editions = importedConfig.editions;
+    merged.edition = importedConfig.edition;
   }
   const mergeableProps = ["title", "date", "quadrants", "rings", "print_layout", "links_in_new_tabs"];
   mergeableProps.forEach((prop) => {
@@ -444,6 +7862,13 @@ function mergeConfigs(baseConfig, importedConfig) {
   });
   return merged;
 }
+function serializeConfig(config, options) {
+  if (options.format === "yaml") {
+    const source = typeof options.yamlSource === "function" ? options.yamlSource() : options.yamlSource;
+    return { content: stringifyYamlConfig(config, { source }), extension: "yaml", type: "application/yaml" };
+  }
+  return { content: JSON.stringify(config, null, 2), extension: "json", type: "application/json" };
+}
 function exportConfig(button, currentConfigProvider, options = {}) {
   if (!button) {
     throw new Error("exportConfig requires a button element");
@@ -460,21 +7885,34 @@ function exportConfig(button, currentConfigProvider, options = {}) {
         throw new Error("No radar configuration is available to export.");
       }
       const configToExport = merged.sanitizeData ? sanitizeConfigForExport(config) : config;
-      const json = JSON.stringify(configToExport, null, 2);
       const timestamp = formatTimestamp();
-      const fileName = `${demoSlug}-${timestamp}.json`;
-      const { link, url } = buildDownloadLink(json, fileName);
+      const { content, extension, type } = serializeConfig(configToExport, merged);
+      const fileName = `${demoSlug}-${timestamp}.${extension}`;
+      const { link, url } = buildDownloadLink(content, fileName, type);
       link.click();
       const revoker = typeof window !== "undefined" && window.URL ? window.URL : URL;
       revoker.revokeObjectURL(url);
       merged.onSuccess({ fileName });
     } catch (error) {
-      handleError(error.message || "Unable to export JSON.", merged);
+      handleError(error.message || "Unable to export the configuration.", merged);
     }
   };
   button.addEventListener("click", handleClick);
   return () => button.removeEventListener("click", handleClick);
 }
+function parseImportedFile(text, file, options) {
+  const defaultParse = YAML_FILE_PATTERN.test(file?.name || "") ? parseYamlConfig : JSON.parse;
+  const parse = typeof options.parse === "function" ? options.parse : defaultParse;
+  const parsed = parse(text, file);
+  if (!options.previous) {
+    return parsed;
+  }
+  const previous = typeof options.previous === "function" ? options.previous() : options.previous;
+  return withPreviousEdition(parsed, previous);
+}
+function importResult(file, text) {
+  return YAML_FILE_PATTERN.test(file.name || "") ? { fileName: file.name, source: text } : { fileName: file.name };
+}
 function importConfig(fileInput, applyConfig, options = {}) {
   if (!fileInput) {
     throw new Error("importConfig requires a file input element");
@@ -492,15 +7930,15 @@ function importConfig(fileInput, applyConfig, options = {}) {
     reader.onload = async (loadEvent) => {
       let parsed;
       try {
-        parsed = JSON.parse(loadEvent.target.result);
-      } catch (_parseError) {
-        handleError(readerErrorMessages.parse, merged);
+        parsed = parseImportedFile(loadEvent.target.result, file, merged);
+      } catch (parseError) {
+        handleError(parseError instanceof SyntaxError ? readerErrorMessages.parse : parseError.message, merged);
         fileInput.value = "";
         return;
       }
       try {
         await applyConfig(parsed);
-        merged.onSuccess({ fileName: file.name });
+        merged.onSuccess(importResult(file, loadEvent.target.result));
       } catch (error) {
         handleError(error.message || "Unable to import configuration.", merged);
       } finally {
@@ -521,29 +7959,103 @@ function createJsonIOHelpers() {
     exportConfig,
     importConfig,
     sanitizeConfigForExport,
-    mergeConfigs
+    mergeConfigs,
+    withPreviousEdition
   };
 }
 
-// src/math/random.js
-class SeededRandom {
-  constructor(seed = 42) {
-    this.seed = seed;
-    this.initialSeed = seed;
+// src/processing/entry-filter.js
+var FILTER_CRITERIA = ["query", "quadrant", "ring", "moved", "active", "tags"];
+var NUMERIC_CRITERIA = ["quadrant", "ring", "moved"];
+var REFERENCE_LISTS = { quadrant: "quadrants", ring: "rings" };
+var URL_PARAMS = { query: "q", quadrant: "quadrant", ring: "ring", moved: "moved", active: "active", tags: "tag" };
+function fuzzyMatch(query, text) {
+  const needle = query.trim().toLowerCase();
+  const haystack = String(text).toLowerCase();
+  if (haystack.includes(needle)) {
+    return true;
   }
-  next() {
-    const x = Math.sin(this.seed++) * 1e4;
-    return x - Math.floor(x);
+  let position = 0;
+  for (const character of needle) {
+    position = haystack.indexOf(character, position) + 1;
+    if (position === 0) {
+      return false;
+    }
   }
-  between(min, max) {
-    return min + this.next() * (max - min);
+  return true;
+}
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+function criterionValue(name, value, config) {
+  const index = REFERENCE_LISTS[name] ? resolveReference(config[REFERENCE_LISTS[name]], value) : -1;
+  return index === -1 ? Number(value) : index;
+}
+function isEmptyFilter(criteria) {
+  return !criteria || FILTER_CRITERIA.every((name) => {
+    const value = criteria[name];
+    return value === undefined || value === null || value === "" || Array.isArray(value) && value.length === 0;
+  });
+}
+function createEntryFilter(criteria, config = {}) {
+  const unknown = Object.keys(criteria).filter((name) => !FILTER_CRITERIA.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown filter criterion "${unknown[0]}" (expected one of: ${FILTER_CRITERIA.join(", ")})`);
   }
-  normalBetween(min, max) {
-    return min + (this.next() + this.next()) * 0.5 * (max - min);
+  const tests = [];
+  const { query, active, tags } = criteria;
+  if (typeof query === "string" && query.trim()) {
+    tests.push((entry) => fuzzyMatch(query, entry.label));
   }
-  reset(seed) {
-    this.seed = seed !== undefined ? seed : this.initialSeed;
+  for (const name of NUMERIC_CRITERIA) {
+    if (!isEmptyFilter({ [name]: criteria[name] })) {
+      const values = toList(criteria[name]).map((value) => criterionValue(name, value, config));
+      tests.push((entry) => values.includes(entry[name]));
+    }
+  }
+  if (typeof active === "boolean") {
+    tests.push((entry) => Boolean(entry.active) === active);
+  }
+  if (!isEmptyFilter({ tags })) {
+    const wanted = toList(tags);
+    tests.push((entry) => Array.isArray(entry.tags) && entry.tags.some((tag) => wanted.includes(tag)));
+  }
+  return (entry) => tests.every((test) => test(entry));
+}
+function writeFilterParams(params, criteria, prefix = "") {
+  for (const name of FILTER_CRITERIA) {
+    const param = prefix + URL_PARAMS[name];
+    params.delete(param);
+    const value = criteria?.[name];
+    if (!isEmptyFilter({ [name]: value })) {
+      for (const item of toList(value)) {
+        params.append(param, String(item));
+      }
+    }
+  }
+  return params;
+}
+function readFilterParams(params, prefix = "") {
+  const criteria = {};
+  const query = params.get(`${prefix}${URL_PARAMS.query}`);
+  if (query) {
+    criteria.query = query;
+  }
+  for (const name of NUMERIC_CRITERIA) {
+    const values = params.getAll(prefix + URL_PARAMS[name]).map((value) => /^-?\d+$/.test(value) || !REFERENCE_LISTS[name] ? Number(value) : value).filter((value) => Number.isInteger(value) || typeof value === "string" && value.trim() !== "");
+    if (values.length) {
+      criteria[name] = values;
+    }
+  }
+  const active = params.get(`${prefix}${URL_PARAMS.active}`);
+  if (active === "true" || active === "false") {
+    criteria.active = active === "true";
   }
+  const tags = params.getAll(`${prefix}${URL_PARAMS.tags}`);
+  if (tags.length) {
+    criteria.tags = tags;
+  }
+  return isEmptyFilter(criteria) ? null : criteria;
 }
 
 // src/plugins/plugin-base.js
@@ -554,20 +8066,53 @@ function registerPlugin(name, plugin) {
 function getPlugin(name) {
   return pluginRegistry.get(name) || null;
 }
-function initializePlugins(pluginConfig = {}, context = {}) {
-  const initialized = {};
-  const cleanupFunctions = [];
-  for (const [pluginName, config] of Object.entries(pluginConfig)) {
-    if (!config || config.enabled === false) {
-      continue;
+function enabledDependencies(plugin, pluginConfig) {
+  return (plugin.dependencies || []).map((dependency) => [dependency, dependency in pluginConfig ? pluginConfig[dependency] : {}]).filter(([, config]) => config && config.enabled !== false);
+}
+function resolvePluginOrder(pluginConfig) {
+  const ordered = [];
+  const visited = new Set;
+  const cyclic = new Set;
+  const visit = (name, config, path) => {
+    if (path.includes(name)) {
+      const cycle = path.slice(path.indexOf(name));
+      console.error(`Plugin dependency cycle detected: ${[...cycle, name].join(" -> ")}`);
+      cycle.forEach((member) => {
+        cyclic.add(member);
+      });
+      return;
+    }
+    if (visited.has(name)) {
+      return;
     }
-    const plugin = getPlugin(pluginName);
+    visited.add(name);
+    const plugin = getPlugin(name);
     if (!plugin) {
-      console.warn(`Plugin "${pluginName}" not registered, skipping...`);
+      console.warn(`Plugin "${name}" not registered, skipping...`);
+      return;
+    }
+    for (const [dependency, dependencyConfig] of enabledDependencies(plugin, pluginConfig)) {
+      visit(dependency, dependencyConfig, [...path, name]);
+    }
+    if (!cyclic.has(name)) {
+      ordered.push({ name, plugin, config });
+    }
+  };
+  for (const [pluginName, config] of Object.entries(pluginConfig)) {
+    if (!config || config.enabled === false) {
       continue;
     }
+    visit(pluginName, config, []);
+  }
+  return ordered;
+}
+function initializePlugins(pluginConfig = {}, context = {}) {
+  const initialized = {};
+  const cleanupFunctions = [];
+  const pluginContext = { ...context, plugins: initialized };
+  for (const { name: pluginName, plugin, config } of resolvePluginOrder(pluginConfig)) {
     try {
-      const instance = plugin.init(config, context);
+      const instance = plugin.init(config, pluginContext);
       initialized[pluginName] = instance;
       if (instance && typeof instance.cleanup === "function") {
         cleanupFunctions.push(instance.cleanup);
@@ -579,20 +8124,63 @@ function initializePlugins(pluginConfig = {}, context = {}) {
   return {
     plugins: initialized,
     cleanup: () => {
-      cleanupFunctions.forEach((fn) => {
+      cleanupFunctions.reverse().forEach((fn) => {
+        try {
+          fn();
+        } catch (error) {
+          console.error("Plugin cleanup error:", error);
+        }
+      });
+      cleanupFunctions.length = 0;
+    }
+  };
+}
+function createPluginHost(context = {}) {
+  const changeHandlers = new Set;
+  let active = null;
+  const hostContext = {
+    ...context,
+    onConfigChange: (handler) => {
+      changeHandlers.add(handler);
+      return () => changeHandlers.delete(handler);
+    }
+  };
+  const cleanup = () => {
+    if (active) {
+      active.result.cleanup();
+      active = null;
+    }
+  };
+  return {
+    context: hostContext,
+    sync(pluginConfig) {
+      if (active && active.pluginConfig === pluginConfig) {
+        return active.result.plugins;
+      }
+      cleanup();
+      if (!pluginConfig) {
+        return {};
+      }
+      active = { pluginConfig, result: initializePlugins(pluginConfig, hostContext) };
+      return active.result.plugins;
+    },
+    notifyConfigChange(config) {
+      for (const handler of Array.from(changeHandlers)) {
         try {
-          fn();
+          handler(config);
         } catch (error) {
-          console.error("Plugin cleanup error:", error);
+          console.error("Plugin config change handler error:", error);
         }
-      });
-    }
+      }
+    },
+    cleanup
   };
 }
-function definePlugin({ name, init, defaults = {} }) {
+function definePlugin({ name, init, defaults = {}, dependencies = [] }) {
   return {
     name,
     defaults,
+    dependencies,
     init: (config, context) => {
       const mergedConfig = { ...defaults, ...config };
       return init(mergedConfig, context);
@@ -600,19 +8188,197 @@ function definePlugin({ name, init, defaults = {} }) {
   };
 }
 
+// src/plugins/filter-plugin.js
+var MOVED_OPTIONS = [
+  ["2", "New"],
+  ["1", "Moved in"],
+  ["-1", "Moved out"],
+  ["0", "No change"]
+];
+function createSelect(name, anyLabel, options) {
+  const select = document.createElement("select");
+  select.name = name;
+  select.setAttribute("aria-label", anyLabel);
+  for (const [value, label] of [["", anyLabel], ...options]) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  return select;
+}
+function buildFormControls(form, radarConfig) {
+  form.innerHTML = "";
+  const query = document.createElement("input");
+  query.type = "search";
+  query.name = "query";
+  query.placeholder = "Search entries";
+  query.setAttribute("aria-label", "Search entries");
+  form.appendChild(query);
+  form.appendChild(createSelect("quadrant", "All quadrants", (radarConfig.quadrants || []).map((quadrant, index) => [String(index), quadrant.name])));
+  form.appendChild(createSelect("ring", "All rings", (radarConfig.rings || []).map((ring, index) => [String(index), ring.name])));
+  form.appendChild(createSelect("moved", "Any status", MOVED_OPTIONS));
+  const tags = Array.from(new Set((radarConfig.entries || []).flatMap((entry) => entry.tags || []))).sort();
+  if (tags.length) {
+    form.appendChild(createSelect("tags", "All tags", tags.map((tag) => [tag, tag])));
+  }
+  const activeLabel = document.createElement("label");
+  const active = document.createElement("input");
+  active.type = "checkbox";
+  active.name = "active";
+  activeLabel.append(active, " Active only");
+  form.appendChild(activeLabel);
+  const reset = document.createElement("button");
+  reset.type = "reset";
+  reset.textContent = "Clear";
+  form.appendChild(reset);
+}
+function readForm(form) {
+  const { query, quadrant, ring, moved, tags, active } = form.elements;
+  const criteria = {};
+  if (query.value.trim())
+    criteria.query = query.value;
+  if (quadrant.value !== "")
+    criteria.quadrant = Number(quadrant.value);
+  if (ring.value !== "")
+    criteria.ring = Number(ring.value);
+  if (moved.value !== "")
+    criteria.moved = Number(moved.value);
+  if (tags && tags.value !== "")
+    criteria.tags = [tags.value];
+  if (active.checked)
+    criteria.active = true;
+  return criteria;
+}
+function fillForm(form, criteria, radarConfig) {
+  const single = (value, items) => {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length !== 1 || values[0] === undefined) {
+      return "";
+    }
+    const index = items ? resolveReference(items, values[0]) : -1;
+    return String(index === -1 ? values[0] : index);
+  };
+  const { query, quadrant, ring, moved, tags, active } = form.elements;
+  query.value = criteria?.query || "";
+  quadrant.value = single(criteria?.quadrant, radarConfig.quadrants);
+  ring.value = single(criteria?.ring, radarConfig.rings);
+  moved.value = single(criteria?.moved);
+  if (tags)
+    tags.value = single(criteria?.tags);
+  active.checked = criteria?.active === true;
+}
+function updateUrl(criteria, prefix) {
+  const params = writeFilterParams(new URLSearchParams(window.location.search), criteria, prefix);
+  const search = params.toString();
+  window.history.replaceState(window.history.state, "", `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`);
+}
+var filterPlugin = definePlugin({
+  name: "filter",
+  defaults: {
+    enabled: true,
+    containerId: null,
+    syncUrl: true,
+    paramPrefix: ""
+  },
+  init: (config, context) => {
+    const { enabled, containerId, syncUrl, paramPrefix } = config;
+    const { getCurrentConfig, onConfigChange, onFilterChange } = context;
+    if (!enabled) {
+      return { cleanup: () => {} };
+    }
+    if (!context.filter || !onFilterChange) {
+      console.warn("Filter plugin requires a radar instance");
+      return { cleanup: () => {} };
+    }
+    const radarConfig = getCurrentConfig();
+    let criteria = null;
+    const form = document.createElement("form");
+    form.className = "radar-filter";
+    form.dataset.radarId = radarConfig.svg_id;
+    form.setAttribute("role", "search");
+    buildFormControls(form, radarConfig);
+    const container = containerId ? document.getElementById(containerId) : null;
+    const svg = radarRoot(radarConfig).getElementById(radarConfig.svg_id);
+    const anchor = svg?.closest(".radar-layout") || svg;
+    if (container) {
+      container.appendChild(form);
+    } else if (anchor) {
+      anchor.parentNode.insertBefore(form, anchor);
+    } else {
+      console.warn("Filter container not found");
+    }
+    const handleInput = () => context.filter(readForm(form));
+    const handleSubmit = (event) => event.preventDefault();
+    const handleReset = () => context.filter(null);
+    form.addEventListener("input", handleInput);
+    form.addEventListener("submit", handleSubmit);
+    form.addEventListener("reset", handleReset);
+    const unsubscribeFilter = onFilterChange((event) => {
+      criteria = event.criteria;
+      fillForm(form, criteria, radarConfig);
+      if (syncUrl) {
+        updateUrl(criteria, paramPrefix);
+      }
+    });
+    const unsubscribeConfig = onConfigChange ? onConfigChange((newConfig) => {
+      buildFormControls(form, newConfig);
+      fillForm(form, criteria, newConfig);
+    }) : () => {};
+    const initialCriteria = syncUrl ? readFilterParams(new URLSearchParams(window.location.search), paramPrefix) : null;
+    if (initialCriteria) {
+      context.filter(initialCriteria);
+    }
+    return {
+      getCriteria: () => criteria,
+      setCriteria: (newCriteria) => context.filter(newCriteria),
+      getForm: () => form,
+      cleanup: () => {
+        unsubscribeFilter();
+        unsubscribeConfig();
+        form.removeEventListener("input", handleInput);
+        form.removeEventListener("submit", handleSubmit);
+        form.removeEventListener("reset", handleReset);
+        form.parentNode?.removeChild(form);
+      }
+    };
+  }
+});
 // src/plugins/import-export-plugin.js
+var IMPORT_EXPORT_FORMATS = {
+  json: { extensions: [".json"], mimeTypes: ["application/json"] },
+  csv: { extensions: [".csv"], mimeTypes: ["text/csv", "application/csv"] },
+  yaml: {
+    extensions: [".yaml", ".yml"],
+    mimeTypes: ["application/yaml", "application/x-yaml", "text/yaml", "text/x-yaml"]
+  }
+};
+function detectFormat(file) {
+  const name = (file?.name || "").toLowerCase();
+  const type = (file?.type || "").toLowerCase().split(";")[0].trim();
+  const formats = Object.entries(IMPORT_EXPORT_FORMATS);
+  const byExtension = formats.find(([, format]) => format.extensions.some((extension) => name.endsWith(extension)));
+  const byType = formats.find(([, format]) => format.mimeTypes.includes(type));
+  return (byExtension || byType)?.[0] ?? null;
+}
+function acceptList(formats) {
+  return formats.filter((format) => IMPORT_EXPORT_FORMATS[format]).flatMap((format) => [...IMPORT_EXPORT_FORMATS[format].mimeTypes, ...IMPORT_EXPORT_FORMATS[format].extensions]).join(",");
+}
 var importExportPlugin = definePlugin({
   name: "importExport",
   defaults: {
     enabled: true,
-    formats: ["json"],
+    formats: ["json", "csv", "yaml"],
+    csvColumns: null,
     fileNamePattern: "{slug}-{timestamp}",
-    pretty: true
+    pretty: true,
+    diffOnImport: false
   },
   init: (config, context) => {
-    const { formats: _formats, fileNamePattern, pretty } = config;
+    const { formats = ["json", "csv", "yaml"], csvColumns, fileNamePattern, pretty, diffOnImport } = config;
     const { getCurrentConfig, onConfigChange: _onConfigChange, demoSlug } = context;
     const jsonIO = createJsonIOHelpers();
+    let yamlSource = null;
     const operations = {
       imports: 0,
       exports: 0,
@@ -624,14 +8390,40 @@ var importExportPlugin = definePlugin({
       const slug = demoSlug || "radar-config";
       return fileNamePattern.replace("{slug}", slug).replace("{timestamp}", timestamp).replace("{operation}", operation);
     };
-    const exportJSON = async (options = {}) => {
+    const assertFormat = (format) => {
+      if (!formats.includes(format)) {
+        throw new Error(`Unsupported format "${format}" (enabled: ${formats.join(", ")})`);
+      }
+    };
+    const parse = (text, format) => {
+      assertFormat(format);
+      if (format === "csv") {
+        return { entries: parseEntriesCsv(text, getCurrentConfig?.() || {}, { columns: csvColumns || undefined }) };
+      }
+      if (format === "yaml") {
+        const config = parseYamlConfig(text);
+        yamlSource = text;
+        return config;
+      }
+      return JSON.parse(text);
+    };
+    const exportConfig = async (options = {}) => {
+      const format = options.format || "json";
+      assertFormat(format);
       const configToExport = options.config || getCurrentConfig?.();
       if (!configToExport) {
         throw new Error("No configuration to export");
       }
-      const fileName = options.fileName || `${generateFileName("export")}.json`;
-      const jsonString = pretty ? JSON.stringify(configToExport, null, 2) : JSON.stringify(configToExport);
-      const blob = new Blob([jsonString], { type: "application/json" });
+      const fileName = options.fileName || `${generateFileName("export")}.${format}`;
+      let content;
+      if (format === "csv") {
+        content = stringifyEntriesCsv(configToExport);
+      } else if (format === "yaml") {
+        content = stringifyYamlConfig(configToExport, { source: options.source ?? yamlSource });
+      } else {
+        content = pretty ? JSON.stringify(configToExport, null, 2) : JSON.stringify(configToExport);
+      }
+      const blob = new Blob([content], { type: IMPORT_EXPORT_FORMATS[format].mimeTypes[0] });
       operations.exports++;
       operations.lastExport = {
         timestamp: Date.now(),
@@ -640,16 +8432,19 @@ var importExportPlugin = definePlugin({
       };
       return { fileName, blob };
     };
-    const importJSON = async (source) => {
-      let data;
+    const importConfig = async (source, options = {}) => {
+      let text;
       if (source instanceof File || source instanceof Blob) {
-        const text = await source.text();
-        data = JSON.parse(text);
+        text = await source.text();
       } else if (typeof source === "string") {
-        data = JSON.parse(source);
+        text = source;
       } else {
         throw new Error("Invalid import source");
       }
+      let data = parse(text, options.format || detectFormat(source) || "json");
+      if (diffOnImport) {
+        data = jsonIO.withPreviousEdition(data, getCurrentConfig?.());
+      }
       operations.imports++;
       operations.lastImport = {
         timestamp: Date.now(),
@@ -659,6 +8454,7 @@ var importExportPlugin = definePlugin({
     };
     const setupExport = (button, getConfig, options = {}) => {
       return jsonIO.exportConfig(button, getConfig, {
+        yamlSource: () => yamlSource,
         ...options,
         demoSlug: demoSlug || options.demoSlug
       });
@@ -666,13 +8462,16 @@ var importExportPlugin = definePlugin({
     const setupImport = (input, onImport, options = {}) => {
       return jsonIO.importConfig(input, onImport, {
         ...options,
-        demoSlug: demoSlug || options.demoSlug
+        demoSlug: demoSlug || options.demoSlug,
+        previous: diffOnImport ? getCurrentConfig : options.previous,
+        parse: (text, file) => parse(text, detectFormat(file) || "json")
       });
     };
     return {
       jsonIO,
-      export: exportJSON,
-      import: importJSON,
+      export: exportConfig,
+      import: importConfig,
+      accept: acceptList(formats),
       setupExport,
       setupImport,
       getStats: () => ({ ...operations }),
@@ -837,8 +8636,8 @@ var storagePlugin = definePlugin({
     }
     let unsubscribe = null;
     if (autoSave && onConfigChange) {
-      unsubscribe = onConfigChange((config2) => {
-        storage.save(config2).catch((error) => {
+      unsubscribe = onConfigChange((config) => {
+        storage.save(config).catch((error) => {
           console.error("Auto-save failed:", error);
         });
       });
@@ -846,11 +8645,11 @@ var storagePlugin = definePlugin({
     return {
       storage,
       save: async () => {
-        const config2 = getCurrentConfig ? getCurrentConfig() : null;
-        if (!config2) {
+        const config = getCurrentConfig ? getCurrentConfig() : null;
+        if (!config) {
           throw new Error("No configuration to save");
         }
-        return storage.save(config2);
+        return storage.save(config);
       },
       load: async () => {
         return storage.load();
@@ -887,7 +8686,7 @@ function getDefaultToolbarHTML() {
   return `
     <div class="demo-toolbar" role="region" aria-label="JSON configuration tools">
       <div class="demo-toolbar__controls">
-        <button type="button" class="demo-toolbar__button demo-toolbar__button--icon" id="jsonImportButton" title="Import JSON Configuration" aria-label="Import JSON">
+        <button type="button" class="demo-toolbar__button demo-toolbar__button--icon" id="jsonImportButton" title="Import Configuration" aria-label="Import configuration">
           <i class="fas fa-file-import"></i>
         </button>
         <button type="button" class="demo-toolbar__button demo-toolbar__button--icon" id="jsonExportButton" title="Export JSON Configuration" aria-label="Export JSON">
@@ -901,6 +8700,7 @@ function getDefaultToolbarHTML() {
 }
 var toolbarPlugin = definePlugin({
   name: "toolbar",
+  dependencies: ["importExport"],
   defaults: {
     enabled: true,
     position: "top-right",
@@ -910,7 +8710,8 @@ var toolbarPlugin = definePlugin({
   },
   init: (config, context) => {
     const { enabled, containerId, autoRender, buttons } = config;
-    const { importExportPlugin: importExportPlugin2, getCurrentConfig, onConfigImport, demoSlug } = context;
+    const { getCurrentConfig, onConfigImport, demoSlug } = context;
+    const importExportPlugin = context.importExportPlugin || context.plugins?.importExport;
     if (!enabled) {
       return { cleanup: () => {} };
     }
@@ -952,8 +8753,11 @@ var toolbarPlugin = definePlugin({
       if (!buttons.includes("export")) {
         exportButton.style.display = "none";
       }
-      if (importExportPlugin2) {
-        const { setupImport, setupExport } = importExportPlugin2;
+      if (importExportPlugin) {
+        const { setupImport, setupExport, accept } = importExportPlugin;
+        if (accept) {
+          importInput.accept = accept;
+        }
         const handleImportClick = () => importInput.click();
         importButton.addEventListener("click", handleImportClick);
         const disposeImport = setupImport(importInput, (importedConfig) => {
@@ -1016,11 +8820,301 @@ var toolbarPlugin = definePlugin({
 registerPlugin("storage", storagePlugin);
 registerPlugin("importExport", importExportPlugin);
 registerPlugin("toolbar", toolbarPlugin);
+registerPlugin("filter", filterPlugin);
+
+// src/processing/config-comparison.js
+var { mergeConfigs: mergeConfigs2 } = createJsonIOHelpers();
+function matchEntries(leftEntries, rightEntries) {
+  const byKey = new Map(rightEntries.map((entry) => [entryKey(entry), entry]));
+  const byLabel = new Map(rightEntries.map((entry) => [entry.label, entry]));
+  const matched = new Set;
+  const pairs = [];
+  const onlyLeft = [];
+  for (const left of leftEntries) {
+    const candidate = byKey.get(entryKey(left)) ?? byLabel.get(left.label);
+    if (candidate && !matched.has(candidate)) {
+      matched.add(candidate);
+      pairs.push({ key: entryKey(left), left, right: candidate });
+    } else {
+      onlyLeft.push(left);
+    }
+  }
+  return { pairs, onlyLeft, onlyRight: rightEntries.filter((entry) => !matched.has(entry)) };
+}
+function nameAt(items, reference) {
+  return items?.[resolveReference(items, reference)]?.name ?? reference;
+}
+function compareConfigs(left, right) {
+  const { pairs, onlyLeft, onlyRight } = matchEntries(left.entries || [], right.entries || []);
+  const ringDifferences = pairs.map((pair) => ({
+    key: pair.key,
+    label: pair.left.label,
+    left: pair.left,
+    right: pair.right,
+    leftRing: nameAt(left.rings, pair.left.ring),
+    rightRing: nameAt(right.rings, pair.right.ring)
+  })).filter((difference) => difference.leftRing !== difference.rightRing);
+  const linkConflicts = pairs.filter((pair) => pair.left.link && pair.right.link && pair.left.link !== pair.right.link).map((pair) => ({ key: pair.key, label: pair.left.label, left: pair.left, right: pair.right }));
+  return { matched: pairs, ringDifferences, onlyLeft, onlyRight, linkConflicts };
+}
+function comparisonLabels(left, right, labels = []) {
+  return [labels[0] ?? left.title ?? "Left", labels[1] ?? right.title ?? "Right"];
+}
+function formatComparisonReport(report, labels) {
+  const [leftName, rightName] = labels;
+  const section = (title, lines) => [`## ${title} (${lines.length})`, "", ...lines.length ? lines : ["None"], ""].join(`
+`);
+  return [
+    `# ${leftName} vs. ${rightName}`,
+    "",
+    section("Ring differences", report.ringDifferences.map(({ label, leftRing, rightRing }) => `- ${label}: ${leftRing} (${leftName}) → ${rightRing} (${rightName})`)),
+    section(`Only in ${leftName}`, report.onlyLeft.map((entry) => `- ${entry.label}`)),
+    section(`Only in ${rightName}`, report.onlyRight.map((entry) => `- ${entry.label}`)),
+    section("Link conflicts", report.linkConflicts.map(({ label, left, right }) => `- ${label}: ${left.link} (${leftName}) vs. ${right.link} (${rightName})`))
+  ].join(`
+`);
+}
+function mapByName(targetItems, sourceItems, reference) {
+  const index = resolveReference(sourceItems, reference);
+  const name = sourceItems?.[index]?.name;
+  const mapped = name === undefined || !targetItems ? -1 : targetItems.findIndex((item) => item.name === name);
+  return mapped === -1 ? reference : mapped;
+}
+function createComparisonConfig(left, right, options = {}) {
+  const labels = comparisonLabels(left, right, options.labels);
+  const { pairs } = matchEntries(left.entries || [], right.entries || []);
+  const pairKeys = new Map(pairs.map((pair) => [pair.right, pair.key]));
+  const overlayEntry = (entry, side, comparisonKey) => ({
+    ...entry,
+    key: `${side}:${comparisonKey}`,
+    id: undefined,
+    number: undefined,
+    comparison: side,
+    comparison_key: comparisonKey
+  });
+  const leftEntries = (left.entries || []).map((entry) => overlayEntry(entry, "left", entryKey(entry)));
+  const rightEntries = (right.entries || []).map((entry) => ({
+    ...overlayEntry(entry, "right", pairKeys.get(entry) ?? entryKey(entry)),
+    quadrant: mapByName(left.quadrants, right.quadrants, entry.quadrant),
+    ring: mapByName(left.rings, right.rings, entry.ring)
+  }));
+  return {
+    ...mergeConfigs2(left, {
+      title: `${labels[0]} vs. ${labels[1]}`,
+      entries: [...leftEntries, ...rightEntries]
+    }),
+    footer: `Arrows point from ${labels[0]} to ${labels[1]}`,
+    numbering: left.numbering === "explicit" ? "alphabetical" : left.numbering,
+    comparison: { labels }
+  };
+}
+
+// src/geometry/quadrant-calculator.js
+function generateQuadrants(numQuadrants) {
+  const quadrants = [];
+  const anglePerQuadrant = 2 / numQuadrants;
+  const rotationOffset = numQuadrants === 2 ? -0.5 : 0;
+  for (let i = 0;i < numQuadrants; i++) {
+    const startAngle = -1 + i * anglePerQuadrant + rotationOffset;
+    const endAngle = -1 + (i + 1) * anglePerQuadrant + rotationOffset;
+    const midAngle = -Math.PI + (i + 0.5) * anglePerQuadrant * Math.PI + rotationOffset * Math.PI;
+    quadrants.push({
+      radial_min: startAngle,
+      radial_max: endAngle,
+      factor_x: Math.cos(midAngle),
+      factor_y: Math.sin(midAngle)
+    });
+  }
+  return quadrants;
+}
+function computeQuadrantBounds(startAngle, endAngle, radius) {
+  const twoPi = 2 * Math.PI;
+  const normalizedStart = startAngle;
+  let normalizedEnd = endAngle;
+  while (normalizedEnd <= normalizedStart) {
+    normalizedEnd += twoPi;
+  }
+  const axisAngles = [
+    -Math.PI,
+    -Math.PI / 2,
+    0,
+    Math.PI / 2,
+    Math.PI,
+    3 * Math.PI / 2,
+    2 * Math.PI
+  ];
+  const candidates = [normalizedStart, normalizedEnd];
+  axisAngles.forEach((axisAngle) => {
+    let candidate = axisAngle;
+    while (candidate < normalizedStart) {
+      candidate += twoPi;
+    }
+    if (candidate <= normalizedEnd) {
+      candidates.push(candidate);
+    }
+  });
+  let min_x = Infinity;
+  let max_x = -Infinity;
+  let min_y = Infinity;
+  let max_y = -Infinity;
+  candidates.forEach((angle) => {
+    const cosA = Math.cos(angle);
+    const sinA = Math.sin(angle);
+    min_x = Math.min(min_x, cosA);
+    max_x = Math.max(max_x, cosA);
+    min_y = Math.min(min_y, sinA);
+    max_y = Math.max(max_y, sinA);
+  });
+  const padding = 20;
+  return {
+    min: {
+      x: min_x * radius - padding,
+      y: min_y * radius - padding
+    },
+    max: {
+      x: max_x * radius + padding,
+      y: max_y * radius + padding
+    }
+  };
+}
+function generateQuadrantOrder(numQuadrants) {
+  if (numQuadrants === 4) {
+    return [2, 3, 1, 0];
+  }
+  const quadrantOrder = [];
+  const startIndex = Math.floor(numQuadrants / 2);
+  for (let i = 0;i < numQuadrants; i++) {
+    quadrantOrder.push((startIndex + i) % numQuadrants);
+  }
+  return quadrantOrder;
+}
+
+// src/math/coordinates.js
+function polar(cartesian) {
+  const { x, y } = cartesian;
+  return {
+    t: Math.atan2(y, x),
+    r: Math.sqrt(x * x + y * y)
+  };
+}
+function cartesian(polar) {
+  const { r, t } = polar;
+  return {
+    x: r * Math.cos(t),
+    y: r * Math.sin(t)
+  };
+}
+function boundedInterval(value, min, max) {
+  const low = Math.min(min, max);
+  const high = Math.max(min, max);
+  return Math.min(Math.max(value, low), high);
+}
+function boundedBox(point, min, max) {
+  return {
+    x: boundedInterval(point.x, min.x, max.x),
+    y: boundedInterval(point.y, min.y, max.y)
+  };
+}
+
+// src/geometry/segment-calculator.js
+function createSegment(quadrantIndex, ringIndex, quadrants, rings, config, randomBetween) {
+  const min_angle = quadrants[quadrantIndex].radial_min * Math.PI;
+  const max_angle = quadrants[quadrantIndex].radial_max * Math.PI;
+  const base_inner_radius = ringIndex === 0 ? 30 : rings[ringIndex - 1].radius;
+  const base_outer_radius = rings[ringIndex].radius;
+  let inner_radius = base_inner_radius + config.segment_radial_padding;
+  let outer_radius = base_outer_radius - config.segment_radial_padding;
+  if (outer_radius <= inner_radius) {
+    const midpoint = (base_inner_radius + base_outer_radius) / 2;
+    inner_radius = Math.max(0, midpoint - 1);
+    outer_radius = midpoint + 1;
+  }
+  const ring_center = (inner_radius + outer_radius) / 2;
+  let angular_padding = config.segment_angular_padding / Math.max(ring_center, 1);
+  const angular_limit = Math.max(0, (max_angle - min_angle) / 2 - 0.01);
+  angular_padding = Math.min(angular_padding, angular_limit);
+  let angle_min = min_angle + angular_padding;
+  let angle_max = max_angle - angular_padding;
+  if (angle_max <= angle_min) {
+    angle_min = min_angle;
+    angle_max = max_angle;
+  }
+  const segment_bounds = computeQuadrantBounds(angle_min, angle_max, outer_radius);
+  const cartesian_min = segment_bounds.min;
+  const cartesian_max = segment_bounds.max;
+  function clampPoint(point) {
+    const c = boundedBox(point, cartesian_min, cartesian_max);
+    const p = polar(c);
+    p.r = boundedInterval(p.r, inner_radius, outer_radius);
+    p.t = boundedInterval(p.t, angle_min, angle_max);
+    return cartesian(p);
+  }
+  function clampAndAssign(d) {
+    const clipped = clampPoint({ x: d.x, y: d.y });
+    d.x = clipped.x;
+    d.y = clipped.y;
+    return clipped;
+  }
+  return {
+    clipx: (d) => {
+      const clipped = clampAndAssign(d);
+      return clipped.x;
+    },
+    clipy: (d) => {
+      const clipped = clampAndAssign(d);
+      return clipped.y;
+    },
+    clip: (d) => {
+      const clipped = clampPoint({ x: d.x, y: d.y });
+      d.x = clipped.x;
+      d.y = clipped.y;
+      return clipped;
+    },
+    random: () => cartesian({
+      t: randomBetween(angle_min, angle_max),
+      r: randomBetween(inner_radius, outer_radius)
+    })
+  };
+}
+
+// src/math/random.js
+class SeededRandom {
+  constructor(seed = 42) {
+    this.seed = seed;
+    this.initialSeed = seed;
+  }
+  next() {
+    const x = Math.sin(this.seed++) * 1e4;
+    return x - Math.floor(x);
+  }
+  between(min, max) {
+    return min + this.next() * (max - min);
+  }
+  normalBetween(min, max) {
+    return min + (this.next() + this.next()) * 0.5 * (max - min);
+  }
+  reset(seed) {
+    this.seed = seed !== undefined ? seed : this.initialSeed;
+  }
+}
+function hashString(value) {
+  let hash = 2166136261;
+  const text = String(value);
+  for (let i = 0;i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+function deriveSeed(baseSeed, key) {
+  return (hashString(key) ^ Math.imul(baseSeed, 2654435761)) >>> 0;
+}
 
 // src/processing/entry-processor.js
 class EntryProcessor {
   constructor(config, quadrants, rings, randomNext, randomBetween) {
     this.config = config;
+    this.seed = config.seed ?? 42;
     this.quadrants = quadrants;
     this.rings = rings;
     this.randomNext = randomNext;
@@ -1028,11 +9122,24 @@ class EntryProcessor {
     this.numQuadrants = quadrants.length;
     this.numRings = rings.length;
   }
-  processEntries(entries) {
+  entryRandom(entry) {
+    if (!entry.label) {
+      return { next: this.randomNext, between: this.randomBetween };
+    }
+    const rng = new SeededRandom(deriveSeed(this.seed, entry.label));
+    return {
+      next: () => rng.next(),
+      between: (min, max) => rng.between(min, max)
+    };
+  }
+  static segmentKey(quadrant, ring) {
+    return `${quadrant}:${ring}`;
+  }
+  processEntries(entries, options = {}) {
     const segmented = this.segmentEntries(entries);
     this.assignSegmentsAndColors(entries);
-    this.positionEntries(segmented);
-    this.assignIds(segmented);
+    this.positionEntries(segmented, options.affectedSegments);
+    this.assignNumbers(segmented, entries);
     this.calculateCollisionRadii(segmented);
     return entries;
   }
@@ -1051,16 +9158,21 @@ class EntryProcessor {
     return segmented;
   }
   assignSegmentsAndColors(entries) {
+    const theme = resolveTheme(this.config);
     for (let i = 0;i < entries.length; i++) {
       const entry = entries[i];
-      entry.segment = createSegment(entry.quadrant, entry.ring, this.quadrants, this.rings, this.config, this.randomBetween);
-      entry.color = entry.active || this.config.print_layout ? this.config.rings[entry.ring].color : this.config.colors.inactive;
+      entry.segment = createSegment(entry.quadrant, entry.ring, this.quadrants, this.rings, this.config, this.entryRandom(entry).between);
+      entry.color = entryColor(theme, this.config, entry);
     }
   }
-  positionEntries(segmented) {
+  positionEntries(segmented, affectedSegments = null) {
     for (let quadrant = 0;quadrant < this.numQuadrants; quadrant++) {
       for (let ring = 0;ring < this.numRings; ring++) {
-        this.gridPosition(segmented[quadrant][ring], quadrant, ring);
+        const entries = segmented[quadrant][ring];
+        const keepPositions = affectedSegments && !affectedSegments.has(EntryProcessor.segmentKey(quadrant, ring)) && entries.every((entry) => Number.isFinite(entry.x) && Number.isFinite(entry.y));
+        if (!keepPositions) {
+          this.gridPosition(entries, quadrant, ring);
+        }
       }
     }
   }
@@ -1086,53 +9198,18 @@ class EntryProcessor {
     const angle_max = max_angle - angular_padding;
     const angle_range = angle_max - angle_min;
     const radius_range = outer_radius - inner_radius;
-    const count = entries.length;
     const effective_radius = ring === 0 ? inner_radius : ring_center;
     const segment_arc_length = angle_range * effective_radius;
     const segment_radial_depth = radius_range;
     const item_size = this.config.blip_collision_radius || 14;
-    const max_angular_items = Math.max(3, Math.floor(segment_arc_length / (item_size * 0.7)));
-    const max_radial_items = Math.max(3, Math.floor(segment_radial_depth / (item_size * 0.7)));
-    let angular_divisions, radial_divisions;
-    const base = Math.ceil(Math.sqrt(count));
-    const aspect_ratio = segment_arc_length / Math.max(segment_radial_depth, 1);
-    if (count === 1) {
-      angular_divisions = 1;
-      radial_divisions = 1;
-    } else if (count <= 4) {
-      angular_divisions = Math.min(count, max_angular_items);
-      radial_divisions = Math.ceil(count / angular_divisions);
-    } else {
-      if (aspect_ratio > 2) {
-        angular_divisions = Math.min(max_angular_items, Math.ceil(base * 1.5));
-        radial_divisions = Math.ceil(count / angular_divisions);
-      } else if (aspect_ratio > 1) {
-        angular_divisions = Math.min(max_angular_items, Math.ceil(base * 1.2));
-        radial_divisions = Math.ceil(count / angular_divisions);
-      } else if (aspect_ratio < 0.5) {
-        const radial_bias = ring === 0 ? 0.85 : 0.7;
-        angular_divisions = Math.min(max_angular_items, Math.max(3, Math.floor(base * radial_bias)));
-        radial_divisions = Math.ceil(count / angular_divisions);
-      } else {
-        angular_divisions = Math.min(max_angular_items, Math.max(3, base));
-        radial_divisions = Math.ceil(count / angular_divisions);
-      }
-      angular_divisions = Math.max(2, Math.min(angular_divisions, max_angular_items));
-      radial_divisions = Math.max(2, Math.min(radial_divisions, max_radial_items));
-    }
-    for (let i = 0;i < entries.length; i++) {
-      const entry = entries[i];
-      let angular_index = i % angular_divisions;
-      let radial_index = Math.floor(i / angular_divisions);
-      const is_overcrowded = radial_index >= radial_divisions;
-      if (is_overcrowded) {
-        const total_cells = angular_divisions * radial_divisions;
-        const cell_index = i % total_cells;
-        angular_index = cell_index % angular_divisions;
-        radial_index = Math.floor(cell_index / angular_divisions);
-      }
-      const angular_fraction = (angular_index + 0.15 + this.randomNext() * 0.7) / angular_divisions;
-      const radial_fraction = (radial_index + 0.15 + this.randomNext() * 0.7) / radial_divisions;
+    const angular_divisions = Math.max(1, Math.floor(segment_arc_length / item_size));
+    const radial_divisions = Math.max(1, Math.floor(segment_radial_depth / item_size));
+    for (const entry of entries) {
+      const random = this.entryRandom(entry);
+      const angular_index = Math.min(Math.floor(random.next() * angular_divisions), angular_divisions - 1);
+      const radial_index = Math.min(Math.floor(random.next() * radial_divisions), radial_divisions - 1);
+      const angular_fraction = (angular_index + 0.15 + random.next() * 0.7) / angular_divisions;
+      const radial_fraction = (radial_index + 0.15 + random.next() * 0.7) / radial_divisions;
       const angle = angle_min + angular_fraction * angle_range;
       const radius = inner_radius + radial_fraction * radius_range;
       const point = cartesian({ t: angle, r: radius });
@@ -1140,18 +9217,32 @@ class EntryProcessor {
       entry.y = point.y;
     }
   }
-  assignIds(segmented) {
-    let id = 1;
-    const quadrant_order = generateQuadrantOrder(this.numQuadrants);
-    for (const quadrant of quadrant_order) {
-      for (let ring = 0;ring < this.numRings; ring++) {
-        const entries = segmented[quadrant][ring];
-        entries.sort((a, b) => a.label.localeCompare(b.label));
-        for (let i = 0;i < entries.length; i++) {
-          entries[i].id = `${id++}`;
+  assignNumbers(segmented, entries) {
+    const numbering = this.config.numbering || "alphabetical";
+    if (numbering === "insertion") {
+      entries.forEach((entry, index) => {
+        entry.number = `${index + 1}`;
+      });
+    } else if (numbering === "alphabetical") {
+      let number = 1;
+      for (const quadrant of generateQuadrantOrder(this.numQuadrants)) {
+        for (let ring = 0;ring < this.numRings; ring++) {
+          const segmentEntries = segmented[quadrant][ring];
+          segmentEntries.sort((a, b) => a.label.localeCompare(b.label));
+          for (let i = 0;i < segmentEntries.length; i++) {
+            segmentEntries[i].number = `${number++}`;
+          }
         }
       }
     }
+    this.sortByNumber(segmented);
+  }
+  sortByNumber(segmented) {
+    for (const quadrantSegments of segmented) {
+      for (const segmentEntries of quadrantSegments) {
+        segmentEntries.sort((a, b) => Number(a.number) - Number(b.number));
+      }
+    }
   }
   calculateCollisionRadii(segmented) {
     for (let quadrant = 0;quadrant < this.numQuadrants; quadrant++) {
@@ -1192,16 +9283,265 @@ class EntryProcessor {
   }
 }
 
+// src/processing/entry-operations.js
+function indexOfEntry(entries, key) {
+  const index = entries.findIndex((entry) => entryKey(entry) === key);
+  if (index === -1) {
+    throw new Error(`Unknown entry: "${key}"`);
+  }
+  return index;
+}
+function assertUniqueKey(entries, entry, ignoreIndex = -1) {
+  const key = entryKey(entry);
+  if (entries.some((other, index) => index !== ignoreIndex && entryKey(other) === key)) {
+    throw new Error(`Duplicate entry key: "${key}"`);
+  }
+}
+function segmentsOf(config, entries) {
+  return Array.from(new Set(entries.map((entry) => EntryProcessor.segmentKey(resolveReference(config.quadrants, entry.quadrant), resolveReference(config.rings, entry.ring)))));
+}
+function addEntry(entries, entry, config = {}) {
+  if (!entry || typeof entry !== "object") {
+    throw new Error("Entry must be an object");
+  }
+  const added = { ...entry };
+  assertUniqueKey(entries, added);
+  return { entries: [...entries, added], affectedSegments: segmentsOf(config, [added]) };
+}
+function updateEntry(entries, key, patch, config = {}) {
+  const index = indexOfEntry(entries, key);
+  const previous = entries[index];
+  const updated = { ...previous, ...patch };
+  assertUniqueKey(entries, updated, index);
+  const next = entries.slice();
+  next[index] = updated;
+  return { entries: next, affectedSegments: segmentsOf(config, [previous, updated]) };
+}
+function removeEntry(entries, key, config = {}) {
+  const index = indexOfEntry(entries, key);
+  return {
+    entries: entries.filter((_entry, i) => i !== index),
+    affectedSegments: segmentsOf(config, [entries[index]])
+  };
+}
+function moveEntry(entries, key, { ring, quadrant } = {}, config = {}) {
+  const patch = {};
+  if (ring !== undefined)
+    patch.ring = ring;
+  if (quadrant !== undefined)
+    patch.quadrant = quadrant;
+  return updateEntry(entries, key, patch, config);
+}
+
+// src/config/config-defaults.js
+function applyConfigDefaults(config, viewport = readViewport()) {
+  config.svg_id = config.svg || config.svg_id || "radar";
+  config.width = config.width || 1450;
+  config.height = config.height || 1000;
+  config.color_scheme = config.color_scheme || "light";
+  config.print_layout = "print_layout" in config ? config.print_layout : true;
+  config.links_in_new_tabs = "links_in_new_tabs" in config ? config.links_in_new_tabs : true;
+  config.repo_url = config.repo_url || "#";
+  config.print_ring_descriptions_table = "print_ring_descriptions_table" in config ? config.print_ring_descriptions_table : false;
+  config.legend_column_width = config.legend_column_width || 140;
+  config.legend_line_height = config.legend_line_height || 10;
+  config.segment_radial_padding = "segment_radial_padding" in config ? config.segment_radial_padding : 16;
+  config.segment_angular_padding = "segment_angular_padding" in config ? config.segment_angular_padding : 12;
+  config.chart_padding = "chart_padding" in config ? config.chart_padding : 60;
+  config.blip_collision_radius = "blip_collision_radius" in config ? config.blip_collision_radius : 14;
+  config.legend_vertical_spacing = config.legend_vertical_spacing || 20;
+  config.radar_horizontal_offset = "radar_horizontal_offset" in config ? config.radar_horizontal_offset : Math.round(config.legend_column_width * 0.25);
+  config.debug_geometry = "debug_geometry" in config ? config.debug_geometry : false;
+  config.seed = "seed" in config ? config.seed : 42;
+  config.transition_duration = "transition_duration" in config ? config.transition_duration : 750;
+  config.detail_panel = "detail_panel" in config ? config.detail_panel : false;
+  config.filter_mode = config.filter_mode || "dim";
+  config.error_mode = config.error_mode || "throw";
+  config.timeline = "timeline" in config ? config.timeline : true;
+  if (viewport && viewport.width < 1024 && !config.scale) {
+    const scale_factor = Math.min(viewport.width / 1450, viewport.height / 1000);
+    config.scale = Math.max(0.5, Math.min(1, scale_factor));
+  }
+  const grid_quadrants = config.quadrants.length;
+  const grid_rings = config.rings.length;
+  if (grid_quadrants >= 5 || grid_rings >= 6) {
+    const complexity_multiplier = 1 + (grid_quadrants - 4) * 0.05 + (grid_rings - 4) * 0.03;
+    if (!config.width_override) {
+      config.width = Math.round(config.width * Math.min(complexity_multiplier, 1.3));
+    }
+    if (!config.height_override) {
+      config.height = Math.round(config.height * Math.min(complexity_multiplier, 1.3));
+    }
+    if (grid_quadrants >= 7 || grid_rings >= 7) {
+      config.blip_collision_radius = Math.max(10, config.blip_collision_radius * 0.9);
+    }
+  }
+}
+function readViewport() {
+  if (typeof window === "undefined" || typeof document === "undefined") {
+    return null;
+  }
+  return {
+    width: window.innerWidth || document.documentElement.clientWidth,
+    height: window.innerHeight || document.documentElement.clientHeight
+  };
+}
+function calculateDimensions(config) {
+  const title_height = config.print_layout && config.title ? 60 : 0;
+  const footer_height = config.print_layout ? 40 : 0;
+  const minimum_chart_height = 2 * config.chart_padding + 40;
+  const available_height = Math.max(minimum_chart_height, config.height - title_height - footer_height);
+  const available_width = Math.max(2 * config.chart_padding + 40, config.width);
+  const raw_outer_radius = Math.min(available_width, available_height) / 2 - config.chart_padding;
+  const target_outer_radius = Math.max(10, raw_outer_radius);
+  return {
+    title_height,
+    footer_height,
+    available_height,
+    available_width,
+    target_outer_radius
+  };
+}
+function configureOffsets(config, outerRadius, numQuadrants) {
+  if (!config.title_offset) {
+    config.title_offset = {
+      x: -outerRadius,
+      y: -outerRadius - 40
+    };
+  }
+  if (!config.footer_offset) {
+    config.footer_offset = {
+      x: -outerRadius,
+      y: outerRadius + 60
+    };
+  }
+  config.legend_offset = computeLegendOffsets(numQuadrants, outerRadius, config);
+}
+
+// src/processing/edition-diff.js
+function currentRingIndex(reference, previousRings, rings) {
+  const index = resolveReference(previousRings ?? rings, reference);
+  const name = previousRings?.[index]?.name;
+  const byName = name === undefined || !rings ? -1 : rings.findIndex((ring) => ring.name === name);
+  return byName === -1 ? index : byName;
+}
+function ringMovement(ring, previousRing) {
+  return Math.sign(previousRing - ring);
+}
+function diffEditions(previous, current) {
+  const previousEntries = previous?.entries || [];
+  const byKey = new Map(previousEntries.map((entry) => [entryKey(entry), entry]));
+  const byLabel = new Map(previousEntries.map((entry) => [entry.label, entry]));
+  const matched = new Set;
+  const findPrevious = (entry) => {
+    const candidate = byKey.get(entryKey(entry)) ?? byLabel.get(entry.label);
+    return candidate && !matched.has(candidate) ? candidate : null;
+  };
+  const changes = (current.entries || []).map((entry) => {
+    const before = findPrevious(entry);
+    if (!before) {
+      return { entry, previous: null, moved: 2 };
+    }
+    matched.add(before);
+    const previousRing = currentRingIndex(before.ring, previous.rings, current.rings);
+    return { entry, previous: before, moved: ringMovement(entry.ring, previousRing) };
+  });
+  const archived = previousEntries.filter((entry) => !matched.has(entry)).map((entry) => ({ ...entry }));
+  return { changes, archived };
+}
+function applyEditionDiff(config) {
+  if (!config.previous) {
+    config.archived = undefined;
+    return config;
+  }
+  const { changes, archived } = diffEditions(config.previous, config);
+  for (const { entry, moved } of changes) {
+    entry.moved = moved;
+  }
+  config.archived = archived;
+  return config;
+}
+
+// src/processing/radar-layout.js
+var DEFAULT_FOOTER = "▲ moved up     ▼ moved down     ★ new     ⬤ no change";
+function prepareRadarLayout(config, options = {}) {
+  applyConfigDefaults(config, options.viewport);
+  const dimensions = calculateDimensions(config);
+  applyEditionHistory(config);
+  normalizeEntryReferences(config);
+  validateConfig(config);
+  applyEditionDiff(config);
+  const rng = new SeededRandom(config.seed);
+  const random = () => rng.next();
+  const random_between = (min, max) => rng.between(min, max);
+  const quadrants = generateQuadrants(config.quadrants.length);
+  const rings = generateRings(config.rings.length, dimensions.target_outer_radius);
+  const outerRadius = rings[rings.length - 1].radius;
+  configureOffsets(config, outerRadius, quadrants.length);
+  const entryProcessor = new EntryProcessor(config, quadrants, rings, random, random_between);
+  entryProcessor.processEntries(config.entries, { affectedSegments: options.affectedSegments });
+  const segmented = entryProcessor.segmentEntries(config.entries);
+  entryProcessor.sortByNumber(segmented);
+  if (!config.footer) {
+    config.footer = DEFAULT_FOOTER;
+  }
+  return {
+    dimensions,
+    quadrants,
+    rings,
+    outerRadius,
+    segmented
+  };
+}
+
+// src/processing/radar-stats.js
+var MOVED_NAMES = {
+  "-1": "out",
+  0: "unchanged",
+  1: "in",
+  2: "new"
+};
+function computeRadarStats(config) {
+  const quadrants = config.quadrants || [];
+  const rings = config.rings || [];
+  const entries = config.entries || [];
+  const segments = quadrants.map(() => rings.map(() => 0));
+  const moved = { new: 0, in: 0, out: 0, unchanged: 0 };
+  const unplaced = [];
+  for (const entry of entries) {
+    const quadrant = resolveReference(quadrants, entry.quadrant);
+    const ring = resolveReference(rings, entry.ring);
+    if (segments[quadrant]?.[ring] === undefined) {
+      unplaced.push(entry);
+    } else {
+      segments[quadrant][ring]++;
+    }
+    moved[MOVED_NAMES[entry.moved ?? 0] ?? "unchanged"]++;
+  }
+  const sum = (counts) => counts.reduce((total, count) => total + count, 0);
+  return {
+    total: entries.length,
+    inactive: entries.filter((entry) => entry.active === false).length,
+    quadrants: quadrants.map((quadrant, index) => ({ name: quadrant.name, count: sum(segments[index]) })),
+    rings: rings.map((ring, index) => ({ name: ring.name, count: sum(segments.map((counts) => counts[index])) })),
+    segments,
+    moved,
+    unplaced
+  };
+}
+
 // src/rendering/blip-renderer.js
 function renderBlips(rinkSelection, entries, config, showBubble, hideBubble, highlightLegendItem, unhighlightLegendItem) {
-  const d3 = window.d3;
-  const blips = rinkSelection.selectAll(".blip").data(entries).enter().append("g").attr("class", "blip").attr("transform", (d) => translate(d.x, d.y)).on("mouseover", (_event, d) => {
+  const d3 = getD3();
+  const blips = rinkSelection.selectAll(".blip").data(entries).enter().append("g").attr("class", "blip").attr("transform", (d) => translate(d.x, d.y)).attr("role", (d) => d.active && d.link ? "link" : "button").attr("aria-label", (d) => entryDescription(d, config)).on("mouseover", (_event, d) => {
     showBubble(d, config);
-    highlightLegendItem(d);
+    highlightLegendItem(d, config);
   }).on("mouseout", (_event, d) => {
-    hideBubble();
-    unhighlightLegendItem(d);
+    hideBubble(config);
+    unhighlightLegendItem(d, config);
   });
+  const theme = resolveTheme(config);
+  const textColor = themeVar(theme, "blip_text");
   blips.each(function(d) {
     const blip = d3.select(this);
     let blipContainer = blip;
@@ -1211,43 +9551,182 @@ function renderBlips(rinkSelection, entries, config, showBubble, hideBubble, hig
         blipContainer.attr("target", "_blank");
       }
     }
-    renderBlipShape(blipContainer, d);
-    renderBlipText(blipContainer, d, config);
+    renderBlipShape(blipContainer, d, entryColorVar(theme, config, d));
+    renderBlipText(blipContainer, d, config, textColor);
   });
   return blips;
 }
-function renderBlipShape(container, entry) {
-  const d3 = window.d3;
+function renderBlipShape(container, entry, fill) {
+  const d3 = getD3();
   if (entry.moved === 1) {
-    container.append("path").attr("d", "M -11,5 11,5 0,-13 z").style("fill", entry.color);
+    container.append("path").attr("d", "M -11,5 11,5 0,-13 z").style("fill", fill);
   } else if (entry.moved === -1) {
-    container.append("path").attr("d", "M -11,-5 11,-5 0,13 z").style("fill", entry.color);
+    container.append("path").attr("d", "M -11,-5 11,-5 0,13 z").style("fill", fill);
   } else if (entry.moved === 2) {
-    container.append("path").attr("d", d3.symbol().type(d3.symbolStar).size(200)).style("fill", entry.color);
+    container.append("path").attr("d", d3.symbol().type(d3.symbolStar).size(200)).style("fill", fill);
   } else {
-    container.append("circle").attr("r", 9).attr("fill", entry.color);
+    container.append("circle").attr("r", 9).style("fill", fill);
   }
 }
-function renderBlipText(container, entry, config) {
+function renderBlipText(container, entry, config, textColor) {
   if (entry.active || config.print_layout) {
-    const blipText = config.print_layout ? entry.id : entry.label.match(/[a-z]/i);
-    container.append("text").text(blipText).attr("y", 3).attr("text-anchor", "middle").style("fill", "#fff").style("font-family", config.font_family).style("font-size", (_d) => blipText.length > 2 ? "8px" : "9px").style("pointer-events", "none").style("user-select", "none");
+    const blipText = config.print_layout ? String(entry.number) : entry.label.match(/[a-z]/i);
+    container.append("text").text(blipText).attr("y", 3).attr("text-anchor", "middle").style("fill", textColor).style("font-family", config.font_family).style("font-size", (_d) => blipText.length > 2 ? "8px" : "9px").style("pointer-events", "none").style("user-select", "none");
+  }
+}
+
+// src/rendering/svg-setup.js
+function setupSvg(config, quadrants, rings, dimensions) {
+  const d3 = getD3();
+  config.scale = config.scale || 1;
+  const scaled_width = config.width * config.scale;
+  const scaled_height = config.height * config.scale;
+  const svg = d3.select(radarRoot(config).getElementById(config.svg_id)).style("background-color", themeVar(resolveTheme(config), "background")).attr("width", scaled_width).attr("height", scaled_height);
+  renderThemeProperties(svg, config);
+  const layoutWrapper = ensureLayoutStructure(svg);
+  const legendLeftColumn = layoutWrapper.select(".radar-legend-column.left");
+  const legendRightColumn = layoutWrapper.select(".radar-legend-column.right");
+  const layoutWidth = layoutWrapper.node().getBoundingClientRect().width || config.width;
+  const legendSectionColumns = sizeLegendColumns(legendLeftColumn, legendRightColumn, config, layoutWidth);
+  const radar = createRadarGroup(svg, config, quadrants, rings, dimensions);
+  config.font_family = config.font_family || "Arial, Helvetica";
+  const grid = radar.append("g");
+  return {
+    svg,
+    radar,
+    legendLeftColumn,
+    legendRightColumn,
+    grid,
+    legendSectionColumns
+  };
+}
+function sizeLegendColumns(legendLeftColumn, legendRightColumn, config, layoutWidth) {
+  const minLegendColumnWidth = config.legend_column_width * 2 + 60;
+  const maxLegendColumnWidth = config.legend_column_width * 4 + 80;
+  const targetLegendColumnWidth = Math.min(maxLegendColumnWidth, Math.max(minLegendColumnWidth, layoutWidth * 0.3));
+  const legendSectionColumns = Math.min(4, Math.max(2, Math.floor(targetLegendColumnWidth / (config.legend_column_width + 20))));
+  legendLeftColumn.style("gap", `${config.legend_vertical_spacing}px`).style("width", `${targetLegendColumnWidth}px`);
+  legendRightColumn.style("gap", `${config.legend_vertical_spacing}px`).style("width", `${targetLegendColumnWidth}px`);
+  return legendSectionColumns;
+}
+function renderThemeProperties(svg, config) {
+  return svg.append("style").attr("class", "radar-theme").text(themeStyleText(config));
+}
+function themeStyleText(config) {
+  const declarations = themeProperties(resolveTheme(config), config.rings).map(([name, value]) => `${name}: ${value};`).join(" ");
+  const id = config.svg_id.replace(/["\\]/g, "\\$&");
+  return `:where(svg[id="${id}"], [data-radar-id="${id}"]) { ${declarations} }`;
+}
+function createRadarGroup(svg, config, quadrants, rings, dimensions) {
+  const radar = svg.append("g");
+  if ("zoomed_quadrant" in config) {
+    svg.attr("viewBox", viewbox(config.zoomed_quadrant, quadrants, rings));
+  } else {
+    const scaled_width = config.width * config.scale;
+    const scaled_height = config.height * config.scale;
+    const radar_center_y = scaled_height / 2 + (dimensions.title_height - dimensions.footer_height) / 2;
+    const radar_center_x = scaled_width / 2 + config.radar_horizontal_offset;
+    radar.attr("transform", translate(radar_center_x, radar_center_y).concat(`scale(${config.scale})`));
+  }
+  return radar;
+}
+
+// src/rendering/color-scheme.js
+function applyColorScheme(config) {
+  const d3 = getD3();
+  const svg = radarRoot(config).getElementById(config.svg_id);
+  if (!svg) {
+    return;
+  }
+  const theme = resolveTheme(config);
+  d3.select(svg).select("style.radar-theme").text(themeStyleText(config));
+  d3.select(radarRoot(config).getElementById(scopedId(config, "rink"))).selectAll(".blip").each(function(d) {
+    d.color = entryColor(theme, config, d);
+    d3.select(this).selectAll("path, circle").style("fill", entryColorVar(theme, config, d));
+  });
+  const layout = svg.closest(".radar-layout");
+  if (layout) {
+    d3.select(layout).selectAll(".legend-ring-name[data-ring]").style("color", function() {
+      return ringColorVar(theme, config.rings, Number(this.dataset.ring));
+    });
+  }
+}
+function watchColorScheme(config) {
+  const query = config.color_scheme === "auto" ? globalThis.matchMedia?.(DARK_SCHEME_QUERY) : null;
+  if (!query?.addEventListener) {
+    return () => {};
+  }
+  const onChange = () => applyColorScheme(config);
+  query.addEventListener("change", onChange);
+  return () => query.removeEventListener("change", onChange);
+}
+
+// src/rendering/comparison-renderer.js
+var EVENT_NAMESPACE2 = "radar-comparison";
+var BLIP_CLEARANCE = 9;
+function comparisonPairs(segmented) {
+  const pairs = new Map;
+  for (const entry of segmented.flat(2)) {
+    if (entry.comparison) {
+      const pair = pairs.get(entry.comparison_key) || {};
+      pair[entry.comparison] = entry;
+      pairs.set(entry.comparison_key, pair);
+    }
+  }
+  return Array.from(pairs.values()).filter((pair) => pair.left && pair.right);
+}
+function arrowEnds(pair) {
+  const x1 = pair.left.rendered_x ?? pair.left.x;
+  const y1 = pair.left.rendered_y ?? pair.left.y;
+  const x2 = pair.right.rendered_x ?? pair.right.x;
+  const y2 = pair.right.rendered_y ?? pair.right.y;
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  if (length <= 2 * BLIP_CLEARANCE) {
+    return null;
   }
+  const dx = (x2 - x1) / length * BLIP_CLEARANCE;
+  const dy = (y2 - y1) / length * BLIP_CLEARANCE;
+  return { x1: x1 + dx, y1: y1 + dy, x2: x2 - dx, y2: y2 - dy };
+}
+function markComparisonSides(selection) {
+  return selection.classed("comparison-left", (d) => d?.comparison === "left").classed("comparison-right", (d) => d?.comparison === "right");
+}
+function renderComparison(rink, segmented, config, simulation) {
+  markComparisonSides(rink.selectAll(".blip"));
+  const arrowColor = themeVar(resolveTheme(config), "muted_text");
+  const markerId = scopedId(config, "comparisonArrow");
+  rink.append("defs").append("marker").attr("id", markerId).attr("viewBox", "0 0 10 10").attr("refX", 9).attr("refY", 5).attr("markerWidth", 6).attr("markerHeight", 6).attr("orient", "auto").append("path").attr("d", "M 0,0 10,5 0,10 z").style("fill", arrowColor);
+  const arrows = rink.insert("g", function() {
+    return this.firstChild;
+  }).attr("class", "comparison-arrows").selectAll("line").data(comparisonPairs(segmented)).enter().append("line").attr("class", "comparison-arrow").attr("marker-end", `url(#${markerId})`).style("stroke", arrowColor).style("stroke-width", 1.5);
+  const update = () => {
+    arrows.each(function(pair) {
+      const ends = arrowEnds(pair);
+      const line = getD3().select(this);
+      line.style("display", ends ? null : "none");
+      if (ends) {
+        line.attr("x1", ends.x1).attr("y1", ends.y1).attr("x2", ends.x2).attr("y2", ends.y2);
+      }
+    });
+  };
+  update();
+  simulation?.on(`tick.${EVENT_NAMESPACE2}`, update);
+  return arrows;
 }
 
 // src/rendering/debug-renderer.js
 function renderDebugVisualization(radarSelection, config, quadrants, rings, numQuadrants, numRings, segmented) {
-  const _d3 = window.d3;
-  const debugLayer = radarSelection.append("g").attr("id", "debug-layer");
+  const _d3 = getD3();
+  const debugLayer = radarSelection.append("g").attr("id", scopedId(config, "debug-layer"));
   const outerRadius = rings[rings.length - 1].radius;
   renderSegmentBoundaries(debugLayer, config, quadrants, rings, numQuadrants, numRings, segmented);
-  renderCollisionRadii(debugLayer, config.entries, config.blip_collision_radius);
+  renderCollisionRadii(debugLayer, config.entries, config.blip_collision_radius, scopedId(config, "debug-collision-radii"));
   renderCoordinateAxes(debugLayer, outerRadius);
   renderQuadrantBoundaries(debugLayer, numQuadrants, outerRadius);
   renderDebugLegend(debugLayer, outerRadius);
 }
 function renderSegmentBoundaries(debugLayer, config, quadrants, rings, numQuadrants, numRings, segmented) {
-  const _d3 = window.d3;
+  const _d3 = getD3();
   for (let q = 0;q < numQuadrants; q++) {
     for (let r = 0;r < numRings; r++) {
       const segBaseInner = r === 0 ? 30 : rings[r - 1].radius;
@@ -1275,7 +9754,7 @@ function renderSegmentBoundaries(debugLayer, config, quadrants, rings, numQuadra
   }
 }
 function renderPolarSector(debugLayer, innerRadius, outerRadius, angleMin, angleMax, numQuadrants, ringIndex) {
-  const d3 = window.d3;
+  const d3 = getD3();
   const offsetMagnitude = Math.PI / (2 * numQuadrants);
   const arcOffset = numQuadrants % 4 === 1 ? offsetMagnitude : -offsetMagnitude;
   const arcPath = d3.arc().innerRadius(innerRadius).outerRadius(outerRadius).startAngle(-angleMax + arcOffset).endAngle(-angleMin + arcOffset);
@@ -1293,9 +9772,9 @@ function renderSegmentLabel(debugLayer, quadrant, ring, angleMin, angleMax, segI
   const arcLength = (angleMax - angleMin) * segInner;
   debugLayer.append("text").attr("x", labelX).attr("y", labelY).attr("text-anchor", "middle").attr("font-size", "10px").attr("fill", "#ff0000").attr("font-weight", "bold").text(`Q${quadrant}R${ring}: ${entryCount} items, arc=${arcLength.toFixed(0)}px`);
 }
-function renderCollisionRadii(debugLayer, entries, defaultCollisionRadius) {
-  const _d3 = window.d3;
-  debugLayer.append("g").attr("id", "debug-collision-radii").selectAll("circle").data(entries).enter().append("circle").attr("cx", (d) => d.x).attr("cy", (d) => d.y).attr("r", (d) => d.collision_radius || defaultCollisionRadius).attr("fill", "none").attr("stroke", (d) => d.ring === 0 ? "#00ff00" : "#0000ff").attr("stroke-width", 1).attr("stroke-dasharray", "2,2").attr("opacity", 0.4);
+function renderCollisionRadii(debugLayer, entries, defaultCollisionRadius, groupId) {
+  const _d3 = getD3();
+  debugLayer.append("g").attr("id", groupId).selectAll("circle").data(entries).enter().append("circle").attr("cx", (d) => d.x).attr("cy", (d) => d.y).attr("r", (d) => d.collision_radius || defaultCollisionRadius).attr("fill", "none").attr("stroke", (d) => d.ring === 0 ? "#00ff00" : "#0000ff").attr("stroke-width", 1).attr("stroke-dasharray", "2,2").attr("opacity", 0.4);
 }
 function renderCoordinateAxes(debugLayer, outerRadius) {
   debugLayer.append("line").attr("x1", -outerRadius).attr("y1", 0).attr("x2", outerRadius).attr("y2", 0).attr("stroke", "#666").attr("stroke-width", 0.5).attr("opacity", 0.3);
@@ -1321,37 +9800,218 @@ function renderDebugLegend(debugLayer, outerRadius) {
   });
 }
 
+// src/rendering/detail-panel.js
+var EVENT_NAMESPACE3 = "radar-details";
+function detailFields(entry, config) {
+  return {
+    ...entry,
+    quadrant: config.quadrants[entry.quadrant]?.name ?? "",
+    ring: config.rings[entry.ring]?.name ?? "",
+    tags: Array.isArray(entry.tags) ? entry.tags.join(", ") : "",
+    history: formatEntryHistory(entry.history, config.rings)
+  };
+}
+function fillTemplate(template, fields) {
+  return template.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (_match, name) => escapeHtml(fields[name] ?? ""));
+}
+function escapeHtml(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
+function appendText(parent, tagName, className, text) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.textContent = text;
+  parent.appendChild(element);
+  return element;
+}
+function defaultDetailContent(entry, config) {
+  const { quadrant, ring } = detailFields(entry, config);
+  const content = document.createDocumentFragment();
+  appendText(content, "h3", "radar-detail-title", entry.label).id = scopedId(config, "detailTitle");
+  appendText(content, "div", "radar-detail-placement", `${ring} · ${quadrant}`);
+  if (entry.description) {
+    appendText(content, "p", "radar-detail-description", entry.description);
+  }
+  const facts = [
+    ["Owner", entry.owner],
+    ["Since", entry.since]
+  ].filter(([, value]) => value);
+  if (facts.length) {
+    const list = document.createElement("dl");
+    list.className = "radar-detail-facts";
+    for (const [term, value] of facts) {
+      appendText(list, "dt", "", term);
+      appendText(list, "dd", "", value);
+    }
+    content.appendChild(list);
+  }
+  if (Array.isArray(entry.tags) && entry.tags.length) {
+    const tags = document.createElement("ul");
+    tags.className = "radar-detail-tags";
+    for (const tag of entry.tags) {
+      appendText(tags, "li", "radar-detail-tag", tag);
+    }
+    content.appendChild(tags);
+  }
+  if (entry.history?.length > 1) {
+    const history = document.createElement("ol");
+    history.className = "radar-detail-history";
+    history.setAttribute("aria-label", "Ring history");
+    for (const step of entry.history) {
+      appendText(history, "li", "", formatHistoryStep(step, config.rings));
+    }
+    content.appendChild(history);
+  }
+  if (entry.link) {
+    const link = appendText(content, "a", "radar-detail-link", "More information");
+    link.href = entry.link;
+    if (config.links_in_new_tabs) {
+      link.target = "_blank";
+      link.rel = "noopener";
+    }
+  }
+  return content;
+}
+function renderDetailContent(entry, config) {
+  const template = config.detail_template;
+  if (typeof template === "function") {
+    return template(entry, { ...detailFields(entry, config), config });
+  }
+  if (typeof template === "string") {
+    return fillTemplate(template, detailFields(entry, config));
+  }
+  return defaultDetailContent(entry, config);
+}
+function createDetailPanel(container, config) {
+  const panel = document.createElement("div");
+  panel.id = scopedId(config, "detailPanel");
+  panel.className = "radar-detail-panel";
+  panel.setAttribute("role", "dialog");
+  panel.setAttribute("aria-labelledby", scopedId(config, "detailTitle"));
+  panel.hidden = true;
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.className = "radar-detail-close";
+  closeButton.setAttribute("aria-label", "Close");
+  closeButton.textContent = "×";
+  const body = document.createElement("div");
+  body.className = "radar-detail-body";
+  panel.appendChild(closeButton);
+  panel.appendChild(body);
+  container.appendChild(panel);
+  const close = () => {
+    panel.hidden = true;
+    body.innerHTML = "";
+  };
+  const open = (entry) => {
+    const content = renderDetailContent(entry, config);
+    body.innerHTML = "";
+    if (typeof content === "string") {
+      body.innerHTML = content;
+    } else if (content) {
+      body.appendChild(content);
+    }
+    panel.dataset.entry = entryKey(entry);
+    panel.hidden = false;
+  };
+  const handleKeydown = (event) => {
+    if (event.key === "Escape" && !panel.hidden) {
+      close();
+    }
+  };
+  closeButton.addEventListener("click", close);
+  document.addEventListener("keydown", handleKeydown);
+  return {
+    element: panel,
+    open,
+    close,
+    remove() {
+      document.removeEventListener("keydown", handleKeydown);
+      panel.remove();
+    }
+  };
+}
+function bindDetailPanel(selection, panel) {
+  selection.on(`click.${EVENT_NAMESPACE3}`, (event, d) => {
+    event.preventDefault();
+    panel.open(d);
+  });
+}
+
+// src/rendering/error-overlay.js
+function renderErrorOverlay(config, errors) {
+  const svg = radarRoot(config).getElementById(config.svg_id);
+  if (!svg?.parentNode) {
+    return null;
+  }
+  removeErrorOverlay(config);
+  const overlay = document.createElement("div");
+  overlay.id = scopedId(config, "errors");
+  overlay.className = "radar-error-overlay";
+  overlay.setAttribute("role", "alert");
+  const heading = document.createElement("strong");
+  heading.textContent = errors.length === 1 ? "The radar has 1 error" : `The radar has ${errors.length} errors`;
+  overlay.appendChild(heading);
+  const list = document.createElement("ul");
+  for (const error of errors) {
+    const item = document.createElement("li");
+    item.textContent = error.message;
+    if (error.field) {
+      item.dataset.field = error.field;
+    }
+    list.appendChild(item);
+  }
+  overlay.appendChild(list);
+  svg.parentNode.insertBefore(overlay, svg.nextSibling);
+  return overlay;
+}
+function removeErrorOverlay(config) {
+  radarRoot(config).getElementById(scopedId(config, "errors"))?.remove();
+}
+
 // src/rendering/force-simulation.js
+function updateBlipPositions(blipsSelection) {
+  blipsSelection.attr("transform", (d) => {
+    const clipped = d.segment.clip(d);
+    d.rendered_x = clipped.x;
+    d.rendered_y = clipped.y;
+    return translate(clipped.x, clipped.y);
+  });
+}
 function createTickCallback(blipsSelection, config) {
-  const d3 = window.d3;
+  const d3 = getD3();
   return function ticked() {
-    blipsSelection.attr("transform", (d) => {
-      const clipped = d.segment.clip(d);
-      d.rendered_x = clipped.x;
-      d.rendered_y = clipped.y;
-      return translate(clipped.x, clipped.y);
-    });
+    updateBlipPositions(blipsSelection);
     if (config.debug_geometry) {
-      d3.select("#debug-collision-radii").selectAll("circle").attr("cx", (d) => d.x).attr("cy", (d) => d.y);
+      d3.select(radarRoot(config).getElementById(scopedId(config, "debug-collision-radii"))).selectAll("circle").attr("cx", (d) => d.x).attr("cy", (d) => d.y);
     }
   };
 }
-function runForceSimulation(entries, blipsSelection, config) {
-  const d3 = window.d3;
+function runForceSimulation(entries, blipsSelection, config, options = {}) {
+  const d3 = getD3();
   const tickCallback = createTickCallback(blipsSelection, config);
-  d3.forceSimulation().nodes(entries).velocityDecay(0.15).alphaDecay(0.008).alphaMin(0.00005).force("collision", d3.forceCollide().radius((d) => d.collision_radius || config.blip_collision_radius).strength(1).iterations(6)).on("tick", tickCallback).tick(400);
+  const simulation = d3.forceSimulation().nodes(entries).velocityDecay(0.15).alphaDecay(0.008).alphaMin(0.00005).force("collision", d3.forceCollide().radius((d) => d.collision_radius || config.blip_collision_radius).strength(1).iterations(6)).on("tick", tickCallback);
+  if (options.synchronous) {
+    simulation.stop();
+  }
+  simulation.tick(400);
+  if (options.synchronous) {
+    updateBlipPositions(blipsSelection);
+  }
+  return simulation;
 }
 
 // src/rendering/grid-renderer.js
 function renderGrid(gridSelection, config, quadrants, rings, outerRadius) {
   const numQuadrants = quadrants.length;
+  const theme = resolveTheme(config);
   for (let i = 0;i < numQuadrants; i++) {
     const angle = -Math.PI + i * 2 * Math.PI / numQuadrants;
-    gridSelection.append("line").attr("x1", 0).attr("y1", 0).attr("x2", outerRadius * Math.cos(angle)).attr("y2", outerRadius * Math.sin(angle)).attr("class", `quadrant-line quadrant-line-${i}`).style("stroke", config.colors.grid).style("stroke-width", 1.5).style("stroke-opacity", 0.3);
+    gridSelection.append("line").attr("x1", 0).attr("y1", 0).attr("x2", outerRadius * Math.cos(angle)).attr("y2", outerRadius * Math.sin(angle)).attr("class", `quadrant-line quadrant-line-${i}`).style("stroke", themeVar(theme, "grid")).style("stroke-width", 1.5).style("stroke-opacity", 0.3);
   }
   const defs = gridSelection.append("defs");
-  const filter = defs.append("filter").attr("x", 0).attr("y", 0).attr("width", 1).attr("height", 1).attr("id", "solid");
-  filter.append("feFlood").attr("flood-color", "rgb(0, 0, 0, 0.8)");
+  const filter = defs.append("filter").attr("x", 0).attr("y", 0).attr("width", 1).attr("height", 1).attr("id", scopedId(config, "solid"));
+  filter.append("feFlood").style("flood-color", themeVar(theme, "bubble_background")).style("flood-opacity", 0.8);
   filter.append("feComposite").attr("in", "SourceGraphic");
   for (let i = 0;i < rings.length; i++) {
     const outer = rings[i].radius;
@@ -1360,66 +10020,31 @@ function renderGrid(gridSelection, config, quadrants, rings, outerRadius) {
     const labelRadius = outer - thickness / 2;
     const labelFontSize = Math.max(12, Math.min(32, thickness * 0.45));
     if (i > 0) {
-      gridSelection.append("circle").attr("cx", 0).attr("cy", 0).attr("r", outer).attr("class", `ring ring-${i}`).style("fill", i % 2 === 0 ? "rgba(0, 0, 0, 0.01)" : "rgba(0, 0, 0, 0.015)").style("stroke", "none").style("pointer-events", "none");
+      gridSelection.append("circle").attr("cx", 0).attr("cy", 0).attr("r", outer).attr("class", `ring ring-${i}`).style("fill", themeVar(theme, i % 2 === 0 ? "ring_fill_alternate" : "ring_fill")).style("stroke", "none").style("pointer-events", "none");
     }
-    gridSelection.append("circle").attr("cx", 0).attr("cy", 0).attr("r", outer).attr("class", `ring-border ring-border-${i}`).style("fill", "none").style("stroke", config.colors.grid).style("stroke-width", i === 0 ? 2 : 1).style("stroke-opacity", i === 0 ? 0.4 : 0.25);
+    gridSelection.append("circle").attr("cx", 0).attr("cy", 0).attr("r", outer).attr("class", `ring-border ring-border-${i}`).style("fill", "none").style("stroke", themeVar(theme, "grid")).style("stroke-width", i === 0 ? 2 : 1).style("stroke-opacity", i === 0 ? 0.4 : 0.25);
     if (config.print_layout) {
-      gridSelection.append("text").text(config.rings[i].name).attr("y", -labelRadius).attr("text-anchor", "middle").attr("dominant-baseline", "middle").style("fill", config.rings[i].color).style("opacity", 0.35).style("font-family", config.font_family).style("font-size", `${labelFontSize}px`).style("font-weight", "bold").style("pointer-events", "none").style("user-select", "none");
+      gridSelection.append("text").text(config.rings[i].name).attr("role", "img").attr("aria-label", `${config.rings[i].name} ring`).attr("y", -labelRadius).attr("text-anchor", "middle").attr("dominant-baseline", "middle").style("fill", ringColorVar(theme, config.rings, i)).style("opacity", 0.35).style("font-family", config.font_family).style("font-size", `${labelFontSize}px`).style("font-weight", "bold").style("pointer-events", "none").style("user-select", "none");
     }
   }
 }
 function renderTitleAndFooter(radarSelection, config) {
+  const theme = resolveTheme(config);
   if (config.title && config.print_layout) {
     const titleGroup = radarSelection.append("a").attr("href", config.repo_url).attr("target", config.links_in_new_tabs ? "_blank" : null);
-    titleGroup.append("text").attr("transform", `translate(${config.title_offset.x}, ${config.title_offset.y})`).text(config.title).style("font-family", config.font_family).style("font-size", "34px").style("font-weight", "bold");
-    titleGroup.append("text").attr("transform", `translate(${config.title_offset.x}, ${config.title_offset.y + 30})`).text(config.date ? config.date : "").style("font-family", config.font_family).style("font-size", "14px").style("fill", "#999");
+    titleGroup.append("text").attr("transform", `translate(${config.title_offset.x}, ${config.title_offset.y})`).text(config.title).style("font-family", config.font_family).style("font-size", themeVar(theme, "title_font_size")).style("font-weight", "bold").style("fill", themeVar(theme, "text"));
+    titleGroup.append("text").attr("transform", `translate(${config.title_offset.x}, ${config.title_offset.y + 30})`).text(config.date ? config.date : "").style("font-family", config.font_family).style("font-size", "14px").style("fill", themeVar(theme, "muted_text"));
   }
   if (config.footer && config.print_layout) {
-    radarSelection.append("text").attr("transform", `translate(${config.footer_offset.x}, ${config.footer_offset.y})`).text(config.footer).attr("xml:space", "preserve").style("font-family", config.font_family).style("font-size", "10px").style("fill", "#999");
-  }
-}
-
-// src/rendering/interactions.js
-function createBubble(radarSelection, fontFamily) {
-  const bubble = radarSelection.append("g").attr("id", "bubble").attr("x", 0).attr("y", 0).style("opacity", 0).style("pointer-events", "none").style("user-select", "none");
-  bubble.append("rect").attr("rx", 4).attr("ry", 4).style("fill", "#333");
-  bubble.append("text").style("font-family", fontFamily).style("font-size", "10px").style("fill", "#fff");
-  bubble.append("path").attr("d", "M 0,0 10,0 5,8 z").style("fill", "#333");
-  return bubble;
-}
-function showBubble(d, config) {
-  if (d.active || config.print_layout) {
-    const d3 = window.d3;
-    const tooltip = d3.select("#bubble text").text(d.label);
-    const bbox = tooltip.node().getBBox();
-    const x = d.rendered_x !== undefined ? d.rendered_x : d.x;
-    const y = d.rendered_y !== undefined ? d.rendered_y : d.y;
-    d3.select("#bubble").attr("transform", translate(x - bbox.width / 2, y - 16)).style("opacity", 0.8);
-    d3.select("#bubble rect").attr("x", -5).attr("y", -bbox.height).attr("width", bbox.width + 10).attr("height", bbox.height + 4);
-    d3.select("#bubble path").attr("transform", translate(bbox.width / 2 - 5, 3));
-  }
-}
-function hideBubble() {
-  const d3 = window.d3;
-  d3.select("#bubble").attr("transform", translate(0, 0)).style("opacity", 0);
-}
-function highlightLegendItem(d) {
-  const legendItem = document.getElementById(`legendItem${d.id}`);
-  if (legendItem) {
-    legendItem.classList.add("legend-highlight");
-  }
-}
-function unhighlightLegendItem(d) {
-  const legendItem = document.getElementById(`legendItem${d.id}`);
-  if (legendItem) {
-    legendItem.classList.remove("legend-highlight");
+    radarSelection.append("text").attr("transform", `translate(${config.footer_offset.x}, ${config.footer_offset.y})`).text(config.footer).attr("xml:space", "preserve").style("font-family", config.font_family).style("font-size", "10px").style("fill", themeVar(theme, "muted_text"));
   }
 }
 
 // src/rendering/legend-renderer.js
-function renderLegendColumns(legendLeftColumn, legendRightColumn, segmented, config, numQuadrants, numRings, showBubble2, hideBubble2, highlightLegendItem2, unhighlightLegendItem2) {
+function renderLegendColumns(legendLeftColumn, legendRightColumn, segmented, config, numQuadrants, numRings, showBubble, hideBubble, highlightLegendItem, unhighlightLegendItem) {
   legendLeftColumn.html("");
   legendRightColumn.html("");
+  const theme = resolveTheme(config);
   const legendSectionColumns = numRings >= 7 ? 3 : 2;
   const right_count = Math.ceil(numQuadrants / 2);
   const left_count = Math.floor(numQuadrants / 2);
@@ -1438,7 +10063,7 @@ function renderLegendColumns(legendLeftColumn, legendRightColumn, segmented, con
   for (let quadrant = 0;quadrant < numQuadrants; quadrant++) {
     const column = targetColumn(quadrant);
     const section = column.append("div").attr("class", "legend-section").style("--legend-columns", legendSectionColumns);
-    section.append("div").attr("class", "legend-quadrant-name").text(config.quadrants[quadrant].name);
+    section.append("div").attr("class", "legend-quadrant-name").attr("role", "heading").attr("aria-level", 3).text(config.quadrants[quadrant].name);
     const ringsContainer = section.append("div").attr("class", "legend-rings");
     for (let ring = 0;ring < numRings; ring++) {
       const entriesInRing = segmented[quadrant][ring];
@@ -1446,67 +10071,478 @@ function renderLegendColumns(legendLeftColumn, legendRightColumn, segmented, con
         continue;
       }
       const ringBlock = ringsContainer.append("div").attr("class", "legend-ring");
-      ringBlock.append("div").attr("class", "legend-ring-name").style("color", config.rings[ring].color).text(config.rings[ring].name);
+      ringBlock.append("div").attr("class", "legend-ring-name").attr("data-ring", ring).attr("role", "heading").attr("aria-level", 4).attr("aria-label", `${config.rings[ring].name} ring`).style("color", ringColorVar(theme, config.rings, ring)).text(config.rings[ring].name);
       const entriesList = ringBlock.append("div").attr("class", "legend-ring-entries");
-      entriesList.selectAll("a").data(entriesInRing).enter().append("a").attr("href", (d) => d.link ? d.link : "#").attr("target", (d) => d.link && config.links_in_new_tabs ? "_blank" : null).attr("id", (d) => `legendItem${d.id}`).attr("class", "legend-entry").text((d) => `${d.id}. ${d.label}`).on("mouseover", (_event, d) => {
-        showBubble2(d, config);
-        highlightLegendItem2(d);
-      }).on("mouseout", (_event, d) => {
-        hideBubble2();
-        unhighlightLegendItem2(d);
+      entriesList.selectAll("a").data(entriesInRing).enter().append("a").attr("href", (d) => d.link ? d.link : "#").attr("target", (d) => d.link && config.links_in_new_tabs ? "_blank" : null).attr("id", (d) => legendItemId(d, config)).attr("class", "legend-entry").attr("aria-label", (d) => `${d.number}. ${entryDescription(d, config)}`).text((d) => `${d.number}. ${d.label}`).on("mouseover focus", (_event, d) => {
+        showBubble(d, config);
+        highlightLegendItem(d, config);
+      }).on("mouseout blur", (_event, d) => {
+        hideBubble(config);
+        unhighlightLegendItem(d, config);
       });
     }
   }
 }
 
-// src/rendering/svg-setup.js
-function setupSvg(config, quadrants, rings, dimensions) {
-  const d3 = window.d3;
-  config.scale = config.scale || 1;
-  const scaled_width = config.width * config.scale;
-  const scaled_height = config.height * config.scale;
-  const svg = d3.select(`svg#${config.svg_id}`).style("background-color", config.colors.background).attr("width", scaled_width).attr("height", scaled_height);
-  const layoutWrapper = ensureLayoutStructure(svg);
-  const legendLeftColumn = layoutWrapper.select(".radar-legend-column.left");
-  const legendRightColumn = layoutWrapper.select(".radar-legend-column.right");
-  const layoutWidth = layoutWrapper.node().getBoundingClientRect().width || config.width;
-  const minLegendColumnWidth = config.legend_column_width * 2 + 60;
-  const maxLegendColumnWidth = config.legend_column_width * 4 + 80;
-  const targetLegendColumnWidth = Math.min(maxLegendColumnWidth, Math.max(minLegendColumnWidth, layoutWidth * 0.3));
-  const legendSectionColumns = Math.min(4, Math.max(2, Math.floor(targetLegendColumnWidth / (config.legend_column_width + 20))));
-  legendLeftColumn.style("gap", `${config.legend_vertical_spacing}px`).style("width", `${targetLegendColumnWidth}px`);
-  legendRightColumn.style("gap", `${config.legend_vertical_spacing}px`).style("width", `${targetLegendColumnWidth}px`);
-  const radar = svg.append("g");
-  if ("zoomed_quadrant" in config) {
-    svg.attr("viewBox", viewbox(config.zoomed_quadrant, quadrants, rings));
-  } else {
-    const radar_center_y = scaled_height / 2 + (dimensions.title_height - dimensions.footer_height) / 2;
-    const radar_center_x = scaled_width / 2 + config.radar_horizontal_offset;
-    radar.attr("transform", translate(radar_center_x, radar_center_y).concat(`scale(${config.scale})`));
-  }
-  config.font_family = config.font_family || "Arial, Helvetica";
-  const grid = radar.append("g");
-  return {
-    svg,
-    radar,
-    legendLeftColumn,
-    legendRightColumn,
-    grid,
-    legendSectionColumns
-  };
-}
-
 // src/rendering/table-renderer.js
-function renderRingDescriptionsTable(config) {
-  const d3 = window.d3;
-  const table = d3.select("body").append("table").attr("class", "radar-table").style("border-collapse", "collapse").style("position", "relative").style("top", "-70px").style("margin-left", "50px").style("margin-right", "50px").style("font-family", config.font_family).style("font-size", "13px").style("text-align", "left");
+function renderRingDescriptionsTable(config, container = getD3().select(config.root || "body")) {
+  const theme = resolveTheme(config);
+  const table = container.append("table").attr("class", "radar-table").style("border-collapse", "collapse").style("position", "relative").style("top", "-70px").style("margin-left", "50px").style("margin-right", "50px").style("font-family", config.font_family).style("font-size", "13px").style("text-align", "left");
   const thead = table.append("thead");
   const tbody = table.append("tbody");
   const columnWidth = `${100 / config.rings.length}%`;
   const headerRow = thead.append("tr").style("border", "1px solid #ddd");
-  headerRow.selectAll("th").data(config.rings).enter().append("th").style("padding", "8px").style("border", "1px solid #ddd").style("background-color", (d) => d.color).style("color", "#fff").style("width", columnWidth).text((d) => d.name);
+  headerRow.selectAll("th").data(config.rings).enter().append("th").style("padding", "8px").style("border", "1px solid #ddd").style("background-color", (_d, index) => ringColor(theme, config.rings, index)).style("color", "#fff").style("width", columnWidth).text((d) => d.name);
   const descriptionRow = tbody.append("tr").style("border", "1px solid #ddd");
   descriptionRow.selectAll("td").data(config.rings).enter().append("td").style("padding", "8px").style("border", "1px solid #ddd").style("width", columnWidth).text((d) => d.description);
+  return table;
+}
+
+// src/rendering/virtual-dom.js
+var NAMESPACES = {
+  svg: "http://www.w3.org/2000/svg",
+  xhtml: "http://www.w3.org/1999/xhtml",
+  xlink: "http://www.w3.org/1999/xlink",
+  xml: "http://www.w3.org/XML/1998/namespace"
+};
+var NAMESPACE_PREFIXES = {
+  [NAMESPACES.xlink]: "xlink",
+  [NAMESPACES.xml]: "xml"
+};
+var VOID_HTML_ELEMENTS = new Set(["br", "hr", "img", "input", "link", "meta"]);
+function escapeMarkup(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+class VirtualStyle {
+  constructor() {
+    this.properties = new Map;
+  }
+  setProperty(name, value) {
+    if (value === null || value === undefined || value === "") {
+      this.properties.delete(name);
+    } else {
+      this.properties.set(name, String(value));
+    }
+  }
+  getPropertyValue(name) {
+    return this.properties.get(name) || "";
+  }
+  removeProperty(name) {
+    const previous = this.getPropertyValue(name);
+    this.properties.delete(name);
+    return previous;
+  }
+  get cssText() {
+    return Array.from(this.properties, ([name, value]) => `${name}: ${value};`).join(" ");
+  }
+}
+
+class VirtualText {
+  constructor(ownerDocument, data) {
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.data = String(data);
+  }
+  get textContent() {
+    return this.data;
+  }
+}
+
+class VirtualElement {
+  constructor(ownerDocument, namespaceURI, tagName) {
+    this.ownerDocument = ownerDocument;
+    this.namespaceURI = namespaceURI;
+    this.tagName = tagName;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.attributes = new Map;
+    this.style = new VirtualStyle;
+    this.listeners = [];
+  }
+  get children() {
+    return this.childNodes.filter((node) => node instanceof VirtualElement);
+  }
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+  get id() {
+    return this.getAttribute("id") || "";
+  }
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join("");
+  }
+  set textContent(value) {
+    this.clearChildren();
+    if (value !== null && value !== undefined && value !== "") {
+      this.appendChild(new VirtualText(this.ownerDocument, value));
+    }
+  }
+  set innerHTML(value) {
+    if (value !== "" && value !== null && value !== undefined) {
+      throw new Error("VirtualElement.innerHTML only supports clearing content");
+    }
+    this.clearChildren();
+  }
+  get innerHTML() {
+    return this.childNodes.map(serialize).join("");
+  }
+  get outerHTML() {
+    return serialize(this);
+  }
+  clearChildren() {
+    for (const child of this.childNodes) {
+      child.parentNode = null;
+    }
+    this.childNodes = [];
+  }
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+  insertBefore(child, reference) {
+    if (child.parentNode) {
+      child.parentNode.removeChild(child);
+    }
+    const index = reference ? this.childNodes.indexOf(reference) : -1;
+    if (index === -1) {
+      this.childNodes.push(child);
+    } else {
+      this.childNodes.splice(index, 0, child);
+    }
+    child.parentNode = this;
+    return child;
+  }
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index !== -1) {
+      this.childNodes.splice(index, 1);
+      child.parentNode = null;
+    }
+    return child;
+  }
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.removeChild(this);
+    }
+  }
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+  setAttributeNS(namespaceURI, name, value) {
+    const prefix = NAMESPACE_PREFIXES[namespaceURI];
+    this.setAttribute(prefix ? `${prefix}:${name}` : name, value);
+  }
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+  getAttributeNS(namespaceURI, name) {
+    const prefix = NAMESPACE_PREFIXES[namespaceURI];
+    return this.getAttribute(prefix ? `${prefix}:${name}` : name);
+  }
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+  removeAttributeNS(namespaceURI, name) {
+    const prefix = NAMESPACE_PREFIXES[namespaceURI];
+    this.removeAttribute(prefix ? `${prefix}:${name}` : name);
+  }
+  addEventListener(type, listener) {
+    this.listeners.push({ type, listener });
+  }
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter((entry) => entry.type !== type || entry.listener !== listener);
+  }
+  matches(selector) {
+    return parseSelector(selector)(this);
+  }
+  querySelectorAll(selector) {
+    const matcher = parseSelector(selector);
+    const found = [];
+    const visit = (node) => {
+      for (const child of node.children) {
+        if (matcher(child)) {
+          found.push(child);
+        }
+        visit(child);
+      }
+    };
+    visit(this);
+    return found;
+  }
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+function parseSelector(selector) {
+  const trimmed = selector.trim();
+  if (!/^[a-zA-Z*]?[\w-]*(?:[#.][\w-]+)*$/.test(trimmed)) {
+    throw new Error(`Unsupported selector in virtual DOM: "${selector}"`);
+  }
+  const tag = trimmed.match(/^[a-zA-Z][\w-]*/)?.[0];
+  const id = trimmed.match(/#([\w-]+)/)?.[1];
+  const classes = Array.from(trimmed.matchAll(/\.([\w-]+)/g), (match) => match[1]);
+  return (element) => {
+    if (tag && element.tagName !== tag)
+      return false;
+    if (id && element.getAttribute("id") !== id)
+      return false;
+    if (classes.length) {
+      const own = (element.getAttribute("class") || "").split(/\s+/);
+      return classes.every((name) => own.includes(name));
+    }
+    return true;
+  };
+}
+function createVirtualDocument() {
+  const document2 = {
+    createElementNS: (namespaceURI, tagName) => new VirtualElement(document2, namespaceURI, tagName),
+    createElement: (tagName) => new VirtualElement(document2, NAMESPACES.xhtml, tagName),
+    createTextNode: (data) => new VirtualText(document2, data)
+  };
+  document2.documentElement = document2.createElement("html");
+  return document2;
+}
+function serialize(node) {
+  if (node instanceof VirtualText) {
+    return escapeMarkup(node.data);
+  }
+  const attributes = Array.from(node.attributes);
+  const styleText = node.style.cssText;
+  if (styleText) {
+    attributes.push(["style", styleText]);
+  }
+  const attributeText = attributes.map(([name, value]) => ` ${name}="${escapeMarkup(value)}"`).join("");
+  const content = node.childNodes.map(serialize).join("");
+  if (!content && node.namespaceURI !== NAMESPACES.xhtml) {
+    return `<${node.tagName}${attributeText}/>`;
+  }
+  if (!content && VOID_HTML_ELEMENTS.has(node.tagName)) {
+    return `<${node.tagName}${attributeText}>`;
+  }
+  return `<${node.tagName}${attributeText}>${content}</${node.tagName}>`;
+}
+
+// src/rendering/headless-renderer.js
+var OUTPUT_FORMATS = ["svg", "html"];
+var noop = () => {};
+function renderToString(config, options = {}) {
+  const { format = "svg", d3 = null, stylesheet = "" } = options;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported output format: ${format} (expected one of: ${OUTPUT_FORMATS.join(", ")})`);
+  }
+  const previousD3 = d3 ? setD3(d3) : null;
+  try {
+    const radarConfig = {
+      ...config,
+      entries: (config.entries || []).map((entry) => ({ ...entry }))
+    };
+    const layout = prepareRadarLayout(radarConfig, { viewport: null });
+    const document2 = createVirtualDocument();
+    const svgNode = renderSvg(document2, radarConfig, layout);
+    return format === "html" ? renderHtmlPage(document2, svgNode, radarConfig, layout, stylesheet) : `<?xml version="1.0" encoding="UTF-8"?>
+${serialize(svgNode)}
+`;
+  } finally {
+    if (d3) {
+      setD3(previousD3);
+    }
+  }
+}
+function renderSvg(document2, config, layout) {
+  const d3 = getD3();
+  const { dimensions, quadrants, rings, outerRadius, segmented } = layout;
+  config.scale = config.scale || 1;
+  config.font_family = config.font_family || "Arial, Helvetica";
+  const svgNode = document2.createElementNS(NAMESPACES.svg, "svg");
+  const svg = d3.select(svgNode).attr("xmlns", NAMESPACES.svg).attr("xmlns:xlink", NAMESPACES.xlink).attr("id", config.svg_id).attr("width", config.width * config.scale).attr("height", config.height * config.scale).style("background-color", themeVar(resolveTheme(config), "background"));
+  renderThemeProperties(svg, config);
+  const radar = createRadarGroup(svg, config, quadrants, rings, dimensions);
+  const grid = radar.append("g");
+  renderGrid(grid, config, quadrants, rings, outerRadius);
+  renderTitleAndFooter(radar, config);
+  const rink = radar.append("g").attr("id", scopedId(config, "rink"));
+  const blips = renderBlips(rink, config.entries, config, noop, noop, noop, noop);
+  runForceSimulation(config.entries, blips, config, { synchronous: true });
+  if (config.comparison) {
+    renderComparison(rink, segmented, config);
+  }
+  if (config.debug_geometry) {
+    renderDebugVisualization(radar, config, quadrants, rings, quadrants.length, rings.length, segmented);
+  }
+  return svgNode;
+}
+function renderHtmlPage(document2, svgNode, config, layout, stylesheet) {
+  const d3 = getD3();
+  const body = d3.select(document2.createElement("body"));
+  const wrapper = body.append("div").attr("class", "radar-layout").attr("data-radar-id", config.svg_id);
+  const legendLeftColumn = wrapper.append("div").attr("class", "radar-legend-column left");
+  wrapper.append("div").attr("class", "radar-svg-container").node().appendChild(svgNode);
+  const legendRightColumn = wrapper.append("div").attr("class", "radar-legend-column right");
+  if (config.print_layout) {
+    sizeLegendColumns(legendLeftColumn, legendRightColumn, config, config.width);
+    legendLeftColumn.style("display", "flex");
+    legendRightColumn.style("display", "flex");
+    renderLegendColumns(legendLeftColumn, legendRightColumn, layout.segmented, config, layout.quadrants.length, layout.rings.length, noop, noop, noop, noop);
+  } else {
+    legendLeftColumn.style("display", "none");
+    legendRightColumn.style("display", "none");
+  }
+  if (config.print_ring_descriptions_table) {
+    renderRingDescriptionsTable(config, body);
+  }
+  const title = config.title ? `<title>${escapeMarkup(config.title)}</title>` : "";
+  const style = stylesheet ? `<style>
+${stylesheet}
+</style>` : "";
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    `<head><meta charset="utf-8">${title}${style}</head>`,
+    serialize(body.node()),
+    "</html>",
+    ""
+  ].join(`
+`);
+}
+
+// src/rendering/timeline-renderer.js
+var EVENT_NAMESPACE4 = "radar-timeline";
+function createTimelineElement(config) {
+  const timeline = document.createElement("div");
+  timeline.id = scopedId(config, "timeline");
+  timeline.className = "radar-timeline";
+  timeline.setAttribute("role", "group");
+  timeline.setAttribute("aria-label", "Radar editions");
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.className = "radar-timeline-slider";
+  slider.min = "0";
+  slider.step = "1";
+  slider.setAttribute("aria-label", "Edition");
+  timeline.appendChild(slider);
+  const dates = document.createElement("ol");
+  dates.className = "radar-timeline-dates";
+  timeline.appendChild(dates);
+  return timeline;
+}
+function renderDates(list, editions) {
+  list.innerHTML = "";
+  editions.forEach((edition, index) => {
+    const item = document.createElement("li");
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "radar-timeline-date";
+    button.dataset.edition = String(index);
+    button.textContent = edition.date;
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+}
+function renderTimeline(layout, config, onSelect) {
+  const { editions } = config;
+  const selected = editionIndex(editions, config.edition);
+  let timeline = radarRoot(config).getElementById(scopedId(config, "timeline"));
+  if (!timeline) {
+    timeline = createTimelineElement(config);
+    layout.parentNode.insertBefore(timeline, layout.nextSibling);
+  }
+  const slider = timeline.querySelector(".radar-timeline-slider");
+  slider.max = String(editions.length - 1);
+  slider.value = String(selected);
+  slider.setAttribute("aria-valuetext", editions[selected].date);
+  const list = timeline.querySelector(".radar-timeline-dates");
+  const dates = editions.map((edition) => edition.date).join(`
+`);
+  if (list.dataset.dates !== dates) {
+    list.dataset.dates = dates;
+    renderDates(list, editions);
+  }
+  list.querySelectorAll(".radar-timeline-date").forEach((button, index) => {
+    if (index === selected) {
+      button.setAttribute("aria-current", "true");
+    } else {
+      button.removeAttribute("aria-current");
+    }
+  });
+  const select = (index) => {
+    if (index !== selected) {
+      onSelect(index);
+    }
+  };
+  const d3 = getD3();
+  d3.select(slider).on(`input.${EVENT_NAMESPACE4}`, () => select(Number(slider.value)));
+  d3.select(list).on(`click.${EVENT_NAMESPACE4}`, (event) => {
+    const button = event.target.closest(".radar-timeline-date");
+    if (button) {
+      select(Number(button.dataset.edition));
+    }
+  });
+  return timeline;
+}
+function removeTimeline(config) {
+  radarRoot(config).getElementById(scopedId(config, "timeline"))?.remove();
+}
+
+// src/rendering/transitions.js
+var TRANSLATE_PATTERN = /translate\(\s*([-\d.e]+)[,\s]+([-\d.e]+)\s*\)/;
+function parseTranslate(transform) {
+  const match = TRANSLATE_PATTERN.exec(transform || "");
+  return match ? { x: Number(match[1]), y: Number(match[2]) } : null;
+}
+function transitionsEnabled(config) {
+  if (!(config.transition_duration > 0)) {
+    return false;
+  }
+  const reducedMotion = typeof window !== "undefined" && window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+  return !reducedMotion;
+}
+function captureBlips(rinkNode) {
+  const d3 = getD3();
+  const blips = new Map;
+  if (!rinkNode) {
+    return blips;
+  }
+  d3.select(rinkNode).selectAll(".blip").each(function(d) {
+    const position = parseTranslate(this.getAttribute("transform"));
+    if (d && position) {
+      blips.set(entryKey(d), { ...position, color: d.color, node: this });
+    }
+  });
+  return blips;
+}
+function animateBlips(rinkSelection, blipsSelection, previousBlips, duration) {
+  const d3 = getD3();
+  const removed = new Map(previousBlips);
+  blipsSelection.each(function(d) {
+    const blip = d3.select(this);
+    const before = removed.get(entryKey(d));
+    if (!before) {
+      blip.style("opacity", 0).transition().duration(duration).style("opacity", 1);
+      return;
+    }
+    removed.delete(entryKey(d));
+    const target = parseTranslate(blip.attr("transform")) || before;
+    const x = d3.interpolateNumber(before.x, target.x);
+    const y = d3.interpolateNumber(before.y, target.y);
+    blip.attr("transform", translate(before.x, before.y)).transition().duration(duration).attrTween("transform", () => (t) => translate(x(t), y(t)));
+    if (before.color !== d.color) {
+      blip.selectAll("path, circle").each(function() {
+        const shape = d3.select(this);
+        const fill = shape.style("fill");
+        shape.style("fill", before.color).transition().duration(duration).style("fill", d.color).on("end", () => shape.style("fill", fill));
+      });
+    }
+  });
+  for (const { node } of removed.values()) {
+    rinkSelection.node().appendChild(node);
+    d3.select(node).attr("class", "blip-exit").style("pointer-events", "none").transition().duration(duration).style("opacity", 0).remove();
+  }
+}
+function fadeIn(selection, duration) {
+  selection.style("opacity", 0).transition().duration(duration).style("opacity", 1);
 }
 
 // src/ui/demo-toolbar.js
@@ -1524,7 +10560,7 @@ function initDemoToolbar(radarInstance = null, options = {}) {
       showMessage: () => {}
     };
   }
-  const { importConfig: importConfig2, exportConfig: exportConfig2, mergeConfigs: mergeConfigs2 } = jsonIO;
+  const { importConfig, exportConfig, mergeConfigs } = jsonIO;
   const importButton = document.getElementById("jsonImportButton");
   const exportButton = document.getElementById("jsonExportButton");
   const resetButton = document.getElementById("jsonResetButton");
@@ -1550,10 +10586,10 @@ function initDemoToolbar(radarInstance = null, options = {}) {
   };
   const handleImportClick = () => importInput.click();
   importButton.addEventListener("click", handleImportClick);
-  const disposeImport = importConfig2(importInput, (importedConfig) => {
+  const disposeImport = importConfig(importInput, (importedConfig) => {
     if (toolbarInstance.onConfigImport) {
       const currentConfig = toolbarInstance.getCurrentConfig ? toolbarInstance.getCurrentConfig() : null;
-      const configToApply = mergeConfigs2 && currentConfig ? mergeConfigs2(currentConfig, importedConfig) : importedConfig;
+      const configToApply = mergeConfigs && currentConfig ? mergeConfigs(currentConfig, importedConfig) : importedConfig;
       toolbarInstance.onConfigImport(configToApply);
     }
   }, {
@@ -1565,7 +10601,7 @@ function initDemoToolbar(radarInstance = null, options = {}) {
       showToolbarMessage2(message, "error");
     }
   });
-  const disposeExport = exportConfig2(exportButton, () => toolbarInstance.getCurrentConfig ? toolbarInstance.getCurrentConfig() : {}, {
+  const disposeExport = exportConfig(exportButton, () => toolbarInstance.getCurrentConfig ? toolbarInstance.getCurrentConfig() : {}, {
     demoSlug,
     onSuccess: ({ fileName }) => {
       showToolbarMessage2(`Exported ${fileName}`, "success");
@@ -1612,133 +10648,308 @@ function showToolbarMessage2(message, state = "info") {
   }
 }
 
-// src/validation/config-validator.js
-class ConfigValidationError extends Error {
-  constructor(message, field, value) {
-    super(message);
-    this.name = "ConfigValidationError";
-    this.field = field;
-    this.value = value;
+// src/index.js
+var activeRenders = new Map;
+var staticPluginHosts = new Map;
+function _teardownRender(svgId) {
+  const activeRender = activeRenders.get(svgId);
+  if (activeRender) {
+    activeRenders.delete(svgId);
+    activeRender.cleanup();
   }
 }
-function validateConfig(config) {
-  const errors = [];
-  if (!config.quadrants || config.quadrants.length < 2 || config.quadrants.length > 8) {
-    errors.push(new ConfigValidationError(`Number of quadrants must be between 2 and 8 (found: ${config.quadrants?.length || 0})`, "quadrants", config.quadrants?.length));
+function _destroyRadar(config) {
+  _teardownRender(config.svg_id);
+  _releaseStaticPlugins(config.svg_id);
+  removeTimeline(config);
+  removeErrorOverlay(config);
+  const svg = radarRoot(config).getElementById(config.svg_id);
+  if (svg) {
+    svg.innerHTML = "";
+    removeLayoutStructure(svg);
   }
-  if (!config.rings || config.rings.length < 4 || config.rings.length > 8) {
-    errors.push(new ConfigValidationError(`Number of rings must be between 4 and 8 (found: ${config.rings?.length || 0})`, "rings", config.rings?.length));
+}
+function _releaseStaticPlugins(svgId) {
+  const staticHost = staticPluginHosts.get(svgId);
+  if (staticHost) {
+    staticPluginHosts.delete(svgId);
+    staticHost.host.cleanup();
   }
-  if (config.entries && config.quadrants && config.rings) {
-    config.entries.forEach((entry, index) => {
-      if (entry.quadrant < 0 || entry.quadrant >= config.quadrants.length) {
-        errors.push(new ConfigValidationError(`Entry '${entry.label}' has invalid quadrant: ${entry.quadrant} (must be 0-${config.quadrants.length - 1})`, `entries[${index}].quadrant`, entry.quadrant));
-      }
-      if (entry.ring < 0 || entry.ring >= config.rings.length) {
-        errors.push(new ConfigValidationError(`Entry '${entry.label}' has invalid ring: ${entry.ring} (must be 0-${config.rings.length - 1})`, `entries[${index}].ring`, entry.ring));
-      }
-    });
+}
+function _pluginHostFor(config, hooks) {
+  if (hooks.pluginHost || !config.plugins) {
+    _releaseStaticPlugins(config.svg_id);
+    return hooks.pluginHost || null;
   }
-  if (errors.length > 0) {
-    throw errors[0];
+  const existing = staticPluginHosts.get(config.svg_id);
+  if (existing) {
+    existing.config = config;
+    return existing.host;
   }
-  return true;
+  const staticHost = { config };
+  staticHost.host = createPluginHost({
+    getCurrentConfig: () => staticHost.config,
+    applyConfig: (newConfig) => _renderRadar({ ...newConfig, plugins: staticHost.config.plugins }),
+    onConfigImport: (importedConfig) => _renderRadar(jsonIO.mergeConfigs(staticHost.config, importedConfig)),
+    demoSlug: config.demoSlug || config.svg_id || "radar"
+  });
+  staticPluginHosts.set(config.svg_id, staticHost);
+  return staticHost.host;
 }
-
-// src/index.js
-function _renderRadar(config) {
-  const svg = document.getElementById(config.svg_id || "radar");
-  if (svg) {
-    svg.innerHTML = "";
+function _syncPlugins(config, hooks) {
+  const staticRerender = !hooks.pluginHost && staticPluginHosts.has(config.svg_id);
+  const pluginHost = _pluginHostFor(config, hooks);
+  if (!pluginHost) {
+    return () => {};
   }
-  applyConfigDefaults(config);
-  const dimensions = calculateDimensions(config);
-  const target_outer_radius = dimensions.target_outer_radius;
-  validateConfig(config);
-  let _pluginCleanup = null;
-  if (config.plugins) {
-    const pluginContext = {
-      getCurrentConfig: () => config,
-      applyConfig: (newConfig) => {
-        _renderRadar(newConfig);
-      },
-      demoSlug: config.demoSlug || config.svg_id || "radar"
-    };
-    const result = initializePlugins(config.plugins, pluginContext);
-    _pluginCleanup = result.cleanup;
-    config._pluginInstances = result.plugins;
+  config._pluginInstances = pluginHost.sync(config.plugins);
+  return staticRerender ? () => pluginHost.notifyConfigChange(jsonIO.sanitizeConfigForExport(config)) : () => {};
+}
+function _attachDetailPanel(config, svgElements, blips, cleanupTasks) {
+  if (!config.detail_panel) {
+    return;
   }
-  const rng = new SeededRandom(42);
-  const random = () => rng.next();
-  const random_between = (min, max) => rng.between(min, max);
-  const _normal_between = (min, max) => rng.normalBetween(min, max);
-  const num_quadrants = config.quadrants.length;
-  const quadrants = generateQuadrants(num_quadrants);
-  const num_rings = config.rings.length;
-  const rings = generateRings(num_rings, target_outer_radius);
-  const outer_radius = rings[rings.length - 1].radius;
-  const _quadrant_bounds = quadrants.map((q) => computeQuadrantBounds(q.radial_min * Math.PI, q.radial_max * Math.PI, outer_radius));
-  configureOffsets(config, outer_radius, num_quadrants);
-  const _bounded_interval = boundedInterval;
-  const _bounded_ring = boundedRing;
-  const _bounded_box = boundedBox;
-  function _segment(quadrant, ring) {
-    return createSegment(quadrant, ring, quadrants, rings, config, random_between);
+  const { svg, legendLeftColumn, legendRightColumn } = svgElements;
+  const detailPanel = createDetailPanel(svg.node().closest(".radar-layout"), config);
+  bindDetailPanel(blips, detailPanel);
+  bindDetailPanel(legendLeftColumn.selectAll(".legend-entry"), detailPanel);
+  bindDetailPanel(legendRightColumn.selectAll(".legend-entry"), detailPanel);
+  cleanupTasks.push(detailPanel.remove);
+}
+function _attachComparison(config, svgElements, rink, segmented, simulation) {
+  if (config.comparison) {
+    renderComparison(rink, segmented, config, simulation);
+    markComparisonSides(svgElements.legendLeftColumn.selectAll(".legend-entry"));
+    markComparisonSides(svgElements.legendRightColumn.selectAll(".legend-entry"));
   }
-  const entryProcessor = new EntryProcessor(config, quadrants, rings, random, random_between);
-  entryProcessor.processEntries(config.entries);
-  const segmented = new Array(num_quadrants);
-  for (let quadrant = 0;quadrant < num_quadrants; quadrant++) {
-    segmented[quadrant] = new Array(num_rings);
-    for (let ring = 0;ring < num_rings; ring++) {
-      segmented[quadrant][ring] = [];
-    }
+}
+function _syncTimeline(config, svgElements, hooks) {
+  if (!config.editions || config.timeline === false) {
+    removeTimeline(config);
+    return;
+  }
+  const selectEdition = hooks.selectEdition || ((edition) => _renderRadar({ ...config, edition }));
+  renderTimeline(svgElements.svg.node().closest(".radar-layout"), config, selectEdition);
+}
+var noopEmit = () => {};
+function _prepareLayout(config, emit, layoutOptions) {
+  if (config.error_mode !== "overlay") {
+    return prepareRadarLayout(config, layoutOptions);
   }
-  for (let i = 0;i < config.entries.length; i++) {
-    const entry = config.entries[i];
-    segmented[entry.quadrant][entry.ring].push(entry);
+  try {
+    const layout = prepareRadarLayout(config, layoutOptions);
+    removeErrorOverlay(config);
+    return layout;
+  } catch (error) {
+    config.svg_id = config.svg || config.svg_id || "radar";
+    const validationErrors = validateConfigAll(config);
+    const errors = validationErrors.length > 0 ? validationErrors : [error];
+    _destroyRadar(config);
+    renderErrorOverlay(config, errors);
+    emit("renderError", { config, errors });
+    return null;
   }
+}
+function _renderRadar(config, hooks = {}, layoutOptions = {}) {
+  const emit = hooks.emit || noopEmit;
+  const layout = _prepareLayout(config, emit, layoutOptions);
+  if (!layout) {
+    return;
+  }
+  const { dimensions, quadrants, rings, outerRadius, segmented } = layout;
+  const num_quadrants = quadrants.length;
+  const num_rings = rings.length;
+  const previousRender = activeRenders.get(config.svg_id);
+  const animate = Boolean(previousRender) && transitionsEnabled(config);
+  const previousBlips = animate ? captureBlips(radarRoot(config).getElementById(scopedId(config, "rink"))) : null;
+  _teardownRender(config.svg_id);
+  const svg = radarRoot(config).getElementById(config.svg_id);
+  svg?.replaceChildren();
+  const cleanupTasks = [];
+  activeRenders.set(config.svg_id, {
+    cleanup: () => {
+      cleanupTasks.forEach((task) => {
+        task();
+      });
+    },
+    quadrantCount: num_quadrants,
+    ringCount: num_rings
+  });
+  const notifyPlugins = _syncPlugins(config, hooks);
   const svgElements = setupSvg(config, quadrants, rings, dimensions);
   const { radar, legendLeftColumn, legendRightColumn, grid } = svgElements;
-  renderGrid(grid, config, quadrants, rings, outer_radius);
-  if (!config.footer) {
-    config.footer = "▲ moved up     ▼ moved down     ★ new     ⬤ no change";
-  }
+  renderGrid(grid, config, quadrants, rings, outerRadius);
   renderTitleAndFooter(radar, config);
   if (config.print_layout) {
     legendLeftColumn.style("display", "flex");
     legendRightColumn.style("display", "flex");
     renderLegendColumns(legendLeftColumn, legendRightColumn, segmented, config, num_quadrants, num_rings, showBubble, hideBubble, highlightLegendItem, unhighlightLegendItem);
+    for (const column of [legendLeftColumn, legendRightColumn]) {
+      bindEntryEvents(column.selectAll(".legend-entry"), config, emit, { click: "legendClick" });
+    }
   } else {
     legendLeftColumn.style("display", "none").html("");
     legendRightColumn.style("display", "none").html("");
   }
-  const rink = radar.append("g").attr("id", "rink");
-  const _bubble = createBubble(radar, config.font_family);
+  const rink = radar.append("g").attr("id", scopedId(config, "rink"));
+  const _bubble = createBubble(radar, config);
   const blips = renderBlips(rink, config.entries, config, showBubble, hideBubble, highlightLegendItem, unhighlightLegendItem);
-  runForceSimulation(config.entries, blips, config);
+  bindEntryEvents(blips, config, emit, { click: "blipClick", hover: "blipHover" });
+  bindBlipKeyboard(blips, config);
+  _attachDetailPanel(config, svgElements, blips, cleanupTasks);
+  _syncTimeline(config, svgElements, hooks);
+  const simulation = runForceSimulation(config.entries, blips, config, { synchronous: animate });
+  cleanupTasks.push(() => simulation.stop());
+  cleanupTasks.push(watchColorScheme(config));
+  _attachComparison(config, svgElements, rink, segmented, simulation);
+  if (animate) {
+    animateBlips(rink, blips, previousBlips, config.transition_duration);
+    if (previousRender.quadrantCount !== num_quadrants || previousRender.ringCount !== num_rings) {
+      fadeIn(grid, config.transition_duration);
+    }
+  }
   if (config.debug_geometry) {
     renderDebugVisualization(radar, config, quadrants, rings, num_quadrants, num_rings, segmented);
   }
+  const description = renderRadarDescription(config, segmented);
+  cleanupTasks.push(() => description?.remove());
   if (config.print_ring_descriptions_table) {
-    renderRingDescriptionsTable(config);
+    const table = renderRingDescriptionsTable(config);
+    cleanupTasks.push(() => table.remove());
   }
+  applyEntryFilter(config, hooks.filter?.());
+  notifyPlugins();
+  emit("render", { config, element: svg });
 }
 function radar_visualization2(initialConfig) {
   let currentConfig = { ...initialConfig };
-  _renderRadar(currentConfig);
+  let destroyed = false;
+  const events = createEventEmitter(RADAR_EVENTS);
+  const pluginHost = createPluginHost({
+    getCurrentConfig: () => ({ ...currentConfig }),
+    applyConfig: (newConfig) => applyConfig({ ...newConfig, plugins: currentConfig.plugins }),
+    onConfigImport: (importedConfig) => applyConfig(jsonIO.mergeConfigs(currentConfig, importedConfig)),
+    filter: (filter) => setFilter(filter),
+    onFilterChange: (handler) => events.on("filterChange", handler),
+    demoSlug: initialConfig.demoSlug || initialConfig.svg_id || "radar"
+  });
+  let currentFilter = null;
+  const hooks = {
+    emit: events.emit,
+    pluginHost,
+    filter: () => currentFilter?.predicate,
+    selectEdition: (edition) => applyConfig({ ...currentConfig, edition })
+  };
+  const assertActive = () => {
+    if (destroyed) {
+      throw new Error("Radar instance has been destroyed");
+    }
+  };
+  const applyConfig = (newConfig, layoutOptions = {}) => {
+    const previousConfig = currentConfig;
+    currentConfig = newConfig;
+    events.emit("configChange", { config: { ...currentConfig }, previousConfig: { ...previousConfig } });
+    _renderRadar(currentConfig, hooks, layoutOptions);
+    pluginHost.notifyConfigChange(jsonIO.sanitizeConfigForExport(currentConfig));
+  };
+  const setFilter = (filter) => {
+    if (typeof filter === "function") {
+      currentFilter = { criteria: null, predicate: filter };
+    } else if (filter) {
+      const predicate = createEntryFilter(filter, currentConfig);
+      currentFilter = isEmptyFilter(filter) ? null : { criteria: { ...filter }, predicate };
+    } else {
+      currentFilter = null;
+    }
+    const matches = applyEntryFilter(currentConfig, currentFilter?.predicate);
+    events.emit("filterChange", { criteria: currentFilter?.criteria ?? null, matches });
+  };
+  let pendingBatch = null;
+  const editEntries = (edit) => {
+    assertActive();
+    const { entries, affectedSegments } = edit(pendingBatch ? pendingBatch.entries : currentConfig.entries || []);
+    validateConfig({ ...currentConfig, entries });
+    if (pendingBatch) {
+      pendingBatch.entries = entries;
+      affectedSegments.forEach((segment) => {
+        pendingBatch.affectedSegments.add(segment);
+      });
+    } else {
+      applyConfig(withEditionEntries(currentConfig, entries), { affectedSegments: new Set(affectedSegments) });
+    }
+  };
+  _renderRadar(currentConfig, hooks);
   const instance = {
     getConfig() {
       return { ...currentConfig };
     },
+    validate() {
+      return validateConfigReport({ ...currentConfig });
+    },
     render(newConfig) {
-      currentConfig = { ...currentConfig, ...newConfig };
-      _renderRadar(currentConfig);
+      assertActive();
+      const merged = { ...currentConfig, ...newConfig };
+      applyConfig(newConfig?.entries && !newConfig.editions ? withEditionEntries(merged, newConfig.entries) : merged);
       return this;
     },
     reset() {
-      currentConfig = { ...initialConfig };
-      _renderRadar(currentConfig);
+      assertActive();
+      applyConfig({ ...initialConfig });
+      return this;
+    },
+    addEntry(entry) {
+      editEntries((entries) => addEntry(entries, entry, currentConfig));
+      return this;
+    },
+    updateEntry(key, patch) {
+      editEntries((entries) => updateEntry(entries, key, patch, currentConfig));
+      return this;
+    },
+    removeEntry(key) {
+      editEntries((entries) => removeEntry(entries, key, currentConfig));
+      return this;
+    },
+    moveEntry(key, target) {
+      editEntries((entries) => moveEntry(entries, key, target, currentConfig));
+      return this;
+    },
+    batch(fn) {
+      assertActive();
+      if (pendingBatch) {
+        fn(this);
+        return this;
+      }
+      const batch = { entries: currentConfig.entries || [], affectedSegments: new Set };
+      pendingBatch = batch;
+      try {
+        fn(this);
+      } finally {
+        pendingBatch = null;
+      }
+      if (batch.entries !== currentConfig.entries) {
+        applyConfig(withEditionEntries(currentConfig, batch.entries), { affectedSegments: batch.affectedSegments });
+      }
+      return this;
+    },
+    filter(filter) {
+      assertActive();
+      setFilter(filter);
+      return this;
+    },
+    destroy() {
+      if (destroyed) {
+        return;
+      }
+      destroyed = true;
+      _destroyRadar(currentConfig);
+      pluginHost.cleanup();
+      events.clear();
+    },
+    on(name, handler) {
+      return events.on(name, handler);
+    },
+    off(name, handler) {
+      events.off(name, handler);
       return this;
     },
     importExport: null,
@@ -1749,6 +10960,12 @@ function radar_visualization2(initialConfig) {
 var jsonIO = createJsonIOHelpers();
 radar_visualization2.jsonIO = jsonIO;
 radar_visualization2.initDemoToolbar = initDemoToolbar;
+radar_visualization2.renderToString = renderToString;
+radar_visualization2.compare = (leftConfig, rightConfig, options = {}) => {
+  const { labels, ...overrides } = options;
+  const config = { ...createComparisonConfig(leftConfig, rightConfig, { labels }), ...overrides };
+  return { instance: radar_visualization2(config), report: compareConfigs(leftConfig, rightConfig) };
+};
 radar_visualization2.render = (config) => {
   _renderRadar(config);
   return config;
@@ -1756,18 +10973,8 @@ radar_visualization2.render = (config) => {
 var src_default = radar_visualization2;
 
 
-
-  // Return the main function (bundler may rename it, so use src_default)
-  return typeof src_default !== 'undefined' ? src_default : radar_visualization;
-})();
-
-// Export for all environments
-if (typeof window !== 'undefined') {
-  window.radar_visualization = radar_visualization;
-}
-if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
-  module.exports = radar_visualization;
-}
-if (typeof global !== 'undefined') {
-  global.radar_visualization = radar_visualization;
-}
+  if (d3) {
+    module.exports.setD3(d3);
+  }
+  return module.exports;
+});
@@ -12,6 +12,7 @@
 import { execSync } from 'node:child_process';
 import { existsSync, readFileSync, unlinkSync, writeFileSync } from 'node:fs';
 import semver from 'semver';
+import { CONFIG_SCHEMA } from '../src/validation/config-schema.js';
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -100,6 +101,40 @@ function formatVersion(version: string): string {
   return version;
 }
 
+// Wrap a CommonJS bundle in UMD: AMD and CommonJS get the module namespace, script tags the
+// global radar_visualization function with the named exports attached (radar_visualization.validateConfig).
+// AMD and CommonJS pass the d3 peer dependency in; script tags use the global d3 unless setD3() injects one.
+function wrapUmd(bundledCode: string): string {
+  return `(function (root, factory) {
+  if (typeof define === 'function' && define.amd) {
+    define(['d3'], factory);
+  } else if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('d3'));
+  } else {
+    var library = factory(null);
+    var radar_visualization = library.default;
+    for (var name in library) {
+      if (name !== 'default' && !(name in radar_visualization)) {
+        radar_visualization[name] = library[name];
+      }
+    }
+    root.radar_visualization = radar_visualization;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (d3) {
+  'use strict';
+
+  var module = { exports: {} };
+
+${bundledCode}
+
+  if (d3) {
+    module.exports.setD3(d3);
+  }
+  return module.exports;
+});
+`;
+}
+
 async function buildRadar() {
   console.log(`Building radar.js version ${version}...`);
 
@@ -138,12 +173,12 @@ async function buildRadar() {
 
   console.log('Phase 1: Bundling ES6 modules from src/...');
 
-  // Step 1: Bundle ES6 modules using Bun's built-in bundler
+  // Step 1: Bundle ES6 modules using Bun's built-in bundler (as CommonJS, wrapped in UMD below)
   const buildResult = await Bun.build({
     entrypoints: [srcInputPath],
     outdir: './temp-build',
     naming: 'bundle.js',
-    format: 'esm',
+    format: 'cjs',
     minify: false,
     target: 'browser',
   });
@@ -153,56 +188,39 @@ async function buildRadar() {
     process.exit(1);
   }
 
-  // Get the bundled ESM output
+  // Get the bundled CommonJS output
   const bundledCode = await buildResult.outputs[0].text();
 
   // Get repository URL and format version
   const repositoryUrl = getRepositoryUrl();
   const displayVersion = formatVersion(version);
 
-  // Wrap in IIFE to make it browser-compatible and expose globally
   const wrappedCode = `// Tech Radar Visualization - Bundled from ES6 modules
 // Version: ${displayVersion}
 // License: MIT
 // Source: ${repositoryUrl}
 
-var radar_visualization = (function() {
-  'use strict';
-
-  ${bundledCode.replace(/export (default |{[^}]+};?)/g, '')}
-
-  // Return the main function (bundler may rename it, so use src_default)
-  return typeof src_default !== 'undefined' ? src_default : radar_visualization;
-})();
-
-// Export for all environments
-if (typeof window !== 'undefined') {
-  window.radar_visualization = radar_visualization;
-}
-if (typeof module !== 'undefined' && typeof module.exports !== 'undefined') {
-  module.exports = radar_visualization;
-}
-if (typeof global !== 'undefined') {
-  global.radar_visualization = radar_visualization;
-}
-`;
+${wrapUmd(bundledCode)}`;
 
   // Write bundled version to docs/radar.js
   writeFileSync(bundledOutputPath, wrappedCode);
   const bundledSize = wrappedCode.length;
   console.log(`✓ Bundled to: ${bundledOutputPath} (${bundledSize.toLocaleString()} bytes)`);
 
+  // Publish the JSON Schema of the configuration for editors and CI checks of radar files
+  const schemaOutputPath = './docs/tech-radar.schema.json';
+  writeFileSync(schemaOutputPath, `${JSON.stringify(CONFIG_SCHEMA, null, 2)}\n`);
+  console.log(`✓ Schema written to: ${schemaOutputPath}`);
+
   // Step 2: Minify using Bun's built-in minifier
   console.log('Phase 2: Minifying with Bun...');
 
-  // Write wrapped code to temp file for minification
-  const tempInputPath = './temp-build/wrapped.js';
-  writeFileSync(tempInputPath, wrappedCode);
-
+  // Minify the CommonJS bundle before wrapping it, so the bundler does not treat the UMD wrapper as a module
   const minifyResult = await Bun.build({
-    entrypoints: [tempInputPath],
+    entrypoints: [srcInputPath],
     outdir: './temp-build',
     naming: 'minified.js',
+    format: 'cjs',
     minify: true,
     target: 'browser',
   });
@@ -213,13 +231,53 @@ if (typeof global !== 'undefined') {
   }
 
   // Get minified output and write to release directory
-  const minifiedCode = await minifyResult.outputs[0].text();
+  const minifiedCode = wrapUmd(await minifyResult.outputs[0].text());
   writeFileSync(minifiedOutputPath, minifiedCode);
 
   // Clean up temp files
-  unlinkSync(tempInputPath);
   unlinkSync('./temp-build/minified.js');
 
+  // Step 3: Bundle the <tech-radar> element with d3 and radar.css, as an ES module
+  console.log('Phase 3: Bundling the <tech-radar> element...');
+  const elementOutputPath = `./docs/release/tech-radar-element-${version}.js`;
+  const elementResult = await Bun.build({
+    entrypoints: ['./src/ui/tech-radar-element.js'],
+    outdir: './temp-build',
+    naming: 'element.js',
+    format: 'esm',
+    minify: true,
+    target: 'browser',
+  });
+
+  if (!elementResult.success) {
+    console.error('❌ Element bundle failed:', elementResult.logs);
+    process.exit(1);
+  }
+  writeFileSync(elementOutputPath, await elementResult.outputs[0].text());
+  unlinkSync('./temp-build/element.js');
+  console.log(`✓ Element bundled to: ${elementOutputPath}`);
+
+  // Step 4: Package entry points: an ES module that imports d3 and yaml from the consumer's
+  // dependencies (see src/module.js), the UMD bundle, and type declarations generated from the JSDoc
+  console.log('Phase 4: Building the package entry points...');
+  const esmResult = await Bun.build({
+    entrypoints: ['./src/module.js'],
+    outdir: './dist',
+    naming: 'tech-radar.js',
+    format: 'esm',
+    minify: false,
+    target: 'browser',
+    external: ['d3', 'yaml'],
+  });
+
+  if (!esmResult.success) {
+    console.error('❌ ES module bundle failed:', esmResult.logs);
+    process.exit(1);
+  }
+  writeFileSync('./dist/tech-radar.umd.cjs', wrappedCode);
+  execSync('bun run types', { stdio: 'inherit' });
+  console.log('✓ Package built to: ./dist (tech-radar.js, tech-radar.umd.cjs, types/)');
+
   // Get minified size
   const minifiedSize = minifiedCode.length;
   const reduction = ((1 - minifiedSize / bundledSize) * 100).toFixed(1);
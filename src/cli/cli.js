@@ -0,0 +1,478 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * CLI Module
+ *
+ * The `tech-radar` command line tool: validates, converts, renders, compares and
+ * counts radar configurations with the same modules the browser build uses. File
+ * access and output go through an `io` object (see bin/tech-radar.js), so the
+ * commands run the same in tests.
+ *
+ * Exit codes: 0 on success, 1 for invalid configurations (or warnings with
+ * `--strict`), 2 for usage errors and unreadable or malformed files.
+ */
+
+import { parseArgs } from 'node:util';
+import { exportByor, importByor } from '../integration/byor-io.js';
+import { parseEntriesCsv, stringifyEntriesCsv } from '../integration/csv-io.js';
+import { parseYamlConfig, stringifyYamlConfig } from '../integration/yaml-io.js';
+import { compareConfigs, formatComparisonReport } from '../processing/config-comparison.js';
+import { applyEditionHistory, editionIndex } from '../processing/edition-history.js';
+import { computeRadarStats } from '../processing/radar-stats.js';
+import { renderToString } from '../rendering/headless-renderer.js';
+import { validateConfigReport } from '../validation/config-validator.js';
+
+/**
+ * Exit codes of the CLI.
+ */
+export const EXIT_CODES = { ok: 0, invalid: 1, usage: 2 };
+
+const INPUT_FORMATS = ['json', 'yaml', 'csv', 'byor'];
+
+const OUTPUT_FORMATS = ['json', 'yaml', 'csv', 'byor'];
+
+const FILE_FORMATS = { '.json': 'json', '.yaml': 'yaml', '.yml': 'yaml', '.csv': 'csv' };
+
+const USAGE = `Usage: tech-radar <command> [options]
+
+Commands:
+  validate <file>          Validate a configuration; exits with 1 if it has errors
+  convert <file>           Convert a configuration between json, yaml, csv and byor
+  render <file>            Render a configuration to SVG or HTML
+  diff <left> [right]      Compare two configurations, or two editions of one configuration
+  stats <file>             Count entries per quadrant and ring
+
+Options:
+  --from <format>          Input format: json, yaml, csv or byor (default: from the file extension)
+  --to <format>            convert: output format (default: from the output file extension)
+  -o, --output <file>      Write to a file instead of stdout
+  --base <file>            Configuration the input is merged into, e.g. the quadrants and rings
+                           of an entries-only file
+  --edition <edition>      Edition (index or date) of a configuration with editions;
+                           diff takes it twice (default: the last two editions)
+  --format <format>        validate, stats: text or json; render: svg or html; diff: markdown or json
+  --strict                 validate: exit with 1 on warnings too
+  --stylesheet <file>      render: CSS inlined into the HTML page
+  --theme <theme>          render: theme preset (light, dark, high-contrast or print-grayscale)
+  -h, --help               Show this help
+`;
+
+const OPTIONS = {
+  from: { type: 'string' },
+  to: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+  base: { type: 'string' },
+  edition: { type: 'string', multiple: true },
+  format: { type: 'string' },
+  strict: { type: 'boolean' },
+  stylesheet: { type: 'string' },
+  theme: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+/**
+ * Error for wrong command lines and unreadable or malformed files (exit code 2).
+ */
+class UsageError extends Error {}
+
+/**
+ * Returns the format of a file from its extension.
+ *
+ * @param {string} path - File path
+ * @returns {string|undefined} Format, if the extension is known
+ */
+function fileFormat(path) {
+  const extension = path.match(/\.[^./\\]+$/)?.[0].toLowerCase();
+  return FILE_FORMATS[extension];
+}
+
+/**
+ * Checks that a format is one of the supported ones.
+ *
+ * @param {string} format - Format
+ * @param {Array<string>} formats - Supported formats
+ * @param {string} option - Option the format was given with, for the error message
+ * @returns {string} The format
+ * @throws {UsageError} For unsupported formats
+ */
+function checkFormat(format, formats, option) {
+  if (!formats.includes(format)) {
+    throw new UsageError(`Unsupported ${option} format: ${format} (expected one of: ${formats.join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * Reads a text file.
+ *
+ * @param {Object} io - CLI io
+ * @param {string} path - File path
+ * @returns {string} File content
+ * @throws {UsageError} If the file cannot be read
+ */
+function readText(io, path) {
+  try {
+    return io.readFile(path);
+  } catch (error) {
+    throw new UsageError(`Cannot read ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Reads a configuration in any input format.
+ *
+ * @param {Object} io - CLI io
+ * @param {string} path - File path
+ * @param {Object} options - Parsed options (`from`, `base`)
+ * @returns {{config: Object, format: string, text: string}} Configuration (merged into the
+ *   --base configuration), its format and source
+ * @throws {UsageError} If the file cannot be read or parsed
+ * @throws {ConfigValidationError} If the content does not fit a configuration (e.g. an unknown CSV ring)
+ */
+function readConfig(io, path, options) {
+  const format = options.from ? checkFormat(options.from, INPUT_FORMATS, 'input') : fileFormat(path);
+  if (!format) {
+    throw new UsageError(`Cannot tell the format of ${path}; use --from`);
+  }
+
+  const base = options.base ? readConfig(io, options.base, {}).config : {};
+  const text = readText(io, path);
+  const parse = {
+    json: () => JSON.parse(text),
+    yaml: () => parseYamlConfig(text),
+    byor: () => importByor(text),
+    csv: () => ({ entries: parseEntriesCsv(text, base) }),
+  };
+  try {
+    return { config: { ...base, ...parse[format]() }, format, text };
+  } catch (error) {
+    // Syntax errors, and errors about the file as a whole rather than a field, make the file malformed
+    if (error instanceof SyntaxError || error.field === format) {
+      throw new UsageError(`Cannot parse ${path}: ${error.message}`);
+    }
+    error.message = `${path}: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Parses an --edition value: a date of the editions, or an index.
+ *
+ * @param {Array<Object>} [editions] - Editions of the configuration
+ * @param {string} [value] - Option value
+ * @returns {number|string|undefined} Edition for editionIndex
+ */
+function parseEdition(editions, value) {
+  if (value === undefined || (editions || []).some(edition => edition?.date === value)) {
+    return value;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+/**
+ * Shows one edition of a configuration (configurations without editions are returned as copies).
+ *
+ * @param {Object} config - Configuration
+ * @param {string} [edition] - --edition value
+ * @returns {Object} Configuration with the entries of the edition
+ */
+function selectEdition(config, edition) {
+  const selected = parseEdition(config.editions, edition);
+  return applyEditionHistory(selected === undefined ? { ...config } : { ...config, edition: selected });
+}
+
+/**
+ * Writes command output to the --output file or stdout.
+ *
+ * @param {Object} io - CLI io
+ * @param {Object} options - Parsed options (`output`)
+ * @param {string} text - Output
+ */
+function writeOutput(io, options, text) {
+  const output = text.endsWith('\n') ? text : `${text}\n`;
+  if (options.output) {
+    io.writeFile(options.output, output);
+  } else {
+    io.stdout(output);
+  }
+}
+
+/**
+ * Returns the single file argument of a command.
+ *
+ * @param {Array<string>} files - File arguments
+ * @param {string} command - Command name
+ * @returns {string} File path
+ * @throws {UsageError} Unless there is exactly one file
+ */
+function singleFile(files, command) {
+  if (files.length !== 1) {
+    throw new UsageError(`${command} takes one file (found: ${files.length})`);
+  }
+  return files[0];
+}
+
+/**
+ * Formats a validation report as text.
+ *
+ * @param {string} path - Validated file
+ * @param {Object} report - Result of validateConfigReport()
+ * @returns {string} Report, one problem per line
+ */
+function formatValidationReport(path, report) {
+  const count = (number, noun) => `${number} ${noun}${number === 1 ? '' : 's'}`;
+  if (report.errors.length === 0 && report.warnings.length === 0) {
+    return `${path}: valid`;
+  }
+  const problems = [...report.errors, ...report.warnings].map(
+    problem => `  ${problem.severity.padEnd(8)}${problem.field}  ${problem.message}`
+  );
+  return [
+    `${path}: ${count(report.errors.length, 'error')}, ${count(report.warnings.length, 'warning')}`,
+    ...problems,
+  ].join('\n');
+}
+
+/**
+ * `validate <file>`: validates a configuration.
+ *
+ * @param {Array<string>} files - File arguments
+ * @param {Object} options - Parsed options
+ * @param {Object} io - CLI io
+ * @returns {number} Exit code
+ */
+function validateCommand(files, options, io) {
+  const path = singleFile(files, 'validate');
+  const format = checkFormat(options.format ?? 'text', ['text', 'json'], 'report');
+  const { config } = readConfig(io, path, options);
+  const report = validateConfigReport(selectEdition(config, options.edition?.[0]));
+
+  writeOutput(
+    io,
+    options,
+    format === 'json' ? JSON.stringify({ file: path, ...report }, null, 2) : formatValidationReport(path, report)
+  );
+  const failed = !report.valid || (options.strict && report.warnings.length > 0);
+  return failed ? EXIT_CODES.invalid : EXIT_CODES.ok;
+}
+
+/**
+ * `convert <file>`: converts a configuration to another format.
+ *
+ * @param {Array<string>} files - File arguments
+ * @param {Object} options - Parsed options
+ * @param {Object} io - CLI io
+ * @returns {number} Exit code
+ */
+function convertCommand(files, options, io) {
+  const path = singleFile(files, 'convert');
+  const to = options.to ?? (options.output && fileFormat(options.output));
+  if (!to) {
+    throw new UsageError('convert needs an output format; use --to');
+  }
+  checkFormat(to, OUTPUT_FORMATS, 'output');
+
+  const { config, format, text } = readConfig(io, path, options);
+  const serialize = {
+    json: () => JSON.stringify(config, null, 2),
+    // Converting YAML to YAML keeps its comments and formatting
+    yaml: () => stringifyYamlConfig(config, { source: format === 'yaml' ? text : undefined }),
+    csv: () => stringifyEntriesCsv(config),
+    byor: () => exportByor(config, { format: options.output?.toLowerCase().endsWith('.json') ? 'json' : 'csv' }),
+  };
+  writeOutput(io, options, serialize[to]());
+  return EXIT_CODES.ok;
+}
+
+/**
+ * `render <file>`: renders a configuration to SVG or HTML.
+ *
+ * @param {Array<string>} files - File arguments
+ * @param {Object} options - Parsed options
+ * @param {Object} io - CLI io
+ * @returns {number} Exit code
+ */
+function renderCommand(files, options, io) {
+  const path = singleFile(files, 'render');
+  const fromOutput = options.output?.toLowerCase().endsWith('.html') ? 'html' : 'svg';
+  const format = checkFormat(options.format ?? fromOutput, ['svg', 'html'], 'render');
+  const { config } = readConfig(io, path, options);
+  const stylesheet = options.stylesheet ? readText(io, options.stylesheet) : '';
+  const edition = selectEdition(config, options.edition?.[0]);
+  const selected = options.theme ? { ...edition, theme: options.theme } : edition;
+
+  // Report every error, not just the first one rendering stops at
+  const report = validateConfigReport(selected);
+  if (!report.valid) {
+    io.stderr(`${formatValidationReport(path, report)}\n`);
+    return EXIT_CODES.invalid;
+  }
+  writeOutput(io, options, renderToString(selected, { format, d3: io.d3, stylesheet }));
+  return EXIT_CODES.ok;
+}
+
+/**
+ * Resolves the two sides of `diff`: two files, or two editions of one file.
+ *
+ * @param {Array<string>} files - File arguments
+ * @param {Object} options - Parsed options
+ * @param {Object} io - CLI io
+ * @returns {{left: Object, right: Object, labels: Array<string>}} Compared configurations and their names
+ */
+function diffSides(files, options, io) {
+  if (files.length === 2) {
+    const [left, right] = files.map(file => selectEdition(readConfig(io, file, options).config));
+    return { left, right, labels: files };
+  }
+  if (files.length !== 1) {
+    throw new UsageError(`diff takes one or two files (found: ${files.length})`);
+  }
+
+  const { config } = readConfig(io, files[0], options);
+  const editions = config.editions || [];
+  if (editions.length < 2) {
+    throw new UsageError(`${files[0]} has no two editions to compare; pass two files`);
+  }
+  const selected = options.edition ?? [editions.length - 2, editions.length - 1].map(String);
+  if (selected.length !== 2) {
+    throw new UsageError(`diff takes two editions (found: ${selected.length})`);
+  }
+  const [left, right] = selected.map(edition => {
+    if (editionIndex(editions, parseEdition(editions, edition)) === -1) {
+      throw new UsageError(`Unknown edition: ${edition}`);
+    }
+    return selectEdition(config, edition);
+  });
+  return { left, right, labels: [left.date, right.date] };
+}
+
+/**
+ * `diff <left> [right]`: compares two configurations or editions.
+ *
+ * @param {Array<string>} files - File arguments
+ * @param {Object} options - Parsed options
+ * @param {Object} io - CLI io
+ * @returns {number} Exit code
+ */
+function diffCommand(files, options, io) {
+  const format = checkFormat(options.format ?? 'markdown', ['markdown', 'json'], 'report');
+  const { left, right, labels } = diffSides(files, options, io);
+  const report = compareConfigs(left, right);
+
+  if (format === 'json') {
+    const labelsOf = entries => entries.map(entry => entry.label);
+    const json = {
+      left: labels[0],
+      right: labels[1],
+      ringDifferences: report.ringDifferences.map(({ key, label, leftRing, rightRing }) => ({
+        key,
+        label,
+        leftRing,
+        rightRing,
+      })),
+      onlyLeft: labelsOf(report.onlyLeft),
+      onlyRight: labelsOf(report.onlyRight),
+      linkConflicts: report.linkConflicts.map(({ key, label, left, right }) => ({
+        key,
+        label,
+        leftLink: left.link,
+        rightLink: right.link,
+      })),
+    };
+    writeOutput(io, options, JSON.stringify(json, null, 2));
+  } else {
+    writeOutput(io, options, formatComparisonReport(report, labels));
+  }
+  return EXIT_CODES.ok;
+}
+
+/**
+ * Formats radar stats as a table of quadrants (rows) and rings (columns).
+ *
+ * @param {Object} stats - Result of computeRadarStats()
+ * @returns {string} Stats table with totals
+ */
+function formatStats(stats) {
+  const header = ['', ...stats.rings.map(ring => ring.name), 'Total'];
+  const rows = [
+    header,
+    ...stats.quadrants.map((quadrant, index) => [quadrant.name, ...stats.segments[index], quadrant.count]),
+    ['Total', ...stats.rings.map(ring => ring.count), stats.total - stats.unplaced.length],
+  ].map(cells => cells.map(String));
+  const widths = header.map((_, column) => Math.max(...rows.map(cells => cells[column].length)));
+  const table = rows.map(cells =>
+    cells.map((cell, column) => (column === 0 ? cell.padEnd(widths[0]) : cell.padStart(widths[column]))).join('  ')
+  );
+
+  const { moved } = stats;
+  return [
+    `Entries: ${stats.total} (${stats.inactive} inactive)`,
+    `Moved: ${moved.new} new, ${moved.in} in, ${moved.out} out, ${moved.unchanged} unchanged`,
+    ...(stats.unplaced.length ? [`Unplaced: ${stats.unplaced.map(entry => entry.label).join(', ')}`] : []),
+    '',
+    ...table.map(line => line.trimEnd()),
+  ].join('\n');
+}
+
+/**
+ * `stats <file>`: counts entries per quadrant and ring.
+ *
+ * @param {Array<string>} files - File arguments
+ * @param {Object} options - Parsed options
+ * @param {Object} io - CLI io
+ * @returns {number} Exit code
+ */
+function statsCommand(files, options, io) {
+  const path = singleFile(files, 'stats');
+  const format = checkFormat(options.format ?? 'text', ['text', 'json'], 'report');
+  const { config } = readConfig(io, path, options);
+  const stats = computeRadarStats(selectEdition(config, options.edition?.[0]));
+
+  const json = () => JSON.stringify({ ...stats, unplaced: stats.unplaced.map(entry => entry.label) }, null, 2);
+  writeOutput(io, options, format === 'json' ? json() : formatStats(stats));
+  return EXIT_CODES.ok;
+}
+
+const COMMANDS = {
+  validate: validateCommand,
+  convert: convertCommand,
+  render: renderCommand,
+  diff: diffCommand,
+  stats: statsCommand,
+};
+
+/**
+ * Runs the CLI.
+ *
+ * @param {Array<string>} args - Command line arguments (without the node and script paths)
+ * @param {Object} io - File access and output
+ * @param {Function} io.readFile - Returns the text of a file (path)
+ * @param {Function} io.writeFile - Writes a text file (path, text)
+ * @param {Function} io.stdout - Writes to standard output (text)
+ * @param {Function} io.stderr - Writes to standard error (text)
+ * @param {Object} [io.d3] - d3 namespace used by `render` (defaults to the global `d3`)
+ * @returns {number} Exit code (see EXIT_CODES)
+ */
+export function runCli(args, io) {
+  try {
+    const { values, positionals } = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    const [command, ...files] = positionals;
+    if (values.help || !command) {
+      (values.help ? io.stdout : io.stderr)(USAGE);
+      return values.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+    }
+    if (!Object.hasOwn(COMMANDS, command)) {
+      throw new UsageError(`Unknown command: ${command}`);
+    }
+    return COMMANDS[command](files, values, io);
+  } catch (error) {
+    io.stderr(`tech-radar: ${error.message}\n`);
+    const usage = error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS');
+    if (usage) {
+      io.stderr('Run tech-radar --help for usage.\n');
+    }
+    return usage ? EXIT_CODES.usage : EXIT_CODES.invalid;
+  }
+}
@@ -21,23 +21,20 @@ import { computeLegendOffsets } from '../rendering/helpers.js';
  * Handles responsive viewport scaling and grid complexity adjustments.
  *
  * @param {Object} config - User-provided configuration object
+ * @param {{width: number, height: number}|null} [viewport] - Viewport size used for responsive
+ *   scaling; defaults to the browser window, pass null to skip scaling (headless rendering)
  */
 // biome-ignore lint/complexity/noExcessiveCognitiveComplexity: Legacy function with many config options
-export function applyConfigDefaults(config) {
+export function applyConfigDefaults(config, viewport = readViewport()) {
   // SVG element configuration
-  config.svg_id = config.svg || 'radar';
+  config.svg_id = config.svg || config.svg_id || 'radar';
   config.width = config.width || 1450;
   config.height = config.height || 1000;
 
-  // Color scheme
-  config.colors =
-    'colors' in config
-      ? config.colors
-      : {
-          background: '#fff',
-          grid: '#dddde0',
-          inactive: '#ddd',
-        };
+  // Color scheme: colors come from the theme (see resolveTheme) and are not written to the config, so a
+  // re-render with another theme is not held back by the colors of the previous one. 'dark' shows the
+  // dark variant of the theme, 'auto' follows prefers-color-scheme
+  config.color_scheme = config.color_scheme || 'light';
 
   // Layout flags
   config.print_layout = 'print_layout' in config ? config.print_layout : true;
@@ -62,13 +59,28 @@ export function applyConfigDefaults(config) {
   // Debug mode
   config.debug_geometry = 'debug_geometry' in config ? config.debug_geometry : false;
 
-  // Apply responsive scaling for smaller viewports
-  const viewport_width = window.innerWidth || document.documentElement.clientWidth;
-  const viewport_height = window.innerHeight || document.documentElement.clientHeight;
+  // Layout seed (change it to reshuffle entry positions)
+  config.seed = 'seed' in config ? config.seed : 42;
+
+  // Re-render animation length in milliseconds (0 disables transitions, e.g. for print)
+  config.transition_duration = 'transition_duration' in config ? config.transition_duration : 750;
+
+  // Entry detail panel opened on blip and legend clicks
+  config.detail_panel = 'detail_panel' in config ? config.detail_panel : false;
+
+  // How entries that do not match a filter are shown ('dim' or 'hide')
+  config.filter_mode = config.filter_mode || 'dim';
 
-  if (viewport_width < 1024 && !config.scale) {
+  // How invalid configurations are reported ('throw', or 'overlay' to list the errors next to the SVG)
+  config.error_mode = config.error_mode || 'throw';
+
+  // Timeline control for radars with an edition history
+  config.timeline = 'timeline' in config ? config.timeline : true;
+
+  // Apply responsive scaling for smaller viewports
+  if (viewport && viewport.width < 1024 && !config.scale) {
     // Mobile/tablet scaling
-    const scale_factor = Math.min(viewport_width / 1450, viewport_height / 1000);
+    const scale_factor = Math.min(viewport.width / 1450, viewport.height / 1000);
     config.scale = Math.max(0.5, Math.min(1, scale_factor));
   }
 
@@ -94,6 +106,22 @@ export function applyConfigDefaults(config) {
   }
 }
 
+/**
+ * Reads the current browser viewport size.
+ *
+ * @returns {{width: number, height: number}|null} Viewport size, or null outside a browser
+ */
+export function readViewport() {
+  if (typeof window === 'undefined' || typeof document === 'undefined') {
+    return null;
+  }
+
+  return {
+    width: window.innerWidth || document.documentElement.clientWidth,
+    height: window.innerHeight || document.documentElement.clientHeight,
+  };
+}
+
 /**
  * Calculates dimensions for the radar visualization.
  *
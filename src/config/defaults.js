@@ -27,11 +27,8 @@ export const CONFIG_DEFAULTS = {
   svg_id: 'radar',
   width: 1450,
   height: 1000,
-  colors: {
-    background: '#fff',
-    grid: '#dddde0',
-    inactive: '#ddd',
-  },
+  theme: 'light',
+  color_scheme: 'light',
   print_layout: true,
   links_in_new_tabs: true,
   repo_url: '#',
@@ -45,11 +42,15 @@ export const CONFIG_DEFAULTS = {
   legend_vertical_spacing: 20,
   debug_geometry: false,
   seed: 42,
+  transition_duration: 750,
+  detail_panel: false,
+  filter_mode: 'dim',
+  error_mode: 'throw',
+  timeline: true,
 };
 
 /**
  * Applies default values to user configuration.
- * Performs deep merge for nested objects like colors.
  *
  * @param {Object} userConfig - User-provided configuration
  * @returns {Object} Configuration with defaults applied
@@ -60,14 +61,6 @@ export function applyDefaults(userConfig) {
     ...userConfig,
   };
 
-  // Deep merge colors
-  if (userConfig.colors) {
-    config.colors = {
-      ...CONFIG_DEFAULTS.colors,
-      ...userConfig.colors,
-    };
-  }
-
   // Handle svg_id alias (svg or svg_id)
   config.svg_id = userConfig.svg || userConfig.svg_id || CONFIG_DEFAULTS.svg_id;
 
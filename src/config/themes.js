@@ -0,0 +1,314 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Themes Module
+ *
+ * Colors and font sizes of the radar come from a theme: a named preset
+ * (`theme: 'dark'`) or a theme object that overrides single values of a preset
+ * (`theme: { preset: 'dark', grid: '#444' }`). The `colors` option (background,
+ * grid, inactive) still overrides the theme.
+ *
+ * The renderers emit the theme as CSS custom properties on the SVG (`--radar-grid`,
+ * `--radar-bubble-background`, ...) with zero specificity, so page stylesheets
+ * can restyle a radar by setting the properties, without `!important`.
+ */
+
+/**
+ * Theme presets. Values are CSS colors, except `color_scheme` (light or dark),
+ * `title_font_size` (pixels) and `ring_colors` (replaces the ring colors when
+ * set, e.g. for grayscale printing).
+ */
+export const THEMES = {
+  light: {
+    color_scheme: 'light',
+    background: '#fff',
+    text: '#000',
+    muted_text: '#999',
+    grid: '#dddde0',
+    ring_fill: 'rgba(0, 0, 0, 0.015)',
+    ring_fill_alternate: 'rgba(0, 0, 0, 0.01)',
+    inactive: '#ddd',
+    blip_text: '#fff',
+    bubble_background: '#333',
+    bubble_text: '#fff',
+    title_font_size: 34,
+    ring_colors: null,
+  },
+  dark: {
+    color_scheme: 'dark',
+    background: '#1e1f22',
+    text: '#e8e8ea',
+    muted_text: '#8b8d93',
+    grid: '#5c5f66',
+    ring_fill: 'rgba(255, 255, 255, 0.035)',
+    ring_fill_alternate: 'rgba(255, 255, 255, 0.02)',
+    inactive: '#4a4c52',
+    blip_text: '#fff',
+    bubble_background: '#e8e8ea',
+    bubble_text: '#1e1f22',
+    title_font_size: 34,
+    ring_colors: null,
+  },
+  'high-contrast': {
+    color_scheme: 'light',
+    background: '#fff',
+    text: '#000',
+    muted_text: '#000',
+    grid: '#000',
+    ring_fill: 'rgba(0, 0, 0, 0.06)',
+    ring_fill_alternate: 'transparent',
+    inactive: '#767676',
+    blip_text: '#fff',
+    bubble_background: '#000',
+    bubble_text: '#fff',
+    title_font_size: 38,
+    ring_colors: ['#005a00', '#00529b', '#8a4b00', '#b00020', '#6a1b9a', '#00574b', '#4e342e', '#000'],
+  },
+  'print-grayscale': {
+    color_scheme: 'light',
+    background: '#fff',
+    text: '#000',
+    muted_text: '#555',
+    grid: '#888',
+    ring_fill: 'rgba(0, 0, 0, 0.04)',
+    ring_fill_alternate: 'transparent',
+    inactive: '#ccc',
+    blip_text: '#fff',
+    bubble_background: '#000',
+    bubble_text: '#fff',
+    title_font_size: 34,
+    ring_colors: ['#000', '#3d3d3d', '#666', '#8a8a8a', '#1f1f1f', '#525252', '#777', '#999'],
+  },
+};
+
+export const THEME_NAMES = Object.keys(THEMES);
+
+export const COLOR_SCHEMES = ['auto', 'light', 'dark'];
+
+// Media query of the operating system's dark mode
+export const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+// Minimum contrast of ring colors against a dark background (WCAG non-text contrast)
+const RING_CONTRAST = 3;
+
+// Theme values that are sizes in pixels rather than colors
+const PIXEL_VALUES = ['title_font_size'];
+
+/**
+ * Returns the name of the preset a theme option is based on.
+ *
+ * @param {string|Object} [theme] - Theme option: preset name or theme object
+ * @returns {string} Preset name ('light' if none is set)
+ */
+export function themePreset(theme) {
+  return (typeof theme === 'string' ? theme : theme?.preset) || 'light';
+}
+
+/**
+ * Returns the color scheme a radar is shown in: `color_scheme`, with 'auto'
+ * following the operating system (light outside the browser).
+ *
+ * @param {Object} config - Configuration with optional `color_scheme`
+ * @returns {'light'|'dark'} Color scheme
+ */
+export function activeColorScheme(config) {
+  if (config.color_scheme === 'auto') {
+    return globalThis.matchMedia?.(DARK_SCHEME_QUERY).matches ? 'dark' : 'light';
+  }
+  return config.color_scheme === 'dark' ? 'dark' : 'light';
+}
+
+/**
+ * Resolves the theme of a configuration: the preset, the values of a theme
+ * object, then the `colors` option. In the dark color scheme the light preset
+ * is replaced by the dark one; the other presets are kept. Unknown presets fall
+ * back to light (the validator reports them).
+ *
+ * @param {Object} config - Configuration with optional `theme`, `colors` and `color_scheme`
+ * @returns {Object} Theme with every value of THEMES.light
+ */
+export function resolveTheme(config) {
+  const { theme, colors } = config;
+  const name = themePreset(theme);
+  const preset = name === 'light' && activeColorScheme(config) === 'dark' ? THEMES.dark : THEMES[name] || THEMES.light;
+  const { preset: _preset, ...values } = typeof theme === 'object' && theme !== null ? theme : {};
+  const overrides = Object.entries({ ...values, ...colors }).filter(
+    ([, value]) => value !== undefined && value !== null
+  );
+  return { ...preset, ...Object.fromEntries(overrides) };
+}
+
+/**
+ * Parses a hex (`#rgb`, `#rrggbb`) or `rgb()`/`rgba()` color.
+ *
+ * @param {string} color - CSS color
+ * @returns {Array<number>|null} Red, green and blue (0-255), or null for other notations
+ */
+function parseColor(color) {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+  if (hex) {
+    const digits = hex[1].length === 3 ? [...hex[1]].map(digit => digit + digit) : hex[1].match(/../g);
+    return digits.map(pair => Number.parseInt(pair, 16));
+  }
+  const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(String(color).trim());
+  return rgb ? rgb.slice(1, 4).map(Number) : null;
+}
+
+/**
+ * Returns the relative luminance of a color (WCAG 2).
+ *
+ * @param {Array<number>} rgb - Red, green and blue (0-255)
+ * @returns {number} Luminance between 0 (black) and 1 (white)
+ */
+function luminance(rgb) {
+  const [r, g, b] = rgb.map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * Returns the contrast ratio of two colors (WCAG 2).
+ *
+ * @param {string} color - CSS color
+ * @param {string} background - CSS color
+ * @returns {number|null} Ratio between 1 and 21, or null if a color can't be parsed
+ */
+export function contrastRatio(color, background) {
+  const foreground = parseColor(color);
+  const back = parseColor(background);
+  if (!foreground || !back) {
+    return null;
+  }
+  const [lighter, darker] = [luminance(foreground), luminance(back)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Lightens a color until it stands out against a dark background.
+ *
+ * @param {string} color - CSS color
+ * @param {string} background - Background color
+ * @returns {string} The color, or a lighter hex color
+ */
+function readableOnDark(color, background) {
+  const rgb = parseColor(color);
+  if (!rgb || (contrastRatio(color, background) ?? RING_CONTRAST) >= RING_CONTRAST) {
+    return color;
+  }
+  let lighter = color;
+  for (let step = 1; step <= 10 && contrastRatio(lighter, background) < RING_CONTRAST; step++) {
+    const mixed = rgb.map(channel => Math.round(channel + ((255 - channel) * step) / 10));
+    lighter = `#${mixed.map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+  }
+  return lighter;
+}
+
+/**
+ * Returns the color of a ring: the theme's ring color, or the ring's own color.
+ * Dark themes lighten ring colors that would be hard to see on their background.
+ *
+ * @param {Object} theme - Resolved theme (see resolveTheme)
+ * @param {Array<Object>} rings - Ring configurations
+ * @param {number} index - Ring index
+ * @returns {string} CSS color
+ */
+export function ringColor(theme, rings, index) {
+  const color = theme.ring_colors?.[index % theme.ring_colors.length] || rings[index].color;
+  return theme.color_scheme === 'dark' ? readableOnDark(color, theme.background) : color;
+}
+
+/**
+ * Returns the color of an entry's blip: its ring color, or the inactive color
+ * for inactive entries (unless printed).
+ *
+ * @param {Object} theme - Resolved theme
+ * @param {Object} config - Configuration with rings and print_layout
+ * @param {Object} entry - Entry with a ring index
+ * @returns {string} CSS color
+ */
+export function entryColor(theme, config, entry) {
+  return entry.active || config.print_layout ? ringColor(theme, config.rings, entry.ring) : theme.inactive;
+}
+
+/**
+ * Returns the CSS custom property a theme value is emitted as.
+ *
+ * @param {string} key - Theme key, e.g. 'bubble_background'
+ * @returns {string} Property name, e.g. '--radar-bubble-background'
+ */
+export function themeProperty(key) {
+  return `--radar-${key.replace(/_/g, '-')}`;
+}
+
+/**
+ * Formats a theme value as CSS.
+ *
+ * @param {Object} theme - Resolved theme
+ * @param {string} key - Theme key
+ * @returns {string} CSS value
+ */
+function cssValue(theme, key) {
+  return PIXEL_VALUES.includes(key) ? `${theme[key]}px` : String(theme[key]);
+}
+
+/**
+ * Returns a CSS value that reads a theme value from its custom property, with
+ * the resolved value as fallback (for SVG viewers without custom properties).
+ *
+ * @param {Object} theme - Resolved theme
+ * @param {string} key - Theme key, e.g. 'grid'
+ * @returns {string} CSS value, e.g. 'var(--radar-grid, #dddde0)'
+ */
+export function themeVar(theme, key) {
+  return `var(${themeProperty(key)}, ${cssValue(theme, key)})`;
+}
+
+/**
+ * Returns a CSS value that reads a ring color from its custom property.
+ *
+ * @param {Object} theme - Resolved theme
+ * @param {Array<Object>} rings - Ring configurations
+ * @param {number} index - Ring index
+ * @returns {string} CSS value, e.g. 'var(--radar-ring-color-0, #5ba300)'
+ */
+export function ringColorVar(theme, rings, index) {
+  return `var(${themeProperty(`ring_color_${index}`)}, ${ringColor(theme, rings, index)})`;
+}
+
+/**
+ * Returns the fill of an entry's blip: like entryColor, but read from the
+ * theme's custom properties.
+ *
+ * @param {Object} theme - Resolved theme
+ * @param {Object} config - Configuration with rings and print_layout
+ * @param {Object} entry - Entry with a ring index
+ * @returns {string} CSS value, e.g. 'var(--radar-ring-color-0, #5ba300)'
+ */
+export function entryColorVar(theme, config, entry) {
+  return entry.active || config.print_layout
+    ? ringColorVar(theme, config.rings, entry.ring)
+    : themeVar(theme, 'inactive');
+}
+
+/**
+ * Returns the custom properties of a theme, ring colors included
+ * (`--radar-ring-color-0`, ...), and its `color-scheme`.
+ *
+ * @param {Object} theme - Resolved theme
+ * @param {Array<Object>} rings - Ring configurations
+ * @returns {Array<[string, string]>} Property names and CSS values
+ */
+export function themeProperties(theme, rings) {
+  const properties = Object.keys(THEMES.light)
+    .filter(key => key !== 'ring_colors' && key !== 'color_scheme')
+    .map(key => [themeProperty(key), cssValue(theme, key)]);
+  properties.push(['color-scheme', theme.color_scheme]);
+  rings.forEach((_ring, index) => {
+    properties.push([themeProperty(`ring_color_${index}`), ringColor(theme, rings, index)]);
+  });
+  return properties;
+}
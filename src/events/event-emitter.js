@@ -0,0 +1,97 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Event Emitter Module
+ *
+ * Minimal synchronous event emitter used by radar instances to notify
+ * consumers about user interactions and lifecycle changes.
+ */
+
+/**
+ * Events a radar instance emits.
+ * - blipClick / blipHover / legendClick: { entry, quadrant, ring, element, event }
+ *   (blipHover also carries `hovered`: true on enter, false on leave)
+ * - render: { config, element }
+ * - configChange: { config, previousConfig }
+ * - filterChange: { criteria, matches } (criteria is null for predicate functions and cleared filters)
+ */
+export const RADAR_EVENTS = [
+  'blipClick',
+  'blipHover',
+  'legendClick',
+  'render',
+  'renderError',
+  'configChange',
+  'filterChange',
+];
+
+/**
+ * Creates an event emitter restricted to a known set of event names.
+ *
+ * Handler errors are logged and do not stop other handlers or the caller.
+ *
+ * @param {Array<string>} eventNames - Supported event names
+ * @returns {Object} Emitter with on/off/emit methods
+ */
+export function createEventEmitter(eventNames) {
+  const handlers = new Map(eventNames.map(name => [name, new Set()]));
+
+  function handlersOf(name) {
+    const registered = handlers.get(name);
+    if (!registered) {
+      throw new Error(`Unknown event "${name}" (expected one of: ${eventNames.join(', ')})`);
+    }
+    return registered;
+  }
+
+  return {
+    /**
+     * Subscribes a handler to an event.
+     * @param {string} name - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(name, handler) {
+      if (typeof handler !== 'function') {
+        throw new Error(`Handler for "${name}" must be a function`);
+      }
+      handlersOf(name).add(handler);
+      return () => handlersOf(name).delete(handler);
+    },
+
+    /**
+     * Unsubscribes a handler from an event.
+     * @param {string} name - Event name
+     * @param {Function} handler - Previously subscribed handler
+     */
+    off(name, handler) {
+      handlersOf(name).delete(handler);
+    },
+
+    /**
+     * Calls all handlers of an event with the payload.
+     * @param {string} name - Event name
+     * @param {Object} payload - Event payload
+     */
+    emit(name, payload) {
+      for (const handler of Array.from(handlersOf(name))) {
+        try {
+          handler(payload);
+        } catch (error) {
+          console.error(`Error in "${name}" event handler:`, error);
+        }
+      }
+    },
+
+    /**
+     * Removes all handlers.
+     */
+    clear() {
+      for (const registered of handlers.values()) {
+        registered.clear();
+      }
+    },
+  };
+}
@@ -1,20 +1,33 @@
 // The MIT License (MIT)
 // Copyright (c) 2017-2024 Zalando SE
 
-import { applyConfigDefaults, calculateDimensions, configureOffsets } from './config/config-defaults.js';
-import { computeQuadrantBounds, generateQuadrants } from './geometry/quadrant-calculator.js';
-import { generateRings } from './geometry/ring-calculator.js';
-import { createSegment } from './geometry/segment-calculator.js';
+import { THEMES } from './config/themes.js';
+import { createEventEmitter, RADAR_EVENTS } from './events/event-emitter.js';
+import { exportByor, importByor } from './integration/byor-io.js';
 import { createJsonIOHelpers } from './integration/json-io.js';
-import { boundedBox, boundedInterval, boundedRing } from './math/coordinates.js';
-import { SeededRandom } from './math/random.js';
-import { initializePlugins } from './plugins/index.js';
+import { parseYamlConfig, stringifyYamlConfig } from './integration/yaml-io.js';
+import { createPluginHost } from './plugins/index.js';
+import { compareConfigs, createComparisonConfig, formatComparisonReport } from './processing/config-comparison.js';
+import { withEditionEntries } from './processing/edition-history.js';
+import { createEntryFilter, isEmptyFilter } from './processing/entry-filter.js';
+import * as entryOperations from './processing/entry-operations.js';
 import { EntryProcessor } from './processing/entry-processor.js';
+import { prepareRadarLayout } from './processing/radar-layout.js';
+import { computeRadarStats } from './processing/radar-stats.js';
+import { bindBlipKeyboard, renderRadarDescription } from './rendering/accessibility.js';
 import { renderBlips } from './rendering/blip-renderer.js';
+import { watchColorScheme } from './rendering/color-scheme.js';
+import { markComparisonSides, renderComparison } from './rendering/comparison-renderer.js';
 import { renderDebugVisualization } from './rendering/debug-renderer.js';
+import { bindDetailPanel, createDetailPanel } from './rendering/detail-panel.js';
+import { removeErrorOverlay, renderErrorOverlay } from './rendering/error-overlay.js';
+import { applyEntryFilter } from './rendering/filter-renderer.js';
 import { runForceSimulation } from './rendering/force-simulation.js';
 import { renderGrid, renderTitleAndFooter } from './rendering/grid-renderer.js';
+import { renderToString } from './rendering/headless-renderer.js';
+import { radarRoot, removeLayoutStructure, scopedId, setD3 } from './rendering/helpers.js';
 import {
+  bindEntryEvents,
   createBubble,
   hideBubble,
   highlightLegendItem,
@@ -24,94 +37,252 @@ import {
 import { renderLegendColumns } from './rendering/legend-renderer.js';
 import { setupSvg } from './rendering/svg-setup.js';
 import { renderRingDescriptionsTable } from './rendering/table-renderer.js';
+import { removeTimeline, renderTimeline } from './rendering/timeline-renderer.js';
+import { animateBlips, captureBlips, fadeIn, transitionsEnabled } from './rendering/transitions.js';
 import { initDemoToolbar } from './ui/demo-toolbar.js';
-import { validateConfig } from './validation/config-validator.js';
+import { CONFIG_SCHEMA } from './validation/config-schema.js';
+import {
+  ConfigValidationError,
+  validateConfig,
+  validateConfigAll,
+  validateConfigReport,
+} from './validation/config-validator.js';
+
+// Active renders by svg_id ({ cleanup, quadrantCount, ringCount }), so rendering into the same
+// SVG again tears down (and animates from) the previous render
+const activeRenders = new Map();
+
+// Plugin hosts of static renders by svg_id ({ host, config }), so the plugins of an SVG
+// outlive its re-renders like the plugins of an instance
+const staticPluginHosts = new Map();
 
 /**
- * Internal rendering function - performs the actual SVG rendering
- * @param {Object} config - Radar configuration
+ * Tears down the active render of an SVG: force simulation and injected DOM
+ * outside the SVG (ring descriptions table). The SVG content itself is left as is.
+ * @param {string} svgId - Id of the radar SVG element
  */
-function _renderRadar(config) {
-  // Clear existing SVG content
-  const svg = document.getElementById(config.svg_id || 'radar');
+function _teardownRender(svgId) {
+  const activeRender = activeRenders.get(svgId);
+  if (activeRender) {
+    activeRenders.delete(svgId);
+    activeRender.cleanup();
+  }
+}
+
+/**
+ * Removes a rendered radar: tears down the active render and the plugins of static
+ * renders, clears the SVG and unwraps it from the generated layout structure.
+ * @param {Object} config - Configuration with svg_id (and root, see radarRoot)
+ */
+function _destroyRadar(config) {
+  _teardownRender(config.svg_id);
+  _releaseStaticPlugins(config.svg_id);
+
+  removeTimeline(config);
+  removeErrorOverlay(config);
+  const svg = radarRoot(config).getElementById(config.svg_id);
   if (svg) {
     svg.innerHTML = '';
+    removeLayoutStructure(svg);
   }
+}
 
-  applyConfigDefaults(config);
-  const dimensions = calculateDimensions(config);
-  const target_outer_radius = dimensions.target_outer_radius;
+/**
+ * Cleans up the plugins of static renders of an SVG, if any.
+ * @param {string} svgId - Id of the radar SVG element
+ */
+function _releaseStaticPlugins(svgId) {
+  const staticHost = staticPluginHosts.get(svgId);
+  if (staticHost) {
+    staticPluginHosts.delete(svgId);
+    staticHost.host.cleanup();
+  }
+}
 
-  validateConfig(config);
+/**
+ * Returns the plugin host for a render. Plugins live as long as the instance; static
+ * renders share a host per SVG, so plugins are kept (and see the new configuration
+ * through `onConfigChange`) until the SVG is rendered without them.
+ * @param {Object} config - Radar configuration
+ * @param {Object} hooks - Instance hooks (see _renderRadar)
+ * @returns {Object|null} Plugin host, or null when there are no plugins to run
+ */
+function _pluginHostFor(config, hooks) {
+  if (hooks.pluginHost || !config.plugins) {
+    _releaseStaticPlugins(config.svg_id);
+    return hooks.pluginHost || null;
+  }
 
-  // Initialize plugins if provided
-  let _pluginCleanup = null;
-  if (config.plugins) {
-    const pluginContext = {
-      getCurrentConfig: () => config,
-      applyConfig: newConfig => {
-        // Re-render with new config
-        _renderRadar(newConfig);
-      },
-      demoSlug: config.demoSlug || config.svg_id || 'radar',
-    };
+  const existing = staticPluginHosts.get(config.svg_id);
+  if (existing) {
+    existing.config = config;
+    return existing.host;
+  }
 
-    const result = initializePlugins(config.plugins, pluginContext);
-    _pluginCleanup = result.cleanup;
+  const staticHost = { config };
+  staticHost.host = createPluginHost({
+    getCurrentConfig: () => staticHost.config,
+    // Plugin configuration is runtime state: keep it when a plugin applies a stored config
+    applyConfig: newConfig => _renderRadar({ ...newConfig, plugins: staticHost.config.plugins }),
+    onConfigImport: importedConfig => _renderRadar(jsonIO.mergeConfigs(staticHost.config, importedConfig)),
+    demoSlug: config.demoSlug || config.svg_id || 'radar',
+  });
+  staticPluginHosts.set(config.svg_id, staticHost);
+  return staticHost.host;
+}
 
-    // Store plugin instances for access
-    config._pluginInstances = result.plugins;
+/**
+ * Initializes the plugins of a render.
+ * @param {Object} config - Radar configuration
+ * @param {Object} hooks - Instance hooks (see _renderRadar)
+ * @returns {Function} Notifies the plugins of the rendered configuration. Instances notify
+ *   their plugins of config changes themselves; static re-renders notify the plugins they keep
+ */
+function _syncPlugins(config, hooks) {
+  const staticRerender = !hooks.pluginHost && staticPluginHosts.has(config.svg_id);
+  const pluginHost = _pluginHostFor(config, hooks);
+  if (!pluginHost) {
+    return () => {};
   }
 
-  const rng = new SeededRandom(42);
-  const random = () => rng.next();
-  const random_between = (min, max) => rng.between(min, max);
-  const _normal_between = (min, max) => rng.normalBetween(min, max);
+  // Store plugin instances for access
+  config._pluginInstances = pluginHost.sync(config.plugins);
+  return staticRerender ? () => pluginHost.notifyConfigChange(jsonIO.sanitizeConfigForExport(config)) : () => {};
+}
 
-  const num_quadrants = config.quadrants.length;
-  const quadrants = generateQuadrants(num_quadrants);
+/**
+ * Adds the entry detail panel to a render (when `detail_panel` is enabled) and opens it
+ * on blip and legend clicks.
+ * @param {Object} config - Radar configuration
+ * @param {Object} svgElements - Result of setupSvg()
+ * @param {Object} blips - D3 selection of the rendered blips
+ * @param {Array<Function>} cleanupTasks - Cleanup tasks of the render
+ */
+function _attachDetailPanel(config, svgElements, blips, cleanupTasks) {
+  if (!config.detail_panel) {
+    return;
+  }
 
-  const num_rings = config.rings.length;
-  const rings = generateRings(num_rings, target_outer_radius);
-  const outer_radius = rings[rings.length - 1].radius;
+  const { svg, legendLeftColumn, legendRightColumn } = svgElements;
+  const detailPanel = createDetailPanel(svg.node().closest('.radar-layout'), config);
+  bindDetailPanel(blips, detailPanel);
+  bindDetailPanel(legendLeftColumn.selectAll('.legend-entry'), detailPanel);
+  bindDetailPanel(legendRightColumn.selectAll('.legend-entry'), detailPanel);
+  cleanupTasks.push(detailPanel.remove);
+}
 
-  const _quadrant_bounds = quadrants.map(q =>
-    computeQuadrantBounds(q.radial_min * Math.PI, q.radial_max * Math.PI, outer_radius)
-  );
+/**
+ * Draws the comparison arrows of a comparison overlay (see radar_visualization.compare)
+ * and marks blips and legend items with their side.
+ * @param {Object} config - Radar configuration
+ * @param {Object} svgElements - Result of setupSvg()
+ * @param {Object} rink - D3 selection of the blip container
+ * @param {Array<Array<Array<Object>>>} segmented - Entries by [quadrant][ring]
+ * @param {Object} simulation - Force simulation moving the blips
+ */
+function _attachComparison(config, svgElements, rink, segmented, simulation) {
+  if (config.comparison) {
+    renderComparison(rink, segmented, config, simulation);
+    markComparisonSides(svgElements.legendLeftColumn.selectAll('.legend-entry'));
+    markComparisonSides(svgElements.legendRightColumn.selectAll('.legend-entry'));
+  }
+}
 
-  configureOffsets(config, outer_radius, num_quadrants);
+/**
+ * Shows the timeline control of a radar with an edition history (unless `timeline`
+ * is disabled), or removes it. The control outlives single renders.
+ * @param {Object} config - Radar configuration
+ * @param {Object} svgElements - Result of setupSvg()
+ * @param {Object} hooks - Instance hooks (see _renderRadar)
+ */
+function _syncTimeline(config, svgElements, hooks) {
+  if (!config.editions || config.timeline === false) {
+    removeTimeline(config);
+    return;
+  }
 
-  const _bounded_interval = boundedInterval;
-  const _bounded_ring = boundedRing;
-  const _bounded_box = boundedBox;
+  const selectEdition = hooks.selectEdition || (edition => _renderRadar({ ...config, edition }));
+  renderTimeline(svgElements.svg.node().closest('.radar-layout'), config, selectEdition);
+}
 
-  function _segment(quadrant, ring) {
-    return createSegment(quadrant, ring, quadrants, rings, config, random_between);
-  }
+// Used when a render has no instance attached (static radar_visualization.render)
+const noopEmit = () => {};
 
-  const entryProcessor = new EntryProcessor(config, quadrants, rings, random, random_between);
-  entryProcessor.processEntries(config.entries);
+/**
+ * Computes the radar layout. With `error_mode: 'overlay'`, an invalid configuration
+ * does not throw: the previous render is removed, the errors are listed in an
+ * overlay next to the SVG and a renderError event is emitted.
+ * @param {Object} config - Radar configuration
+ * @param {Function} emit - Emits instance events (name, payload)
+ * @param {Object} layoutOptions - Options for prepareRadarLayout
+ * @returns {Object|null} Layout data, or null if the configuration is invalid
+ */
+function _prepareLayout(config, emit, layoutOptions) {
+  if (config.error_mode !== 'overlay') {
+    return prepareRadarLayout(config, layoutOptions);
+  }
 
-  const segmented = new Array(num_quadrants);
-  for (let quadrant = 0; quadrant < num_quadrants; quadrant++) {
-    segmented[quadrant] = new Array(num_rings);
-    for (let ring = 0; ring < num_rings; ring++) {
-      segmented[quadrant][ring] = [];
-    }
+  try {
+    const layout = prepareRadarLayout(config, layoutOptions);
+    removeErrorOverlay(config);
+    return layout;
+  } catch (error) {
+    // Defaults are not applied when the configuration fails early (e.g. without quadrants)
+    config.svg_id = config.svg || config.svg_id || 'radar';
+    const validationErrors = validateConfigAll(config);
+    const errors = validationErrors.length > 0 ? validationErrors : [error];
+    _destroyRadar(config);
+    renderErrorOverlay(config, errors);
+    emit('renderError', { config, errors });
+    return null;
   }
-  for (let i = 0; i < config.entries.length; i++) {
-    const entry = config.entries[i];
-    segmented[entry.quadrant][entry.ring].push(entry);
+}
+
+/**
+ * Internal rendering function - performs the actual SVG rendering
+ * @param {Object} config - Radar configuration
+ * @param {Object} [hooks] - Instance hooks
+ * @param {Function} [hooks.emit] - Emits instance events (name, payload)
+ * @param {Object} [hooks.pluginHost] - Plugin host of the instance (see createPluginHost)
+ * @param {Function} [hooks.filter] - Returns the entry predicate of the instance filter (or null)
+ * @param {Function} [hooks.selectEdition] - Shows another edition of the instance (edition index)
+ * @param {Object} [layoutOptions] - Options for prepareRadarLayout (e.g. affectedSegments)
+ */
+function _renderRadar(config, hooks = {}, layoutOptions = {}) {
+  const emit = hooks.emit || noopEmit;
+  const layout = _prepareLayout(config, emit, layoutOptions);
+  if (!layout) {
+    return;
   }
+  const { dimensions, quadrants, rings, outerRadius, segmented } = layout;
+  const num_quadrants = quadrants.length;
+  const num_rings = rings.length;
+
+  // Capture the previous render to animate from, then tear it down and clear existing SVG content
+  const previousRender = activeRenders.get(config.svg_id);
+  const animate = Boolean(previousRender) && transitionsEnabled(config);
+  const previousBlips = animate ? captureBlips(radarRoot(config).getElementById(scopedId(config, 'rink'))) : null;
+  _teardownRender(config.svg_id);
+  const svg = radarRoot(config).getElementById(config.svg_id);
+  svg?.replaceChildren();
+
+  const cleanupTasks = [];
+  activeRenders.set(config.svg_id, {
+    cleanup: () => {
+      cleanupTasks.forEach(task => {
+        task();
+      });
+    },
+    quadrantCount: num_quadrants,
+    ringCount: num_rings,
+  });
+
+  const notifyPlugins = _syncPlugins(config, hooks);
 
   const svgElements = setupSvg(config, quadrants, rings, dimensions);
   const { radar, legendLeftColumn, legendRightColumn, grid } = svgElements;
 
-  renderGrid(grid, config, quadrants, rings, outer_radius);
-
-  if (!config.footer) {
-    config.footer = '▲ moved up     ▼ moved down     ★ new     ⬤ no change';
-  }
+  renderGrid(grid, config, quadrants, rings, outerRadius);
   renderTitleAndFooter(radar, config);
 
   if (config.print_layout) {
@@ -129,13 +300,16 @@ function _renderRadar(config) {
       highlightLegendItem,
       unhighlightLegendItem
     );
+    for (const column of [legendLeftColumn, legendRightColumn]) {
+      bindEntryEvents(column.selectAll('.legend-entry'), config, emit, { click: 'legendClick' });
+    }
   } else {
     legendLeftColumn.style('display', 'none').html('');
     legendRightColumn.style('display', 'none').html('');
   }
 
-  const rink = radar.append('g').attr('id', 'rink');
-  const _bubble = createBubble(radar, config.font_family);
+  const rink = radar.append('g').attr('id', scopedId(config, 'rink'));
+  const _bubble = createBubble(radar, config);
 
   const blips = renderBlips(
     rink,
@@ -146,16 +320,42 @@ function _renderRadar(config) {
     highlightLegendItem,
     unhighlightLegendItem
   );
-
-  runForceSimulation(config.entries, blips, config);
+  bindEntryEvents(blips, config, emit, { click: 'blipClick', hover: 'blipHover' });
+  bindBlipKeyboard(blips, config);
+  _attachDetailPanel(config, svgElements, blips, cleanupTasks);
+  _syncTimeline(config, svgElements, hooks);
+
+  // Animated re-renders settle positions up front and tween to them
+  const simulation = runForceSimulation(config.entries, blips, config, { synchronous: animate });
+  cleanupTasks.push(() => simulation.stop());
+  cleanupTasks.push(watchColorScheme(config));
+
+  _attachComparison(config, svgElements, rink, segmented, simulation);
+
+  if (animate) {
+    animateBlips(rink, blips, previousBlips, config.transition_duration);
+    if (previousRender.quadrantCount !== num_quadrants || previousRender.ringCount !== num_rings) {
+      fadeIn(grid, config.transition_duration);
+    }
+  }
 
   if (config.debug_geometry) {
     renderDebugVisualization(radar, config, quadrants, rings, num_quadrants, num_rings, segmented);
   }
 
+  const description = renderRadarDescription(config, segmented);
+  cleanupTasks.push(() => description?.remove());
+
   if (config.print_ring_descriptions_table) {
-    renderRingDescriptionsTable(config);
+    const table = renderRingDescriptionsTable(config);
+    cleanupTasks.push(() => table.remove());
   }
+
+  applyEntryFilter(config, hooks.filter?.());
+
+  notifyPlugins();
+
+  emit('render', { config, element: svg });
 }
 
 /**
@@ -166,9 +366,76 @@ function _renderRadar(config) {
 function radar_visualization(initialConfig) {
   // Store current config
   let currentConfig = { ...initialConfig };
+  let destroyed = false;
+  const events = createEventEmitter(RADAR_EVENTS);
+  const pluginHost = createPluginHost({
+    getCurrentConfig: () => ({ ...currentConfig }),
+    // Plugin configuration is runtime state: keep it when a plugin applies a stored config
+    applyConfig: newConfig => applyConfig({ ...newConfig, plugins: currentConfig.plugins }),
+    onConfigImport: importedConfig => applyConfig(jsonIO.mergeConfigs(currentConfig, importedConfig)),
+    filter: filter => setFilter(filter),
+    onFilterChange: handler => events.on('filterChange', handler),
+    demoSlug: initialConfig.demoSlug || initialConfig.svg_id || 'radar',
+  });
+  // Active filter: { criteria, predicate }, re-applied after every render
+  let currentFilter = null;
+  const hooks = {
+    emit: events.emit,
+    pluginHost,
+    filter: () => currentFilter?.predicate,
+    selectEdition: edition => applyConfig({ ...currentConfig, edition }),
+  };
+
+  const assertActive = () => {
+    if (destroyed) {
+      throw new Error('Radar instance has been destroyed');
+    }
+  };
+
+  // Replace the current config, notify listeners and re-render
+  const applyConfig = (newConfig, layoutOptions = {}) => {
+    const previousConfig = currentConfig;
+    currentConfig = newConfig;
+    events.emit('configChange', { config: { ...currentConfig }, previousConfig: { ...previousConfig } });
+    _renderRadar(currentConfig, hooks, layoutOptions);
+    pluginHost.notifyConfigChange(jsonIO.sanitizeConfigForExport(currentConfig));
+  };
+
+  // Replace the filter (criteria object, predicate function, or null to clear) and apply it
+  const setFilter = filter => {
+    if (typeof filter === 'function') {
+      currentFilter = { criteria: null, predicate: filter };
+    } else if (filter) {
+      const predicate = createEntryFilter(filter, currentConfig);
+      currentFilter = isEmptyFilter(filter) ? null : { criteria: { ...filter }, predicate };
+    } else {
+      currentFilter = null;
+    }
+    const matches = applyEntryFilter(currentConfig, currentFilter?.predicate);
+    events.emit('filterChange', { criteria: currentFilter?.criteria ?? null, matches });
+  };
+
+  // Entry edits collected by a running batch(): { entries, affectedSegments }
+  let pendingBatch = null;
+
+  // Apply an entry operation: validate the result, then re-layout only the touched segments
+  const editEntries = edit => {
+    assertActive();
+    const { entries, affectedSegments } = edit(pendingBatch ? pendingBatch.entries : currentConfig.entries || []);
+    validateConfig({ ...currentConfig, entries });
+
+    if (pendingBatch) {
+      pendingBatch.entries = entries;
+      affectedSegments.forEach(segment => {
+        pendingBatch.affectedSegments.add(segment);
+      });
+    } else {
+      applyConfig(withEditionEntries(currentConfig, entries), { affectedSegments: new Set(affectedSegments) });
+    }
+  };
 
   // Render initial state
-  _renderRadar(currentConfig);
+  _renderRadar(currentConfig, hooks);
 
   // Create instance with methods
   const instance = {
@@ -180,14 +447,25 @@ function radar_visualization(initialConfig) {
       return { ...currentConfig };
     },
 
+    /**
+     * Validate the current configuration without rendering
+     * @returns {{valid: boolean, errors: Array<Object>, warnings: Array<Object>}} Validation report
+     *   (see validateConfigReport)
+     */
+    validate() {
+      return validateConfigReport({ ...currentConfig });
+    },
+
     /**
      * Render with new configuration
      * @param {Object} newConfig - New configuration (merged with current)
      * @returns {Object} Instance for chaining
      */
     render(newConfig) {
-      currentConfig = { ...currentConfig, ...newConfig };
-      _renderRadar(currentConfig);
+      assertActive();
+      const merged = { ...currentConfig, ...newConfig };
+      // New entries without a new edition history replace the entries of the shown edition
+      applyConfig(newConfig?.entries && !newConfig.editions ? withEditionEntries(merged, newConfig.entries) : merged);
       return this;
     },
 
@@ -196,8 +474,129 @@ function radar_visualization(initialConfig) {
      * @returns {Object} Instance for chaining
      */
     reset() {
-      currentConfig = { ...initialConfig };
-      _renderRadar(currentConfig);
+      assertActive();
+      applyConfig({ ...initialConfig });
+      return this;
+    },
+
+    /**
+     * Add an entry
+     * @param {Object} entry - Entry (its `key`, or `label`, must be unique)
+     * @returns {Object} Instance for chaining
+     * @throws {ConfigValidationError} If the resulting configuration is invalid
+     */
+    addEntry(entry) {
+      editEntries(entries => entryOperations.addEntry(entries, entry, currentConfig));
+      return this;
+    },
+
+    /**
+     * Update fields of an entry
+     * @param {string} key - Entry key (`key`, or `label`)
+     * @param {Object} patch - Fields to change
+     * @returns {Object} Instance for chaining
+     * @throws {ConfigValidationError} If the resulting configuration is invalid
+     */
+    updateEntry(key, patch) {
+      editEntries(entries => entryOperations.updateEntry(entries, key, patch, currentConfig));
+      return this;
+    },
+
+    /**
+     * Remove an entry
+     * @param {string} key - Entry key (`key`, or `label`)
+     * @returns {Object} Instance for chaining
+     */
+    removeEntry(key) {
+      editEntries(entries => entryOperations.removeEntry(entries, key, currentConfig));
+      return this;
+    },
+
+    /**
+     * Move an entry to another ring and/or quadrant
+     * @param {string} key - Entry key (`key`, or `label`)
+     * @param {{ring?: number|string, quadrant?: number|string}} target - New ring and/or quadrant
+     * @returns {Object} Instance for chaining
+     * @throws {ConfigValidationError} If the resulting configuration is invalid
+     */
+    moveEntry(key, target) {
+      editEntries(entries => entryOperations.moveEntry(entries, key, target, currentConfig));
+      return this;
+    },
+
+    /**
+     * Group entry operations into a single re-render. If the callback throws,
+     * none of its operations are applied.
+     * @param {Function} fn - Called with the instance; use the entry methods inside
+     * @returns {Object} Instance for chaining
+     */
+    batch(fn) {
+      assertActive();
+      if (pendingBatch) {
+        fn(this);
+        return this;
+      }
+
+      const batch = { entries: currentConfig.entries || [], affectedSegments: new Set() };
+      pendingBatch = batch;
+      try {
+        fn(this);
+      } finally {
+        pendingBatch = null;
+      }
+
+      if (batch.entries !== currentConfig.entries) {
+        applyConfig(withEditionEntries(currentConfig, batch.entries), { affectedSegments: batch.affectedSegments });
+      }
+      return this;
+    },
+
+    /**
+     * Dim (or hide, with `filter_mode: 'hide'`) blips and legend items of entries that
+     * do not match a filter. The filter stays active across re-renders.
+     * @param {Function|Object|null} filter - Entry predicate, filter criteria
+     *   ({ query, quadrant, ring, moved, active, tags }), or null to show all entries
+     * @returns {Object} Instance for chaining
+     * @throws {Error} If the criteria contain unknown names
+     */
+    filter(filter) {
+      assertActive();
+      setFilter(filter);
+      return this;
+    },
+
+    /**
+     * Destroy the radar: cleans up plugins, stops the force simulation and removes
+     * all rendered and injected DOM. The instance cannot be rendered afterwards.
+     */
+    destroy() {
+      if (destroyed) {
+        return;
+      }
+      destroyed = true;
+      _destroyRadar(currentConfig);
+      pluginHost.cleanup();
+      events.clear();
+    },
+
+    /**
+     * Subscribe to an instance event
+     * @param {'blipClick'|'blipHover'|'legendClick'|'render'|'renderError'|'configChange'|'filterChange'} name - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(name, handler) {
+      return events.on(name, handler);
+    },
+
+    /**
+     * Unsubscribe from an instance event
+     * @param {string} name - Event name
+     * @param {Function} handler - Previously subscribed handler
+     * @returns {Object} Instance for chaining
+     */
+    off(name, handler) {
+      events.off(name, handler);
       return this;
     },
 
@@ -222,6 +621,23 @@ function radar_visualization(initialConfig) {
 const jsonIO = createJsonIOHelpers();
 radar_visualization.jsonIO = jsonIO;
 radar_visualization.initDemoToolbar = initDemoToolbar;
+radar_visualization.renderToString = renderToString;
+
+/**
+ * Compares two radar configurations: renders an overlay of both (the left configuration
+ * with the entries of both sides, connected by arrows) and reports the entries that
+ * differ in ring, exist on one side only, or link to different pages.
+ * @param {Object} leftConfig - Left configuration (quadrants, rings and display options)
+ * @param {Object} rightConfig - Right configuration
+ * @param {Object} [options] - Configuration overrides for the overlay (e.g. svg_id)
+ * @param {Array<string>} [options.labels] - Names of both configurations (default: titles)
+ * @returns {{instance: Object, report: Object}} Overlay radar instance and comparison report
+ */
+radar_visualization.compare = (leftConfig, rightConfig, options = {}) => {
+  const { labels, ...overrides } = options;
+  const config = { ...createComparisonConfig(leftConfig, rightConfig, { labels }), ...overrides };
+  return { instance: radar_visualization(config), report: compareConfigs(leftConfig, rightConfig) };
+};
 
 // Backward compatibility: keep render as static method
 radar_visualization.render = config => {
@@ -231,6 +647,8 @@ radar_visualization.render = config => {
 
 // Export plugin system
 export {
+  createPluginHost,
+  filterPlugin,
   importExportPlugin,
   initializePlugins,
   registerPlugin,
@@ -239,4 +657,8 @@ export {
 } from './plugins/index.js';
 
 export default radar_visualization;
-export { radar_visualization, jsonIO, initDemoToolbar };
+export { radar_visualization, jsonIO, initDemoToolbar, renderToString };
+export { compareConfigs, createComparisonConfig, formatComparisonReport };
+export { exportByor, importByor, parseYamlConfig, stringifyYamlConfig };
+export { CONFIG_SCHEMA, ConfigValidationError, validateConfig, validateConfigAll, validateConfigReport };
+export { computeRadarStats, EntryProcessor, RADAR_EVENTS, setD3, THEMES };
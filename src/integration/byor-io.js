@@ -0,0 +1,228 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * BYOR I/O Module
+ *
+ * Converts between this project's configuration and the ThoughtWorks "Build
+ * Your Own Radar" (BYOR) format: a CSV file or JSON array of blips with the
+ * fields name, ring, quadrant, isNew, status and description. BYOR gives rings
+ * and quadrants by name; they become the `rings` and `quadrants` of the
+ * configuration in the order they first appear (the four BYOR rings Adopt,
+ * Trial, Assess and Hold always come first, in that order).
+ */
+
+import { ConfigValidationError } from '../validation/config-validator.js';
+import { parseCsv, stringifyCsv } from './csv-io.js';
+
+// BYOR fields, in the column order BYOR files use
+const BYOR_FIELDS = ['name', 'ring', 'quadrant', 'isNew', 'status', 'description'];
+
+const REQUIRED_FIELDS = ['name', 'ring', 'quadrant'];
+
+// The rings of a BYOR radar, innermost first
+const BYOR_RINGS = ['Adopt', 'Trial', 'Assess', 'Hold'];
+
+// Ring colors, innermost first (the builder's palette)
+const DEFAULT_RING_COLORS = ['#5ba300', '#009eb0', '#c7ba00', '#e09b96', '#cc6699', '#993333', '#666666', '#999999'];
+
+// BYOR status (lowercase) and the `moved` value it stands for
+const STATUS_MOVED = {
+  new: 2,
+  'moved in': 1,
+  'moved out': -1,
+  'no change': 0,
+};
+
+const MOVED_STATUS = {
+  2: 'New',
+  1: 'Moved In',
+  '-1': 'Moved Out',
+  0: 'No Change',
+};
+
+/**
+ * Creates a validation error for a BYOR blip.
+ *
+ * @param {number} row - CSV row, or position in the JSON array (1-based)
+ * @param {string} message - Error message
+ * @param {string} field - Field that failed validation
+ * @param {*} value - The invalid value
+ * @returns {ConfigValidationError} Error naming the blip
+ */
+function blipError(row, message, field, value) {
+  return new ConfigValidationError(`BYOR row ${row}: ${message}`, field, value);
+}
+
+/**
+ * Reads BYOR blips from CSV or JSON text.
+ *
+ * @param {string} text - BYOR CSV, or a JSON array of blips
+ * @returns {Array<Object>} Blips with their `row` (CSV row, or 1-based array position)
+ * @throws {ConfigValidationError} If the text is not a BYOR sheet
+ */
+export function parseByor(text) {
+  if (/^\s*[[{]/.test(text)) {
+    const blips = JSON.parse(text);
+    if (!Array.isArray(blips)) {
+      throw new ConfigValidationError('BYOR JSON must be an array of blips', 'byor', blips);
+    }
+    return blips.map((blip, index) => ({ ...blip, row: index + 1 }));
+  }
+
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    throw blipError(1, 'Missing header row', 'byor', text);
+  }
+  const columns = header.cells.map(cell =>
+    BYOR_FIELDS.find(field => field.toLowerCase() === cell.trim().toLowerCase())
+  );
+  for (const field of REQUIRED_FIELDS) {
+    if (!columns.includes(field)) {
+      throw blipError(1, `Missing column "${field}"`, 'byor', header.cells);
+    }
+  }
+
+  return records.map(({ row, cells }) => {
+    const blip = { row };
+    columns.forEach((field, column) => {
+      if (field) {
+        blip[field] = cells[column] ?? '';
+      }
+    });
+    return blip;
+  });
+}
+
+/**
+ * Returns a trimmed string field of a blip.
+ *
+ * @param {Object} blip - BYOR blip
+ * @param {string} field - Field name
+ * @returns {string} Field value ('' if missing)
+ */
+function textField(blip, field) {
+  const value = blip[field];
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+/**
+ * Derives `moved` from the BYOR status, falling back to isNew for older sheets.
+ *
+ * @param {Object} blip - BYOR blip
+ * @returns {number} Moved value
+ * @throws {ConfigValidationError} For an unknown status
+ */
+function blipMoved(blip) {
+  const status = textField(blip, 'status').toLowerCase();
+  if (status) {
+    if (!Object.hasOwn(STATUS_MOVED, status)) {
+      throw blipError(
+        blip.row,
+        `Unknown status "${textField(blip, 'status')}" (expected New, Moved In, Moved Out or No Change)`,
+        'status',
+        blip.status
+      );
+    }
+    return STATUS_MOVED[status];
+  }
+  return ['true', 'yes', '1'].includes(textField(blip, 'isNew').toLowerCase()) ? 2 : 0;
+}
+
+/**
+ * Finds a name case-insensitively, adding it if it is new.
+ *
+ * @param {Array<string>} names - Names found so far (extended in place)
+ * @param {string} name - Name to find
+ * @returns {number} Index of the name
+ */
+function nameIndex(names, name) {
+  const index = names.findIndex(candidate => candidate.toLowerCase() === name.toLowerCase());
+  return index === -1 ? names.push(name) - 1 : index;
+}
+
+/**
+ * Converts BYOR blips to a radar configuration.
+ *
+ * @param {Array<Object>} blips - BYOR blips (see parseByor)
+ * @returns {Object} Configuration with `quadrants`, `rings` (with default colors) and `entries`
+ * @throws {ConfigValidationError} For blips without name, ring or quadrant, or with an unknown status
+ */
+export function byorToConfig(blips) {
+  const quadrants = [];
+  const rings = [...BYOR_RINGS];
+  const entries = blips.map(blip => {
+    for (const field of REQUIRED_FIELDS) {
+      if (!textField(blip, field)) {
+        throw blipError(blip.row, `Missing ${field}`, field, blip[field]);
+      }
+    }
+
+    const entry = {
+      label: textField(blip, 'name'),
+      quadrant: nameIndex(quadrants, textField(blip, 'quadrant')),
+      ring: nameIndex(rings, textField(blip, 'ring')),
+      moved: blipMoved(blip),
+      active: true,
+    };
+    const description = textField(blip, 'description');
+    if (description) {
+      entry.description = description;
+    }
+    return entry;
+  });
+
+  return {
+    quadrants: quadrants.map(name => ({ name })),
+    rings: rings.map((name, index) => ({
+      name: name.toUpperCase(),
+      color: DEFAULT_RING_COLORS[index % DEFAULT_RING_COLORS.length],
+    })),
+    entries,
+  };
+}
+
+/**
+ * Converts BYOR CSV or JSON to a radar configuration.
+ *
+ * @param {string} text - BYOR CSV, or a JSON array of blips
+ * @returns {Object} Configuration with `quadrants`, `rings` and `entries`
+ * @throws {ConfigValidationError} With the row of the blip, if the sheet cannot be converted
+ */
+export function importByor(text) {
+  return byorToConfig(parseByor(text));
+}
+
+/**
+ * Converts the entries of a configuration to BYOR blips.
+ *
+ * @param {Object} config - Configuration with entries, quadrants and rings
+ * @returns {Array<Object>} BYOR blips (name, ring, quadrant, isNew, status, description)
+ */
+export function configToByor(config) {
+  return (config.entries || []).map(entry => ({
+    name: entry.label,
+    ring: config.rings?.[entry.ring]?.name ?? String(entry.ring),
+    quadrant: config.quadrants?.[entry.quadrant]?.name ?? String(entry.quadrant),
+    isNew: entry.moved === 2 ? 'TRUE' : 'FALSE',
+    status: MOVED_STATUS[entry.moved] ?? MOVED_STATUS[0],
+    description: entry.description ?? '',
+  }));
+}
+
+/**
+ * Writes the entries of a configuration in BYOR format.
+ *
+ * @param {Object} config - Configuration with entries, quadrants and rings
+ * @param {Object} [options] - Export options
+ * @param {string} [options.format='csv'] - 'csv' or 'json'
+ * @returns {string} BYOR CSV or JSON
+ */
+export function exportByor(config, options = {}) {
+  const blips = configToByor(config);
+  if (options.format === 'json') {
+    return JSON.stringify(blips, null, 2);
+  }
+  return stringifyCsv([BYOR_FIELDS, ...blips.map(blip => BYOR_FIELDS.map(field => blip[field]))]);
+}
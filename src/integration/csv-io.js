@@ -0,0 +1,380 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * CSV I/O Module
+ *
+ * Reads and writes radar entries as CSV, e.g. for entries maintained in a
+ * spreadsheet. The header row names the columns; headers are matched to entry
+ * fields case-insensitively (with a few aliases such as `name` and `url`) or
+ * through an explicit column mapping. Quadrants and rings can be given by name
+ * or index. Errors name the CSV row (the header is row 1).
+ */
+
+import { ConfigValidationError } from '../validation/config-validator.js';
+
+// Entry fields and the CSV headers accepted for them (lowercase)
+const FIELD_ALIASES = {
+  label: ['label', 'name'],
+  quadrant: ['quadrant'],
+  ring: ['ring'],
+  moved: ['moved'],
+  active: ['active'],
+  link: ['link', 'url'],
+  key: ['key'],
+  id: ['id'],
+  description: ['description'],
+  owner: ['owner'],
+  since: ['since'],
+  tags: ['tags'],
+  number: ['number'],
+};
+
+const REQUIRED_FIELDS = ['label', 'quadrant', 'ring'];
+
+// Columns written on export, in order; the optional ones only when an entry has a value
+const EXPORT_COLUMNS = ['label', 'quadrant', 'ring', 'moved', 'active', 'link'];
+const OPTIONAL_EXPORT_COLUMNS = ['key', 'id', 'description', 'owner', 'since', 'tags'];
+
+const MOVED_VALUES = {
+  '': 0,
+  0: 0,
+  none: 0,
+  unchanged: 0,
+  'no change': 0,
+  1: 1,
+  in: 1,
+  up: 1,
+  'moved in': 1,
+  '-1': -1,
+  out: -1,
+  down: -1,
+  'moved out': -1,
+  2: 2,
+  new: 2,
+};
+
+const BOOLEAN_VALUES = {
+  '': true,
+  true: true,
+  yes: true,
+  y: true,
+  1: true,
+  x: true,
+  false: false,
+  no: false,
+  n: false,
+  0: false,
+};
+
+/**
+ * Creates a validation error for a CSV row.
+ *
+ * @param {number} row - CSV row number
+ * @param {string} message - Error message
+ * @param {string} field - Field that failed validation
+ * @param {*} value - The invalid value
+ * @returns {ConfigValidationError} Error with the row number in its message
+ */
+function rowError(row, message, field, value) {
+  return new ConfigValidationError(`CSV row ${row}: ${message}`, field, value);
+}
+
+/**
+ * Guesses the delimiter from the header line: comma, semicolon (spreadsheets in
+ * many locales) or tab, whichever occurs most.
+ *
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+export function detectDelimiter(text) {
+  const header = text.split(/\r?\n/, 1)[0];
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, header.split(delimiter).length]);
+  return counts.reduce((best, candidate) => (candidate[1] > best[1] ? candidate : best))[0];
+}
+
+/**
+ * Reads one field starting at a position.
+ *
+ * @param {string} text - CSV text
+ * @param {number} start - Position of the field
+ * @param {string} delimiter - Field delimiter
+ * @param {number} row - Row number, for errors
+ * @returns {{value: string, end: number}} Field value and the position after it
+ */
+function readField(text, start, delimiter, row) {
+  if (text[start] !== '"') {
+    let end = start;
+    while (end < text.length && text[end] !== delimiter && text[end] !== '\n' && text[end] !== '\r') {
+      end++;
+    }
+    return { value: text.slice(start, end), end };
+  }
+
+  let value = '';
+  let position = start + 1;
+  for (;;) {
+    const quote = text.indexOf('"', position);
+    if (quote === -1) {
+      throw rowError(row, 'Unterminated quoted field', 'csv', text.slice(start));
+    }
+    value += text.slice(position, quote);
+    position = quote + 1;
+    if (text[position] !== '"') {
+      return { value, end: position };
+    }
+    // Escaped quote ("")
+    value += '"';
+    position++;
+  }
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may contain delimiters, quotes and
+ * line breaks). Blank lines are skipped.
+ *
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Field delimiter (default: detected from the header)
+ * @returns {Array<{row: number, cells: Array<string>}>} Records with the row they start on
+ * @throws {ConfigValidationError} On unterminated quotes or text after a closing quote
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const source = text.replace(/^\uFEFF/, '');
+  const records = [];
+  let cells = [];
+  let position = 0;
+  let line = 1;
+  let row = 1;
+
+  for (;;) {
+    const field = readField(source, position, delimiter, row);
+    cells.push(field.value);
+    line += (source.slice(position, field.end).match(/\n/g) || []).length;
+    position = field.end;
+
+    const char = source[position];
+    if (char === delimiter) {
+      position++;
+      continue;
+    }
+    if (char !== undefined && char !== '\n' && char !== '\r') {
+      throw rowError(row, 'Unexpected text after a quoted field', 'csv', source.slice(position, position + 10));
+    }
+
+    records.push({ row, cells });
+    cells = [];
+    position += source.startsWith('\r\n', position) ? 2 : 1;
+    line++;
+    row = line;
+    if (position >= source.length) {
+      break;
+    }
+  }
+
+  return records.filter(record => record.cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Maps the header row to entry fields.
+ *
+ * @param {Array<string>} header - Header cells
+ * @param {Object<string, string>} [columns] - Explicit mapping of headers to entry fields
+ * @returns {Array<string|null>} Entry field per column (null for ignored columns)
+ * @throws {ConfigValidationError} If a required column is missing
+ */
+function mapHeader(header, columns = {}) {
+  const explicit = new Map(Object.entries(columns).map(([name, field]) => [name.trim().toLowerCase(), field]));
+  const fields = header.map(cell => {
+    const name = cell.trim().toLowerCase();
+    if (explicit.has(name)) {
+      return explicit.get(name);
+    }
+    return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(name)) ?? null;
+  });
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!fields.includes(field)) {
+      throw rowError(1, `Missing column "${field}"`, 'csv', header);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Resolves a quadrant or ring given by index or name.
+ *
+ * @param {string} value - Cell value
+ * @param {Array<Object>} [items] - Quadrants or rings of the configuration
+ * @param {string} kind - 'quadrant' or 'ring'
+ * @param {number} row - Row number, for errors
+ * @param {number} index - Entry index, for errors
+ * @returns {number} Index
+ */
+function resolveIndex(value, items, kind, row, index) {
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return Number(trimmed);
+  }
+
+  if (!trimmed) {
+    throw rowError(row, `Missing ${kind}`, `entries[${index}].${kind}`, trimmed);
+  }
+  const name = trimmed.toLowerCase();
+  const found = (items || []).findIndex(item => String(item.name).toLowerCase() === name);
+  if (found === -1) {
+    throw rowError(row, `Unknown ${kind} "${trimmed}"`, `entries[${index}].${kind}`, trimmed);
+  }
+  return found;
+}
+
+/**
+ * Looks up a cell value in a table of accepted values.
+ *
+ * @param {Object} values - Accepted values (lowercase) and what they mean
+ * @param {string} value - Cell value
+ * @param {string} description - Accepted values, for errors
+ * @param {number} row - Row number, for errors
+ * @param {string} field - Field path, for errors
+ * @returns {*} Parsed value
+ */
+function lookupValue(values, value, description, row, field) {
+  const normalized = value.trim().toLowerCase();
+  if (!Object.hasOwn(values, normalized)) {
+    throw rowError(
+      row,
+      `Invalid ${field.split('.').pop()} value "${value.trim()}" (expected ${description})`,
+      field,
+      value
+    );
+  }
+  return values[normalized];
+}
+
+/**
+ * Converts a cell to the value of an entry field.
+ *
+ * @param {string} field - Entry field
+ * @param {string} value - Cell value
+ * @param {Object} config - Configuration with quadrants and rings
+ * @param {number} row - Row number, for errors
+ * @param {number} index - Entry index, for errors
+ * @returns {*} Field value (undefined for empty optional fields)
+ */
+function parseCell(field, value, config, row, index) {
+  const path = `entries[${index}].${field}`;
+  switch (field) {
+    case 'quadrant':
+      return resolveIndex(value, config.quadrants, 'quadrant', row, index);
+    case 'ring':
+      return resolveIndex(value, config.rings, 'ring', row, index);
+    case 'moved':
+      return lookupValue(MOVED_VALUES, value, 'in, out, new, none or -1 to 2', row, path);
+    case 'active':
+      return lookupValue(BOOLEAN_VALUES, value, 'true/false, yes/no or 1/0', row, path);
+    case 'tags': {
+      const tags = value
+        .split(/[;,]/)
+        .map(tag => tag.trim())
+        .filter(Boolean);
+      return tags.length ? tags : undefined;
+    }
+    case 'number': {
+      const trimmed = value.trim();
+      if (trimmed && !/^\d+$/.test(trimmed)) {
+        throw rowError(row, `Invalid number "${trimmed}"`, path, trimmed);
+      }
+      return trimmed ? Number(trimmed) : undefined;
+    }
+    default:
+      return value.trim() || undefined;
+  }
+}
+
+/**
+ * Parses radar entries from CSV.
+ *
+ * @param {string} text - CSV text with a header row
+ * @param {Object} [config] - Configuration whose quadrant and ring names are accepted
+ * @param {Object} [options] - Parse options
+ * @param {Object<string, string>} [options.columns] - Header to entry field mapping,
+ *   e.g. `{ Technology: 'label', Status: 'ring' }`
+ * @param {string} [options.delimiter] - Field delimiter (default: detected)
+ * @returns {Array<Object>} Entries
+ * @throws {ConfigValidationError} With the row number, if the CSV cannot be read
+ */
+export function parseEntriesCsv(text, config = {}, options = {}) {
+  const [header, ...records] = parseCsv(text, options.delimiter);
+  if (!header) {
+    throw rowError(1, 'Missing header row', 'csv', text);
+  }
+  const fields = mapHeader(header.cells, options.columns);
+
+  return records.map(({ row, cells }, index) => {
+    const entry = { moved: 0, active: true };
+    fields.forEach((field, column) => {
+      const value = field ? parseCell(field, cells[column] ?? '', config, row, index) : undefined;
+      if (value !== undefined) {
+        entry[field] = value;
+      }
+    });
+    if (!entry.label) {
+      throw rowError(row, 'Missing label', `entries[${index}].label`, entry.label);
+    }
+    return entry;
+  });
+}
+
+/**
+ * Quotes a CSV field if needed.
+ *
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function formatField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes rows as CSV with CRLF line endings, quoting fields where needed.
+ *
+ * @param {Array<Array<*>>} rows - Rows of cells, the header first
+ * @returns {string} CSV text
+ */
+export function stringifyCsv(rows) {
+  return `${rows.map(cells => cells.map(formatField).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * Writes the entries of a configuration as CSV. Quadrants and rings are written
+ * by name, so the file reads well in a spreadsheet and survives reordering.
+ *
+ * @param {Object} config - Configuration with entries, quadrants and rings
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.names=true] - Write quadrant and ring names instead of indexes
+ * @returns {string} CSV text
+ */
+export function stringifyEntriesCsv(config, options = {}) {
+  const names = options.names !== false;
+  const entries = config.entries || [];
+  const columns = [
+    ...EXPORT_COLUMNS,
+    ...OPTIONAL_EXPORT_COLUMNS.filter(column => entries.some(entry => entry[column] !== undefined)),
+  ];
+  if (config.numbering === 'explicit') {
+    columns.push('number');
+  }
+
+  const value = (entry, column) => {
+    if (names && column === 'quadrant') {
+      return config.quadrants?.[entry.quadrant]?.name ?? entry.quadrant;
+    }
+    if (names && column === 'ring') {
+      return config.rings?.[entry.ring]?.name ?? entry.ring;
+    }
+    return Array.isArray(entry[column]) ? entry[column].join(', ') : entry[column];
+  };
+
+  return stringifyCsv([columns, ...entries.map(entry => columns.map(column => value(entry, column)))]);
+}
@@ -1,3 +1,5 @@
+import { parseYamlConfig, stringifyYamlConfig } from './yaml-io.js';
+
 const defaultOptions = {
   demoSlug: 'tech-radar',
   onError: message => {
@@ -12,6 +14,9 @@ const defaultOptions = {
   mergeOnImport: true,
 };
 
+// Files with these extensions are read and written as YAML
+const YAML_FILE_PATTERN = /\.ya?ml$/i;
+
 const readerErrorMessages = {
   read: 'Failed to read the selected file. Please try again.',
   parse: 'The selected file is not valid JSON. Please choose a valid radar configuration.',
@@ -41,8 +46,8 @@ function formatTimestamp(date = new Date()) {
   return `${year}${pad(month)}${pad(day)}-${pad(hours)}${pad(minutes)}${pad(seconds)}`;
 }
 
-function buildDownloadLink(json, fileName) {
-  const blob = new Blob([json], { type: 'application/json' });
+function buildDownloadLink(content, fileName, type = 'application/json') {
+  const blob = new Blob([content], { type });
   const linkCreator = typeof window !== 'undefined' && window.URL ? window.URL : URL;
   const url = linkCreator.createObjectURL(blob);
   const link = document.createElement('a');
@@ -55,9 +60,50 @@ function handleError(message, options) {
   options.onError(message);
 }
 
+// Optional entry properties kept on export when set: stable identifiers and details
+const OPTIONAL_ENTRY_FIELDS = ['key', 'id', 'description', 'owner', 'since'];
+
+/**
+ * Copies the data properties of an entry, leaving out rendering properties.
+ * @param {Object} entry - Entry to sanitize
+ * @param {Object} config - Configuration the entry belongs to
+ * @returns {Object} Sanitized entry
+ */
+function sanitizeEntry(entry, config) {
+  const clean = {
+    label: entry.label,
+    quadrant: entry.quadrant,
+    ring: entry.ring,
+    moved: entry.moved,
+    active: entry.active,
+  };
+
+  // Include link only if it exists
+  if (entry.link) {
+    clean.link = entry.link;
+  }
+
+  for (const field of OPTIONAL_ENTRY_FIELDS) {
+    if (entry[field] !== undefined) {
+      clean[field] = entry[field];
+    }
+  }
+  if (Array.isArray(entry.tags)) {
+    clean.tags = [...entry.tags];
+  }
+
+  // Display numbers are data only when they are configured explicitly
+  if (config.numbering === 'explicit' && entry.number !== undefined) {
+    clean.number = entry.number;
+  }
+
+  return clean;
+}
+
 /**
  * Sanitizes configuration data by removing rendering properties from entries.
- * Only keeps the essential data properties: label, quadrant, ring, moved, active, link.
+ * Keeps the data properties (label, quadrant, ring, moved, active, link), stable
+ * identifiers (key, id) and the optional details (description, owner, since, tags).
  * @param {Object} config - Configuration object to sanitize
  * @returns {Object} Sanitized configuration
  */
@@ -68,29 +114,49 @@ function sanitizeConfigForExport(config) {
 
   // Sanitize entries - remove rendering properties
   if (Array.isArray(config.entries)) {
-    sanitized.entries = config.entries.map(entry => {
-      const clean = {
-        label: entry.label,
-        quadrant: entry.quadrant,
-        ring: entry.ring,
-        moved: entry.moved,
-        active: entry.active,
-      };
-
-      // Include link only if it exists
-      if (entry.link) {
-        clean.link = entry.link;
-      }
+    sanitized.entries = config.entries.map(entry => sanitizeEntry(entry, config));
+  }
 
-      return clean;
-    });
+  // The previous edition is data; archived entries are derived from it
+  if (config.previous) {
+    sanitized.previous = sanitizeConfigForExport(config.previous);
   }
 
-  // Remove any plugin instances or internal state using destructuring
-  const { _pluginInstances, _internalState, ...cleanConfig } = sanitized;
+  // With an edition history, the shown entries and previous edition are derived from it
+  if (Array.isArray(config.editions)) {
+    sanitized.editions = config.editions.map(edition => ({
+      ...edition,
+      entries: Array.isArray(edition?.entries)
+        ? edition.entries.map(entry => sanitizeEntry(entry, config))
+        : edition?.entries,
+    }));
+    sanitized.entries = undefined;
+    sanitized.previous = undefined;
+  }
+
+  // Remove any plugin instances, internal state or the render root using destructuring
+  const { _pluginInstances, _internalState, archived: _archived, root: _root, ...cleanConfig } = sanitized;
   return cleanConfig;
 }
 
+/**
+ * Attaches a previous edition to an imported configuration, so `moved` is derived
+ * from it when the configuration is rendered. Configurations that already name
+ * their previous edition, or bring an edition history, are returned as is.
+ * @param {Object} importedConfig - Imported configuration
+ * @param {Object} previousConfig - Previous edition, e.g. the currently shown radar
+ * @returns {Object} Configuration with `previous`
+ */
+function withPreviousEdition(importedConfig, previousConfig) {
+  if (!importedConfig || !previousConfig || importedConfig.previous || importedConfig.editions) {
+    return importedConfig;
+  }
+
+  // Keep one edition back only, so repeated imports don't nest editions
+  const { previous: _older, ...previous } = sanitizeConfigForExport(previousConfig);
+  return { ...importedConfig, previous };
+}
+
 /**
  * Merges imported configuration with base configuration.
  * Preserves base config structure but uses imported entries and key properties.
@@ -104,9 +170,15 @@ function mergeConfigs(baseConfig, importedConfig) {
 
   const merged = { ...baseConfig };
 
-  // Always use imported entries if provided
-  if (importedConfig.entries) {
+  // Always use imported entries (or edition history) if provided
+  if (importedConfig.entries || importedConfig.editions) {
     merged.entries = importedConfig.entries;
+
+    // Entries are compared with the previous edition they come with, if any
+    merged.previous = importedConfig.previous;
+    merged.archived = undefined;
+    merged.editions = importedConfig.editions;
+    merged.edition = importedConfig.edition;
   }
 
   // Merge key properties from imported config
@@ -120,6 +192,22 @@ function mergeConfigs(baseConfig, importedConfig) {
   return merged;
 }
 
+/**
+ * Serializes a configuration as JSON, or as YAML with `options.format: 'yaml'`.
+ * YAML is written into `options.yamlSource` (the YAML the configuration was
+ * imported from, or a function returning it), keeping its comments.
+ * @param {Object} config - Configuration to export
+ * @param {Object} options - Export options
+ * @returns {{content: string, extension: string, type: string}} File content and type
+ */
+function serializeConfig(config, options) {
+  if (options.format === 'yaml') {
+    const source = typeof options.yamlSource === 'function' ? options.yamlSource() : options.yamlSource;
+    return { content: stringifyYamlConfig(config, { source }), extension: 'yaml', type: 'application/yaml' };
+  }
+  return { content: JSON.stringify(config, null, 2), extension: 'json', type: 'application/json' };
+}
+
 function exportConfig(button, currentConfigProvider, options = {}) {
   if (!button) {
     throw new Error('exportConfig requires a button element');
@@ -141,16 +229,16 @@ function exportConfig(button, currentConfigProvider, options = {}) {
       // Sanitize config if enabled (default: true)
       const configToExport = merged.sanitizeData ? sanitizeConfigForExport(config) : config;
 
-      const json = JSON.stringify(configToExport, null, 2);
       const timestamp = formatTimestamp();
-      const fileName = `${demoSlug}-${timestamp}.json`;
-      const { link, url } = buildDownloadLink(json, fileName);
+      const { content, extension, type } = serializeConfig(configToExport, merged);
+      const fileName = `${demoSlug}-${timestamp}.${extension}`;
+      const { link, url } = buildDownloadLink(content, fileName, type);
       link.click();
       const revoker = typeof window !== 'undefined' && window.URL ? window.URL : URL;
       revoker.revokeObjectURL(url);
       merged.onSuccess({ fileName });
     } catch (error) {
-      handleError(error.message || 'Unable to export JSON.', merged);
+      handleError(error.message || 'Unable to export the configuration.', merged);
     }
   };
 
@@ -158,6 +246,38 @@ function exportConfig(button, currentConfigProvider, options = {}) {
   return () => button.removeEventListener('click', handleClick);
 }
 
+/**
+ * Parses the content of an imported file (YAML for .yaml/.yml files, otherwise
+ * JSON, unless `options.parse` is set) and attaches the previous edition given
+ * by `options.previous`.
+ * @param {string} text - File content
+ * @param {File} file - Imported file
+ * @param {Object} options - Import options
+ * @returns {Object} Imported configuration
+ */
+function parseImportedFile(text, file, options) {
+  const defaultParse = YAML_FILE_PATTERN.test(file?.name || '') ? parseYamlConfig : JSON.parse;
+  const parse = typeof options.parse === 'function' ? options.parse : defaultParse;
+  const parsed = parse(text, file);
+  if (!options.previous) {
+    return parsed;
+  }
+
+  const previous = typeof options.previous === 'function' ? options.previous() : options.previous;
+  return withPreviousEdition(parsed, previous);
+}
+
+/**
+ * Describes a successful import for `onSuccess`. YAML imports include their
+ * `source`, so exports can keep its comments when it is passed as `yamlSource`.
+ * @param {File} file - Imported file
+ * @param {string} text - File content
+ * @returns {{fileName: string, source?: string}} Import result
+ */
+function importResult(file, text) {
+  return YAML_FILE_PATTERN.test(file.name || '') ? { fileName: file.name, source: text } : { fileName: file.name };
+}
+
 function importConfig(fileInput, applyConfig, options = {}) {
   if (!fileInput) {
     throw new Error('importConfig requires a file input element');
@@ -179,16 +299,17 @@ function importConfig(fileInput, applyConfig, options = {}) {
     reader.onload = async loadEvent => {
       let parsed;
       try {
-        parsed = JSON.parse(loadEvent.target.result);
-      } catch (_parseError) {
-        handleError(readerErrorMessages.parse, merged);
+        parsed = parseImportedFile(loadEvent.target.result, file, merged);
+      } catch (parseError) {
+        // YAML and custom parsers report their own errors (e.g. the line or CSV row)
+        handleError(parseError instanceof SyntaxError ? readerErrorMessages.parse : parseError.message, merged);
         fileInput.value = '';
         return;
       }
 
       try {
         await applyConfig(parsed);
-        merged.onSuccess({ fileName: file.name });
+        merged.onSuccess(importResult(file, loadEvent.target.result));
       } catch (error) {
         handleError(error.message || 'Unable to import configuration.', merged);
       } finally {
@@ -213,5 +334,6 @@ export function createJsonIOHelpers() {
     importConfig,
     sanitizeConfigForExport,
     mergeConfigs,
+    withPreviousEdition,
   };
 }
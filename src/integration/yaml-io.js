@@ -0,0 +1,174 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * YAML I/O Module
+ *
+ * Reads and writes radar configurations as YAML, for radars kept in Git where
+ * YAML diffs and reviews better than JSON. When the YAML a configuration was
+ * imported from is passed on export, the configuration is written into that
+ * document, so its comments and formatting survive the round trip: mapping keys
+ * keep their comments, and list items keep theirs when they can be matched
+ * (entries by key, id or label, other items by position).
+ */
+
+import { Document, isMap, isScalar, isSeq, parseDocument } from 'yaml';
+import { entryKey } from '../rendering/helpers.js';
+import { ConfigValidationError } from '../validation/config-validator.js';
+
+/**
+ * Parses a YAML document, throwing its first error.
+ *
+ * @param {string} text - YAML text
+ * @returns {import('yaml').Document} Parsed document
+ * @throws {ConfigValidationError} With the line of the first syntax error
+ */
+function parseYamlDocument(text) {
+  const document = parseDocument(text);
+  const [error] = document.errors;
+  if (error) {
+    // The message continues with an excerpt of the source; keep the description
+    const message = error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '');
+    const line = error.linePos?.[0]?.line;
+    throw new ConfigValidationError(line ? `YAML line ${line}: ${message}` : `YAML: ${message}`, 'yaml', text);
+  }
+  return document;
+}
+
+/**
+ * Parses a radar configuration from YAML.
+ *
+ * @param {string} text - YAML text
+ * @returns {Object} Configuration
+ * @throws {ConfigValidationError} If the YAML is invalid or does not hold a mapping
+ */
+export function parseYamlConfig(text) {
+  const config = parseYamlDocument(text).toJS();
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new ConfigValidationError('YAML: Expected a radar configuration (a mapping)', 'yaml', config);
+  }
+  return config;
+}
+
+/**
+ * Returns whether a value is a plain object.
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Returns the key a list item is matched by: the entry key of objects with a
+ * label, and nothing for other items (matched by position).
+ *
+ * @param {*} value - List item
+ * @returns {string|undefined} Match key
+ */
+function itemKey(value) {
+  return isPlainObject(value) && value.label !== undefined ? String(entryKey(value)) : undefined;
+}
+
+/**
+ * Writes a value into a node of a document, keeping the node (and its comments)
+ * where the node's type fits the value.
+ *
+ * @param {import('yaml').Document} document - Document the node belongs to
+ * @param {import('yaml').Node} node - Existing node, if any
+ * @param {*} value - New value
+ * @returns {import('yaml').Node} Updated or new node
+ */
+function updateNode(document, node, value) {
+  if (isMap(node) && isPlainObject(value)) {
+    updateMap(document, node, value);
+    return node;
+  }
+  if (isSeq(node) && Array.isArray(value)) {
+    updateSeq(document, node, value);
+    return node;
+  }
+  if (isScalar(node) && (value === null || typeof value !== 'object')) {
+    node.value = value;
+    return node;
+  }
+  return document.createNode(value);
+}
+
+/**
+ * Updates a mapping: existing keys keep their place and comments, new keys are
+ * appended and keys that are gone are removed.
+ *
+ * @param {import('yaml').Document} document - Document
+ * @param {import('yaml').YAMLMap} node - Mapping node
+ * @param {Object} value - New value
+ */
+function updateMap(document, node, value) {
+  const keys = Object.keys(value).filter(key => value[key] !== undefined);
+  node.items = node.items.filter(pair => keys.includes(String(isScalar(pair.key) ? pair.key.value : pair.key)));
+
+  for (const key of keys) {
+    const pair = node.items.find(item => String(isScalar(item.key) ? item.key.value : item.key) === key);
+    if (pair) {
+      pair.value = updateNode(document, pair.value, value[key]);
+    } else {
+      node.items.push(document.createPair(key, value[key]));
+    }
+  }
+}
+
+/**
+ * Updates a list: items are matched by their entry key, otherwise by position.
+ *
+ * @param {import('yaml').Document} document - Document
+ * @param {import('yaml').YAMLSeq} node - List node
+ * @param {Array} value - New value
+ */
+function updateSeq(document, node, value) {
+  const existing = node.items.map(item => ({ item, key: itemKey(item?.toJSON?.() ?? item) }));
+  const byKey = new Map(existing.filter(({ key }) => key !== undefined).map(({ item, key }) => [key, item]));
+  const used = new Set();
+
+  node.items = value.map((itemValue, index) => {
+    const key = itemKey(itemValue);
+    let item = key === undefined ? existing[index]?.item : byKey.get(key);
+    if (item === undefined && key !== undefined && existing[index]?.key === undefined) {
+      item = existing[index]?.item;
+    }
+    if (item === undefined || used.has(item)) {
+      return document.createNode(itemValue);
+    }
+    used.add(item);
+    return updateNode(document, item, itemValue);
+  });
+}
+
+/**
+ * Writes a radar configuration as YAML.
+ *
+ * @param {Object} config - Configuration (sanitize it first, see json-io)
+ * @param {Object} [options] - Export options
+ * @param {string} [options.source] - YAML the configuration was imported from; its
+ *   comments and formatting are kept
+ * @returns {string} YAML text
+ */
+export function stringifyYamlConfig(config, options = {}) {
+  // Drop undefined values, as JSON export does
+  const value = JSON.parse(JSON.stringify(config));
+  let document;
+  try {
+    document = options.source ? parseYamlDocument(options.source) : null;
+  } catch {
+    // An unreadable source only costs the comments
+    document = null;
+  }
+
+  if (!document || !isMap(document.contents)) {
+    document = new Document(value);
+  } else {
+    updateMap(document, document.contents, value);
+  }
+  return document.toString({ lineWidth: 0 });
+}
@@ -74,3 +74,29 @@ export class SeededRandom {
     this.seed = seed !== undefined ? seed : this.initialSeed;
   }
 }
+
+/**
+ * Hashes a string into an unsigned 32-bit integer (FNV-1a).
+ * @param {string} value - The string to hash
+ * @returns {number} Hash value in the range [0, 2^32)
+ */
+export function hashString(value) {
+  let hash = 0x811c9dc5;
+  const text = String(value);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Derives a stable seed for an individual item (e.g. an entry label) from a base seed.
+ * The same base seed and key always give the same result, independent of other items.
+ * @param {number} baseSeed - The radar-wide seed
+ * @param {string} key - Stable item key
+ * @returns {number} Derived seed
+ */
+export function deriveSeed(baseSeed, key) {
+  return (hashString(key) ^ Math.imul(baseSeed, 0x9e3779b1)) >>> 0;
+}
@@ -0,0 +1,21 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Package Module
+ *
+ * Entry point of the ES module build (`dist/tech-radar.js`): the library with d3
+ * imported from the `d3` peer dependency, so the consumer's bundler resolves it
+ * and no global `d3` is needed. `setD3` still replaces it, e.g. with a d3
+ * instance the page already has.
+ */
+
+// Importing the whole namespace also installs selection.transition()
+import * as d3 from 'd3';
+import { setD3 } from './rendering/helpers.js';
+
+setD3(d3);
+
+export * from './index.js';
+export { default } from './index.js';
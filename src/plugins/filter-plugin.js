@@ -0,0 +1,256 @@
+/**
+ * Filter Plugin
+ * Provides a search and filter bar for radar entries
+ * Keeps the filter in the URL so filtered radars can be shared
+ */
+
+import { readFilterParams, writeFilterParams } from '../processing/entry-filter.js';
+import { resolveReference } from '../processing/entry-references.js';
+import { radarRoot } from '../rendering/helpers.js';
+import { definePlugin } from './plugin-base.js';
+
+const MOVED_OPTIONS = [
+  ['2', 'New'],
+  ['1', 'Moved in'],
+  ['-1', 'Moved out'],
+  ['0', 'No change'],
+];
+
+/**
+ * Create a select element with an "any" option
+ * @param {string} name - Field name
+ * @param {string} anyLabel - Label of the empty option
+ * @param {Array<Array<string>>} options - [value, label] pairs
+ * @returns {HTMLSelectElement} Select element
+ */
+function createSelect(name, anyLabel, options) {
+  const select = document.createElement('select');
+  select.name = name;
+  select.setAttribute('aria-label', anyLabel);
+  for (const [value, label] of [['', anyLabel], ...options]) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+  return select;
+}
+
+/**
+ * Build the filter form controls for a configuration
+ * @param {HTMLFormElement} form - Form to fill
+ * @param {Object} radarConfig - Radar configuration (quadrants, rings, entries)
+ */
+function buildFormControls(form, radarConfig) {
+  form.innerHTML = '';
+
+  const query = document.createElement('input');
+  query.type = 'search';
+  query.name = 'query';
+  query.placeholder = 'Search entries';
+  query.setAttribute('aria-label', 'Search entries');
+  form.appendChild(query);
+
+  form.appendChild(
+    createSelect(
+      'quadrant',
+      'All quadrants',
+      (radarConfig.quadrants || []).map((quadrant, index) => [String(index), quadrant.name])
+    )
+  );
+  form.appendChild(
+    createSelect(
+      'ring',
+      'All rings',
+      (radarConfig.rings || []).map((ring, index) => [String(index), ring.name])
+    )
+  );
+  form.appendChild(createSelect('moved', 'Any status', MOVED_OPTIONS));
+
+  const tags = Array.from(new Set((radarConfig.entries || []).flatMap(entry => entry.tags || []))).sort();
+  if (tags.length) {
+    form.appendChild(
+      createSelect(
+        'tags',
+        'All tags',
+        tags.map(tag => [tag, tag])
+      )
+    );
+  }
+
+  const activeLabel = document.createElement('label');
+  const active = document.createElement('input');
+  active.type = 'checkbox';
+  active.name = 'active';
+  activeLabel.append(active, ' Active only');
+  form.appendChild(activeLabel);
+
+  const reset = document.createElement('button');
+  reset.type = 'reset';
+  reset.textContent = 'Clear';
+  form.appendChild(reset);
+}
+
+/**
+ * Read filter criteria from the form
+ * @param {HTMLFormElement} form - Filter form
+ * @returns {Object} Filter criteria
+ */
+function readForm(form) {
+  const { query, quadrant, ring, moved, tags, active } = form.elements;
+  const criteria = {};
+  if (query.value.trim()) criteria.query = query.value;
+  if (quadrant.value !== '') criteria.quadrant = Number(quadrant.value);
+  if (ring.value !== '') criteria.ring = Number(ring.value);
+  if (moved.value !== '') criteria.moved = Number(moved.value);
+  if (tags && tags.value !== '') criteria.tags = [tags.value];
+  if (active.checked) criteria.active = true;
+  return criteria;
+}
+
+/**
+ * Show filter criteria in the form (multiple values can't be shown by a select)
+ * @param {HTMLFormElement} form - Filter form
+ * @param {Object|null} criteria - Filter criteria
+ * @param {Object} radarConfig - Radar configuration (quadrants and rings referenced by name or id)
+ */
+function fillForm(form, criteria, radarConfig) {
+  const single = (value, items) => {
+    const values = Array.isArray(value) ? value : [value];
+    if (values.length !== 1 || values[0] === undefined) {
+      return '';
+    }
+    const index = items ? resolveReference(items, values[0]) : -1;
+    return String(index === -1 ? values[0] : index);
+  };
+  const { query, quadrant, ring, moved, tags, active } = form.elements;
+  query.value = criteria?.query || '';
+  quadrant.value = single(criteria?.quadrant, radarConfig.quadrants);
+  ring.value = single(criteria?.ring, radarConfig.rings);
+  moved.value = single(criteria?.moved);
+  if (tags) tags.value = single(criteria?.tags);
+  active.checked = criteria?.active === true;
+}
+
+/**
+ * Replace the filter parameters of the current URL without adding a history entry
+ * @param {Object|null} criteria - Filter criteria
+ * @param {string} prefix - Parameter name prefix
+ */
+function updateUrl(criteria, prefix) {
+  const params = writeFilterParams(new URLSearchParams(window.location.search), criteria, prefix);
+  const search = params.toString();
+  window.history.replaceState(
+    window.history.state,
+    '',
+    `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`
+  );
+}
+
+/**
+ * Filter Plugin Definition
+ */
+export const filterPlugin = definePlugin({
+  name: 'filter',
+  defaults: {
+    enabled: true,
+    containerId: null,
+    syncUrl: true,
+    paramPrefix: '',
+  },
+  init: (config, context) => {
+    const { enabled, containerId, syncUrl, paramPrefix } = config;
+    const { getCurrentConfig, onConfigChange, onFilterChange } = context;
+
+    if (!enabled) {
+      return { cleanup: () => {} };
+    }
+    if (!context.filter || !onFilterChange) {
+      console.warn('Filter plugin requires a radar instance');
+      return { cleanup: () => {} };
+    }
+
+    const radarConfig = getCurrentConfig();
+    let criteria = null;
+
+    // Place the form in the given container, or right before the radar
+    const form = document.createElement('form');
+    form.className = 'radar-filter';
+    form.dataset.radarId = radarConfig.svg_id;
+    form.setAttribute('role', 'search');
+    buildFormControls(form, radarConfig);
+
+    const container = containerId ? document.getElementById(containerId) : null;
+    const svg = radarRoot(radarConfig).getElementById(radarConfig.svg_id);
+    const anchor = svg?.closest('.radar-layout') || svg;
+    if (container) {
+      container.appendChild(form);
+    } else if (anchor) {
+      anchor.parentNode.insertBefore(form, anchor);
+    } else {
+      console.warn('Filter container not found');
+    }
+
+    const handleInput = () => context.filter(readForm(form));
+    const handleSubmit = event => event.preventDefault();
+    const handleReset = () => context.filter(null);
+    form.addEventListener('input', handleInput);
+    form.addEventListener('submit', handleSubmit);
+    form.addEventListener('reset', handleReset);
+
+    const unsubscribeFilter = onFilterChange(event => {
+      criteria = event.criteria;
+      fillForm(form, criteria, radarConfig);
+      if (syncUrl) {
+        updateUrl(criteria, paramPrefix);
+      }
+    });
+
+    // Quadrant, ring and tag options follow the configuration
+    const unsubscribeConfig = onConfigChange
+      ? onConfigChange(newConfig => {
+          buildFormControls(form, newConfig);
+          fillForm(form, criteria, newConfig);
+        })
+      : () => {};
+
+    // Start with the filter of the URL
+    const initialCriteria = syncUrl ? readFilterParams(new URLSearchParams(window.location.search), paramPrefix) : null;
+    if (initialCriteria) {
+      context.filter(initialCriteria);
+    }
+
+    // Return plugin API
+    return {
+      /**
+       * Get the active filter criteria
+       * @returns {Object|null} Criteria, or null without a filter (or with a predicate filter)
+       */
+      getCriteria: () => criteria,
+
+      /**
+       * Apply filter criteria
+       * @param {Object|null} newCriteria - Filter criteria, or null to clear
+       */
+      setCriteria: newCriteria => context.filter(newCriteria),
+
+      /**
+       * Get the filter form element
+       * @returns {HTMLFormElement}
+       */
+      getForm: () => form,
+
+      /**
+       * Cleanup function
+       */
+      cleanup: () => {
+        unsubscribeFilter();
+        unsubscribeConfig();
+        form.removeEventListener('input', handleInput);
+        form.removeEventListener('submit', handleSubmit);
+        form.removeEventListener('reset', handleReset);
+        form.parentNode?.removeChild(form);
+      },
+    };
+  },
+});
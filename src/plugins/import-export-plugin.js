@@ -1,12 +1,55 @@
 /**
  * Import/Export Plugin
  * Provides configuration import/export functionality
- * Supports JSON format (extensible to CSV, YAML, etc.)
+ * Supports JSON and YAML (whole configurations) and CSV (entries); the format of
+ * imported files is detected from their extension or MIME type. YAML exports keep
+ * the comments of the last imported YAML file
  */
 
+import { parseEntriesCsv, stringifyEntriesCsv } from '../integration/csv-io.js';
 import { createJsonIOHelpers } from '../integration/json-io.js';
+import { parseYamlConfig, stringifyYamlConfig } from '../integration/yaml-io.js';
 import { definePlugin } from './plugin-base.js';
 
+/**
+ * Supported formats: file extensions and MIME types they are detected by
+ */
+export const IMPORT_EXPORT_FORMATS = {
+  json: { extensions: ['.json'], mimeTypes: ['application/json'] },
+  csv: { extensions: ['.csv'], mimeTypes: ['text/csv', 'application/csv'] },
+  yaml: {
+    extensions: ['.yaml', '.yml'],
+    mimeTypes: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'],
+  },
+};
+
+/**
+ * Detect the format of a file from its extension, then its MIME type
+ * @param {{name?: string, type?: string}} file - File (or Blob) to import
+ * @returns {string|null} Format name, or null if unknown
+ */
+export function detectFormat(file) {
+  const name = (file?.name || '').toLowerCase();
+  const type = (file?.type || '').toLowerCase().split(';')[0].trim();
+  const formats = Object.entries(IMPORT_EXPORT_FORMATS);
+
+  const byExtension = formats.find(([, format]) => format.extensions.some(extension => name.endsWith(extension)));
+  const byType = formats.find(([, format]) => format.mimeTypes.includes(type));
+  return (byExtension || byType)?.[0] ?? null;
+}
+
+/**
+ * Build the `accept` attribute of a file input for formats
+ * @param {Array<string>} formats - Format names
+ * @returns {string} Comma-separated extensions and MIME types
+ */
+export function acceptList(formats) {
+  return formats
+    .filter(format => IMPORT_EXPORT_FORMATS[format])
+    .flatMap(format => [...IMPORT_EXPORT_FORMATS[format].mimeTypes, ...IMPORT_EXPORT_FORMATS[format].extensions])
+    .join(',');
+}
+
 /**
  * Import/Export Plugin Definition
  */
@@ -14,17 +57,22 @@ export const importExportPlugin = definePlugin({
   name: 'importExport',
   defaults: {
     enabled: true,
-    formats: ['json'],
+    formats: ['json', 'csv', 'yaml'],
+    csvColumns: null,
     fileNamePattern: '{slug}-{timestamp}',
     pretty: true,
+    diffOnImport: false,
   },
   init: (config, context) => {
-    const { formats: _formats, fileNamePattern, pretty } = config;
+    const { formats = ['json', 'csv', 'yaml'], csvColumns, fileNamePattern, pretty, diffOnImport } = config;
     const { getCurrentConfig, onConfigChange: _onConfigChange, demoSlug } = context;
 
     // Create JSON I/O helpers (existing implementation)
     const jsonIO = createJsonIOHelpers();
 
+    // The last imported YAML, whose comments YAML exports keep
+    let yamlSource = null;
+
     // Track import/export operations
     const operations = {
       imports: 0,
@@ -49,20 +97,60 @@ export const importExportPlugin = definePlugin({
     };
 
     /**
-     * Export configuration to JSON
+     * Throw unless a format is enabled
+     * @param {string} format - Format name
+     */
+    const assertFormat = format => {
+      if (!formats.includes(format)) {
+        throw new Error(`Unsupported format "${format}" (enabled: ${formats.join(', ')})`);
+      }
+    };
+
+    /**
+     * Parse imported text
+     * @param {string} text - File content
+     * @param {string} format - Format name
+     * @returns {Object} Imported configuration (CSV: `{ entries }`)
+     */
+    const parse = (text, format) => {
+      assertFormat(format);
+      if (format === 'csv') {
+        // Quadrant and ring names refer to the current radar
+        return { entries: parseEntriesCsv(text, getCurrentConfig?.() || {}, { columns: csvColumns || undefined }) };
+      }
+      if (format === 'yaml') {
+        const config = parseYamlConfig(text);
+        yamlSource = text;
+        return config;
+      }
+      return JSON.parse(text);
+    };
+
+    /**
+     * Export configuration as JSON, YAML or CSV (entries only)
      * @param {Object} options - Export options
+     * @param {string} [options.format='json'] - Export format
      * @returns {Promise<{fileName: string, blob: Blob}>}
      */
-    const exportJSON = async (options = {}) => {
+    const exportConfig = async (options = {}) => {
+      const format = options.format || 'json';
+      assertFormat(format);
       const configToExport = options.config || getCurrentConfig?.();
       if (!configToExport) {
         throw new Error('No configuration to export');
       }
 
-      const fileName = options.fileName || `${generateFileName('export')}.json`;
-      const jsonString = pretty ? JSON.stringify(configToExport, null, 2) : JSON.stringify(configToExport);
+      const fileName = options.fileName || `${generateFileName('export')}.${format}`;
+      let content;
+      if (format === 'csv') {
+        content = stringifyEntriesCsv(configToExport);
+      } else if (format === 'yaml') {
+        content = stringifyYamlConfig(configToExport, { source: options.source ?? yamlSource });
+      } else {
+        content = pretty ? JSON.stringify(configToExport, null, 2) : JSON.stringify(configToExport);
+      }
 
-      const blob = new Blob([jsonString], { type: 'application/json' });
+      const blob = new Blob([content], { type: IMPORT_EXPORT_FORMATS[format].mimeTypes[0] });
 
       // Update stats
       operations.exports++;
@@ -76,22 +164,30 @@ export const importExportPlugin = definePlugin({
     };
 
     /**
-     * Import configuration from JSON
+     * Import configuration from JSON, YAML or CSV
      * @param {File|Blob|string} source - Source data
+     * @param {Object} options - Import options
+     * @param {string} [options.format] - Format (default: detected from the file, else JSON)
      * @returns {Promise<Object>} Imported configuration
      */
-    const importJSON = async source => {
-      let data;
+    const importConfig = async (source, options = {}) => {
+      let text;
 
       if (source instanceof File || source instanceof Blob) {
-        const text = await source.text();
-        data = JSON.parse(text);
+        text = await source.text();
       } else if (typeof source === 'string') {
-        data = JSON.parse(source);
+        text = source;
       } else {
         throw new Error('Invalid import source');
       }
 
+      let data = parse(text, options.format || detectFormat(source) || 'json');
+
+      // Imported editions are compared with the current radar to derive `moved`
+      if (diffOnImport) {
+        data = jsonIO.withPreviousEdition(data, getCurrentConfig?.());
+      }
+
       // Update stats
       operations.imports++;
       operations.lastImport = {
@@ -111,6 +207,7 @@ export const importExportPlugin = definePlugin({
      */
     const setupExport = (button, getConfig, options = {}) => {
       return jsonIO.exportConfig(button, getConfig, {
+        yamlSource: () => yamlSource,
         ...options,
         demoSlug: demoSlug || options.demoSlug,
       });
@@ -127,6 +224,8 @@ export const importExportPlugin = definePlugin({
       return jsonIO.importConfig(input, onImport, {
         ...options,
         demoSlug: demoSlug || options.demoSlug,
+        previous: diffOnImport ? getCurrentConfig : options.previous,
+        parse: (text, file) => parse(text, detectFormat(file) || 'json'),
       });
     };
 
@@ -136,17 +235,24 @@ export const importExportPlugin = definePlugin({
 
       /**
        * Export current configuration
-       * @param {Object} options - Export options
+       * @param {Object} options - Export options (`format`: 'json', 'yaml' or 'csv';
+       *   `source`: YAML whose comments to keep, default the last imported YAML)
        * @returns {Promise<{fileName: string, blob: Blob}>}
        */
-      export: exportJSON,
+      export: exportConfig,
 
       /**
        * Import configuration
        * @param {File|Blob|string} source - Source data
+       * @param {Object} options - Import options (`format`, default: detected)
        * @returns {Promise<Object>} Imported configuration
        */
-      import: importJSON,
+      import: importConfig,
+
+      /**
+       * File input `accept` list of the enabled formats
+       */
+      accept: acceptList(formats),
 
       /**
        * Setup export button
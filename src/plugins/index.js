@@ -3,11 +3,20 @@
  * Exports all available plugins and plugin infrastructure
  */
 
+export { filterPlugin } from './filter-plugin.js';
 export { importExportPlugin } from './import-export-plugin.js';
-export { definePlugin, getPlugin, hasPlugin, initializePlugins, registerPlugin } from './plugin-base.js';
+export {
+  createPluginHost,
+  definePlugin,
+  getPlugin,
+  hasPlugin,
+  initializePlugins,
+  registerPlugin,
+} from './plugin-base.js';
 export { storagePlugin } from './storage-plugin.js';
 export { toolbarPlugin } from './toolbar-plugin.js';
 
+import { filterPlugin } from './filter-plugin.js';
 import { importExportPlugin } from './import-export-plugin.js';
 // Register built-in plugins
 import { registerPlugin } from './plugin-base.js';
@@ -17,3 +26,4 @@ import { toolbarPlugin } from './toolbar-plugin.js';
 registerPlugin('storage', storagePlugin);
 registerPlugin('importExport', importExportPlugin);
 registerPlugin('toolbar', toolbarPlugin);
+registerPlugin('filter', filterPlugin);
@@ -36,30 +36,88 @@ export function hasPlugin(name) {
 }
 
 /**
- * Initialize plugins from configuration
+ * Lists the enabled dependencies of a plugin with their configuration.
+ * Dependencies missing from the configuration are enabled with their defaults.
+ * @param {Object} plugin - Plugin definition
  * @param {Object} pluginConfig - Plugin configuration object
- * @param {Object} context - Context object with radar state and helpers
- * @returns {Object} Initialized plugins with cleanup functions
+ * @returns {Array<[string, Object]>} Dependency names and configurations
  */
-export function initializePlugins(pluginConfig = {}, context = {}) {
-  const initialized = {};
-  const cleanupFunctions = [];
+function enabledDependencies(plugin, pluginConfig) {
+  return (plugin.dependencies || [])
+    .map(dependency => [dependency, dependency in pluginConfig ? pluginConfig[dependency] : {}])
+    .filter(([, config]) => config && config.enabled !== false);
+}
+
+/**
+ * Orders enabled plugins so that dependencies initialize before their dependents.
+ * Registered dependencies missing from the configuration are added with their defaults;
+ * explicitly disabled dependencies stay disabled (the dependent must cope without them).
+ * Plugins in a dependency cycle are reported and skipped.
+ * @param {Object} pluginConfig - Plugin configuration object
+ * @returns {Array<{name: string, plugin: Object, config: Object}>} Plugins in initialization order
+ */
+function resolvePluginOrder(pluginConfig) {
+  const ordered = [];
+  const visited = new Set();
+  const cyclic = new Set();
+
+  const visit = (name, config, path) => {
+    if (path.includes(name)) {
+      const cycle = path.slice(path.indexOf(name));
+      console.error(`Plugin dependency cycle detected: ${[...cycle, name].join(' -> ')}`);
+      cycle.forEach(member => {
+        cyclic.add(member);
+      });
+      return;
+    }
+    if (visited.has(name)) {
+      return;
+    }
+    visited.add(name);
+
+    const plugin = getPlugin(name);
+    if (!plugin) {
+      console.warn(`Plugin "${name}" not registered, skipping...`);
+      return;
+    }
+
+    for (const [dependency, dependencyConfig] of enabledDependencies(plugin, pluginConfig)) {
+      visit(dependency, dependencyConfig, [...path, name]);
+    }
+
+    if (!cyclic.has(name)) {
+      ordered.push({ name, plugin, config });
+    }
+  };
 
-  // Process each plugin configuration
   for (const [pluginName, config] of Object.entries(pluginConfig)) {
     if (!config || config.enabled === false) {
       continue; // Skip disabled plugins
     }
+    visit(pluginName, config, []);
+  }
 
-    const plugin = getPlugin(pluginName);
-    if (!plugin) {
-      console.warn(`Plugin "${pluginName}" not registered, skipping...`);
-      continue;
-    }
+  return ordered;
+}
+
+/**
+ * Initialize plugins from configuration
+ *
+ * Plugins are initialized in dependency order. Each plugin receives the shared context
+ * extended with `plugins`, the instances of the plugins initialized so far.
+ * @param {Object} pluginConfig - Plugin configuration object
+ * @param {Object} context - Context object with radar state and helpers
+ * @returns {Object} Initialized plugins with cleanup functions
+ */
+export function initializePlugins(pluginConfig = {}, context = {}) {
+  const initialized = {};
+  const cleanupFunctions = [];
+  const pluginContext = { ...context, plugins: initialized };
 
+  for (const { name: pluginName, plugin, config } of resolvePluginOrder(pluginConfig)) {
     try {
       // Initialize plugin with config and context
-      const instance = plugin.init(config, context);
+      const instance = plugin.init(config, pluginContext);
       initialized[pluginName] = instance;
 
       // Collect cleanup function if provided
@@ -75,15 +133,94 @@ export function initializePlugins(pluginConfig = {}, context = {}) {
   return {
     plugins: initialized,
     cleanup: () => {
-      cleanupFunctions.forEach(fn => {
+      // Dependents are cleaned up before their dependencies
+      cleanupFunctions.reverse().forEach(fn => {
         try {
           fn();
         } catch (error) {
           console.error('Plugin cleanup error:', error);
         }
       });
+      cleanupFunctions.length = 0;
+    },
+  };
+}
+
+/**
+ * Create a plugin host that keeps plugins alive across renders
+ *
+ * The host owns the plugin context: it adds `onConfigChange` subscriptions to the given
+ * context and re-initializes plugins only when the plugin configuration object changes.
+ * @param {Object} context - Context object with radar state and helpers
+ * @param {Function} [context.getCurrentConfig] - Returns the current configuration
+ * @param {Function} [context.applyConfig] - Replaces the configuration and re-renders
+ * @param {Function} [context.onConfigImport] - Merges an imported configuration and re-renders
+ * @param {string} [context.demoSlug] - Slug used for storage keys and file names
+ * @returns {Object} Plugin host
+ */
+export function createPluginHost(context = {}) {
+  const changeHandlers = new Set();
+  let active = null;
+
+  const hostContext = {
+    ...context,
+    /**
+     * Subscribe to configuration changes
+     * @param {Function} handler - Called with the new configuration
+     * @returns {Function} Unsubscribe function
+     */
+    onConfigChange: handler => {
+      changeHandlers.add(handler);
+      return () => changeHandlers.delete(handler);
     },
   };
+
+  const cleanup = () => {
+    if (active) {
+      active.result.cleanup();
+      active = null;
+    }
+  };
+
+  return {
+    context: hostContext,
+
+    /**
+     * Initialize plugins for a configuration, reusing them if it did not change
+     * @param {Object} [pluginConfig] - Plugin configuration object
+     * @returns {Object} Initialized plugin instances by name
+     */
+    sync(pluginConfig) {
+      if (active && active.pluginConfig === pluginConfig) {
+        return active.result.plugins;
+      }
+      cleanup();
+      if (!pluginConfig) {
+        return {};
+      }
+      active = { pluginConfig, result: initializePlugins(pluginConfig, hostContext) };
+      return active.result.plugins;
+    },
+
+    /**
+     * Notify `onConfigChange` subscribers
+     * @param {Object} config - New configuration
+     */
+    notifyConfigChange(config) {
+      for (const handler of Array.from(changeHandlers)) {
+        try {
+          handler(config);
+        } catch (error) {
+          console.error('Plugin config change handler error:', error);
+        }
+      }
+    },
+
+    /**
+     * Clean up all initialized plugins
+     */
+    cleanup,
+  };
 }
 
 /**
@@ -92,12 +229,14 @@ export function initializePlugins(pluginConfig = {}, context = {}) {
  * @param {string} definition.name - Plugin name
  * @param {Function} definition.init - Initialization function
  * @param {Object} [definition.defaults] - Default configuration
+ * @param {Array<string>} [definition.dependencies] - Plugins that must initialize first
  * @returns {Object} Plugin definition
  */
-export function definePlugin({ name, init, defaults = {} }) {
+export function definePlugin({ name, init, defaults = {}, dependencies = [] }) {
   return {
     name,
     defaults,
+    dependencies,
     init: (config, context) => {
       const mergedConfig = { ...defaults, ...config };
       return init(mergedConfig, context);
@@ -34,7 +34,7 @@ function getDefaultToolbarHTML() {
   return `
     <div class="demo-toolbar" role="region" aria-label="JSON configuration tools">
       <div class="demo-toolbar__controls">
-        <button type="button" class="demo-toolbar__button demo-toolbar__button--icon" id="jsonImportButton" title="Import JSON Configuration" aria-label="Import JSON">
+        <button type="button" class="demo-toolbar__button demo-toolbar__button--icon" id="jsonImportButton" title="Import Configuration" aria-label="Import configuration">
           <i class="fas fa-file-import"></i>
         </button>
         <button type="button" class="demo-toolbar__button demo-toolbar__button--icon" id="jsonExportButton" title="Export JSON Configuration" aria-label="Export JSON">
@@ -52,6 +52,7 @@ function getDefaultToolbarHTML() {
  */
 export const toolbarPlugin = definePlugin({
   name: 'toolbar',
+  dependencies: ['importExport'],
   defaults: {
     enabled: true,
     position: 'top-right',
@@ -61,7 +62,8 @@ export const toolbarPlugin = definePlugin({
   },
   init: (config, context) => {
     const { enabled, containerId, autoRender, buttons } = config;
-    const { importExportPlugin, getCurrentConfig, onConfigImport, demoSlug } = context;
+    const { getCurrentConfig, onConfigImport, demoSlug } = context;
+    const importExportPlugin = context.importExportPlugin || context.plugins?.importExport;
 
     if (!enabled) {
       return { cleanup: () => {} };
@@ -125,7 +127,12 @@ export const toolbarPlugin = definePlugin({
 
       // Setup import/export functionality
       if (importExportPlugin) {
-        const { setupImport, setupExport } = importExportPlugin;
+        const { setupImport, setupExport, accept } = importExportPlugin;
+
+        // Accept every format the import/export plugin reads
+        if (accept) {
+          importInput.accept = accept;
+        }
 
         // Setup import
         const handleImportClick = () => importInput.click();
@@ -0,0 +1,206 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Config Comparison Module
+ *
+ * Compares two radar configurations that share entries, e.g. the radars of two
+ * teams. Entries are matched by key (`key`, `id`, falling back to `label`) and
+ * then by label; rings and quadrants are compared by name.
+ *
+ * - compareConfigs() reports entries that differ in ring, exist in only one
+ *   configuration, or link to different pages
+ * - createComparisonConfig() builds an overlay configuration showing the entries
+ *   of both configurations, to be rendered with comparison arrows
+ */
+
+import { createJsonIOHelpers } from '../integration/json-io.js';
+import { entryKey } from '../rendering/helpers.js';
+import { resolveReference } from './entry-references.js';
+
+const { mergeConfigs } = createJsonIOHelpers();
+
+/**
+ * Matches the entries of two configurations, each entry at most once.
+ *
+ * @param {Array<Object>} leftEntries - Entries of the left configuration
+ * @param {Array<Object>} rightEntries - Entries of the right configuration
+ * @returns {{pairs: Array<{key: string, left: Object, right: Object}>, onlyLeft: Array<Object>, onlyRight: Array<Object>}}
+ *   Matched entries (keyed by the left entry) and the entries of one side only
+ */
+function matchEntries(leftEntries, rightEntries) {
+  const byKey = new Map(rightEntries.map(entry => [entryKey(entry), entry]));
+  const byLabel = new Map(rightEntries.map(entry => [entry.label, entry]));
+  const matched = new Set();
+  const pairs = [];
+  const onlyLeft = [];
+
+  for (const left of leftEntries) {
+    const candidate = byKey.get(entryKey(left)) ?? byLabel.get(left.label);
+    if (candidate && !matched.has(candidate)) {
+      matched.add(candidate);
+      pairs.push({ key: entryKey(left), left, right: candidate });
+    } else {
+      onlyLeft.push(left);
+    }
+  }
+
+  return { pairs, onlyLeft, onlyRight: rightEntries.filter(entry => !matched.has(entry)) };
+}
+
+/**
+ * Returns the name of a ring (or quadrant), falling back to its index.
+ *
+ * @param {Array<Object>} [items] - Rings or quadrants
+ * @param {number|string} reference - Index, name or id of the ring or quadrant
+ * @returns {string|number} Name, or the reference for unnamed items
+ */
+function nameAt(items, reference) {
+  return items?.[resolveReference(items, reference)]?.name ?? reference;
+}
+
+/**
+ * Compares the entries of two configurations.
+ *
+ * @param {Object} left - Left configuration
+ * @param {Object} right - Right configuration
+ * @returns {Object} Comparison report
+ * @property {Array<{key: string, left: Object, right: Object}>} matched - Entries of both configurations
+ * @property {Array<Object>} ringDifferences - Matched entries in different rings
+ *   (`{ key, label, left, right, leftRing, rightRing }`, ring names)
+ * @property {Array<Object>} onlyLeft - Entries of the left configuration only
+ * @property {Array<Object>} onlyRight - Entries of the right configuration only
+ * @property {Array<Object>} linkConflicts - Matched entries linking to different pages
+ *   (`{ key, label, left, right }`)
+ */
+export function compareConfigs(left, right) {
+  const { pairs, onlyLeft, onlyRight } = matchEntries(left.entries || [], right.entries || []);
+
+  const ringDifferences = pairs
+    .map(pair => ({
+      key: pair.key,
+      label: pair.left.label,
+      left: pair.left,
+      right: pair.right,
+      leftRing: nameAt(left.rings, pair.left.ring),
+      rightRing: nameAt(right.rings, pair.right.ring),
+    }))
+    .filter(difference => difference.leftRing !== difference.rightRing);
+
+  const linkConflicts = pairs
+    .filter(pair => pair.left.link && pair.right.link && pair.left.link !== pair.right.link)
+    .map(pair => ({ key: pair.key, label: pair.left.label, left: pair.left, right: pair.right }));
+
+  return { matched: pairs, ringDifferences, onlyLeft, onlyRight, linkConflicts };
+}
+
+/**
+ * Returns the names of the compared configurations.
+ *
+ * @param {Object} left - Left configuration
+ * @param {Object} right - Right configuration
+ * @param {Array<string>} [labels] - Explicit names
+ * @returns {Array<string>} Left and right name
+ */
+export function comparisonLabels(left, right, labels = []) {
+  return [labels[0] ?? left.title ?? 'Left', labels[1] ?? right.title ?? 'Right'];
+}
+
+/**
+ * Formats a comparison report as Markdown.
+ *
+ * @param {Object} report - Result of compareConfigs()
+ * @param {Array<string>} labels - Left and right name (see comparisonLabels)
+ * @returns {string} Markdown report
+ */
+export function formatComparisonReport(report, labels) {
+  const [leftName, rightName] = labels;
+  const section = (title, lines) =>
+    [`## ${title} (${lines.length})`, '', ...(lines.length ? lines : ['None']), ''].join('\n');
+
+  return [
+    `# ${leftName} vs. ${rightName}`,
+    '',
+    section(
+      'Ring differences',
+      report.ringDifferences.map(
+        ({ label, leftRing, rightRing }) => `- ${label}: ${leftRing} (${leftName}) → ${rightRing} (${rightName})`
+      )
+    ),
+    section(
+      `Only in ${leftName}`,
+      report.onlyLeft.map(entry => `- ${entry.label}`)
+    ),
+    section(
+      `Only in ${rightName}`,
+      report.onlyRight.map(entry => `- ${entry.label}`)
+    ),
+    section(
+      'Link conflicts',
+      report.linkConflicts.map(
+        ({ label, left, right }) => `- ${label}: ${left.link} (${leftName}) vs. ${right.link} (${rightName})`
+      )
+    ),
+  ].join('\n');
+}
+
+/**
+ * Maps a ring or quadrant of one configuration to the other by name.
+ *
+ * @param {Array<Object>} [targetItems] - Rings or quadrants to map to
+ * @param {Array<Object>} [sourceItems] - Rings or quadrants of the entry's configuration
+ * @param {number|string} reference - Index, name or id in the entry's configuration
+ * @returns {number|string} Index in the target configuration (the reference if the name is unknown)
+ */
+function mapByName(targetItems, sourceItems, reference) {
+  const index = resolveReference(sourceItems, reference);
+  const name = sourceItems?.[index]?.name;
+  const mapped = name === undefined || !targetItems ? -1 : targetItems.findIndex(item => item.name === name);
+  return mapped === -1 ? reference : mapped;
+}
+
+/**
+ * Builds the overlay configuration of two configurations: the left configuration
+ * (merged with mergeConfigs) with the entries of both sides. Overlay entries get
+ * a unique `key`, their `comparison` side and the `comparison_key` shared by both
+ * sides of a matched entry; right entries are placed by ring and quadrant name.
+ *
+ * @param {Object} left - Left configuration (quadrants, rings and display options)
+ * @param {Object} right - Right configuration
+ * @param {Object} [options] - Comparison options
+ * @param {Array<string>} [options.labels] - Names of both configurations (default: titles)
+ * @returns {Object} Overlay configuration
+ */
+export function createComparisonConfig(left, right, options = {}) {
+  const labels = comparisonLabels(left, right, options.labels);
+  const { pairs } = matchEntries(left.entries || [], right.entries || []);
+  // Matched right entries share the key of their left entry
+  const pairKeys = new Map(pairs.map(pair => [pair.right, pair.key]));
+
+  const overlayEntry = (entry, side, comparisonKey) => ({
+    ...entry,
+    key: `${side}:${comparisonKey}`,
+    id: undefined,
+    number: undefined,
+    comparison: side,
+    comparison_key: comparisonKey,
+  });
+
+  const leftEntries = (left.entries || []).map(entry => overlayEntry(entry, 'left', entryKey(entry)));
+  const rightEntries = (right.entries || []).map(entry => ({
+    ...overlayEntry(entry, 'right', pairKeys.get(entry) ?? entryKey(entry)),
+    quadrant: mapByName(left.quadrants, right.quadrants, entry.quadrant),
+    ring: mapByName(left.rings, right.rings, entry.ring),
+  }));
+
+  return {
+    ...mergeConfigs(left, {
+      title: `${labels[0]} vs. ${labels[1]}`,
+      entries: [...leftEntries, ...rightEntries],
+    }),
+    footer: `Arrows point from ${labels[0]} to ${labels[1]}`,
+    numbering: left.numbering === 'explicit' ? 'alphabetical' : left.numbering,
+    comparison: { labels },
+  };
+}
@@ -0,0 +1,105 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Edition Diff Module
+ *
+ * Derives the `moved` status of entries from the previous edition of a radar.
+ * Entries are matched by key (`key`, `id`, falling back to `label`) and then by
+ * label. Rings are matched by name, so reordered or added rings still compare
+ * correctly; without names they are compared by index.
+ *
+ * - moved in (1): the entry is in an inner ring compared to the previous edition
+ * - moved out (-1): the entry is in an outer ring
+ * - new (2): the entry was not on the previous edition
+ * - no change (0): same ring
+ *
+ * Entries of the previous edition that are gone are reported as archived.
+ */
+
+import { entryKey } from '../rendering/helpers.js';
+import { resolveReference } from './entry-references.js';
+
+/**
+ * Maps a ring of the previous edition to the current rings. Previous editions
+ * without rings reference the current rings.
+ *
+ * @param {number|string} reference - Ring of the previous edition: index, name or id
+ * @param {Array<Object>} [previousRings] - Rings of the previous edition
+ * @param {Array<Object>} [rings] - Current rings
+ * @returns {number} Ring index in the current edition
+ */
+function currentRingIndex(reference, previousRings, rings) {
+  const index = resolveReference(previousRings ?? rings, reference);
+  const name = previousRings?.[index]?.name;
+  const byName = name === undefined || !rings ? -1 : rings.findIndex(ring => ring.name === name);
+  return byName === -1 ? index : byName;
+}
+
+/**
+ * Computes the moved status of an entry.
+ *
+ * @param {number} ring - Current ring index
+ * @param {number} previousRing - Previous ring index, mapped to the current rings
+ * @returns {number} Moved status (1 in, -1 out, 0 no change)
+ */
+function ringMovement(ring, previousRing) {
+  return Math.sign(previousRing - ring);
+}
+
+/**
+ * Compares two editions of a radar.
+ *
+ * @param {Object} previous - Previous edition (configuration with entries and rings)
+ * @param {Object} current - Current edition
+ * @returns {{changes: Array<{entry: Object, previous: Object|null, moved: number}>, archived: Array<Object>}}
+ *   One change per current entry (in entry order) and the previous entries that were removed
+ */
+export function diffEditions(previous, current) {
+  const previousEntries = previous?.entries || [];
+  const byKey = new Map(previousEntries.map(entry => [entryKey(entry), entry]));
+  const byLabel = new Map(previousEntries.map(entry => [entry.label, entry]));
+  const matched = new Set();
+
+  const findPrevious = entry => {
+    const candidate = byKey.get(entryKey(entry)) ?? byLabel.get(entry.label);
+    return candidate && !matched.has(candidate) ? candidate : null;
+  };
+
+  const changes = (current.entries || []).map(entry => {
+    const before = findPrevious(entry);
+    if (!before) {
+      return { entry, previous: null, moved: 2 };
+    }
+    matched.add(before);
+    const previousRing = currentRingIndex(before.ring, previous.rings, current.rings);
+    return { entry, previous: before, moved: ringMovement(entry.ring, previousRing) };
+  });
+
+  const archived = previousEntries.filter(entry => !matched.has(entry)).map(entry => ({ ...entry }));
+
+  return { changes, archived };
+}
+
+/**
+ * Sets the `moved` status of all entries from `config.previous` and stores the removed
+ * entries in `config.archived`. Without a previous edition, entries keep their `moved`
+ * status and stale archived entries are dropped.
+ *
+ * @param {Object} config - Radar configuration (mutated)
+ * @returns {Object} The configuration
+ */
+export function applyEditionDiff(config) {
+  if (!config.previous) {
+    config.archived = undefined;
+    return config;
+  }
+
+  const { changes, archived } = diffEditions(config.previous, config);
+  for (const { entry, moved } of changes) {
+    entry.moved = moved;
+  }
+  config.archived = archived;
+  return config;
+}
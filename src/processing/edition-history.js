@@ -0,0 +1,150 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Edition History Module
+ *
+ * Shows one of several dated editions of a radar (`editions`, oldest first).
+ * The selected edition (`edition`, an index or a date, default the latest)
+ * provides the entries and date; the edition before it becomes `previous`, so
+ * moved statuses are derived from it (see edition-diff.js). Every entry gets
+ * its ring history up to the selected edition.
+ */
+
+import { entryKey } from '../rendering/helpers.js';
+import { resolveReference } from './entry-references.js';
+
+/**
+ * Resolves the selected edition.
+ *
+ * @param {Array<Object>} editions - Editions, oldest first
+ * @param {number|string} [edition] - Edition index or date; defaults to the latest edition
+ * @returns {number} Index of the edition, or -1 if there is no such edition
+ */
+export function editionIndex(editions, edition) {
+  if (!Array.isArray(editions) || editions.length === 0) {
+    return -1;
+  }
+  if (edition === undefined || edition === null) {
+    return editions.length - 1;
+  }
+  if (typeof edition === 'number') {
+    return Number.isInteger(edition) && edition >= 0 && edition < editions.length ? edition : -1;
+  }
+  return editions.findIndex(candidate => candidate?.date === edition);
+}
+
+/**
+ * Creates a lookup for the entries of an edition: by key, then by label.
+ *
+ * @param {Array<Object>} entries - Entries of an edition
+ * @returns {Function} Returns the edition's entry matching an entry, or undefined
+ */
+function createEntryLookup(entries) {
+  const byKey = new Map(entries.map(entry => [entryKey(entry), entry]));
+  const byLabel = new Map(entries.map(entry => [entry.label, entry]));
+  return entry => byKey.get(entryKey(entry)) ?? byLabel.get(entry.label);
+}
+
+/**
+ * Collects the ring history of entries across editions. Consecutive editions
+ * that keep an entry in the same ring are reported once, with the date the
+ * entry reached that ring.
+ *
+ * @param {Array<Object>} editions - Editions, oldest first
+ * @param {Array<Object>} entries - Entries to look up
+ * @param {Array<Object>} [rings] - Rings that ring names and ids of the editions refer to
+ * @returns {Array<Array<{date: string, ring: number}>>} History per entry, in entry order
+ */
+export function entryHistories(editions, entries, rings) {
+  const lookups = editions.map(edition => ({
+    date: edition?.date,
+    find: createEntryLookup(edition?.entries || []),
+  }));
+
+  return entries.map(entry => {
+    const history = [];
+    for (const { date, find } of lookups) {
+      const match = find(entry);
+      if (!match) {
+        continue;
+      }
+      const resolved = resolveReference(rings, match.ring);
+      const ring = resolved === -1 ? match.ring : resolved;
+      if (history[history.length - 1]?.ring !== ring) {
+        history.push({ date, ring });
+      }
+    }
+    return history;
+  });
+}
+
+/**
+ * Formats a step of a ring history, e.g. "TRIAL 2024.3".
+ *
+ * @param {{date: string, ring: number}} step - History step
+ * @param {Array<Object>} rings - Rings of the configuration
+ * @returns {string} Ring name and date
+ */
+export function formatHistoryStep(step, rings) {
+  return `${rings[step.ring]?.name ?? step.ring} ${step.date}`;
+}
+
+/**
+ * Formats a ring history, e.g. "ASSESS 2024.1 → TRIAL 2024.3 → ADOPT 2025.1".
+ *
+ * @param {Array<{date: string, ring: number}>} [history] - Ring history (see entryHistories)
+ * @param {Array<Object>} rings - Rings of the configuration
+ * @returns {string} Formatted history (empty without history)
+ */
+export function formatEntryHistory(history, rings) {
+  return (history || []).map(step => formatHistoryStep(step, rings)).join(' → ');
+}
+
+/**
+ * Returns the configuration with new entries. With an edition history the entries
+ * are stored in the selected edition too, as applyEditionHistory takes the shown
+ * entries from there: edits of the shown entries would be lost otherwise.
+ *
+ * @param {Object} config - Radar configuration
+ * @param {Array<Object>} entries - New entries
+ * @returns {Object} A new configuration
+ */
+export function withEditionEntries(config, entries) {
+  const index = editionIndex(config.editions, config.edition);
+  if (!Array.isArray(config.editions?.[index]?.entries)) {
+    return { ...config, entries };
+  }
+  const editions = config.editions.map((edition, i) => (i === index ? { ...edition, entries } : edition));
+  return { ...config, editions, entries };
+}
+
+/**
+ * Shows the selected edition: replaces `entries`, `date` and `previous` of the
+ * configuration and sets the `history` of every entry. Configurations without
+ * `editions`, or with an unknown `edition`, are left alone (and reported by the
+ * validator).
+ *
+ * @param {Object} config - Radar configuration (mutated)
+ * @returns {Object} The configuration
+ */
+export function applyEditionHistory(config) {
+  const index = editionIndex(config.editions, config.edition);
+  const edition = config.editions?.[index];
+  if (!Array.isArray(edition?.entries)) {
+    return config;
+  }
+
+  const { editions } = config;
+  // Copies, so rendering properties don't end up in the editions
+  config.entries = edition.entries.map(entry => ({ ...entry }));
+  config.date = edition.date;
+  config.previous = index > 0 ? { rings: config.rings, entries: editions[index - 1]?.entries } : undefined;
+
+  const histories = entryHistories(editions.slice(0, index + 1), config.entries, config.rings);
+  config.entries.forEach((entry, i) => {
+    entry.history = histories[i];
+  });
+  return config;
+}
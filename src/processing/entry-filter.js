@@ -0,0 +1,190 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Entry Filter Module
+ *
+ * Turns filter criteria (label query, quadrant, ring, moved status, active flag,
+ * tags) into an entry predicate, and converts criteria to and from URL search
+ * parameters so a filtered radar can be linked to. Quadrants and rings can be
+ * given by index, id or name, like in entries.
+ */
+
+import { resolveReference } from './entry-references.js';
+
+/**
+ * Supported filter criteria. `quadrant`, `ring`, `moved` and `tags` accept a single
+ * value or an array of values (an entry matches any of them).
+ */
+export const FILTER_CRITERIA = ['query', 'quadrant', 'ring', 'moved', 'active', 'tags'];
+
+// Criteria holding lists of indexes or states, the configuration lists that quadrant and ring
+// references resolve against, and the URL parameter of each criterion
+const NUMERIC_CRITERIA = ['quadrant', 'ring', 'moved'];
+const REFERENCE_LISTS = { quadrant: 'quadrants', ring: 'rings' };
+const URL_PARAMS = { query: 'q', quadrant: 'quadrant', ring: 'ring', moved: 'moved', active: 'active', tags: 'tag' };
+
+/**
+ * Matches a query against a text, ignoring case: either as a substring or as a
+ * fuzzy match (all query characters appear in order, e.g. "kfk" matches "Kafka").
+ *
+ * @param {string} query - Search query
+ * @param {string} text - Text to search in
+ * @returns {boolean} True if the text matches
+ */
+export function fuzzyMatch(query, text) {
+  const needle = query.trim().toLowerCase();
+  const haystack = String(text).toLowerCase();
+  if (haystack.includes(needle)) {
+    return true;
+  }
+
+  let position = 0;
+  for (const character of needle) {
+    position = haystack.indexOf(character, position) + 1;
+    if (position === 0) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Wraps a single criterion value into an array.
+ *
+ * @param {*} value - Value or array of values
+ * @returns {Array} Values
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Resolves a quadrant or ring criterion value (index, id or name) to an index;
+ * other numeric criteria are converted to numbers.
+ *
+ * @param {string} name - Criterion name
+ * @param {number|string} value - Criterion value
+ * @param {Object} config - Configuration with quadrants and rings
+ * @returns {number} Index or number (NaN if it matches nothing)
+ */
+function criterionValue(name, value, config) {
+  const index = REFERENCE_LISTS[name] ? resolveReference(config[REFERENCE_LISTS[name]], value) : -1;
+  return index === -1 ? Number(value) : index;
+}
+
+/**
+ * Checks whether criteria restrict anything.
+ *
+ * @param {Object|null} criteria - Filter criteria
+ * @returns {boolean} True if no criterion is set
+ */
+export function isEmptyFilter(criteria) {
+  return (
+    !criteria ||
+    FILTER_CRITERIA.every(name => {
+      const value = criteria[name];
+      return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+    })
+  );
+}
+
+/**
+ * Creates an entry predicate from filter criteria. All set criteria must match.
+ *
+ * @param {Object} criteria - Filter criteria
+ * @param {string} [criteria.query] - Label substring or fuzzy query
+ * @param {number|string|Array<number|string>} [criteria.quadrant] - Quadrants: indexes, ids or names
+ * @param {number|string|Array<number|string>} [criteria.ring] - Rings: indexes, ids or names
+ * @param {number|Array<number>} [criteria.moved] - Moved states (-1, 0, 1, 2)
+ * @param {boolean} [criteria.active] - Active flag
+ * @param {string|Array<string>} [criteria.tags] - Tags; entries need at least one of them
+ * @param {Object} [config] - Configuration with the quadrants and rings references resolve against
+ * @returns {Function} Predicate (entry) => boolean
+ * @throws {Error} If the criteria contain unknown names
+ */
+export function createEntryFilter(criteria, config = {}) {
+  const unknown = Object.keys(criteria).filter(name => !FILTER_CRITERIA.includes(name));
+  if (unknown.length) {
+    throw new Error(`Unknown filter criterion "${unknown[0]}" (expected one of: ${FILTER_CRITERIA.join(', ')})`);
+  }
+
+  const tests = [];
+  const { query, active, tags } = criteria;
+
+  if (typeof query === 'string' && query.trim()) {
+    tests.push(entry => fuzzyMatch(query, entry.label));
+  }
+  for (const name of NUMERIC_CRITERIA) {
+    if (!isEmptyFilter({ [name]: criteria[name] })) {
+      const values = toList(criteria[name]).map(value => criterionValue(name, value, config));
+      tests.push(entry => values.includes(entry[name]));
+    }
+  }
+  if (typeof active === 'boolean') {
+    tests.push(entry => Boolean(entry.active) === active);
+  }
+  if (!isEmptyFilter({ tags })) {
+    const wanted = toList(tags);
+    tests.push(entry => Array.isArray(entry.tags) && entry.tags.some(tag => wanted.includes(tag)));
+  }
+
+  return entry => tests.every(test => test(entry));
+}
+
+/**
+ * Writes filter criteria to URL search parameters, replacing previous filter parameters.
+ *
+ * @param {URLSearchParams} params - Parameters to update
+ * @param {Object|null} criteria - Filter criteria (null removes the filter)
+ * @param {string} [prefix=''] - Parameter name prefix, for several radars on one page
+ * @returns {URLSearchParams} The updated parameters
+ */
+export function writeFilterParams(params, criteria, prefix = '') {
+  for (const name of FILTER_CRITERIA) {
+    const param = prefix + URL_PARAMS[name];
+    params.delete(param);
+    const value = criteria?.[name];
+    if (!isEmptyFilter({ [name]: value })) {
+      for (const item of toList(value)) {
+        params.append(param, String(item));
+      }
+    }
+  }
+  return params;
+}
+
+/**
+ * Reads filter criteria from URL search parameters.
+ *
+ * @param {URLSearchParams} params - URL search parameters
+ * @param {string} [prefix=''] - Parameter name prefix
+ * @returns {Object|null} Filter criteria, or null if the URL has none
+ */
+export function readFilterParams(params, prefix = '') {
+  const criteria = {};
+  const query = params.get(`${prefix}${URL_PARAMS.query}`);
+  if (query) {
+    criteria.query = query;
+  }
+  for (const name of NUMERIC_CRITERIA) {
+    const values = params
+      .getAll(prefix + URL_PARAMS[name])
+      .map(value => (/^-?\d+$/.test(value) || !REFERENCE_LISTS[name] ? Number(value) : value))
+      .filter(value => Number.isInteger(value) || (typeof value === 'string' && value.trim() !== ''));
+    if (values.length) {
+      criteria[name] = values;
+    }
+  }
+  const active = params.get(`${prefix}${URL_PARAMS.active}`);
+  if (active === 'true' || active === 'false') {
+    criteria.active = active === 'true';
+  }
+  const tags = params.getAll(`${prefix}${URL_PARAMS.tags}`);
+  if (tags.length) {
+    criteria.tags = tags;
+  }
+
+  return isEmptyFilter(criteria) ? null : criteria;
+}
@@ -0,0 +1,142 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Entry Operations Module
+ *
+ * Immutable edits of an entries array, addressed by entry key (`key`, falling back
+ * to `label`). Each operation returns the new array together with the segments it
+ * touched, so only those segments need a new layout. Unchanged entry objects are
+ * shared with the input array and keep their positions. Quadrants and rings may
+ * be referenced by id or name; segments are reported by index.
+ */
+
+import { entryKey } from '../rendering/helpers.js';
+import { EntryProcessor } from './entry-processor.js';
+import { resolveReference } from './entry-references.js';
+
+/**
+ * Finds the index of an entry by key.
+ *
+ * @param {Array<Object>} entries - Entries to search
+ * @param {string} key - Entry key
+ * @returns {number} Index of the entry
+ * @throws {Error} If no entry has this key
+ */
+function indexOfEntry(entries, key) {
+  const index = entries.findIndex(entry => entryKey(entry) === key);
+  if (index === -1) {
+    throw new Error(`Unknown entry: "${key}"`);
+  }
+  return index;
+}
+
+/**
+ * Throws if another entry already uses the key of `entry`.
+ *
+ * @param {Array<Object>} entries - Entries to check against
+ * @param {Object} entry - Entry whose key must be unique
+ * @param {number} [ignoreIndex=-1] - Index of the entry being replaced
+ */
+function assertUniqueKey(entries, entry, ignoreIndex = -1) {
+  const key = entryKey(entry);
+  if (entries.some((other, index) => index !== ignoreIndex && entryKey(other) === key)) {
+    throw new Error(`Duplicate entry key: "${key}"`);
+  }
+}
+
+/**
+ * Lists the segment keys of entries (deduplicated), with quadrant and ring
+ * references resolved to indexes.
+ *
+ * @param {Object} config - Configuration with the quadrants and rings entries reference
+ * @param {Array<Object>} entries - Entries
+ * @returns {Array<string>} Segment keys
+ */
+function segmentsOf(config, entries) {
+  return Array.from(
+    new Set(
+      entries.map(entry =>
+        EntryProcessor.segmentKey(
+          resolveReference(config.quadrants, entry.quadrant),
+          resolveReference(config.rings, entry.ring)
+        )
+      )
+    )
+  );
+}
+
+/**
+ * Adds an entry.
+ *
+ * @param {Array<Object>} entries - Current entries
+ * @param {Object} entry - Entry to add
+ * @param {Object} [config] - Configuration with quadrants and rings (resolves references)
+ * @returns {{entries: Array<Object>, affectedSegments: Array<string>}} Edit result
+ * @throws {Error} If the entry is not an object or its key is already used
+ */
+export function addEntry(entries, entry, config = {}) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error('Entry must be an object');
+  }
+  const added = { ...entry };
+  assertUniqueKey(entries, added);
+  return { entries: [...entries, added], affectedSegments: segmentsOf(config, [added]) };
+}
+
+/**
+ * Updates fields of an entry.
+ *
+ * @param {Array<Object>} entries - Current entries
+ * @param {string} key - Key of the entry to update
+ * @param {Object} patch - Fields to change
+ * @param {Object} [config] - Configuration with quadrants and rings (resolves references)
+ * @returns {{entries: Array<Object>, affectedSegments: Array<string>}} Edit result
+ * @throws {Error} If the entry does not exist or the patch changes its key to a used one
+ */
+export function updateEntry(entries, key, patch, config = {}) {
+  const index = indexOfEntry(entries, key);
+  const previous = entries[index];
+  const updated = { ...previous, ...patch };
+  assertUniqueKey(entries, updated, index);
+
+  const next = entries.slice();
+  next[index] = updated;
+  return { entries: next, affectedSegments: segmentsOf(config, [previous, updated]) };
+}
+
+/**
+ * Removes an entry.
+ *
+ * @param {Array<Object>} entries - Current entries
+ * @param {string} key - Key of the entry to remove
+ * @param {Object} [config] - Configuration with quadrants and rings (resolves references)
+ * @returns {{entries: Array<Object>, affectedSegments: Array<string>}} Edit result
+ * @throws {Error} If the entry does not exist
+ */
+export function removeEntry(entries, key, config = {}) {
+  const index = indexOfEntry(entries, key);
+  return {
+    entries: entries.filter((_entry, i) => i !== index),
+    affectedSegments: segmentsOf(config, [entries[index]]),
+  };
+}
+
+/**
+ * Moves an entry to another ring and/or quadrant.
+ *
+ * @param {Array<Object>} entries - Current entries
+ * @param {string} key - Key of the entry to move
+ * @param {{ring?: number|string, quadrant?: number|string}} target - New ring and/or quadrant
+ *   (index, id or name)
+ * @param {Object} [config] - Configuration with quadrants and rings (resolves references)
+ * @returns {{entries: Array<Object>, affectedSegments: Array<string>}} Edit result
+ * @throws {Error} If the entry does not exist
+ */
+export function moveEntry(entries, key, { ring, quadrant } = {}, config = {}) {
+  const patch = {};
+  if (ring !== undefined) patch.ring = ring;
+  if (quadrant !== undefined) patch.quadrant = quadrant;
+  return updateEntry(entries, key, patch, config);
+}
@@ -20,13 +20,19 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 
+import { entryColor, resolveTheme } from '../config/themes.js';
 import { generateQuadrantOrder } from '../geometry/quadrant-calculator.js';
 import { createSegment } from '../geometry/segment-calculator.js';
 import { cartesian } from '../math/coordinates.js';
+import { deriveSeed, SeededRandom } from '../math/random.js';
 
 /**
- * Entry Processor - Handles positioning, segmentation, ID assignment, and collision radius calculation.
+ * Entry Processor - Handles positioning, segmentation, numbering, and collision radius calculation.
  * Encapsulates all data processing logic for radar entries.
+ *
+ * Each labelled entry gets its own random sequence derived from `config.seed` and its label,
+ * so adding or removing an entry does not change the jitter of any other entry.
+ * Entries without a label fall back to the shared random functions.
  */
 export class EntryProcessor {
   /**
@@ -35,11 +41,12 @@ export class EntryProcessor {
    * @param {Object} config - Configuration object
    * @param {Array<Object>} quadrants - Array of quadrant configurations
    * @param {Array<Object>} rings - Array of ring configurations
-   * @param {Function} randomNext - Random number generator function () => [0,1)
-   * @param {Function} randomBetween - Random range generator function (min, max) => number
+   * @param {Function} randomNext - Shared random number generator function () => [0,1)
+   * @param {Function} randomBetween - Shared random range generator function (min, max) => number
    */
   constructor(config, quadrants, rings, randomNext, randomBetween) {
     this.config = config;
+    this.seed = config.seed ?? 42;
     this.quadrants = quadrants;
     this.rings = rings;
     this.randomNext = randomNext;
@@ -49,12 +56,44 @@ export class EntryProcessor {
   }
 
   /**
-   * Processes all entries: segments, positions, colors, IDs, and collision radii.
+   * Returns the random source used to position a single entry.
+   *
+   * @param {Object} entry - Entry object
+   * @returns {{next: Function, between: Function}} Random source for this entry
+   */
+  entryRandom(entry) {
+    if (!entry.label) {
+      return { next: this.randomNext, between: this.randomBetween };
+    }
+
+    const rng = new SeededRandom(deriveSeed(this.seed, entry.label));
+    return {
+      next: () => rng.next(),
+      between: (min, max) => rng.between(min, max),
+    };
+  }
+
+  /**
+   * Builds the key identifying a segment in `affectedSegments`.
+   *
+   * @param {number} quadrant - Quadrant index
+   * @param {number} ring - Ring index
+   * @returns {string} Segment key
+   */
+  static segmentKey(quadrant, ring) {
+    return `${quadrant}:${ring}`;
+  }
+
+  /**
+   * Processes all entries: segments, positions, colors, display numbers, and collision radii.
    *
    * @param {Array<Object>} entries - Array of entry objects
+   * @param {Object} [options] - Processing options
+   * @param {Set<string>} [options.affectedSegments] - Segment keys (see segmentKey) to re-layout;
+   *   entries of other segments keep the positions they already have. Omit to re-layout everything.
    * @returns {Array<Object>} Processed entries with all properties assigned
    */
-  processEntries(entries) {
+  processEntries(entries, options = {}) {
     // Step 1: Partition entries into segments
     const segmented = this.segmentEntries(entries);
 
@@ -62,10 +101,10 @@ export class EntryProcessor {
     this.assignSegmentsAndColors(entries);
 
     // Step 3: Position entries using grid-based distribution
-    this.positionEntries(segmented);
+    this.positionEntries(segmented, options.affectedSegments);
 
-    // Step 4: Assign unique sequential IDs
-    this.assignIds(segmented);
+    // Step 4: Assign display numbers
+    this.assignNumbers(segmented, entries);
 
     // Step 5: Calculate adaptive collision radii
     this.calculateCollisionRadii(segmented);
@@ -102,6 +141,7 @@ export class EntryProcessor {
    * @param {Array<Object>} entries - Array of entry objects
    */
   assignSegmentsAndColors(entries) {
+    const theme = resolveTheme(this.config);
     for (let i = 0; i < entries.length; i++) {
       const entry = entries[i];
       entry.segment = createSegment(
@@ -110,10 +150,9 @@ export class EntryProcessor {
         this.quadrants,
         this.rings,
         this.config,
-        this.randomBetween
+        this.entryRandom(entry).between
       );
-      entry.color =
-        entry.active || this.config.print_layout ? this.config.rings[entry.ring].color : this.config.colors.inactive;
+      entry.color = entryColor(theme, this.config, entry);
     }
   }
 
@@ -121,24 +160,37 @@ export class EntryProcessor {
    * Positions entries using grid-based distribution within each segment.
    *
    * @param {Array<Array<Array<Object>>>} segmented - 2D array of entries by quadrant/ring
+   * @param {Set<string>} [affectedSegments] - Only re-layout these segments (and segments
+   *   with unpositioned entries)
    */
-  positionEntries(segmented) {
+  positionEntries(segmented, affectedSegments = null) {
     for (let quadrant = 0; quadrant < this.numQuadrants; quadrant++) {
       for (let ring = 0; ring < this.numRings; ring++) {
-        this.gridPosition(segmented[quadrant][ring], quadrant, ring);
+        const entries = segmented[quadrant][ring];
+        const keepPositions =
+          affectedSegments &&
+          !affectedSegments.has(EntryProcessor.segmentKey(quadrant, ring)) &&
+          entries.every(entry => Number.isFinite(entry.x) && Number.isFinite(entry.y));
+        if (!keepPositions) {
+          this.gridPosition(entries, quadrant, ring);
+        }
       }
     }
   }
 
   /**
    * Distributes entries in a grid pattern within their segment.
-   * Uses intelligent grid sizing based on segment geometry and entry count.
+   *
+   * The grid depends only on the segment geometry, not on the number of entries,
+   * and each entry picks its cell and its place in the cell from its own random
+   * source (see entryRandom). Adding or removing an entry therefore leaves the
+   * other entries of the segment where they are; the force simulation separates
+   * entries that share a cell.
    *
    * @param {Array<Object>} entries - Entries to position
    * @param {number} quadrant - Quadrant index
    * @param {number} ring - Ring index
    */
-  // biome-ignore lint/complexity/noExcessiveCognitiveComplexity: Complex geometry calculations required
   gridPosition(entries, quadrant, ring) {
     if (entries.length === 0) return;
 
@@ -167,7 +219,6 @@ export class EntryProcessor {
     // Calculate segment dimensions
     const angle_range = angle_max - angle_min;
     const radius_range = outer_radius - inner_radius;
-    const count = entries.length;
 
     // Calculate segment dimensions in pixels
     // Use inner_radius for ring 0 to avoid overestimating angular capacity
@@ -178,68 +229,21 @@ export class EntryProcessor {
     // Estimate item size
     const item_size = this.config.blip_collision_radius || 14;
 
-    // Calculate maximum items that could fit in each dimension
-    const max_angular_items = Math.max(3, Math.floor(segment_arc_length / (item_size * 0.7)));
-    const max_radial_items = Math.max(3, Math.floor(segment_radial_depth / (item_size * 0.7)));
-
-    // Calculate balanced grid dimensions
-    let angular_divisions, radial_divisions;
-    const base = Math.ceil(Math.sqrt(count));
-    const aspect_ratio = segment_arc_length / Math.max(segment_radial_depth, 1);
-
-    if (count === 1) {
-      angular_divisions = 1;
-      radial_divisions = 1;
-    } else if (count <= 4) {
-      // For small counts, spread evenly
-      angular_divisions = Math.min(count, max_angular_items);
-      radial_divisions = Math.ceil(count / angular_divisions);
-    } else {
-      // For larger counts, balance based on aspect ratio
-      if (aspect_ratio > 2) {
-        // Much wider than tall - strongly prefer angular spread
-        angular_divisions = Math.min(max_angular_items, Math.ceil(base * 1.5));
-        radial_divisions = Math.ceil(count / angular_divisions);
-      } else if (aspect_ratio > 1) {
-        // Moderately wider - prefer angular spread
-        angular_divisions = Math.min(max_angular_items, Math.ceil(base * 1.2));
-        radial_divisions = Math.ceil(count / angular_divisions);
-      } else if (aspect_ratio < 0.5) {
-        // Much taller than wide - balanced approach for narrow segments
-        const radial_bias = ring === 0 ? 0.85 : 0.7;
-        angular_divisions = Math.min(max_angular_items, Math.max(3, Math.floor(base * radial_bias)));
-        radial_divisions = Math.ceil(count / angular_divisions);
-      } else {
-        // Moderately tall or square - balanced approach
-        angular_divisions = Math.min(max_angular_items, Math.max(3, base));
-        radial_divisions = Math.ceil(count / angular_divisions);
-      }
-
-      // Ensure we don't exceed capacity
-      angular_divisions = Math.max(2, Math.min(angular_divisions, max_angular_items));
-      radial_divisions = Math.max(2, Math.min(radial_divisions, max_radial_items));
-    }
+    // Grid cells of about one blip in each dimension
+    const angular_divisions = Math.max(1, Math.floor(segment_arc_length / item_size));
+    const radial_divisions = Math.max(1, Math.floor(segment_radial_depth / item_size));
 
     // Distribute entries in grid
-    for (let i = 0; i < entries.length; i++) {
-      const entry = entries[i];
+    for (const entry of entries) {
+      const random = this.entryRandom(entry);
 
       // Grid cell indices
-      let angular_index = i % angular_divisions;
-      let radial_index = Math.floor(i / angular_divisions);
-
-      // Handle overcrowding by wrapping excess entries
-      const is_overcrowded = radial_index >= radial_divisions;
-      if (is_overcrowded) {
-        const total_cells = angular_divisions * radial_divisions;
-        const cell_index = i % total_cells;
-        angular_index = cell_index % angular_divisions;
-        radial_index = Math.floor(cell_index / angular_divisions);
-      }
+      const angular_index = Math.min(Math.floor(random.next() * angular_divisions), angular_divisions - 1);
+      const radial_index = Math.min(Math.floor(random.next() * radial_divisions), radial_divisions - 1);
 
       // Position within grid cell with jitter (0.15-0.85 range for better spread)
-      const angular_fraction = (angular_index + 0.15 + this.randomNext() * 0.7) / angular_divisions;
-      const radial_fraction = (radial_index + 0.15 + this.randomNext() * 0.7) / radial_divisions;
+      const angular_fraction = (angular_index + 0.15 + random.next() * 0.7) / angular_divisions;
+      const radial_fraction = (radial_index + 0.15 + random.next() * 0.7) / radial_divisions;
 
       const angle = angle_min + angular_fraction * angle_range;
       const radius = inner_radius + radial_fraction * radius_range;
@@ -251,24 +255,52 @@ export class EntryProcessor {
   }
 
   /**
-   * Assigns unique sequential IDs to all entries in display order.
+   * Assigns display numbers (`entry.number`) according to `config.numbering`:
+   * - 'alphabetical' (default): 1..N in display order, sorted by label within each segment
+   * - 'insertion': 1-based position in the entries array, so appending an entry renumbers nothing
+   * - 'explicit': keeps the `number` given in the configuration
+   *
+   * Stable identifiers (`entry.id`, `entry.key`) are never touched. Segments end up
+   * sorted by display number.
    *
    * @param {Array<Array<Array<Object>>>} segmented - 2D array of entries by quadrant/ring
+   * @param {Array<Object>} entries - Entries in configuration order
    */
-  assignIds(segmented) {
-    let id = 1;
-    const quadrant_order = generateQuadrantOrder(this.numQuadrants);
-
-    for (const quadrant of quadrant_order) {
-      for (let ring = 0; ring < this.numRings; ring++) {
-        const entries = segmented[quadrant][ring];
-        // Sort alphabetically within each segment
-        entries.sort((a, b) => a.label.localeCompare(b.label));
-        for (let i = 0; i < entries.length; i++) {
-          entries[i].id = `${id++}`;
+  assignNumbers(segmented, entries) {
+    const numbering = this.config.numbering || 'alphabetical';
+
+    if (numbering === 'insertion') {
+      entries.forEach((entry, index) => {
+        entry.number = `${index + 1}`;
+      });
+    } else if (numbering === 'alphabetical') {
+      let number = 1;
+      for (const quadrant of generateQuadrantOrder(this.numQuadrants)) {
+        for (let ring = 0; ring < this.numRings; ring++) {
+          const segmentEntries = segmented[quadrant][ring];
+          // Sort alphabetically within each segment
+          segmentEntries.sort((a, b) => a.label.localeCompare(b.label));
+          for (let i = 0; i < segmentEntries.length; i++) {
+            segmentEntries[i].number = `${number++}`;
+          }
         }
       }
     }
+
+    this.sortByNumber(segmented);
+  }
+
+  /**
+   * Sorts the entries of each segment by display number.
+   *
+   * @param {Array<Array<Array<Object>>>} segmented - 2D array of entries by quadrant/ring
+   */
+  sortByNumber(segmented) {
+    for (const quadrantSegments of segmented) {
+      for (const segmentEntries of quadrantSegments) {
+        segmentEntries.sort((a, b) => Number(a.number) - Number(b.number));
+      }
+    }
   }
 
   /**
@@ -0,0 +1,76 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Entry References Module
+ *
+ * Entries reference their quadrant and ring by index, by name or by the `id`
+ * declared on the quadrant or ring. Names and ids keep entries in place when
+ * the `quadrants` or `rings` arrays are reordered. References are resolved to
+ * indexes before entries are positioned; references that match nothing are
+ * left as they are and reported by the validator.
+ */
+
+/**
+ * Resolves a quadrant or ring reference: an index, an `id`, or a name (exact
+ * match first, then ignoring case).
+ *
+ * @param {Array<Object>} [items] - Quadrants or rings
+ * @param {number|string} reference - Index, id or name
+ * @returns {number} Index, or -1 if the reference matches nothing
+ */
+export function resolveReference(items, reference) {
+  if (typeof reference === 'number') {
+    return reference;
+  }
+  if (typeof reference !== 'string' || !Array.isArray(items)) {
+    return -1;
+  }
+
+  const byId = items.findIndex(item => item?.id !== undefined && String(item.id) === reference);
+  if (byId !== -1) {
+    return byId;
+  }
+  const byName = items.findIndex(item => item?.name === reference);
+  if (byName !== -1) {
+    return byName;
+  }
+  const lowercase = reference.toLowerCase();
+  return items.findIndex(item => typeof item?.name === 'string' && item.name.toLowerCase() === lowercase);
+}
+
+/**
+ * Resolves the quadrant and ring references of entries to indexes.
+ *
+ * @param {Array<Object>} entries - Entries (mutated)
+ * @param {Array<Object>} [quadrants] - Quadrants the entries reference
+ * @param {Array<Object>} [rings] - Rings the entries reference
+ * @returns {Array<Object>} The entries
+ */
+export function resolveEntryReferences(entries, quadrants, rings) {
+  for (const entry of entries) {
+    const quadrant = resolveReference(quadrants, entry.quadrant);
+    if (quadrant !== -1) {
+      entry.quadrant = quadrant;
+    }
+    const ring = resolveReference(rings, entry.ring);
+    if (ring !== -1) {
+      entry.ring = ring;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Resolves the quadrant and ring references of the configuration's entries.
+ *
+ * @param {Object} config - Radar configuration (its entries are mutated)
+ * @returns {Object} The configuration
+ */
+export function normalizeEntryReferences(config) {
+  if (Array.isArray(config.entries)) {
+    resolveEntryReferences(config.entries, config.quadrants, config.rings);
+  }
+  return config;
+}
@@ -0,0 +1,84 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Radar Layout Module
+ *
+ * Runs the DOM-independent part of the rendering pipeline: applies configuration
+ * defaults, validates, generates quadrant/ring geometry and positions entries.
+ * Shared by the browser renderer and the headless string renderer.
+ */
+
+import { applyConfigDefaults, calculateDimensions, configureOffsets } from '../config/config-defaults.js';
+import { generateQuadrants } from '../geometry/quadrant-calculator.js';
+import { generateRings } from '../geometry/ring-calculator.js';
+import { SeededRandom } from '../math/random.js';
+import { validateConfig } from '../validation/config-validator.js';
+import { applyEditionDiff } from './edition-diff.js';
+import { applyEditionHistory } from './edition-history.js';
+import { EntryProcessor } from './entry-processor.js';
+import { normalizeEntryReferences } from './entry-references.js';
+
+/**
+ * Footer text used when the configuration does not define one.
+ */
+export const DEFAULT_FOOTER = '▲ moved up     ▼ moved down     ★ new     ⬤ no change';
+
+/**
+ * Prepares a configuration for rendering and computes the radar layout.
+ *
+ * Mutates the config (defaults, offsets, footer, entries of the selected edition, archived
+ * entries) and its entries (quadrant and ring references resolved to indexes, moved status
+ * derived from `previous`, ring history, segment, color, display number, x/y and collision
+ * radius), exactly like the interactive renderer does.
+ *
+ * @param {Object} config - Radar configuration
+ * @param {Object} [options] - Layout options
+ * @param {{width: number, height: number}|null} [options.viewport] - Viewport for responsive
+ *   scaling; omit to read the browser window, pass null to disable scaling
+ * @param {Set<string>} [options.affectedSegments] - Segments to re-layout; entries of other
+ *   segments keep their current positions (see EntryProcessor#processEntries)
+ * @returns {Object} Layout data
+ * @property {Object} dimensions - Result of calculateDimensions()
+ * @property {Array<Object>} quadrants - Generated quadrant geometry
+ * @property {Array<Object>} rings - Generated ring geometry
+ * @property {number} outerRadius - Radius of the outermost ring
+ * @property {Array<Array<Array<Object>>>} segmented - Entries by [quadrant][ring], in display number order
+ */
+export function prepareRadarLayout(config, options = {}) {
+  applyConfigDefaults(config, options.viewport);
+  const dimensions = calculateDimensions(config);
+
+  applyEditionHistory(config);
+  normalizeEntryReferences(config);
+  validateConfig(config);
+  applyEditionDiff(config);
+
+  const rng = new SeededRandom(config.seed);
+  const random = () => rng.next();
+  const random_between = (min, max) => rng.between(min, max);
+
+  const quadrants = generateQuadrants(config.quadrants.length);
+  const rings = generateRings(config.rings.length, dimensions.target_outer_radius);
+  const outerRadius = rings[rings.length - 1].radius;
+
+  configureOffsets(config, outerRadius, quadrants.length);
+
+  const entryProcessor = new EntryProcessor(config, quadrants, rings, random, random_between);
+  entryProcessor.processEntries(config.entries, { affectedSegments: options.affectedSegments });
+  const segmented = entryProcessor.segmentEntries(config.entries);
+  entryProcessor.sortByNumber(segmented);
+
+  if (!config.footer) {
+    config.footer = DEFAULT_FOOTER;
+  }
+
+  return {
+    dimensions,
+    quadrants,
+    rings,
+    outerRadius,
+    segmented,
+  };
+}
@@ -0,0 +1,65 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Radar Stats Module
+ *
+ * Counts the entries of a radar per quadrant, ring and segment, and by moved
+ * status. Used by the `tech-radar stats` command; works on raw configurations
+ * (quadrant and ring references by index, name or id).
+ */
+
+import { resolveReference } from './entry-references.js';
+
+// Moved value and the name it is counted under
+const MOVED_NAMES = {
+  '-1': 'out',
+  0: 'unchanged',
+  1: 'in',
+  2: 'new',
+};
+
+/**
+ * Counts the entries of a configuration.
+ *
+ * @param {Object} config - Configuration with quadrants, rings and entries
+ * @returns {Object} Stats
+ * @property {number} total - Number of entries
+ * @property {number} inactive - Entries with `active: false`
+ * @property {Array<{name: string, count: number}>} quadrants - Entries per quadrant
+ * @property {Array<{name: string, count: number}>} rings - Entries per ring
+ * @property {Array<Array<number>>} segments - Entries per [quadrant][ring]
+ * @property {{new: number, in: number, out: number, unchanged: number}} moved - Entries by moved status
+ * @property {Array<Object>} unplaced - Entries whose quadrant or ring matches nothing
+ */
+export function computeRadarStats(config) {
+  const quadrants = config.quadrants || [];
+  const rings = config.rings || [];
+  const entries = config.entries || [];
+  const segments = quadrants.map(() => rings.map(() => 0));
+  const moved = { new: 0, in: 0, out: 0, unchanged: 0 };
+  const unplaced = [];
+
+  for (const entry of entries) {
+    const quadrant = resolveReference(quadrants, entry.quadrant);
+    const ring = resolveReference(rings, entry.ring);
+    if (segments[quadrant]?.[ring] === undefined) {
+      unplaced.push(entry);
+    } else {
+      segments[quadrant][ring]++;
+    }
+    moved[MOVED_NAMES[entry.moved ?? 0] ?? 'unchanged']++;
+  }
+
+  const sum = counts => counts.reduce((total, count) => total + count, 0);
+  return {
+    total: entries.length,
+    inactive: entries.filter(entry => entry.active === false).length,
+    quadrants: quadrants.map((quadrant, index) => ({ name: quadrant.name, count: sum(segments[index]) })),
+    rings: rings.map((ring, index) => ({ name: ring.name, count: sum(segments.map(counts => counts[index])) })),
+    segments,
+    moved,
+    unplaced,
+  };
+}
@@ -0,0 +1,226 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Accessibility Module
+ *
+ * Makes the radar usable by keyboard and screen readers:
+ * - blips are focusable in a logical order (quadrant, ring, label); the arrow
+ *   keys move between them, with one blip in the tab sequence at a time (roving
+ *   tabindex), and focus shows the same bubble and legend highlight as hovering
+ * - blips and legend items are labelled with their entry, ring and quadrant
+ * - a visually hidden description lists the whole radar as nested lists
+ */
+
+import { getD3, radarRoot, scopedId } from './helpers.js';
+import { bubbleText, hideBubble, highlightLegendItem, showBubble, unhighlightLegendItem } from './interactions.js';
+
+// Movement and how it is read out
+const MOVEMENT_DESCRIPTIONS = {
+  '-1': 'moved out',
+  1: 'moved in',
+  2: 'new',
+};
+
+// Keeps the description readable by screen readers but out of sight
+const VISUALLY_HIDDEN_STYLE =
+  'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0; ' +
+  'overflow: hidden; clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap;';
+
+/**
+ * Returns the accessible name of an entry: its label (with the ring history),
+ * ring, quadrant and movement.
+ *
+ * @param {Object} d - Entry data object
+ * @param {Object} config - Configuration object (quadrants, rings)
+ * @returns {string} Description, e.g. 'Kafka, ADOPT ring, Infrastructure, new'
+ */
+export function entryDescription(d, config) {
+  return [
+    bubbleText(d, config),
+    `${config.rings[d.ring].name} ring`,
+    config.quadrants[d.quadrant].name,
+    MOVEMENT_DESCRIPTIONS[d.moved],
+    d.active || config.print_layout ? null : 'inactive',
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+/**
+ * Orders entries by quadrant, ring and label.
+ *
+ * @param {Object} a - Entry data object
+ * @param {Object} b - Entry data object
+ * @returns {number} Sort order
+ */
+function logicalOrder(a, b) {
+  return a.quadrant - b.quadrant || a.ring - b.ring || a.label.localeCompare(b.label);
+}
+
+/**
+ * Returns the blips that can receive focus, in logical order. Blips hidden by a
+ * filter are skipped.
+ *
+ * @param {Element} rinkNode - Rink layer containing the blips
+ * @returns {Array<Element>} Blip elements
+ */
+function focusableBlips(rinkNode) {
+  const blips = [];
+  getD3()
+    .select(rinkNode)
+    .selectAll('.blip')
+    .each(function (d) {
+      if (d && this.style.display !== 'none') {
+        blips.push({ node: this, entry: d });
+      }
+    });
+  return blips.sort((a, b) => logicalOrder(a.entry, b.entry)).map(blip => blip.node);
+}
+
+/**
+ * Puts one blip into the tab sequence: the given one, or the first visible blip
+ * when none is given or the current one is hidden.
+ *
+ * @param {Element|null} rinkNode - Rink layer containing the blips
+ * @param {Element} [current] - Blip to keep in the tab sequence
+ */
+export function updateBlipTabStop(rinkNode, current) {
+  if (!rinkNode) {
+    return;
+  }
+  const blips = focusableBlips(rinkNode);
+  const tabStop = blips.includes(current)
+    ? current
+    : blips.find(node => node.getAttribute('tabindex') === '0') || blips[0];
+  for (const node of rinkNode.querySelectorAll('.blip')) {
+    node.setAttribute('tabindex', node === tabStop ? '0' : '-1');
+  }
+}
+
+/**
+ * Returns the blip that a navigation key moves the focus to.
+ *
+ * @param {Array<Element>} blips - Focusable blips in logical order
+ * @param {Element} current - Focused blip
+ * @param {string} key - KeyboardEvent key
+ * @returns {Element|null} Blip to focus, or null if the key does not navigate
+ */
+function navigationTarget(blips, current, key) {
+  const index = blips.indexOf(current);
+  switch (key) {
+    case 'ArrowRight':
+    case 'ArrowDown':
+      return blips[Math.min(index + 1, blips.length - 1)];
+    case 'ArrowLeft':
+    case 'ArrowUp':
+      return blips[Math.max(index - 1, 0)];
+    case 'Home':
+      return blips[0];
+    case 'End':
+      return blips[blips.length - 1];
+    default:
+      return null;
+  }
+}
+
+/**
+ * Makes blips operable by keyboard: arrow keys, Home and End move the focus,
+ * Enter and Space click the blip (following its link), Escape hides the bubble
+ * and the legend highlight.
+ * Focus shows the bubble and highlights the legend item.
+ *
+ * @param {d3.Selection} blips - D3 selection of blip groups (see renderBlips)
+ * @param {Object} config - Configuration object
+ */
+export function bindBlipKeyboard(blips, config) {
+  const rinkNode = blips.node()?.parentNode;
+  if (!rinkNode) {
+    return;
+  }
+
+  // Links inside blips would be tab stops of their own; the blip is the one to focus
+  blips.selectAll('a').attr('tabindex', -1);
+  updateBlipTabStop(rinkNode);
+
+  blips
+    .on('focus', function (_event, d) {
+      updateBlipTabStop(rinkNode, this);
+      showBubble(d, config);
+      highlightLegendItem(d, config);
+    })
+    .on('blur', (_event, d) => {
+      hideBubble(config);
+      unhighlightLegendItem(d, config);
+    })
+    .on('keydown', function (event, d) {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        const target = this.querySelector('a') || this;
+        target.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true, view: window }));
+        return;
+      }
+      if (event.key === 'Escape') {
+        hideBubble(config);
+        unhighlightLegendItem(d, config);
+        return;
+      }
+      const target = navigationTarget(focusableBlips(rinkNode), this, event.key);
+      if (target) {
+        event.preventDefault();
+        target.focus();
+      }
+    });
+}
+
+/**
+ * Renders the visually hidden description of a radar after its SVG: the title
+ * and date, then the entries as nested lists by quadrant and ring. The SVG
+ * refers to it with `aria-describedby`.
+ *
+ * @param {Object} config - Configuration object
+ * @param {Array<Array<Array<Object>>>} segmented - Entries by quadrant and ring
+ * @returns {Element|null} Description element, or null if the SVG is not in the document
+ */
+export function renderRadarDescription(config, segmented) {
+  const d3 = getD3();
+  const svg = radarRoot(config).getElementById(config.svg_id);
+  if (!svg?.parentNode) {
+    return null;
+  }
+
+  const id = scopedId(config, 'description');
+  const description = d3
+    .select(svg.parentNode)
+    .insert('div', () => svg.nextSibling)
+    .attr('id', id)
+    .attr('class', 'radar-description')
+    .attr('style', VISUALLY_HIDDEN_STYLE);
+
+  const count = segmented.flat(2).length;
+  const heading = [config.title, config.date].filter(Boolean).join(', ');
+  description.append('p').text(`${heading ? `${heading}: ` : ''}${count === 1 ? '1 entry' : `${count} entries`}`);
+
+  const quadrantList = description.append('ul');
+  segmented.forEach((rings, quadrant) => {
+    const quadrantItem = quadrantList.append('li').text(config.quadrants[quadrant].name);
+    const ringList = quadrantItem.append('ul');
+    rings.forEach((entries, ring) => {
+      if (!entries.length) {
+        return;
+      }
+      const ringItem = ringList.append('li').text(`${config.rings[ring].name} ring`);
+      ringItem
+        .append('ul')
+        .selectAll('li')
+        .data(entries)
+        .enter()
+        .append('li')
+        .text(d => [bubbleText(d, config), MOVEMENT_DESCRIPTIONS[d.moved]].filter(Boolean).join(', '));
+    });
+  });
+
+  svg.setAttribute('aria-describedby', id);
+  return description.node();
+}
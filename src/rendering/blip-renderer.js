@@ -10,12 +10,14 @@
  * Renders technology entry markers ("blips") on the radar visualization.
  * Each blip represents a technology entry and displays:
  * - Shape based on movement status (triangle up/down, star, or circle)
- * - Text label (ID in print mode, first letter otherwise)
+ * - Text label (display number in print mode, first letter otherwise)
  * - Interactive tooltips and highlights
  * - Optional clickable links
  */
 
-import { translate } from './helpers.js';
+import { entryColorVar, resolveTheme, themeVar } from '../config/themes.js';
+import { entryDescription } from './accessibility.js';
+import { getD3, translate } from './helpers.js';
 
 /**
  * Renders blips (technology entry markers) on the radar.
@@ -38,7 +40,7 @@ export function renderBlips(
   highlightLegendItem,
   unhighlightLegendItem
 ) {
-  const d3 = window.d3;
+  const d3 = getD3();
 
   // Create blip groups with data binding
   const blips = rinkSelection
@@ -48,16 +50,20 @@ export function renderBlips(
     .append('g')
     .attr('class', 'blip')
     .attr('transform', d => translate(d.x, d.y))
+    .attr('role', d => (d.active && d.link ? 'link' : 'button'))
+    .attr('aria-label', d => entryDescription(d, config))
     .on('mouseover', (_event, d) => {
       showBubble(d, config);
-      highlightLegendItem(d);
+      highlightLegendItem(d, config);
     })
     .on('mouseout', (_event, d) => {
-      hideBubble();
-      unhighlightLegendItem(d);
+      hideBubble(config);
+      unhighlightLegendItem(d, config);
     });
 
   // Configure each blip
+  const theme = resolveTheme(config);
+  const textColor = themeVar(theme, 'blip_text');
   blips.each(function (d) {
     const blip = d3.select(this);
 
@@ -72,10 +78,10 @@ export function renderBlips(
     }
 
     // Render blip shape based on movement status
-    renderBlipShape(blipContainer, d);
+    renderBlipShape(blipContainer, d, entryColorVar(theme, config, d));
 
     // Render blip text label
-    renderBlipText(blipContainer, d, config);
+    renderBlipText(blipContainer, d, config, textColor);
   });
 
   return blips;
@@ -92,45 +98,47 @@ export function renderBlips(
  *
  * @param {d3.Selection} container - D3 selection to append shape to
  * @param {Object} entry - Technology entry data
+ * @param {string} fill - CSS fill (see entryColorVar)
  */
-function renderBlipShape(container, entry) {
-  const d3 = window.d3;
+function renderBlipShape(container, entry, fill) {
+  const d3 = getD3();
 
   if (entry.moved === 1) {
     // Triangle pointing up - moved in
-    container.append('path').attr('d', 'M -11,5 11,5 0,-13 z').style('fill', entry.color);
+    container.append('path').attr('d', 'M -11,5 11,5 0,-13 z').style('fill', fill);
   } else if (entry.moved === -1) {
     // Triangle pointing down - moved out
-    container.append('path').attr('d', 'M -11,-5 11,-5 0,13 z').style('fill', entry.color);
+    container.append('path').attr('d', 'M -11,-5 11,-5 0,13 z').style('fill', fill);
   } else if (entry.moved === 2) {
     // Star - new entry
-    container.append('path').attr('d', d3.symbol().type(d3.symbolStar).size(200)).style('fill', entry.color);
+    container.append('path').attr('d', d3.symbol().type(d3.symbolStar).size(200)).style('fill', fill);
   } else {
     // Circle - no change
-    container.append('circle').attr('r', 9).attr('fill', entry.color);
+    container.append('circle').attr('r', 9).style('fill', fill);
   }
 }
 
 /**
  * Renders text label on a blip.
  *
- * In print mode: Shows entry ID number
+ * In print mode: Shows entry display number
  * In interactive mode: Shows first letter of label (for active entries only)
  *
  * @param {d3.Selection} container - D3 selection to append text to
  * @param {Object} entry - Technology entry data
  * @param {Object} config - Visualization configuration
+ * @param {string} textColor - CSS color of the text
  */
-function renderBlipText(container, entry, config) {
+function renderBlipText(container, entry, config, textColor) {
   if (entry.active || config.print_layout) {
-    const blipText = config.print_layout ? entry.id : entry.label.match(/[a-z]/i);
+    const blipText = config.print_layout ? String(entry.number) : entry.label.match(/[a-z]/i);
 
     container
       .append('text')
       .text(blipText)
       .attr('y', 3)
       .attr('text-anchor', 'middle')
-      .style('fill', '#fff')
+      .style('fill', textColor)
       .style('font-family', config.font_family)
       .style('font-size', _d => (blipText.length > 2 ? '8px' : '9px'))
       .style('pointer-events', 'none')
@@ -0,0 +1,68 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Color Scheme Module
+ *
+ * With `color_scheme: 'auto'` a radar follows the operating system's dark mode.
+ * When it changes, the palette is swapped in place: the theme properties of the
+ * SVG are rewritten (the grid, blips, texts and bubble read them), and the
+ * fallback colors of the blips and legend ring names and the entries' `color`
+ * are updated. Nothing is laid out again, so blips keep their positions.
+ */
+
+import { DARK_SCHEME_QUERY, entryColor, entryColorVar, resolveTheme, ringColorVar } from '../config/themes.js';
+import { getD3, radarRoot, scopedId } from './helpers.js';
+import { themeStyleText } from './svg-setup.js';
+
+/**
+ * Applies the current color scheme to a rendered radar.
+ *
+ * @param {Object} config - Configuration of the render
+ */
+export function applyColorScheme(config) {
+  const d3 = getD3();
+  const svg = radarRoot(config).getElementById(config.svg_id);
+  if (!svg) {
+    return;
+  }
+  const theme = resolveTheme(config);
+
+  d3.select(svg).select('style.radar-theme').text(themeStyleText(config));
+
+  d3.select(radarRoot(config).getElementById(scopedId(config, 'rink')))
+    .selectAll('.blip')
+    .each(function (d) {
+      d.color = entryColor(theme, config, d);
+      d3.select(this)
+        .selectAll('path, circle')
+        .style('fill', entryColorVar(theme, config, d));
+    });
+
+  const layout = svg.closest('.radar-layout');
+  if (layout) {
+    d3.select(layout)
+      .selectAll('.legend-ring-name[data-ring]')
+      .style('color', function () {
+        return ringColorVar(theme, config.rings, Number(this.dataset.ring));
+      });
+  }
+}
+
+/**
+ * Follows the operating system's color scheme while a radar is shown.
+ * Only configurations with `color_scheme: 'auto'` are watched.
+ *
+ * @param {Object} config - Configuration of the render
+ * @returns {Function} Stops watching
+ */
+export function watchColorScheme(config) {
+  const query = config.color_scheme === 'auto' ? globalThis.matchMedia?.(DARK_SCHEME_QUERY) : null;
+  if (!query?.addEventListener) {
+    return () => {};
+  }
+  const onChange = () => applyColorScheme(config);
+  query.addEventListener('change', onChange);
+  return () => query.removeEventListener('change', onChange);
+}
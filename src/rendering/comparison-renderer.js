@@ -0,0 +1,133 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Comparison Renderer Module
+ *
+ * Renders the overlay of two radar configurations (see config-comparison.js):
+ * blips and legend items are marked with their side, and every entry of both
+ * configurations is connected by an arrow from its left to its right position.
+ * The arrows follow the blips while the force simulation settles.
+ */
+
+import { resolveTheme, themeVar } from '../config/themes.js';
+import { getD3, scopedId } from './helpers.js';
+
+// d3 event namespace for the simulation tick listener
+const EVENT_NAMESPACE = 'radar-comparison';
+
+// Arrows start and end this far from the blip centers
+const BLIP_CLEARANCE = 9;
+
+/**
+ * Collects the entries shown on both sides from the segmented entries.
+ *
+ * @param {Array<Array<Array<Object>>>} segmented - Entries by [quadrant][ring]
+ * @returns {Array<{left: Object, right: Object}>} Left and right entry of each matched entry
+ */
+export function comparisonPairs(segmented) {
+  const pairs = new Map();
+  for (const entry of segmented.flat(2)) {
+    if (entry.comparison) {
+      const pair = pairs.get(entry.comparison_key) || {};
+      pair[entry.comparison] = entry;
+      pairs.set(entry.comparison_key, pair);
+    }
+  }
+  return Array.from(pairs.values()).filter(pair => pair.left && pair.right);
+}
+
+/**
+ * Computes the end points of an arrow between two blips, leaving room for the blips.
+ *
+ * @param {{left: Object, right: Object}} pair - Matched entries
+ * @returns {{x1: number, y1: number, x2: number, y2: number}|null} End points, or null
+ *   when the blips are too close for an arrow
+ */
+export function arrowEnds(pair) {
+  const x1 = pair.left.rendered_x ?? pair.left.x;
+  const y1 = pair.left.rendered_y ?? pair.left.y;
+  const x2 = pair.right.rendered_x ?? pair.right.x;
+  const y2 = pair.right.rendered_y ?? pair.right.y;
+  const length = Math.hypot(x2 - x1, y2 - y1);
+  if (length <= 2 * BLIP_CLEARANCE) {
+    return null;
+  }
+
+  const dx = ((x2 - x1) / length) * BLIP_CLEARANCE;
+  const dy = ((y2 - y1) / length) * BLIP_CLEARANCE;
+  return { x1: x1 + dx, y1: y1 + dy, x2: x2 - dx, y2: y2 - dy };
+}
+
+/**
+ * Marks blips or legend items with the side they belong to.
+ *
+ * @param {d3.Selection} selection - Blips or legend items bound to entries
+ * @returns {d3.Selection} The selection
+ */
+export function markComparisonSides(selection) {
+  return selection
+    .classed('comparison-left', d => d?.comparison === 'left')
+    .classed('comparison-right', d => d?.comparison === 'right');
+}
+
+/**
+ * Renders the comparison overlay of a comparison configuration: marks the blips
+ * and draws the arrows.
+ *
+ * @param {d3.Selection} rink - Blip container
+ * @param {Array<Array<Array<Object>>>} segmented - Entries by [quadrant][ring]
+ * @param {Object} config - Comparison configuration
+ * @param {Object} [simulation] - Force simulation moving the blips
+ * @returns {d3.Selection} The arrow lines
+ */
+export function renderComparison(rink, segmented, config, simulation) {
+  markComparisonSides(rink.selectAll('.blip'));
+
+  const arrowColor = themeVar(resolveTheme(config), 'muted_text');
+  const markerId = scopedId(config, 'comparisonArrow');
+  rink
+    .append('defs')
+    .append('marker')
+    .attr('id', markerId)
+    .attr('viewBox', '0 0 10 10')
+    .attr('refX', 9)
+    .attr('refY', 5)
+    .attr('markerWidth', 6)
+    .attr('markerHeight', 6)
+    .attr('orient', 'auto')
+    .append('path')
+    .attr('d', 'M 0,0 10,5 0,10 z')
+    .style('fill', arrowColor);
+
+  // Arrows go below the blips
+  const arrows = rink
+    .insert('g', function () {
+      return this.firstChild;
+    })
+    .attr('class', 'comparison-arrows')
+    .selectAll('line')
+    .data(comparisonPairs(segmented))
+    .enter()
+    .append('line')
+    .attr('class', 'comparison-arrow')
+    .attr('marker-end', `url(#${markerId})`)
+    .style('stroke', arrowColor)
+    .style('stroke-width', 1.5);
+
+  const update = () => {
+    arrows.each(function (pair) {
+      const ends = arrowEnds(pair);
+      const line = getD3().select(this);
+      line.style('display', ends ? null : 'none');
+      if (ends) {
+        line.attr('x1', ends.x1).attr('y1', ends.y1).attr('x2', ends.x2).attr('y2', ends.y2);
+      }
+    });
+  };
+
+  update();
+  simulation?.on(`tick.${EVENT_NAMESPACE}`, update);
+  return arrows;
+}
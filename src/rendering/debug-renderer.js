@@ -17,7 +17,7 @@
  */
 
 import { computeQuadrantBounds } from '../geometry/quadrant-calculator.js';
-import { translate } from './helpers.js';
+import { getD3, scopedId, translate } from './helpers.js';
 
 /**
  * Renders debug visualizations on the radar.
@@ -41,15 +41,20 @@ import { translate } from './helpers.js';
  * @param {Array} segmented - 2D array of entries grouped by quadrant/ring
  */
 export function renderDebugVisualization(radarSelection, config, quadrants, rings, numQuadrants, numRings, segmented) {
-  const _d3 = window.d3;
-  const debugLayer = radarSelection.append('g').attr('id', 'debug-layer');
+  const _d3 = getD3();
+  const debugLayer = radarSelection.append('g').attr('id', scopedId(config, 'debug-layer'));
   const outerRadius = rings[rings.length - 1].radius;
 
   // Render segment boundaries and bounding boxes
   renderSegmentBoundaries(debugLayer, config, quadrants, rings, numQuadrants, numRings, segmented);
 
   // Render collision radii for all entries
-  renderCollisionRadii(debugLayer, config.entries, config.blip_collision_radius);
+  renderCollisionRadii(
+    debugLayer,
+    config.entries,
+    config.blip_collision_radius,
+    scopedId(config, 'debug-collision-radii')
+  );
 
   // Render coordinate system axes
   renderCoordinateAxes(debugLayer, outerRadius);
@@ -70,7 +75,7 @@ export function renderDebugVisualization(radarSelection, config, quadrants, ring
  * - Text label with entry count and arc length (Ring 0 only)
  */
 function renderSegmentBoundaries(debugLayer, config, quadrants, rings, numQuadrants, numRings, segmented) {
-  const _d3 = window.d3;
+  const _d3 = getD3();
 
   for (let q = 0; q < numQuadrants; q++) {
     for (let r = 0; r < numRings; r++) {
@@ -114,7 +119,7 @@ function renderSegmentBoundaries(debugLayer, config, quadrants, rings, numQuadra
  * Renders a polar sector (arc segment) boundary.
  */
 function renderPolarSector(debugLayer, innerRadius, outerRadius, angleMin, angleMax, numQuadrants, ringIndex) {
-  const d3 = window.d3;
+  const d3 = getD3();
 
   // d3.arc() uses clockwise angles, but our angles are counter-clockwise
   // Apply offset to align with coordinate system
@@ -181,12 +186,12 @@ function renderSegmentLabel(debugLayer, quadrant, ring, angleMin, angleMax, segI
 /**
  * Renders collision radii circles for all entries.
  */
-function renderCollisionRadii(debugLayer, entries, defaultCollisionRadius) {
-  const _d3 = window.d3;
+function renderCollisionRadii(debugLayer, entries, defaultCollisionRadius, groupId) {
+  const _d3 = getD3();
 
   debugLayer
     .append('g')
-    .attr('id', 'debug-collision-radii')
+    .attr('id', groupId)
     .selectAll('circle')
     .data(entries)
     .enter()
@@ -0,0 +1,241 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Detail Panel Module
+ *
+ * Shows the optional entry details (description, owner, tags, adopted since) in a
+ * panel that opens on blip or legend clicks. The content comes from a configurable
+ * template: a function returning markup or a DOM node, or a string with
+ * `{{field}}` placeholders.
+ */
+
+import { formatEntryHistory, formatHistoryStep } from '../processing/edition-history.js';
+import { entryKey, scopedId } from './helpers.js';
+
+// d3 event namespace so the panel does not replace the built-in or instance event handlers
+const EVENT_NAMESPACE = 'radar-details';
+
+/**
+ * Collects the values a template can use for an entry.
+ *
+ * @param {Object} entry - Entry data object
+ * @param {Object} config - Configuration object
+ * @returns {Object} Entry fields plus `quadrant` and `ring` names and the formatted ring `history`
+ */
+export function detailFields(entry, config) {
+  return {
+    ...entry,
+    quadrant: config.quadrants[entry.quadrant]?.name ?? '',
+    ring: config.rings[entry.ring]?.name ?? '',
+    tags: Array.isArray(entry.tags) ? entry.tags.join(', ') : '',
+    history: formatEntryHistory(entry.history, config.rings),
+  };
+}
+
+/**
+ * Fills `{{field}}` placeholders of a string template. Values are HTML-escaped;
+ * missing fields become empty strings.
+ *
+ * @param {string} template - Template string
+ * @param {Object} fields - Values by field name (see detailFields)
+ * @returns {string} Markup
+ */
+export function fillTemplate(template, fields) {
+  return template.replace(/\{\{\s*([\w-]+)\s*\}\}/g, (_match, name) => escapeHtml(fields[name] ?? ''));
+}
+
+/**
+ * Escapes text for inclusion in HTML markup.
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Appends an element with text content.
+ *
+ * @param {Element} parent - Parent element
+ * @param {string} tagName - Tag of the new element
+ * @param {string} className - Class of the new element
+ * @param {string} text - Text content
+ * @returns {Element} The new element
+ */
+function appendText(parent, tagName, className, text) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.textContent = text;
+  parent.appendChild(element);
+  return element;
+}
+
+/**
+ * Builds the default panel content: label, ring and quadrant, description,
+ * owner, adopted since, tags, ring history and link. Fields the entry lacks are left out.
+ *
+ * @param {Object} entry - Entry data object
+ * @param {Object} config - Configuration object
+ * @returns {DocumentFragment} Panel content
+ */
+export function defaultDetailContent(entry, config) {
+  const { quadrant, ring } = detailFields(entry, config);
+  const content = document.createDocumentFragment();
+
+  appendText(content, 'h3', 'radar-detail-title', entry.label).id = scopedId(config, 'detailTitle');
+  appendText(content, 'div', 'radar-detail-placement', `${ring} · ${quadrant}`);
+
+  if (entry.description) {
+    appendText(content, 'p', 'radar-detail-description', entry.description);
+  }
+
+  const facts = [
+    ['Owner', entry.owner],
+    ['Since', entry.since],
+  ].filter(([, value]) => value);
+  if (facts.length) {
+    const list = document.createElement('dl');
+    list.className = 'radar-detail-facts';
+    for (const [term, value] of facts) {
+      appendText(list, 'dt', '', term);
+      appendText(list, 'dd', '', value);
+    }
+    content.appendChild(list);
+  }
+
+  if (Array.isArray(entry.tags) && entry.tags.length) {
+    const tags = document.createElement('ul');
+    tags.className = 'radar-detail-tags';
+    for (const tag of entry.tags) {
+      appendText(tags, 'li', 'radar-detail-tag', tag);
+    }
+    content.appendChild(tags);
+  }
+
+  if (entry.history?.length > 1) {
+    const history = document.createElement('ol');
+    history.className = 'radar-detail-history';
+    history.setAttribute('aria-label', 'Ring history');
+    for (const step of entry.history) {
+      appendText(history, 'li', '', formatHistoryStep(step, config.rings));
+    }
+    content.appendChild(history);
+  }
+
+  if (entry.link) {
+    const link = appendText(content, 'a', 'radar-detail-link', 'More information');
+    link.href = entry.link;
+    if (config.links_in_new_tabs) {
+      link.target = '_blank';
+      link.rel = 'noopener';
+    }
+  }
+
+  return content;
+}
+
+/**
+ * Renders the panel content of an entry with the configured template.
+ *
+ * @param {Object} entry - Entry data object
+ * @param {Object} config - Configuration object (`detail_template`)
+ * @returns {Node|string} DOM content, or markup for string results
+ */
+function renderDetailContent(entry, config) {
+  const template = config.detail_template;
+  if (typeof template === 'function') {
+    return template(entry, { ...detailFields(entry, config), config });
+  }
+  if (typeof template === 'string') {
+    return fillTemplate(template, detailFields(entry, config));
+  }
+  return defaultDetailContent(entry, config);
+}
+
+/**
+ * Creates the (hidden) detail panel of a radar inside its layout wrapper.
+ * Escape and the close button close the panel.
+ *
+ * @param {Element} container - Element to append the panel to (the `.radar-layout` wrapper)
+ * @param {Object} config - Configuration object
+ * @returns {{open: Function, close: Function, remove: Function, element: Element}} Panel controls
+ */
+export function createDetailPanel(container, config) {
+  const panel = document.createElement('div');
+  panel.id = scopedId(config, 'detailPanel');
+  panel.className = 'radar-detail-panel';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-labelledby', scopedId(config, 'detailTitle'));
+  panel.hidden = true;
+
+  const closeButton = document.createElement('button');
+  closeButton.type = 'button';
+  closeButton.className = 'radar-detail-close';
+  closeButton.setAttribute('aria-label', 'Close');
+  closeButton.textContent = '×';
+
+  const body = document.createElement('div');
+  body.className = 'radar-detail-body';
+
+  panel.appendChild(closeButton);
+  panel.appendChild(body);
+  container.appendChild(panel);
+
+  const close = () => {
+    panel.hidden = true;
+    body.innerHTML = '';
+  };
+
+  const open = entry => {
+    const content = renderDetailContent(entry, config);
+    body.innerHTML = '';
+    if (typeof content === 'string') {
+      body.innerHTML = content;
+    } else if (content) {
+      body.appendChild(content);
+    }
+    panel.dataset.entry = entryKey(entry);
+    panel.hidden = false;
+  };
+
+  const handleKeydown = event => {
+    if (event.key === 'Escape' && !panel.hidden) {
+      close();
+    }
+  };
+
+  closeButton.addEventListener('click', close);
+  document.addEventListener('keydown', handleKeydown);
+
+  return {
+    element: panel,
+    open,
+    close,
+    remove() {
+      document.removeEventListener('keydown', handleKeydown);
+      panel.remove();
+    },
+  };
+}
+
+/**
+ * Opens the detail panel on clicks of entry elements. Links of the entries are
+ * not followed; the default panel content links to them instead.
+ *
+ * @param {Object} selection - D3 selection of elements bound to entries (blips or legend items)
+ * @param {Object} panel - Panel controls returned by createDetailPanel()
+ */
+export function bindDetailPanel(selection, panel) {
+  selection.on(`click.${EVENT_NAMESPACE}`, (event, d) => {
+    event.preventDefault();
+    panel.open(d);
+  });
+}
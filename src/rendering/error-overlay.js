@@ -0,0 +1,60 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Error Overlay Module
+ *
+ * Shows the validation errors of a configuration in place of the radar when it
+ * is rendered with `error_mode: 'overlay'`. The overlay is placed after the SVG
+ * and removed by the next successful render.
+ */
+
+import { radarRoot, scopedId } from './helpers.js';
+
+/**
+ * Renders (or replaces) the error overlay of a radar.
+ *
+ * @param {Object} config - Configuration object with svg_id
+ * @param {Array<Error>} errors - Errors to list
+ * @returns {Element|null} Overlay element, or null if the SVG is not in the document
+ */
+export function renderErrorOverlay(config, errors) {
+  const svg = radarRoot(config).getElementById(config.svg_id);
+  if (!svg?.parentNode) {
+    return null;
+  }
+  removeErrorOverlay(config);
+
+  const overlay = document.createElement('div');
+  overlay.id = scopedId(config, 'errors');
+  overlay.className = 'radar-error-overlay';
+  overlay.setAttribute('role', 'alert');
+
+  const heading = document.createElement('strong');
+  heading.textContent = errors.length === 1 ? 'The radar has 1 error' : `The radar has ${errors.length} errors`;
+  overlay.appendChild(heading);
+
+  const list = document.createElement('ul');
+  for (const error of errors) {
+    const item = document.createElement('li');
+    item.textContent = error.message;
+    if (error.field) {
+      item.dataset.field = error.field;
+    }
+    list.appendChild(item);
+  }
+  overlay.appendChild(list);
+
+  svg.parentNode.insertBefore(overlay, svg.nextSibling);
+  return overlay;
+}
+
+/**
+ * Removes the error overlay of a radar, if any.
+ *
+ * @param {Object} config - Configuration object with svg_id
+ */
+export function removeErrorOverlay(config) {
+  radarRoot(config).getElementById(scopedId(config, 'errors'))?.remove();
+}
@@ -0,0 +1,78 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Filter Renderer Module
+ *
+ * Dims or hides the blips and legend items of entries that do not match a filter
+ * predicate (see entry-filter.js). Dimming is applied to the content of a blip
+ * group, so it combines with the enter/exit transitions of the group itself.
+ */
+
+import { updateBlipTabStop } from './accessibility.js';
+import { getD3, radarRoot, scopedId } from './helpers.js';
+
+export const FILTER_MODES = ['dim', 'hide'];
+
+// Opacity of dimmed blips and legend items
+const DIMMED_OPACITY = 0.15;
+
+/**
+ * Marks an element as matching or not matching the filter.
+ *
+ * @param {Element} element - Element to mark
+ * @param {Array<Element>} styled - Elements that receive the dimming style
+ * @param {boolean} matches - Whether the entry matches
+ * @param {'dim'|'hide'} mode - Filter mode
+ */
+function markElement(element, styled, matches, mode) {
+  element.classList.toggle('filtered-out', !matches);
+  element.style.display = !matches && mode === 'hide' ? 'none' : '';
+  for (const node of styled) {
+    node.style.opacity = !matches && mode === 'dim' ? String(DIMMED_OPACITY) : '';
+  }
+}
+
+/**
+ * Applies a filter to the rendered blips and legend items of a radar.
+ *
+ * In `hide` mode, legend rings without visible entries are hidden too.
+ *
+ * @param {Object} config - Configuration object (svg_id, filter_mode)
+ * @param {Function|null} predicate - Entry predicate; null shows all entries
+ * @returns {Array<Object>} Entries that match the filter
+ */
+export function applyEntryFilter(config, predicate) {
+  const d3 = getD3();
+  const mode = config.filter_mode || 'dim';
+  const test = predicate || (() => true);
+  const matches = (config.entries || []).filter(entry => test(entry));
+  const matching = new Set(matches);
+
+  const rink = radarRoot(config).getElementById(scopedId(config, 'rink'));
+  d3.select(rink)
+    .selectAll('.blip')
+    .each(function (d) {
+      markElement(this, Array.from(this.children), matching.has(d), mode);
+    });
+  // A hidden blip can't keep the radar's tab stop
+  updateBlipTabStop(rink);
+
+  const svg = radarRoot(config).getElementById(config.svg_id);
+  const layout = svg?.closest('.radar-layout');
+  if (layout) {
+    d3.select(layout)
+      .selectAll('.legend-entry')
+      .each(function (d) {
+        markElement(this, [this], matching.has(d), mode);
+      });
+
+    for (const ring of layout.querySelectorAll('.legend-ring')) {
+      const empty = mode === 'hide' && !ring.querySelector('.legend-entry:not(.filtered-out)');
+      ring.style.display = empty ? 'none' : '';
+    }
+  }
+
+  return matches;
+}
@@ -12,7 +12,26 @@
  * within their assigned radar segments.
  */
 
-import { translate } from './helpers.js';
+import { getD3, radarRoot, scopedId, translate } from './helpers.js';
+
+/**
+ * Clips blips to their segments and moves them to the clipped positions.
+ *
+ * @param {d3.Selection} blipsSelection - D3 selection of blip groups
+ */
+export function updateBlipPositions(blipsSelection) {
+  blipsSelection.attr('transform', d => {
+    // Clip position to segment boundaries
+    const clipped = d.segment.clip(d);
+
+    // Store rendered position for stable tooltip positioning
+    // This prevents tooltips from jumping when blips move during simulation
+    d.rendered_x = clipped.x;
+    d.rendered_y = clipped.y;
+
+    return translate(clipped.x, clipped.y);
+  });
+}
 
 /**
  * Creates and configures the tick callback for force simulation.
@@ -28,25 +47,15 @@ import { translate } from './helpers.js';
  * @returns {Function} Tick callback function
  */
 export function createTickCallback(blipsSelection, config) {
-  const d3 = window.d3;
+  const d3 = getD3();
 
   return function ticked() {
     // Update blip positions, ensuring they stay within segment bounds
-    blipsSelection.attr('transform', d => {
-      // Clip position to segment boundaries
-      const clipped = d.segment.clip(d);
-
-      // Store rendered position for stable tooltip positioning
-      // This prevents tooltips from jumping when blips move during simulation
-      d.rendered_x = clipped.x;
-      d.rendered_y = clipped.y;
-
-      return translate(clipped.x, clipped.y);
-    });
+    updateBlipPositions(blipsSelection);
 
     // Update debug visualizations if enabled
     if (config.debug_geometry) {
-      d3.select('#debug-collision-radii')
+      d3.select(radarRoot(config).getElementById(scopedId(config, 'debug-collision-radii')))
         .selectAll('circle')
         .attr('cx', d => d.x)
         .attr('cy', d => d.y);
@@ -68,18 +77,26 @@ export function createTickCallback(blipsSelection, config) {
  * - collision iterations: 6 - More iterations for better resolution
  * - pre-run ticks: 400 - Increased for better initial stabilization
  *
+ * In synchronous mode the simulation timer is stopped before the pre-run ticks and
+ * the final positions are applied once, so no work is left running afterwards
+ * (used by the headless renderer).
+ *
  * @param {Array} entries - Array of technology entries to position
  * @param {d3.Selection} blipsSelection - D3 selection of blip groups
  * @param {Object} config - Visualization configuration
+ * @param {Object} [options] - Simulation options
+ * @param {boolean} [options.synchronous=false] - Settle positions without scheduling animation frames
+ * @returns {Object} The D3 force simulation
  */
-export function runForceSimulation(entries, blipsSelection, config) {
-  const d3 = window.d3;
+export function runForceSimulation(entries, blipsSelection, config, options = {}) {
+  const d3 = getD3();
 
   // Create tick callback
   const tickCallback = createTickCallback(blipsSelection, config);
 
-  // Configure and run force simulation
-  d3.forceSimulation()
+  // Configure force simulation
+  const simulation = d3
+    .forceSimulation()
     .nodes(entries)
     .velocityDecay(0.15) // More movement freedom for better spreading
     .alphaDecay(0.008) // Slower cooling for longer convergence time
@@ -92,6 +109,18 @@ export function runForceSimulation(entries, blipsSelection, config) {
         .strength(1.0) // Maximum collision strength for strict enforcement
         .iterations(6)
     ) // More iterations per tick for better collision resolution
-    .on('tick', tickCallback)
-    .tick(400); // Increased pre-run iterations for better stabilization
+    .on('tick', tickCallback);
+
+  if (options.synchronous) {
+    simulation.stop();
+  }
+
+  simulation.tick(400); // Increased pre-run iterations for better stabilization
+
+  if (options.synchronous) {
+    // tick() does not dispatch 'tick' events, so apply the settled positions explicitly
+    updateBlipPositions(blipsSelection);
+  }
+
+  return simulation;
 }
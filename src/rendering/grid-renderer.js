@@ -20,6 +20,9 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 
+import { resolveTheme, ringColorVar, themeVar } from '../config/themes.js';
+import { scopedId } from './helpers.js';
+
 /**
  * Renders the radar grid including quadrant lines, rings, and ring labels.
  *
@@ -31,6 +34,7 @@
  */
 export function renderGrid(gridSelection, config, quadrants, rings, outerRadius) {
   const numQuadrants = quadrants.length;
+  const theme = resolveTheme(config);
 
   // Draw grid lines - N radial lines for N quadrants
   for (let i = 0; i < numQuadrants; i++) {
@@ -42,7 +46,7 @@ export function renderGrid(gridSelection, config, quadrants, rings, outerRadius)
       .attr('x2', outerRadius * Math.cos(angle))
       .attr('y2', outerRadius * Math.sin(angle))
       .attr('class', `quadrant-line quadrant-line-${i}`)
-      .style('stroke', config.colors.grid)
+      .style('stroke', themeVar(theme, 'grid'))
       .style('stroke-width', 1.5)
       .style('stroke-opacity', 0.3);
   }
@@ -50,8 +54,14 @@ export function renderGrid(gridSelection, config, quadrants, rings, outerRadius)
   // Background color filter for text labels
   // SOURCE: https://stackoverflow.com/a/31013492/2609980
   const defs = gridSelection.append('defs');
-  const filter = defs.append('filter').attr('x', 0).attr('y', 0).attr('width', 1).attr('height', 1).attr('id', 'solid');
-  filter.append('feFlood').attr('flood-color', 'rgb(0, 0, 0, 0.8)');
+  const filter = defs
+    .append('filter')
+    .attr('x', 0)
+    .attr('y', 0)
+    .attr('width', 1)
+    .attr('height', 1)
+    .attr('id', scopedId(config, 'solid'));
+  filter.append('feFlood').style('flood-color', themeVar(theme, 'bubble_background')).style('flood-opacity', 0.8);
   filter.append('feComposite').attr('in', 'SourceGraphic');
 
   // Draw rings
@@ -70,7 +80,7 @@ export function renderGrid(gridSelection, config, quadrants, rings, outerRadius)
         .attr('cy', 0)
         .attr('r', outer)
         .attr('class', `ring ring-${i}`)
-        .style('fill', i % 2 === 0 ? 'rgba(0, 0, 0, 0.01)' : 'rgba(0, 0, 0, 0.015)')
+        .style('fill', themeVar(theme, i % 2 === 0 ? 'ring_fill_alternate' : 'ring_fill'))
         .style('stroke', 'none')
         .style('pointer-events', 'none');
     }
@@ -83,7 +93,7 @@ export function renderGrid(gridSelection, config, quadrants, rings, outerRadius)
       .attr('r', outer)
       .attr('class', `ring-border ring-border-${i}`)
       .style('fill', 'none')
-      .style('stroke', config.colors.grid)
+      .style('stroke', themeVar(theme, 'grid'))
       .style('stroke-width', i === 0 ? 2 : 1)
       .style('stroke-opacity', i === 0 ? 0.4 : 0.25);
 
@@ -92,10 +102,12 @@ export function renderGrid(gridSelection, config, quadrants, rings, outerRadius)
       gridSelection
         .append('text')
         .text(config.rings[i].name)
+        .attr('role', 'img')
+        .attr('aria-label', `${config.rings[i].name} ring`)
         .attr('y', -labelRadius)
         .attr('text-anchor', 'middle')
         .attr('dominant-baseline', 'middle')
-        .style('fill', config.rings[i].color)
+        .style('fill', ringColorVar(theme, config.rings, i))
         .style('opacity', 0.35)
         .style('font-family', config.font_family)
         .style('font-size', `${labelFontSize}px`)
@@ -113,6 +125,8 @@ export function renderGrid(gridSelection, config, quadrants, rings, outerRadius)
  * @param {Object} config - Configuration object
  */
 export function renderTitleAndFooter(radarSelection, config) {
+  const theme = resolveTheme(config);
+
   // Title
   if (config.title && config.print_layout) {
     const titleGroup = radarSelection
@@ -125,8 +139,9 @@ export function renderTitleAndFooter(radarSelection, config) {
       .attr('transform', `translate(${config.title_offset.x}, ${config.title_offset.y})`)
       .text(config.title)
       .style('font-family', config.font_family)
-      .style('font-size', '34px')
-      .style('font-weight', 'bold');
+      .style('font-size', themeVar(theme, 'title_font_size'))
+      .style('font-weight', 'bold')
+      .style('fill', themeVar(theme, 'text'));
 
     titleGroup
       .append('text')
@@ -134,7 +149,7 @@ export function renderTitleAndFooter(radarSelection, config) {
       .text(config.date ? config.date : '')
       .style('font-family', config.font_family)
       .style('font-size', '14px')
-      .style('fill', '#999');
+      .style('fill', themeVar(theme, 'muted_text'));
   }
 
   // Footer
@@ -146,6 +161,6 @@ export function renderTitleAndFooter(radarSelection, config) {
       .attr('xml:space', 'preserve')
       .style('font-family', config.font_family)
       .style('font-size', '10px')
-      .style('fill', '#999');
+      .style('fill', themeVar(theme, 'muted_text'));
   }
 }
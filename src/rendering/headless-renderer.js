@@ -0,0 +1,175 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Headless Renderer Module
+ *
+ * Renders a radar to an SVG or HTML string without a live DOM. Runs the same
+ * pipeline as the interactive renderer (EntryProcessor, renderGrid, renderBlips,
+ * force simulation) against a virtual document, with the force simulation ticked
+ * synchronously, so Node/Bun scripts can produce static artifacts.
+ */
+
+import { resolveTheme, themeVar } from '../config/themes.js';
+import { prepareRadarLayout } from '../processing/radar-layout.js';
+import { renderBlips } from './blip-renderer.js';
+import { renderComparison } from './comparison-renderer.js';
+import { renderDebugVisualization } from './debug-renderer.js';
+import { runForceSimulation } from './force-simulation.js';
+import { renderGrid, renderTitleAndFooter } from './grid-renderer.js';
+import { getD3, scopedId, setD3 } from './helpers.js';
+import { renderLegendColumns } from './legend-renderer.js';
+import { createRadarGroup, renderThemeProperties, sizeLegendColumns } from './svg-setup.js';
+import { renderRingDescriptionsTable } from './table-renderer.js';
+import { createVirtualDocument, escapeMarkup, NAMESPACES, serialize } from './virtual-dom.js';
+
+const OUTPUT_FORMATS = ['svg', 'html'];
+
+// Static output has no tooltip bubble or legend highlighting
+const noop = () => {};
+
+/**
+ * Renders a radar configuration to a self-contained markup string.
+ *
+ * The input config is not mutated: entries are copied before layout.
+ *
+ * @param {Object} config - Radar configuration (same shape as for radar_visualization)
+ * @param {Object} [options] - Rendering options
+ * @param {'svg'|'html'} [options.format='svg'] - `svg` returns the standalone SVG document;
+ *   `html` returns a full HTML page with the legend columns and ring descriptions table
+ * @param {Object} [options.d3] - d3 namespace to use (defaults to the global `d3`)
+ * @param {string} [options.stylesheet] - CSS inlined into the HTML output (e.g. docs/radar.css)
+ * @returns {string} Rendered markup
+ * @throws {ConfigValidationError} If the configuration is invalid
+ */
+export function renderToString(config, options = {}) {
+  const { format = 'svg', d3 = null, stylesheet = '' } = options;
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported output format: ${format} (expected one of: ${OUTPUT_FORMATS.join(', ')})`);
+  }
+
+  const previousD3 = d3 ? setD3(d3) : null;
+  try {
+    const radarConfig = {
+      ...config,
+      entries: (config.entries || []).map(entry => ({ ...entry })),
+    };
+    const layout = prepareRadarLayout(radarConfig, { viewport: null });
+    const document = createVirtualDocument();
+    const svgNode = renderSvg(document, radarConfig, layout);
+
+    return format === 'html'
+      ? renderHtmlPage(document, svgNode, radarConfig, layout, stylesheet)
+      : `<?xml version="1.0" encoding="UTF-8"?>\n${serialize(svgNode)}\n`;
+  } finally {
+    if (d3) {
+      setD3(previousD3);
+    }
+  }
+}
+
+/**
+ * Renders the radar chart (grid, title, footer, blips) into a virtual SVG element.
+ *
+ * @param {Object} document - Virtual document
+ * @param {Object} config - Prepared configuration
+ * @param {Object} layout - Result of prepareRadarLayout()
+ * @returns {Object} Virtual SVG element
+ */
+function renderSvg(document, config, layout) {
+  const d3 = getD3();
+  const { dimensions, quadrants, rings, outerRadius, segmented } = layout;
+
+  config.scale = config.scale || 1;
+  config.font_family = config.font_family || 'Arial, Helvetica';
+
+  const svgNode = document.createElementNS(NAMESPACES.svg, 'svg');
+  const svg = d3
+    .select(svgNode)
+    .attr('xmlns', NAMESPACES.svg)
+    .attr('xmlns:xlink', NAMESPACES.xlink)
+    .attr('id', config.svg_id)
+    .attr('width', config.width * config.scale)
+    .attr('height', config.height * config.scale)
+    .style('background-color', themeVar(resolveTheme(config), 'background'));
+  renderThemeProperties(svg, config);
+
+  const radar = createRadarGroup(svg, config, quadrants, rings, dimensions);
+  const grid = radar.append('g');
+
+  renderGrid(grid, config, quadrants, rings, outerRadius);
+  renderTitleAndFooter(radar, config);
+
+  const rink = radar.append('g').attr('id', scopedId(config, 'rink'));
+  const blips = renderBlips(rink, config.entries, config, noop, noop, noop, noop);
+  runForceSimulation(config.entries, blips, config, { synchronous: true });
+
+  if (config.comparison) {
+    renderComparison(rink, segmented, config);
+  }
+
+  if (config.debug_geometry) {
+    renderDebugVisualization(radar, config, quadrants, rings, quadrants.length, rings.length, segmented);
+  }
+
+  return svgNode;
+}
+
+/**
+ * Wraps the rendered SVG into an HTML page with the same layout structure
+ * (`.radar-layout` with legend columns) that the interactive renderer creates.
+ *
+ * @param {Object} document - Virtual document
+ * @param {Object} svgNode - Rendered virtual SVG element
+ * @param {Object} config - Prepared configuration
+ * @param {Object} layout - Result of prepareRadarLayout()
+ * @param {string} stylesheet - CSS to inline
+ * @returns {string} HTML page
+ */
+function renderHtmlPage(document, svgNode, config, layout, stylesheet) {
+  const d3 = getD3();
+  const body = d3.select(document.createElement('body'));
+
+  const wrapper = body.append('div').attr('class', 'radar-layout').attr('data-radar-id', config.svg_id);
+  const legendLeftColumn = wrapper.append('div').attr('class', 'radar-legend-column left');
+  wrapper.append('div').attr('class', 'radar-svg-container').node().appendChild(svgNode);
+  const legendRightColumn = wrapper.append('div').attr('class', 'radar-legend-column right');
+
+  if (config.print_layout) {
+    sizeLegendColumns(legendLeftColumn, legendRightColumn, config, config.width);
+    legendLeftColumn.style('display', 'flex');
+    legendRightColumn.style('display', 'flex');
+    renderLegendColumns(
+      legendLeftColumn,
+      legendRightColumn,
+      layout.segmented,
+      config,
+      layout.quadrants.length,
+      layout.rings.length,
+      noop,
+      noop,
+      noop,
+      noop
+    );
+  } else {
+    legendLeftColumn.style('display', 'none');
+    legendRightColumn.style('display', 'none');
+  }
+
+  if (config.print_ring_descriptions_table) {
+    renderRingDescriptionsTable(config, body);
+  }
+
+  const title = config.title ? `<title>${escapeMarkup(config.title)}</title>` : '';
+  const style = stylesheet ? `<style>\n${stylesheet}\n</style>` : '';
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    `<head><meta charset="utf-8">${title}${style}</head>`,
+    serialize(body.node()),
+    '</html>',
+    '',
+  ].join('\n');
+}
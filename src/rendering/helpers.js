@@ -20,6 +20,35 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 
+let injectedD3 = null;
+
+/**
+ * Overrides the d3 instance used by the renderers.
+ * Without an override the global `d3` (browser script tag) is used.
+ *
+ * @param {Object|null} d3 - d3 namespace object, or null to fall back to the global
+ * @returns {Object|null} Previously injected instance (for restoring)
+ */
+export function setD3(d3) {
+  const previous = injectedD3;
+  injectedD3 = d3;
+  return previous;
+}
+
+/**
+ * Returns the d3 instance used by the renderers.
+ *
+ * @returns {Object} d3 namespace object
+ * @throws {Error} If d3 was neither injected nor loaded globally
+ */
+export function getD3() {
+  const d3 = injectedD3 || globalThis.d3;
+  if (!d3) {
+    throw new Error('d3 is not available: load it globally or pass it to the renderer');
+  }
+  return d3;
+}
+
 /**
  * Generates SVG transform translate string.
  *
@@ -31,6 +60,55 @@ export function translate(x, y) {
   return `translate(${x},${y})`;
 }
 
+/**
+ * Returns the document or shadow root a radar renders in (`config.root`, set by
+ * the <tech-radar> element; the document otherwise). Element lookups by id go
+ * through it, so radars inside shadow DOM find their own elements.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Document|ShadowRoot} Root node of the radar
+ */
+export function radarRoot(config) {
+  return config.root || document;
+}
+
+/**
+ * Builds a document-unique element id for a radar instance.
+ * Ids are prefixed with the radar's svg_id so several radars can share a page.
+ *
+ * @param {Object} config - Configuration object with svg_id
+ * @param {string} name - Element name (e.g. 'bubble', 'legendItem12')
+ * @returns {string} Scoped element id
+ */
+export function scopedId(config, name) {
+  return `${config.svg_id}-${name}`;
+}
+
+/**
+ * Builds the scoped element id of an entry's legend item from its stable key,
+ * so links to legend items survive renumbering. Characters that are not safe in
+ * ids or URL fragments are escaped as `_<hex code point>`.
+ *
+ * @param {Object} entry - Entry data object
+ * @param {Object} config - Configuration object with svg_id
+ * @returns {string} Legend item id (e.g. `radar-legendItem-Kafka`)
+ */
+export function legendItemId(entry, config) {
+  const safeKey = String(entryKey(entry)).replace(/[^A-Za-z0-9-]/g, char => `_${char.codePointAt(0).toString(16)}`);
+  return scopedId(config, `legendItem-${safeKey}`);
+}
+
+/**
+ * Returns the stable key identifying an entry across renders and edits:
+ * `key`, otherwise `id`, otherwise its label.
+ *
+ * @param {Object} entry - Entry data object
+ * @returns {string} Entry key
+ */
+export function entryKey(entry) {
+  return entry.key ?? entry.id ?? entry.label;
+}
+
 /**
  * Generates SVG viewBox attribute for a specific quadrant zoom.
  *
@@ -107,21 +185,25 @@ export function computeLegendOffsets(numQuadrants, outerRadius, config) {
 
 /**
  * Creates or retrieves the layout structure wrapper around the SVG.
- * Ensures the radar is wrapped in a flex container with legend columns.
+ * Ensures the radar is wrapped in a flex container with legend columns,
+ * marked with the id of the SVG so it receives the theme properties.
  *
  * @param {Object} svgSelection - D3 selection of the SVG element
  * @returns {Object} D3 selection of the layout wrapper
  */
 export function ensureLayoutStructure(svgSelection) {
-  const existing = svgSelection.node().closest('.radar-layout');
+  const svgNode = svgSelection.node();
+  const existing = svgNode.closest('.radar-layout');
   if (existing) {
+    existing.dataset.radarId = svgNode.id;
     return svgSelection.select(() => existing);
   }
 
-  const svgNode = svgSelection.node();
   const parent = svgNode.parentNode;
   const wrapper = document.createElement('div');
   wrapper.className = 'radar-layout';
+  wrapper.dataset.generated = 'true';
+  wrapper.dataset.radarId = svgNode.id;
 
   const leftColumn = document.createElement('div');
   leftColumn.className = 'radar-legend-column left';
@@ -141,6 +223,26 @@ export function ensureLayoutStructure(svgSelection) {
   return svgSelection.select(() => wrapper);
 }
 
+/**
+ * Removes the layout wrapper created by ensureLayoutStructure().
+ * The SVG is moved back to the wrapper's position; wrappers provided by the page are kept.
+ *
+ * @param {Element} svgNode - The radar SVG element
+ */
+export function removeLayoutStructure(svgNode) {
+  const wrapper = svgNode.closest('.radar-layout');
+  if (!wrapper) {
+    return;
+  }
+  if (wrapper.dataset.generated !== 'true') {
+    delete wrapper.dataset.radarId;
+    return;
+  }
+
+  wrapper.parentNode.insertBefore(svgNode, wrapper);
+  wrapper.remove();
+}
+
 /**
  * Generates the legend transform for positioning legend items.
  * Legacy function maintained for compatibility.
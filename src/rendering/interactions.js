@@ -20,34 +20,59 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 
-import { translate } from './helpers.js';
+import { resolveTheme, themeVar } from '../config/themes.js';
+import { formatEntryHistory } from '../processing/edition-history.js';
+import { getD3, legendItemId, radarRoot, scopedId, translate } from './helpers.js';
 
 /**
  * Creates and appends the tooltip bubble element to the radar.
  *
  * @param {Object} radarSelection - D3 selection of the main radar group
- * @param {string} fontFamily - Font family for bubble text
+ * @param {Object} config - Configuration object (svg_id, font_family, theme)
  * @returns {Object} D3 selection of the bubble element
  */
-export function createBubble(radarSelection, fontFamily) {
+export function createBubble(radarSelection, config) {
   const bubble = radarSelection
     .append('g')
-    .attr('id', 'bubble')
+    .attr('id', scopedId(config, 'bubble'))
+    .attr('class', 'bubble')
+    .attr('role', 'tooltip')
+    .attr('aria-hidden', 'true')
     .attr('x', 0)
     .attr('y', 0)
     .style('opacity', 0)
     .style('pointer-events', 'none')
     .style('user-select', 'none');
 
-  bubble.append('rect').attr('rx', 4).attr('ry', 4).style('fill', '#333');
+  const theme = resolveTheme(config);
+  bubble.append('rect').attr('rx', 4).attr('ry', 4).style('fill', themeVar(theme, 'bubble_background'));
 
-  bubble.append('text').style('font-family', fontFamily).style('font-size', '10px').style('fill', '#fff');
+  bubble
+    .append('text')
+    .style('font-family', config.font_family)
+    .style('font-size', '10px')
+    .style('fill', themeVar(theme, 'bubble_text'));
 
-  bubble.append('path').attr('d', 'M 0,0 10,0 5,8 z').style('fill', '#333');
+  bubble.append('path').attr('d', 'M 0,0 10,0 5,8 z').style('fill', themeVar(theme, 'bubble_background'));
 
   return bubble;
 }
 
+/**
+ * Returns the tooltip text of an entry: its label (with the configuration it comes
+ * from on comparison overlays), followed by its ring history when the entry changed
+ * rings across editions.
+ *
+ * @param {Object} d - Entry data object
+ * @param {Object} config - Configuration object (rings, comparison)
+ * @returns {string} Tooltip text
+ */
+export function bubbleText(d, config) {
+  const side = d.comparison === 'right' ? 1 : 0;
+  const label = d.comparison && config.comparison ? `${d.label} (${config.comparison.labels[side]})` : d.label;
+  return d.history?.length > 1 ? `${label}: ${formatEntryHistory(d.history, config.rings)}` : label;
+}
+
 /**
  * Shows the tooltip bubble for an entry.
  * Uses rendered (clamped) position for stable tooltip positioning.
@@ -57,43 +82,58 @@ export function createBubble(radarSelection, fontFamily) {
  */
 export function showBubble(d, config) {
   if (d.active || config.print_layout) {
-    const d3 = window.d3; // Access global d3
-    const tooltip = d3.select('#bubble text').text(d.label);
+    const bubble = selectBubble(config);
+    const tooltip = bubble.select('text').text(bubbleText(d, config));
     const bbox = tooltip.node().getBBox();
 
     // Use rendered (clamped) position for stable tooltip positioning
     const x = d.rendered_x !== undefined ? d.rendered_x : d.x;
     const y = d.rendered_y !== undefined ? d.rendered_y : d.y;
 
-    d3.select('#bubble')
+    bubble
       .attr('transform', translate(x - bbox.width / 2, y - 16))
+      .attr('aria-hidden', 'false')
       .style('opacity', 0.8);
 
-    d3.select('#bubble rect')
+    bubble
+      .select('rect')
       .attr('x', -5)
       .attr('y', -bbox.height)
       .attr('width', bbox.width + 10)
       .attr('height', bbox.height + 4);
 
-    d3.select('#bubble path').attr('transform', translate(bbox.width / 2 - 5, 3));
+    bubble.select('path').attr('transform', translate(bbox.width / 2 - 5, 3));
   }
 }
 
 /**
  * Hides the tooltip bubble.
+ *
+ * @param {Object} config - Configuration object
  */
-export function hideBubble() {
-  const d3 = window.d3; // Access global d3
-  d3.select('#bubble').attr('transform', translate(0, 0)).style('opacity', 0);
+export function hideBubble(config) {
+  selectBubble(config).attr('transform', translate(0, 0)).attr('aria-hidden', 'true').style('opacity', 0);
+}
+
+/**
+ * Selects the tooltip bubble of the radar instance.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Object} D3 selection of the bubble element
+ */
+function selectBubble(config) {
+  const d3 = getD3();
+  return d3.select(radarRoot(config).getElementById(scopedId(config, 'bubble')));
 }
 
 /**
  * Highlights a legend item by adding a CSS class.
  *
  * @param {Object} d - Entry data object with id property
+ * @param {Object} config - Configuration object
  */
-export function highlightLegendItem(d) {
-  const legendItem = document.getElementById(`legendItem${d.id}`);
+export function highlightLegendItem(d, config) {
+  const legendItem = radarRoot(config).getElementById(legendItemId(d, config));
   if (legendItem) {
     legendItem.classList.add('legend-highlight');
   }
@@ -103,9 +143,10 @@ export function highlightLegendItem(d) {
  * Removes highlight from a legend item.
  *
  * @param {Object} d - Entry data object with id property
+ * @param {Object} config - Configuration object
  */
-export function unhighlightLegendItem(d) {
-  const legendItem = document.getElementById(`legendItem${d.id}`);
+export function unhighlightLegendItem(d, config) {
+  const legendItem = radarRoot(config).getElementById(legendItemId(d, config));
   if (legendItem) {
     legendItem.classList.remove('legend-highlight');
   }
@@ -122,11 +163,56 @@ export function createBlipInteractions(config) {
   return {
     mouseover: (_event, d) => {
       showBubble(d, config);
-      highlightLegendItem(d);
+      highlightLegendItem(d, config);
     },
     mouseout: (_event, d) => {
-      hideBubble();
-      unhighlightLegendItem(d);
+      hideBubble(config);
+      unhighlightLegendItem(d, config);
     },
   };
 }
+
+// d3 event namespace so instance events don't replace the built-in tooltip/highlight handlers
+const EVENT_NAMESPACE = 'radar-events';
+
+/**
+ * Builds the payload of an entry interaction event.
+ *
+ * @param {Object} d - Entry data object
+ * @param {Object} config - Configuration object
+ * @param {Event} event - DOM event
+ * @returns {Object} Payload with entry, quadrant, ring, element and the DOM event
+ */
+export function entryEventPayload(d, config, event) {
+  return {
+    entry: d,
+    quadrant: config.quadrants[d.quadrant],
+    ring: config.rings[d.ring],
+    element: event.currentTarget,
+    event,
+  };
+}
+
+/**
+ * Forwards clicks (and optionally hovers) on entry elements to an event emitter.
+ *
+ * @param {Object} selection - D3 selection of elements bound to entries (blips or legend items)
+ * @param {Object} config - Configuration object
+ * @param {Function} emit - Emit function (name, payload)
+ * @param {Object} eventNames - Event names to emit
+ * @param {string} eventNames.click - Event emitted on click
+ * @param {string} [eventNames.hover] - Event emitted on mouseover/mouseout
+ */
+export function bindEntryEvents(selection, config, emit, { click, hover }) {
+  selection.on(`click.${EVENT_NAMESPACE}`, (event, d) => emit(click, entryEventPayload(d, config, event)));
+
+  if (hover) {
+    selection
+      .on(`mouseover.${EVENT_NAMESPACE}`, (event, d) =>
+        emit(hover, { ...entryEventPayload(d, config, event), hovered: true })
+      )
+      .on(`mouseout.${EVENT_NAMESPACE}`, (event, d) =>
+        emit(hover, { ...entryEventPayload(d, config, event), hovered: false })
+      );
+  }
+}
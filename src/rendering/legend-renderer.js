@@ -20,6 +20,10 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 
+import { resolveTheme, ringColorVar } from '../config/themes.js';
+import { entryDescription } from './accessibility.js';
+import { legendItemId } from './helpers.js';
+
 /**
  * Renders legend columns in the left and right containers.
  * Distributes quadrants across columns and renders rings with their entries.
@@ -49,6 +53,7 @@ export function renderLegendColumns(
 ) {
   legendLeftColumn.html('');
   legendRightColumn.html('');
+  const theme = resolveTheme(config);
 
   // Determine number of columns per section based on ring count
   // 4-6 rings: 2 columns, 7-8 rings: 3 columns
@@ -87,7 +92,12 @@ export function renderLegendColumns(
       .attr('class', 'legend-section')
       .style('--legend-columns', legendSectionColumns);
 
-    section.append('div').attr('class', 'legend-quadrant-name').text(config.quadrants[quadrant].name);
+    section
+      .append('div')
+      .attr('class', 'legend-quadrant-name')
+      .attr('role', 'heading')
+      .attr('aria-level', 3)
+      .text(config.quadrants[quadrant].name);
 
     const ringsContainer = section.append('div').attr('class', 'legend-rings');
 
@@ -102,7 +112,11 @@ export function renderLegendColumns(
       ringBlock
         .append('div')
         .attr('class', 'legend-ring-name')
-        .style('color', config.rings[ring].color)
+        .attr('data-ring', ring)
+        .attr('role', 'heading')
+        .attr('aria-level', 4)
+        .attr('aria-label', `${config.rings[ring].name} ring`)
+        .style('color', ringColorVar(theme, config.rings, ring))
         .text(config.rings[ring].name);
 
       const entriesList = ringBlock.append('div').attr('class', 'legend-ring-entries');
@@ -113,16 +127,17 @@ export function renderLegendColumns(
         .append('a')
         .attr('href', d => (d.link ? d.link : '#'))
         .attr('target', d => (d.link && config.links_in_new_tabs ? '_blank' : null))
-        .attr('id', d => `legendItem${d.id}`)
+        .attr('id', d => legendItemId(d, config))
         .attr('class', 'legend-entry')
-        .text(d => `${d.id}. ${d.label}`)
-        .on('mouseover', (_event, d) => {
+        .attr('aria-label', d => `${d.number}. ${entryDescription(d, config)}`)
+        .text(d => `${d.number}. ${d.label}`)
+        .on('mouseover focus', (_event, d) => {
           showBubble(d, config);
-          highlightLegendItem(d);
+          highlightLegendItem(d, config);
         })
-        .on('mouseout', (_event, d) => {
-          hideBubble();
-          unhighlightLegendItem(d);
+        .on('mouseout blur', (_event, d) => {
+          hideBubble(config);
+          unhighlightLegendItem(d, config);
         });
     }
   }
@@ -12,7 +12,8 @@
  * be used throughout the rendering pipeline.
  */
 
-import { ensureLayoutStructure, translate, viewbox } from './helpers.js';
+import { resolveTheme, themeProperties, themeVar } from '../config/themes.js';
+import { ensureLayoutStructure, getD3, radarRoot, translate, viewbox } from './helpers.js';
 
 /**
  * Sets up the SVG element and layout structure for the radar visualization.
@@ -34,7 +35,7 @@ import { ensureLayoutStructure, translate, viewbox } from './helpers.js';
  * @property {number} legendSectionColumns - Number of columns for legend sections
  */
 export function setupSvg(config, quadrants, rings, dimensions) {
-  const d3 = window.d3;
+  const d3 = getD3();
 
   // Apply scaling
   config.scale = config.scale || 1;
@@ -43,10 +44,11 @@ export function setupSvg(config, quadrants, rings, dimensions) {
 
   // Create or select SVG element
   const svg = d3
-    .select(`svg#${config.svg_id}`)
-    .style('background-color', config.colors.background)
+    .select(radarRoot(config).getElementById(config.svg_id))
+    .style('background-color', themeVar(resolveTheme(config), 'background'))
     .attr('width', scaled_width)
     .attr('height', scaled_height);
+  renderThemeProperties(svg, config);
 
   // Set up layout structure with legend columns
   const layoutWrapper = ensureLayoutStructure(svg);
@@ -55,6 +57,37 @@ export function setupSvg(config, quadrants, rings, dimensions) {
 
   // Calculate legend column widths based on layout
   const layoutWidth = layoutWrapper.node().getBoundingClientRect().width || config.width;
+  const legendSectionColumns = sizeLegendColumns(legendLeftColumn, legendRightColumn, config, layoutWidth);
+
+  // Create radar group
+  const radar = createRadarGroup(svg, config, quadrants, rings, dimensions);
+
+  // Set default font family
+  config.font_family = config.font_family || 'Arial, Helvetica';
+
+  // Create grid group for rendering
+  const grid = radar.append('g');
+
+  return {
+    svg,
+    radar,
+    legendLeftColumn,
+    legendRightColumn,
+    grid,
+    legendSectionColumns,
+  };
+}
+
+/**
+ * Sizes the legend columns relative to the layout width.
+ *
+ * @param {d3.Selection} legendLeftColumn - Left legend column
+ * @param {d3.Selection} legendRightColumn - Right legend column
+ * @param {Object} config - Configuration object
+ * @param {number} layoutWidth - Width of the layout wrapper in pixels
+ * @returns {number} Number of columns for legend sections (2-4)
+ */
+export function sizeLegendColumns(legendLeftColumn, legendRightColumn, config, layoutWidth) {
   const minLegendColumnWidth = config.legend_column_width * 2 + 60;
   const maxLegendColumnWidth = config.legend_column_width * 4 + 80;
   const targetLegendColumnWidth = Math.min(maxLegendColumnWidth, Math.max(minLegendColumnWidth, layoutWidth * 0.3));
@@ -70,7 +103,52 @@ export function setupSvg(config, quadrants, rings, dimensions) {
 
   legendRightColumn.style('gap', `${config.legend_vertical_spacing}px`).style('width', `${targetLegendColumnWidth}px`);
 
-  // Create radar group
+  return legendSectionColumns;
+}
+
+/**
+ * Emits the theme of the radar as CSS custom properties on the SVG: a style
+ * element whose rule matches the SVG with zero specificity (`:where()`), so any
+ * page rule that sets the properties wins. The rule also matches the elements
+ * of the radar outside the SVG, marked with `data-radar-id` (the layout
+ * wrapper with the legend, detail panel and timeline, and the filter bar).
+ *
+ * @param {d3.Selection} svg - SVG selection (with the id of the radar)
+ * @param {Object} config - Configuration object
+ * @returns {d3.Selection} The style element
+ */
+export function renderThemeProperties(svg, config) {
+  return svg.append('style').attr('class', 'radar-theme').text(themeStyleText(config));
+}
+
+/**
+ * Returns the CSS rule of the theme properties (see renderThemeProperties).
+ *
+ * @param {Object} config - Configuration object
+ * @returns {string} CSS rule
+ */
+export function themeStyleText(config) {
+  const declarations = themeProperties(resolveTheme(config), config.rings)
+    .map(([name, value]) => `${name}: ${value};`)
+    .join(' ');
+  const id = config.svg_id.replace(/["\\]/g, '\\$&');
+  return `:where(svg[id="${id}"], [data-radar-id="${id}"]) { ${declarations} }`;
+}
+
+/**
+ * Appends the main radar group to the SVG and positions it.
+ *
+ * Either zooms the SVG viewBox to a single quadrant (`config.zoomed_quadrant`)
+ * or centers the group in the available space, accounting for title and footer.
+ *
+ * @param {d3.Selection} svg - SVG selection
+ * @param {Object} config - Configuration object with scale applied
+ * @param {Array} quadrants - Array of quadrant configurations
+ * @param {Array} rings - Array of ring configurations
+ * @param {Object} dimensions - Calculated dimensions from calculateDimensions()
+ * @returns {d3.Selection} Radar group selection
+ */
+export function createRadarGroup(svg, config, quadrants, rings, dimensions) {
   const radar = svg.append('g');
 
   // Apply transformation: either zoom to specific quadrant or center in available space
@@ -79,24 +157,13 @@ export function setupSvg(config, quadrants, rings, dimensions) {
     svg.attr('viewBox', viewbox(config.zoomed_quadrant, quadrants, rings));
   } else {
     // Normal mode: center radar accounting for title/footer
+    const scaled_width = config.width * config.scale;
+    const scaled_height = config.height * config.scale;
     const radar_center_y = scaled_height / 2 + (dimensions.title_height - dimensions.footer_height) / 2;
     const radar_center_x = scaled_width / 2 + config.radar_horizontal_offset;
 
     radar.attr('transform', translate(radar_center_x, radar_center_y).concat(`scale(${config.scale})`));
   }
 
-  // Set default font family
-  config.font_family = config.font_family || 'Arial, Helvetica';
-
-  // Create grid group for rendering
-  const grid = radar.append('g');
-
-  return {
-    svg,
-    radar,
-    legendLeftColumn,
-    legendRightColumn,
-    grid,
-    legendSectionColumns,
-  };
+  return radar;
 }
@@ -11,6 +11,9 @@
  * feature that is rarely used, controlled by the config.print_ring_descriptions_table flag.
  */
 
+import { resolveTheme, ringColor } from '../config/themes.js';
+import { getD3 } from './helpers.js';
+
 /**
  * Renders a table with ring names and descriptions.
  *
@@ -21,13 +24,15 @@
  * @param {Object} config - Configuration object containing:
  *   - rings: Array of ring objects with name, color, and description properties
  *   - font_family: Font family for text styling
+ * @param {d3.Selection} [container] - Element to append the table to (defaults to the document body,
+ *   or the shadow root of a <tech-radar> element)
+ * @returns {d3.Selection} The appended table
  */
-export function renderRingDescriptionsTable(config) {
-  const d3 = window.d3;
+export function renderRingDescriptionsTable(config, container = getD3().select(config.root || 'body')) {
+  const theme = resolveTheme(config);
 
   // Create table element
-  const table = d3
-    .select('body')
+  const table = container
     .append('table')
     .attr('class', 'radar-table')
     .style('border-collapse', 'collapse')
@@ -56,7 +61,7 @@ export function renderRingDescriptionsTable(config) {
     .append('th')
     .style('padding', '8px')
     .style('border', '1px solid #ddd')
-    .style('background-color', d => d.color)
+    .style('background-color', (_d, index) => ringColor(theme, config.rings, index))
     .style('color', '#fff')
     .style('width', columnWidth)
     .text(d => d.name);
@@ -73,4 +78,6 @@ export function renderRingDescriptionsTable(config) {
     .style('border', '1px solid #ddd')
     .style('width', columnWidth)
     .text(d => d.description);
+
+  return table;
 }
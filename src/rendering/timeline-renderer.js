@@ -0,0 +1,129 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Timeline Renderer Module
+ *
+ * Renders the timeline control for radars with an edition history: a slider
+ * to scrub through the editions and a button per edition date. The control is
+ * placed after the radar layout and kept across re-renders, so a slider drag
+ * is not interrupted by the renders it triggers.
+ */
+
+import { editionIndex } from '../processing/edition-history.js';
+import { getD3, radarRoot, scopedId } from './helpers.js';
+
+// d3 event namespace; re-binding replaces the handler of the previous render
+const EVENT_NAMESPACE = 'radar-timeline';
+
+/**
+ * Creates the timeline element.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {Element} Timeline element with slider and date list
+ */
+function createTimelineElement(config) {
+  const timeline = document.createElement('div');
+  timeline.id = scopedId(config, 'timeline');
+  timeline.className = 'radar-timeline';
+  timeline.setAttribute('role', 'group');
+  timeline.setAttribute('aria-label', 'Radar editions');
+
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.className = 'radar-timeline-slider';
+  slider.min = '0';
+  slider.step = '1';
+  slider.setAttribute('aria-label', 'Edition');
+  timeline.appendChild(slider);
+
+  const dates = document.createElement('ol');
+  dates.className = 'radar-timeline-dates';
+  timeline.appendChild(dates);
+
+  return timeline;
+}
+
+/**
+ * Fills the date list with a button per edition.
+ *
+ * @param {Element} list - Date list element
+ * @param {Array<Object>} editions - Editions, oldest first
+ */
+function renderDates(list, editions) {
+  list.innerHTML = '';
+  editions.forEach((edition, index) => {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'radar-timeline-date';
+    button.dataset.edition = String(index);
+    button.textContent = edition.date;
+    item.appendChild(button);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Renders (or updates) the timeline control of a radar.
+ *
+ * @param {Element} layout - Radar layout wrapper; the timeline is placed after it
+ * @param {Object} config - Configuration object (`editions`, `edition`)
+ * @param {Function} onSelect - Called with the index of the edition to show
+ * @returns {Element} Timeline element
+ */
+export function renderTimeline(layout, config, onSelect) {
+  const { editions } = config;
+  const selected = editionIndex(editions, config.edition);
+
+  let timeline = radarRoot(config).getElementById(scopedId(config, 'timeline'));
+  if (!timeline) {
+    timeline = createTimelineElement(config);
+    layout.parentNode.insertBefore(timeline, layout.nextSibling);
+  }
+
+  const slider = timeline.querySelector('.radar-timeline-slider');
+  slider.max = String(editions.length - 1);
+  slider.value = String(selected);
+  slider.setAttribute('aria-valuetext', editions[selected].date);
+
+  const list = timeline.querySelector('.radar-timeline-dates');
+  const dates = editions.map(edition => edition.date).join('\n');
+  if (list.dataset.dates !== dates) {
+    list.dataset.dates = dates;
+    renderDates(list, editions);
+  }
+  list.querySelectorAll('.radar-timeline-date').forEach((button, index) => {
+    if (index === selected) {
+      button.setAttribute('aria-current', 'true');
+    } else {
+      button.removeAttribute('aria-current');
+    }
+  });
+
+  const select = index => {
+    if (index !== selected) {
+      onSelect(index);
+    }
+  };
+  const d3 = getD3();
+  d3.select(slider).on(`input.${EVENT_NAMESPACE}`, () => select(Number(slider.value)));
+  d3.select(list).on(`click.${EVENT_NAMESPACE}`, event => {
+    const button = event.target.closest('.radar-timeline-date');
+    if (button) {
+      select(Number(button.dataset.edition));
+    }
+  });
+
+  return timeline;
+}
+
+/**
+ * Removes the timeline control of a radar, if any.
+ *
+ * @param {Object} config - Configuration object with svg_id
+ */
+export function removeTimeline(config) {
+  radarRoot(config).getElementById(scopedId(config, 'timeline'))?.remove();
+}
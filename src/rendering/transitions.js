@@ -0,0 +1,140 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Transitions Module
+ *
+ * Animates a re-render from what was on screen before. The renderer redraws the
+ * SVG from scratch, so the previous blips are captured by entry key first; after
+ * the new render, blips of known entries tween from their old position and color,
+ * new entries fade in and removed entries fade out from where they were.
+ */
+
+import { entryKey, getD3, translate } from './helpers.js';
+
+const TRANSLATE_PATTERN = /translate\(\s*([-\d.e]+)[,\s]+([-\d.e]+)\s*\)/;
+
+/**
+ * Reads the translation of a `translate(x,y)` transform attribute.
+ *
+ * @param {string|null} transform - Transform attribute value
+ * @returns {{x: number, y: number}|null} Translation, or null if there is none
+ */
+function parseTranslate(transform) {
+  const match = TRANSLATE_PATTERN.exec(transform || '');
+  return match ? { x: Number(match[1]), y: Number(match[2]) } : null;
+}
+
+/**
+ * Returns whether re-renders of this configuration should be animated.
+ * Disabled by `transition_duration: 0` and for users preferring reduced motion.
+ *
+ * @param {Object} config - Configuration object
+ * @returns {boolean} True if transitions are enabled
+ */
+export function transitionsEnabled(config) {
+  if (!(config.transition_duration > 0)) {
+    return false;
+  }
+  const reducedMotion =
+    typeof window !== 'undefined' && window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+  return !reducedMotion;
+}
+
+/**
+ * Captures the blips currently shown in a rink layer, keyed by entry key.
+ * Positions are read from the transform attribute, so a blip caught mid-transition
+ * animates on from where it is.
+ *
+ * @param {Element|null} rinkNode - Rink layer of the previous render
+ * @returns {Map<string, {x: number, y: number, color: string, node: Element}>} Previous blips
+ */
+export function captureBlips(rinkNode) {
+  const d3 = getD3();
+  const blips = new Map();
+  if (!rinkNode) {
+    return blips;
+  }
+
+  d3.select(rinkNode)
+    .selectAll('.blip')
+    .each(function (d) {
+      const position = parseTranslate(this.getAttribute('transform'));
+      if (d && position) {
+        blips.set(entryKey(d), { ...position, color: d.color, node: this });
+      }
+    });
+
+  return blips;
+}
+
+/**
+ * Animates freshly rendered (and settled) blips from their previous state.
+ *
+ * @param {d3.Selection} rinkSelection - D3 selection of the new rink layer
+ * @param {d3.Selection} blipsSelection - D3 selection of the new blip groups
+ * @param {Map} previousBlips - Result of captureBlips() for the previous render
+ * @param {number} duration - Transition duration in milliseconds
+ */
+export function animateBlips(rinkSelection, blipsSelection, previousBlips, duration) {
+  const d3 = getD3();
+  const removed = new Map(previousBlips);
+
+  blipsSelection.each(function (d) {
+    const blip = d3.select(this);
+    const before = removed.get(entryKey(d));
+
+    if (!before) {
+      blip.style('opacity', 0).transition().duration(duration).style('opacity', 1);
+      return;
+    }
+    removed.delete(entryKey(d));
+
+    // Tween the translation numerically; generic SVG transform interpolation needs a full SVG DOM
+    const target = parseTranslate(blip.attr('transform')) || before;
+    const x = d3.interpolateNumber(before.x, target.x);
+    const y = d3.interpolateNumber(before.y, target.y);
+    blip
+      .attr('transform', translate(before.x, before.y))
+      .transition()
+      .duration(duration)
+      .attrTween('transform', () => t => translate(x(t), y(t)));
+
+    // Custom property references can't be interpolated: tween the entry colors, then paint the reference again
+    if (before.color !== d.color) {
+      blip.selectAll('path, circle').each(function () {
+        const shape = d3.select(this);
+        const fill = shape.style('fill');
+        shape
+          .style('fill', before.color)
+          .transition()
+          .duration(duration)
+          .style('fill', d.color)
+          .on('end', () => shape.style('fill', fill));
+      });
+    }
+  });
+
+  // Removed entries fade out where they were; they no longer count as blips
+  for (const { node } of removed.values()) {
+    rinkSelection.node().appendChild(node);
+    d3.select(node)
+      .attr('class', 'blip-exit')
+      .style('pointer-events', 'none')
+      .transition()
+      .duration(duration)
+      .style('opacity', 0)
+      .remove();
+  }
+}
+
+/**
+ * Fades a layer in, e.g. the grid after the number of rings or quadrants changed.
+ *
+ * @param {d3.Selection} selection - D3 selection to fade in
+ * @param {number} duration - Transition duration in milliseconds
+ */
+export function fadeIn(selection, duration) {
+  selection.style('opacity', 0).transition().duration(duration).style('opacity', 1);
+}
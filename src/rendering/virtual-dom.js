@@ -0,0 +1,320 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Virtual DOM Module
+ *
+ * A minimal, serializable element tree that implements the subset of the DOM API
+ * used by d3-selection (append, attr, style, text, html, data/enter, on, each).
+ * It lets the rendering pipeline run in Node/Bun scripts without a browser or
+ * happy-dom, and turns the result into markup via `serialize`.
+ *
+ * Selector support is intentionally small: tag names, `#id` and `.class`
+ * (optionally compounded, e.g. `circle.blip`) matched against descendants.
+ */
+
+export const NAMESPACES = {
+  svg: 'http://www.w3.org/2000/svg',
+  xhtml: 'http://www.w3.org/1999/xhtml',
+  xlink: 'http://www.w3.org/1999/xlink',
+  xml: 'http://www.w3.org/XML/1998/namespace',
+};
+
+const NAMESPACE_PREFIXES = {
+  [NAMESPACES.xlink]: 'xlink',
+  [NAMESPACES.xml]: 'xml',
+};
+
+const VOID_HTML_ELEMENTS = new Set(['br', 'hr', 'img', 'input', 'link', 'meta']);
+
+/**
+ * Escapes text for safe inclusion in markup.
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeMarkup(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Inline style declaration compatible with `CSSStyleDeclaration.setProperty`.
+ */
+class VirtualStyle {
+  constructor() {
+    this.properties = new Map();
+  }
+
+  setProperty(name, value) {
+    if (value === null || value === undefined || value === '') {
+      this.properties.delete(name);
+    } else {
+      this.properties.set(name, String(value));
+    }
+  }
+
+  getPropertyValue(name) {
+    return this.properties.get(name) || '';
+  }
+
+  removeProperty(name) {
+    const previous = this.getPropertyValue(name);
+    this.properties.delete(name);
+    return previous;
+  }
+
+  get cssText() {
+    return Array.from(this.properties, ([name, value]) => `${name}: ${value};`).join(' ');
+  }
+}
+
+/**
+ * Text node holding raw (unescaped) character data.
+ */
+class VirtualText {
+  constructor(ownerDocument, data) {
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.data = String(data);
+  }
+
+  get textContent() {
+    return this.data;
+  }
+}
+
+/**
+ * Element node with attributes, inline styles, children and no-op event listeners.
+ */
+export class VirtualElement {
+  /**
+   * @param {Object} ownerDocument - Owning virtual document
+   * @param {string} namespaceURI - Element namespace
+   * @param {string} tagName - Local tag name
+   */
+  constructor(ownerDocument, namespaceURI, tagName) {
+    this.ownerDocument = ownerDocument;
+    this.namespaceURI = namespaceURI;
+    this.tagName = tagName;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.attributes = new Map();
+    this.style = new VirtualStyle();
+    this.listeners = [];
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node instanceof VirtualElement);
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get id() {
+    return this.getAttribute('id') || '';
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.clearChildren();
+    if (value !== null && value !== undefined && value !== '') {
+      this.appendChild(new VirtualText(this.ownerDocument, value));
+    }
+  }
+
+  /**
+   * Only clearing is supported; markup is never parsed.
+   */
+  set innerHTML(value) {
+    if (value !== '' && value !== null && value !== undefined) {
+      throw new Error('VirtualElement.innerHTML only supports clearing content');
+    }
+    this.clearChildren();
+  }
+
+  get innerHTML() {
+    return this.childNodes.map(serialize).join('');
+  }
+
+  get outerHTML() {
+    return serialize(this);
+  }
+
+  clearChildren() {
+    for (const child of this.childNodes) {
+      child.parentNode = null;
+    }
+    this.childNodes = [];
+  }
+
+  appendChild(child) {
+    return this.insertBefore(child, null);
+  }
+
+  insertBefore(child, reference) {
+    if (child.parentNode) {
+      child.parentNode.removeChild(child);
+    }
+    const index = reference ? this.childNodes.indexOf(reference) : -1;
+    if (index === -1) {
+      this.childNodes.push(child);
+    } else {
+      this.childNodes.splice(index, 0, child);
+    }
+    child.parentNode = this;
+    return child;
+  }
+
+  removeChild(child) {
+    const index = this.childNodes.indexOf(child);
+    if (index !== -1) {
+      this.childNodes.splice(index, 1);
+      child.parentNode = null;
+    }
+    return child;
+  }
+
+  remove() {
+    if (this.parentNode) {
+      this.parentNode.removeChild(this);
+    }
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  setAttributeNS(namespaceURI, name, value) {
+    const prefix = NAMESPACE_PREFIXES[namespaceURI];
+    this.setAttribute(prefix ? `${prefix}:${name}` : name, value);
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  getAttributeNS(namespaceURI, name) {
+    const prefix = NAMESPACE_PREFIXES[namespaceURI];
+    return this.getAttribute(prefix ? `${prefix}:${name}` : name);
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+
+  removeAttributeNS(namespaceURI, name) {
+    const prefix = NAMESPACE_PREFIXES[namespaceURI];
+    this.removeAttribute(prefix ? `${prefix}:${name}` : name);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.push({ type, listener });
+  }
+
+  removeEventListener(type, listener) {
+    this.listeners = this.listeners.filter(entry => entry.type !== type || entry.listener !== listener);
+  }
+
+  matches(selector) {
+    return parseSelector(selector)(this);
+  }
+
+  querySelectorAll(selector) {
+    const matcher = parseSelector(selector);
+    const found = [];
+    const visit = node => {
+      for (const child of node.children) {
+        if (matcher(child)) {
+          found.push(child);
+        }
+        visit(child);
+      }
+    };
+    visit(this);
+    return found;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+/**
+ * Parses a compound selector (`tag`, `#id`, `.class` or combinations of them).
+ *
+ * @param {string} selector - Selector string
+ * @returns {Function} Predicate (element) => boolean
+ */
+function parseSelector(selector) {
+  const trimmed = selector.trim();
+  if (!/^[a-zA-Z*]?[\w-]*(?:[#.][\w-]+)*$/.test(trimmed)) {
+    throw new Error(`Unsupported selector in virtual DOM: "${selector}"`);
+  }
+
+  const tag = trimmed.match(/^[a-zA-Z][\w-]*/)?.[0];
+  const id = trimmed.match(/#([\w-]+)/)?.[1];
+  const classes = Array.from(trimmed.matchAll(/\.([\w-]+)/g), match => match[1]);
+
+  return element => {
+    if (tag && element.tagName !== tag) return false;
+    if (id && element.getAttribute('id') !== id) return false;
+    if (classes.length) {
+      const own = (element.getAttribute('class') || '').split(/\s+/);
+      return classes.every(name => own.includes(name));
+    }
+    return true;
+  };
+}
+
+/**
+ * Creates a virtual document able to host SVG and HTML elements.
+ *
+ * @returns {Object} Virtual document with createElement/createElementNS
+ */
+export function createVirtualDocument() {
+  const document = {
+    createElementNS: (namespaceURI, tagName) => new VirtualElement(document, namespaceURI, tagName),
+    createElement: tagName => new VirtualElement(document, NAMESPACES.xhtml, tagName),
+    createTextNode: data => new VirtualText(document, data),
+  };
+  document.documentElement = document.createElement('html');
+  return document;
+}
+
+/**
+ * Serializes a virtual node (and its subtree) to markup.
+ *
+ * @param {VirtualElement|VirtualText} node - Node to serialize
+ * @returns {string} Markup string
+ */
+export function serialize(node) {
+  if (node instanceof VirtualText) {
+    return escapeMarkup(node.data);
+  }
+
+  const attributes = Array.from(node.attributes);
+  const styleText = node.style.cssText;
+  if (styleText) {
+    attributes.push(['style', styleText]);
+  }
+
+  const attributeText = attributes.map(([name, value]) => ` ${name}="${escapeMarkup(value)}"`).join('');
+  const content = node.childNodes.map(serialize).join('');
+
+  if (!content && node.namespaceURI !== NAMESPACES.xhtml) {
+    return `<${node.tagName}${attributeText}/>`;
+  }
+  if (!content && VOID_HTML_ELEMENTS.has(node.tagName)) {
+    return `<${node.tagName}${attributeText}>`;
+  }
+  return `<${node.tagName}${attributeText}>${content}</${node.tagName}>`;
+}
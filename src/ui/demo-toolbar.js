@@ -186,7 +186,7 @@ export function getToolbarHTML() {
   return `
     <div class="demo-toolbar" role="region" aria-label="JSON configuration tools" style="position: relative;">
       <div class="demo-toolbar__controls">
-        <button type="button" class="demo-toolbar__button demo-toolbar__button--icon" id="jsonImportButton" title="Import JSON Configuration" aria-label="Import JSON">
+        <button type="button" class="demo-toolbar__button demo-toolbar__button--icon" id="jsonImportButton" title="Import Configuration" aria-label="Import configuration">
           <i class="fas fa-file-import"></i>
         </button>
         <button type="button" class="demo-toolbar__button demo-toolbar__button--icon" id="jsonExportButton" title="Export JSON Configuration" aria-label="Export JSON">
@@ -0,0 +1,299 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Tech Radar Element Module
+ *
+ * The <tech-radar> custom element: renders a radar into its own shadow root with
+ * radar.css and d3 bundled, so a page embeds a radar with one tag:
+ *
+ *   <script type="module" src="tech-radar-element.js"></script>
+ *   <tech-radar src="radar.json" edition="2024.2"></tech-radar>
+ *
+ * The configuration comes from `src` (JSON or YAML) or the `config` property;
+ * attributes such as `edition` or `filter-mode` override single keys. Changes
+ * re-render through the radar instance (`element.radar`), whose events are
+ * dispatched as DOM events (`blip-click`, `legend-click`, ...) that bubble out of
+ * the shadow root. Invalid configurations are shown in the error overlay.
+ */
+
+import * as d3 from 'd3';
+import radarStyles from '../../docs/radar.css' with { type: 'text' };
+import radar_visualization from '../index.js';
+import { parseYamlConfig } from '../integration/yaml-io.js';
+import { renderErrorOverlay } from '../rendering/error-overlay.js';
+import { setD3 } from '../rendering/helpers.js';
+
+// The element brings its own d3 unless the page already loads one
+if (!globalThis.d3) {
+  setD3(d3);
+}
+
+// Attribute and the configuration key and value type it sets
+const ATTRIBUTE_OPTIONS = {
+  edition: ['edition', 'edition'],
+  'filter-mode': ['filter_mode', 'string'],
+  'error-mode': ['error_mode', 'string'],
+  numbering: ['numbering', 'string'],
+  theme: ['theme', 'string'],
+  'color-scheme': ['color_scheme', 'string'],
+  width: ['width', 'number'],
+  height: ['height', 'number'],
+  scale: ['scale', 'number'],
+  seed: ['seed', 'number'],
+  'zoomed-quadrant': ['zoomed_quadrant', 'number'],
+  'transition-duration': ['transition_duration', 'number'],
+  'print-layout': ['print_layout', 'boolean'],
+  'links-in-new-tabs': ['links_in_new_tabs', 'boolean'],
+  'detail-panel': ['detail_panel', 'boolean'],
+  timeline: ['timeline', 'boolean'],
+};
+
+// Instance event and the DOM event it is dispatched as
+const DOM_EVENTS = {
+  blipClick: 'blip-click',
+  blipHover: 'blip-hover',
+  legendClick: 'legend-click',
+  render: 'render',
+  renderError: 'render-error',
+  configChange: 'config-change',
+  filterChange: 'filter-change',
+};
+
+const HOST_STYLES = ':host { display: block; } :host([hidden]) { display: none; }\n';
+
+const YAML_URL_PATTERN = /\.ya?ml(?:[?#].*)?$/i;
+
+// Elements created so far; numbers the SVG ids, which the renderers scope element ids with
+let elementCount = 0;
+
+/**
+ * Converts an attribute value to a configuration value.
+ *
+ * @param {string} value - Attribute value
+ * @param {string} type - 'string', 'number', 'boolean' or 'edition'
+ * @returns {string|number|boolean} Configuration value
+ */
+function parseAttribute(value, type) {
+  switch (type) {
+    case 'number':
+      return Number(value);
+    case 'boolean':
+      return value !== 'false';
+    case 'edition':
+      // Digits select an edition by index, anything else by date
+      return /^\d+$/.test(value) ? Number(value) : value;
+    default:
+      return value;
+  }
+}
+
+// Outside the browser (e.g. server-side rendering of a page) the class is never instantiated
+const BaseElement = globalThis.HTMLElement ?? class {};
+
+/**
+ * The <tech-radar> custom element.
+ */
+export class TechRadarElement extends BaseElement {
+  static get observedAttributes() {
+    return ['src', ...Object.keys(ATTRIBUTE_OPTIONS)];
+  }
+
+  #config = null;
+  #applied = null;
+  #radar = null;
+  #svgId;
+  #loads = 0;
+  #loaded = Promise.resolve();
+
+  constructor() {
+    super();
+    elementCount += 1;
+    this.#svgId = `tech-radar-${elementCount}`;
+
+    const root = this.attachShadow({ mode: 'open' });
+    const style = document.createElement('style');
+    style.textContent = `${HOST_STYLES}${radarStyles}`;
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    svg.id = this.#svgId;
+    root.append(style, svg);
+  }
+
+  /**
+   * Radar configuration (without the attribute overrides); setting it re-renders.
+   * @type {Object|null}
+   */
+  get config() {
+    return this.#config;
+  }
+
+  set config(config) {
+    this.#config = config;
+    this.#update();
+  }
+
+  /**
+   * Radar instance (see radar_visualization), e.g. for filter() or addEntry(); null until rendered.
+   * @type {Object|null}
+   */
+  get radar() {
+    return this.#radar;
+  }
+
+  /**
+   * Settles when the configuration of the current `src` is loaded and rendered.
+   * @type {Promise<void>}
+   */
+  get loaded() {
+    return this.#loaded;
+  }
+
+  connectedCallback() {
+    if (this.hasAttribute('src') && !this.#config) {
+      this.#load();
+    } else {
+      this.#update();
+    }
+  }
+
+  disconnectedCallback() {
+    this.#radar?.destroy();
+    this.#radar = null;
+    this.#applied = null;
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if (!this.isConnected || oldValue === value) {
+      return;
+    }
+    if (name === 'src') {
+      this.#load();
+    } else {
+      this.#update();
+    }
+  }
+
+  /**
+   * Loads the configuration from `src`. Responses of outdated sources are ignored.
+   */
+  #load() {
+    const src = this.getAttribute('src');
+    const load = ++this.#loads;
+    this.#loaded = (async () => {
+      try {
+        const response = await fetch(src);
+        if (!response.ok) {
+          throw new Error(`Cannot load ${src}: ${response.status} ${response.statusText}`.trim());
+        }
+        const text = await response.text();
+        const config = YAML_URL_PATTERN.test(src) ? parseYamlConfig(text) : JSON.parse(text);
+        if (load === this.#loads) {
+          this.config = config;
+        }
+      } catch (error) {
+        if (load === this.#loads) {
+          this.#showErrors([error]);
+        }
+      }
+    })();
+  }
+
+  /**
+   * Returns the configuration to render: the element's configuration with the
+   * attribute overrides, rendered into the shadow root.
+   *
+   * @returns {Object} Radar configuration
+   */
+  #radarConfig() {
+    const overrides = {};
+    for (const [attribute, [key, type]] of Object.entries(ATTRIBUTE_OPTIONS)) {
+      if (this.hasAttribute(attribute)) {
+        overrides[key] = parseAttribute(this.getAttribute(attribute), type);
+      }
+    }
+    return {
+      error_mode: 'overlay',
+      ...this.#config,
+      ...overrides,
+      svg: undefined,
+      svg_id: this.#svgId,
+      root: this.shadowRoot,
+    };
+  }
+
+  /**
+   * Renders the current configuration: through the instance's render() when the
+   * radar exists, with a new instance when keys were removed (render() merges).
+   */
+  #update() {
+    if (!this.isConnected || !this.#config) {
+      return;
+    }
+    const config = this.#radarConfig();
+    const removed = this.#applied && Object.keys(this.#applied).some(key => !(key in config));
+    this.#applied = config;
+
+    if (this.#radar && !removed) {
+      this.#radar.render(config);
+      return;
+    }
+    this.#radar?.destroy();
+    this.#radar = radar_visualization(config);
+    for (const [name, type] of Object.entries(DOM_EVENTS)) {
+      this.#radar.on(name, detail => this.#dispatch(type, detail));
+    }
+
+    // The initial render happens before the events are subscribed
+    const { valid, errors } = this.#radar.validate();
+    if (valid) {
+      this.#dispatch('render', {
+        config: this.#radar.getConfig(),
+        element: this.shadowRoot.getElementById(this.#svgId),
+      });
+    } else {
+      this.#dispatch('render-error', { config: this.#radar.getConfig(), errors });
+    }
+  }
+
+  /**
+   * Shows errors that keep the radar from rendering, e.g. a failed `src` request.
+   *
+   * @param {Array<Error>} errors - Errors
+   */
+  #showErrors(errors) {
+    this.#radar?.destroy();
+    this.#radar = null;
+    this.#applied = null;
+    renderErrorOverlay({ svg_id: this.#svgId, root: this.shadowRoot }, errors);
+    this.#dispatch('render-error', { config: this.#config, errors });
+  }
+
+  /**
+   * Dispatches a DOM event that bubbles out of the shadow root.
+   *
+   * @param {string} type - Event type
+   * @param {Object} detail - Event detail
+   */
+  #dispatch(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true, composed: true }));
+  }
+}
+
+/**
+ * Registers the radar element under a tag name (once per name).
+ *
+ * @param {string} [name='tech-radar'] - Custom element name
+ * @returns {Function} The element class registered under the name
+ */
+export function defineTechRadarElement(name = 'tech-radar') {
+  if (!customElements.get(name)) {
+    // A subclass per name, as a class can only be registered once
+    customElements.define(name, class extends TechRadarElement {});
+  }
+  return customElements.get(name);
+}
+
+if (globalThis.customElements) {
+  defineTechRadarElement();
+}
@@ -0,0 +1,182 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Config Schema Module
+ *
+ * JSON Schema of the radar configuration: every configuration key, quadrant,
+ * ring and entry field. The validator checks configurations against it (see
+ * schema-validator.js); the build publishes it as docs/tech-radar.schema.json
+ * for editors and CI checks of radar files.
+ *
+ * The schema describes the shape of a configuration. Rules that depend on other
+ * values (entry indexes within the quadrant and ring counts, unique keys,
+ * references by name) are checked by config-validator.js.
+ */
+
+import { COLOR_SCHEMES, THEME_NAMES, THEMES } from '../config/themes.js';
+import { FILTER_MODES } from '../rendering/filter-renderer.js';
+
+const reference = {
+  description: 'Index, name or id',
+  type: ['integer', 'string'],
+};
+
+const entry = {
+  type: 'object',
+  required: ['label', 'quadrant', 'ring'],
+  properties: {
+    label: { type: 'string', minLength: 1, description: 'Name shown in the legend and tooltip' },
+    quadrant: { ...reference, description: 'Quadrant: index, name or id' },
+    ring: { ...reference, description: 'Ring: index, name or id' },
+    moved: {
+      type: 'integer',
+      description: 'Movement since the previous edition: -1 out, 0 none, 1 in, 2 new',
+    },
+    active: { type: 'boolean', description: 'Inactive entries are drawn in the inactive color' },
+    link: { type: 'string', description: 'Page opened when the entry is clicked' },
+    key: { type: ['string', 'number'], description: 'Stable identifier, kept across renames' },
+    id: { type: ['string', 'number'], description: 'Stable identifier, used when there is no key' },
+    number: { type: ['integer', 'string'], description: 'Display number with explicit numbering' },
+    description: { type: 'string' },
+    owner: { type: 'string' },
+    since: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+const entries = { type: 'array', items: { $ref: '#/$defs/entry' } };
+
+const quadrant = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+    id: { type: ['string', 'number'], description: 'Stable id entries can reference' },
+  },
+};
+
+const ring = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    name: { type: 'string' },
+    id: { type: ['string', 'number'], description: 'Stable id entries can reference' },
+    color: { type: 'string', description: 'Color of the ring name and its blips' },
+    description: { type: 'string', description: 'Shown in the ring descriptions table' },
+  },
+};
+
+const offset = {
+  type: 'object',
+  properties: { x: { type: 'number' }, y: { type: 'number' } },
+};
+
+const nonNegative = { type: 'number', minimum: 0 };
+
+const color = { type: 'string' };
+
+const theme = {
+  description: `Theme preset (${THEME_NAMES.join(', ')}), or an object with a preset and the values to override`,
+  anyOf: [
+    { type: 'string', enum: THEME_NAMES },
+    {
+      type: 'object',
+      properties: {
+        preset: { enum: THEME_NAMES },
+        ...Object.fromEntries(Object.keys(THEMES.light).map(key => [key, color])),
+        color_scheme: { enum: ['light', 'dark'], description: 'Color scheme the theme is made for' },
+        title_font_size: { type: 'number', exclusiveMinimum: 0 },
+        ring_colors: { type: 'array', minItems: 1, items: color, description: 'Replace the ring colors' },
+      },
+    },
+  ],
+};
+
+/**
+ * JSON Schema (draft 2020-12) of the radar configuration.
+ */
+export const CONFIG_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Tech Radar configuration',
+  type: 'object',
+  required: ['quadrants', 'rings'],
+  properties: {
+    svg_id: { type: 'string', description: 'Id of the SVG element to render into' },
+    svg: { type: 'string', description: 'Alias of svg_id' },
+    width: { type: 'number', exclusiveMinimum: 0 },
+    height: { type: 'number', exclusiveMinimum: 0 },
+    width_override: { type: 'boolean', description: 'Keep the width for complex grids' },
+    height_override: { type: 'boolean', description: 'Keep the height for complex grids' },
+    scale: { type: 'number', exclusiveMinimum: 0 },
+    title: { type: 'string' },
+    date: { type: 'string' },
+    footer: { type: 'string' },
+    font_family: { type: 'string' },
+    repo_url: { type: 'string' },
+    theme,
+    color_scheme: {
+      enum: COLOR_SCHEMES,
+      description: 'Show the dark variant of the theme: light (never), dark (always) or auto (with the system)',
+    },
+    colors: {
+      type: 'object',
+      description: 'Override the background, grid and inactive colors of the theme',
+      properties: {
+        background: { type: 'string' },
+        grid: { type: 'string' },
+        inactive: { type: 'string' },
+      },
+    },
+    quadrants: { type: 'array', minItems: 2, maxItems: 8, items: { $ref: '#/$defs/quadrant' } },
+    rings: { type: 'array', minItems: 4, maxItems: 8, items: { $ref: '#/$defs/ring' } },
+    entries,
+    print_layout: { type: 'boolean' },
+    links_in_new_tabs: { type: 'boolean' },
+    print_ring_descriptions_table: { type: 'boolean' },
+    legend_column_width: nonNegative,
+    legend_line_height: nonNegative,
+    legend_vertical_spacing: nonNegative,
+    segment_radial_padding: nonNegative,
+    segment_angular_padding: nonNegative,
+    chart_padding: nonNegative,
+    blip_collision_radius: nonNegative,
+    radar_horizontal_offset: { type: 'number' },
+    title_offset: offset,
+    footer_offset: offset,
+    legend_offset: { type: 'array', items: offset },
+    zoomed_quadrant: { type: 'integer', minimum: 0 },
+    debug_geometry: { type: 'boolean' },
+    seed: { type: 'number' },
+    transition_duration: nonNegative,
+    numbering: { enum: ['alphabetical', 'insertion', 'explicit'] },
+    detail_panel: { type: 'boolean' },
+    detail_template: {
+      description: 'Detail panel template: a string, or a function in code',
+      anyOf: [{ type: 'string' }, { instanceof: 'Function' }],
+    },
+    filter_mode: { enum: FILTER_MODES },
+    error_mode: { enum: ['throw', 'overlay'], description: 'Throw invalid configurations, or show an error overlay' },
+    previous: {
+      type: 'object',
+      description: 'Previous edition that moved statuses are derived from',
+      required: ['entries'],
+      properties: { rings: { type: 'array', items: { $ref: '#/$defs/ring' } }, entries },
+    },
+    editions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['date', 'entries'],
+        properties: { date: { type: 'string', minLength: 1 }, entries },
+      },
+    },
+    edition: { type: ['integer', 'string'], description: 'Shown edition: index or date' },
+    timeline: { type: 'boolean' },
+    plugins: { type: 'object', description: 'Plugin name to plugin configuration' },
+    demoSlug: { type: 'string', description: 'Prefix of exported file names' },
+  },
+  $defs: { entry, quadrant, ring },
+};
@@ -20,6 +20,12 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 
+import { editionIndex } from '../processing/edition-history.js';
+import { resolveReference } from '../processing/entry-references.js';
+import { CONFIG_SCHEMA } from './config-schema.js';
+import { collectWarnings } from './config-warnings.js';
+import { validateSchema } from './schema-validator.js';
+
 /**
  * Custom error class for configuration validation errors.
  * Provides structured error information for debugging.
@@ -30,12 +36,22 @@ export class ConfigValidationError extends Error {
    * @param {string} message - The error message
    * @param {string} field - The field that failed validation
    * @param {*} value - The invalid value
+   * @param {'error'|'warning'} [severity='error'] - Warnings don't stop rendering
    */
-  constructor(message, field, value) {
+  constructor(message, field, value, severity = 'error') {
     super(message);
     this.name = 'ConfigValidationError';
     this.field = field;
     this.value = value;
+    this.severity = severity;
+  }
+
+  /**
+   * Returns the problem as plain data, e.g. for JSON reports.
+   * @returns {{severity: string, field: string, message: string}} Problem description
+   */
+  toJSON() {
+    return { severity: this.severity, field: this.field, message: this.message };
   }
 }
 
@@ -48,56 +64,7 @@ export class ConfigValidationError extends Error {
  * @returns {boolean} True if validation passes
  */
 export function validateConfig(config) {
-  const errors = [];
-
-  // Validate quadrants
-  if (!config.quadrants || config.quadrants.length < 2 || config.quadrants.length > 8) {
-    errors.push(
-      new ConfigValidationError(
-        `Number of quadrants must be between 2 and 8 (found: ${config.quadrants?.length || 0})`,
-        'quadrants',
-        config.quadrants?.length
-      )
-    );
-  }
-
-  // Validate rings
-  if (!config.rings || config.rings.length < 4 || config.rings.length > 8) {
-    errors.push(
-      new ConfigValidationError(
-        `Number of rings must be between 4 and 8 (found: ${config.rings?.length || 0})`,
-        'rings',
-        config.rings?.length
-      )
-    );
-  }
-
-  // Validate entries if they exist
-  if (config.entries && config.quadrants && config.rings) {
-    config.entries.forEach((entry, index) => {
-      // Validate quadrant index
-      if (entry.quadrant < 0 || entry.quadrant >= config.quadrants.length) {
-        errors.push(
-          new ConfigValidationError(
-            `Entry '${entry.label}' has invalid quadrant: ${entry.quadrant} (must be 0-${config.quadrants.length - 1})`,
-            `entries[${index}].quadrant`,
-            entry.quadrant
-          )
-        );
-      }
-
-      // Validate ring index
-      if (entry.ring < 0 || entry.ring >= config.rings.length) {
-        errors.push(
-          new ConfigValidationError(
-            `Entry '${entry.label}' has invalid ring: ${entry.ring} (must be 0-${config.rings.length - 1})`,
-            `entries[${index}].ring`,
-            entry.ring
-          )
-        );
-      }
-    });
-  }
+  const errors = validateConfigAll(config);
 
   // Throw first error for backward compatibility with original implementation
   if (errors.length > 0) {
@@ -115,56 +82,200 @@ export function validateConfig(config) {
  * @returns {Array<ConfigValidationError>} Array of validation errors (empty if valid)
  */
 export function validateConfigAll(config) {
-  const errors = [];
+  // Validate the shape of the configuration against the JSON Schema
+  const errors = validateSchema(config, CONFIG_SCHEMA).map(
+    problem => new ConfigValidationError(problem.message, problem.path, problem.value)
+  );
 
-  // Validate quadrants
-  if (!config.quadrants || config.quadrants.length < 2 || config.quadrants.length > 8) {
-    errors.push(
-      new ConfigValidationError(
-        `Number of quadrants must be between 2 and 8 (found: ${config.quadrants?.length || 0})`,
-        'quadrants',
-        config.quadrants?.length
-      )
-    );
-  }
+  // Validate entry quadrant and ring indexes
+  errors.push(...validateEntryIndexes(config));
+
+  // Validate quadrant and ring references by name or id
+  errors.push(...validateEntryReferences(config));
+
+  // Validate explicit display numbers and stable entry keys
+  errors.push(...validateEntryIdentity(config));
 
-  // Validate rings
-  if (!config.rings || config.rings.length < 4 || config.rings.length > 8) {
-    errors.push(
-      new ConfigValidationError(
-        `Number of rings must be between 4 and 8 (found: ${config.rings?.length || 0})`,
-        'rings',
-        config.rings?.length
-      )
-    );
+  // Validate the edition dates and the selected edition
+  errors.push(...validateEditions(config));
+
+  return errors;
+}
+
+/**
+ * Validates the configuration and reports errors and warnings. Warnings point
+ * out configurations that render, but probably not as intended: duplicate
+ * labels, rings without color, unknown moved values, links that are not
+ * http(s), and empty or overcrowded segments.
+ *
+ * @param {Object} config - The configuration to validate
+ * @returns {{valid: boolean, errors: Array<ConfigValidationError>, warnings: Array<ConfigValidationError>}}
+ *   Validation report; `valid` is true when there are no errors
+ */
+export function validateConfigReport(config) {
+  const errors = validateConfigAll(config);
+  const warnings = collectWarnings(config);
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Validates the quadrant and ring indexes of entries.
+ *
+ * @param {Object} config - The configuration to validate
+ * @returns {Array<ConfigValidationError>} Validation errors
+ */
+function validateEntryIndexes(config) {
+  const errors = [];
+  if (!config.entries || !config.quadrants || !config.rings) {
+    return errors;
   }
 
-  // Validate entries if they exist
-  if (config.entries && config.quadrants && config.rings) {
-    config.entries.forEach((entry, index) => {
-      // Validate quadrant index
-      if (entry.quadrant < 0 || entry.quadrant >= config.quadrants.length) {
+  config.entries.forEach((entry, index) => {
+    // Validate quadrant index
+    if (entry.quadrant < 0 || entry.quadrant >= config.quadrants.length) {
+      errors.push(
+        new ConfigValidationError(
+          `Entry '${entry.label}' has invalid quadrant: ${entry.quadrant} (must be 0-${config.quadrants.length - 1})`,
+          `entries[${index}].quadrant`,
+          entry.quadrant
+        )
+      );
+    }
+
+    // Validate ring index
+    if (entry.ring < 0 || entry.ring >= config.rings.length) {
+      errors.push(
+        new ConfigValidationError(
+          `Entry '${entry.label}' has invalid ring: ${entry.ring} (must be 0-${config.rings.length - 1})`,
+          `entries[${index}].ring`,
+          entry.ring
+        )
+      );
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates references to quadrants and rings by name or id: ids must be unique,
+ * and entries must not reference unknown quadrants or rings.
+ *
+ * @param {Object} config - The configuration to validate
+ * @returns {Array<ConfigValidationError>} Validation errors
+ */
+function validateEntryReferences(config) {
+  const errors = [];
+  const kinds = [
+    ['quadrant', config.quadrants],
+    ['ring', config.rings],
+  ];
+
+  for (const [kind, items] of kinds) {
+    const ids = new Set();
+    (Array.isArray(items) ? items : []).forEach((item, index) => {
+      if (item?.id === undefined) {
+        return;
+      }
+      if (ids.has(String(item.id))) {
+        errors.push(new ConfigValidationError(`Duplicate ${kind} id: "${item.id}"`, `${kind}s[${index}].id`, item.id));
+      }
+      ids.add(String(item.id));
+    });
+
+    (config.entries || []).forEach((entry, index) => {
+      const reference = entry[kind];
+      if (typeof reference === 'string' && resolveReference(items, reference) === -1) {
         errors.push(
           new ConfigValidationError(
-            `Entry '${entry.label}' has invalid quadrant: ${entry.quadrant} (must be 0-${config.quadrants.length - 1})`,
-            `entries[${index}].quadrant`,
-            entry.quadrant
+            `Entry '${entry.label}' references unknown ${kind}: "${reference}"`,
+            `entries[${index}].${kind}`,
+            reference
           )
         );
       }
+    });
+  }
 
-      // Validate ring index
-      if (entry.ring < 0 || entry.ring >= config.rings.length) {
+  return errors;
+}
+
+/**
+ * Validates explicit display numbers and stable entry keys.
+ *
+ * @param {Object} config - The configuration to validate
+ * @returns {Array<ConfigValidationError>} Validation errors
+ */
+function validateEntryIdentity(config) {
+  const errors = [];
+  const keys = new Set();
+  const numbers = new Set();
+  (config.entries || []).forEach((entry, index) => {
+    const key = entry.key ?? entry.id;
+    if (key !== undefined) {
+      if (keys.has(key)) {
+        errors.push(new ConfigValidationError(`Duplicate entry key: "${key}"`, `entries[${index}].key`, key));
+      }
+      keys.add(key);
+    }
+
+    if (config.numbering === 'explicit') {
+      const number = Number(entry.number);
+      if (!Number.isInteger(number) || number < 1) {
         errors.push(
           new ConfigValidationError(
-            `Entry '${entry.label}' has invalid ring: ${entry.ring} (must be 0-${config.rings.length - 1})`,
-            `entries[${index}].ring`,
-            entry.ring
+            `Entry '${entry.label}' needs a positive integer number with explicit numbering (found: ${entry.number})`,
+            `entries[${index}].number`,
+            entry.number
+          )
+        );
+      } else if (numbers.has(number)) {
+        errors.push(
+          new ConfigValidationError(
+            `Entry '${entry.label}' has duplicate number: ${entry.number}`,
+            `entries[${index}].number`,
+            entry.number
           )
         );
       }
-    });
+      numbers.add(number);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates that edition dates are unique and that the selected edition
+ * (`edition`) exists. The shape of `editions` is checked by the schema.
+ *
+ * @param {Object} config - The configuration to validate
+ * @returns {Array<ConfigValidationError>} Validation errors
+ */
+function validateEditions(config) {
+  const { editions, edition } = config;
+  const isEdition = candidate => typeof candidate?.date === 'string' && Array.isArray(candidate.entries);
+  if (!Array.isArray(editions) || editions.length === 0 || !editions.every(isEdition)) {
+    return [];
   }
 
+  const errors = [];
+  const dates = new Set();
+  editions.forEach((candidate, index) => {
+    if (dates.has(candidate.date)) {
+      errors.push(
+        new ConfigValidationError(
+          `Duplicate edition date: "${candidate.date}"`,
+          `editions[${index}].date`,
+          candidate.date
+        )
+      );
+    }
+    dates.add(candidate.date);
+  });
+
+  if (errors.length === 0 && editionIndex(editions, edition) === -1) {
+    errors.push(new ConfigValidationError(`Unknown edition: ${edition}`, 'edition', edition));
+  }
   return errors;
 }
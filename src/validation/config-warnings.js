@@ -0,0 +1,156 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Config Warnings Module
+ *
+ * Finds problems that don't stop a radar from rendering, but probably make it
+ * render differently than intended. Warnings are reported by
+ * validateConfigReport() (see config-validator.js) next to the errors.
+ */
+
+import { generateRings } from '../geometry/ring-calculator.js';
+import { resolveReference } from '../processing/entry-references.js';
+import { ConfigValidationError } from './config-validator.js';
+
+const MOVED_VALUES = [-1, 0, 1, 2];
+
+// Links with a scheme other than these are reported; relative links are fine
+const LINK_SCHEMES = ['http:', 'https:'];
+
+// Ring radii the capacity estimate is based on (the layout scales them with the radar)
+const REFERENCE_OUTER_RADIUS = 400;
+
+const DEFAULT_COLLISION_RADIUS = 14;
+
+/**
+ * Creates a warning.
+ *
+ * @param {string} message - Warning message
+ * @param {string} field - Field the warning is about
+ * @param {*} value - The questionable value
+ * @returns {ConfigValidationError} Warning
+ */
+function warning(message, field, value) {
+  return new ConfigValidationError(message, field, value, 'warning');
+}
+
+/**
+ * Estimates how many blips fit into each ring of a quadrant without overlapping.
+ *
+ * @param {Object} config - Configuration with quadrants, rings and blip_collision_radius
+ * @returns {Array<number>} Capacity of a segment, per ring
+ */
+export function segmentCapacities(config) {
+  const rings = generateRings(config.rings.length, REFERENCE_OUTER_RADIUS);
+  const angle = (2 * Math.PI) / config.quadrants.length;
+  const blipSize = (2 * (config.blip_collision_radius ?? DEFAULT_COLLISION_RADIUS)) ** 2;
+
+  return rings.map((ring, index) => {
+    const inner = index === 0 ? 0 : rings[index - 1].radius;
+    const area = (angle / 2) * (ring.radius ** 2 - inner ** 2);
+    return Math.max(1, Math.floor(area / blipSize));
+  });
+}
+
+/**
+ * Reports duplicate labels, unknown moved values and links that are not http(s).
+ *
+ * @param {Array<Object>} entries - Entries
+ * @returns {Array<ConfigValidationError>} Warnings
+ */
+function entryWarnings(entries) {
+  const warnings = [];
+  const labels = new Set();
+
+  entries.forEach((entry, index) => {
+    if (labels.has(entry.label)) {
+      warnings.push(warning(`Duplicate entry label: "${entry.label}"`, `entries[${index}].label`, entry.label));
+    }
+    labels.add(entry.label);
+
+    if (entry.moved !== undefined && !MOVED_VALUES.includes(entry.moved)) {
+      warnings.push(
+        warning(
+          `Entry '${entry.label}' has invalid moved value: ${entry.moved} (expected -1, 0, 1 or 2)`,
+          `entries[${index}].moved`,
+          entry.moved
+        )
+      );
+    }
+
+    const scheme = typeof entry.link === 'string' ? entry.link.match(/^([a-z][a-z0-9+.-]*:)/i)?.[1] : undefined;
+    if (scheme && !LINK_SCHEMES.includes(scheme.toLowerCase())) {
+      warnings.push(
+        warning(`Entry '${entry.label}' links to a non-http URL: ${entry.link}`, `entries[${index}].link`, entry.link)
+      );
+    }
+  });
+
+  return warnings;
+}
+
+/**
+ * Reports empty segments and segments with more entries than fit.
+ *
+ * @param {Object} config - Configuration with quadrants, rings and entries
+ * @returns {Array<ConfigValidationError>} Warnings
+ */
+function segmentWarnings(config) {
+  const { quadrants, rings, entries } = config;
+  const counts = quadrants.map(() => rings.map(() => 0));
+  for (const entry of entries) {
+    const quadrant = resolveReference(quadrants, entry.quadrant);
+    const ring = resolveReference(rings, entry.ring);
+    if (counts[quadrant]?.[ring] !== undefined) {
+      counts[quadrant][ring]++;
+    }
+  }
+
+  const capacities = segmentCapacities(config);
+  const warnings = [];
+  counts.forEach((ringCounts, quadrant) => {
+    ringCounts.forEach((count, ring) => {
+      const segment = `${quadrants[quadrant].name} / ${rings[ring].name}`;
+      if (count === 0) {
+        warnings.push(warning(`Segment ${segment} has no entries`, 'entries', { quadrant, ring, count }));
+      } else if (count > capacities[ring]) {
+        warnings.push(
+          warning(`Segment ${segment} is overcrowded: ${count} entries, about ${capacities[ring]} fit`, 'entries', {
+            quadrant,
+            ring,
+            count,
+          })
+        );
+      }
+    });
+  });
+  return warnings;
+}
+
+/**
+ * Collects the warnings of a configuration.
+ *
+ * @param {Object} config - Radar configuration
+ * @returns {Array<ConfigValidationError>} Warnings (severity 'warning')
+ */
+export function collectWarnings(config) {
+  const warnings = [];
+  const entries = Array.isArray(config.entries) ? config.entries : [];
+  const rings = Array.isArray(config.rings) ? config.rings : [];
+
+  rings.forEach((ring, index) => {
+    if (ring && !ring.color) {
+      warnings.push(warning(`Ring '${ring.name}' has no color`, `rings[${index}].color`, ring.color));
+    }
+  });
+
+  warnings.push(...entryWarnings(entries));
+
+  // Segments are only meaningful for a radar with entries and a valid grid
+  if (entries.length > 0 && Array.isArray(config.quadrants) && rings.length >= 4 && config.quadrants.length >= 2) {
+    warnings.push(...segmentWarnings(config));
+  }
+  return warnings;
+}
@@ -0,0 +1,259 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+/**
+ * Schema Validator Module
+ *
+ * Checks values against the subset of JSON Schema used by config-schema.js:
+ * type, enum, minimum, exclusiveMinimum, maximum, minLength, minItems,
+ * maxItems, items, properties, required, anyOf and local $ref, plus
+ * `instanceof: 'Function'` for options that code may pass as callbacks.
+ * Unknown keywords are ignored, and so are properties the schema does not
+ * describe. Properties set to null count as unset; NaN and infinite numbers
+ * are no numbers, as in JSON.
+ */
+
+/**
+ * Returns the JSON Schema type of a value.
+ *
+ * @param {*} value - Value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'non-finite', 'string', 'boolean', 'object',
+ *   'function' or 'undefined'
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : Number.isFinite(value) ? 'number' : 'non-finite';
+  }
+  return typeof value;
+}
+
+/**
+ * Returns whether a value has one of the types of a schema.
+ *
+ * @param {*} value - Value
+ * @param {string|Array<string>} types - Allowed types
+ * @returns {boolean} True if the value matches
+ */
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Resolves a local reference (`#/$defs/name`).
+ *
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference
+ * @returns {Object} Referenced schema
+ */
+function resolveRef(root, ref) {
+  return ref
+    .replace(/^#\//, '')
+    .split('/')
+    .reduce((schema, key) => schema?.[key], root);
+}
+
+/**
+ * Formats a value for an error message.
+ *
+ * @param {*} value - Value
+ * @returns {string} Short representation
+ */
+function formatValue(value) {
+  const text =
+    typeof value === 'string' ? `"${value}"` : typeof value === 'number' ? String(value) : JSON.stringify(value);
+  return text === undefined ? String(value) : text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+// Bound keywords: the type they apply to, when a value violates them and the message
+const BOUNDS = [
+  ['number', 'minimum', (value, bound) => value < bound, bound => `must be at least ${bound}`],
+  ['number', 'exclusiveMinimum', (value, bound) => value <= bound, bound => `must be greater than ${bound}`],
+  ['number', 'maximum', (value, bound) => value > bound, bound => `must be at most ${bound}`],
+  ['string', 'minLength', (value, bound) => value.length < bound, () => 'must not be empty'],
+  [
+    'array',
+    'minItems',
+    (value, bound) => value.length < bound,
+    (bound, value) => `must have at least ${bound} ${bound === 1 ? 'item' : 'items'} (found: ${value.length})`,
+  ],
+  [
+    'array',
+    'maxItems',
+    (value, bound) => value.length > bound,
+    (bound, value) => `must have at most ${bound} items (found: ${value.length})`,
+  ],
+];
+
+/**
+ * Checks the item count of an array whose schema has both `minItems` and
+ * `maxItems`. Such counts are reported as a range, and a missing array
+ * counts as empty.
+ *
+ * @param {number} count - Number of items
+ * @param {Object} schema - Resolved schema of the array
+ * @param {string} path - Path of the array
+ * @returns {{path: string, message: string, value: number}|null} Problem, or null
+ */
+function checkCountRange(count, schema, path) {
+  const { minItems, maxItems } = schema;
+  if (minItems === undefined || maxItems === undefined || (count >= minItems && count <= maxItems)) {
+    return null;
+  }
+  return {
+    path,
+    message: `Number of ${path} must be between ${minItems} and ${maxItems} (found: ${count})`,
+    value: count,
+  };
+}
+
+/**
+ * Checks the number, string and array bounds of a schema.
+ *
+ * @param {*} value - Value
+ * @param {Object} schema - Schema
+ * @returns {string|null} Error message, or null
+ */
+function checkBounds(value, schema) {
+  const violated = BOUNDS.find(
+    ([type, keyword, violates]) =>
+      schema[keyword] !== undefined && matchesType(value, type) && violates(value, schema[keyword])
+  );
+  return violated ? violated[3](schema[violated[1]], value) : null;
+}
+
+/**
+ * Checks the type, `instanceof` and enum of a schema.
+ *
+ * @param {*} value - Value
+ * @param {Object} schema - Schema
+ * @returns {string|null} Error message, or null
+ */
+function checkKind(value, schema) {
+  const found = `(found: ${formatValue(value)})`;
+  if (schema.type && !matchesType(value, schema.type)) {
+    return `must be ${[].concat(schema.type).join(' or ')} ${found}`;
+  }
+  if (schema.instanceof === 'Function' && typeof value !== 'function') {
+    return `must be a function ${found}`;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of ${schema.enum.join(', ')} ${found}`;
+  }
+  return null;
+}
+
+/**
+ * Describes the types an `anyOf` accepts.
+ *
+ * @param {Array<Object>} alternatives - Alternative schemas
+ * @returns {string} E.g. 'string or function'
+ */
+function alternativeTypes(alternatives) {
+  return alternatives
+    .flatMap(alternative => alternative.type ?? String(alternative.instanceof).toLowerCase())
+    .join(' or ');
+}
+
+/**
+ * Picks the alternative of an `anyOf` that applies to a value: the first one
+ * whose type (or `instanceof`) matches it.
+ *
+ * @param {*} value - Value
+ * @param {Array<Object>} alternatives - Alternative schemas
+ * @returns {Object|undefined} Matching alternative
+ */
+function pickAlternative(value, alternatives) {
+  return alternatives.find(alternative =>
+    alternative.type
+      ? matchesType(value, alternative.type)
+      : alternative.instanceof === 'Function' && typeof value === 'function'
+  );
+}
+
+/**
+ * Validates the items of an array or the properties of an object.
+ *
+ * @param {*} value - Array or object
+ * @param {Object} schema - Resolved schema of the value
+ * @param {string} path - Path of the value
+ * @param {Object} root - Root schema
+ * @returns {Array<{path: string, message: string, value: *}>} Problems found
+ */
+function validateChildren(value, schema, path, root) {
+  const problems = [];
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      problems.push(...validateSchema(item, schema.items, { path: `${path}[${index}]`, root }));
+    });
+  }
+  if (typeOf(value) !== 'object') {
+    return problems;
+  }
+
+  const prefix = path ? `${path}.` : '';
+  const isSet = key => value[key] !== undefined && value[key] !== null;
+  for (const key of (schema.required || []).filter(required => !isSet(required))) {
+    const propertySchema = schema.properties?.[key] ?? {};
+    const resolved = propertySchema.$ref ? resolveRef(root, propertySchema.$ref) : propertySchema;
+    problems.push(
+      checkCountRange(0, resolved, `${prefix}${key}`) ?? {
+        path: `${prefix}${key}`,
+        message: `${prefix}${key} is required`,
+        value: undefined,
+      }
+    );
+  }
+  for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+    if (isSet(key)) {
+      problems.push(...validateSchema(value[key], propertySchema, { path: `${prefix}${key}`, root }));
+    }
+  }
+  return problems;
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema (part of `root`)
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.path=''] - Path of the value, e.g. 'entries[0].ring'
+ * @param {Object} [options.root=schema] - Root schema that references resolve against
+ * @returns {Array<{path: string, message: string, value: *}>} Problems found, the message
+ *   starting with the path
+ */
+export function validateSchema(value, schema, options = {}) {
+  const path = options.path ?? '';
+  const root = options.root ?? schema;
+  const resolved = schema.$ref ? resolveRef(root, schema.$ref) : schema;
+  const name = path || 'Configuration';
+  const problem = message => [{ path, message: `${name} ${message}`, value }];
+
+  if (resolved.anyOf) {
+    const alternative = pickAlternative(value, resolved.anyOf);
+    return alternative
+      ? validateSchema(value, alternative, { path, root })
+      : problem(`must be ${alternativeTypes(resolved.anyOf)} (found: ${formatValue(value)})`);
+  }
+  const kind = checkKind(value, resolved);
+  if (kind) {
+    return problem(kind);
+  }
+  const count = Array.isArray(value) ? checkCountRange(value.length, resolved, path) : null;
+  if (count) {
+    return [count];
+  }
+  const bounds = checkBounds(value, resolved);
+  if (bounds) {
+    return problem(bounds);
+  }
+  return validateChildren(value, resolved, path, root);
+}
@@ -1,7 +1,8 @@
 import { afterEach, beforeEach, describe, expect, it, mock } from 'bun:test';
 import { createJsonIOHelpers } from '../../src/integration/json-io.js';
 
-const { exportConfig, importConfig } = createJsonIOHelpers();
+const { exportConfig, importConfig, mergeConfigs, sanitizeConfigForExport, withPreviousEdition } =
+  createJsonIOHelpers();
 
 describe('radar-json-io exportConfig', () => {
   let originalCreateObjectURL;
@@ -78,6 +79,32 @@ describe('radar-json-io exportConfig', () => {
     Date.now = originalDateNow;
     expect(provider).toHaveBeenCalledTimes(1);
   });
+
+  it('exports YAML into the imported YAML source', async () => {
+    const button = document.createElement('button');
+    const blobs = [];
+    global.URL.createObjectURL = mock(blob => {
+      blobs.push(blob);
+      return 'blob:yaml';
+    });
+    global.URL.revokeObjectURL = mock();
+    const onSuccess = mock();
+
+    exportConfig(button, () => ({ title: 'Q2', entries: [{ label: 'Go', quadrant: 0, ring: 1, moved: 0, x: 4 }] }), {
+      demoSlug: 'radar',
+      format: 'yaml',
+      yamlSource: () => '# Kept\ntitle: Q1 # edition\n',
+      onSuccess,
+    });
+    button.click();
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(onSuccess.mock.calls[0][0].fileName).toMatch(/^radar-\d{8}-\d{6}\.yaml$/);
+    expect(blobs[0].type).toContain('application/yaml');
+    expect(await blobs[0].text()).toBe(
+      '# Kept\ntitle: Q2 # edition\nentries:\n  - label: Go\n    quadrant: 0\n    ring: 1\n    moved: 0\n'
+    );
+  });
 });
 
 describe('radar-json-io importConfig', () => {
@@ -185,6 +212,61 @@ describe('radar-json-io importConfig', () => {
     expect(onError).toHaveBeenCalledWith('Invalid rings');
   });
 
+  it('attaches the previous edition to imported configs', async () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    Object.defineProperty(input, 'value', { set: () => {}, get: () => '', configurable: true });
+    const applyConfig = mock();
+    const current = { title: 'Q1', entries: [{ label: 'Kafka', quadrant: 0, ring: 1, moved: 0, x: 5 }] };
+
+    fileReaderResponse = JSON.stringify({ title: 'Q2', entries: [] });
+
+    importConfig(input, applyConfig, { previous: () => current });
+    setFiles(input, [{ name: 'q2.json' }]);
+    input.dispatchEvent(new Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const [imported] = applyConfig.mock.calls[0];
+    expect(imported.title).toBe('Q2');
+    expect(imported.previous.title).toBe('Q1');
+    expect(imported.previous.entries[0].x).toBeUndefined();
+  });
+
+  it('imports YAML files and passes their source to the success callback', async () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    Object.defineProperty(input, 'value', { set: () => {}, get: () => '', configurable: true });
+    const applyConfig = mock();
+    const onSuccess = mock();
+
+    fileReaderResponse = '# Team radar\ntitle: Q2\nentries: []\n';
+
+    importConfig(input, applyConfig, { onSuccess });
+    setFiles(input, [{ name: 'radar.yml' }]);
+    input.dispatchEvent(new Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    expect(applyConfig).toHaveBeenCalledWith({ title: 'Q2', entries: [] });
+    expect(onSuccess).toHaveBeenCalledWith({ fileName: 'radar.yml', source: fileReaderResponse });
+  });
+
+  it('reports YAML syntax errors with their line', () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    Object.defineProperty(input, 'value', { set: () => {}, get: () => '', configurable: true });
+    const applyConfig = mock();
+    const onError = mock();
+
+    fileReaderResponse = 'title: Q2\nentries: [\n  label: Go\n';
+
+    importConfig(input, applyConfig, { onError });
+    setFiles(input, [{ name: 'radar.yaml' }]);
+    input.dispatchEvent(new Event('change'));
+
+    expect(onError.mock.calls[0][0]).toMatch(/^YAML line \d+: /);
+    expect(applyConfig).not.toHaveBeenCalled();
+  });
+
   it('handles file read errors gracefully', () => {
     const input = document.createElement('input');
     input.type = 'file';
@@ -201,3 +283,127 @@ describe('radar-json-io importConfig', () => {
     expect(applyConfig).not.toHaveBeenCalled();
   });
 });
+
+describe('radar-json-io sanitizeConfigForExport', () => {
+  it('keeps stable entry identifiers and drops rendering state', () => {
+    const config = {
+      entries: [{ label: 'Kafka', key: 'kafka', id: 'K-1', number: '3', x: 10, y: 20, quadrant: 0, ring: 1, moved: 0 }],
+    };
+
+    const [entry] = sanitizeConfigForExport(config).entries;
+
+    expect(entry).toMatchObject({ label: 'Kafka', key: 'kafka', id: 'K-1' });
+    expect(entry.number).toBeUndefined();
+    expect(entry.x).toBeUndefined();
+  });
+
+  it('keeps display numbers with explicit numbering', () => {
+    const config = {
+      numbering: 'explicit',
+      entries: [{ label: 'Kafka', number: 37, quadrant: 0, ring: 1, moved: 0 }],
+    };
+
+    expect(sanitizeConfigForExport(config).entries[0].number).toBe(37);
+  });
+
+  it('keeps entry details so they survive export and re-import', () => {
+    const tags = ['streaming'];
+    const config = {
+      entries: [
+        {
+          label: 'Kafka',
+          quadrant: 0,
+          ring: 1,
+          moved: 0,
+          description: 'Event streaming',
+          owner: 'Platform',
+          since: '2021-03',
+          tags,
+        },
+      ],
+    };
+
+    const [entry] = JSON.parse(JSON.stringify(sanitizeConfigForExport(config))).entries;
+
+    expect(entry).toMatchObject({ description: 'Event streaming', owner: 'Platform', since: '2021-03', tags });
+    expect(sanitizeConfigForExport(config).entries[0].tags).not.toBe(tags);
+  });
+
+  it('drops the root the radar renders into', () => {
+    const root = document.createElement('div').attachShadow({ mode: 'open' });
+    const config = { title: 'Radar', root, entries: [] };
+
+    const sanitized = sanitizeConfigForExport(config);
+
+    expect(sanitized.root).toBeUndefined();
+    expect(JSON.parse(JSON.stringify(sanitized))).toEqual({ title: 'Radar', entries: [] });
+  });
+});
+
+describe('radar-json-io previous editions', () => {
+  it('attaches a sanitized previous edition without older editions', () => {
+    const previous = { title: 'Q1', entries: [{ label: 'Kafka', ring: 0, x: 1 }], previous: { entries: [] } };
+
+    const imported = withPreviousEdition({ title: 'Q2', entries: [] }, previous);
+
+    expect(imported.previous).toEqual({ title: 'Q1', entries: [expect.objectContaining({ label: 'Kafka' })] });
+    expect(imported.previous.entries[0].x).toBeUndefined();
+  });
+
+  it('keeps the previous edition named by the imported config', () => {
+    const imported = { entries: [], previous: { entries: [{ label: 'Own' }] } };
+
+    expect(withPreviousEdition(imported, { entries: [] })).toBe(imported);
+  });
+
+  it('exports the previous edition and drops archived entries', () => {
+    const config = {
+      entries: [],
+      previous: { entries: [{ label: 'Flash', ring: 3, x: 1 }] },
+      archived: [{ label: 'Flash', ring: 3 }],
+    };
+
+    const exported = sanitizeConfigForExport(config);
+
+    expect(exported.archived).toBeUndefined();
+    expect(exported.previous.entries[0]).not.toHaveProperty('x');
+  });
+
+  it('takes the previous edition together with imported entries when merging', () => {
+    const base = { title: 'Base', entries: [], previous: { entries: [] }, archived: [{ label: 'Old' }] };
+
+    expect(mergeConfigs(base, { entries: [{ label: 'New' }] })).toMatchObject({
+      previous: undefined,
+      archived: undefined,
+    });
+    expect(mergeConfigs(base, { entries: [], previous: { entries: [{ label: 'X' }] } }).previous.entries).toHaveLength(
+      1
+    );
+    expect(mergeConfigs(base, { title: 'Only title' }).previous).toBe(base.previous);
+  });
+
+  it('exports edition histories instead of the entries derived from them', () => {
+    const config = {
+      edition: 0,
+      editions: [{ date: '2024.1', entries: [{ label: 'Kafka', ring: 0, x: 1 }] }],
+      entries: [{ label: 'Kafka', ring: 0, history: [] }],
+      previous: { entries: [] },
+    };
+
+    const exported = sanitizeConfigForExport(config);
+
+    expect(exported.editions[0].entries[0]).not.toHaveProperty('x');
+    expect(exported.entries).toBeUndefined();
+    expect(exported.previous).toBeUndefined();
+    expect(exported.edition).toBe(0);
+  });
+
+  it('takes an imported edition history in place of the base entries', () => {
+    const base = { entries: [{ label: 'Old' }], editions: [{ date: 'a', entries: [] }], edition: 'a' };
+    const editions = [{ date: 'b', entries: [] }];
+
+    expect(mergeConfigs(base, { editions })).toMatchObject({ entries: undefined, editions, edition: undefined });
+    expect(mergeConfigs(base, { entries: [] }).editions).toBeUndefined();
+    expect(withPreviousEdition({ editions }, base)).toEqual({ editions });
+  });
+});
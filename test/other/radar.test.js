@@ -225,8 +225,8 @@ describe('Entry Positioning and Layout', () => {
     // WHEN: the radar visualization is created
     radar_visualization(config);
 
-    // THEN: all entries should have IDs assigned
-    const ids = entries.map(e => e.id).filter(Boolean);
+    // THEN: all entries should have display numbers assigned
+    const ids = entries.map(e => e.number).filter(Boolean);
     expect(ids.length).toBe(3);
 
     // THEN: IDs should be unique
@@ -292,9 +292,9 @@ describe('Entry Positioning and Layout', () => {
     radar_visualization(config);
 
     // THEN: entries should be sorted alphabetically by label
-    // (IDs are assigned after sorting, so we check ID order)
+    // (display numbers are assigned after sorting, so we check number order)
     const sortedLabels = entries.map(e => e.label).sort();
-    const entryLabelsById = entries.sort((a, b) => parseInt(a.id, 10) - parseInt(b.id, 10)).map(e => e.label);
+    const entryLabelsById = entries.sort((a, b) => parseInt(a.number, 10) - parseInt(b.number, 10)).map(e => e.label);
     expect(entryLabelsById).toEqual(sortedLabels);
   });
 });
@@ -494,9 +494,9 @@ describe('Basic Functionality', () => {
     // THEN: it should not throw any error
     expect(() => radar_visualization(config)).not.toThrow();
 
-    // THEN: entries should be processed and have IDs assigned
+    // THEN: entries should be processed and have display numbers assigned
     entries.forEach(entry => {
-      expect(entry.id).toBeTruthy();
+      expect(entry.number).toBeTruthy();
     });
   });
 });
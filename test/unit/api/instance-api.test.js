@@ -3,8 +3,11 @@
  * Tests the new factory pattern where radar_visualization returns an instance
  */
 
-import { beforeEach, describe, expect, test } from 'bun:test';
-import radar_visualization from '../../../src/index.js';
+import { beforeEach, describe, expect, mock, test } from 'bun:test';
+import * as d3 from 'd3';
+import radar_visualization, * as library from '../../../src/index.js';
+import { registerPlugin } from '../../../src/plugins/index.js';
+import { prepareRadarLayout } from '../../../src/processing/radar-layout.js';
 
 // Helper to create a minimal valid configuration
 function createMinimalConfig(options = {}) {
@@ -366,3 +369,1053 @@ describe('Instance-Based API', () => {
     });
   });
 });
+
+describe('Instance lifecycle', () => {
+  function registerTrackingPlugin() {
+    const calls = { init: 0, cleanup: 0 };
+    registerPlugin('lifecycleTracker', {
+      init: () => {
+        calls.init += 1;
+        return {
+          cleanup: () => {
+            calls.cleanup += 1;
+          },
+        };
+      },
+    });
+    return calls;
+  }
+
+  test('should keep plugins across re-renders with the same plugin configuration', () => {
+    // GIVEN: A radar with a plugin
+    const calls = registerTrackingPlugin();
+    const instance = radar_visualization(createMinimalConfig({ plugins: { lifecycleTracker: {} } }));
+
+    // WHEN: Re-rendering twice
+    instance.render({ title: 'V2' }).render({ title: 'V3' });
+
+    // THEN: The plugin was initialized once and not cleaned up
+    expect(calls.init).toBe(1);
+    expect(calls.cleanup).toBe(0);
+  });
+
+  test('should re-initialize plugins when the plugin configuration changes', () => {
+    // GIVEN: A radar with a plugin
+    const calls = registerTrackingPlugin();
+    const instance = radar_visualization(createMinimalConfig({ plugins: { lifecycleTracker: {} } }));
+
+    // WHEN: Rendering with a new plugin configuration
+    instance.render({ plugins: { lifecycleTracker: { option: true } } });
+
+    // THEN: The previous plugin instance was cleaned up
+    expect(calls.init).toBe(2);
+    expect(calls.cleanup).toBe(1);
+  });
+
+  test('should keep the plugins of static renders and notify them of re-renders', () => {
+    // GIVEN: A plugin subscribed to config changes, rendered statically
+    const calls = registerTrackingPlugin();
+    const configs = [];
+    registerPlugin('configTracker', {
+      init: (_config, context) => ({ cleanup: context.onConfigChange(config => configs.push(config)) }),
+    });
+    const plugins = { lifecycleTracker: {}, configTracker: {} };
+    radar_visualization.render(createMinimalConfig({ plugins }));
+
+    // WHEN: Rendering the same SVG statically again
+    radar_visualization.render(createMinimalConfig({ plugins, title: 'V2' }));
+
+    // THEN: The plugins were kept and saw the new configuration
+    expect(calls.init).toBe(1);
+    expect(calls.cleanup).toBe(0);
+    expect(configs.map(config => config.title)).toEqual(['V2']);
+
+    // WHEN: Rendering the SVG without plugins
+    radar_visualization.render(createMinimalConfig({ title: 'V3' }));
+
+    // THEN: The plugins were cleaned up
+    expect(calls.cleanup).toBe(1);
+    expect(configs).toHaveLength(1);
+  });
+
+  test('should auto-save through the storage plugin on config changes', async () => {
+    // GIVEN: A radar with a custom storage that auto-saves
+    const saved = [];
+    const instance = radar_visualization(
+      createMinimalConfig({
+        plugins: {
+          storage: {
+            type: 'custom',
+            autoSave: true,
+            save: async config => {
+              saved.push(config);
+            },
+            load: async () => null,
+            clear: async () => {},
+          },
+        },
+      })
+    );
+
+    // WHEN: Changing the configuration
+    instance.render({ title: 'Saved' });
+    await Promise.resolve();
+
+    // THEN: The new configuration was saved without plugin instances
+    expect(saved).toHaveLength(1);
+    expect(saved[0].title).toBe('Saved');
+    expect(saved[0]._pluginInstances).toBeUndefined();
+  });
+
+  test('should wire the toolbar to the import/export plugin', () => {
+    // GIVEN: A toolbar container
+    document.body.innerHTML = '<div id="toolbar"></div><svg id="radar"></svg>';
+
+    // WHEN: Enabling only the toolbar plugin
+    const instance = radar_visualization(createMinimalConfig({ plugins: { toolbar: { containerId: 'toolbar' } } }));
+
+    // THEN: Its import/export dependency is initialized and the buttons are rendered
+    const plugins = instance.getConfig()._pluginInstances;
+    expect(Object.keys(plugins)).toEqual(['importExport', 'toolbar']);
+    expect(document.getElementById('jsonImportButton')).not.toBeNull();
+  });
+
+  test('should not accumulate ring description tables on re-render', () => {
+    // GIVEN: A radar printing the ring descriptions table
+    const instance = radar_visualization(createMinimalConfig({ print_ring_descriptions_table: true }));
+
+    // WHEN: Re-rendering several times
+    instance.render({ title: 'V2' }).render({ title: 'V3' }).reset();
+
+    // THEN: Only one table and one layout wrapper exist
+    expect(document.querySelectorAll('.radar-table')).toHaveLength(1);
+    expect(document.querySelectorAll('.radar-layout')).toHaveLength(1);
+  });
+
+  test('destroy() should remove rendered and injected DOM', () => {
+    // GIVEN: A rendered radar with legend and table
+    const instance = radar_visualization(
+      createMinimalConfig({
+        print_ring_descriptions_table: true,
+        entries: [{ label: 'Test', quadrant: 0, ring: 0, moved: 0, active: true }],
+      })
+    );
+
+    // WHEN: Destroying it
+    instance.destroy();
+
+    // THEN: Only the empty original SVG remains
+    const svg = document.getElementById('radar');
+    expect(svg.childNodes).toHaveLength(0);
+    expect(svg.parentNode).toBe(document.body);
+    expect(document.querySelector('.radar-layout')).toBeNull();
+    expect(document.querySelector('.radar-table')).toBeNull();
+  });
+
+  test('destroy() should clean up plugins and be idempotent', () => {
+    // GIVEN: A radar with a plugin
+    const calls = registerTrackingPlugin();
+    const instance = radar_visualization(createMinimalConfig({ plugins: { lifecycleTracker: {} } }));
+
+    // WHEN: Destroying it twice
+    instance.destroy();
+    instance.destroy();
+
+    // THEN: Plugin cleanup ran once
+    expect(calls.cleanup).toBe(1);
+  });
+
+  test('should allow a new instance on the same SVG after destroy()', () => {
+    // GIVEN: A destroyed radar
+    radar_visualization(createMinimalConfig()).destroy();
+
+    // WHEN: Creating a new instance on the same SVG
+    radar_visualization(createMinimalConfig({ print_ring_descriptions_table: true }));
+
+    // THEN: It renders normally
+    expect(document.querySelectorAll('.radar-layout')).toHaveLength(1);
+    expect(document.querySelectorAll('.radar-table')).toHaveLength(1);
+    expect(document.querySelector('svg#radar g')).not.toBeNull();
+  });
+
+  test('render() and reset() should throw after destroy()', () => {
+    // GIVEN: A destroyed radar
+    const instance = radar_visualization(createMinimalConfig());
+    instance.destroy();
+
+    // WHEN/THEN: Rendering is rejected
+    expect(() => instance.render({ title: 'Again' })).toThrow('Radar instance has been destroyed');
+    expect(() => instance.reset()).toThrow('Radar instance has been destroyed');
+  });
+});
+
+describe('Instance events', () => {
+  const entries = [{ label: 'Kafka', quadrant: 1, ring: 2, moved: 0, active: true }];
+
+  test('should emit blipClick with entry, quadrant, ring and element', () => {
+    // GIVEN: A radar with a blipClick handler
+    const instance = radar_visualization(createMinimalConfig({ entries }));
+    const handler = mock();
+    instance.on('blipClick', handler);
+
+    // WHEN: Clicking the blip
+    const blip = document.querySelector('svg#radar .blip');
+    blip.dispatchEvent(new window.MouseEvent('click'));
+
+    // THEN: The payload describes the clicked entry
+    expect(handler).toHaveBeenCalledTimes(1);
+    const payload = handler.mock.calls[0][0];
+    expect(payload.entry.label).toBe('Kafka');
+    expect(payload.quadrant).toEqual({ name: 'Infrastructure' });
+    expect(payload.ring.name).toBe('ASSESS');
+    expect(payload.element).toBe(blip);
+  });
+
+  test('should emit blipHover on enter and leave without replacing the tooltip', () => {
+    // GIVEN: A radar with a blipHover handler
+    const instance = radar_visualization(createMinimalConfig({ entries }));
+    const handler = mock();
+    instance.on('blipHover', handler);
+    const blip = document.querySelector('svg#radar .blip');
+
+    // WHEN: Hovering the blip
+    blip.dispatchEvent(new window.MouseEvent('mouseover'));
+
+    // THEN: Handler is notified and the tooltip is still shown
+    expect(handler.mock.calls[0][0].hovered).toBe(true);
+    expect(document.getElementById('radar-bubble').style.opacity).toBe('0.8');
+
+    // WHEN: Leaving the blip
+    blip.dispatchEvent(new window.MouseEvent('mouseout'));
+
+    // THEN: Handler is notified again
+    expect(handler.mock.calls[1][0].hovered).toBe(false);
+  });
+
+  test('should emit legendClick for legend items', () => {
+    // GIVEN: A radar with a legend
+    const instance = radar_visualization(createMinimalConfig({ entries, print_layout: true }));
+    const handler = mock();
+    instance.on('legendClick', handler);
+
+    // WHEN: Clicking the legend item
+    const item = document.getElementById('radar-legendItem-Kafka');
+    item.dispatchEvent(new window.MouseEvent('click'));
+
+    // THEN: The payload describes the entry
+    const payload = handler.mock.calls[0][0];
+    expect(payload.entry.label).toBe('Kafka');
+    expect(payload.element).toBe(item);
+  });
+
+  test('should emit configChange and render on render() and reset()', () => {
+    // GIVEN: A radar with lifecycle handlers
+    const instance = radar_visualization(createMinimalConfig({ title: 'Initial' }));
+    const order = [];
+    const configChange = mock(() => order.push('configChange'));
+    const render = mock(() => order.push('render'));
+    instance.on('configChange', configChange);
+    instance.on('render', render);
+
+    // WHEN: Rendering and resetting
+    instance.render({ title: 'Modified' });
+    instance.reset();
+
+    // THEN: configChange precedes each render and carries both configs
+    expect(order).toEqual(['configChange', 'render', 'configChange', 'render']);
+    expect(configChange.mock.calls[0][0].previousConfig.title).toBe('Initial');
+    expect(configChange.mock.calls[0][0].config.title).toBe('Modified');
+    expect(render.mock.calls[0][0].element).toBe(document.getElementById('radar'));
+  });
+
+  test('should stop emitting after off()', () => {
+    // GIVEN: A subscribed handler
+    const instance = radar_visualization(createMinimalConfig());
+    const handler = mock();
+    instance.on('render', handler);
+
+    // WHEN: Unsubscribing and re-rendering
+    instance.off('render', handler).render({ title: 'Again' });
+
+    // THEN: Handler is not called
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown event names', () => {
+    const instance = radar_visualization(createMinimalConfig());
+
+    expect(() => instance.on('hover', () => {})).toThrow('Unknown event "hover"');
+  });
+});
+
+describe('Entry detail panel', () => {
+  const entries = [
+    {
+      label: 'Kafka',
+      quadrant: 1,
+      ring: 2,
+      moved: 0,
+      active: true,
+      owner: 'Platform',
+      link: 'https://kafka.apache.org',
+    },
+  ];
+
+  test('should not create a panel by default', () => {
+    // WHEN: Rendering without detail_panel
+    radar_visualization(createMinimalConfig({ entries }));
+
+    // THEN: No panel exists
+    expect(document.getElementById('radar-detailPanel')).toBeNull();
+  });
+
+  test('should open on blip and legend clicks and keep instance events', () => {
+    // GIVEN: A radar with the detail panel and a blipClick handler
+    const instance = radar_visualization(createMinimalConfig({ entries, detail_panel: true }));
+    const handler = mock();
+    instance.on('blipClick', handler);
+    const panel = document.getElementById('radar-detailPanel');
+
+    // WHEN: Clicking the blip
+    document.querySelector('svg#radar .blip').dispatchEvent(new window.MouseEvent('click', { cancelable: true }));
+
+    // THEN: The panel shows the entry and the event still fires
+    expect(panel.hidden).toBe(false);
+    expect(panel.querySelector('dd').textContent).toBe('Platform');
+    expect(handler).toHaveBeenCalledTimes(1);
+
+    // WHEN: Closing it and clicking the legend item
+    panel.querySelector('.radar-detail-close').click();
+    document.querySelector('.legend-entry').dispatchEvent(new window.MouseEvent('click', { cancelable: true }));
+
+    // THEN: The panel opens again
+    expect(panel.hidden).toBe(false);
+  });
+
+  test('should be replaced on re-render and removed on destroy', () => {
+    // GIVEN: A radar with the detail panel
+    const instance = radar_visualization(createMinimalConfig({ entries, detail_panel: true }));
+
+    // WHEN: Re-rendering
+    instance.render({ title: 'Again' });
+
+    // THEN: There is exactly one panel
+    expect(document.querySelectorAll('.radar-detail-panel').length).toBe(1);
+
+    // WHEN: Destroying the instance
+    instance.destroy();
+
+    // THEN: The panel is gone
+    expect(document.querySelector('.radar-detail-panel')).toBeNull();
+  });
+});
+
+describe('Previous edition', () => {
+  test('should derive moved from the previous edition and list archived entries', () => {
+    // GIVEN: A previous edition and a current one without moved values
+    const previous = {
+      rings: createMinimalConfig().rings,
+      entries: [
+        { label: 'Kafka', quadrant: 0, ring: 1 },
+        { label: 'Flash', quadrant: 0, ring: 3 },
+      ],
+    };
+
+    // WHEN: Rendering the current edition
+    const instance = radar_visualization(
+      createMinimalConfig({
+        previous,
+        entries: [
+          { label: 'Kafka', quadrant: 0, ring: 0, active: true },
+          { label: 'Rust', quadrant: 1, ring: 2, active: true },
+        ],
+      })
+    );
+
+    // THEN: Moved values are derived and the removed entry is archived
+    const config = instance.getConfig();
+    expect(config.entries.map(entry => [entry.label, entry.moved])).toEqual([
+      ['Kafka', 1],
+      ['Rust', 2],
+    ]);
+    expect(config.archived.map(entry => entry.label)).toEqual(['Flash']);
+    expect(document.querySelectorAll('svg#radar .blip path').length).toBe(2);
+  });
+});
+
+describe('Edition history', () => {
+  const editions = [
+    {
+      date: '2024.1',
+      entries: [
+        { label: 'Kafka', quadrant: 0, ring: 2, active: true },
+        { label: 'Flash', quadrant: 1, ring: 3, active: true },
+      ],
+    },
+    {
+      date: '2025.1',
+      entries: [
+        { label: 'Kafka', quadrant: 0, ring: 0, active: true },
+        { label: 'Rust', quadrant: 1, ring: 2, active: true },
+      ],
+    },
+  ];
+
+  test('should show the latest edition compared with the one before', () => {
+    // WHEN: Rendering a radar with an edition history
+    const instance = radar_visualization(createMinimalConfig({ editions, date: undefined }));
+
+    // THEN: The latest edition is shown with derived moved values and history
+    const config = instance.getConfig();
+    expect(config.date).toBe('2025.1');
+    expect(config.entries.map(entry => [entry.label, entry.moved])).toEqual([
+      ['Kafka', 1],
+      ['Rust', 2],
+    ]);
+    expect(config.entries[0].history).toEqual([
+      { date: '2024.1', ring: 2 },
+      { date: '2025.1', ring: 0 },
+    ]);
+    expect(config.archived.map(entry => entry.label)).toEqual(['Flash']);
+  });
+
+  test('should scrub between editions with the timeline', () => {
+    // GIVEN: A radar with an edition history and a change listener
+    const instance = radar_visualization(createMinimalConfig({ editions }));
+    const onChange = mock();
+    instance.on('configChange', onChange);
+
+    // WHEN: Selecting the first edition on the timeline
+    const timeline = document.getElementById('radar-timeline');
+    timeline.querySelectorAll('.radar-timeline-date')[0].click();
+
+    // THEN: The instance re-renders that edition and keeps the timeline
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(instance.getConfig().edition).toBe(0);
+    expect(instance.getConfig().entries.map(entry => entry.label)).toEqual(['Kafka', 'Flash']);
+    expect(document.getElementById('radar-timeline')).toBe(timeline);
+    expect(timeline.querySelector('.radar-timeline-slider').value).toBe('0');
+  });
+
+  test('should keep entry edits of the shown edition', () => {
+    // GIVEN: A radar with an edition history
+    const instance = radar_visualization(createMinimalConfig({ editions }));
+
+    // WHEN: Adding and updating entries, re-rendering and scrubbing away and back
+    instance.addEntry({ label: 'Go', quadrant: 2, ring: 1, active: true });
+    instance.batch(radar => radar.moveEntry('Rust', { ring: 1 }));
+    instance.render({ timeline: true });
+    instance.render({ edition: 0 });
+    instance.render({ edition: 1 });
+
+    // THEN: The edits are part of the edition, the original editions are untouched
+    const entries = instance.getConfig().entries;
+    expect(entries.map(entry => entry.label)).toEqual(['Kafka', 'Rust', 'Go']);
+    expect(entries.find(entry => entry.label === 'Rust').ring).toBe(1);
+    expect(document.querySelectorAll('svg#radar .blip')).toHaveLength(3);
+    expect(editions[1].entries).toHaveLength(2);
+  });
+
+  test('should render new entries into the shown edition', () => {
+    // GIVEN: A radar showing the first edition
+    const instance = radar_visualization(createMinimalConfig({ editions, edition: 0 }));
+
+    // WHEN: Rendering new entries
+    instance.render({ entries: [{ label: 'Deno', quadrant: 3, ring: 3, active: true }] });
+
+    // THEN: They replace the entries of the shown edition only
+    expect(instance.getConfig().entries.map(entry => entry.label)).toEqual(['Deno']);
+    expect(instance.getConfig().editions[0].entries.map(entry => entry.label)).toEqual(['Deno']);
+    expect(instance.getConfig().editions[1]).toBe(editions[1]);
+  });
+
+  test('should remove the timeline when disabled or destroyed', () => {
+    // GIVEN: A radar with a timeline
+    const instance = radar_visualization(createMinimalConfig({ editions }));
+
+    // WHEN: Disabling the timeline, then enabling it and destroying the radar
+    instance.render({ timeline: false });
+    const disabled = document.getElementById('radar-timeline');
+    instance.render({ timeline: true });
+    instance.destroy();
+
+    // THEN: The timeline is gone
+    expect(disabled).toBeNull();
+    expect(document.getElementById('radar-timeline')).toBeNull();
+  });
+});
+
+describe('Comparison overlay', () => {
+  test('should render both configurations with arrows and return the report', () => {
+    // GIVEN: Two configurations sharing an entry in different rings
+    const platform = createMinimalConfig({
+      title: 'Platform',
+      entries: [
+        { label: 'Kafka', quadrant: 0, ring: 0, active: true },
+        { label: 'Nomad', quadrant: 1, ring: 3, active: true },
+      ],
+    });
+    const data = createMinimalConfig({
+      title: 'Data',
+      entries: [{ label: 'Kafka', quadrant: 0, ring: 2, active: true }],
+    });
+
+    // WHEN: Comparing them
+    const { instance, report } = radar_visualization.compare(platform, data, { print_layout: true });
+
+    // THEN: Both sides are rendered and connected, and the report lists the differences
+    expect(instance.getConfig().title).toBe('Platform vs. Data');
+    expect(document.querySelectorAll('svg#radar .blip').length).toBe(3);
+    expect(document.querySelectorAll('svg#radar .blip.comparison-right').length).toBe(1);
+    expect(document.querySelectorAll('.legend-entry.comparison-left').length).toBe(2);
+    expect(document.querySelectorAll('svg#radar .comparison-arrow').length).toBe(1);
+    expect(report.ringDifferences.map(difference => difference.label)).toEqual(['Kafka']);
+    expect(report.onlyLeft.map(entry => entry.label)).toEqual(['Nomad']);
+    instance.destroy();
+  });
+});
+
+describe('Instance filter', () => {
+  const entries = [
+    { label: 'Kafka', quadrant: 0, ring: 0, moved: 0, active: true },
+    { label: 'Redis', quadrant: 1, ring: 2, moved: 2, active: true },
+  ];
+
+  const filteredOut = () =>
+    Array.from(document.querySelectorAll('svg#radar .blip.filtered-out'), blip => blip.__data__.label);
+
+  test('should dim blips and legend items that do not match criteria', () => {
+    // GIVEN: A radar with a filterChange handler
+    const instance = radar_visualization(createMinimalConfig({ entries }));
+    const handler = mock();
+    instance.on('filterChange', handler);
+
+    // WHEN: Filtering by query
+    instance.filter({ query: 'kaf' });
+
+    // THEN: Redis is dimmed and the change is emitted
+    expect(filteredOut()).toEqual(['Redis']);
+    expect(document.querySelectorAll('.legend-entry.filtered-out').length).toBe(1);
+    expect(handler.mock.calls[0][0].criteria).toEqual({ query: 'kaf' });
+    expect(handler.mock.calls[0][0].matches.map(entry => entry.label)).toEqual(['Kafka']);
+  });
+
+  test('should accept predicates and keep the filter across re-renders', () => {
+    // GIVEN: A radar filtered with a predicate
+    const instance = radar_visualization(createMinimalConfig({ entries, transition_duration: 0 }));
+    instance.filter(entry => entry.moved === 2);
+
+    // WHEN: Re-rendering
+    instance.render({ title: 'Again' });
+
+    // THEN: The filter still applies
+    expect(filteredOut()).toEqual(['Kafka']);
+  });
+
+  test('should hide entries with filter_mode hide and clear with null', () => {
+    // GIVEN: A radar that hides filtered entries
+    const instance = radar_visualization(createMinimalConfig({ entries, filter_mode: 'hide' }));
+
+    // WHEN: Filtering by ring
+    instance.filter({ ring: 2 });
+
+    // THEN: Kafka is hidden
+    expect(document.querySelector('svg#radar .blip.filtered-out').style.display).toBe('none');
+
+    // WHEN: Clearing the filter
+    instance.filter(null);
+
+    // THEN: Nothing is filtered
+    expect(filteredOut()).toEqual([]);
+  });
+
+  test('should resolve rings by name', () => {
+    // GIVEN: A radar whose rings are named
+    const instance = radar_visualization(createMinimalConfig({ entries }));
+
+    // WHEN: Filtering by a ring name in another case
+    instance.filter({ ring: instance.getConfig().rings[0].name.toLowerCase() });
+
+    // THEN: Entries of the other rings are dimmed
+    expect(filteredOut()).toEqual(['Redis']);
+  });
+
+  test('should reject unknown criteria', () => {
+    const instance = radar_visualization(createMinimalConfig({ entries }));
+
+    expect(() => instance.filter({ name: 'Kafka' })).toThrow('Unknown filter criterion "name"');
+  });
+
+  test('should apply the filter of the URL with the filter plugin', () => {
+    // GIVEN: A URL with filter parameters
+    window.happyDOM.setURL('http://localhost/?moved=2');
+
+    // WHEN: Creating a radar with the filter plugin
+    const instance = radar_visualization(createMinimalConfig({ entries, plugins: { filter: {} } }));
+
+    // THEN: The URL filter is applied to the first render
+    expect(filteredOut()).toEqual(['Kafka']);
+    expect(document.querySelector('.radar-filter')).not.toBeNull();
+
+    instance.destroy();
+    window.happyDOM.setURL('about:blank');
+    expect(document.querySelector('.radar-filter')).toBeNull();
+  });
+});
+
+describe('Instance entry API', () => {
+  function createRadar() {
+    return radar_visualization(
+      createMinimalConfig({
+        transition_duration: 0,
+        entries: [
+          { label: 'Kafka', quadrant: 0, ring: 1, moved: 0, active: true },
+          { label: 'Redis', quadrant: 2, ring: 0, moved: 0, active: true },
+        ],
+      })
+    );
+  }
+
+  const labels = instance => instance.getConfig().entries.map(entry => entry.label);
+
+  test('addEntry() should render the new entry', () => {
+    // GIVEN: A radar with two entries
+    const instance = createRadar();
+
+    // WHEN: Adding an entry
+    const result = instance.addEntry({ label: 'Postgres', quadrant: 1, ring: 2, moved: 2, active: true });
+
+    // THEN: It is part of the config and rendered
+    expect(result).toBe(instance);
+    expect(labels(instance)).toEqual(['Kafka', 'Redis', 'Postgres']);
+    expect(document.querySelectorAll('svg#radar .blip')).toHaveLength(3);
+  });
+
+  test('updateEntry(), moveEntry() and removeEntry() should edit entries by key', () => {
+    // GIVEN: A radar with two entries
+    const instance = createRadar();
+
+    // WHEN: Editing entries
+    instance.updateEntry('Kafka', { moved: 1 }).moveEntry('Kafka', { ring: 0 }).removeEntry('Redis');
+
+    // THEN: The config reflects all edits
+    const [kafka, ...rest] = instance.getConfig().entries;
+    expect(kafka).toMatchObject({ label: 'Kafka', ring: 0, moved: 1 });
+    expect(rest).toHaveLength(0);
+    expect(document.querySelectorAll('svg#radar .blip')).toHaveLength(1);
+  });
+
+  test('should keep blips of untouched segments in place', () => {
+    // GIVEN: A rendered radar
+    const instance = createRadar();
+    const redisBefore = instance.getConfig().entries.find(entry => entry.label === 'Redis');
+    const position = { x: redisBefore.x, y: redisBefore.y };
+
+    // WHEN: Moving Kafka within another quadrant
+    instance.moveEntry('Kafka', { ring: 3 });
+
+    // THEN: Redis did not move
+    const redisAfter = instance.getConfig().entries.find(entry => entry.label === 'Redis');
+    expect(redisAfter.x).toBeCloseTo(position.x, 1);
+    expect(redisAfter.y).toBeCloseTo(position.y, 1);
+  });
+
+  test('moveEntry() should lay out an entry moved by ring name in its new ring', () => {
+    // GIVEN: A rendered radar and its ring geometry
+    const instance = createRadar();
+    const { rings } = prepareRadarLayout(createMinimalConfig(), { viewport: null });
+
+    // WHEN: Moving Kafka to the HOLD ring by name
+    instance.moveEntry('Kafka', { ring: 'HOLD' });
+
+    // THEN: Kafka is placed inside the HOLD ring
+    const kafka = instance.getConfig().entries.find(entry => entry.label === 'Kafka');
+    const radius = Math.hypot(kafka.x, kafka.y);
+    expect(kafka.ring).toBe(3);
+    expect(radius).toBeGreaterThan(rings[2].radius);
+    expect(radius).toBeLessThan(rings[3].radius);
+  });
+
+  test('should validate edits and leave the radar unchanged on error', () => {
+    // GIVEN: A radar
+    const instance = createRadar();
+
+    // WHEN/THEN: Invalid edits are rejected
+    expect(() => instance.moveEntry('Kafka', { ring: 9 })).toThrow(/ring/);
+    expect(() => instance.removeEntry('Nope')).toThrow('Unknown entry: "Nope"');
+    expect(labels(instance)).toEqual(['Kafka', 'Redis']);
+    expect(instance.getConfig().entries[0].ring).toBe(1);
+  });
+
+  test('batch() should apply all edits with a single render', () => {
+    // GIVEN: A radar with a render listener
+    const instance = createRadar();
+    const render = mock();
+    instance.on('render', render);
+
+    // WHEN: Editing in a batch
+    instance.batch(radar => {
+      radar.addEntry({ label: 'Postgres', quadrant: 1, ring: 2, moved: 2, active: true });
+      radar.removeEntry('Redis');
+      radar.moveEntry('Postgres', { ring: 0 });
+    });
+
+    // THEN: One render with all edits
+    expect(render).toHaveBeenCalledTimes(1);
+    expect(labels(instance)).toEqual(['Kafka', 'Postgres']);
+    expect(instance.getConfig().entries[1].ring).toBe(0);
+  });
+
+  test('batch() should discard all edits when the callback throws', () => {
+    // GIVEN: A radar
+    const instance = createRadar();
+
+    // WHEN: A batch fails halfway
+    expect(() =>
+      instance.batch(radar => {
+        radar.removeEntry('Redis');
+        radar.moveEntry('Kafka', { quadrant: 42 });
+      })
+    ).toThrow();
+
+    // THEN: Nothing was applied
+    expect(labels(instance)).toEqual(['Kafka', 'Redis']);
+    expect(document.querySelectorAll('svg#radar .blip')).toHaveLength(2);
+  });
+});
+
+describe('Multiple radars on one page', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div><svg id="platform"></svg></div><div><svg id="data"></svg></div>';
+  });
+
+  test('should scope generated ids to each radar', () => {
+    // GIVEN: Two radars with the same entries on one page
+    const entries = [{ label: 'Kafka', quadrant: 0, ring: 0, moved: 0, active: true }];
+
+    // WHEN: Rendering both
+    radar_visualization(createMinimalConfig({ svg_id: 'platform', entries }));
+    radar_visualization(createMinimalConfig({ svg_id: 'data', entries }));
+
+    // THEN: Each radar has its own bubble, rink and legend item
+    expect(document.querySelectorAll('#platform-bubble')).toHaveLength(1);
+    expect(document.querySelectorAll('#data-bubble')).toHaveLength(1);
+    expect(document.querySelector('svg#platform #platform-rink')).not.toBeNull();
+    expect(document.querySelector('svg#data #data-rink')).not.toBeNull();
+    expect(document.getElementById('platform-legendItem-Kafka')).not.toBeNull();
+    expect(document.getElementById('data-legendItem-Kafka')).not.toBeNull();
+  });
+
+  test('should keep blips in their own svg', () => {
+    // GIVEN: Two radars with different entry counts
+    radar_visualization(
+      createMinimalConfig({ svg_id: 'platform', entries: [{ label: 'A', quadrant: 0, ring: 0, moved: 0 }] })
+    );
+    radar_visualization(
+      createMinimalConfig({
+        svg_id: 'data',
+        entries: [
+          { label: 'B', quadrant: 1, ring: 1, moved: 0 },
+          { label: 'C', quadrant: 2, ring: 2, moved: 0 },
+        ],
+      })
+    );
+
+    // THEN: Blip counts are independent
+    expect(document.querySelectorAll('svg#platform .blip')).toHaveLength(1);
+    expect(document.querySelectorAll('svg#data .blip')).toHaveLength(2);
+  });
+
+  test('should highlight legend items only within the hovered radar', () => {
+    // GIVEN: Two radars sharing an entry id
+    const entries = [{ label: 'Kafka', quadrant: 0, ring: 0, moved: 0, active: true }];
+    radar_visualization(createMinimalConfig({ svg_id: 'platform', entries }));
+    radar_visualization(createMinimalConfig({ svg_id: 'data', entries }));
+
+    // WHEN: Hovering the blip of the data radar
+    const blip = document.querySelector('svg#data .blip');
+    blip.dispatchEvent(new window.MouseEvent('mouseover'));
+
+    // THEN: Only the data radar's legend item and bubble react
+    expect(document.getElementById('data-legendItem-Kafka').classList.contains('legend-highlight')).toBe(true);
+    expect(document.getElementById('platform-legendItem-Kafka').classList.contains('legend-highlight')).toBe(false);
+    expect(document.getElementById('platform-bubble').style.opacity).toBe('0');
+  });
+});
+
+describe('Error overlay', () => {
+  test('should throw invalid configurations by default', () => {
+    // GIVEN: A configuration with too few rings
+    const config = createMinimalConfig({ rings: [{ name: 'ONLY' }] });
+
+    // WHEN/THEN: Rendering throws
+    expect(() => radar_visualization(config)).toThrow('Number of rings must be between 4 and 8');
+  });
+
+  test('should list all errors in an overlay instead of throwing', () => {
+    // GIVEN: An overlay configuration with several errors
+    const config = createMinimalConfig({
+      error_mode: 'overlay',
+      rings: [{ name: 'ONLY' }],
+      entries: [{ label: 'Kafka', quadrant: 'Nowhere', ring: 0 }],
+    });
+
+    // WHEN: Creating the instance
+    const instance = radar_visualization(config);
+
+    // THEN: The errors are listed next to the empty SVG
+    const overlay = document.getElementById('radar-errors');
+    expect(overlay.getAttribute('role')).toBe('alert');
+    expect(overlay.previousElementSibling.id).toBe('radar');
+    expect([...overlay.querySelectorAll('li')].map(item => item.textContent)).toEqual([
+      'Number of rings must be between 4 and 8 (found: 1)',
+      `Entry 'Kafka' references unknown quadrant: "Nowhere"`,
+    ]);
+    expect(document.querySelectorAll('svg#radar .blip')).toHaveLength(0);
+    expect(instance.validate().valid).toBe(false);
+  });
+
+  test('should report configurations that fail before validation', () => {
+    // GIVEN: An overlay configuration without quadrants
+    const config = createMinimalConfig({ error_mode: 'overlay' });
+    config.quadrants = undefined;
+
+    // WHEN: Creating the instance
+    radar_visualization(config);
+
+    // THEN: The overlay names the missing quadrants
+    expect(document.querySelector('#radar-errors li').textContent).toBe(
+      'Number of quadrants must be between 2 and 8 (found: 0)'
+    );
+  });
+
+  test('should replace the radar with the overlay and back', () => {
+    // GIVEN: A rendered overlay-mode radar
+    const entries = [{ label: 'Kafka', quadrant: 0, ring: 0, moved: 0, active: true }];
+    const instance = radar_visualization(createMinimalConfig({ error_mode: 'overlay', entries }));
+    const renderError = mock();
+    instance.on('renderError', renderError);
+
+    // WHEN: Rendering an invalid configuration
+    instance.render({ quadrants: [{ name: 'ONE' }] });
+
+    // THEN: The radar is removed, the overlay shown and renderError emitted
+    expect(document.querySelectorAll('svg#radar .blip')).toHaveLength(0);
+    expect(document.getElementById('radar-errors')).not.toBeNull();
+    expect(renderError).toHaveBeenCalledTimes(1);
+    expect(renderError.mock.calls[0][0].errors[0].field).toBe('quadrants');
+
+    // WHEN: Rendering a valid configuration again
+    instance.render({ quadrants: createMinimalConfig().quadrants });
+
+    // THEN: The overlay is gone and the radar is back
+    expect(document.getElementById('radar-errors')).toBeNull();
+    expect(document.querySelectorAll('svg#radar .blip')).toHaveLength(1);
+  });
+
+  test('should remove the overlay on destroy', () => {
+    // GIVEN: An instance showing the overlay
+    const instance = radar_visualization(createMinimalConfig({ error_mode: 'overlay', rings: [] }));
+
+    // WHEN: Destroying it
+    instance.destroy();
+
+    // THEN: The overlay is removed
+    expect(document.getElementById('radar-errors')).toBeNull();
+  });
+
+  test('should report warnings through validate()', () => {
+    // GIVEN: A valid radar with a non-http link
+    const entries = [{ label: 'Kafka', quadrant: 0, ring: 0, moved: 0, link: 'ftp://kafka' }];
+    const instance = radar_visualization(createMinimalConfig({ entries }));
+
+    // WHEN: Validating the instance configuration
+    const report = instance.validate();
+
+    // THEN: The configuration is valid, with warnings
+    expect(report.valid).toBe(true);
+    expect(report.warnings.map(warning => warning.field)).toContain('entries[0].link');
+  });
+});
+
+describe('Themes', () => {
+  test('should switch the theme on re-render', () => {
+    // GIVEN: A radar rendered with the default theme
+    const instance = radar_visualization(
+      createMinimalConfig({ entries: [{ label: 'Kafka', quadrant: 0, ring: 0, moved: 0, active: false }] })
+    );
+    const svg = document.getElementById('radar');
+    expect(svg.querySelector('style.radar-theme').textContent).toContain('--radar-background: #fff;');
+
+    // WHEN: Rendering with the dark theme
+    instance.render({ theme: 'dark', print_layout: false });
+
+    // THEN: The SVG emits and uses the dark theme
+    expect(svg.querySelectorAll('style.radar-theme')).toHaveLength(1);
+    expect(svg.querySelector('style.radar-theme').textContent).toContain('--radar-background: #1e1f22;');
+    expect(svg.querySelector('.blip circle').style.fill).toBe('var(--radar-inactive, #4a4c52)');
+    expect(instance.getConfig().colors).toBeUndefined();
+  });
+
+  test('should color blips from the custom properties a page overrides', () => {
+    // GIVEN: A page stylesheet that overrides a ring color and the inactive color
+    document.body.innerHTML =
+      '<style>#radar { --radar-ring-color-0: #123456; --radar-inactive: #654321; }</style><svg id="radar"></svg>';
+
+    // WHEN: Rendering active and inactive entries drawn as paths and circles
+    const instance = radar_visualization(
+      createMinimalConfig({
+        print_layout: false,
+        entries: [
+          { label: 'Kafka', quadrant: 0, ring: 0, moved: 1, active: true },
+          { label: 'Redis', quadrant: 1, ring: 1, moved: -1, active: false },
+          { label: 'Postgres', quadrant: 2, ring: 0, moved: 0, active: true },
+          { label: 'Rust', quadrant: 3, ring: 2, moved: 0, active: false },
+        ],
+      })
+    );
+
+    // THEN: The blip fills follow the page's values
+    const fills = Array.from(
+      document.querySelectorAll('#radar .blip'),
+      blip => getComputedStyle(blip.querySelector('path, circle')).fill
+    );
+    expect(fills).toEqual(['#123456', '#654321', '#123456', '#654321']);
+
+    // AND: The entries keep the resolved colors of the theme
+    expect(instance.getConfig().entries.map(entry => entry.color)).toEqual(['#5ba300', '#ddd', '#5ba300', '#ddd']);
+  });
+
+  test('should emit the theme properties on the elements around the SVG', () => {
+    // WHEN: Rendering with the dark theme and the filter bar
+    radar_visualization(createMinimalConfig({ theme: 'dark', plugins: { filter: { syncUrl: false } } }));
+
+    // THEN: The layout wrapper and the filter bar define the properties for the legend, panels and form
+    const layout = document.querySelector('.radar-layout');
+    const form = document.querySelector('form.radar-filter');
+    expect(layout.dataset.radarId).toBe('radar');
+    expect(form.dataset.radarId).toBe('radar');
+    expect(getComputedStyle(layout).getPropertyValue('--radar-background').trim()).toBe('#1e1f22');
+    expect(getComputedStyle(form).getPropertyValue('--radar-text').trim()).toBe('#e8e8ea');
+  });
+
+  test('should follow the system color scheme without re-rendering', () => {
+    // GIVEN: A light system color scheme that can change, and a radar following it
+    const originalMatchMedia = window.matchMedia;
+    const listeners = new Set();
+    const query = {
+      matches: false,
+      addEventListener: (_type, listener) => listeners.add(listener),
+      removeEventListener: (_type, listener) => listeners.delete(listener),
+    };
+    window.matchMedia = () => query;
+
+    try {
+      const instance = radar_visualization(
+        createMinimalConfig({
+          color_scheme: 'auto',
+          print_layout: false,
+          entries: [{ label: 'Kafka', quadrant: 0, ring: 0, moved: 0, active: false }],
+        })
+      );
+      const svg = document.getElementById('radar');
+      const blip = svg.querySelector('.blip');
+      const transform = blip.getAttribute('transform');
+      expect(svg.querySelector('style.radar-theme').textContent).toContain('--radar-background: #fff;');
+      expect(blip.querySelector('circle').style.fill).toBe('var(--radar-inactive, #ddd)');
+
+      // WHEN: The system switches to dark mode
+      query.matches = true;
+      for (const listener of listeners) {
+        listener();
+      }
+
+      // THEN: The palette is swapped in place
+      expect(svg.querySelector('.blip')).toBe(blip);
+      expect(blip.getAttribute('transform')).toBe(transform);
+      expect(svg.querySelector('style.radar-theme').textContent).toContain('--radar-background: #1e1f22;');
+      expect(svg.querySelector('style.radar-theme').textContent).toContain('color-scheme: dark;');
+      expect(blip.querySelector('circle').style.fill).toBe('var(--radar-inactive, #4a4c52)');
+      expect(instance.getConfig().entries[0].color).toBe('#4a4c52');
+
+      // WHEN: The radar is destroyed
+      instance.destroy();
+
+      // THEN: It stops listening
+      expect(listeners.size).toBe(0);
+    } finally {
+      window.matchMedia = originalMatchMedia;
+    }
+  });
+
+  test('should not watch the system color scheme unless set to auto', () => {
+    // GIVEN: A radar with the default color scheme
+    const originalMatchMedia = window.matchMedia;
+    const addEventListener = mock();
+    window.matchMedia = () => ({ matches: true, addEventListener, removeEventListener: mock() });
+
+    try {
+      // WHEN: Rendering it
+      radar_visualization(createMinimalConfig({ entries: [{ label: 'Kafka', quadrant: 0, ring: 0, moved: 0 }] }));
+
+      // THEN: The radar stays light
+      expect(addEventListener).not.toHaveBeenCalled();
+      expect(document.querySelector('style.radar-theme').textContent).toContain('--radar-background: #fff;');
+    } finally {
+      window.matchMedia = originalMatchMedia;
+    }
+  });
+});
+
+describe('Module exports', () => {
+  test('should render from the package entry without a global d3', async () => {
+    // GIVEN: Neither a global nor an injected d3
+    const globalD3 = globalThis.d3;
+    const previous = library.setD3(null);
+    globalThis.d3 = undefined;
+
+    try {
+      // WHEN: Loading the ES module entry and rendering a radar
+      const entry = await import('../../../src/module.js');
+      entry.default(createMinimalConfig({ entries: [{ label: 'Kafka', quadrant: 0, ring: 0, moved: 2 }] }));
+
+      // THEN: The radar renders (with a star) using the whole d3 namespace the entry imports
+      expect(library.setD3(null).scaleLinear).toBe(d3.scaleLinear);
+      expect(entry.default).toBe(radar_visualization);
+      expect(entry.validateConfigReport).toBe(library.validateConfigReport);
+      expect(document.querySelectorAll('svg#radar .blip path')).toHaveLength(1);
+    } finally {
+      globalThis.d3 = globalD3;
+      library.setD3(previous);
+    }
+  });
+
+  test('should export the building blocks individually', () => {
+    // GIVEN: The module namespace
+    // WHEN: Looking up the named exports
+    // THEN: They are available next to the default export
+    expect(library.default).toBe(radar_visualization);
+    expect(library.radar_visualization).toBe(radar_visualization);
+    for (const name of ['renderToString', 'validateConfig', 'EntryProcessor', 'ConfigValidationError', 'setD3']) {
+      expect(typeof library[name]).toBe('function');
+    }
+  });
+
+  test('should render with an injected d3 instead of the global', () => {
+    // GIVEN: d3 injected through setD3 and no global d3
+    const globalD3 = globalThis.d3;
+    const previous = library.setD3(d3);
+    globalThis.d3 = undefined;
+
+    try {
+      // WHEN: Rendering a radar
+      radar_visualization(createMinimalConfig({ entries: [{ label: 'Kafka', quadrant: 0, ring: 0, moved: 0 }] }));
+
+      // THEN: The radar renders with the injected d3
+      expect(document.querySelectorAll('svg#radar .blip')).toHaveLength(1);
+    } finally {
+      globalThis.d3 = globalD3;
+      library.setD3(previous);
+    }
+  });
+});
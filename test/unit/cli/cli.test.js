@@ -0,0 +1,386 @@
+/**
+ * Tests for cli.js - the tech-radar command line tool
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { EXIT_CODES, runCli } from '../../../src/cli/cli.js';
+
+const base = {
+  title: 'Platform',
+  quadrants: [{ name: 'Languages' }, { name: 'Infrastructure' }],
+  rings: [
+    { name: 'ADOPT', color: '#5ba300' },
+    { name: 'TRIAL', color: '#009eb0' },
+    { name: 'ASSESS', color: '#c7ba00' },
+    { name: 'HOLD', color: '#e09b96' },
+  ],
+};
+
+const entries = [
+  { label: 'Kotlin', quadrant: 0, ring: 0, moved: 0, active: true },
+  { label: 'Kafka', quadrant: 'Infrastructure', ring: 'TRIAL', moved: 2, active: true },
+  { label: 'Flash', quadrant: 0, ring: 3, moved: -1, active: false },
+];
+
+// Runs the CLI against in-memory files
+function run(args, files = {}) {
+  const written = {};
+  const output = { stdout: '', stderr: '' };
+  const code = runCli(args, {
+    readFile: path => {
+      if (!(path in files)) {
+        throw new Error('no such file');
+      }
+      return files[path];
+    },
+    writeFile: (path, text) => {
+      written[path] = text;
+    },
+    stdout: text => {
+      output.stdout += text;
+    },
+    stderr: text => {
+      output.stderr += text;
+    },
+  });
+  return { code, written, ...output };
+}
+
+const radarJson = JSON.stringify({ ...base, entries });
+
+describe('runCli()', () => {
+  test('prints the usage with --help', () => {
+    // WHEN: asking for help
+    const { code, stdout } = run(['--help']);
+
+    // THEN: the commands are listed
+    expect(code).toBe(EXIT_CODES.ok);
+    expect(stdout).toContain('Usage: tech-radar <command> [options]');
+    expect(stdout).toContain('validate <file>');
+  });
+
+  test('exits with 2 for unknown commands, options and unreadable files', () => {
+    // WHEN/THEN: every usage error exits with 2 and explains itself
+    const unknownCommand = run(['publish', 'radar.json']);
+    expect(unknownCommand.code).toBe(EXIT_CODES.usage);
+    expect(unknownCommand.stderr).toContain('tech-radar: Unknown command: publish');
+
+    expect(run(['validate', 'radar.json', '--colour']).code).toBe(EXIT_CODES.usage);
+    expect(run([]).code).toBe(EXIT_CODES.usage);
+
+    const missing = run(['validate', 'missing.json']);
+    expect(missing.code).toBe(EXIT_CODES.usage);
+    expect(missing.stderr).toContain('Cannot read missing.json: no such file');
+  });
+
+  describe('validate', () => {
+    test('exits with 0 for a valid configuration', () => {
+      // GIVEN: a configuration with an entry in every segment
+      const config = {
+        ...base,
+        entries: [0, 1].flatMap(quadrant =>
+          [0, 1, 2, 3].map(ring => ({ label: `E${quadrant}${ring}`, quadrant, ring }))
+        ),
+      };
+
+      // WHEN: validating
+      const { code, stdout } = run(['validate', 'radar.json'], { 'radar.json': JSON.stringify(config) });
+
+      // THEN: the file is reported valid
+      expect(code).toBe(EXIT_CODES.ok);
+      expect(stdout).toBe('radar.json: valid\n');
+    });
+
+    test('exits with 1 and lists every error', () => {
+      // GIVEN: a configuration with two errors
+      const config = { ...base, rings: base.rings.slice(0, 3), entries: [{ label: 'Go', quadrant: 'Web', ring: 0 }] };
+
+      // WHEN: validating
+      const { code, stdout } = run(['validate', 'radar.json'], { 'radar.json': JSON.stringify(config) });
+
+      // THEN: both errors are listed with their fields
+      expect(code).toBe(EXIT_CODES.invalid);
+      expect(stdout).toContain('radar.json: 2 errors');
+      expect(stdout).toContain('error   rings  Number of rings must be between 4 and 8 (found: 3)');
+      expect(stdout).toContain(`error   entries[0].quadrant  Entry 'Go' references unknown quadrant: "Web"`);
+    });
+
+    test('fails on warnings with --strict', () => {
+      // WHEN: validating a configuration with empty segments
+      const files = { 'radar.json': radarJson };
+      const lenient = run(['validate', 'radar.json'], files);
+      const strict = run(['validate', 'radar.json', '--strict'], files);
+
+      // THEN: only --strict fails
+      expect(lenient.code).toBe(EXIT_CODES.ok);
+      expect(lenient.stdout).toContain('warning entries  Segment Languages / TRIAL has no entries');
+      expect(strict.code).toBe(EXIT_CODES.invalid);
+    });
+
+    test('writes a JSON report', () => {
+      // WHEN: validating with --format json
+      const { stdout } = run(['validate', 'radar.json', '--format', 'json'], { 'radar.json': radarJson });
+
+      // THEN: the report has the file, validity, errors and warnings
+      const report = JSON.parse(stdout);
+      expect(report.file).toBe('radar.json');
+      expect(report.valid).toBe(true);
+      expect(report.errors).toEqual([]);
+      expect(report.warnings[0]).toEqual({
+        severity: 'warning',
+        field: 'entries',
+        message: 'Segment Languages / TRIAL has no entries',
+      });
+    });
+
+    test('reads entries-only files merged into --base', () => {
+      // GIVEN: entries in one file, quadrants and rings in another
+      const files = { 'entries.json': JSON.stringify({ entries }), 'base.json': JSON.stringify(base) };
+
+      // WHEN/THEN: the merged configuration is valid, while the entries alone are not
+      expect(run(['validate', 'entries.json', '--base', 'base.json'], files).code).toBe(EXIT_CODES.ok);
+      expect(run(['validate', 'entries.json'], files).code).toBe(EXIT_CODES.invalid);
+    });
+
+    test('exits with 2 for malformed files', () => {
+      // WHEN: validating broken JSON and YAML
+      const json = run(['validate', 'radar.json'], { 'radar.json': '{ "entries": [' });
+      const yaml = run(['validate', 'radar.yaml'], { 'radar.yaml': 'title: [Radar' });
+
+      // THEN: the parse errors name the file
+      expect(json.code).toBe(EXIT_CODES.usage);
+      expect(json.stderr).toStartWith('tech-radar: Cannot parse radar.json: ');
+      expect(yaml.code).toBe(EXIT_CODES.usage);
+      expect(yaml.stderr).toStartWith('tech-radar: Cannot parse radar.yaml: YAML line 1');
+    });
+
+    test('exits with 1 for files that parse but do not fit a configuration', () => {
+      // WHEN: validating a CSV naming an unknown ring
+      const files = {
+        'base.json': JSON.stringify({ quadrants: [{ name: 'Languages' }], rings: [{ name: 'ADOPT' }] }),
+        'entries.csv': 'label,quadrant,ring\nKafka,Languages,HOLD\n',
+      };
+      const { code, stderr } = run(['validate', 'entries.csv', '--base', 'base.json'], files);
+
+      // THEN: the error names the file and counts as an invalid configuration
+      expect(code).toBe(EXIT_CODES.invalid);
+      expect(stderr).toStartWith('tech-radar: entries.csv: ');
+    });
+  });
+
+  describe('convert', () => {
+    test('converts JSON to YAML and back', () => {
+      // WHEN: converting to YAML and the result back to JSON
+      const toYaml = run(['convert', 'radar.json', '-o', 'radar.yaml'], { 'radar.json': radarJson });
+      const toJson = run(['convert', 'radar.yaml', '--to', 'json'], toYaml.written);
+
+      // THEN: the configuration survives the round trip
+      expect(toYaml.code).toBe(EXIT_CODES.ok);
+      expect(toYaml.written['radar.yaml']).toContain('title: Platform');
+      expect(JSON.parse(toJson.stdout)).toEqual({ ...base, entries });
+    });
+
+    test('keeps the comments of YAML input', () => {
+      // GIVEN: YAML with a comment
+      const yaml = '# Our radar\ntitle: Platform\nentries: []\n';
+
+      // WHEN: converting YAML to YAML
+      const { stdout } = run(['convert', 'radar.yml', '--to', 'yaml'], { 'radar.yml': yaml });
+
+      // THEN: the comment is kept
+      expect(stdout).toBe(yaml);
+    });
+
+    test('writes CSV entries and reads them with --base', () => {
+      // WHEN: converting to CSV and back
+      const csv = run(['convert', 'radar.json', '--to', 'csv'], { 'radar.json': radarJson }).stdout;
+      const { stdout } = run(['convert', 'radar.csv', '--base', 'base.json', '--to', 'json'], {
+        'radar.csv': csv,
+        'base.json': JSON.stringify(base),
+      });
+
+      // THEN: rings and quadrants are written by name and read back as indexes
+      expect(csv).toContain('Kafka,Infrastructure,TRIAL');
+      const config = JSON.parse(stdout);
+      expect(config.quadrants).toEqual(base.quadrants);
+      expect(config.entries[1]).toMatchObject({ label: 'Kafka', quadrant: 1, ring: 1, moved: 2 });
+    });
+
+    test('converts from and to the BYOR format', () => {
+      // GIVEN: a BYOR sheet
+      const byor = 'name,ring,quadrant,isNew,status,description\nKafka,Trial,Platforms,FALSE,New,Streams\n';
+
+      // WHEN: converting it to JSON, and a configuration to BYOR JSON
+      const fromByor = run(['convert', 'sheet.csv', '--from', 'byor', '--to', 'json'], { 'sheet.csv': byor });
+      const toByor = run(['convert', 'radar.json', '--to', 'byor', '-o', 'blips.json'], { 'radar.json': radarJson });
+
+      // THEN: both directions convert
+      expect(JSON.parse(fromByor.stdout).entries[0]).toMatchObject({ label: 'Kafka', quadrant: 0, ring: 1, moved: 2 });
+      expect(JSON.parse(toByor.written['blips.json'])[0]).toMatchObject({ name: 'Kotlin', ring: 'ADOPT' });
+    });
+
+    test('needs an output format', () => {
+      // WHEN/THEN: no --to and no output extension is a usage error
+      const { code, stderr } = run(['convert', 'radar.json'], { 'radar.json': radarJson });
+      expect(code).toBe(EXIT_CODES.usage);
+      expect(stderr).toContain('convert needs an output format; use --to');
+      expect(run(['convert', 'radar.json', '--to', 'xml'], { 'radar.json': radarJson }).code).toBe(EXIT_CODES.usage);
+    });
+  });
+
+  describe('render', () => {
+    test('renders SVG to stdout and HTML to an .html file', () => {
+      // WHEN: rendering both formats
+      const svg = run(['render', 'radar.json'], { 'radar.json': radarJson });
+      const html = run(['render', 'radar.json', '-o', 'radar.html', '--stylesheet', 'radar.css'], {
+        'radar.json': radarJson,
+        'radar.css': '.blip { cursor: pointer; }',
+      });
+
+      // THEN: the formats follow the output
+      expect(svg.code).toBe(EXIT_CODES.ok);
+      expect(svg.stdout).toStartWith('<?xml version="1.0" encoding="UTF-8"?>\n<svg');
+      expect(html.written['radar.html']).toStartWith('<!DOCTYPE html>');
+      expect(html.written['radar.html']).toContain('.blip { cursor: pointer; }');
+    });
+
+    test('renders with a theme preset', () => {
+      // WHEN: rendering with the grayscale print theme and an unknown theme
+      const grayscale = run(['render', 'radar.json', '--theme', 'print-grayscale'], { 'radar.json': radarJson });
+      const unknown = run(['render', 'radar.json', '--theme', 'sepia'], { 'radar.json': radarJson });
+
+      // THEN: the preset applies, unknown presets are reported
+      expect(grayscale.stdout).toContain('--radar-ring-color-0: #000;');
+      expect(unknown.code).toBe(EXIT_CODES.invalid);
+      expect(unknown.stderr).toContain('theme must be one of');
+    });
+
+    test('reports every error of an invalid configuration', () => {
+      // WHEN: rendering a configuration without rings
+      const { code, stdout, stderr } = run(['render', 'radar.json'], {
+        'radar.json': JSON.stringify({ ...base, rings: [], entries }),
+      });
+
+      // THEN: nothing is rendered and the errors are listed
+      expect(code).toBe(EXIT_CODES.invalid);
+      expect(stdout).toBe('');
+      expect(stderr).toContain('Number of rings must be between 4 and 8 (found: 0)');
+    });
+  });
+
+  describe('diff', () => {
+    const editions = {
+      ...base,
+      editions: [
+        { date: '2024.1', entries: [{ label: 'Kafka', quadrant: 1, ring: 2 }] },
+        { date: '2024.2', entries: [{ label: 'Kafka', quadrant: 1, ring: 1 }] },
+        {
+          date: '2025.1',
+          entries: [
+            { label: 'Kafka', quadrant: 1, ring: 0 },
+            { label: 'Rust', quadrant: 0, ring: 3 },
+          ],
+        },
+      ],
+    };
+    const files = { 'radar.json': JSON.stringify(editions) };
+
+    test('compares the last two editions of a file', () => {
+      // WHEN: diffing a file with editions
+      const { code, stdout } = run(['diff', 'radar.json'], files);
+
+      // THEN: the Markdown report names the editions
+      expect(code).toBe(EXIT_CODES.ok);
+      expect(stdout).toContain('# 2024.2 vs. 2025.1');
+      expect(stdout).toContain('- Kafka: TRIAL (2024.2) → ADOPT (2025.1)');
+      expect(stdout).toContain('## Only in 2025.1 (1)\n\n- Rust');
+    });
+
+    test('compares selected editions as JSON', () => {
+      // WHEN: diffing two editions given by date and index
+      const { stdout } = run(
+        ['diff', 'radar.json', '--edition', '2024.1', '--edition', '2', '--format', 'json'],
+        files
+      );
+
+      // THEN: the JSON report has the ring differences
+      const report = JSON.parse(stdout);
+      expect(report.left).toBe('2024.1');
+      expect(report.right).toBe('2025.1');
+      expect(report.ringDifferences).toEqual([
+        { key: 'Kafka', label: 'Kafka', leftRing: 'ASSESS', rightRing: 'ADOPT' },
+      ]);
+      expect(report.onlyRight).toEqual(['Rust']);
+    });
+
+    test('compares two files', () => {
+      // GIVEN: two configurations
+      const right = { ...base, entries: [{ label: 'Kotlin', quadrant: 0, ring: 1 }] };
+
+      // WHEN: diffing them
+      const { stdout } = run(['diff', 'old.json', 'new.json'], {
+        'old.json': radarJson,
+        'new.json': JSON.stringify(right),
+      });
+
+      // THEN: the report is named after the files
+      expect(stdout).toContain('# old.json vs. new.json');
+      expect(stdout).toContain('- Kotlin: ADOPT (old.json) → TRIAL (new.json)');
+      expect(stdout).toContain('## Only in old.json (2)');
+    });
+
+    test('rejects unknown editions and files without editions', () => {
+      // WHEN/THEN: both are usage errors
+      expect(run(['diff', 'radar.json', '--edition', '1999', '--edition', '2'], files).stderr).toContain(
+        'Unknown edition: 1999'
+      );
+      expect(run(['diff', 'old.json'], { 'old.json': radarJson }).code).toBe(EXIT_CODES.usage);
+    });
+  });
+
+  describe('stats', () => {
+    test('prints entries per quadrant and ring', () => {
+      // WHEN: counting entries
+      const { code, stdout } = run(['stats', 'radar.json'], { 'radar.json': radarJson });
+
+      // THEN: the table has a row per quadrant, a column per ring and totals
+      expect(code).toBe(EXIT_CODES.ok);
+      expect(stdout).toBe(
+        [
+          'Entries: 3 (1 inactive)',
+          'Moved: 1 new, 0 in, 1 out, 1 unchanged',
+          '',
+          '                ADOPT  TRIAL  ASSESS  HOLD  Total',
+          'Languages           1      0       0     1      2',
+          'Infrastructure      0      1       0     0      1',
+          'Total               1      1       0     1      3',
+          '',
+        ].join('\n')
+      );
+    });
+
+    test('writes JSON stats of the selected edition', () => {
+      // GIVEN: a configuration with editions
+      const config = {
+        ...base,
+        editions: [
+          { date: '2024.1', entries },
+          { date: '2025.1', entries: [] },
+        ],
+      };
+
+      // WHEN: counting the first edition
+      const { stdout } = run(['stats', 'radar.json', '--edition', '2024.1', '--format', 'json'], {
+        'radar.json': JSON.stringify(config),
+      });
+
+      // THEN: the stats are those of the edition
+      const stats = JSON.parse(stdout);
+      expect(stats.total).toBe(3);
+      expect(stats.segments).toEqual([
+        [1, 0, 0, 1],
+        [0, 1, 0, 0],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Tests for themes.js - theme presets, theme objects and CSS custom properties
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  activeColorScheme,
+  contrastRatio,
+  resolveTheme,
+  ringColor,
+  THEME_NAMES,
+  THEMES,
+  themeProperties,
+  themeVar,
+} from '../../../src/config/themes.js';
+
+const rings = [
+  { name: 'ADOPT', color: '#5ba300' },
+  { name: 'TRIAL', color: '#009eb0' },
+  { name: 'ASSESS', color: '#c7ba00' },
+  { name: 'HOLD', color: '#e09b96' },
+];
+
+describe('resolveTheme()', () => {
+  test('uses the light preset by default', () => {
+    // WHEN: resolving a configuration without theme
+    const theme = resolveTheme({});
+
+    // THEN: the light preset applies
+    expect(theme).toEqual(THEMES.light);
+  });
+
+  test('applies a preset, theme values and colors in that order', () => {
+    // GIVEN: a dark theme object and a colors override
+    const config = {
+      theme: { preset: 'dark', grid: '#444', background: '#000' },
+      colors: { background: '#111', inactive: undefined },
+    };
+
+    // WHEN: resolving the theme
+    const theme = resolveTheme(config);
+
+    // THEN: colors win over theme values, which win over the preset
+    expect(theme.background).toBe('#111');
+    expect(theme.grid).toBe('#444');
+    expect(theme.inactive).toBe(THEMES.dark.inactive);
+    expect(theme.preset).toBeUndefined();
+  });
+
+  test('has every value in every preset', () => {
+    // WHEN / THEN: all presets define the same keys
+    for (const name of THEME_NAMES) {
+      expect(Object.keys(THEMES[name]).sort()).toEqual(Object.keys(THEMES.light).sort());
+    }
+  });
+});
+
+describe('color schemes', () => {
+  test('replaces the light preset with the dark one in the dark color scheme', () => {
+    // WHEN: resolving light and high-contrast themes in the dark color scheme
+    const light = resolveTheme({ color_scheme: 'dark' });
+    const highContrast = resolveTheme({ theme: 'high-contrast', color_scheme: 'dark' });
+
+    // THEN: only the light preset is replaced
+    expect(light).toEqual(THEMES.dark);
+    expect(highContrast).toEqual(THEMES['high-contrast']);
+  });
+
+  test('follows prefers-color-scheme when set to auto', () => {
+    // GIVEN: a system in dark mode
+    const originalMatchMedia = globalThis.matchMedia;
+    globalThis.matchMedia = query => ({ matches: query === '(prefers-color-scheme: dark)' });
+
+    try {
+      // WHEN / THEN: auto shows the dark scheme, light stays light
+      expect(activeColorScheme({ color_scheme: 'auto' })).toBe('dark');
+      expect(activeColorScheme({ color_scheme: 'light' })).toBe('light');
+      expect(activeColorScheme({})).toBe('light');
+    } finally {
+      globalThis.matchMedia = originalMatchMedia;
+    }
+  });
+
+  test('computes WCAG contrast ratios', () => {
+    // WHEN / THEN: black on white is 21:1, unknown notations can't be compared
+    expect(contrastRatio('#000', '#fff')).toBeCloseTo(21);
+    expect(contrastRatio('rgb(255, 255, 255)', '#ffffff')).toBeCloseTo(1);
+    expect(contrastRatio('teal', '#fff')).toBeNull();
+  });
+});
+
+describe('ringColor()', () => {
+  test('keeps the ring colors unless the theme replaces them', () => {
+    // WHEN: looking up ring colors with the light and the grayscale preset
+    const light = ringColor(resolveTheme({ theme: 'light' }), rings, 1);
+    const grayscale = rings.map((_ring, index) => ringColor(resolveTheme({ theme: 'print-grayscale' }), rings, index));
+
+    // THEN: the grayscale preset replaces them
+    expect(light).toBe('#009eb0');
+    expect(grayscale).toEqual(THEMES['print-grayscale'].ring_colors.slice(0, 4));
+  });
+
+  test('repeats theme ring colors for more rings', () => {
+    // GIVEN: a theme with two ring colors
+    const theme = resolveTheme({ theme: { ring_colors: ['#000', '#666'] } });
+
+    // WHEN / THEN: the colors repeat
+    expect(ringColor(theme, rings, 3)).toBe('#666');
+  });
+
+  test('lightens ring colors that are hard to see on a dark background', () => {
+    // GIVEN: the dark theme and a dark ring color
+    const theme = resolveTheme({ theme: 'dark' });
+    const darkRings = [{ name: 'HOLD', color: '#331111' }, ...rings];
+
+    // WHEN: looking up the ring colors
+    const lightened = ringColor(theme, darkRings, 0);
+
+    // THEN: the dark color is lightened to a readable contrast, readable colors are kept
+    expect(lightened).not.toBe('#331111');
+    expect(contrastRatio(lightened, theme.background)).toBeGreaterThanOrEqual(3);
+    expect(ringColor(theme, darkRings, 1)).toBe('#5ba300');
+  });
+});
+
+describe('themeProperties()', () => {
+  test('lists custom properties for the theme values and ring colors', () => {
+    // WHEN: listing the properties of the light theme
+    const properties = Object.fromEntries(themeProperties(resolveTheme({}), rings));
+
+    // THEN: names are kebab-case, sizes in pixels, ring colors numbered
+    expect(properties['--radar-bubble-background']).toBe('#333');
+    expect(properties['--radar-title-font-size']).toBe('34px');
+    expect(properties['--radar-ring-color-3']).toBe('#e09b96');
+    expect(properties['--radar-ring-colors']).toBeUndefined();
+    expect(properties['color-scheme']).toBe('light');
+  });
+
+  test('reads values from the custom properties with the theme as fallback', () => {
+    // WHEN / THEN: the value falls back to the resolved theme
+    expect(themeVar(resolveTheme({ theme: 'dark' }), 'grid')).toBe(`var(--radar-grid, ${THEMES.dark.grid})`);
+  });
+});
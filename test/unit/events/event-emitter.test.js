@@ -0,0 +1,76 @@
+/**
+ * Tests for event-emitter.js - Instance event emitter
+ */
+
+import { describe, expect, mock, test } from 'bun:test';
+import { createEventEmitter, RADAR_EVENTS } from '../../../src/events/event-emitter.js';
+
+describe('createEventEmitter', () => {
+  test('should call subscribed handlers with the payload', () => {
+    // GIVEN: An emitter with a subscribed handler
+    const events = createEventEmitter(['ping']);
+    const handler = mock();
+    events.on('ping', handler);
+
+    // WHEN: Emitting
+    events.emit('ping', { value: 1 });
+
+    // THEN: Handler receives the payload
+    expect(handler).toHaveBeenCalledWith({ value: 1 });
+  });
+
+  test('should stop calling a handler after unsubscribe or off()', () => {
+    // GIVEN: Two handlers
+    const events = createEventEmitter(['ping']);
+    const first = mock();
+    const second = mock();
+    const unsubscribe = events.on('ping', first);
+    events.on('ping', second);
+
+    // WHEN: Removing both and emitting
+    unsubscribe();
+    events.off('ping', second);
+    events.emit('ping', {});
+
+    // THEN: Neither is called
+    expect(first).not.toHaveBeenCalled();
+    expect(second).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown events and non-function handlers', () => {
+    const events = createEventEmitter(RADAR_EVENTS);
+
+    expect(() => events.on('blipDoubleClick', () => {})).toThrow('Unknown event "blipDoubleClick"');
+    expect(() => events.on('blipClick', null)).toThrow('Handler for "blipClick" must be a function');
+  });
+
+  test('should keep calling handlers when one throws', () => {
+    // GIVEN: A throwing handler followed by a working one
+    const events = createEventEmitter(['ping']);
+    const handler = mock();
+    const originalError = console.error;
+    console.error = mock();
+    events.on('ping', () => {
+      throw new Error('boom');
+    });
+    events.on('ping', handler);
+
+    // WHEN: Emitting
+    events.emit('ping', {});
+    console.error = originalError;
+
+    // THEN: The second handler still runs
+    expect(handler).toHaveBeenCalled();
+  });
+
+  test('clear() should remove all handlers', () => {
+    const events = createEventEmitter(['ping']);
+    const handler = mock();
+    events.on('ping', handler);
+
+    events.clear();
+    events.emit('ping', {});
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for byor-io.js - conversion from and to the "Build Your Own Radar" format
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { configToByor, exportByor, importByor, parseByor } from '../../../src/integration/byor-io.js';
+import { validateConfig } from '../../../src/validation/config-validator.js';
+
+const sheet = `name,ring,quadrant,isNew,status,description
+Kafka,adopt,Platforms,FALSE,No Change,"Event streaming, <b>everywhere</b>"
+Go,Trial,Languages & Frameworks,TRUE,,
+Rust,assess,Languages & Frameworks,FALSE,Moved In,
+Jenkins,Hold,Tools,FALSE,moved out,
+Zig,Explore,Languages & Frameworks,FALSE,New,
+Pairing,Adopt,Techniques,false,,
+`;
+
+describe('BYOR I/O', () => {
+  describe('importByor', () => {
+    test('converts a BYOR sheet to a configuration', () => {
+      // WHEN: Importing a BYOR CSV sheet
+      const config = importByor(sheet);
+
+      // THEN: Quadrants follow their first appearance, the BYOR rings come first
+      expect(config.quadrants).toEqual([
+        { name: 'Platforms' },
+        { name: 'Languages & Frameworks' },
+        { name: 'Tools' },
+        { name: 'Techniques' },
+      ]);
+      expect(config.rings).toEqual([
+        { name: 'ADOPT', color: '#5ba300' },
+        { name: 'TRIAL', color: '#009eb0' },
+        { name: 'ASSESS', color: '#c7ba00' },
+        { name: 'HOLD', color: '#e09b96' },
+        { name: 'EXPLORE', color: '#cc6699' },
+      ]);
+      expect(config.entries[0]).toEqual({
+        label: 'Kafka',
+        quadrant: 0,
+        ring: 0,
+        moved: 0,
+        active: true,
+        description: 'Event streaming, <b>everywhere</b>',
+      });
+      expect(config.entries.map(entry => [entry.label, entry.ring, entry.moved])).toEqual([
+        ['Kafka', 0, 0],
+        ['Go', 1, 2],
+        ['Rust', 2, 1],
+        ['Jenkins', 3, -1],
+        ['Zig', 4, 2],
+        ['Pairing', 0, 0],
+      ]);
+      expect(() => validateConfig(config)).not.toThrow();
+    });
+
+    test('reads BYOR JSON', () => {
+      const config = importByor(
+        JSON.stringify([{ name: 'Kafka', ring: 'Adopt', quadrant: 'Platforms', isNew: true, description: '' }])
+      );
+
+      expect(config.entries).toEqual([{ label: 'Kafka', quadrant: 0, ring: 0, moved: 2, active: true }]);
+    });
+
+    test('reports missing columns and fields with their row', () => {
+      expect(() => importByor('name,quadrant\nKafka,Platforms\n')).toThrow('BYOR row 1: Missing column "ring"');
+      expect(() => importByor('name,ring,quadrant\nKafka,,Platforms\n')).toThrow('BYOR row 2: Missing ring');
+      expect(() => importByor('[{"name":"Kafka","ring":"Adopt"}]')).toThrow('BYOR row 1: Missing quadrant');
+      expect(() => importByor('name,ring,quadrant,status\nKafka,Adopt,Platforms,Gone\n')).toThrow(
+        'BYOR row 2: Unknown status "Gone"'
+      );
+      expect(() => importByor('{"name":"Kafka"}')).toThrow('BYOR JSON must be an array of blips');
+    });
+
+    test('matches header names case-insensitively and ignores other columns', () => {
+      const [blip] = parseByor('Name,Ring,Quadrant,Owner\nKafka,Adopt,Platforms,Team A\n');
+
+      expect(blip).toEqual({ row: 2, name: 'Kafka', ring: 'Adopt', quadrant: 'Platforms' });
+    });
+  });
+
+  describe('exportByor', () => {
+    const config = {
+      quadrants: [{ name: 'Languages' }, { name: 'Infrastructure' }],
+      rings: [{ name: 'ADOPT' }, { name: 'TRIAL' }, { name: 'ASSESS' }, { name: 'HOLD' }],
+      entries: [
+        { label: 'Kafka', quadrant: 1, ring: 0, moved: 0, description: 'Event streaming, everywhere' },
+        { label: 'Go', quadrant: 0, ring: 1, moved: 2 },
+        { label: 'Perl', quadrant: 0, ring: 3, moved: -1 },
+      ],
+    };
+
+    test('writes entries as BYOR blips', () => {
+      expect(configToByor(config)[1]).toEqual({
+        name: 'Go',
+        ring: 'TRIAL',
+        quadrant: 'Languages',
+        isNew: 'TRUE',
+        status: 'New',
+        description: '',
+      });
+    });
+
+    test('writes BYOR CSV and JSON', () => {
+      expect(exportByor(config)).toBe(
+        'name,ring,quadrant,isNew,status,description\r\n' +
+          'Kafka,ADOPT,Infrastructure,FALSE,No Change,"Event streaming, everywhere"\r\n' +
+          'Go,TRIAL,Languages,TRUE,New,\r\n' +
+          'Perl,HOLD,Languages,FALSE,Moved Out,\r\n'
+      );
+      expect(JSON.parse(exportByor(config, { format: 'json' }))[2].status).toBe('Moved Out');
+    });
+
+    test('round trips through the BYOR format', () => {
+      const imported = importByor(exportByor(config));
+
+      expect(imported.entries.map(({ label, quadrant, ring, moved }) => ({ label, quadrant, ring, moved }))).toEqual([
+        { label: 'Kafka', quadrant: 0, ring: 0, moved: 0 },
+        { label: 'Go', quadrant: 1, ring: 1, moved: 2 },
+        { label: 'Perl', quadrant: 1, ring: 3, moved: -1 },
+      ]);
+    });
+  });
+});
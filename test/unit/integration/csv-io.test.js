@@ -0,0 +1,159 @@
+/**
+ * Tests for csv-io.js - CSV import and export of radar entries
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { detectDelimiter, parseCsv, parseEntriesCsv, stringifyEntriesCsv } from '../../../src/integration/csv-io.js';
+
+const config = {
+  quadrants: [{ name: 'Languages' }, { name: 'Infrastructure' }],
+  rings: [{ name: 'ADOPT' }, { name: 'TRIAL' }, { name: 'ASSESS' }, { name: 'HOLD' }],
+};
+
+describe('CSV I/O', () => {
+  describe('parseCsv', () => {
+    test('reads quoted fields with delimiters, quotes and line breaks', () => {
+      // GIVEN: RFC 4180 CSV with CRLF line endings
+      const text = 'label,description\r\n"Kafka, the log","Says ""hi""\nacross lines"\r\nGo,plain\r\n';
+
+      // WHEN: Parsing it
+      const records = parseCsv(text);
+
+      // THEN: Fields are unquoted and rows start where their record starts
+      expect(records).toEqual([
+        { row: 1, cells: ['label', 'description'] },
+        { row: 2, cells: ['Kafka, the log', 'Says "hi"\nacross lines'] },
+        { row: 4, cells: ['Go', 'plain'] },
+      ]);
+    });
+
+    test('skips blank lines and keeps empty fields', () => {
+      expect(parseCsv('a,b\n\n1,\n')).toEqual([
+        { row: 1, cells: ['a', 'b'] },
+        { row: 3, cells: ['1', ''] },
+      ]);
+    });
+
+    test('reports malformed quotes with their row', () => {
+      expect(() => parseCsv('label\n"Kafka')).toThrow('CSV row 2: Unterminated quoted field');
+      expect(() => parseCsv('label\n"Kafka"x')).toThrow('CSV row 2: Unexpected text after a quoted field');
+    });
+
+    test('detects semicolon and tab delimiters', () => {
+      expect(detectDelimiter('label;ring;quadrant\nKafka;0;0')).toBe(';');
+      expect(detectDelimiter('label\tring')).toBe('\t');
+      expect(detectDelimiter('label')).toBe(',');
+    });
+  });
+
+  describe('parseEntriesCsv', () => {
+    test('parses quadrants and rings by name or index, moved and booleans', () => {
+      // GIVEN: A spreadsheet export with mixed notations
+      const text = [
+        'Name,Quadrant,Ring,Moved,Active,URL,Tags',
+        'Kafka,infrastructure,Adopt,in,yes,https://kafka.apache.org,"streaming; messaging"',
+        'Go,0,1,,,,',
+        'Flash,Languages,hold,-1,no,,',
+      ].join('\n');
+
+      // WHEN: Parsing the entries
+      const entries = parseEntriesCsv(text, config);
+
+      // THEN: Values are converted; blank moved and active default to 0 and true
+      expect(entries).toEqual([
+        {
+          label: 'Kafka',
+          quadrant: 1,
+          ring: 0,
+          moved: 1,
+          active: true,
+          link: 'https://kafka.apache.org',
+          tags: ['streaming', 'messaging'],
+        },
+        { label: 'Go', quadrant: 0, ring: 1, moved: 0, active: true },
+        { label: 'Flash', quadrant: 0, ring: 3, moved: -1, active: false },
+      ]);
+    });
+
+    test('maps headers with an explicit column mapping and ignores unknown columns', () => {
+      const text = 'Technology;Area;Status;Comment\nKafka;Infrastructure;TRIAL;ignored';
+
+      const entries = parseEntriesCsv(text, config, {
+        columns: { Technology: 'label', Area: 'quadrant', Status: 'ring' },
+      });
+
+      expect(entries).toEqual([{ label: 'Kafka', quadrant: 1, ring: 1, moved: 0, active: true }]);
+    });
+
+    test('reports invalid values with their row number', () => {
+      const header = 'label,quadrant,ring,moved,active';
+
+      expect(() => parseEntriesCsv(`${header}\nKafka,0,Adoptt,0,yes`, config)).toThrow(
+        'CSV row 2: Unknown ring "Adoptt"'
+      );
+      expect(() => parseEntriesCsv(`${header}\nKafka,0,0,0,yes\nGo,0,0,sideways,yes`, config)).toThrow(
+        'CSV row 3: Invalid moved value "sideways"'
+      );
+      expect(() => parseEntriesCsv(`${header}\nKafka,0,0,0,maybe`, config)).toThrow(
+        'CSV row 2: Invalid active value "maybe"'
+      );
+      expect(() => parseEntriesCsv(`${header}\n,0,0,0,yes`, config)).toThrow('CSV row 2: Missing label');
+    });
+
+    test('reports the field of invalid values', () => {
+      try {
+        parseEntriesCsv('label,quadrant,ring\nKafka,Tools,0', config);
+        throw new Error('expected an error');
+      } catch (error) {
+        expect(error.name).toBe('ConfigValidationError');
+        expect(error.field).toBe('entries[0].quadrant');
+      }
+    });
+
+    test('requires label, quadrant and ring columns', () => {
+      expect(() => parseEntriesCsv('label,quadrant\nKafka,0', config)).toThrow('CSV row 1: Missing column "ring"');
+      expect(() => parseEntriesCsv('', config)).toThrow('CSV row 1: Missing header row');
+    });
+  });
+
+  describe('stringifyEntriesCsv', () => {
+    test('writes entries with quadrant and ring names and optional columns', () => {
+      // GIVEN: Entries with a description and tags
+      const radar = {
+        ...config,
+        entries: [
+          { label: 'Kafka, the log', quadrant: 1, ring: 0, moved: 1, active: true, tags: ['streaming', 'messaging'] },
+          { label: 'Go', quadrant: 0, ring: 2, moved: 0, active: false, link: 'https://go.dev', x: 12 },
+        ],
+      };
+
+      // WHEN: Writing CSV
+      const csv = stringifyEntriesCsv(radar);
+
+      // THEN: Only data columns are written and special characters are quoted
+      expect(csv).toBe(
+        'label,quadrant,ring,moved,active,link,tags\r\n' +
+          '"Kafka, the log",Infrastructure,ADOPT,1,true,,"streaming, messaging"\r\n' +
+          'Go,Languages,ASSESS,0,false,https://go.dev,\r\n'
+      );
+    });
+
+    test('round-trips entries', () => {
+      const entries = [
+        { label: 'Kafka', quadrant: 1, ring: 0, moved: 2, active: true, owner: 'Platform "core"' },
+        { label: 'Go', quadrant: 0, ring: 3, moved: -1, active: false, owner: 'Languages' },
+      ];
+
+      expect(parseEntriesCsv(stringifyEntriesCsv({ ...config, entries }), config)).toEqual(entries);
+    });
+
+    test('writes indexes and explicit numbers when asked', () => {
+      const csv = stringifyEntriesCsv(
+        { ...config, numbering: 'explicit', entries: [{ label: 'Go', quadrant: 0, ring: 1, number: 7 }] },
+        { names: false }
+      );
+
+      expect(csv.split('\r\n')[1]).toBe('Go,0,1,,,,7');
+    });
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Tests for yaml-io.js - YAML import and export of radar configurations
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { parseYamlConfig, stringifyYamlConfig } from '../../../src/integration/yaml-io.js';
+
+const source = `# Platform team radar
+title: Platform Radar # shown on top
+rings:
+  - { name: ADOPT, color: "#5ba300" }
+  - { name: TRIAL, color: "#009eb0" }
+entries:
+  - label: Kafka
+    quadrant: 1
+    ring: 0 # since 2020
+  # Moving up after the pilot
+  - label: Go
+    quadrant: 0
+    ring: 1
+`;
+
+describe('YAML I/O', () => {
+  describe('parseYamlConfig', () => {
+    test('reads a configuration', () => {
+      const config = parseYamlConfig(source);
+
+      expect(config.title).toBe('Platform Radar');
+      expect(config.rings[1]).toEqual({ name: 'TRIAL', color: '#009eb0' });
+      expect(config.entries.map(entry => entry.label)).toEqual(['Kafka', 'Go']);
+    });
+
+    test('reports syntax errors with their line', () => {
+      expect(() => parseYamlConfig('title: Radar\nentries: [\n  label: Go\n')).toThrow(/^YAML line \d+: /);
+    });
+
+    test('rejects documents that are not a mapping', () => {
+      expect(() => parseYamlConfig('- Kafka\n- Go\n')).toThrow('YAML: Expected a radar configuration (a mapping)');
+      expect(() => parseYamlConfig('')).toThrow('YAML: Expected a radar configuration (a mapping)');
+    });
+  });
+
+  describe('stringifyYamlConfig', () => {
+    test('writes a configuration that reads back the same', () => {
+      const config = { title: 'Radar', entries: [{ label: 'Go', quadrant: 0, ring: 1, link: undefined }] };
+
+      const yaml = stringifyYamlConfig(config);
+
+      expect(yaml).toBe('title: Radar\nentries:\n  - label: Go\n    quadrant: 0\n    ring: 1\n');
+      expect(parseYamlConfig(yaml)).toEqual({ title: 'Radar', entries: [{ label: 'Go', quadrant: 0, ring: 1 }] });
+    });
+
+    test('keeps the comments and formatting of the source', () => {
+      // GIVEN: An imported configuration, changed in the radar
+      const config = parseYamlConfig(source);
+      config.title = 'Platform Radar 2024';
+      config.entries.reverse();
+      config.entries[0].ring = 0;
+      config.entries.push({ label: 'Rust', quadrant: 0, ring: 1 });
+
+      // WHEN: Exporting it into its source
+      const yaml = stringifyYamlConfig(config, { source });
+
+      // THEN: Comments stay with their keys and entries, and flow style is kept
+      expect(yaml).toBe(`# Platform team radar
+title: Platform Radar 2024 # shown on top
+rings:
+  - { name: ADOPT, color: "#5ba300" }
+  - { name: TRIAL, color: "#009eb0" }
+entries:
+  # Moving up after the pilot
+  - label: Go
+    quadrant: 0
+    ring: 0
+  - label: Kafka
+    quadrant: 1
+    ring: 0 # since 2020
+  - label: Rust
+    quadrant: 0
+    ring: 1
+`);
+    });
+
+    test('drops removed keys and entries', () => {
+      const config = parseYamlConfig(source);
+      config.rings = undefined;
+      config.entries = config.entries.slice(1);
+
+      expect(parseYamlConfig(stringifyYamlConfig(config, { source }))).toEqual({
+        title: 'Platform Radar',
+        entries: [{ label: 'Go', quadrant: 0, ring: 1 }],
+      });
+    });
+
+    test('ignores a source that is not valid YAML', () => {
+      expect(stringifyYamlConfig({ title: 'Radar' }, { source: 'title: [' })).toBe('title: Radar\n');
+    });
+  });
+});
@@ -1,6 +1,6 @@
 // Test suite for seeded random number generator
 import { describe, expect, test } from 'bun:test';
-import { SeededRandom } from '../../../src/math/random.js';
+import { deriveSeed, hashString, SeededRandom } from '../../../src/math/random.js';
 
 describe('SeededRandom', () => {
   describe('constructor', () => {
@@ -339,3 +339,36 @@ describe('SeededRandom', () => {
     });
   });
 });
+
+describe('hashString()', () => {
+  test('returns a stable unsigned 32-bit integer', () => {
+    // WHEN: hashing the same string twice
+    const first = hashString('Kafka');
+    const second = hashString('Kafka');
+
+    // THEN: hashes should be equal unsigned integers
+    expect(first).toBe(second);
+    expect(Number.isInteger(first)).toBe(true);
+    expect(first).toBeGreaterThanOrEqual(0);
+    expect(first).toBeLessThan(2 ** 32);
+  });
+
+  test('distinguishes different strings', () => {
+    expect(hashString('Kafka')).not.toBe(hashString('Kafkb'));
+    expect(hashString('')).not.toBe(hashString(' '));
+  });
+});
+
+describe('deriveSeed()', () => {
+  test('is deterministic for the same base seed and key', () => {
+    expect(deriveSeed(42, 'Go')).toBe(deriveSeed(42, 'Go'));
+  });
+
+  test('changes with the base seed', () => {
+    expect(deriveSeed(42, 'Go')).not.toBe(deriveSeed(43, 'Go'));
+  });
+
+  test('changes with the key', () => {
+    expect(deriveSeed(42, 'Go')).not.toBe(deriveSeed(42, 'Rust'));
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * Tests for filter-plugin.js - search and filter bar
+ */
+
+import { afterEach, beforeEach, describe, expect, mock, test } from 'bun:test';
+import { filterPlugin } from '../../../src/plugins/filter-plugin.js';
+
+describe('Filter Plugin', () => {
+  const radarConfig = {
+    svg_id: 'radar',
+    quadrants: [{ name: 'Languages' }, { name: 'Tools' }],
+    rings: [{ name: 'ADOPT' }, { name: 'HOLD' }],
+    entries: [
+      { label: 'Kafka', quadrant: 0, ring: 0, tags: ['streaming'] },
+      { label: 'Redis', quadrant: 1, ring: 1, tags: ['cache'] },
+    ],
+  };
+
+  // Minimal instance context: filter() notifies onFilterChange subscribers like a radar instance
+  function createContext() {
+    const handlers = new Set();
+    const filter = mock(criteria => {
+      for (const handler of handlers) {
+        handler({ criteria: criteria && Object.keys(criteria).length ? criteria : null, matches: [] });
+      }
+    });
+    return {
+      getCurrentConfig: () => radarConfig,
+      filter,
+      onFilterChange: handler => {
+        handlers.add(handler);
+        return () => handlers.delete(handler);
+      },
+    };
+  }
+
+  beforeEach(() => {
+    // URL updates need a page URL (the test window starts at about:blank)
+    window.happyDOM.setURL('http://localhost/');
+    document.body.innerHTML = '<main><svg id="radar"></svg></main>';
+  });
+
+  afterEach(() => {
+    window.happyDOM.setURL('about:blank');
+  });
+
+  test('should have required plugin properties', () => {
+    expect(filterPlugin.name).toBe('filter');
+    expect(filterPlugin.defaults).toMatchObject({ enabled: true, syncUrl: true });
+  });
+
+  test('should render the filter form before the radar', () => {
+    // WHEN: Initializing the plugin
+    const plugin = filterPlugin.init({}, createContext());
+
+    // THEN: The form precedes the radar and lists quadrants, rings and tags
+    const form = plugin.getForm();
+    expect(Array.from(document.querySelector('main').children, element => element.tagName.toLowerCase())).toEqual([
+      'form',
+      'svg',
+    ]);
+    expect(Array.from(form.elements.quadrant.options, option => option.textContent)).toEqual([
+      'All quadrants',
+      'Languages',
+      'Tools',
+    ]);
+    expect(Array.from(form.elements.tags.options, option => option.value)).toEqual(['', 'cache', 'streaming']);
+  });
+
+  test('should filter on input and reflect the filter in the URL', () => {
+    // GIVEN: An initialized plugin
+    const context = createContext();
+    const plugin = filterPlugin.init({}, context);
+    const form = plugin.getForm();
+
+    // WHEN: Typing a query and selecting a ring
+    form.elements.query.value = 'kaf';
+    form.elements.ring.value = '0';
+    form.dispatchEvent(new Event('input'));
+
+    // THEN: The instance is filtered and the URL updated
+    expect(context.filter).toHaveBeenLastCalledWith({ query: 'kaf', ring: 0 });
+    expect(window.location.search).toBe('?q=kaf&ring=0');
+    expect(plugin.getCriteria()).toEqual({ query: 'kaf', ring: 0 });
+  });
+
+  test('should filter once per edit', () => {
+    // GIVEN: An initialized plugin
+    const context = createContext();
+    const plugin = filterPlugin.init({}, context);
+    const form = plugin.getForm();
+
+    // WHEN: Selecting a ring (browsers fire input, then change)
+    form.elements.ring.value = '1';
+    form.dispatchEvent(new Event('input'));
+    form.dispatchEvent(new Event('change'));
+
+    // THEN: The instance is filtered once
+    expect(context.filter).toHaveBeenCalledTimes(1);
+  });
+
+  test('should show rings named in the URL', () => {
+    // GIVEN: A URL naming a ring
+    window.history.replaceState(null, '', '/?ring=hold');
+
+    // WHEN: Initializing the plugin
+    const plugin = filterPlugin.init({}, createContext());
+
+    // THEN: The ring is selected by its index
+    expect(plugin.getForm().elements.ring.value).toBe('1');
+  });
+
+  test('should apply the filter of the URL on init', () => {
+    // GIVEN: A URL with filter parameters
+    window.history.replaceState(null, '', '/?ring=1&active=true');
+    const context = createContext();
+
+    // WHEN: Initializing the plugin
+    const plugin = filterPlugin.init({}, context);
+
+    // THEN: The filter is applied and shown in the form
+    expect(context.filter).toHaveBeenCalledWith({ ring: [1], active: true });
+    expect(plugin.getForm().elements.ring.value).toBe('1');
+    expect(plugin.getForm().elements.active.checked).toBe(true);
+  });
+
+  test('should clear the filter on reset', () => {
+    // GIVEN: A filtered radar
+    window.history.replaceState(null, '', '/?q=redis');
+    const context = createContext();
+    const plugin = filterPlugin.init({}, context);
+
+    // WHEN: Resetting the form
+    plugin.getForm().reset();
+
+    // THEN: The filter and URL parameters are cleared
+    expect(context.filter).toHaveBeenLastCalledWith(null);
+    expect(window.location.search).toBe('');
+  });
+
+  test('should leave the URL alone when syncUrl is disabled', () => {
+    // GIVEN: A URL with filter parameters and syncUrl disabled
+    window.history.replaceState(null, '', '/?q=redis');
+    const context = createContext();
+    const plugin = filterPlugin.init({ syncUrl: false }, context);
+
+    // WHEN: Filtering
+    plugin.setCriteria({ ring: 0 });
+
+    // THEN: The URL is neither read nor written
+    expect(context.filter).toHaveBeenCalledTimes(1);
+    expect(window.location.search).toBe('?q=redis');
+  });
+
+  test('should warn without a radar instance', () => {
+    // GIVEN: A context without filter support
+    const warn = mock();
+    const originalWarn = console.warn;
+    console.warn = warn;
+
+    // WHEN: Initializing the plugin
+    const plugin = filterPlugin.init({}, { getCurrentConfig: () => radarConfig });
+    console.warn = originalWarn;
+
+    // THEN: It does nothing
+    expect(warn).toHaveBeenCalledWith('Filter plugin requires a radar instance');
+    expect(document.querySelector('.radar-filter')).toBeNull();
+    plugin.cleanup();
+  });
+
+  test('should remove the form on cleanup', () => {
+    // GIVEN: An initialized plugin
+    const plugin = filterPlugin.init({}, createContext());
+
+    // WHEN: Cleaning up
+    plugin.cleanup();
+
+    // THEN: The form is gone
+    expect(document.querySelector('.radar-filter')).toBeNull();
+  });
+});
@@ -2,8 +2,8 @@
  * Tests for import-export-plugin.js - JSON import/export functionality
  */
 
-import { describe, expect, test } from 'bun:test';
-import { importExportPlugin } from '../../../src/plugins/import-export-plugin.js';
+import { describe, expect, mock, test } from 'bun:test';
+import { acceptList, detectFormat, importExportPlugin } from '../../../src/plugins/import-export-plugin.js';
 
 describe('Import/Export Plugin', () => {
   describe('Plugin Definition', () => {
@@ -93,6 +93,127 @@ describe('Import/Export Plugin', () => {
       // THEN: Import function should be available
       expect(typeof instance.import).toBe('function');
     });
+
+    test('should compare imported editions with the current radar when diffOnImport is set', async () => {
+      // GIVEN: A plugin that diffs on import
+      const context = {
+        getCurrentConfig: () => ({ title: 'Q1', entries: [{ label: 'Kafka', ring: 1 }] }),
+        demoSlug: 'import-test',
+      };
+      const instance = importExportPlugin.init({ diffOnImport: true }, context);
+
+      // WHEN: Importing the next edition
+      const imported = await instance.import(JSON.stringify({ title: 'Q2', entries: [] }));
+
+      // THEN: The current radar is attached as previous edition
+      expect(imported.previous.title).toBe('Q1');
+    });
+  });
+
+  describe('CSV', () => {
+    const radarConfig = {
+      quadrants: [{ name: 'Languages' }, { name: 'Infrastructure' }],
+      rings: [{ name: 'ADOPT' }, { name: 'TRIAL' }, { name: 'ASSESS' }, { name: 'HOLD' }],
+      entries: [{ label: 'Kafka', quadrant: 1, ring: 0, moved: 0, active: true }],
+    };
+    const context = { getCurrentConfig: () => radarConfig, demoSlug: 'csv-test' };
+
+    test('should detect formats by extension, then MIME type', () => {
+      expect(detectFormat({ name: 'entries.CSV', type: 'application/json' })).toBe('csv');
+      expect(detectFormat({ name: 'download', type: 'text/csv; charset=utf-8' })).toBe('csv');
+      expect(detectFormat({ name: 'radar.json' })).toBe('json');
+      expect(detectFormat({ name: 'notes.txt', type: 'text/plain' })).toBeNull();
+      expect(acceptList(['json'])).toBe('application/json,.json');
+    });
+
+    test('should import entries from a CSV file using the ring and quadrant names of the radar', async () => {
+      // GIVEN: A plugin and a CSV file
+      const instance = importExportPlugin.init({}, context);
+      const file = new File(['label,quadrant,ring\nGo,Languages,Trial\n'], 'entries.csv', { type: 'text/csv' });
+
+      // WHEN: Importing it
+      const imported = await instance.import(file);
+
+      // THEN: The entries are imported
+      expect(imported).toEqual({ entries: [{ label: 'Go', quadrant: 0, ring: 1, moved: 0, active: true }] });
+      expect(instance.accept).toContain('.csv');
+    });
+
+    test('should use the configured CSV column mapping', async () => {
+      const instance = importExportPlugin.init({ csvColumns: { Tech: 'label' } }, context);
+
+      const imported = await instance.import('Tech,quadrant,ring\nGo,0,0', { format: 'csv' });
+
+      expect(imported.entries[0].label).toBe('Go');
+    });
+
+    test('should export entries as CSV', async () => {
+      // GIVEN: A plugin
+      const instance = importExportPlugin.init({ fileNamePattern: 'radar' }, context);
+
+      // WHEN: Exporting CSV
+      const { fileName, blob } = await instance.export({ format: 'csv' });
+
+      // THEN: A CSV file with the entries is created
+      expect(fileName).toBe('radar.csv');
+      expect(blob.type).toContain('text/csv');
+      expect(await blob.text()).toBe('label,quadrant,ring,moved,active,link\r\nKafka,Infrastructure,ADOPT,0,true,\r\n');
+    });
+
+    test('should reject formats that are not enabled', async () => {
+      const instance = importExportPlugin.init({ formats: ['json'] }, context);
+
+      await expect(instance.import('label,quadrant,ring', { format: 'csv' })).rejects.toThrow(
+        'Unsupported format "csv" (enabled: json)'
+      );
+      await expect(instance.export({ format: 'csv' })).rejects.toThrow('Unsupported format "csv"');
+    });
+
+    test('should report CSV errors with their row when importing through a file input', async () => {
+      // GIVEN: A file input set up for imports
+      const instance = importExportPlugin.init({}, context);
+      const input = document.createElement('input');
+      const onImport = mock();
+      const onError = mock();
+      instance.setupImport(input, onImport, { onError });
+      const file = new File(['label,quadrant,ring\nGo,Languages,Someday\n'], 'entries.csv', { type: 'text/csv' });
+      Object.defineProperty(input, 'files', { value: [file], configurable: true });
+      Object.defineProperty(input, 'value', { set: () => {}, get: () => '', configurable: true });
+
+      // WHEN: Selecting the file
+      input.dispatchEvent(new Event('change'));
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      // THEN: The row of the invalid value is reported
+      expect(onImport).not.toHaveBeenCalled();
+      expect(onError).toHaveBeenCalledWith('CSV row 2: Unknown ring "Someday"');
+    });
+  });
+
+  describe('YAML', () => {
+    test('should detect YAML files', () => {
+      expect(detectFormat({ name: 'radar.yml' })).toBe('yaml');
+      expect(detectFormat({ name: 'radar', type: 'application/x-yaml' })).toBe('yaml');
+      expect(importExportPlugin.init({}, {}).accept).toContain('.yaml,.yml');
+    });
+
+    test('should keep the comments of the imported YAML on export', async () => {
+      // GIVEN: A YAML file imported into the radar
+      let current = null;
+      const instance = importExportPlugin.init({}, { getCurrentConfig: () => current });
+      const yaml = '# Platform radar\ntitle: Radar # edition\nentries:\n  - label: Go # pilot\n    ring: 1\n';
+      current = await instance.import(new File([yaml], 'radar.yaml'));
+
+      // WHEN: Changing the radar and exporting it as YAML
+      current = { ...current, title: 'Radar 2' };
+      const { fileName, blob } = await instance.export({ format: 'yaml' });
+
+      // THEN: The comments are kept
+      expect(fileName).toEndWith('.yaml');
+      expect(await blob.text()).toBe(
+        '# Platform radar\ntitle: Radar 2 # edition\nentries:\n  - label: Go # pilot\n    ring: 1\n'
+      );
+    });
   });
 
   describe('Cleanup', () => {
@@ -2,8 +2,9 @@
  * Tests for plugin-base.js - Plugin registration and initialization system
  */
 
-import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { afterEach, beforeEach, describe, expect, mock, test } from 'bun:test';
 import {
+  createPluginHost,
   definePlugin,
   getPlugin,
   hasPlugin,
@@ -180,7 +181,8 @@ describe('Plugin Base System', () => {
 
       // THEN: plugin should be initialized with context
       expect(initCalled).toBe(true);
-      expect(receivedContext).toEqual(context);
+      expect(receivedContext).toMatchObject(context);
+      expect(receivedContext.plugins).toBe(result.plugins);
       expect(result.plugins).toBeDefined();
       expect(result.cleanup).toBeDefined();
       expect(typeof result.cleanup).toBe('function');
@@ -303,4 +305,168 @@ describe('Plugin Base System', () => {
       expect(plugin2Init).toBe(true);
     });
   });
+
+  describe('plugin dependencies', () => {
+    function registerRecordingPlugin(name, dependencies, log) {
+      registerPlugin(
+        name,
+        definePlugin({
+          name,
+          dependencies,
+          init: (_config, context) => {
+            log.push({ name, available: Object.keys(context.plugins) });
+            return {
+              cleanup: () => {
+                log.push({ cleanup: name });
+              },
+            };
+          },
+        })
+      );
+    }
+
+    test('should initialize dependencies before dependents and expose them in context', () => {
+      // GIVEN: A plugin configured before the plugin it depends on
+      const log = [];
+      registerRecordingPlugin('depBase', [], log);
+      registerRecordingPlugin('depUser', ['depBase'], log);
+
+      // WHEN: initializing plugins
+      initializePlugins({ depUser: {}, depBase: {} }, {});
+
+      // THEN: the dependency is initialized first and visible to the dependent
+      expect(log).toEqual([
+        { name: 'depBase', available: [] },
+        { name: 'depUser', available: ['depBase'] },
+      ]);
+    });
+
+    test('should add registered dependencies missing from the configuration', () => {
+      // GIVEN: A dependency that is not configured
+      const log = [];
+      registerRecordingPlugin('autoBase', [], log);
+      registerRecordingPlugin('autoUser', ['autoBase'], log);
+
+      // WHEN: initializing only the dependent
+      const { plugins } = initializePlugins({ autoUser: {} }, {});
+
+      // THEN: the dependency is initialized with its defaults
+      expect(Object.keys(plugins)).toEqual(['autoBase', 'autoUser']);
+    });
+
+    test('should not enable explicitly disabled dependencies', () => {
+      // GIVEN: A disabled dependency
+      const log = [];
+      registerRecordingPlugin('offBase', [], log);
+      registerRecordingPlugin('offUser', ['offBase'], log);
+
+      // WHEN: initializing plugins
+      const { plugins } = initializePlugins({ offUser: {}, offBase: { enabled: false } }, {});
+
+      // THEN: only the dependent is initialized
+      expect(Object.keys(plugins)).toEqual(['offUser']);
+    });
+
+    test('should skip plugins in a dependency cycle', () => {
+      // GIVEN: Two plugins depending on each other
+      const log = [];
+      registerRecordingPlugin('cycleA', ['cycleB'], log);
+      registerRecordingPlugin('cycleB', ['cycleA'], log);
+      registerRecordingPlugin('cycleFree', [], log);
+      const originalError = console.error;
+      console.error = mock();
+
+      // WHEN: initializing plugins
+      const { plugins } = initializePlugins({ cycleA: {}, cycleFree: {} }, {});
+      const errorMock = console.error;
+      console.error = originalError;
+
+      // THEN: the cycle is reported and only the free plugin is initialized
+      expect(Object.keys(plugins)).toEqual(['cycleFree']);
+      expect(errorMock).toHaveBeenCalledWith('Plugin dependency cycle detected: cycleA -> cycleB -> cycleA');
+    });
+
+    test('should clean up dependents before their dependencies', () => {
+      // GIVEN: Initialized dependent plugins
+      const log = [];
+      registerRecordingPlugin('orderBase', [], log);
+      registerRecordingPlugin('orderUser', ['orderBase'], log);
+      const { cleanup } = initializePlugins({ orderUser: {} }, {});
+
+      // WHEN: cleaning up
+      cleanup();
+
+      // THEN: cleanup runs in reverse initialization order
+      expect(log.slice(2)).toEqual([{ cleanup: 'orderUser' }, { cleanup: 'orderBase' }]);
+    });
+  });
+
+  describe('createPluginHost', () => {
+    function registerCountingPlugin(name) {
+      const calls = { init: 0, cleanup: 0, context: null };
+      registerPlugin(
+        name,
+        definePlugin({
+          name,
+          init: (_config, context) => {
+            calls.init += 1;
+            calls.context = context;
+            return {
+              cleanup: () => {
+                calls.cleanup += 1;
+              },
+            };
+          },
+        })
+      );
+      return calls;
+    }
+
+    test('should reuse plugins while the plugin configuration is unchanged', () => {
+      // GIVEN: A host and a plugin configuration
+      const calls = registerCountingPlugin('hostReuse');
+      const host = createPluginHost({});
+      const pluginConfig = { hostReuse: {} };
+
+      // WHEN: syncing the same configuration twice, then a new one
+      const first = host.sync(pluginConfig);
+      const second = host.sync(pluginConfig);
+      host.sync({ hostReuse: { option: true } });
+
+      // THEN: plugins are re-initialized only for the new configuration
+      expect(second).toBe(first);
+      expect(calls.init).toBe(2);
+      expect(calls.cleanup).toBe(1);
+    });
+
+    test('should notify onConfigChange subscribers until they unsubscribe', () => {
+      // GIVEN: A plugin subscribed to config changes
+      const calls = registerCountingPlugin('hostChanges');
+      const host = createPluginHost({ demoSlug: 'demo' });
+      host.sync({ hostChanges: {} });
+      const handler = mock();
+      const unsubscribe = calls.context.onConfigChange(handler);
+
+      // WHEN: notifying before and after unsubscribing
+      host.notifyConfigChange({ title: 'V1' });
+      unsubscribe();
+      host.notifyConfigChange({ title: 'V2' });
+
+      // THEN: only the first change is delivered, and the base context is kept
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(handler).toHaveBeenCalledWith({ title: 'V1' });
+      expect(calls.context.demoSlug).toBe('demo');
+    });
+
+    test('cleanup() should clean up plugins once', () => {
+      const calls = registerCountingPlugin('hostCleanup');
+      const host = createPluginHost({});
+      host.sync({ hostCleanup: {} });
+
+      host.cleanup();
+      host.cleanup();
+
+      expect(calls.cleanup).toBe(1);
+    });
+  });
 });
@@ -3,6 +3,7 @@
  */
 
 import { beforeEach, describe, expect, test } from 'bun:test';
+import { importExportPlugin } from '../../../src/plugins/import-export-plugin.js';
 import { toolbarPlugin } from '../../../src/plugins/toolbar-plugin.js';
 
 describe('Toolbar Plugin', () => {
@@ -78,6 +79,27 @@ describe('Toolbar Plugin', () => {
     });
   });
 
+  describe('Import formats', () => {
+    test('should accept the formats of the import/export plugin', () => {
+      // GIVEN: A toolbar container and an import/export plugin reading JSON and CSV
+      document.body.innerHTML = '<div id="test-toolbar"></div>';
+      const context = { getCurrentConfig: () => ({}), demoSlug: 'test' };
+      context.importExportPlugin = importExportPlugin.init({ formats: ['json', 'csv'] }, context);
+
+      // WHEN: Rendering the toolbar
+      const instance = toolbarPlugin.init(
+        { enabled: true, containerId: 'test-toolbar', autoRender: true, buttons: ['import', 'export'] },
+        context
+      );
+
+      // THEN: The file input accepts JSON and CSV files
+      expect(document.getElementById('jsonImportInput').accept).toBe(
+        'application/json,.json,text/csv,application/csv,.csv'
+      );
+      instance.cleanup();
+    });
+  });
+
   describe('Cleanup', () => {
     test('should provide cleanup function that is callable', () => {
       // GIVEN: An initialized plugin
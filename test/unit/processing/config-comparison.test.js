@@ -0,0 +1,114 @@
+/**
+ * Tests for config-comparison.js - comparing two radar configurations
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  compareConfigs,
+  comparisonLabels,
+  createComparisonConfig,
+  formatComparisonReport,
+} from '../../../src/processing/config-comparison.js';
+
+const rings = [{ name: 'ADOPT' }, { name: 'TRIAL' }, { name: 'ASSESS' }, { name: 'HOLD' }];
+const quadrants = [{ name: 'Languages' }, { name: 'Infrastructure' }];
+
+const platform = {
+  title: 'Platform',
+  quadrants,
+  rings,
+  entries: [
+    { label: 'Kafka', quadrant: 1, ring: 0, link: 'https://kafka.apache.org' },
+    { label: 'Go', quadrant: 0, ring: 0 },
+    { label: 'Nomad', quadrant: 1, ring: 3 },
+  ],
+};
+
+const data = {
+  title: 'Data',
+  quadrants: [...quadrants].reverse(),
+  rings: [...rings].reverse(),
+  entries: [
+    { label: 'Kafka', quadrant: 0, ring: 2, link: 'https://wiki/kafka' },
+    { label: 'Go', quadrant: 1, ring: 3 },
+    { label: 'Spark', quadrant: 0, ring: 1 },
+  ],
+};
+
+describe('Config Comparison', () => {
+  describe('compareConfigs', () => {
+    test('reports ring differences, one-sided entries and link conflicts', () => {
+      // WHEN: Comparing configurations with rings and quadrants in a different order
+      const report = compareConfigs(platform, data);
+
+      // THEN: Rings are compared by name
+      expect(report.matched.map(pair => pair.key)).toEqual(['Kafka', 'Go']);
+      expect(report.ringDifferences).toEqual([
+        expect.objectContaining({ key: 'Kafka', label: 'Kafka', leftRing: 'ADOPT', rightRing: 'TRIAL' }),
+      ]);
+      expect(report.onlyLeft.map(entry => entry.label)).toEqual(['Nomad']);
+      expect(report.onlyRight.map(entry => entry.label)).toEqual(['Spark']);
+      expect(report.linkConflicts.map(conflict => conflict.label)).toEqual(['Kafka']);
+    });
+
+    test('matches entries by key before label', () => {
+      const left = { entries: [{ key: 'k8s', label: 'Kubernetes', ring: 0 }] };
+      const right = { entries: [{ key: 'k8s', label: 'K8s', ring: 0 }] };
+
+      const report = compareConfigs(left, right);
+
+      expect(report.matched).toHaveLength(1);
+      expect(report.onlyLeft).toEqual([]);
+    });
+  });
+
+  test('comparisonLabels prefers explicit names over titles', () => {
+    expect(comparisonLabels(platform, data)).toEqual(['Platform', 'Data']);
+    expect(comparisonLabels({}, {}, ['Ops'])).toEqual(['Ops', 'Right']);
+  });
+
+  test('formatComparisonReport renders a Markdown report', () => {
+    const markdown = formatComparisonReport(compareConfigs(platform, data), ['Platform', 'Data']);
+
+    expect(markdown).toContain('# Platform vs. Data');
+    expect(markdown).toContain('## Ring differences (1)\n\n- Kafka: ADOPT (Platform) → TRIAL (Data)');
+    expect(markdown).toContain('## Only in Data (1)\n\n- Spark');
+    expect(markdown).toContain('- Kafka: https://kafka.apache.org (Platform) vs. https://wiki/kafka (Data)');
+  });
+
+  describe('createComparisonConfig', () => {
+    test('overlays the entries of both sides on the left configuration', () => {
+      // WHEN: Building the overlay
+      const config = createComparisonConfig(platform, data);
+
+      // THEN: Right entries are placed by name and matched entries share a comparison key
+      expect(config.title).toBe('Platform vs. Data');
+      expect(config.quadrants).toBe(platform.quadrants);
+      expect(config.comparison).toEqual({ labels: ['Platform', 'Data'] });
+      expect(config.entries.map(entry => [entry.key, entry.quadrant, entry.ring, entry.comparison_key])).toEqual([
+        ['left:Kafka', 1, 0, 'Kafka'],
+        ['left:Go', 0, 0, 'Go'],
+        ['left:Nomad', 1, 3, 'Nomad'],
+        ['right:Kafka', 1, 1, 'Kafka'],
+        ['right:Go', 0, 0, 'Go'],
+        ['right:Spark', 1, 2, 'Spark'],
+      ]);
+    });
+
+    test('drops the edition history and explicit numbers of the left configuration', () => {
+      const left = {
+        ...platform,
+        numbering: 'explicit',
+        editions: [{ date: '2024.1', entries: [] }],
+        previous: { entries: [] },
+      };
+
+      const config = createComparisonConfig(left, data, { labels: ['A', 'B'] });
+
+      expect(config).toMatchObject({ title: 'A vs. B', numbering: 'alphabetical' });
+      expect(config.editions).toBeUndefined();
+      expect(config.previous).toBeUndefined();
+      expect(config.entries.every(entry => entry.number === undefined)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests for edition-diff.js - moved status from the previous edition
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { applyEditionDiff, diffEditions } from '../../../src/processing/edition-diff.js';
+
+const rings = [{ name: 'ADOPT' }, { name: 'TRIAL' }, { name: 'ASSESS' }, { name: 'HOLD' }];
+
+function edition(entries, editionRings = rings) {
+  return { rings: editionRings, entries };
+}
+
+describe('Edition Diff', () => {
+  describe('diffEditions', () => {
+    test('derives ring movement, new entries and archived entries', () => {
+      // GIVEN: two editions
+      const previous = edition([
+        { label: 'Kafka', ring: 1 },
+        { label: 'Redis', ring: 0 },
+        { label: 'Go', ring: 2 },
+        { label: 'Flash', ring: 3 },
+      ]);
+      const current = edition([
+        { label: 'Kafka', ring: 0 },
+        { label: 'Redis', ring: 2 },
+        { label: 'Go', ring: 2 },
+        { label: 'Rust', ring: 2 },
+      ]);
+
+      // WHEN: diffing them
+      const { changes, archived } = diffEditions(previous, current);
+
+      // THEN: every current entry gets a moved status and removed entries are archived
+      expect(changes.map(change => [change.entry.label, change.moved])).toEqual([
+        ['Kafka', 1],
+        ['Redis', -1],
+        ['Go', 0],
+        ['Rust', 2],
+      ]);
+      expect(changes[0].previous).toBe(previous.entries[0]);
+      expect(changes[3].previous).toBeNull();
+      expect(archived).toEqual([{ label: 'Flash', ring: 3 }]);
+    });
+
+    test('matches entries by key before label', () => {
+      // GIVEN: a renamed entry with a stable key, and a label reused by another entry
+      const previous = edition([
+        { key: 'k8s', label: 'Kubernetes', ring: 2 },
+        { label: 'Nomad', ring: 1 },
+      ]);
+      const current = edition([
+        { key: 'k8s', label: 'K8s', ring: 1 },
+        { key: 'nomad-2', label: 'Nomad', ring: 1 },
+      ]);
+
+      // WHEN: diffing
+      const { changes, archived } = diffEditions(previous, current);
+
+      // THEN: the renamed entry moved in; the reused label falls back to a label match
+      expect(changes.map(change => change.moved)).toEqual([1, 0]);
+      expect(archived).toEqual([]);
+    });
+
+    test('matches rings by name when they were reordered or added', () => {
+      // GIVEN: a previous edition without the TRIAL ring
+      const previous = edition([{ label: 'Kafka', ring: 1 }], [{ name: 'ADOPT' }, { name: 'ASSESS' }]);
+      const current = edition([{ label: 'Kafka', ring: 2 }]);
+
+      // WHEN: diffing
+      const { changes } = diffEditions(previous, current);
+
+      // THEN: ASSESS to ASSESS is no change
+      expect(changes[0].moved).toBe(0);
+    });
+
+    test('treats everything as new without previous entries', () => {
+      const { changes, archived } = diffEditions({}, edition([{ label: 'Kafka', ring: 0 }]));
+
+      expect(changes[0].moved).toBe(2);
+      expect(archived).toEqual([]);
+    });
+  });
+
+  test('reads rings of the previous edition by name or id', () => {
+    // GIVEN: a previous edition referencing rings by name, without rings of its own
+    const previous = { entries: [{ label: 'Kafka', ring: 'trial' }] };
+    const current = edition([{ label: 'Kafka', ring: 0 }]);
+
+    // WHEN: diffing them
+    const { changes } = diffEditions(previous, current);
+
+    // THEN: the names refer to the current rings
+    expect(changes[0].moved).toBe(1);
+  });
+
+  describe('applyEditionDiff', () => {
+    test('sets moved on the entries and stores archived entries', () => {
+      // GIVEN: a configuration with a previous edition and hand-maintained (wrong) moved values
+      const config = {
+        ...edition([{ label: 'Kafka', ring: 0, moved: 0 }]),
+        previous: edition([
+          { label: 'Kafka', ring: 1 },
+          { label: 'Flash', ring: 3 },
+        ]),
+      };
+
+      // WHEN: applying the diff
+      applyEditionDiff(config);
+
+      // THEN: moved is derived and the removed entry archived
+      expect(config.entries[0].moved).toBe(1);
+      expect(config.archived.map(entry => entry.label)).toEqual(['Flash']);
+    });
+
+    test('keeps moved values and drops stale archived entries without a previous edition', () => {
+      // GIVEN: a configuration without a previous edition
+      const config = { ...edition([{ label: 'Kafka', ring: 0, moved: -1 }]), archived: [{ label: 'Old' }] };
+
+      // WHEN: applying the diff
+      applyEditionDiff(config);
+
+      // THEN: nothing is derived
+      expect(config.entries[0].moved).toBe(-1);
+      expect(config.archived).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for edition-history.js - dated editions and entry ring history
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  applyEditionHistory,
+  editionIndex,
+  entryHistories,
+  formatEntryHistory,
+} from '../../../src/processing/edition-history.js';
+
+const rings = [{ name: 'ADOPT' }, { name: 'TRIAL' }, { name: 'ASSESS' }, { name: 'HOLD' }];
+
+const editions = [
+  {
+    date: '2024.1',
+    entries: [
+      { label: 'Kafka', quadrant: 0, ring: 2 },
+      { label: 'Flash', quadrant: 1, ring: 3 },
+    ],
+  },
+  { date: '2024.3', entries: [{ label: 'Kafka', quadrant: 0, ring: 1 }] },
+  {
+    date: '2025.1',
+    entries: [
+      { label: 'Kafka', quadrant: 0, ring: 0 },
+      { label: 'Rust', quadrant: 1, ring: 2 },
+    ],
+  },
+];
+
+describe('Edition History', () => {
+  describe('editionIndex', () => {
+    test('defaults to the latest edition', () => {
+      expect(editionIndex(editions)).toBe(2);
+    });
+
+    test('selects editions by index or date', () => {
+      expect(editionIndex(editions, 0)).toBe(0);
+      expect(editionIndex(editions, '2024.3')).toBe(1);
+    });
+
+    test('reports unknown editions', () => {
+      expect(editionIndex(editions, 3)).toBe(-1);
+      expect(editionIndex(editions, '2023.4')).toBe(-1);
+      expect(editionIndex([], 0)).toBe(-1);
+      expect(editionIndex(undefined)).toBe(-1);
+    });
+  });
+
+  describe('entryHistories', () => {
+    test('lists ring changes with the date each ring was reached', () => {
+      // GIVEN: an entry that stayed in a ring for two editions
+      const stable = [
+        { date: 'a', entries: [{ label: 'Go', ring: 2 }] },
+        { date: 'b', entries: [{ label: 'Go', ring: 2 }] },
+        { date: 'c', entries: [{ label: 'Go', ring: 1 }] },
+      ];
+
+      // WHEN: collecting its history
+      const [history] = entryHistories(stable, [{ label: 'Go' }]);
+
+      // THEN: unchanged editions are reported once
+      expect(history).toEqual([
+        { date: 'a', ring: 2 },
+        { date: 'c', ring: 1 },
+      ]);
+    });
+
+    test('matches entries by key before label', () => {
+      const renamed = [
+        { date: 'a', entries: [{ key: 'k8s', label: 'Kubernetes', ring: 2 }] },
+        { date: 'b', entries: [{ key: 'k8s', label: 'K8s', ring: 0 }] },
+      ];
+
+      expect(entryHistories(renamed, [{ key: 'k8s', label: 'K8s' }])[0]).toEqual([
+        { date: 'a', ring: 2 },
+        { date: 'b', ring: 0 },
+      ]);
+    });
+
+    test('resolves rings referenced by name', () => {
+      const named = [
+        { date: 'a', entries: [{ label: 'Kafka', ring: 'assess' }] },
+        { date: 'b', entries: [{ label: 'Kafka', ring: 2 }] },
+        { date: 'c', entries: [{ label: 'Kafka', ring: 'ADOPT' }] },
+      ];
+
+      expect(entryHistories(named, [{ label: 'Kafka' }], rings)[0]).toEqual([
+        { date: 'a', ring: 2 },
+        { date: 'c', ring: 0 },
+      ]);
+    });
+  });
+
+  test('formatEntryHistory joins ring names and dates', () => {
+    const history = [
+      { date: '2024.1', ring: 2 },
+      { date: '2024.3', ring: 1 },
+      { date: '2025.1', ring: 0 },
+    ];
+
+    expect(formatEntryHistory(history, rings)).toBe('ASSESS 2024.1 → TRIAL 2024.3 → ADOPT 2025.1');
+    expect(formatEntryHistory(undefined, rings)).toBe('');
+  });
+
+  describe('applyEditionHistory', () => {
+    test('shows the latest edition compared with the one before', () => {
+      // GIVEN: a configuration with an edition history
+      const config = { rings, editions };
+
+      // WHEN: applying it
+      applyEditionHistory(config);
+
+      // THEN: entries, date and previous edition come from the history
+      expect(config.date).toBe('2025.1');
+      expect(config.entries.map(entry => entry.label)).toEqual(['Kafka', 'Rust']);
+      expect(config.previous.entries).toBe(editions[1].entries);
+      expect(formatEntryHistory(config.entries[0].history, rings)).toBe('ASSESS 2024.1 → TRIAL 2024.3 → ADOPT 2025.1');
+    });
+
+    test('limits the history to the selected edition and copies its entries', () => {
+      // GIVEN: the first edition is selected
+      const config = { rings, editions, edition: '2024.1', previous: { entries: [] } };
+
+      // WHEN: applying it
+      applyEditionHistory(config);
+
+      // THEN: there is no previous edition and the editions are untouched
+      expect(config.previous).toBeUndefined();
+      expect(config.entries[0].history).toEqual([{ date: '2024.1', ring: 2 }]);
+      expect(config.entries[0]).not.toBe(editions[0].entries[0]);
+      expect(editions[0].entries[0].history).toBeUndefined();
+    });
+
+    test('leaves configurations without a known edition alone', () => {
+      const entries = [{ label: 'Kafka', ring: 0 }];
+      const config = { rings, entries, editions, edition: 7 };
+
+      applyEditionHistory(config);
+
+      expect(config.entries).toBe(entries);
+    });
+  });
+});
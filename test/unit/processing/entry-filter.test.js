@@ -0,0 +1,148 @@
+/**
+ * Tests for entry-filter.js - filter criteria, predicates and URL parameters
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  createEntryFilter,
+  fuzzyMatch,
+  isEmptyFilter,
+  readFilterParams,
+  writeFilterParams,
+} from '../../../src/processing/entry-filter.js';
+
+const entries = [
+  { label: 'Kafka', quadrant: 0, ring: 0, moved: 0, active: true, tags: ['streaming'] },
+  { label: 'Kubernetes', quadrant: 1, ring: 0, moved: 1, active: true, tags: ['infra'] },
+  { label: 'Postgres', quadrant: 2, ring: 1, moved: 2, active: false },
+  { label: 'Redis', quadrant: 2, ring: 3, moved: -1, active: true, tags: ['infra', 'cache'] },
+];
+
+const labels = predicate => entries.filter(predicate).map(entry => entry.label);
+
+describe('Entry Filter', () => {
+  describe('fuzzyMatch', () => {
+    test('matches substrings ignoring case', () => {
+      expect(fuzzyMatch('KAF', 'Kafka')).toBe(true);
+      expect(fuzzyMatch(' gres ', 'Postgres')).toBe(true);
+    });
+
+    test('matches characters in order', () => {
+      expect(fuzzyMatch('kbnts', 'Kubernetes')).toBe(true);
+      expect(fuzzyMatch('kfk', 'Kafka')).toBe(true);
+    });
+
+    test('rejects characters out of order', () => {
+      expect(fuzzyMatch('akf', 'Kafka')).toBe(false);
+      expect(fuzzyMatch('redisx', 'Redis')).toBe(false);
+    });
+  });
+
+  describe('isEmptyFilter', () => {
+    test('treats missing and blank criteria as empty', () => {
+      expect(isEmptyFilter(null)).toBe(true);
+      expect(isEmptyFilter({})).toBe(true);
+      expect(isEmptyFilter({ query: '', ring: [], tags: undefined })).toBe(true);
+    });
+
+    test('treats set criteria as non-empty', () => {
+      expect(isEmptyFilter({ ring: 0 })).toBe(false);
+      expect(isEmptyFilter({ active: false })).toBe(false);
+    });
+  });
+
+  describe('createEntryFilter', () => {
+    test('filters by label query', () => {
+      expect(labels(createEntryFilter({ query: 'k' }))).toEqual(['Kafka', 'Kubernetes']);
+    });
+
+    test('filters by quadrant and ring, as single values or lists', () => {
+      expect(labels(createEntryFilter({ quadrant: 2 }))).toEqual(['Postgres', 'Redis']);
+      expect(labels(createEntryFilter({ ring: [1, 3] }))).toEqual(['Postgres', 'Redis']);
+    });
+
+    test('filters by moved status and active flag', () => {
+      expect(labels(createEntryFilter({ moved: [1, 2] }))).toEqual(['Kubernetes', 'Postgres']);
+      expect(labels(createEntryFilter({ active: false }))).toEqual(['Postgres']);
+    });
+
+    test('filters by any of the given tags', () => {
+      expect(labels(createEntryFilter({ tags: 'infra' }))).toEqual(['Kubernetes', 'Redis']);
+      expect(labels(createEntryFilter({ tags: ['cache', 'streaming'] }))).toEqual(['Kafka', 'Redis']);
+    });
+
+    test('requires all criteria to match', () => {
+      expect(labels(createEntryFilter({ tags: 'infra', ring: 0, query: 'kub' }))).toEqual(['Kubernetes']);
+    });
+
+    test('matches everything without criteria', () => {
+      expect(labels(createEntryFilter({}))).toHaveLength(entries.length);
+    });
+
+    test('resolves quadrants and rings by id or name', () => {
+      // GIVEN: a configuration naming its quadrants and rings
+      const config = {
+        quadrants: [{ name: 'Data' }, { name: 'Platforms' }, { id: 'db', name: 'Databases' }],
+        rings: [{ name: 'Adopt' }, { name: 'Trial' }, { name: 'Assess' }, { name: 'Hold' }],
+      };
+
+      // THEN: references match like the numeric indexes they name
+      expect(labels(createEntryFilter({ ring: 'Adopt' }, config))).toEqual(['Kafka', 'Kubernetes']);
+      expect(labels(createEntryFilter({ ring: ['trial', 3] }, config))).toEqual(['Postgres', 'Redis']);
+      expect(labels(createEntryFilter({ quadrant: 'db', ring: 'HOLD' }, config))).toEqual(['Redis']);
+    });
+
+    test('matches nothing for unknown references', () => {
+      expect(labels(createEntryFilter({ ring: 'Adopt' }, { rings: [{ name: 'Hold' }] }))).toEqual([]);
+    });
+
+    test('rejects unknown criteria', () => {
+      expect(() => createEntryFilter({ label: 'Kafka' })).toThrow('Unknown filter criterion "label"');
+    });
+  });
+
+  describe('URL parameters', () => {
+    test('round-trips criteria', () => {
+      // GIVEN: criteria with every kind of value
+      const criteria = { query: 'kaf', quadrant: [0, 2], ring: [1], moved: [-1], active: true, tags: ['a,b', 'c'] };
+
+      // WHEN: writing and reading them back
+      const params = writeFilterParams(new URLSearchParams(), criteria);
+
+      // THEN: the criteria are restored
+      expect(params.toString()).toBe('q=kaf&quadrant=0&quadrant=2&ring=1&moved=-1&active=true&tag=a%2Cb&tag=c');
+      expect(readFilterParams(params)).toEqual(criteria);
+    });
+
+    test('keeps unrelated parameters and removes cleared criteria', () => {
+      // GIVEN: a URL with a filter and another parameter
+      const params = new URLSearchParams('lang=en&q=kafka&ring=0');
+
+      // WHEN: clearing the filter
+      writeFilterParams(params, null);
+
+      // THEN: only the unrelated parameter is left
+      expect(params.toString()).toBe('lang=en');
+      expect(readFilterParams(params)).toBeNull();
+    });
+
+    test('uses the parameter prefix', () => {
+      const params = writeFilterParams(new URLSearchParams(), { query: 'redis' }, 'ops-');
+
+      expect(params.toString()).toBe('ops-q=redis');
+      expect(readFilterParams(params)).toBeNull();
+      expect(readFilterParams(params, 'ops-')).toEqual({ query: 'redis' });
+    });
+
+    test('ignores invalid values', () => {
+      expect(readFilterParams(new URLSearchParams('moved=x&active=maybe'))).toBeNull();
+    });
+
+    test('keeps quadrant and ring names', () => {
+      expect(readFilterParams(new URLSearchParams('ring=Adopt&ring=2&quadrant=db'))).toEqual({
+        quadrant: ['db'],
+        ring: ['Adopt', 2],
+      });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+// The MIT License (MIT)
+
+// Copyright (c) 2017-2024 Zalando SE
+
+import { describe, expect, test } from 'bun:test';
+import { addEntry, moveEntry, removeEntry, updateEntry } from '../../../src/processing/entry-operations.js';
+
+describe('Entry Operations', () => {
+  function createEntries() {
+    return [
+      { label: 'Kafka', quadrant: 0, ring: 1, moved: 0, active: true },
+      { label: 'Redis', key: 'redis-cache', quadrant: 2, ring: 0, moved: 0, active: true },
+    ];
+  }
+
+  describe('addEntry', () => {
+    test('appends a copy and reports its segment', () => {
+      // GIVEN: entries and a new entry
+      const entries = createEntries();
+      const entry = { label: 'Postgres', quadrant: 1, ring: 3, moved: 2, active: true };
+
+      // WHEN: adding it
+      const result = addEntry(entries, entry);
+
+      // THEN: the input is untouched and the copy is appended
+      expect(entries).toHaveLength(2);
+      expect(result.entries).toHaveLength(3);
+      expect(result.entries[2]).toEqual(entry);
+      expect(result.entries[2]).not.toBe(entry);
+      expect(result.entries[0]).toBe(entries[0]);
+      expect(result.affectedSegments).toEqual(['1:3']);
+    });
+
+    test('rejects duplicate keys and non-objects', () => {
+      const entries = createEntries();
+
+      expect(() => addEntry(entries, { label: 'Kafka', quadrant: 1, ring: 1 })).toThrow('Duplicate entry key: "Kafka"');
+      expect(() => addEntry(entries, { label: 'Other', key: 'redis-cache' })).toThrow('Duplicate entry key');
+      expect(() => addEntry(entries, null)).toThrow('Entry must be an object');
+    });
+  });
+
+  describe('updateEntry', () => {
+    test('patches the entry found by key, falling back to label', () => {
+      // GIVEN: entries
+      const entries = createEntries();
+
+      // WHEN: updating by explicit key and by label
+      const byKey = updateEntry(entries, 'redis-cache', { moved: 1 });
+      const byLabel = updateEntry(entries, 'Kafka', { active: false });
+
+      // THEN: only the addressed entry changes
+      expect(byKey.entries[1]).toMatchObject({ label: 'Redis', moved: 1 });
+      expect(byKey.entries[0]).toBe(entries[0]);
+      expect(byLabel.entries[0].active).toBe(false);
+      expect(byLabel.affectedSegments).toEqual(['0:1']);
+    });
+
+    test('rejects unknown keys and renames to a used key', () => {
+      const entries = createEntries();
+
+      expect(() => updateEntry(entries, 'Nope', {})).toThrow('Unknown entry: "Nope"');
+      expect(() => updateEntry(entries, 'Kafka', { key: 'redis-cache' })).toThrow('Duplicate entry key');
+    });
+  });
+
+  describe('removeEntry', () => {
+    test('removes the entry and reports its segment', () => {
+      const result = removeEntry(createEntries(), 'Kafka');
+
+      expect(result.entries.map(entry => entry.label)).toEqual(['Redis']);
+      expect(result.affectedSegments).toEqual(['0:1']);
+    });
+  });
+
+  describe('moveEntry', () => {
+    test('changes ring and quadrant and reports both segments', () => {
+      const result = moveEntry(createEntries(), 'Kafka', { ring: 0, quadrant: 3 });
+
+      expect(result.entries[0]).toMatchObject({ ring: 0, quadrant: 3 });
+      expect(result.affectedSegments).toEqual(['0:1', '3:0']);
+    });
+
+    test('reports segments by index for rings and quadrants referenced by name or id', () => {
+      const config = {
+        quadrants: [{ name: 'Languages' }, { name: 'Tools' }, { name: 'Platforms' }, { name: 'Techniques', id: 'Q3' }],
+        rings: [{ name: 'ADOPT' }, { name: 'TRIAL' }, { name: 'ASSESS' }, { name: 'HOLD', id: 'R3' }],
+      };
+
+      const result = moveEntry(createEntries(), 'Kafka', { ring: 'R3', quadrant: 'Q3' }, config);
+
+      expect(result.entries[0]).toMatchObject({ ring: 'R3', quadrant: 'Q3' });
+      expect(result.affectedSegments).toEqual(['0:1', '3:3']);
+      expect(moveEntry(createEntries(), 'Kafka', { ring: 'hold' }, config).affectedSegments).toEqual(['0:1', '0:3']);
+    });
+
+    test('keeps the quadrant when only the ring is given', () => {
+      const result = moveEntry(createEntries(), 'Kafka', { ring: 0 });
+
+      expect(result.entries[0]).toMatchObject({ ring: 0, quadrant: 0 });
+    });
+  });
+});
@@ -66,7 +66,7 @@ describe('Entry Processor', () => {
         expect(entry).toHaveProperty('color');
         expect(entry).toHaveProperty('x');
         expect(entry).toHaveProperty('y');
-        expect(entry).toHaveProperty('id');
+        expect(entry).toHaveProperty('number');
         expect(entry).toHaveProperty('collision_radius');
       }
     });
@@ -139,8 +139,8 @@ describe('Entry Processor', () => {
       const entries = createTestEntries();
       processor.processEntries(entries);
 
-      // THEN: IDs should be sequential starting from 1 with no duplicates
-      const ids = entries.map(e => parseInt(e.id, 10));
+      // THEN: display numbers should be sequential starting from 1 with no duplicates
+      const ids = entries.map(e => parseInt(e.number, 10));
       const uniqueIds = new Set(ids);
       expect(uniqueIds.size).toBe(entries.length);
       expect(Math.min(...ids)).toBe(1);
@@ -210,7 +210,7 @@ describe('Entry Processor', () => {
       for (let i = 0; i < entries1.length; i++) {
         expect(entries1[i].x).toBeCloseTo(entries2[i].x);
         expect(entries1[i].y).toBeCloseTo(entries2[i].y);
-        expect(entries1[i].id).toBe(entries2[i].id);
+        expect(entries1[i].number).toBe(entries2[i].number);
         expect(entries1[i].color).toBe(entries2[i].color);
       }
     });
@@ -330,8 +330,8 @@ describe('Entry Processor', () => {
       // WHEN: processing entries
       processor.processEntries(entries);
 
-      // THEN: IDs should reflect alphabetical order
-      const sorted = [...entries].sort((a, b) => parseInt(a.id, 10) - parseInt(b.id, 10));
+      // THEN: display numbers should reflect alphabetical order
+      const sorted = [...entries].sort((a, b) => parseInt(a.number, 10) - parseInt(b.number, 10));
       expect(sorted[0].label).toBe('Apple');
       expect(sorted[1].label).toBe('Mango');
       expect(sorted[2].label).toBe('Zebra');
@@ -367,7 +367,7 @@ describe('Entry Processor', () => {
       for (const entry of entries) {
         expect(entry).toHaveProperty('x');
         expect(entry).toHaveProperty('y');
-        expect(entry).toHaveProperty('id');
+        expect(entry).toHaveProperty('number');
       }
     });
 
@@ -414,10 +414,270 @@ describe('Entry Processor', () => {
 
       processor.processEntries(entries);
 
-      // THEN: entry should be processed with ID and valid coordinates
-      expect(entries[0].id).toBe('1');
+      // THEN: entry should be processed with a display number and valid coordinates
+      expect(entries[0].number).toBe('1');
       expect(Number.isFinite(entries[0].x)).toBe(true);
       expect(Number.isFinite(entries[0].y)).toBe(true);
     });
+
+    test('uses config.seed to vary positions', () => {
+      // GIVEN: two processors whose configs differ only by seed
+      const quadrants = generateQuadrants(4);
+      const rings = generateRings(4, 400);
+      const process = seed => {
+        const config = { ...createTestConfig(), seed };
+        const rng = new SeededRandom(seed);
+        const processor = new EntryProcessor(
+          config,
+          quadrants,
+          rings,
+          () => rng.next(),
+          (min, max) => rng.between(min, max)
+        );
+        const entries = createTestEntries();
+        processor.processEntries(entries);
+        return entries;
+      };
+
+      // WHEN: processing the same entries with different seeds
+      const withSeed42 = process(42);
+      const withSeed7 = process(7);
+      const withSeed42Again = process(42);
+
+      // THEN: positions should change with the seed and repeat for the same seed
+      expect(withSeed7[0].x).not.toBeCloseTo(withSeed42[0].x);
+      expect(withSeed42Again[0].x).toBeCloseTo(withSeed42[0].x);
+      expect(withSeed42Again[0].y).toBeCloseTo(withSeed42[0].y);
+    });
+
+    test('keeps positions of other entries when an entry is added', () => {
+      // GIVEN: a processor factory
+      const quadrants = generateQuadrants(4);
+      const rings = generateRings(4, 400);
+      const process = entries => {
+        const rng = new SeededRandom(42);
+        const processor = new EntryProcessor(
+          createTestConfig(),
+          quadrants,
+          rings,
+          () => rng.next(),
+          (min, max) => rng.between(min, max)
+        );
+        processor.processEntries(entries);
+        return entries;
+      };
+
+      // WHEN: processing the entries with and without an extra entry in another segment
+      const before = process(createTestEntries());
+      const after = process([
+        { label: 'Airflow', quadrant: 0, ring: 0, active: true, moved: 2 },
+        ...createTestEntries(),
+      ]);
+
+      // THEN: entries in the other segments keep their positions
+      for (const entry of before.filter(e => !(e.quadrant === 0 && e.ring === 0))) {
+        const same = after.find(e => e.label === entry.label);
+        expect(same.x).toBeCloseTo(entry.x);
+        expect(same.y).toBeCloseTo(entry.y);
+      }
+    });
+
+    test('keeps positions of entries in the same segment when entries are added', () => {
+      // GIVEN: a processor factory and a crowded segment
+      const quadrants = generateQuadrants(4);
+      const rings = generateRings(4, 400);
+      const process = entries => {
+        const rng = new SeededRandom(42);
+        const processor = new EntryProcessor(
+          createTestConfig(),
+          quadrants,
+          rings,
+          () => rng.next(),
+          (min, max) => rng.between(min, max)
+        );
+        processor.processEntries(entries);
+        return entries;
+      };
+      const segmentEntries = count =>
+        Array.from({ length: count }, (_, index) => ({ label: `Tech ${index}`, quadrant: 3, ring: 1, active: true }));
+
+      // WHEN: adding one entry after another to the segment
+      const before = process(segmentEntries(9));
+      for (const count of [10, 11, 12, 15]) {
+        const after = process(segmentEntries(count));
+
+        // THEN: the entries that were there keep their coordinates
+        for (const entry of before) {
+          const same = after.find(e => e.label === entry.label);
+          expect(same.x).toBeCloseTo(entry.x);
+          expect(same.y).toBeCloseTo(entry.y);
+        }
+      }
+    });
+
+    test('derives segment random points from the entry label', () => {
+      // GIVEN: a processed entry
+      const quadrants = generateQuadrants(4);
+      const rings = generateRings(4, 400);
+      const rng = new SeededRandom(42);
+      const processor = new EntryProcessor(
+        createTestConfig(),
+        quadrants,
+        rings,
+        () => rng.next(),
+        (min, max) => rng.between(min, max)
+      );
+
+      // WHEN: requesting the random source for the same label twice
+      const first = processor.entryRandom({ label: 'Tech A' }).next();
+      const second = processor.entryRandom({ label: 'Tech A' }).next();
+
+      // THEN: the sequences start identically
+      expect(first).toBe(second);
+    });
+
+    test('re-layouts only affected segments when asked', () => {
+      // GIVEN: processed entries whose positions were changed afterwards (e.g. by the force simulation)
+      const quadrants = generateQuadrants(4);
+      const rings = generateRings(4, 400);
+      const rng = new SeededRandom(42);
+      const processor = new EntryProcessor(
+        createTestConfig(),
+        quadrants,
+        rings,
+        () => rng.next(),
+        (min, max) => rng.between(min, max)
+      );
+      const entries = processor.processEntries(createTestEntries());
+      for (const entry of entries) {
+        entry.x = 1;
+        entry.y = 2;
+      }
+
+      // WHEN: re-processing with only segment (0, 0) affected
+      processor.processEntries(entries, { affectedSegments: new Set([EntryProcessor.segmentKey(0, 0)]) });
+
+      // THEN: only the entry of that segment is positioned again
+      const moved = entries.filter(entry => entry.x !== 1 || entry.y !== 2).map(entry => entry.label);
+      expect(moved).toEqual(['Tech A']);
+    });
+
+    test('positions unpositioned entries even outside affected segments', () => {
+      // GIVEN: fresh entries without positions
+      const quadrants = generateQuadrants(4);
+      const rings = generateRings(4, 400);
+      const rng = new SeededRandom(42);
+      const processor = new EntryProcessor(
+        createTestConfig(),
+        quadrants,
+        rings,
+        () => rng.next(),
+        (min, max) => rng.between(min, max)
+      );
+
+      // WHEN: processing with an empty affected set
+      const entries = processor.processEntries(createTestEntries(), { affectedSegments: new Set() });
+
+      // THEN: all entries got a position
+      expect(entries.every(entry => Number.isFinite(entry.x) && Number.isFinite(entry.y))).toBe(true);
+    });
+
+    describe('numbering strategies', () => {
+      function processWith(numbering, entries) {
+        const quadrants = generateQuadrants(4);
+        const rings = generateRings(4, 400);
+        const rng = new SeededRandom(42);
+        const processor = new EntryProcessor(
+          { ...createTestConfig(), numbering },
+          quadrants,
+          rings,
+          () => rng.next(),
+          (min, max) => rng.between(min, max)
+        );
+        return processor.processEntries(entries);
+      }
+
+      const numbersByLabel = entries => Object.fromEntries(entries.map(entry => [entry.label, entry.number]));
+
+      test('alphabetical renumbers following entries when one is added', () => {
+        // GIVEN: numbers before and after adding "Airflow" to the first segment
+        const before = numbersByLabel(processWith('alphabetical', createTestEntries()));
+        const after = numbersByLabel(
+          processWith('alphabetical', [
+            ...createTestEntries(),
+            { label: 'Airflow', quadrant: 0, ring: 0, active: true, moved: 2 },
+          ])
+        );
+
+        // THEN: numbers after the new entry shift
+        expect(after.Airflow).toBe(before['Tech A']);
+        expect(after['Tech A']).not.toBe(before['Tech A']);
+      });
+
+      test('insertion keeps existing numbers when an entry is appended', () => {
+        // GIVEN: numbers before and after appending "Airflow" to the first segment
+        const before = numbersByLabel(processWith('insertion', createTestEntries()));
+        const after = numbersByLabel(
+          processWith('insertion', [
+            ...createTestEntries(),
+            { label: 'Airflow', quadrant: 0, ring: 0, active: true, moved: 2 },
+          ])
+        );
+
+        // THEN: existing entries keep their numbers and the new one comes last
+        for (const label of Object.keys(before)) {
+          expect(after[label]).toBe(before[label]);
+        }
+        expect(after.Airflow).toBe('7');
+      });
+
+      test('explicit keeps configured numbers', () => {
+        // GIVEN: entries with explicit numbers
+        const entries = createTestEntries().map((entry, index) => ({ ...entry, number: 100 - index }));
+
+        // WHEN: processing with explicit numbering
+        processWith('explicit', entries);
+
+        // THEN: numbers are untouched
+        expect(entries.map(entry => entry.number)).toEqual([100, 99, 98, 97, 96, 95]);
+      });
+
+      test('never overwrites stable ids', () => {
+        // GIVEN: entries with ids
+        const entries = createTestEntries().map(entry => ({ ...entry, id: `id-${entry.label}` }));
+
+        // WHEN: processing
+        processWith('alphabetical', entries);
+
+        // THEN: ids are preserved next to the display numbers
+        expect(entries[0].id).toBe('id-Tech A');
+        expect(entries[0].number).toMatch(/^\d+$/);
+      });
+
+      test('sortByNumber orders segments by display number', () => {
+        // GIVEN: explicit numbers in reverse label order within one segment
+        const quadrants = generateQuadrants(4);
+        const rings = generateRings(4, 400);
+        const rng = new SeededRandom(42);
+        const processor = new EntryProcessor(
+          { ...createTestConfig(), numbering: 'explicit' },
+          quadrants,
+          rings,
+          () => rng.next(),
+          (min, max) => rng.between(min, max)
+        );
+        const entries = [
+          { label: 'Apple', quadrant: 0, ring: 0, number: 9 },
+          { label: 'Zebra', quadrant: 0, ring: 0, number: 2 },
+        ];
+
+        // WHEN: segmenting and sorting
+        const segmented = processor.segmentEntries(entries);
+        processor.sortByNumber(segmented);
+
+        // THEN: the segment follows the numbers
+        expect(segmented[0][0].map(entry => entry.label)).toEqual(['Zebra', 'Apple']);
+      });
+    });
   });
 });
@@ -0,0 +1,70 @@
+/**
+ * Tests for entry-references.js - quadrant and ring references by index, name or id
+ */
+
+import { describe, expect, test } from 'bun:test';
+import {
+  normalizeEntryReferences,
+  resolveEntryReferences,
+  resolveReference,
+} from '../../../src/processing/entry-references.js';
+
+const quadrants = [{ name: 'Languages', id: 'lang' }, { name: 'Infrastructure' }, { name: 'Datastores', id: 'db' }];
+
+describe('Entry References', () => {
+  describe('resolveReference', () => {
+    test('keeps indexes', () => {
+      expect(resolveReference(quadrants, 1)).toBe(1);
+    });
+
+    test('resolves ids before names', () => {
+      expect(resolveReference(quadrants, 'db')).toBe(2);
+      expect(resolveReference([{ name: 'db' }, { name: 'Data', id: 'db' }], 'db')).toBe(1);
+    });
+
+    test('resolves names, ignoring case if there is no exact match', () => {
+      expect(resolveReference(quadrants, 'Infrastructure')).toBe(1);
+      expect(resolveReference(quadrants, 'infrastructure')).toBe(1);
+    });
+
+    test('reports unknown references', () => {
+      expect(resolveReference(quadrants, 'Tools')).toBe(-1);
+      expect(resolveReference(quadrants, '1')).toBe(-1);
+      expect(resolveReference(undefined, 'Languages')).toBe(-1);
+      expect(resolveReference(quadrants, null)).toBe(-1);
+    });
+  });
+
+  describe('normalizeEntryReferences', () => {
+    test('resolves the references of all entries to indexes', () => {
+      // GIVEN: Entries referencing quadrants and rings by index, name and id
+      const config = {
+        quadrants,
+        rings: [{ name: 'ADOPT', id: 'adopt' }, { name: 'TRIAL' }],
+        entries: [
+          { label: 'Go', quadrant: 'lang', ring: 'TRIAL' },
+          { label: 'Kafka', quadrant: 1, ring: 'adopt' },
+        ],
+      };
+
+      // WHEN: Normalizing the configuration
+      normalizeEntryReferences(config);
+
+      // THEN: Entries reference quadrants and rings by index
+      expect(config.entries.map(({ quadrant, ring }) => [quadrant, ring])).toEqual([
+        [0, 1],
+        [1, 0],
+      ]);
+    });
+
+    test('keeps unknown references for the validator to report', () => {
+      const entries = resolveEntryReferences([{ label: 'Go', quadrant: 'Tools', ring: 0 }], quadrants, []);
+
+      expect(entries[0].quadrant).toBe('Tools');
+    });
+
+    test('ignores configurations without entries', () => {
+      expect(normalizeEntryReferences({ quadrants })).toEqual({ quadrants });
+    });
+  });
+});
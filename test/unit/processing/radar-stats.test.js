@@ -0,0 +1,64 @@
+/**
+ * Tests for radar-stats.js - entry counts per quadrant, ring and segment
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { computeRadarStats } from '../../../src/processing/radar-stats.js';
+
+const quadrants = [{ name: 'Languages', id: 'lang' }, { name: 'Platforms' }];
+const rings = [{ name: 'ADOPT' }, { name: 'TRIAL' }, { name: 'ASSESS' }, { name: 'HOLD' }];
+
+describe('computeRadarStats()', () => {
+  test('counts entries per segment, quadrant and ring', () => {
+    // GIVEN: entries referencing quadrants and rings by index, id and name
+    const entries = [
+      { label: 'Go', quadrant: 0, ring: 0 },
+      { label: 'Rust', quadrant: 'lang', ring: 'trial' },
+      { label: 'Kafka', quadrant: 'Platforms', ring: 0 },
+    ];
+
+    // WHEN: computing stats
+    const stats = computeRadarStats({ quadrants, rings, entries });
+
+    // THEN: every count adds up
+    expect(stats.total).toBe(3);
+    expect(stats.segments).toEqual([
+      [1, 1, 0, 0],
+      [1, 0, 0, 0],
+    ]);
+    expect(stats.quadrants).toEqual([
+      { name: 'Languages', count: 2 },
+      { name: 'Platforms', count: 1 },
+    ]);
+    expect(stats.rings.map(ring => ring.count)).toEqual([2, 1, 0, 0]);
+  });
+
+  test('counts moved statuses and inactive entries', () => {
+    // GIVEN: entries with every moved value
+    const entries = [
+      { label: 'A', quadrant: 0, ring: 0, moved: 2 },
+      { label: 'B', quadrant: 0, ring: 0, moved: 1 },
+      { label: 'C', quadrant: 0, ring: 0, moved: -1, active: false },
+      { label: 'D', quadrant: 0, ring: 0 },
+    ];
+
+    // WHEN: computing stats
+    const stats = computeRadarStats({ quadrants, rings, entries });
+
+    // THEN: each status is counted once
+    expect(stats.moved).toEqual({ new: 1, in: 1, out: 1, unchanged: 1 });
+    expect(stats.inactive).toBe(1);
+  });
+
+  test('reports entries that match no segment', () => {
+    // GIVEN: an entry with an unknown ring
+    const entries = [{ label: 'Lost', quadrant: 0, ring: 'Someday' }];
+
+    // WHEN: computing stats
+    const stats = computeRadarStats({ quadrants, rings, entries });
+
+    // THEN: the entry is unplaced and not counted in a segment
+    expect(stats.unplaced.map(entry => entry.label)).toEqual(['Lost']);
+    expect(stats.quadrants[0].count).toBe(0);
+  });
+});
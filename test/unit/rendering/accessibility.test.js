@@ -0,0 +1,228 @@
+/**
+ * Tests for accessibility.js - keyboard navigation, ARIA labels and the radar description
+ */
+
+import { beforeEach, describe, expect, mock, test } from 'bun:test';
+import radar_visualization from '../../../src/index.js';
+import { entryDescription } from '../../../src/rendering/accessibility.js';
+
+function createConfig(options = {}) {
+  return {
+    svg_id: 'radar',
+    width: 1450,
+    height: 1000,
+    title: 'Test Radar',
+    date: '2024-01',
+    print_layout: true,
+    quadrants: [{ name: 'Languages' }, { name: 'Infrastructure' }, { name: 'Datastores' }, { name: 'Data Management' }],
+    rings: [
+      { name: 'ADOPT', color: '#5ba300' },
+      { name: 'TRIAL', color: '#009eb0' },
+      { name: 'ASSESS', color: '#c7ba00' },
+      { name: 'HOLD', color: '#e09b96' },
+    ],
+    entries: [
+      { label: 'Rust', quadrant: 1, ring: 0, moved: 0, active: true },
+      { label: 'Kafka', quadrant: 0, ring: 1, moved: 2, active: true },
+      { label: 'Go', quadrant: 0, ring: 1, moved: 0, active: true, link: 'https://go.dev' },
+      { label: 'Java', quadrant: 0, ring: 0, moved: -1, active: true },
+    ],
+    ...options,
+  };
+}
+
+// Blip of an entry by label
+function blip(label) {
+  return Array.from(document.querySelectorAll('.blip')).find(node => d3.select(node).datum().label === label);
+}
+
+function press(element, key) {
+  element.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+}
+
+describe('Accessibility', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<svg id="radar"></svg>';
+  });
+
+  describe('entryDescription', () => {
+    test('should name the entry, its ring, quadrant and movement', () => {
+      // GIVEN: A new entry and an inactive one
+      const config = createConfig({ print_layout: false });
+
+      // WHEN / THEN: The descriptions name everything the radar shows
+      expect(entryDescription({ label: 'Kafka', quadrant: 0, ring: 1, moved: 2, active: true }, config)).toBe(
+        'Kafka, TRIAL ring, Languages, new'
+      );
+      expect(entryDescription({ label: 'Rust', quadrant: 1, ring: 0, moved: 0, active: false }, config)).toBe(
+        'Rust, ADOPT ring, Infrastructure, inactive'
+      );
+    });
+  });
+
+  describe('ARIA', () => {
+    test('should label blips, legend items and ring labels', () => {
+      // WHEN: Rendering a radar
+      radar_visualization(createConfig());
+
+      // THEN: Blips are buttons (links if they have one) named after their entry
+      expect(blip('Kafka').getAttribute('role')).toBe('button');
+      expect(blip('Kafka').getAttribute('aria-label')).toBe('Kafka, TRIAL ring, Languages, new');
+      expect(blip('Go').getAttribute('role')).toBe('link');
+      expect(blip('Go').querySelector('a').getAttribute('tabindex')).toBe('-1');
+
+      // THEN: Legend items and ring names are labelled too
+      const legendItem = Array.from(document.querySelectorAll('.legend-entry')).find(node =>
+        node.textContent.endsWith('Java')
+      );
+      expect(legendItem.getAttribute('aria-label')).toMatch(/^\d+\. Java, ADOPT ring, Languages, moved out$/);
+      expect(document.querySelector('.legend-ring-name').getAttribute('role')).toBe('heading');
+      expect(document.querySelector('.legend-ring-name').getAttribute('aria-label')).toMatch(/ ring$/);
+      expect(document.querySelector('text[aria-label="ADOPT ring"]').getAttribute('role')).toBe('img');
+    });
+
+    test('should mark the bubble as tooltip that is hidden until shown', () => {
+      // GIVEN: A rendered radar
+      radar_visualization(createConfig());
+      const bubble = document.querySelector('.bubble');
+      expect(bubble.getAttribute('role')).toBe('tooltip');
+      expect(bubble.getAttribute('aria-hidden')).toBe('true');
+
+      // WHEN: Focusing a blip
+      blip('Kafka').dispatchEvent(new FocusEvent('focus'));
+
+      // THEN: The bubble shows the entry
+      expect(bubble.getAttribute('aria-hidden')).toBe('false');
+      expect(bubble.querySelector('text').textContent).toBe('Kafka');
+    });
+
+    test('should describe the whole radar in a visually hidden element', () => {
+      // WHEN: Rendering a radar
+      radar_visualization(createConfig());
+
+      // THEN: The SVG refers to a description listing entries by quadrant and ring
+      const description = document.getElementById(document.getElementById('radar').getAttribute('aria-describedby'));
+      expect(description.className).toBe('radar-description');
+      expect(description.style.position).toBe('absolute');
+      expect(description.querySelector('p').textContent).toBe('Test Radar, 2024-01: 4 entries');
+      const quadrants = description.querySelector('ul').children;
+      expect(quadrants).toHaveLength(4);
+      expect(quadrants[0].firstChild.textContent).toBe('Languages');
+      expect(Array.from(quadrants[0].querySelectorAll('ul ul li')).map(item => item.textContent)).toEqual(
+        expect.arrayContaining(['Java, moved out', 'Kafka, new', 'Go'])
+      );
+      expect(quadrants[2].querySelectorAll('li')).toHaveLength(0);
+    });
+
+    test('should remove the description with the radar', () => {
+      // GIVEN: A rendered radar
+      const instance = radar_visualization(createConfig());
+
+      // WHEN: Destroying it
+      instance.destroy();
+
+      // THEN: The description is gone
+      expect(document.querySelector('.radar-description')).toBeNull();
+    });
+  });
+
+  describe('keyboard navigation', () => {
+    test('should put the first blip in logical order into the tab sequence', () => {
+      // WHEN: Rendering a radar
+      radar_visualization(createConfig());
+
+      // THEN: Only Java (first quadrant, first ring) is a tab stop
+      const tabStops = document.querySelectorAll('.blip[tabindex="0"]');
+      expect(tabStops).toHaveLength(1);
+      expect(tabStops[0]).toBe(blip('Java'));
+      expect(document.querySelectorAll('.blip[tabindex="-1"]')).toHaveLength(3);
+    });
+
+    test('should move between blips by quadrant, ring and label with the arrow keys', () => {
+      // GIVEN: A radar with the focus on Java
+      radar_visualization(createConfig());
+      blip('Java').focus();
+
+      // WHEN / THEN: The arrow keys follow quadrant, ring and label order
+      press(document.activeElement, 'ArrowRight');
+      expect(document.activeElement).toBe(blip('Go'));
+      press(document.activeElement, 'ArrowDown');
+      expect(document.activeElement).toBe(blip('Kafka'));
+      press(document.activeElement, 'ArrowRight');
+      expect(document.activeElement).toBe(blip('Rust'));
+      press(document.activeElement, 'ArrowRight');
+      expect(document.activeElement).toBe(blip('Rust'));
+      press(document.activeElement, 'Home');
+      expect(document.activeElement).toBe(blip('Java'));
+      press(document.activeElement, 'End');
+      expect(document.activeElement).toBe(blip('Rust'));
+      press(document.activeElement, 'ArrowLeft');
+      expect(document.activeElement).toBe(blip('Kafka'));
+
+      // THEN: The focused blip is the tab stop
+      expect(blip('Kafka').getAttribute('tabindex')).toBe('0');
+      expect(blip('Java').getAttribute('tabindex')).toBe('-1');
+    });
+
+    test('should highlight the legend item while a blip has the focus', () => {
+      // GIVEN: A rendered radar
+      radar_visualization(createConfig());
+
+      // WHEN: Focusing and leaving a blip
+      blip('Kafka').dispatchEvent(new FocusEvent('focus'));
+      const highlighted = document.querySelector('.legend-highlight');
+      blip('Kafka').dispatchEvent(new FocusEvent('blur'));
+
+      // THEN: Its legend item is highlighted while focused
+      expect(highlighted.textContent).toMatch(/Kafka$/);
+      expect(document.querySelector('.legend-highlight')).toBeNull();
+      expect(document.querySelector('.bubble').getAttribute('aria-hidden')).toBe('true');
+    });
+
+    test('should hide the bubble and the legend highlight with Escape', () => {
+      // GIVEN: A focused blip showing its bubble and legend highlight
+      radar_visualization(createConfig());
+      blip('Kafka').dispatchEvent(new FocusEvent('focus'));
+      expect(document.querySelector('.legend-highlight')).not.toBeNull();
+
+      // WHEN: Pressing Escape
+      press(blip('Kafka'), 'Escape');
+
+      // THEN: Both are gone
+      expect(document.querySelector('.bubble').getAttribute('aria-hidden')).toBe('true');
+      expect(document.querySelector('.legend-highlight')).toBeNull();
+    });
+
+    test('should click the blip with Enter and Space', () => {
+      // GIVEN: A radar instance with a click handler
+      const instance = radar_visualization(createConfig());
+      const onClick = mock();
+      instance.on('blipClick', onClick);
+
+      // WHEN: Pressing Enter and Space on a blip
+      press(blip('Kafka'), 'Enter');
+      press(blip('Kafka'), ' ');
+
+      // THEN: The blip is clicked
+      expect(onClick).toHaveBeenCalledTimes(2);
+      expect(onClick.mock.calls[0][0].entry.label).toBe('Kafka');
+    });
+
+    test('should skip blips hidden by a filter', () => {
+      // GIVEN: A radar that hides Go and Java
+      const instance = radar_visualization(createConfig({ filter_mode: 'hide' }));
+      instance.filter(entry => !['Go', 'Java'].includes(entry.label));
+
+      // THEN: The first visible blip is the tab stop
+      expect(blip('Kafka').getAttribute('tabindex')).toBe('0');
+      expect(blip('Java').getAttribute('tabindex')).toBe('-1');
+
+      // WHEN: Navigating from Kafka back
+      blip('Kafka').focus();
+      press(document.activeElement, 'ArrowLeft');
+
+      // THEN: The hidden blips are skipped
+      expect(document.activeElement).toBe(blip('Kafka'));
+    });
+  });
+});
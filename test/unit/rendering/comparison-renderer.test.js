@@ -0,0 +1,75 @@
+/**
+ * Tests for comparison-renderer.js - comparison overlay arrows
+ */
+
+import { beforeEach, describe, expect, test } from 'bun:test';
+import {
+  arrowEnds,
+  comparisonPairs,
+  markComparisonSides,
+  renderComparison,
+} from '../../../src/rendering/comparison-renderer.js';
+
+describe('Comparison Renderer', () => {
+  const left = { label: 'Kafka', comparison: 'left', comparison_key: 'Kafka', x: 0, y: 0 };
+  const right = { label: 'Kafka', comparison: 'right', comparison_key: 'Kafka', x: 30, y: 40 };
+  const single = { label: 'Spark', comparison: 'right', comparison_key: 'Spark', x: 5, y: 5 };
+  const segmented = [
+    [[left], [right]],
+    [[single], []],
+  ];
+
+  beforeEach(() => {
+    document.body.innerHTML = '<svg id="radar"><g id="radar-rink"><g class="blip"></g><g class="blip"></g></g></svg>';
+    d3.selectAll('.blip').data([left, right]);
+  });
+
+  test('comparisonPairs pairs the entries shown on both sides', () => {
+    expect(comparisonPairs(segmented)).toEqual([{ left, right }]);
+  });
+
+  test('arrowEnds leaves room for the blips', () => {
+    const ends = arrowEnds({ left, right });
+    expect([ends.x1, ends.y1, ends.x2, ends.y2].map(value => Math.round(value * 10) / 10)).toEqual([
+      5.4, 7.2, 24.6, 32.8,
+    ]);
+    expect(arrowEnds({ left, right: { ...right, x: 10, y: 0 } })).toBeNull();
+  });
+
+  test('arrowEnds uses the rendered positions', () => {
+    const ends = arrowEnds({ left: { ...left, rendered_x: 100, rendered_y: 0 }, right: { x: 0, y: 0 } });
+
+    expect(ends.x1).toBe(91);
+  });
+
+  test('markComparisonSides marks the side of each element', () => {
+    markComparisonSides(d3.selectAll('.blip'));
+
+    const [leftBlip, rightBlip] = document.querySelectorAll('.blip');
+    expect(leftBlip.classList.contains('comparison-left')).toBe(true);
+    expect(rightBlip.classList.contains('comparison-right')).toBe(true);
+  });
+
+  test('renderComparison draws an arrow per matched entry below the blips', () => {
+    // WHEN: Rendering the overlay
+    const rink = d3.select('#radar-rink');
+    renderComparison(rink, segmented, { svg_id: 'radar' });
+
+    // THEN: One arrow with an arrow head comes before the blips
+    const arrows = document.querySelectorAll('.comparison-arrow');
+    expect(arrows.length).toBe(1);
+    expect(arrows[0].getAttribute('marker-end')).toBe('url(#radar-comparisonArrow)');
+    expect(Number(arrows[0].getAttribute('x2'))).toBeCloseTo(24.6);
+    expect(rink.node().firstElementChild.getAttribute('class')).toBe('comparison-arrows');
+    expect(document.getElementById('radar-comparisonArrow')).not.toBeNull();
+  });
+
+  test('renderComparison colors the arrows with the muted text of the theme', () => {
+    // WHEN: Rendering the overlay with the dark theme
+    renderComparison(d3.select('#radar-rink'), segmented, { svg_id: 'radar', theme: 'dark' });
+
+    // THEN: Lines and arrow heads read the theme property
+    expect(document.querySelector('.comparison-arrow').style.stroke).toBe('var(--radar-muted-text, #8b8d93)');
+    expect(document.querySelector('#radar-comparisonArrow path').style.fill).toBe('var(--radar-muted-text, #8b8d93)');
+  });
+});
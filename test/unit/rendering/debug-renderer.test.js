@@ -22,6 +22,7 @@ describe('Debug Renderer', () => {
       const d3 = window.d3;
       const radarSelection = d3.select('#radar-group');
       const config = {
+        svg_id: 'radar',
         show_segment_grid: true,
         entries: [],
         blip_collision_radius: 12,
@@ -45,7 +46,7 @@ describe('Debug Renderer', () => {
       ).not.toThrow();
 
       // AND: Should create debug layer in DOM
-      const debugLayer = document.querySelector('#debug-layer');
+      const debugLayer = document.querySelector('#radar-debug-layer');
       expect(debugLayer).not.toBeNull();
     });
 
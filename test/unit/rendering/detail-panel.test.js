@@ -0,0 +1,214 @@
+/**
+ * Tests for detail-panel.js - entry detail panel
+ */
+
+import { beforeEach, describe, expect, test } from 'bun:test';
+import {
+  bindDetailPanel,
+  createDetailPanel,
+  defaultDetailContent,
+  detailFields,
+  fillTemplate,
+} from '../../../src/rendering/detail-panel.js';
+
+describe('Detail Panel', () => {
+  const config = {
+    svg_id: 'radar',
+    quadrants: [{ name: 'Languages' }, { name: 'Tools' }],
+    rings: [{ name: 'ADOPT' }, { name: 'TRIAL' }],
+    links_in_new_tabs: true,
+  };
+
+  const entry = {
+    label: 'Kafka',
+    quadrant: 1,
+    ring: 0,
+    description: 'Event streaming backbone',
+    owner: 'Platform team',
+    since: '2021-03',
+    tags: ['streaming', 'messaging'],
+    link: 'https://kafka.apache.org',
+  };
+
+  let container;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="layout"></div>';
+    container = document.getElementById('layout');
+  });
+
+  describe('detailFields', () => {
+    test('should resolve quadrant and ring names and join tags', () => {
+      // WHEN: Collecting template fields
+      const fields = detailFields(entry, config);
+
+      // THEN: Names and joined tags are available next to the entry fields
+      expect(fields).toMatchObject({ label: 'Kafka', quadrant: 'Tools', ring: 'ADOPT', tags: 'streaming, messaging' });
+    });
+  });
+
+  describe('fillTemplate', () => {
+    test('should replace placeholders with escaped values', () => {
+      // WHEN: Filling a template with markup in a value
+      const markup = fillTemplate('<b>{{ label }}</b> {{owner}}{{missing}}', { label: '<C&A>', owner: 'Team' });
+
+      // THEN: Values are escaped and missing fields are empty
+      expect(markup).toBe('<b>&lt;C&amp;A&gt;</b> Team');
+    });
+  });
+
+  describe('defaultDetailContent', () => {
+    test('should render all details of an entry', () => {
+      // WHEN: Rendering the default content
+      container.appendChild(defaultDetailContent(entry, config));
+
+      // THEN: Every field is shown
+      expect(container.querySelector('.radar-detail-title').textContent).toBe('Kafka');
+      expect(container.querySelector('.radar-detail-placement').textContent).toBe('ADOPT · Tools');
+      expect(container.querySelector('.radar-detail-description').textContent).toBe('Event streaming backbone');
+      expect(Array.from(container.querySelectorAll('dd'), dd => dd.textContent)).toEqual(['Platform team', '2021-03']);
+      expect(Array.from(container.querySelectorAll('.radar-detail-tag'), li => li.textContent)).toEqual([
+        'streaming',
+        'messaging',
+      ]);
+      expect(container.querySelector('.radar-detail-link').getAttribute('href')).toBe('https://kafka.apache.org');
+    });
+
+    test('should leave out missing details', () => {
+      // WHEN: Rendering an entry without details
+      container.appendChild(defaultDetailContent({ label: 'Go', quadrant: 0, ring: 1 }, config));
+
+      // THEN: Only title and placement are shown
+      expect(container.querySelector('.radar-detail-history')).toBeNull();
+      expect(container.querySelector('.radar-detail-description')).toBeNull();
+      expect(container.querySelector('dl')).toBeNull();
+      expect(container.querySelector('.radar-detail-tags')).toBeNull();
+      expect(container.querySelector('.radar-detail-link')).toBeNull();
+    });
+
+    test('should list the ring history of an entry', () => {
+      // GIVEN: An entry that moved in across editions
+      const history = [
+        { date: '2024.1', ring: 1 },
+        { date: '2025.1', ring: 0 },
+      ];
+
+      // WHEN: Rendering the default content and the template fields
+      container.appendChild(defaultDetailContent({ ...entry, history }, config));
+
+      // THEN: Each step names ring and date
+      expect(Array.from(container.querySelectorAll('.radar-detail-history li'), li => li.textContent)).toEqual([
+        'TRIAL 2024.1',
+        'ADOPT 2025.1',
+      ]);
+      expect(detailFields({ ...entry, history }, config).history).toBe('TRIAL 2024.1 → ADOPT 2025.1');
+    });
+  });
+
+  describe('createDetailPanel', () => {
+    test('should create a hidden dialog', () => {
+      // WHEN: Creating the panel
+      const panel = createDetailPanel(container, config);
+
+      // THEN: It is hidden and scoped to the radar
+      expect(panel.element.id).toBe('radar-detailPanel');
+      expect(panel.element.getAttribute('role')).toBe('dialog');
+      expect(panel.element.hidden).toBe(true);
+    });
+
+    test('should open with the default content and close on Escape', () => {
+      // GIVEN: A panel
+      const panel = createDetailPanel(container, config);
+
+      // WHEN: Opening it for an entry
+      panel.open(entry);
+
+      // THEN: It shows the entry
+      expect(panel.element.hidden).toBe(false);
+      expect(panel.element.dataset.entry).toBe('Kafka');
+      expect(panel.element.querySelector('.radar-detail-title').textContent).toBe('Kafka');
+
+      // WHEN: Pressing Escape
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+
+      // THEN: It is hidden again
+      expect(panel.element.hidden).toBe(true);
+    });
+
+    test('should close with the close button', () => {
+      // GIVEN: An open panel
+      const panel = createDetailPanel(container, config);
+      panel.open(entry);
+
+      // WHEN: Clicking the close button
+      panel.element.querySelector('.radar-detail-close').click();
+
+      // THEN: It is hidden
+      expect(panel.element.hidden).toBe(true);
+    });
+
+    test('should render a string template', () => {
+      // GIVEN: A panel with a string template
+      const panel = createDetailPanel(container, {
+        ...config,
+        detail_template: '<p class="t">{{label}}: {{tags}}</p>',
+      });
+
+      // WHEN: Opening it
+      panel.open(entry);
+
+      // THEN: The filled template is shown
+      expect(panel.element.querySelector('.t').textContent).toBe('Kafka: streaming, messaging');
+    });
+
+    test('should render a function template returning markup or a node', () => {
+      // GIVEN: Function templates
+      const markupPanel = createDetailPanel(container, {
+        ...config,
+        detail_template: (d, { ring }) => `<p class="m">${d.label} in ${ring}</p>`,
+      });
+      const nodePanel = createDetailPanel(container, {
+        ...config,
+        svg_id: 'other',
+        detail_template: d => Object.assign(document.createElement('p'), { className: 'n', textContent: d.owner }),
+      });
+
+      // WHEN: Opening them
+      markupPanel.open(entry);
+      nodePanel.open(entry);
+
+      // THEN: The template results are shown
+      expect(markupPanel.element.querySelector('.m').textContent).toBe('Kafka in ADOPT');
+      expect(nodePanel.element.querySelector('.n').textContent).toBe('Platform team');
+    });
+
+    test('should remove the panel and its key listener', () => {
+      // GIVEN: A panel
+      const panel = createDetailPanel(container, config);
+
+      // WHEN: Removing it
+      panel.remove();
+
+      // THEN: It is gone
+      expect(document.getElementById('radar-detailPanel')).toBeNull();
+    });
+  });
+
+  describe('bindDetailPanel', () => {
+    test('should open the panel on click without following the link', () => {
+      // GIVEN: A linked element bound to an entry
+      container.innerHTML = '<a class="legend-entry" href="https://kafka.apache.org">Kafka</a>';
+      const panel = createDetailPanel(container, config);
+      const selection = d3.selectAll('.legend-entry').data([entry]);
+      bindDetailPanel(selection, panel);
+
+      // WHEN: Clicking it
+      const click = new MouseEvent('click', { bubbles: true, cancelable: true });
+      selection.node().dispatchEvent(click);
+
+      // THEN: The panel opens and navigation is prevented
+      expect(panel.element.hidden).toBe(false);
+      expect(click.defaultPrevented).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Tests for filter-renderer.js - dimming and hiding filtered entries
+ */
+
+import { beforeEach, describe, expect, test } from 'bun:test';
+import { applyEntryFilter } from '../../../src/rendering/filter-renderer.js';
+
+describe('Filter Renderer', () => {
+  const entries = [
+    { label: 'Kafka', quadrant: 0, ring: 0 },
+    { label: 'Redis', quadrant: 0, ring: 1 },
+  ];
+
+  function renderEntries() {
+    document.body.innerHTML = `
+      <div class="radar-layout">
+        <div class="legend-ring" id="ring0"><a class="legend-entry">Kafka</a></div>
+        <div class="legend-ring" id="ring1"><a class="legend-entry">Redis</a></div>
+        <svg id="radar"><g id="radar-rink"><g class="blip"><circle></circle></g><g class="blip"><circle></circle></g></g></svg>
+      </div>`;
+    d3.selectAll('.blip').data(entries);
+    d3.selectAll('.legend-entry').data(entries);
+  }
+
+  const isRedis = entry => entry.label === 'Redis';
+
+  beforeEach(renderEntries);
+
+  test('should dim non-matching blip content and legend items', () => {
+    // WHEN: Filtering for Redis
+    const matches = applyEntryFilter({ svg_id: 'radar', entries }, isRedis);
+
+    // THEN: Kafka is dimmed and marked, Redis is untouched
+    const [kafkaBlip, redisBlip] = document.querySelectorAll('.blip');
+    const [kafkaLegend, redisLegend] = document.querySelectorAll('.legend-entry');
+    expect(matches).toEqual([entries[1]]);
+    expect(kafkaBlip.classList.contains('filtered-out')).toBe(true);
+    expect(kafkaBlip.querySelector('circle').style.opacity).toBe('0.15');
+    expect(kafkaLegend.style.opacity).toBe('0.15');
+    expect(redisBlip.classList.contains('filtered-out')).toBe(false);
+    expect(redisLegend.style.opacity).toBe('');
+  });
+
+  test('should hide non-matching entries and empty legend rings in hide mode', () => {
+    // WHEN: Filtering for Redis with hide mode
+    applyEntryFilter({ svg_id: 'radar', entries, filter_mode: 'hide' }, isRedis);
+
+    // THEN: Kafka and its legend ring are hidden
+    expect(document.querySelector('.blip').style.display).toBe('none');
+    expect(document.querySelector('.legend-entry').style.display).toBe('none');
+    expect(document.getElementById('ring0').style.display).toBe('none');
+    expect(document.getElementById('ring1').style.display).toBe('');
+  });
+
+  test('should restore all entries without a predicate', () => {
+    // GIVEN: A hidden entry
+    applyEntryFilter({ svg_id: 'radar', entries, filter_mode: 'hide' }, isRedis);
+
+    // WHEN: Clearing the filter
+    const matches = applyEntryFilter({ svg_id: 'radar', entries, filter_mode: 'hide' }, null);
+
+    // THEN: Everything is visible again
+    expect(matches).toEqual(entries);
+    expect(document.querySelectorAll('.filtered-out').length).toBe(0);
+    expect(document.querySelector('.blip').style.display).toBe('');
+    expect(document.getElementById('ring0').style.display).toBe('');
+  });
+});
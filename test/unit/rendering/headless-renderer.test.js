@@ -0,0 +1,239 @@
+/**
+ * Tests for headless-renderer.js - SVG/HTML string rendering without a live DOM
+ */
+
+import { beforeEach, describe, expect, test } from 'bun:test';
+import * as d3 from 'd3';
+import radar_visualization, { createComparisonConfig, renderToString } from '../../../src/index.js';
+import { createVirtualDocument, serialize } from '../../../src/rendering/virtual-dom.js';
+
+function createConfig(options = {}) {
+  return {
+    title: 'Headless Radar',
+    date: '2025.1',
+    quadrants: [{ name: 'Languages' }, { name: 'Infrastructure' }, { name: 'Datastores' }, { name: 'Data' }],
+    rings: [
+      { name: 'ADOPT', color: '#5ba300', description: 'Use it' },
+      { name: 'TRIAL', color: '#009eb0', description: 'Try it' },
+      { name: 'ASSESS', color: '#c7ba00', description: 'Look at it' },
+      { name: 'HOLD', color: '#e09b96', description: 'Avoid it' },
+    ],
+    entries: [
+      { label: 'Go', quadrant: 0, ring: 0, moved: 0, active: true, link: 'https://go.dev?a=1&b=2' },
+      { label: 'Kafka', quadrant: 1, ring: 1, moved: 1, active: true },
+      { label: 'Cassandra', quadrant: 2, ring: 2, moved: -1, active: true },
+      { label: 'Airflow', quadrant: 3, ring: 3, moved: 2, active: false },
+    ],
+    ...options,
+  };
+}
+
+describe('Headless Renderer', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="untouched"></div>';
+  });
+
+  describe('renderToString', () => {
+    test('should be available as named export and static helper', () => {
+      expect(typeof renderToString).toBe('function');
+      expect(radar_visualization.renderToString).toBe(renderToString);
+    });
+
+    test('should render a standalone SVG document', () => {
+      // WHEN: Rendering a config to SVG
+      const svg = renderToString(createConfig(), { d3 });
+
+      // THEN: Output is an XML SVG document with namespaces and all blips
+      expect(svg.startsWith('<?xml')).toBe(true);
+      expect(svg).toContain('<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"');
+      expect(svg.match(/class="blip"/g)).toHaveLength(4);
+      expect(svg).toContain('Headless Radar');
+      expect(svg).toContain('xlink:href="https://go.dev?a=1&amp;b=2"');
+    });
+
+    test('should place entries referencing quadrants and rings by name', () => {
+      // GIVEN: The same radar with entries referencing quadrants and rings by name
+      const byName = createConfig({
+        entries: createConfig().entries.map(entry => ({
+          ...entry,
+          quadrant: createConfig().quadrants[entry.quadrant].name,
+          ring: createConfig().rings[entry.ring].name.toLowerCase(),
+        })),
+      });
+
+      // WHEN/THEN: Both render the same
+      expect(renderToString(byName, { d3 })).toBe(renderToString(createConfig(), { d3 }));
+    });
+
+    test('should not touch the live document', () => {
+      // WHEN: Rendering headlessly
+      renderToString(createConfig(), { d3 });
+
+      // THEN: The page DOM is unchanged
+      expect(document.body.innerHTML).toBe('<div id="untouched"></div>');
+    });
+
+    test('should not mutate the input config', () => {
+      // GIVEN: A config
+      const config = createConfig();
+
+      // WHEN: Rendering it
+      renderToString(config, { d3 });
+
+      // THEN: Entries keep only their original properties
+      expect(config.entries[0]).toEqual({
+        label: 'Go',
+        quadrant: 0,
+        ring: 0,
+        moved: 0,
+        active: true,
+        link: 'https://go.dev?a=1&b=2',
+      });
+      expect(config.footer).toBeUndefined();
+    });
+
+    test('should produce identical output for identical input', () => {
+      expect(renderToString(createConfig(), { d3 })).toBe(renderToString(createConfig(), { d3 }));
+    });
+
+    test('should apply the settled force simulation positions to blips', () => {
+      const svg = renderToString(createConfig(), { d3 });
+      const transforms = svg.match(/class="blip" transform="translate\(([^)]+)\)"/g);
+
+      expect(transforms).toHaveLength(4);
+      expect(svg).not.toContain('NaN');
+    });
+
+    test('should render an HTML page with legend and ring descriptions table', () => {
+      // WHEN: Rendering HTML with a stylesheet
+      const html = renderToString(createConfig({ print_ring_descriptions_table: true }), {
+        d3,
+        format: 'html',
+        stylesheet: '.radar-layout { display: flex; }',
+      });
+
+      // THEN: Page contains layout, legend entries, table and inlined CSS
+      expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+      expect(html).toContain('<title>Headless Radar</title>');
+      expect(html).toContain('.radar-layout { display: flex; }');
+      expect(html).toContain('class="radar-layout"');
+      expect(html.match(/class="legend-entry"/g)).toHaveLength(4);
+      expect(html).toContain('class="radar-table"');
+      expect(html).toContain('<svg');
+    });
+
+    test('should hide legend columns without print layout', () => {
+      const html = renderToString(createConfig({ print_layout: false }), { d3, format: 'html' });
+
+      expect(html).not.toContain('legend-entry');
+      expect(html).toContain('display: none;');
+    });
+
+    test('should reshuffle the layout when the seed changes', () => {
+      const defaultSeed = renderToString(createConfig(), { d3 });
+
+      expect(renderToString(createConfig({ seed: 42 }), { d3 })).toBe(defaultSeed);
+      expect(renderToString(createConfig({ seed: 7 }), { d3 })).not.toBe(defaultSeed);
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => renderToString(createConfig(), { d3, format: 'png' })).toThrow(/Unsupported output format/);
+    });
+
+    test('should validate the configuration', () => {
+      expect(() => renderToString(createConfig({ quadrants: [{ name: 'Only' }] }), { d3 })).toThrow(
+        /Number of quadrants must be between 2 and 8/
+      );
+    });
+
+    test('should emit the theme as CSS custom properties on the SVG', () => {
+      // WHEN: Rendering with the dark theme
+      const svg = renderToString(createConfig({ theme: 'dark' }), { d3 });
+
+      // THEN: The SVG defines the properties with zero specificity and the elements read them
+      expect(svg).toContain(
+        '<style class="radar-theme">:where(svg[id=&quot;radar&quot;], [data-radar-id=&quot;radar&quot;]) { --radar-background: #1e1f22;'
+      );
+      expect(svg).toContain('style="background-color: var(--radar-background, #1e1f22);"');
+      expect(svg).toContain('fill: var(--radar-blip-text, #fff)');
+      expect(svg).toContain('font-size: var(--radar-title-font-size, 34px)');
+      expect(svg).not.toContain('#999');
+    });
+
+    test('should color blips with the ring colors of the theme', () => {
+      // WHEN: Rendering with the grayscale print theme
+      const svg = renderToString(createConfig({ theme: 'print-grayscale' }), { d3 });
+
+      // THEN: No ring color is left
+      expect(svg).toContain('--radar-ring-color-0: #000;');
+      expect(svg).not.toContain('#5ba300');
+    });
+
+    test('should render debug overlays', () => {
+      const svg = renderToString(createConfig({ debug_geometry: true }), { d3 });
+
+      expect(svg).toContain('id="radar-debug-layer"');
+      expect(svg).toContain('DEBUG MODE');
+    });
+
+    test('should render comparison arrows', () => {
+      // GIVEN: A comparison overlay of two configurations
+      const left = createConfig();
+      const right = createConfig({ entries: [{ label: 'Kafka', quadrant: 1, ring: 3, moved: 0, active: true }] });
+
+      // WHEN: Rendering it to SVG
+      const svg = renderToString(createComparisonConfig(left, right), { d3 });
+
+      // THEN: Kafka is connected across both positions
+      expect(svg.match(/class="comparison-arrow"/g)).toHaveLength(1);
+      expect(svg).toContain('class="blip comparison-right"');
+    });
+  });
+});
+
+describe('Virtual DOM', () => {
+  test('should support d3 append, attr, style and text', () => {
+    // GIVEN: A virtual svg element selected with d3
+    const virtualDocument = createVirtualDocument();
+    const root = virtualDocument.createElementNS('http://www.w3.org/2000/svg', 'svg');
+
+    // WHEN: Building content with d3
+    d3.select(root).append('g').attr('class', 'layer').style('fill', 'red').append('text').text('A < B');
+
+    // THEN: It serializes to escaped SVG markup
+    expect(serialize(root)).toBe('<svg><g class="layer" style="fill: red;"><text>A &lt; B</text></g></svg>');
+  });
+
+  test('should support data joins and selectors', () => {
+    const virtualDocument = createVirtualDocument();
+    const root = virtualDocument.createElement('div');
+
+    d3.select(root)
+      .selectAll('span')
+      .data(['a', 'b', 'c'])
+      .enter()
+      .append('span')
+      .attr('class', d => `item item-${d}`);
+
+    expect(root.querySelectorAll('span')).toHaveLength(3);
+    expect(root.querySelectorAll('.item-b')).toHaveLength(1);
+    expect(root.querySelector('span.item.item-c').getAttribute('class')).toBe('item item-c');
+  });
+
+  test('should remove attributes and clear content', () => {
+    const virtualDocument = createVirtualDocument();
+    const root = virtualDocument.createElement('div');
+    const selection = d3.select(root).attr('target', '_blank').text('content');
+
+    selection.attr('target', null).html('');
+
+    expect(serialize(root)).toBe('<div></div>');
+  });
+
+  test('should reject unsupported selectors', () => {
+    const virtualDocument = createVirtualDocument();
+    const root = virtualDocument.createElement('div');
+
+    expect(() => root.querySelectorAll('div > span')).toThrow(/Unsupported selector/);
+  });
+});
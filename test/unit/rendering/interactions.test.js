@@ -4,6 +4,7 @@
 
 import { beforeEach, describe, expect, test } from 'bun:test';
 import {
+  bubbleText,
   createBlipInteractions,
   createBubble,
   hideBubble,
@@ -24,16 +25,16 @@ describe('Interactions', () => {
       expect(typeof createBubble).toBe('function');
     });
 
-    test('should accept radar selection and font family', () => {
+    test('should accept radar selection and config', () => {
       // GIVEN: Real D3 selection (D3 is available via happydom)
       const d3 = window.d3;
       const radarSelection = d3.select('#test-radar');
 
       // WHEN: Creating bubble
-      createBubble(radarSelection, 'Arial');
+      createBubble(radarSelection, { svg_id: 'test-radar', font_family: 'Arial' });
 
-      // THEN: Should create bubble element in DOM
-      const bubble = document.querySelector('#bubble');
+      // THEN: Should create bubble element in DOM, scoped to the radar
+      const bubble = document.querySelector('#test-radar-bubble');
       expect(bubble).not.toBeNull();
 
       // AND: Should have text element
@@ -49,6 +50,29 @@ describe('Interactions', () => {
     });
   });
 
+  describe('bubbleText', () => {
+    test('should add the ring history of entries that changed rings', () => {
+      // GIVEN: Rings and an entry history
+      const config = { rings: [{ name: 'ADOPT' }, { name: 'TRIAL' }] };
+      const history = [
+        { date: '2024.1', ring: 1 },
+        { date: '2025.1', ring: 0 },
+      ];
+
+      // THEN: The label is followed by the history, if there is more than one step
+      expect(bubbleText({ label: 'Kafka', history }, config)).toBe('Kafka: TRIAL 2024.1 → ADOPT 2025.1');
+      expect(bubbleText({ label: 'Kafka', history: history.slice(1) }, config)).toBe('Kafka');
+      expect(bubbleText({ label: 'Kafka' }, config)).toBe('Kafka');
+    });
+
+    test('should name the configuration of entries on comparison overlays', () => {
+      const config = { rings: [], comparison: { labels: ['Platform', 'Data'] } };
+
+      expect(bubbleText({ label: 'Kafka', comparison: 'right' }, config)).toBe('Kafka (Data)');
+      expect(bubbleText({ label: 'Kafka', comparison: 'left' }, config)).toBe('Kafka (Platform)');
+    });
+  });
+
   describe('hideBubble', () => {
     test('should be a function', () => {
       // THEN: hideBubble should be exported
@@ -68,7 +92,34 @@ describe('Interactions', () => {
 
       // WHEN: Highlighting (element may not exist)
       // THEN: Should not throw
-      expect(() => highlightLegendItem(entry)).not.toThrow();
+      expect(() => highlightLegendItem(entry, { svg_id: 'test-radar' })).not.toThrow();
+    });
+
+    test('should only highlight the legend item of the same radar', () => {
+      // GIVEN: Two radars with a legend item for the same entry
+      document.body.innerHTML = '<a id="first-legendItem-Kafka"></a><a id="second-legendItem-Kafka"></a>';
+
+      // WHEN: Highlighting the entry of the first radar
+      highlightLegendItem({ label: 'Kafka' }, { svg_id: 'first' });
+
+      // THEN: Only the first radar's legend item is highlighted
+      expect(document.getElementById('first-legendItem-Kafka').classList.contains('legend-highlight')).toBe(true);
+      expect(document.getElementById('second-legendItem-Kafka').classList.contains('legend-highlight')).toBe(false);
+    });
+  });
+
+  describe('legend item ids', () => {
+    test('should use the stable key and escape unsafe characters', () => {
+      // GIVEN: A legend item for an entry with an unsafe key
+      document.body.innerHTML = '<a id="radar-legendItem-C_2b_2b_20lang"></a>';
+
+      // WHEN: Highlighting the entry
+      highlightLegendItem({ key: 'C++ lang', label: 'C++' }, { svg_id: 'radar' });
+
+      // THEN: The escaped id is found
+      expect(document.getElementById('radar-legendItem-C_2b_2b_20lang').classList.contains('legend-highlight')).toBe(
+        true
+      );
     });
   });
 
@@ -84,7 +135,7 @@ describe('Interactions', () => {
 
       // WHEN: Unhighlighting (element may not exist)
       // THEN: Should not throw
-      expect(() => unhighlightLegendItem(entry)).not.toThrow();
+      expect(() => unhighlightLegendItem(entry, { svg_id: 'test-radar' })).not.toThrow();
     });
   });
 
@@ -0,0 +1,76 @@
+/**
+ * Tests for timeline-renderer.js - edition timeline control
+ */
+
+import { beforeEach, describe, expect, mock, test } from 'bun:test';
+import { removeTimeline, renderTimeline } from '../../../src/rendering/timeline-renderer.js';
+
+describe('Timeline Renderer', () => {
+  const editions = [
+    { date: '2024.1', entries: [] },
+    { date: '2024.3', entries: [] },
+    { date: '2025.1', entries: [] },
+  ];
+
+  let layout;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<main><div class="radar-layout"><svg id="radar"></svg></div><footer></footer></main>';
+    layout = document.querySelector('.radar-layout');
+  });
+
+  test('should render a slider and a button per edition after the layout', () => {
+    // WHEN: Rendering the timeline of the latest edition
+    const timeline = renderTimeline(layout, { svg_id: 'radar', editions }, mock());
+
+    // THEN: The timeline follows the layout and shows the selected edition
+    expect(timeline.id).toBe('radar-timeline');
+    expect(layout.parentNode.children[1]).toBe(timeline);
+    const slider = timeline.querySelector('.radar-timeline-slider');
+    expect([slider.max, slider.value, slider.getAttribute('aria-valuetext')]).toEqual(['2', '2', '2025.1']);
+    const buttons = timeline.querySelectorAll('.radar-timeline-date');
+    expect(Array.from(buttons, button => button.textContent)).toEqual(['2024.1', '2024.3', '2025.1']);
+    expect(buttons[2].getAttribute('aria-current')).toBe('true');
+  });
+
+  test('should select editions with the slider and the date buttons', () => {
+    // GIVEN: A rendered timeline
+    const onSelect = mock();
+    const timeline = renderTimeline(layout, { svg_id: 'radar', editions, edition: 2 }, onSelect);
+
+    // WHEN: Moving the slider and clicking a date
+    const slider = timeline.querySelector('.radar-timeline-slider');
+    slider.value = '1';
+    slider.dispatchEvent(new Event('input'));
+    timeline.querySelectorAll('.radar-timeline-date')[0].click();
+    timeline.querySelectorAll('.radar-timeline-date')[2].click();
+
+    // THEN: The other editions are selected; the current one is ignored
+    expect(onSelect.mock.calls).toEqual([[1], [0]]);
+  });
+
+  test('should update the existing timeline on re-render', () => {
+    // GIVEN: A rendered timeline
+    const first = renderTimeline(layout, { svg_id: 'radar', editions }, mock());
+    const onSelect = mock();
+
+    // WHEN: Rendering another edition
+    const second = renderTimeline(layout, { svg_id: 'radar', editions, edition: '2024.1' }, onSelect);
+    second.querySelectorAll('.radar-timeline-date')[1].click();
+
+    // THEN: The element is kept and uses the new selection handler
+    expect(second).toBe(first);
+    expect(document.querySelectorAll('.radar-timeline').length).toBe(1);
+    expect(second.querySelector('.radar-timeline-slider').value).toBe('0');
+    expect(second.querySelectorAll('[aria-current]').length).toBe(1);
+    expect(onSelect).toHaveBeenCalledWith(1);
+  });
+
+  test('should remove the timeline', () => {
+    renderTimeline(layout, { svg_id: 'radar', editions }, mock());
+
+    removeTimeline({ svg_id: 'radar' });
+
+    expect(document.getElementById('radar-timeline')).toBeNull();
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for transitions.js - Animated re-renders
+ */
+
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import radar_visualization from '../../../src/index.js';
+import { animateBlips, captureBlips, transitionsEnabled } from '../../../src/rendering/transitions.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function createConfig(options = {}) {
+  return {
+    svg_id: 'radar',
+    width: 1450,
+    height: 1000,
+    quadrants: [{ name: 'Languages' }, { name: 'Infrastructure' }, { name: 'Datastores' }, { name: 'Data' }],
+    rings: [
+      { name: 'ADOPT', color: '#5ba300' },
+      { name: 'TRIAL', color: '#009eb0' },
+      { name: 'ASSESS', color: '#c7ba00' },
+      { name: 'HOLD', color: '#e09b96' },
+    ],
+    entries: [],
+    ...options,
+  };
+}
+
+function renderRink(entries) {
+  const d3 = window.d3;
+  const rink = d3.select('#radar').append('g');
+  const blips = rink
+    .selectAll('.blip')
+    .data(entries)
+    .enter()
+    .append('g')
+    .attr('class', 'blip')
+    .attr('transform', d => `translate(${d.x},${d.y})`);
+  blips.append('circle').style('fill', d => d.fill ?? d.color);
+  return { rink, blips };
+}
+
+describe('Transitions', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<svg id="radar"></svg>';
+  });
+
+  describe('transitionsEnabled', () => {
+    const originalMatchMedia = window.matchMedia;
+
+    afterEach(() => {
+      window.matchMedia = originalMatchMedia;
+    });
+
+    test('should be disabled by a zero or missing duration', () => {
+      expect(transitionsEnabled({ transition_duration: 0 })).toBe(false);
+      expect(transitionsEnabled({})).toBe(false);
+      expect(transitionsEnabled({ transition_duration: 300 })).toBe(true);
+    });
+
+    test('should be disabled when the user prefers reduced motion', () => {
+      // GIVEN: A reduced motion preference
+      window.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)' });
+
+      // THEN: Transitions are off
+      expect(transitionsEnabled({ transition_duration: 300 })).toBe(false);
+    });
+  });
+
+  describe('captureBlips', () => {
+    test('should capture position, color and node by entry key', () => {
+      // GIVEN: Rendered blips
+      const { rink } = renderRink([
+        { label: 'Kafka', x: 10, y: -20, color: '#5ba300' },
+        { label: 'Redis', key: 'redis-db', x: 1.5, y: 2.5, color: '#009eb0' },
+      ]);
+
+      // WHEN: Capturing them
+      const captured = captureBlips(rink.node());
+
+      // THEN: They are keyed by key or label
+      expect(Array.from(captured.keys())).toEqual(['Kafka', 'redis-db']);
+      expect(captured.get('Kafka')).toMatchObject({ x: 10, y: -20, color: '#5ba300' });
+      expect(captured.get('redis-db').node.getAttribute('class')).toBe('blip');
+    });
+
+    test('should return an empty map without a rink', () => {
+      expect(captureBlips(null).size).toBe(0);
+    });
+  });
+
+  describe('animateBlips', () => {
+    test('should tween kept blips, fade in new ones and fade out removed ones', async () => {
+      // GIVEN: A previous render with Kafka and Redis
+      const previous = renderRink([
+        { label: 'Kafka', x: 0, y: 0, color: '#5ba300', fill: 'var(--radar-ring-color-0, #5ba300)' },
+        { label: 'Redis', x: 50, y: 50, color: '#009eb0' },
+      ]);
+      const previousBlips = captureBlips(previous.rink.node());
+      previous.rink.remove();
+
+      // AND: A new render where Kafka moved and Postgres was added
+      const next = renderRink([
+        { label: 'Kafka', x: 100, y: 40, color: '#c7ba00', fill: 'var(--radar-ring-color-2, #c7ba00)' },
+        { label: 'Postgres', x: -30, y: 10, color: '#5ba300' },
+      ]);
+
+      // WHEN: Animating
+      animateBlips(next.rink, next.blips, previousBlips, 20);
+
+      // THEN: Kafka starts from its old state, Postgres is invisible, Redis is a fading ghost
+      const [kafka, postgres] = next.blips.nodes();
+      expect(kafka.getAttribute('transform')).toBe('translate(0,0)');
+      expect(kafka.querySelector('circle').style.fill).toBe('#5ba300');
+      expect(postgres.style.opacity).toBe('0');
+      expect(next.rink.selectAll('.blip').size()).toBe(2);
+      expect(next.rink.selectAll('.blip-exit').size()).toBe(1);
+
+      // WHEN: The transition is over
+      await sleep(150);
+
+      // THEN: Everything reached its new state, Kafka's color reads the custom property again
+      expect(kafka.getAttribute('transform')).toBe('translate(100,40)');
+      expect(kafka.querySelector('circle').style.fill).toBe('var(--radar-ring-color-2, #c7ba00)');
+      expect(postgres.style.opacity).toBe('1');
+      expect(next.rink.selectAll('.blip-exit').size()).toBe(0);
+    });
+  });
+
+  describe('instance re-render', () => {
+    const entries = [{ label: 'Kafka', quadrant: 0, ring: 1, moved: 0, active: true }];
+
+    test('should start a moved blip from its previous position', () => {
+      // GIVEN: A rendered radar
+      const instance = radar_visualization(createConfig({ entries }));
+      const before = document.querySelector('#radar .blip').getAttribute('transform');
+
+      // WHEN: Moving the entry to another ring
+      instance.render({ entries: [{ ...entries[0], ring: 0 }] });
+
+      // THEN: The new blip starts where the old one was
+      expect(document.querySelector('#radar .blip').getAttribute('transform')).toBe(before);
+    });
+
+    test('should place blips directly when transitions are disabled', () => {
+      // GIVEN: A rendered radar without transitions
+      const instance = radar_visualization(createConfig({ entries, transition_duration: 0 }));
+      const before = document.querySelector('#radar .blip').getAttribute('transform');
+
+      // WHEN: Moving the entry to another ring
+      instance.render({ entries: [{ ...entries[0], ring: 0 }] });
+
+      // THEN: The blip is already at its new position
+      expect(document.querySelector('#radar .blip').getAttribute('transform')).not.toBe(before);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Tests for tech-radar-element.js - the <tech-radar> custom element
+ */
+
+import { afterEach, beforeEach, describe, expect, mock, test } from 'bun:test';
+import { stringifyYamlConfig } from '../../../src/integration/yaml-io.js';
+import { defineTechRadarElement, TechRadarElement } from '../../../src/ui/tech-radar-element.js';
+
+const config = {
+  title: 'Platform',
+  quadrants: [{ name: 'Languages' }, { name: 'Infrastructure' }, { name: 'Datastores' }, { name: 'Data' }],
+  rings: [
+    { name: 'ADOPT', color: '#5ba300' },
+    { name: 'TRIAL', color: '#009eb0' },
+    { name: 'ASSESS', color: '#c7ba00' },
+    { name: 'HOLD', color: '#e09b96' },
+  ],
+  entries: [
+    { label: 'Kotlin', quadrant: 0, ring: 0, moved: 0, active: true },
+    { label: 'Kafka', quadrant: 1, ring: 1, moved: 2, active: true },
+  ],
+};
+
+const originalFetch = globalThis.fetch;
+
+// Creates a <tech-radar> element and adds it to the page
+function createElement(attributes = {}, properties = {}) {
+  const element = document.createElement('tech-radar');
+  for (const [name, value] of Object.entries(attributes)) {
+    element.setAttribute(name, value);
+  }
+  Object.assign(element, properties);
+  document.body.appendChild(element);
+  return element;
+}
+
+beforeEach(() => {
+  document.body.innerHTML = '';
+});
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+describe('<tech-radar>', () => {
+  test('is registered on import', () => {
+    // THEN: the element is defined and extends TechRadarElement
+    expect(document.createElement('tech-radar')).toBeInstanceOf(TechRadarElement);
+    expect(defineTechRadarElement()).toBe(customElements.get('tech-radar'));
+  });
+
+  test('renders the config property into its shadow root with radar.css', () => {
+    // WHEN: setting a configuration
+    const element = createElement({}, { config });
+
+    // THEN: the radar and its styles live in the shadow root, not the page
+    const root = element.shadowRoot;
+    expect(root.querySelectorAll('.blip')).toHaveLength(2);
+    expect(root.querySelector('.radar-layout')).not.toBeNull();
+    expect(root.querySelector('style').textContent).toContain('.radar-legend-column');
+    expect(document.querySelectorAll('.blip')).toHaveLength(0);
+    expect(element.radar.getConfig().title).toBe('Platform');
+  });
+
+  test('keeps the elements of several radars apart', () => {
+    // GIVEN: two elements with the same configuration
+    const first = createElement({}, { config });
+    const second = createElement({}, { config });
+
+    // WHEN: hovering a blip of the second radar
+    second.shadowRoot.querySelector('.blip').dispatchEvent(new window.MouseEvent('mouseover'));
+
+    // THEN: only its legend item is highlighted
+    expect(second.shadowRoot.querySelector('.legend-highlight')).not.toBeNull();
+    expect(first.shadowRoot.querySelector('.legend-highlight')).toBeNull();
+  });
+
+  test('loads the configuration from src', async () => {
+    // GIVEN: a JSON file served by fetch
+    globalThis.fetch = mock(async () => new Response(JSON.stringify(config)));
+
+    // WHEN: creating the element with src
+    const element = createElement({ src: 'radar.json' });
+    await element.loaded;
+
+    // THEN: the file is rendered
+    expect(globalThis.fetch).toHaveBeenCalledWith('radar.json');
+    expect(element.shadowRoot.querySelectorAll('.blip')).toHaveLength(2);
+  });
+
+  test('loads YAML configurations', async () => {
+    // GIVEN: a YAML file
+    const yaml = stringifyYamlConfig({ ...config, title: 'From YAML' });
+    globalThis.fetch = mock(async () => new Response(yaml));
+
+    // WHEN: loading a .yaml source
+    const element = createElement({ src: 'radar.yaml?v=2' });
+    await element.loaded;
+
+    // THEN: the YAML is parsed and rendered
+    expect(element.config.title).toBe('From YAML');
+    expect(element.shadowRoot.querySelectorAll('.blip')).toHaveLength(2);
+  });
+
+  test('shows failed requests in the error overlay', async () => {
+    // GIVEN: a missing file
+    globalThis.fetch = mock(async () => new Response('', { status: 404, statusText: 'Not Found' }));
+    const renderError = mock();
+    document.body.addEventListener('render-error', renderError);
+
+    // WHEN: loading it
+    const element = createElement({ src: 'missing.json' });
+    await element.loaded;
+
+    // THEN: the overlay names the request and the event bubbles to the page
+    expect(element.shadowRoot.querySelector('.radar-error-overlay li').textContent).toBe(
+      'Cannot load missing.json: 404 Not Found'
+    );
+    expect(renderError).toHaveBeenCalledTimes(1);
+    document.body.removeEventListener('render-error', renderError);
+  });
+
+  test('shows invalid configurations in the error overlay instead of throwing', () => {
+    // WHEN: setting a configuration with too few rings
+    const element = createElement({}, { config: { ...config, rings: config.rings.slice(0, 2) } });
+
+    // THEN: the errors are listed
+    expect(element.shadowRoot.querySelector('.radar-error-overlay li').textContent).toBe(
+      'Number of rings must be between 4 and 8 (found: 2)'
+    );
+  });
+
+  test('re-renders through the instance when attributes change', () => {
+    // GIVEN: a rendered element
+    const element = createElement({}, { config });
+    const radar = element.radar;
+    const render = mock();
+    element.addEventListener('render', render);
+
+    // WHEN: zooming into a quadrant
+    element.setAttribute('zoomed-quadrant', '1');
+
+    // THEN: the same instance renders the override
+    expect(element.radar).toBe(radar);
+    expect(radar.getConfig().zoomed_quadrant).toBe(1);
+    expect(render).toHaveBeenCalledTimes(1);
+
+    // WHEN: removing the attribute again
+    element.removeAttribute('zoomed-quadrant');
+
+    // THEN: the radar is rendered without it
+    expect('zoomed_quadrant' in element.radar.getConfig()).toBe(false);
+  });
+
+  test('re-renders when the config property changes', () => {
+    // GIVEN: a rendered element
+    const element = createElement({}, { config });
+
+    // WHEN: setting a configuration with another entry
+    element.config = { ...config, entries: [...config.entries, { label: 'Rust', quadrant: 0, ring: 2 }] };
+
+    // THEN: the new entry is rendered
+    expect(element.shadowRoot.querySelectorAll('.blip')).toHaveLength(3);
+  });
+
+  test('converts attribute values to configuration values', () => {
+    // WHEN: creating an element with typed attributes
+    const element = createElement({ edition: '2024.1', seed: '7', 'print-layout': 'false', timeline: '' }, { config });
+
+    // THEN: the values have their configuration types
+    const radarConfig = element.radar.getConfig();
+    expect(radarConfig.edition).toBe('2024.1');
+    expect(radarConfig.seed).toBe(7);
+    expect(radarConfig.print_layout).toBe(false);
+    expect(radarConfig.timeline).toBe(true);
+  });
+
+  test('applies the theme attribute', () => {
+    // WHEN: creating an element with the dark theme
+    const element = createElement({ theme: 'dark' }, { config });
+
+    // THEN: the theme properties are emitted inside the shadow root
+    const style = element.shadowRoot.querySelector('svg style.radar-theme');
+    const id = element.shadowRoot.querySelector('svg').id;
+    expect(style.textContent).toStartWith(`:where(svg[id="${id}"], [data-radar-id="${id}"])`);
+    expect(style.textContent).toContain('--radar-background: #1e1f22;');
+  });
+
+  test('dispatches blip interactions as DOM events', () => {
+    // GIVEN: a listener on the page
+    const element = createElement({}, { config });
+    const blipClick = mock();
+    document.body.addEventListener('blip-click', blipClick);
+
+    // WHEN: clicking a blip
+    element.shadowRoot.querySelector('.blip').dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+    // THEN: the event leaves the shadow root with the entry
+    expect(blipClick).toHaveBeenCalledTimes(1);
+    expect(blipClick.mock.calls[0][0].detail.entry.label).toBeDefined();
+    document.body.removeEventListener('blip-click', blipClick);
+  });
+
+  test('destroys the radar when removed from the page', () => {
+    // GIVEN: a rendered element
+    const element = createElement({}, { config });
+
+    // WHEN: removing it
+    element.remove();
+
+    // THEN: the radar is gone
+    expect(element.radar).toBeNull();
+    expect(element.shadowRoot.querySelectorAll('.blip')).toHaveLength(0);
+  });
+});
@@ -1,6 +1,12 @@
 // Test suite for configuration validation
 import { describe, expect, test } from 'bun:test';
-import { ConfigValidationError, validateConfig, validateConfigAll } from '../../../src/validation/config-validator.js';
+import { CONFIG_SCHEMA } from '../../../src/validation/config-schema.js';
+import {
+  ConfigValidationError,
+  validateConfig,
+  validateConfigAll,
+  validateConfigReport,
+} from '../../../src/validation/config-validator.js';
 
 describe('ConfigValidationError', () => {
   test('creates error with message, field, and value', () => {
@@ -222,6 +228,209 @@ describe('validateConfig()', () => {
     });
   });
 
+  describe('seed validation', () => {
+    test('accepts numeric seed', () => {
+      // GIVEN: config with a numeric seed
+      const config = {
+        quadrants: [{ name: 'Q0' }, { name: 'Q1' }, { name: 'Q2' }, { name: 'Q3' }],
+        rings: [{ name: 'R0' }, { name: 'R1' }, { name: 'R2' }, { name: 'R3' }],
+        entries: [],
+        seed: 1234,
+      };
+
+      // WHEN/THEN: validation should pass
+      expect(validateConfig(config)).toBe(true);
+    });
+
+    test('rejects non-numeric seed', () => {
+      // GIVEN: config with a string seed
+      const config = {
+        quadrants: [{ name: 'Q0' }, { name: 'Q1' }, { name: 'Q2' }, { name: 'Q3' }],
+        rings: [{ name: 'R0' }, { name: 'R1' }, { name: 'R2' }, { name: 'R3' }],
+        entries: [],
+        seed: 'abc',
+      };
+
+      // WHEN/THEN: validation should throw
+      expect(() => validateConfig(config)).toThrow('seed must be number (found: "abc")');
+    });
+
+    test('rejects seeds that are not finite', () => {
+      // GIVEN: config with a NaN seed
+      const config = {
+        quadrants: [{ name: 'Q0' }, { name: 'Q1' }, { name: 'Q2' }, { name: 'Q3' }],
+        rings: [{ name: 'R0' }, { name: 'R1' }, { name: 'R2' }, { name: 'R3' }],
+        entries: [],
+        seed: Number.NaN,
+      };
+
+      // WHEN/THEN: validation should throw
+      expect(() => validateConfig(config)).toThrow('seed must be number (found: NaN)');
+    });
+  });
+
+  describe('transition duration validation', () => {
+    test('accepts zero to disable transitions', () => {
+      // GIVEN: config with transitions disabled
+      const config = {
+        quadrants: [{ name: 'Q0' }, { name: 'Q1' }, { name: 'Q2' }, { name: 'Q3' }],
+        rings: [{ name: 'R0' }, { name: 'R1' }, { name: 'R2' }, { name: 'R3' }],
+        entries: [],
+        transition_duration: 0,
+      };
+
+      // WHEN/THEN: validation should pass
+      expect(validateConfig(config)).toBe(true);
+    });
+
+    test('rejects negative duration', () => {
+      // GIVEN: config with a negative duration
+      const config = {
+        quadrants: [{ name: 'Q0' }, { name: 'Q1' }, { name: 'Q2' }, { name: 'Q3' }],
+        rings: [{ name: 'R0' }, { name: 'R1' }, { name: 'R2' }, { name: 'R3' }],
+        entries: [],
+        transition_duration: -100,
+      };
+
+      // WHEN/THEN: validation should throw
+      expect(() => validateConfig(config)).toThrow('transition_duration must be at least 0');
+    });
+  });
+
+  describe('entry identity validation', () => {
+    function createConfig(options) {
+      return {
+        quadrants: [{ name: 'Q0' }, { name: 'Q1' }, { name: 'Q2' }, { name: 'Q3' }],
+        rings: [{ name: 'R0' }, { name: 'R1' }, { name: 'R2' }, { name: 'R3' }],
+        entries: [],
+        ...options,
+      };
+    }
+
+    test('rejects unknown numbering strategies', () => {
+      expect(() => validateConfig(createConfig({ numbering: 'random' }))).toThrow(
+        'numbering must be one of alphabetical, insertion, explicit (found: "random")'
+      );
+    });
+
+    test('requires unique positive integer numbers with explicit numbering', () => {
+      // GIVEN: explicit numbering with a missing and a duplicate number
+      const config = createConfig({
+        numbering: 'explicit',
+        entries: [
+          { label: 'A', quadrant: 0, ring: 0, number: 1 },
+          { label: 'B', quadrant: 0, ring: 0 },
+          { label: 'C', quadrant: 0, ring: 0, number: '1' },
+        ],
+      });
+
+      // WHEN: collecting all errors
+      const errors = validateConfigAll(config);
+
+      // THEN: both problems are reported
+      expect(errors.map(error => error.field)).toEqual(['entries[1].number', 'entries[2].number']);
+    });
+
+    test('rejects duplicate keys and ids', () => {
+      const config = createConfig({
+        entries: [
+          { label: 'A', quadrant: 0, ring: 0, key: 'same' },
+          { label: 'B', quadrant: 0, ring: 0, id: 'same' },
+        ],
+      });
+
+      expect(() => validateConfig(config)).toThrow('Duplicate entry key: "same"');
+    });
+  });
+
+  describe('entry details validation', () => {
+    function createConfig(options) {
+      return {
+        quadrants: [{ name: 'Q0' }, { name: 'Q1' }, { name: 'Q2' }, { name: 'Q3' }],
+        rings: [{ name: 'R0' }, { name: 'R1' }, { name: 'R2' }, { name: 'R3' }],
+        entries: [],
+        ...options,
+      };
+    }
+
+    test('accepts entries with description, owner, since and tags', () => {
+      const config = createConfig({
+        entries: [
+          { label: 'A', quadrant: 0, ring: 0, description: 'Why', owner: 'Team', since: '2024-01', tags: ['x'] },
+        ],
+      });
+
+      expect(validateConfig(config)).toBe(true);
+    });
+
+    test('reports invalid detail fields', () => {
+      // GIVEN: an entry with a numeric owner and tags that are not strings
+      const config = createConfig({
+        entries: [{ label: 'A', quadrant: 0, ring: 0, owner: 42, tags: 'x' }],
+      });
+
+      // WHEN: collecting all errors
+      const errors = validateConfigAll(config);
+
+      // THEN: both fields are reported
+      expect(errors.map(error => error.field)).toEqual(['entries[0].owner', 'entries[0].tags']);
+    });
+
+    test('rejects malformed edition histories and unknown editions', () => {
+      const editions = [
+        { date: '2024.1', entries: [] },
+        { date: '2024.3', entries: [] },
+      ];
+
+      expect(() => validateConfig(createConfig({ editions: [] }))).toThrow('editions must have at least 1 item');
+      expect(() => validateConfig(createConfig({ editions: [{ date: '2024.1' }] }))).toThrow(
+        'editions[0].entries is required'
+      );
+      expect(() => validateConfig(createConfig({ editions: [editions[0], editions[0]] }))).toThrow(
+        'Duplicate edition date: "2024.1"'
+      );
+      expect(() => validateConfig(createConfig({ editions, edition: '2023.4' }))).toThrow('Unknown edition: 2023.4');
+      expect(validateConfig(createConfig({ editions, edition: 0 }))).toBe(true);
+    });
+
+    test('rejects previous editions without entries', () => {
+      expect(() => validateConfig(createConfig({ previous: { title: 'Q1' } }))).toThrow('previous.entries is required');
+    });
+
+    test('rejects unknown filter modes', () => {
+      expect(() => validateConfig(createConfig({ filter_mode: 'blur' }))).toThrow(
+        'filter_mode must be one of dim, hide (found: "blur")'
+      );
+    });
+
+    test('rejects unknown theme presets', () => {
+      expect(() => validateConfig(createConfig({ theme: 'solarized' }))).toThrow(
+        'theme must be one of light, dark, high-contrast, print-grayscale (found: "solarized")'
+      );
+      expect(() => validateConfig(createConfig({ theme: { preset: 'sepia' } }))).toThrow(
+        expect.objectContaining({ field: 'theme.preset' })
+      );
+      expect(() => validateConfig(createConfig({ theme: { title_font_size: '34px' } }))).toThrow(
+        'theme.title_font_size must be number'
+      );
+      expect(validateConfig(createConfig({ theme: { preset: 'dark', grid: '#444' } }))).toBe(true);
+    });
+
+    test('rejects unknown color schemes', () => {
+      expect(() => validateConfig(createConfig({ color_scheme: 'system' }))).toThrow(
+        expect.objectContaining({ field: 'color_scheme' })
+      );
+      expect(validateConfig(createConfig({ color_scheme: 'auto' }))).toBe(true);
+    });
+
+    test('rejects detail templates that are neither strings nor functions', () => {
+      expect(() => validateConfig(createConfig({ detail_template: 42 }))).toThrow(
+        'detail_template must be string or function (found: 42)'
+      );
+      expect(validateConfig(createConfig({ detail_template: entry => entry.label }))).toBe(true);
+    });
+  });
+
   describe('entry validation', () => {
     test('accepts entries with valid quadrant and ring indices', () => {
       // GIVEN: config with valid entries
@@ -373,6 +582,57 @@ describe('validateConfig()', () => {
       expect(() => validateConfig(config)).not.toThrow();
     });
 
+    test('accepts quadrant and ring references by name or id', () => {
+      // GIVEN: entries referencing quadrants and rings by name and id
+      const config = {
+        quadrants: [{ name: 'Languages', id: 'lang' }, { name: 'Tools' }],
+        rings: ['ADOPT', 'TRIAL', 'ASSESS', 'HOLD'].map(name => ({ name, color: '#000' })),
+        entries: [
+          { label: 'Go', quadrant: 'lang', ring: 'TRIAL' },
+          { label: 'Make', quadrant: 'tools', ring: 3 },
+        ],
+      };
+
+      // WHEN/THEN: validation should pass
+      expect(() => validateConfig(config)).not.toThrow();
+    });
+
+    test('rejects references to unknown quadrants and rings', () => {
+      // GIVEN: entries referencing a quadrant and a ring that don't exist
+      const config = {
+        quadrants: [{ name: 'Languages' }, { name: 'Tools' }],
+        rings: ['ADOPT', 'TRIAL', 'ASSESS', 'HOLD'].map(name => ({ name, color: '#000' })),
+        entries: [
+          { label: 'Go', quadrant: 'Frameworks', ring: 0 },
+          { label: 'Make', quadrant: 1, ring: 'Someday' },
+        ],
+      };
+
+      // WHEN: validating
+      const errors = validateConfigAll(config);
+
+      // THEN: both references are reported
+      expect(errors.map(error => error.message)).toEqual([
+        `Entry 'Go' references unknown quadrant: "Frameworks"`,
+        `Entry 'Make' references unknown ring: "Someday"`,
+      ]);
+      expect(errors[1].field).toBe('entries[1].ring');
+      expect(() => validateConfig(config)).toThrow(`Entry 'Go' references unknown quadrant: "Frameworks"`);
+    });
+
+    test('rejects duplicate quadrant and ring ids', () => {
+      const config = {
+        quadrants: [
+          { name: 'Languages', id: 'q' },
+          { name: 'Tools', id: 'q' },
+        ],
+        rings: ['ADOPT', 'TRIAL', 'ASSESS', 'HOLD'].map(name => ({ name, color: '#000' })),
+        entries: [],
+      };
+
+      expect(() => validateConfig(config)).toThrow('Duplicate quadrant id: "q"');
+    });
+
     test('accepts missing entries field', () => {
       // GIVEN: config without entries field
       const config = {
@@ -453,3 +713,85 @@ describe('validateConfigAll()', () => {
     });
   });
 });
+
+describe('schema validation', () => {
+  const validConfig = () => ({
+    quadrants: Array.from({ length: 4 }, (_, i) => ({ name: `Q${i}` })),
+    rings: Array.from({ length: 4 }, (_, i) => ({ name: `R${i}`, color: '#000' })),
+    entries: [{ label: 'Kafka', quadrant: 0, ring: 0, moved: 0, active: true }],
+  });
+
+  test('reports fields the schema rejects', () => {
+    // GIVEN: options and entry fields of the wrong type
+    const config = { ...validConfig(), width: -1, print_layout: 'yes', error_mode: 'silent' };
+    config.entries[0].active = 'true';
+
+    // WHEN: validating
+    const errors = validateConfigAll(config);
+
+    // THEN: each problem is reported on its field
+    expect(errors.map(error => error.field)).toEqual(['width', 'entries[0].active', 'print_layout', 'error_mode']);
+    expect(errors[0].message).toBe('width must be greater than 0');
+  });
+
+  test('reports schema problems before the rules that depend on other values', () => {
+    // GIVEN: an unknown filter mode and an entry in a ring that does not exist
+    const config = { ...validConfig(), filter_mode: 'blur' };
+    config.entries = [{ label: 'Kafka', quadrant: 0, ring: 9 }];
+
+    // WHEN: validating
+    const errors = validateConfigAll(config);
+
+    // THEN: each problem is reported once, the schema's first
+    expect(errors.map(error => error.field)).toEqual(['filter_mode', 'entries[0].ring']);
+  });
+
+  test('publishes the schema in docs/tech-radar.schema.json', async () => {
+    // WHEN: reading the published schema
+    const published = await Bun.file(new URL('../../../docs/tech-radar.schema.json', import.meta.url)).json();
+
+    // THEN: it is the schema the validator uses
+    expect(published).toEqual(CONFIG_SCHEMA);
+  });
+});
+
+describe('validateConfigReport()', () => {
+  test('reports errors and warnings separately', () => {
+    // GIVEN: an invalid ring count and a ring without color
+    const config = {
+      quadrants: [{ name: 'Q1' }, { name: 'Q2' }],
+      rings: [{ name: 'R1' }, { name: 'R2', color: '#111' }, { name: 'R3', color: '#222' }],
+      entries: [],
+    };
+
+    // WHEN: validating
+    const report = validateConfigReport(config);
+
+    // THEN: the report is invalid, with the error and the warning
+    expect(report.valid).toBe(false);
+    expect(report.errors.map(error => error.field)).toEqual(['rings']);
+    expect(report.warnings.map(warning => warning.toJSON())).toEqual([
+      { severity: 'warning', field: 'rings[0].color', message: "Ring 'R1' has no color" },
+    ]);
+  });
+
+  test('is valid when there are warnings only', () => {
+    // GIVEN: duplicate labels
+    const config = {
+      quadrants: [{ name: 'Q1' }, { name: 'Q2' }],
+      rings: Array.from({ length: 4 }, (_, i) => ({ name: `R${i}`, color: '#000' })),
+      entries: [
+        { label: 'A', quadrant: 0, ring: 0 },
+        { label: 'A', quadrant: 1, ring: 1 },
+      ],
+    };
+
+    // WHEN: validating
+    const report = validateConfigReport(config);
+
+    // THEN: the configuration is valid
+    expect(report.valid).toBe(true);
+    expect(report.errors).toEqual([]);
+    expect(report.warnings.map(warning => warning.message)).toContain('Duplicate entry label: "A"');
+  });
+});
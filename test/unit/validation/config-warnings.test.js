@@ -0,0 +1,119 @@
+// Test suite for configuration warnings
+import { describe, expect, test } from 'bun:test';
+import { collectWarnings, segmentCapacities } from '../../../src/validation/config-warnings.js';
+
+function createConfig(entries, options = {}) {
+  return {
+    quadrants: [{ name: 'Q1' }, { name: 'Q2' }],
+    rings: [
+      { name: 'R1', color: '#000' },
+      { name: 'R2', color: '#111' },
+      { name: 'R3', color: '#222' },
+      { name: 'R4', color: '#333' },
+    ],
+    entries,
+    ...options,
+  };
+}
+
+// One entry in every segment, so no segment is reported empty
+function fillSegments() {
+  return [0, 1].flatMap(quadrant =>
+    [0, 1, 2, 3].map(ring => ({ label: `E${quadrant}${ring}`, quadrant, ring, moved: 0 }))
+  );
+}
+
+describe('collectWarnings()', () => {
+  test('returns no warnings for a well-formed configuration', () => {
+    // WHEN/THEN: every segment has an entry and every field is fine
+    expect(collectWarnings(createConfig(fillSegments()))).toEqual([]);
+  });
+
+  test('warns about duplicate labels, invalid moved values and non-http links', () => {
+    // GIVEN: entries with questionable fields
+    const entries = [
+      ...fillSegments(),
+      { label: 'E00', quadrant: 0, ring: 0, moved: 0 },
+      { label: 'Kafka', quadrant: 0, ring: 0, moved: 3 },
+      { label: 'Redis', quadrant: 0, ring: 0, link: 'javascript:alert(1)' },
+      { label: 'Docs', quadrant: 0, ring: 0, link: '/docs/docs.html' },
+    ];
+
+    // WHEN: collecting warnings
+    const warnings = collectWarnings(createConfig(entries));
+
+    // THEN: each problem is a warning on its field; relative links are fine
+    expect(warnings.map(warning => [warning.field, warning.message])).toEqual([
+      ['entries[8].label', 'Duplicate entry label: "E00"'],
+      ['entries[9].moved', "Entry 'Kafka' has invalid moved value: 3 (expected -1, 0, 1 or 2)"],
+      ['entries[10].link', "Entry 'Redis' links to a non-http URL: javascript:alert(1)"],
+    ]);
+    expect(warnings.every(warning => warning.severity === 'warning')).toBe(true);
+  });
+
+  test('warns about rings without color', () => {
+    // GIVEN: a ring without color
+    const config = createConfig(fillSegments());
+    config.rings[2] = { name: 'R3' };
+
+    // WHEN/THEN: the ring is reported
+    expect(collectWarnings(config).map(warning => warning.message)).toEqual(["Ring 'R3' has no color"]);
+  });
+
+  test('warns about empty segments, resolving references by name', () => {
+    // GIVEN: entries in two segments only, one referenced by name
+    const entries = [
+      { label: 'A', quadrant: 0, ring: 0 },
+      { label: 'B', quadrant: 'Q2', ring: 'r4' },
+    ];
+
+    // WHEN: collecting warnings
+    const warnings = collectWarnings(createConfig(entries));
+
+    // THEN: the six other segments are reported
+    expect(warnings).toHaveLength(6);
+    expect(warnings[0].message).toBe('Segment Q1 / R2 has no entries');
+    expect(warnings[0].value).toEqual({ quadrant: 0, ring: 1, count: 0 });
+    expect(warnings.some(warning => warning.message === 'Segment Q2 / R4 has no entries')).toBe(false);
+  });
+
+  test('warns about overcrowded segments', () => {
+    // GIVEN: more entries in the innermost segment than fit
+    const capacity = segmentCapacities(createConfig([]))[0];
+    const crowd = Array.from({ length: capacity + 1 }, (_, index) => ({ label: `C${index}`, quadrant: 0, ring: 0 }));
+
+    // WHEN: collecting warnings
+    const warnings = collectWarnings(createConfig([...fillSegments(), ...crowd]));
+
+    // THEN: the segment is reported with its entry count
+    expect(warnings.map(warning => warning.message)).toEqual([
+      `Segment Q1 / R1 is overcrowded: ${capacity + 2} entries, about ${capacity} fit`,
+    ]);
+  });
+
+  test('skips segment checks for radars without entries or with an invalid grid', () => {
+    // WHEN/THEN: no segment warnings
+    expect(collectWarnings(createConfig([]))).toEqual([]);
+    expect(
+      collectWarnings(createConfig([{ label: 'A', quadrant: 0, ring: 0 }], { quadrants: [{ name: 'Q' }] }))
+    ).toEqual([]);
+  });
+});
+
+describe('segmentCapacities()', () => {
+  test('gives outer rings more room than inner rings', () => {
+    // WHEN: estimating capacities
+    const capacities = segmentCapacities(createConfig([]));
+
+    // THEN: one capacity per ring, growing outwards
+    expect(capacities).toHaveLength(4);
+    expect(capacities[3]).toBeGreaterThan(capacities[0]);
+  });
+
+  test('fits fewer blips with a larger collision radius', () => {
+    // WHEN/THEN: doubling the blip size lowers the capacity
+    const small = segmentCapacities(createConfig([]));
+    const large = segmentCapacities(createConfig([], { blip_collision_radius: 28 }));
+    expect(large[3]).toBeLessThan(small[3]);
+  });
+});
@@ -0,0 +1,87 @@
+// Test suite for the JSON Schema validator
+import { describe, expect, test } from 'bun:test';
+import { validateSchema } from '../../../src/validation/schema-validator.js';
+
+describe('validateSchema()', () => {
+  test('accepts values that match the schema', () => {
+    // GIVEN: a schema with nested objects and arrays
+    const schema = {
+      type: 'object',
+      required: ['items'],
+      properties: { items: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 0 } } },
+    };
+
+    // WHEN/THEN: a matching value has no problems
+    expect(validateSchema({ items: [0, 3] }, schema)).toEqual([]);
+  });
+
+  test('reports type and enum mismatches with the path', () => {
+    // GIVEN: an object with a wrong type and an unknown enum value
+    const schema = {
+      type: 'object',
+      properties: { width: { type: 'number' }, mode: { enum: ['dim', 'hide'] } },
+    };
+
+    // WHEN: validating
+    const problems = validateSchema({ width: '100', mode: 'blur' }, schema);
+
+    // THEN: both problems are reported, the message starting with the path
+    expect(problems).toEqual([
+      { path: 'width', message: 'width must be number (found: "100")', value: '100' },
+      { path: 'mode', message: 'mode must be one of dim, hide (found: "blur")', value: 'blur' },
+    ]);
+  });
+
+  test('reports missing required properties and treats null as unset', () => {
+    // GIVEN: a required property set to null
+    const schema = { type: 'object', required: ['name'], properties: { name: { type: 'string' } } };
+
+    // WHEN: validating
+    const problems = validateSchema({ name: null }, schema, { path: 'quadrants[1]' });
+
+    // THEN: the property is reported as missing
+    expect(problems.map(problem => problem.message)).toEqual(['quadrants[1].name is required']);
+  });
+
+  test('checks number, string and array bounds', () => {
+    // GIVEN: bounds of every kind
+    const schema = {
+      type: 'object',
+      properties: {
+        scale: { type: 'number', exclusiveMinimum: 0 },
+        label: { type: 'string', minLength: 1 },
+        rings: { type: 'array', maxItems: 2 },
+      },
+    };
+
+    // WHEN: validating values outside the bounds
+    const problems = validateSchema({ scale: 0, label: '', rings: [1, 2, 3] }, schema);
+
+    // THEN: each bound is reported
+    expect(problems.map(problem => problem.message)).toEqual([
+      'scale must be greater than 0',
+      'label must not be empty',
+      'rings must have at most 2 items (found: 3)',
+    ]);
+  });
+
+  test('resolves local references against the root schema', () => {
+    // GIVEN: items described by a $defs reference
+    const schema = {
+      type: 'array',
+      items: { $ref: '#/$defs/ring' },
+      $defs: { ring: { type: 'object', properties: { color: { type: 'string' } } } },
+    };
+
+    // WHEN: validating
+    const problems = validateSchema([{ color: '#fff' }, { color: 3 }], schema);
+
+    // THEN: the problem of the second item is reported with its path
+    expect(problems.map(problem => problem.path)).toEqual(['[1].color']);
+  });
+
+  test('names the root value "Configuration"', () => {
+    // WHEN/THEN: a root value of the wrong type
+    expect(validateSchema([], { type: 'object' })[0].message).toBe('Configuration must be object (found: [])');
+  });
+});